@@ -581,6 +581,7 @@ class Application {
         workflowLoaderService: this.serviceRegistry.getService('workflowLoaderService'),
         stepProgressService: this.serviceRegistry.getService('stepProgressService'),
         queueHistoryService: this.serviceRegistry.getService('queueHistoryService'),
+        workflowPersistenceService: this.serviceRegistry.getService('workflowPersistenceService'),
         eventBus: this.eventBus,
         application: this,
         logger: this.serviceRegistry.getService('logger')
@@ -594,6 +595,7 @@ class Application {
         executionQueue: this.serviceRegistry.getService('executionQueue'),
         queueHistoryService: this.serviceRegistry.getService('queueHistoryService'),
         workflowTypeDetector: this.serviceRegistry.getService('workflowTypeDetector'),
+        ideWorkerPoolService: this.serviceRegistry.getService('ideWorkerPoolService'),
         eventBus: this.eventBus,
         logger: this.serviceRegistry.getService('logger')
     });
@@ -609,12 +611,39 @@ class Application {
     this.gitController = new GitController({
         gitApplicationService: this.serviceRegistry.getService('gitApplicationService'),
         gitService: this.serviceRegistry.getService('gitService'),
+        mergeConflictService: this.serviceRegistry.getService('mergeConflictService'),
+        worktreeService: this.serviceRegistry.getService('worktreeService'),
         eventBus: this.eventBus,
         logger: this.serviceRegistry.getService('logger')
     });
 
     this.projectController = new ProjectController(this.serviceRegistry.getService('projectApplicationService'));
 
+    const EventStreamController = require('./presentation/api/EventStreamController');
+    this.eventStreamController = new EventStreamController({
+        eventBus: this.eventBus
+    });
+
+    const WebhookController = require('./presentation/api/WebhookController');
+    this.webhookController = new WebhookController({
+        webhookService: this.serviceRegistry.getService('webhookService')
+    });
+
+    const ForgeController = require('./presentation/api/ForgeController');
+    this.forgeController = new ForgeController({
+        forgeService: this.serviceRegistry.getService('forgeService')
+    });
+
+    const ScheduleController = require('./presentation/api/ScheduleController');
+    this.scheduleController = new ScheduleController({
+        scheduleService: this.serviceRegistry.getService('scheduleService')
+    });
+
+    const UsageController = require('./presentation/api/UsageController');
+    this.usageController = new UsageController({
+        aiUsageService: this.serviceRegistry.getService('aiUsageService')
+    });
+
     this.logger.info('Presentation layer initialized');
   }
 
@@ -834,6 +863,7 @@ class Application {
     this.app.get('/api/ide/workspace-info', (req, res) => this.ideController.getWorkspaceInfo(req, res));
     this.app.post('/api/ide/detect-workspace-paths', (req, res) => this.ideController.detectWorkspacePaths(req, res));
     this.app.post('/api/ide/new-chat/:port', (req, res) => this.ideController.clickNewChat(req, res));
+    this.app.get('/api/ide/:port/selectors/health', (req, res) => this.ideController.getSelectorHealth(req, res));
 
     // IDE Configuration routes
     this.app.get('/api/ide/configurations/download-links', (req, res) => this.ideConfigurationController.getDownloadLinks(req, res));
@@ -916,11 +946,14 @@ class Application {
     this.app.use('/api/projects/:projectId/tasks', this.authMiddleware.authenticate());
     this.app.post('/api/projects/:projectId/tasks', (req, res) => this.taskController.createTask(req, res));
     this.app.get('/api/projects/:projectId/tasks', (req, res) => this.taskController.getProjectTasks(req, res));
+    this.app.get('/api/projects/:projectId/tasks/dependency-graph', (req, res) => this.taskController.getDependencyGraph(req, res));
     this.app.get('/api/projects/:projectId/tasks/:id', (req, res) => this.taskController.getTask(req, res));
     this.app.put('/api/projects/:projectId/tasks/:id', (req, res) => this.taskController.updateTask(req, res));
     this.app.delete('/api/projects/:projectId/tasks/:id', (req, res) => this.taskController.deleteTask(req, res));
     this.app.get('/api/projects/:projectId/tasks/:id/execution', (req, res) => this.taskController.getTaskExecution(req, res));
     this.app.post('/api/projects/:projectId/tasks/:id/cancel', (req, res) => this.taskController.cancelTask(req, res));
+    this.app.post('/api/projects/:projectId/tasks/:taskId/pull-request', (req, res) => this.forgeController.createPullRequest(req, res));
+    this.app.get('/api/projects/:projectId/tasks/:taskId/pull-request', (req, res) => this.forgeController.getPullRequest(req, res));
     
     // NEW: Sync manual tasks route
     this.app.post('/api/projects/:projectId/tasks/sync-manual', (req, res) => this.taskController.syncManualTasks(req, res));
@@ -968,6 +1001,12 @@ class Application {
     this.app.post('/api/projects/:projectId/git/merge', (req, res) => this.gitController.merge(req, res));
     this.app.post('/api/projects/:projectId/git/create-branch', (req, res) => this.gitController.createBranch(req, res));
     this.app.post('/api/projects/:projectId/git/info', (req, res) => this.gitController.getRepositoryInfo(req, res));
+    this.app.post('/api/projects/:projectId/git/conflicts', (req, res) => this.gitController.getConflicts(req, res));
+    this.app.post('/api/projects/:projectId/git/conflicts/accept', (req, res) => this.gitController.acceptConflictResolutions(req, res));
+    this.app.post('/api/projects/:projectId/git/conflicts/reject', (req, res) => this.gitController.rejectConflictResolutions(req, res));
+    this.app.post('/api/projects/:projectId/git/conflicts/complete', (req, res) => this.gitController.completeConflictedMerge(req, res));
+    this.app.post('/api/projects/:projectId/git/conflicts/abort', (req, res) => this.gitController.abortConflictedMerge(req, res));
+    this.app.post('/api/projects/:projectId/git/worktrees', (req, res) => this.gitController.getWorktrees(req, res));
     
     // Pidea-Agent Git routes (protected) - PROJECT-BASED
     this.app.post('/api/projects/:projectId/git/pull-pidea-agent', (req, res) => this.gitController.pullPideaAgent(req, res));
@@ -999,10 +1038,52 @@ class Application {
     this.app.get('/api/projects/:projectId/workflow/status', (req, res) => this.workflowController.getWorkflowStatus(req, res));
     this.app.post('/api/projects/:projectId/workflow/stop', (req, res) => this.workflowController.stopWorkflow(req, res));
     this.app.get('/api/projects/:projectId/workflow/health', (req, res) => this.workflowController.healthCheck(req, res));
+    this.app.post('/api/projects/:projectId/workflow/:executionId/resume', (req, res) => this.workflowController.resumeWorkflow(req, res));
+
+    // Event stream routes (protected)
+    this.app.use('/api/events', this.authMiddleware.authenticate());
+    this.app.get('/api/events/stream', (req, res) => this.eventStreamController.stream(req, res));
+    this.app.get('/api/events', (req, res) => this.eventStreamController.getEvents(req, res));
+    this.app.get('/api/events/cursors/:consumerId', (req, res) => this.eventStreamController.getCursor(req, res));
+    this.app.put('/api/events/cursors/:consumerId', (req, res) => this.eventStreamController.commitCursor(req, res));
+
+    // Webhook routes (protected) - PROJECT-BASED
+    this.app.use('/api/projects/:projectId/webhooks', this.authMiddleware.authenticate());
+    this.app.get('/api/projects/:projectId/webhooks', (req, res) => this.webhookController.listWebhooks(req, res));
+    this.app.post('/api/projects/:projectId/webhooks', (req, res) => this.webhookController.createWebhook(req, res));
+    this.app.get('/api/projects/:projectId/webhooks/:webhookId', (req, res) => this.webhookController.getWebhook(req, res));
+    this.app.put('/api/projects/:projectId/webhooks/:webhookId', (req, res) => this.webhookController.updateWebhook(req, res));
+    this.app.delete('/api/projects/:projectId/webhooks/:webhookId', (req, res) => this.webhookController.deleteWebhook(req, res));
+    this.app.get('/api/projects/:projectId/webhooks/:webhookId/deliveries', (req, res) => this.webhookController.getDeliveries(req, res));
+    this.app.post('/api/projects/:projectId/webhooks/:webhookId/deliveries/:deliveryId/redeliver', (req, res) => this.webhookController.redeliver(req, res));
+
+    // Forge routes (protected) - PROJECT-BASED
+    this.app.use('/api/projects/:projectId/forge', this.authMiddleware.authenticate());
+    this.app.get('/api/projects/:projectId/forge', (req, res) => this.forgeController.getSettings(req, res));
+    this.app.put('/api/projects/:projectId/forge', (req, res) => this.forgeController.updateSettings(req, res));
+
+    // Schedule routes (protected) - PROJECT-BASED
+    this.app.use('/api/projects/:projectId/schedules', this.authMiddleware.authenticate());
+    this.app.get('/api/projects/:projectId/schedules', (req, res) => this.scheduleController.listSchedules(req, res));
+    this.app.post('/api/projects/:projectId/schedules', (req, res) => this.scheduleController.createSchedule(req, res));
+    this.app.get('/api/projects/:projectId/schedules/:scheduleId', (req, res) => this.scheduleController.getSchedule(req, res));
+    this.app.put('/api/projects/:projectId/schedules/:scheduleId', (req, res) => this.scheduleController.updateSchedule(req, res));
+    this.app.delete('/api/projects/:projectId/schedules/:scheduleId', (req, res) => this.scheduleController.deleteSchedule(req, res));
+    this.app.post('/api/projects/:projectId/schedules/:scheduleId/run', (req, res) => this.scheduleController.runSchedule(req, res));
+
+    // AI usage routes (protected) - token and cost accounting
+    this.app.use('/api/projects/:projectId/usage', this.authMiddleware.authenticate());
+    this.app.get('/api/projects/:projectId/usage', (req, res) => this.usageController.getUsage(req, res));
+    this.app.get('/api/projects/:projectId/usage/budgets', (req, res) => this.usageController.listBudgets(req, res));
+    this.app.put('/api/projects/:projectId/usage/budgets/:period', (req, res) => this.usageController.setBudget(req, res));
+    this.app.delete('/api/projects/:projectId/usage/budgets/:period', (req, res) => this.usageController.deleteBudget(req, res));
 
     // Queue Management routes (protected) - PROJECT-BASED
     this.app.use('/api/projects/:projectId/queue', this.authMiddleware.authenticate());
     this.app.get('/api/projects/:projectId/queue/status', (req, res) => this.queueController.getQueueStatus(req, res));
+    this.app.get('/api/projects/:projectId/queue/workers', (req, res) => this.queueController.getWorkerPoolStatus(req, res));
+    this.app.post('/api/projects/:projectId/queue/pause', (req, res) => this.queueController.pauseQueue(req, res));
+    this.app.post('/api/projects/:projectId/queue/resume', (req, res) => this.queueController.resumeQueue(req, res));
     this.app.post('/api/projects/:projectId/queue/add', (req, res) => this.queueController.addToQueue(req, res));
     this.app.delete('/api/projects/:projectId/queue/:itemId', (req, res) => this.queueController.cancelQueueItem(req, res));
     this.app.put('/api/projects/:projectId/queue/:itemId/priority', (req, res) => this.queueController.updateQueueItemPriority(req, res));
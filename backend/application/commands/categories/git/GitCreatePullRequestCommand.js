@@ -6,30 +6,34 @@
 class GitCreatePullRequestCommand {
   constructor(params) {
     this.projectPath = params.projectPath;
+    this.projectId = params.projectId;
     this.commandId = `gitcreatepullrequestcommand-${Date.now()}`;
     this.timestamp = new Date();
     
     // Add specific parameters based on operation
     
     this.sourceBranch = params.sourceBranch;
-    this.targetBranch = params.targetBranch || 'main';
+    // Without a target branch the project's forge settings decide (default main)
+    this.targetBranch = params.targetBranch || null;
     this.title = params.title;
     this.description = params.description;
     this.labels = params.labels || [];
     this.reviewers = params.reviewers || [];
+    this.taskId = params.taskId || null;
+    this.push = params.push;
   }
 
   validate() {
     if (!this.projectPath) {
       throw new Error('Project path is required');
     }
+    if (!this.projectId) {
+      throw new Error('Project ID is required');
+    }
     
     if (!this.sourceBranch) {
       throw new Error('Source branch is required');
     }
-    if (!this.targetBranch) {
-      throw new Error('Target branch is required');
-    }
     return true;
   }
 
@@ -37,6 +41,7 @@ class GitCreatePullRequestCommand {
     return {
       commandId: this.commandId,
       projectPath: this.projectPath,
+      projectId: this.projectId,
       timestamp: this.timestamp,
       
       sourceBranch: this.sourceBranch,
@@ -45,6 +50,8 @@ class GitCreatePullRequestCommand {
       description: this.description,
       labels: this.labels,
       reviewers: this.reviewers,
+      taskId: this.taskId,
+      push: this.push,
     };
   }
 }
@@ -14,6 +14,8 @@ class GitMergeCommand {
     this.branchName = params.branchName;
     this.strategy = params.strategy || 'recursive';
     this.noFF = params.noFF || false;
+    this.targetBranch = params.targetBranch || null;
+    this.message = params.message || null;
   }
 
   validate() {
@@ -24,6 +26,10 @@ class GitMergeCommand {
     if (!this.branchName) {
       throw new Error('Branch name is required');
     }
+
+    if (!GitMergeCommand.STRATEGIES.includes(this.strategy)) {
+      throw new Error(`Unknown merge strategy: ${this.strategy} (expected ${GitMergeCommand.STRATEGIES.join(', ')})`);
+    }
     return true;
   }
 
@@ -36,8 +42,13 @@ class GitMergeCommand {
       branchName: this.branchName,
       strategy: this.strategy,
       noFF: this.noFF,
+      targetBranch: this.targetBranch,
+      message: this.message,
     };
   }
 }
 
+// recursive is the default merge of git; fast-forward only moves the target branch
+GitMergeCommand.STRATEGIES = ['recursive', 'merge', 'squash', 'rebase', 'fast-forward'];
+
 module.exports = GitMergeCommand;
@@ -6,11 +6,13 @@ const fs = require('fs').promises;
 const path = require('path');
 const EventBus = require('@messaging/EventBus');
 const AnalysisRepository = require('@repositories/AnalysisRepository');
+const CoverageAnalyzerService = require('@domain/services/analysis/CoverageAnalyzerService');
 
 class GenerateTestsHandler {
     constructor(dependencies = {}) {
         this.eventBus = dependencies.eventBus || new EventBus();
         this.analysisRepository = dependencies.analysisRepository || new AnalysisRepository();
+        this.coverageAnalyzer = dependencies.coverageAnalyzer || new CoverageAnalyzerService();
         this.logger = dependencies.logger || console;
     }
 
@@ -29,8 +31,9 @@ class GenerateTestsHandler {
             // Step 1: Analyze project structure
             const projectStructure = await this.analyzeProjectStructure(command.projectPath);
             
-            // Step 2: Identify testable components
-            const testableComponents = await this.identifyTestableComponents(command.projectPath, projectStructure);
+            // Step 2: Identify testable components, least covered first when a coverage report exists
+            const coverage = await this.loadCoverage(command.projectPath);
+            const testableComponents = await this.identifyTestableComponents(command.projectPath, projectStructure, coverage);
             
             // Step 3: Generate unit tests (if enabled)
             let unitTestResults = null;
@@ -135,7 +138,7 @@ class GenerateTestsHandler {
             const fullPath = path.join(projectPath, entry.name);
             const relativeEntryPath = path.join(relativePath, entry.name);
             
-            if (entry.isDirectory === true) {
+            if (entry.isDirectory()) {
                 if (!this.shouldSkipDirectory(entry.name)) {
                     structure.directories.push({
                         path: relativeEntryPath,
@@ -145,7 +148,7 @@ class GenerateTestsHandler {
                     
                     await this.scanProject(fullPath, structure, relativeEntryPath);
                 }
-            } else if (entry.isFile === true) {
+            } else if (entry.isFile()) {
                 if (this.isCodeFile(entry.name)) {
                     const fileInfo = await this.analyzeFile(fullPath, relativeEntryPath);
                     structure.files.push(fileInfo);
@@ -327,25 +330,82 @@ class GenerateTestsHandler {
         return types;
     }
 
-    async identifyTestableComponents(projectPath, projectStructure) {
+    /**
+     * Read the project's coverage reports (lcov, Istanbul, Cobertura)
+     * @param {string} projectPath - Project path
+     * @returns {Promise<Object|null>} CoverageAnalyzerService analysis, or null without a report
+     */
+    async loadCoverage(projectPath) {
+        try {
+            const coverage = await this.coverageAnalyzer.analyzeProject(projectPath);
+            if (!coverage.totals) {
+                this.logger.info('No coverage report found, generating tests by complexity');
+                return null;
+            }
+            return coverage;
+        } catch (error) {
+            this.logger.warn(`Could not read coverage reports: ${error.message}`);
+            return null;
+        }
+    }
+
+    async identifyTestableComponents(projectPath, projectStructure, coverage = null) {
         this.logger.info('Identifying testable components...');
         
         const testableComponents = {
             high: [],
             medium: [],
             low: [],
+            queue: [],
             total: 0
         };
 
+        const coverageByFile = new Map((coverage ? coverage.files : []).map(file => [file.file, file]));
+        const coveredSubprojects = coverage ? coverage.subprojects.map(subproject => subproject.path) : [];
+
         for (const component of projectStructure.components) {
             const priority = this.calculateTestPriority(component);
+            const componentPath = component.path.split(path.sep).join('/');
+            const fileCoverage = coverageByFile.get(componentPath);
+            component.priority = priority;
+            if (fileCoverage) {
+                component.coverage = fileCoverage.lines.pct;
+                component.uncoveredLines = fileCoverage.lines.total - fileCoverage.lines.covered;
+            } else if (coveredSubprojects.some(subproject => subproject === '.' || componentPath.startsWith(`${subproject}/`))) {
+                // Files missing from a report were never loaded by a test
+                component.coverage = 0;
+                component.uncoveredLines = component.lines;
+            } else {
+                component.coverage = null;
+            }
             testableComponents[priority].push(component);
             testableComponents.total++;
         }
 
+        testableComponents.queue = this.orderByCoverage(testableComponents);
         return testableComponents;
     }
 
+    /**
+     * Order in which tests are generated: least covered files first, then by priority;
+     * files without coverage data follow by priority and fully covered files are left out
+     * @param {Object} testableComponents - Components grouped by priority
+     * @returns {Array} Components
+     */
+    orderByCoverage(testableComponents) {
+        const priorityOrder = { high: 0, medium: 1, low: 2 };
+        const components = [...testableComponents.high, ...testableComponents.medium, ...testableComponents.low];
+
+        const measured = components
+            .filter(component => component.coverage !== null && component.coverage < 100)
+            .sort((a, b) => a.coverage - b.coverage ||
+                b.uncoveredLines - a.uncoveredLines ||
+                priorityOrder[a.priority] - priorityOrder[b.priority]);
+        const unmeasured = components.filter(component => component.coverage === null);
+
+        return [...measured, ...unmeasured];
+    }
+
     calculateTestPriority(component) {
         if (component.complexity > 20 || component.functions.length > 10 || component.classes.length > 2) {
             return 'high';
@@ -369,27 +429,26 @@ class GenerateTestsHandler {
             const testDir = path.join(projectPath, '__tests__');
             await fs.mkdir(testDir, { recursive: true });
 
-            for (const priority of ['high', 'medium', 'low']) {
-                for (const component of testableComponents[priority]) {
-                    try {
-                        const testFile = await this.generateUnitTestFile(component, options);
-                        const testPath = path.join(testDir, `${path.basename(component.path, path.extname(component.path))}.test.js`);
-                        
-                        await fs.writeFile(testPath, testFile);
-                        results.generated.push({
-                            component: component.path,
-                            testPath: path.relative(projectPath, testPath),
-                            priority,
-                            testCount: this.countTestsInFile(testFile)
-                        });
-                        
-                        results.totalTests += this.countTestsInFile(testFile);
-                    } catch (error) {
-                        results.errors.push({
-                            component: component.path,
-                            error: error.message
-                        });
-                    }
+            for (const component of testableComponents.queue) {
+                try {
+                    const testFile = await this.generateUnitTestFile(component, options);
+                    const testPath = path.join(testDir, `${path.basename(component.path, path.extname(component.path))}.test.js`);
+                    
+                    await fs.writeFile(testPath, testFile);
+                    results.generated.push({
+                        component: component.path,
+                        testPath: path.relative(projectPath, testPath),
+                        priority: component.priority,
+                        coverage: component.coverage,
+                        testCount: this.countTestsInFile(testFile)
+                    });
+                    
+                    results.totalTests += this.countTestsInFile(testFile);
+                } catch (error) {
+                    results.errors.push({
+                        component: component.path,
+                        error: error.message
+                    });
                 }
             }
         } catch (error) {
@@ -832,7 +891,8 @@ export default defineConfig({
                 high: testableComponents.high.length,
                 medium: testableComponents.medium.length,
                 low: testableComponents.low.length,
-                total: testableComponents.total
+                total: testableComponents.total,
+                fullyCovered: testableComponents.total - testableComponents.queue.length
             },
             results: {
                 unitTests: unitTestResults,
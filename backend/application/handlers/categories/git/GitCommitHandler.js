@@ -3,9 +3,10 @@
  * Handler for committing changes to Git repository
  */
 
-const { exec } = require('child_process');
+const { exec, execFile } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
+const execFileAsync = util.promisify(execFile);
 
 class GitCommitHandler {
   constructor(dependencies) {
@@ -30,14 +31,14 @@ class GitCommitHandler {
       const addCommand = `git add ${files}`;
       await execAsync(addCommand, { cwd: projectPath });
 
-      // Build commit command
-      let commitCommand = `git commit -m "${message}"`;
+      // Build commit arguments; the message is passed as is, it may span several lines (body, trailers)
+      const commitArgs = ['commit', '-m', message];
       if (author && email) {
-        commitCommand = `git commit -m "${message}" --author="${author} <${email}>"`;
+        commitArgs.push(`--author=${author} <${email}>`);
       }
 
       // Execute git commit command
-      const result = await execAsync(commitCommand, { cwd: projectPath });
+      const result = await execFileAsync('git', commitArgs, { cwd: projectPath });
 
       this.logger.info('GitCommitHandler: Git commit completed successfully', {
         message,
@@ -1,11 +1,18 @@
 /**
  * GitMergeHandler
  * Handler for Merge a Git branch
+ * Strategies: merge (recursive), squash (one commit with the given message), rebase (rebase the branch
+ * onto the target, then fast-forward) and fast-forward
+ * The merge runs where the target branch is checked out. From a task worktree, a target that is not
+ * checked out anywhere gets a short-lived worktree, so the task worktree never leaves its branch.
  */
 
-const { exec } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
 const util = require('util');
-const execAsync = util.promisify(exec);
+const execFileAsync = util.promisify(execFile);
 
 class GitMergeHandler {
   constructor(dependencies) {
@@ -22,24 +29,63 @@ class GitMergeHandler {
 
       this.logger.info('GitMergeHandler: Executing gitmergecommand', commandData);
 
-      
-      // Build merge command
-      let mergeCommand = 'git merge';
-      if (commandData.noFF) {
-        mergeCommand += ' --no-ff';
+      const workspace = await this.resolveWorkspace(commandData);
+      const git = (...args) => execFileAsync('git', args, { cwd: workspace.path });
+
+      let result;
+      let mergeError = null;
+      try {
+        // Check out the branch to merge into, otherwise merge into the current branch
+        if (workspace.checkout) {
+          await git('checkout', commandData.targetBranch);
+        }
+
+        switch (commandData.strategy) {
+          case 'squash':
+            result = await this.squash(git, commandData);
+            break;
+          case 'rebase':
+            result = await this.rebase(git, commandData);
+            break;
+          case 'fast-forward':
+            result = await git('merge', '--ff-only', commandData.branchName);
+            break;
+          default: {
+            const args = ['merge'];
+            if (commandData.noFF) {
+              args.push('--no-ff');
+            }
+            if (commandData.message) {
+              args.push('-m', commandData.message);
+            }
+            args.push(commandData.branchName);
+            result = await git(...args);
+          }
+        }
+      } catch (error) {
+        mergeError = error;
       }
-      mergeCommand += ` ${commandData.branchName}`;
 
-      // Execute git merge command
-      const result = await execAsync(mergeCommand, { cwd: commandData.projectPath });
+      // A short-lived worktree is kept while a merge waits in it for its conflicts to be resolved
+      if (workspace.temporary && !(await this.hasMergeInProgress(git))) {
+        await this.removeWorkspace(commandData.projectPath, workspace.path);
+      }
+      if (mergeError) {
+        mergeError.workspacePath = workspace.path;
+        throw mergeError;
+      }
 
       this.logger.info('GitMergeHandler: GitMergeCommand completed successfully', {
+        strategy: commandData.strategy,
+        workspacePath: workspace.path,
         result: result.stdout
       });
 
       return {
         success: true,
         result: result.stdout,
+        strategy: commandData.strategy,
+        workspacePath: workspace.path,
         timestamp: new Date()
       };
 
@@ -52,10 +98,105 @@ class GitMergeHandler {
       return {
         success: false,
         error: error.message,
+        workspacePath: error.workspacePath || command.getCommandData().projectPath,
         timestamp: new Date()
       };
     }
   }
+
+  /**
+   * Directory the merge runs in
+   * @returns {Promise<Object>} { path, checkout (target still to be checked out), temporary (short-lived
+   *   worktree to remove afterwards) }
+   */
+  async resolveWorkspace(commandData) {
+    const { projectPath, targetBranch } = commandData;
+    if (!targetBranch) {
+      return { path: projectPath, checkout: false, temporary: false };
+    }
+
+    const git = (...args) => execFileAsync('git', args, { cwd: projectPath });
+    const { stdout: list } = await git('worktree', 'list', '--porcelain');
+    const checkedOut = list.split(/\n\s*\n/)
+      .map(block => ({
+        path: (block.match(/^worktree (.+)$/m) || [])[1],
+        branch: (block.match(/^branch refs\/heads\/(.+)$/m) || [])[1]
+      }))
+      .find(entry => entry.path && entry.branch === targetBranch);
+    if (checkedOut) {
+      return { path: checkedOut.path, checkout: false, temporary: false };
+    }
+
+    // The main working copy switches to the target as before; task worktrees stay on their branch
+    const { stdout: gitDirs } = await git('rev-parse', '--path-format=absolute', '--git-dir', '--git-common-dir');
+    const [gitDir, commonDir] = gitDirs.trim().split('\n');
+    if (gitDir === commonDir) {
+      return { path: projectPath, checkout: true, temporary: false };
+    }
+
+    const workspacePath = await fs.mkdtemp(path.join(os.tmpdir(), 'pidea-merge-'));
+    await git('worktree', 'add', workspacePath, targetBranch);
+    this.logger.info(`GitMergeHandler: Merging into ${targetBranch} in short-lived worktree ${workspacePath}`);
+    return { path: workspacePath, checkout: false, temporary: true };
+  }
+
+  async hasMergeInProgress(git) {
+    try {
+      await git('rev-parse', '-q', '--verify', 'MERGE_HEAD');
+      return true;
+    } catch (error) {
+      const { stdout } = await git('diff', '--name-only', '--diff-filter=U');
+      return Boolean(stdout.trim());
+    }
+  }
+
+  async removeWorkspace(projectPath, workspacePath) {
+    try {
+      await execFileAsync('git', ['worktree', 'remove', '--force', workspacePath], { cwd: projectPath });
+    } catch (error) {
+      this.logger.warn(`GitMergeHandler: Could not remove worktree ${workspacePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Squash the branch into one commit on the current branch
+   */
+  async squash(git, commandData) {
+    await git('merge', '--squash', commandData.branchName);
+    const message = commandData.message || `Squashed commit of ${commandData.branchName}`;
+    try {
+      return await git('commit', '-m', message);
+    } catch (error) {
+      // Nothing staged: the branch brings no changes
+      const { stdout } = await git('diff', '--cached', '--name-only');
+      if (!stdout.trim()) {
+        return { stdout: `Branch ${commandData.branchName} has no changes to squash` };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Rebase the branch onto the current branch and fast-forward the current branch to it
+   * The rebase runs on a detached copy of the branch, which may be checked out in its task worktree; the
+   * branch itself is left as it is. A failed rebase is aborted and leaves both branches unchanged.
+   */
+  async rebase(git, commandData) {
+    const { stdout } = await git('rev-parse', '--abbrev-ref', 'HEAD');
+    const targetBranch = stdout.trim();
+
+    await git('checkout', '--detach', commandData.branchName);
+    try {
+      await git('rebase', targetBranch);
+    } catch (error) {
+      await git('rebase', '--abort').catch(() => {});
+      await git('checkout', targetBranch);
+      throw new Error(`Rebase of ${commandData.branchName} onto ${targetBranch} failed: ${error.message}`);
+    }
+    const { stdout: rebased } = await git('rev-parse', 'HEAD');
+    await git('checkout', targetBranch);
+    return git('merge', '--ff-only', rebased.trim());
+  }
 }
 
 module.exports = GitMergeHandler;
@@ -14,16 +14,31 @@
 const Logger = require('@logging/Logger');
 const ServiceLogger = require('@logging/ServiceLogger');
 const ETagService = require('@domain/services/shared/ETagService');
+const AnalysisBaselineService = require('@domain/services/analysis/AnalysisBaselineService');
+const QualityGateService = require('@domain/services/analysis/QualityGateService');
+const { CONSTANTS: OUTPUT_CONSTANTS } = require('@domain/services/analysis-output');
+
+// Baseline branch of projects that are not git repositories
+const DEFAULT_BASELINE_BRANCH = 'default';
+// Analyses searched for one run on a commit before the merge base (?since=<gitRef>)
+const SINCE_SEARCH_LIMIT = 50;
 
 class AnalysisApplicationService {
   constructor({
     analysisOutputService,
     analysisRepository,
     projectRepository,
+    analysisBaselineService,
+    qualityGateService,
     logger
   }) {
     // Domain services
     this.analysisOutputService = analysisOutputService;
+    this.baselineService = analysisBaselineService || new AnalysisBaselineService();
+    this.qualityGateService = qualityGateService || new QualityGateService({
+      analysisRepository,
+      analysisBaselineService: this.baselineService
+    });
     
     // Infrastructure repositories (accessed through domain interfaces)
     this.analysisRepository = analysisRepository;
@@ -194,13 +209,43 @@ class AnalysisApplicationService {
     }
   }
 
+  /**
+   * Get the coverage of a project over time
+   * @param {string} projectId - Project identifier
+   * @param {Object} options - Query options ({ limit, from, to })
+   * @returns {Promise<Array>} Coverage measurements, oldest first, with the change to the previous one
+   */
+  async getCoverageHistory(projectId, options = {}) {
+    try {
+      if (typeof this.analysisRepository.getCoverageHistory !== 'function') {
+        return [];
+      }
+
+      const history = await this.analysisRepository.getCoverageHistory(projectId, options);
+      return history.map((entry, index) => {
+        const previous = index > 0 ? history[index - 1] : null;
+        return {
+          ...entry,
+          lineCoverageChange: previous && entry.lineCoverage !== null && previous.lineCoverage !== null
+            ? Math.round((entry.lineCoverage - previous.lineCoverage) * 100) / 100
+            : null
+        };
+      });
+      
+    } catch (error) {
+      this.logger.error('❌ Failed to get coverage history:', error);
+      throw new Error(`Failed to get coverage history: ${error.message}`);
+    }
+  }
+
   /**
    * Get analysis issues and recommendations
    * @param {string} projectId - Project identifier
    * @param {string} analysisType - Type of analysis
+   * @param {Object} options - { baseline: analysisId, since: gitRef } to return only the issues that are new since the baseline
    * @returns {Promise<Object>} Issues and recommendations
    */
-  async getAnalysisIssues(projectId, analysisType = 'code-quality') {
+  async getAnalysisIssues(projectId, analysisType = 'code-quality', options = {}) {
     try {
       const latestAnalysis = await this.analysisRepository.getLatestAnalysis(projectId, [analysisType]);
       
@@ -212,6 +257,24 @@ class AnalysisApplicationService {
         };
       }
       
+      if (options.baseline || options.since) {
+        const diff = await this.getAnalysisDiff(projectId, {
+          type: analysisType,
+          analysisId: latestAnalysis.id,
+          baseline: options.baseline,
+          since: options.since
+        });
+        return {
+          issues: diff.new,
+          fixedIssues: diff.fixed,
+          recommendations: latestAnalysis.recommendations || [],
+          summary: latestAnalysis.summary,
+          diff: { baseline: diff.baseline, summary: diff.summary },
+          analysisId: latestAnalysis.id,
+          completedAt: latestAnalysis.completedAt
+        };
+      }
+      
       return {
         issues: latestAnalysis.issues || [],
         recommendations: latestAnalysis.recommendations || [],
@@ -226,6 +289,350 @@ class AnalysisApplicationService {
     }
   }
 
+  /**
+   * Evaluate the project's quality gates (.pidea/quality-gates.*) against the latest analyses
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Object>} { status, passed, file, gates, reasons, errors, evaluatedAt }
+   */
+  async getQualityGateStatus(projectId) {
+    const projectPath = await this.getProjectPath(projectId);
+    if (!projectPath) {
+      throw new Error(`Project path not found for project ${projectId}`);
+    }
+    return this.qualityGateService.evaluateProject(projectId, projectPath);
+  }
+
+  /**
+   * Compare the issues of an analysis with a baseline
+   * @param {string} projectId - Project identifier
+   * @param {Object} options - { type, analysisId (default: latest of type), baseline: analysisId, since: gitRef }
+   * Without baseline and since the saved baseline of the current branch is used
+   * @returns {Promise<Object>} { analysisId, analysisType, baseline, summary, new, fixed, unchanged }
+   */
+  async getAnalysisDiff(projectId, options = {}) {
+    const { type = 'code-quality', analysisId = null, baseline = null, since = null } = options;
+
+    const current = analysisId
+      ? await this.analysisRepository.findById(analysisId)
+      : await this.analysisRepository.getLatestAnalysis(projectId, [type]);
+    if (!current || current.projectId !== projectId) {
+      throw new Error(analysisId ? `Analysis not found: ${analysisId}` : `No ${type} analysis found for project ${projectId}`);
+    }
+
+    const projectPath = await this.getProjectPath(projectId);
+    const resolved = await this.resolveBaseline(projectId, projectPath, current.analysisType, { baseline, since });
+    if (!resolved) {
+      throw new Error(`No baseline for ${current.analysisType} analysis: pass baseline=<analysisId> or since=<gitRef>, or save a baseline for the branch`);
+    }
+
+    const issues = await this.baselineService.fingerprintIssues(this.baselineService.getResultIssues(current.result), projectPath);
+    const diff = this.baselineService.diff(issues, resolved.issues);
+
+    return {
+      analysisId: current.id,
+      analysisType: current.analysisType,
+      baseline: this.describeBaseline(resolved),
+      summary: diff.summary,
+      new: diff.new,
+      fixed: diff.fixed,
+      unchanged: diff.unchanged
+    };
+  }
+
+  /**
+   * Make an analysis the baseline of a project branch
+   * @param {string} projectId - Project identifier
+   * @param {Object} options - { type, analysisId (default: latest of type), branch (default: current branch) }
+   * @returns {Promise<Object>} Stored baseline
+   */
+  async createBaseline(projectId, options = {}) {
+    const { type = 'code-quality', analysisId = null, branch = null } = options;
+
+    if (typeof this.analysisRepository.saveBaseline !== 'function') {
+      throw new Error('Analysis baselines are not supported by the analysis repository');
+    }
+
+    const analysis = analysisId
+      ? await this.analysisRepository.findById(analysisId)
+      : await this.analysisRepository.getLatestAnalysis(projectId, [type]);
+    if (!analysis || analysis.projectId !== projectId) {
+      throw new Error(analysisId ? `Analysis not found: ${analysisId}` : `No ${type} analysis found for project ${projectId}`);
+    }
+
+    const projectPath = await this.getProjectPath(projectId);
+    const git = await this.baselineService.getGitInfo(projectPath);
+    const baseline = await this.analysisRepository.saveBaseline({
+      projectId,
+      branch: branch || (git && git.branch) || DEFAULT_BASELINE_BRANCH,
+      analysisType: analysis.analysisType,
+      analysisId: analysis.id,
+      commitSha: (analysis.result && analysis.result.git && analysis.result.git.commit) || (git && git.commit) || null,
+      issuesCount: this.baselineService.getResultIssues(analysis.result).length
+    });
+
+    this.logger.info(`📌 Analysis ${analysis.id} is the ${analysis.analysisType} baseline of ${baseline.branch}`);
+    return baseline;
+  }
+
+  /**
+   * Get the saved baseline of a project branch
+   * @param {string} projectId - Project identifier
+   * @param {Object} options - { type, branch (default: current branch) }
+   * @returns {Promise<Object|null>} Baseline or null
+   */
+  async getBaseline(projectId, options = {}) {
+    const { type = 'code-quality', branch = null } = options;
+
+    if (typeof this.analysisRepository.getBaseline !== 'function') {
+      return null;
+    }
+
+    let baselineBranch = branch;
+    if (!baselineBranch) {
+      const git = await this.baselineService.getGitInfo(await this.getProjectPath(projectId));
+      baselineBranch = (git && git.branch) || DEFAULT_BASELINE_BRANCH;
+    }
+    return this.analysisRepository.getBaseline(projectId, baselineBranch, type);
+  }
+
+  /**
+   * Find the baseline an analysis run is compared with
+   * Order: explicit baseline analysis, newest analysis at or before the merge base with `since`,
+   * saved baseline of the current branch
+   * @param {string} projectId - Project identifier
+   * @param {string} projectPath - Project directory
+   * @param {string} analysisType - Analysis type
+   * @param {Object} options - { baseline: analysisId, since: gitRef }
+   * @returns {Promise<Object|null>} { analysisId, analysisType, source, ref, commit, createdAt, issues } or null
+   */
+  async resolveBaseline(projectId, projectPath, analysisType, options = {}) {
+    const { baseline: baselineId = null, since = null } = options;
+    if (!this.analysisRepository) {
+      return null;
+    }
+
+    let analysis = null;
+    let source = null;
+    let ref = null;
+
+    if (baselineId) {
+      analysis = await this.analysisRepository.findById(baselineId);
+      if (!analysis || analysis.projectId !== projectId || analysis.analysisType !== analysisType) {
+        throw new Error(`Baseline ${analysisType} analysis not found: ${baselineId}`);
+      }
+      source = 'analysis';
+      ref = baselineId;
+    } else if (since) {
+      analysis = await this.findAnalysisSince(projectId, projectPath, analysisType, since);
+      if (!analysis) {
+        throw new Error(`No ${analysisType} analysis found at or before the merge base with "${since}"`);
+      }
+      source = 'since';
+      ref = since;
+    } else {
+      try {
+        const saved = await this.getBaseline(projectId, { type: analysisType });
+        analysis = saved ? await this.analysisRepository.findById(saved.analysisId) : null;
+        ref = saved ? saved.branch : null;
+      } catch (error) {
+        // A missing saved baseline must never block an analysis run
+        this.logger.warn(`Failed to load the saved baseline for project ${projectId}: ${error.message}`);
+      }
+      if (!analysis) {
+        return null;
+      }
+      source = 'branch';
+    }
+
+    return {
+      analysisId: analysis.id,
+      analysisType: analysis.analysisType,
+      source,
+      ref,
+      commit: (analysis.result && analysis.result.git && analysis.result.git.commit) || null,
+      createdAt: analysis.createdAt,
+      issues: await this.baselineService.fingerprintIssues(this.baselineService.getResultIssues(analysis.result), projectPath)
+    };
+  }
+
+  /**
+   * Newest analysis of a type that was run on a commit reachable from the merge base of HEAD and a git ref
+   * @param {string} projectId - Project identifier
+   * @param {string} projectPath - Project directory
+   * @param {string} analysisType - Analysis type
+   * @param {string} ref - Git ref, e.g. main
+   * @returns {Promise<Object|null>} Analysis or null
+   */
+  async findAnalysisSince(projectId, projectPath, analysisType, ref) {
+    const mergeBase = await this.baselineService.resolveMergeBase(projectPath, ref);
+    const history = await this.analysisRepository.getAnalysisHistory(projectId, {
+      types: [analysisType],
+      limit: SINCE_SEARCH_LIMIT
+    });
+
+    for (const analysis of history) {
+      const commit = analysis.result && analysis.result.git && analysis.result.git.commit;
+      if (commit && await this.baselineService.isAncestor(projectPath, commit, mergeBase)) {
+        return analysis;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fingerprint the issues of a result and mark them new or unchanged against the baseline
+   * Also records the branch and commit the analysis ran on (result.git)
+   * @param {Object} result - Analysis result (modified)
+   * @param {string} projectPath - Project directory
+   * @param {Object|null} baseline - Resolved baseline
+   * @returns {Promise<void>}
+   */
+  async annotateIssues(result, projectPath, baseline = null) {
+    try {
+      const git = await this.baselineService.getGitInfo(projectPath);
+      if (git) {
+        result.git = git;
+      }
+
+      // Orchestrator results nest the aggregated issues under result
+      const container = Array.isArray(result.issues)
+        ? result
+        : (result.result && Array.isArray(result.result.issues) ? result.result : null);
+      if (!container) {
+        return;
+      }
+
+      container.issues = await this.baselineService.fingerprintIssues(container.issues, projectPath);
+      if (baseline) {
+        const diff = this.baselineService.diff(container.issues, baseline.issues);
+        const added = new Set(diff.new.map(issue => issue.fingerprint));
+        container.issues = container.issues.map(issue => ({
+          ...issue,
+          baselineStatus: added.has(issue.fingerprint) ? 'new' : 'unchanged'
+        }));
+        result.baselineDiff = { baseline: this.describeBaseline(baseline), ...diff.summary };
+      }
+    } catch (error) {
+      this.logger.warn(`Failed to fingerprint analysis issues: ${error.message}`);
+    }
+  }
+
+  describeBaseline(baseline) {
+    return {
+      analysisId: baseline.analysisId,
+      source: baseline.source,
+      ref: baseline.ref,
+      commit: baseline.commit,
+      createdAt: baseline.createdAt
+    };
+  }
+
+  /**
+   * Export the latest analyses of a project as a SARIF 2.1.0 log
+   * @param {string} projectId - Project identifier
+   * @param {Object} options - { types } (default: security, code-quality, architecture, dependencies)
+   * @returns {Promise<Object>} { filename, filepath, sarif }
+   */
+  async exportSarif(projectId, options = {}) {
+    const exportTypes = Object.keys(OUTPUT_CONSTANTS.SARIF.EXPORT_TYPES);
+    const types = options.types && options.types.length > 0 ? options.types : exportTypes;
+    const unsupported = types.filter(type => !exportTypes.includes(type));
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported SARIF export type: ${unsupported.join(', ')} (supported: ${exportTypes.join(', ')})`);
+    }
+
+    const analyses = [];
+    for (const type of types) {
+      const analysis = await this.analysisRepository.getLatestAnalysis(projectId, [type]);
+      if (analysis) {
+        analyses.push(analysis);
+      }
+    }
+    if (analyses.length === 0) {
+      throw new Error(`No ${types.join(', ')} analysis found for project ${projectId}`);
+    }
+
+    const projectPath = await this.getProjectPath(projectId);
+    const report = await this.analysisOutputService.generateSarifReport(projectId, analyses, { projectPath });
+    this.logger.info(`📤 Exported ${analyses.length} analyses as SARIF: ${report.filename}`);
+    return report;
+  }
+
+  /**
+   * Attach the findings of an external SARIF log to a project analysis
+   * Findings of a tool replace the ones imported from the same tool before
+   * @param {string} projectId - Project identifier
+   * @param {Object} log - Parsed SARIF 2.1.0 log
+   * @param {Object} options - { type (default: security), analysisId (default: latest of type) }
+   * @returns {Promise<Object>} { analysisId, analysisType, imported, errors }
+   */
+  async importSarif(projectId, log, options = {}) {
+    const { type = 'security', analysisId = null } = options;
+
+    const projectPath = await this.getProjectPath(projectId);
+    const { runs, errors } = this.analysisOutputService.parseSarif(log, { projectPath });
+    if (runs.length === 0) {
+      throw new Error(`SARIF log has no usable runs${errors.length > 0 ? `: ${errors[0].message}` : ''}`);
+    }
+
+    const analysis = analysisId
+      ? await this.analysisRepository.findById(analysisId)
+      : await this.analysisRepository.getLatestAnalysis(projectId, [type]);
+    if (analysisId && (!analysis || analysis.projectId !== projectId)) {
+      throw new Error(`Analysis not found: ${analysisId}`);
+    }
+    const analysisType = analysis ? analysis.analysisType : type;
+
+    const result = analysis && analysis.result ? { ...analysis.result } : { issues: [], recommendations: [], summary: {} };
+    // Orchestrator results nest the aggregated issues under result
+    const container = !Array.isArray(result.issues) && result.result && Array.isArray(result.result.issues)
+      ? (result.result = { ...result.result })
+      : result;
+
+    const imported = new Map();
+    runs.forEach(run => {
+      const entry = imported.get(run.tool) || { tool: run.tool, version: run.version, issues: [], suppressed: 0 };
+      entry.issues.push(...run.issues.map(issue => ({ ...issue, category: analysisType })));
+      entry.suppressed += run.suppressed;
+      imported.set(run.tool, entry);
+    });
+
+    const importedAt = new Date().toISOString();
+    const kept = (container.issues || []).filter(issue => !(issue.source === 'sarif' && imported.has(issue.scanner)));
+    const added = [...imported.values()].flatMap(entry => entry.issues);
+    container.issues = await this.baselineService.fingerprintIssues([...kept, ...added], projectPath);
+    result.imports = [
+      ...(result.imports || []).filter(entry => !imported.has(entry.tool)),
+      ...[...imported.values()].map(entry => ({
+        tool: entry.tool,
+        version: entry.version,
+        importedAt,
+        issues: entry.issues.length,
+        suppressed: entry.suppressed
+      }))
+    ];
+
+    let saved = analysis;
+    if (analysis) {
+      analysis.result = result;
+      analysis.updatedAt = new Date();
+      await this.analysisRepository.update(analysis);
+    } else {
+      saved = await this.saveAnalysisResult(projectId, analysisType, result, { stepName: 'SarifImport' });
+      if (!saved) {
+        throw new Error('Failed to save the imported analysis');
+      }
+    }
+
+    this.logger.info(`📥 Imported ${added.length} SARIF findings from ${[...imported.keys()].join(', ')} into ${analysisType} analysis ${saved.id}`);
+    return {
+      analysisId: saved.id,
+      analysisType,
+      imported: result.imports.filter(entry => imported.has(entry.tool)),
+      errors
+    };
+  }
+
   /**
    * Generate ETag for caching
    * @param {Object} data - Data to generate ETag for
@@ -462,11 +869,13 @@ class AnalysisApplicationService {
       // Get project path
       const projectPath = await this.getProjectPath(projectId);
       
-      // Execute analysis step
+      // Execute analysis step, reporting tasks only for findings that are not in the baseline
+      const baseline = await this.resolveBaseline(projectId, projectPath, 'code-quality', options);
       const stepResult = await this.executeAnalysisStep('CodeQualityAnalysisStep', {
         projectPath,
         projectId,
-        ...options
+        ...options,
+        baseline
       });
       
       // Save result to database if successful
@@ -474,7 +883,7 @@ class AnalysisApplicationService {
         await this.saveAnalysisResult(projectId, 'code-quality', stepResult.result, {
           stepName: 'CodeQualityAnalysisStep',
           executionContext: options
-        });
+        }, { projectPath, baseline });
       }
       
       return stepResult;
@@ -498,11 +907,13 @@ class AnalysisApplicationService {
       // Get project path
       const projectPath = await this.getProjectPath(projectId);
       
-      // Execute analysis step
+      // Execute analysis step, reporting tasks only for findings that are not in the baseline
+      const baseline = await this.resolveBaseline(projectId, projectPath, 'security', options);
       const stepResult = await this.executeAnalysisStep('SecurityAnalysisOrchestrator', {
         projectPath,
         projectId,
-        ...options
+        ...options,
+        baseline
       });
       
       // Save result to database if successful
@@ -510,7 +921,7 @@ class AnalysisApplicationService {
         await this.saveAnalysisResult(projectId, 'security', stepResult.result, {
           stepName: 'SecurityAnalysisOrchestrator',
           executionContext: options
-        });
+        }, { projectPath, baseline });
       }
       
       return stepResult;
@@ -534,11 +945,13 @@ class AnalysisApplicationService {
       // Get project path
       const projectPath = await this.getProjectPath(projectId);
       
-      // Execute analysis step
+      // Execute analysis step, reporting tasks only for findings that are not in the baseline
+      const baseline = await this.resolveBaseline(projectId, projectPath, 'performance', options);
       const stepResult = await this.executeAnalysisStep('PerformanceAnalysisOrchestrator', {
         projectPath,
         projectId,
-        ...options
+        ...options,
+        baseline
       });
       
       // Save result to database if successful
@@ -546,7 +959,7 @@ class AnalysisApplicationService {
         await this.saveAnalysisResult(projectId, 'performance', stepResult.result, {
           stepName: 'PerformanceAnalysisOrchestrator',
           executionContext: options
-        });
+        }, { projectPath, baseline });
       }
       
       return stepResult;
@@ -570,11 +983,13 @@ class AnalysisApplicationService {
       // Get project path
       const projectPath = await this.getProjectPath(projectId);
       
-      // Execute analysis step
+      // Execute analysis step, reporting tasks only for findings that are not in the baseline
+      const baseline = await this.resolveBaseline(projectId, projectPath, 'manifest', options);
       const stepResult = await this.executeAnalysisStep('ManifestAnalysisStep', {
         projectPath,
         projectId,
-        ...options
+        ...options,
+        baseline
       });
       
       // Save result to database if successful
@@ -582,7 +997,7 @@ class AnalysisApplicationService {
         await this.saveAnalysisResult(projectId, 'manifest', stepResult.result, {
           stepName: 'ManifestAnalysisStep',
           executionContext: options
-        });
+        }, { projectPath, baseline });
       }
       
       return stepResult;
@@ -612,6 +1027,7 @@ class AnalysisApplicationService {
         projectId,
         projectPath,
         analysisType: 'dependencies',
+        baseline: await this.resolveBaseline(projectId, projectPath, 'dependencies', options),
         options: {
           includeOutdated: true,
           includeVulnerabilities: true,
@@ -627,7 +1043,7 @@ class AnalysisApplicationService {
       await this.saveAnalysisResult(projectId, 'dependencies', result, {
         executionTime: Date.now(),
         options: context.options
-      });
+      }, { projectPath, baseline: context.baseline });
 
       return result;
     } catch (error) {
@@ -655,6 +1071,7 @@ class AnalysisApplicationService {
         projectId,
         projectPath,
         analysisType: 'tech-stack',
+        baseline: await this.resolveBaseline(projectId, projectPath, 'tech-stack', options),
         options: {
           includeFrameworks: true,
           includeLibraries: true,
@@ -670,7 +1087,7 @@ class AnalysisApplicationService {
       await this.saveAnalysisResult(projectId, 'tech-stack', result, {
         executionTime: Date.now(),
         options: context.options
-      });
+      }, { projectPath, baseline: context.baseline });
 
       return result;
     } catch (error) {
@@ -692,11 +1109,13 @@ class AnalysisApplicationService {
       // Get project path
       const projectPath = await this.getProjectPath(projectId);
       
-      // Execute analysis step
+      // Execute analysis step, reporting tasks only for findings that are not in the baseline
+      const baseline = await this.resolveBaseline(projectId, projectPath, 'architecture', options);
       const stepResult = await this.executeAnalysisStep('ArchitectureAnalysisOrchestrator', {
         projectPath,
         projectId,
-        ...options
+        ...options,
+        baseline
       });
       
       // Save result to database if successful
@@ -704,7 +1123,7 @@ class AnalysisApplicationService {
         await this.saveAnalysisResult(projectId, 'architecture', stepResult.result, {
           stepName: 'ArchitectureAnalysisOrchestrator',
           executionContext: options
-        });
+        }, { projectPath, baseline });
       }
       
       return stepResult;
@@ -773,9 +1192,10 @@ class AnalysisApplicationService {
    * @param {string} analysisType - Analysis type
    * @param {Object} result - Analysis result
    * @param {Object} metadata - Additional metadata
+   * @param {Object} comparison - { projectPath, baseline } used to fingerprint the issues and diff them with the baseline
    * @returns {Promise<Object>} Saved analysis
    */
-  async saveAnalysisResult(projectId, analysisType, result, metadata = {}) {
+  async saveAnalysisResult(projectId, analysisType, result, metadata = {}, comparison = {}) {
     try {
       if (!this.analysisRepository) {
         this.logger.warn('Analysis repository not available, skipping database save');
@@ -790,6 +1210,8 @@ class AnalysisApplicationService {
       delete cleanResult.debug;
       delete cleanResult.context;
       
+      await this.annotateIssues(cleanResult, comparison.projectPath, comparison.baseline);
+      
       // Create analysis entity
       const Analysis = require('@domain/entities/Analysis');
       const analysis = Analysis.create(projectId, analysisType, {
@@ -771,6 +771,22 @@ class IDEApplicationService {
             throw error;
         }
     }
+
+    async getSelectorHealth(port, userId, options = {}) {
+        try {
+            this.logger.info('IDEApplicationService: Selector health check', { port, userId, refresh: !!options.refresh });
+
+            const report = await this.ideManager.getSelectorHealth(port, options);
+
+            return {
+                success: true,
+                data: report
+            };
+        } catch (error) {
+            this.logger.error('Error checking selector health:', error);
+            throw error;
+        }
+    }
 }
 
 module.exports = IDEApplicationService; 
\ No newline at end of file
@@ -17,6 +17,7 @@ const ServiceLogger = require('@logging/ServiceLogger');
 const TaskPriority = require('@value-objects/TaskPriority');
 const TaskType = require('@value-objects/TaskType');
 const ETagService = require('@domain/services/shared/ETagService');
+const { TaskDependencyValidationError } = require('@domain/services/task/TaskDependencyService');
 
 class TaskApplicationService {
   constructor({
@@ -27,6 +28,7 @@ class TaskApplicationService {
     projectMappingService,
     ideManager,
     manualTasksImportService,
+    taskDependencyService,
     logger
   }) {
     // Domain services
@@ -36,6 +38,7 @@ class TaskApplicationService {
     this.projectMappingService = projectMappingService;
     this.ideManager = ideManager;
     this.manualTasksImportService = manualTasksImportService;
+    this.taskDependencyService = taskDependencyService;
     
     // Infrastructure repositories (accessed through domain interfaces)
     this.taskRepository = taskRepository;
@@ -206,6 +209,7 @@ class TaskApplicationService {
         createdAt: task.createdAt,
         updatedAt: task.updatedAt,
         metadata: task.metadata,
+        dependencies: task.dependencies,
         // ✅ FIXED: Add content and details for frontend display
         content: parsedMetadata.content || task.description,
         htmlContent: parsedMetadata.htmlContent || parsedMetadata.content || task.description,
@@ -236,31 +240,36 @@ class TaskApplicationService {
     try {
       this.logger.info(`Creating task for project: ${projectId}`);
       
-      const { title, description, priority, type, metadata } = taskData;
+      const { title, description, priority, type, category, metadata, dependencies = [] } = taskData;
       
       // Validate required fields
       if (!title) {
         throw new Error('Task title is required');
       }
+
+      // Prerequisites must exist in the same project
+      const dependencyIds = this.taskDependencyService
+        ? await this.taskDependencyService.validateDependencies(projectId, null, dependencies)
+        : dependencies;
       
       // Get project workspace path
       const workspacePath = await this.getProjectWorkspacePath(projectId);
       
       // Create task using domain service
-      const task = await this.taskService.createTask({
+      const task = await this.taskService.createTask(
+        projectId,
         title,
         description,
-        priority: priority || TaskPriority.MEDIUM,
-        type: type || TaskType.GENERAL,
-        projectId,
-        userId,
-        workspacePath,
-        metadata: {
+        priority || TaskPriority.MEDIUM,
+        type || TaskType.GENERAL,
+        category,
+        {
           ...metadata,
           createdBy: userId,
           workspacePath
-        }
-      });
+        },
+        dependencyIds
+      );
       
       this.logger.info(`✅ Task created: ${task.id}`);
       
@@ -272,11 +281,15 @@ class TaskApplicationService {
         priority: task.priority,
         type: task.type,
         projectId: task.projectId,
+        dependencies: task.dependencies,
         createdAt: task.createdAt
       };
       
     } catch (error) {
       this.logger.error('❌ Failed to create task:', error);
+      if (error instanceof TaskDependencyValidationError) {
+        throw error;
+      }
       throw new Error(`Failed to create task: ${error.message}`);
     }
   }
@@ -334,11 +347,20 @@ class TaskApplicationService {
       
       // Validate task belongs to project
       await this.getTask(taskId, projectId);
+
+      // Dependency changes go through cycle detection
+      const { dependencies, ...fields } = updateData;
+      if (dependencies !== undefined) {
+        if (!this.taskDependencyService) {
+          throw new Error('TaskDependencyService not available');
+        }
+        await this.taskDependencyService.setDependencies(projectId, taskId, dependencies);
+      }
       
       // Update task
       const updatedTask = await this.taskRepository.update(taskId, {
-        ...updateData,
-        updatedAt: new Date().toISOString(),
+        ...fields,
+        updatedAt: new Date(),
         updatedBy: userId
       });
       
@@ -351,15 +373,40 @@ class TaskApplicationService {
         status: updatedTask.status,
         priority: updatedTask.priority,
         type: updatedTask.type,
+        dependencies: updatedTask.dependencies,
         updatedAt: updatedTask.updatedAt
       };
       
     } catch (error) {
       this.logger.error('❌ Failed to update task:', error);
+      if (error instanceof TaskDependencyValidationError) {
+        throw error;
+      }
       throw new Error(`Failed to update task: ${error.message}`);
     }
   }
 
+  /**
+   * Get the task dependency DAG of a project
+   * @param {string} projectId - Project identifier
+   * @returns {Promise<Object>} Nodes, edges and topological order
+   */
+  async getDependencyGraph(projectId) {
+    try {
+      this.logger.info(`Getting dependency graph for project: ${projectId}`);
+
+      if (!this.taskDependencyService) {
+        throw new Error('TaskDependencyService not available');
+      }
+
+      return await this.taskDependencyService.getDependencyGraph(projectId);
+
+    } catch (error) {
+      this.logger.error('❌ Failed to get dependency graph:', error);
+      throw new Error(`Failed to get dependency graph: ${error.message}`);
+    }
+  }
+
   /**
    * Delete task with project validation
    * @param {string} taskId - Task identifier
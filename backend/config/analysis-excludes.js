@@ -9,17 +9,20 @@
  * const excludePatterns = options.excludePatterns || analysisExcludes.extended;
  */
 
+// Standard excludes for basic analysis - minimal performance impact
+// (declared first so other lists can spread it)
+const standardExcludes = [
+  'node_modules',
+  '.git',
+  'dist',
+  'build',
+  'coverage',
+  '.jest-cache',
+  '.nyc_output'
+];
+
 const analysisExcludes = {
-  // Standard excludes for basic analysis - minimal performance impact
-  standard: [
-    'node_modules',
-    '.git',
-    'dist',
-    'build',
-    'coverage',
-    '.jest-cache',
-    '.nyc_output'
-  ],
+  standard: standardExcludes,
   
   // Extended excludes for comprehensive analysis - includes IDE, OS, and temp files
   extended: [
@@ -227,7 +230,7 @@ const analysisExcludes = {
   // Testing-specific excludes - focuses on test artifacts and coverage
   testing: [
     // Standard excludes
-    ...analysisExcludes.standard,
+    ...standardExcludes,
     
     // Test artifacts
     'test-results',
@@ -310,6 +313,40 @@ function getFileSystemExcludes(options = {}) {
   return patterns;
 }
 
+/**
+ * Check a project-relative path against exclude patterns
+ * Plain names match any path segment, patterns containing '/' match a sub-path
+ * and patterns containing '*' are globs on the file name
+ * @param {string} relativePath - Path relative to the project root, using '/'
+ * @param {Array} patterns - Exclude patterns
+ * @returns {boolean} True if the path is excluded
+ */
+function isExcludedPath(relativePath, patterns) {
+  const segments = relativePath.split('/');
+  const fileName = segments[segments.length - 1];
+  
+  return patterns.some(pattern => {
+    if (!pattern) {
+      return false;
+    }
+    
+    if (pattern.includes('*')) {
+      const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+      const regex = new RegExp(`^${source}$`);
+      return regex.test(fileName) || regex.test(relativePath);
+    }
+    
+    if (pattern.includes('/')) {
+      const normalized = pattern.replace(/^\/+|\/+$/g, '');
+      return relativePath === normalized ||
+        relativePath.startsWith(`${normalized}/`) ||
+        `/${relativePath}/`.includes(`/${normalized}/`);
+    }
+    
+    return segments.includes(pattern);
+  });
+}
+
 /**
  * Validate exclude patterns
  * @param {Array} patterns - Patterns to validate
@@ -350,5 +387,6 @@ module.exports = {
   analysisExcludes,
   getExcludePatterns,
   getFileSystemExcludes,
+  isExcludedPath,
   validateExcludePatterns
 }; 
\ No newline at end of file
@@ -85,6 +85,10 @@ class CentralizedConfig {
     return process.env.DB_SSL === 'true';
   }
 
+  get eventLogEnabled() {
+    return process.env.EVENT_LOG_ENABLED === 'true';
+  }
+
   // ============================================================================
   // IDE PORTS - FROM ENVIRONMENT ONLY
   // ============================================================================
@@ -253,6 +253,9 @@ class Task {
 
   // Dependencies management
   addDependency(taskId) {
+    if (taskId === this.id) {
+      throw new Error('Task cannot depend on itself');
+    }
     if (!this._dependencies.includes(taskId)) {
       this._dependencies.push(taskId);
       this._updatedAt = new Date();
@@ -271,6 +274,12 @@ class Task {
     return this._dependencies.length > 0;
   }
 
+  setDependencies(taskIds) {
+    this._dependencies = [];
+    taskIds.forEach(taskId => this.addDependency(taskId));
+    this._updatedAt = new Date();
+  }
+
   // Tags management
   addTag(tag) {
     if (!this._tags.includes(tag)) {
@@ -470,6 +479,7 @@ class Task {
       type: this._type.value,
       category: this._category,
       metadata: this._metadata,
+      dependencies: [...this._dependencies],
       createdAt: this._createdAt.toISOString(),
       updatedAt: this._updatedAt.toISOString(),
       completedAt: this._completedAt ? this._completedAt.toISOString() : null,
@@ -515,7 +525,7 @@ class Task {
   }
 
   static fromJSON(data) {
-    return new Task(
+    const task = new Task(
       data.id,
       data.projectId,
       data.title,
@@ -528,6 +538,8 @@ class Task {
       data.createdAt,
       data.updatedAt
     );
+    (data.dependencies || []).forEach(dependency => task.addDependency(dependency));
+    return task;
   }
 
   static create(idOrProjectId, projectIdOrTitle, titleOrDescription, descriptionOrPriority, priorityOrType, typeOrMetadata, metadataMaybe) {
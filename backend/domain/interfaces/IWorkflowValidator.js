@@ -0,0 +1,63 @@
+/**
+ * IWorkflowValidator - Interface for workflow validation
+ * 
+ * This interface defines the contract for validators that collect
+ * errors and warnings while checking workflow definitions.
+ */
+class IWorkflowValidator {
+  /**
+   * Check if validation passed
+   * @returns {boolean} True if no errors were recorded
+   */
+  isValid() {
+    throw new Error('isValid method must be implemented');
+  }
+
+  /**
+   * Get validation errors
+   * @returns {Array<Object>} Errors
+   */
+  getErrors() {
+    throw new Error('getErrors method must be implemented');
+  }
+
+  /**
+   * Get validation warnings
+   * @returns {Array<Object>} Warnings
+   */
+  getWarnings() {
+    throw new Error('getWarnings method must be implemented');
+  }
+
+  /**
+   * Get all validation messages
+   * @returns {Array<Object>} Errors and warnings
+   */
+  getMessages() {
+    throw new Error('getMessages method must be implemented');
+  }
+
+  /**
+   * Record a validation error
+   * @param {string} field - Field path
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @param {Object} data - Additional data
+   */
+  addError(field, message, code, data) {
+    throw new Error('addError method must be implemented');
+  }
+
+  /**
+   * Record a validation warning
+   * @param {string} field - Field path
+   * @param {string} message - Warning message
+   * @param {string} code - Warning code
+   * @param {Object} data - Additional data
+   */
+  addWarning(field, message, code, data) {
+    throw new Error('addWarning method must be implemented');
+  }
+}
+
+module.exports = IWorkflowValidator;
@@ -8,6 +8,7 @@
 // Workflow Interfaces
 const IWorkflow = require('./IWorkflow');
 const IWorkflowContext = require('./IWorkflowContext');
+const IWorkflowValidator = require('./IWorkflowValidator');
 
 // Handler Interfaces
 const IHandler = require('./IHandler');
@@ -21,6 +22,7 @@ module.exports = {
   // Workflow Interfaces
   IWorkflow,
   IWorkflowContext,
+  IWorkflowValidator,
 
   // Handler Interfaces
   IHandler,
@@ -32,7 +34,8 @@ module.exports = {
   // Convenience exports
   workflow: {
     IWorkflow,
-    IWorkflowContext
+    IWorkflowContext,
+    IWorkflowValidator
   },
 
   handler: {
@@ -48,6 +48,34 @@ module.exports = {
         LARGE_SIZE_BYTES: 1000000
     },
     
+    SARIF: {
+        VERSION: '2.1.0',
+        SCHEMA: 'https://json.schemastore.org/sarif-2.1.0.json',
+        TOOL_NAME: 'PIDEA',
+        // Analysis types that can be exported, with their report section name
+        EXPORT_TYPES: {
+            'security': 'Security',
+            'code-quality': 'Code Quality',
+            'architecture': 'Architecture',
+            'dependencies': 'Dependencies'
+        },
+        // Severity -> SARIF result level
+        LEVELS: {
+            critical: 'error',
+            high: 'error',
+            medium: 'warning',
+            low: 'note',
+            info: 'note'
+        },
+        // Severity -> security-severity score (CVSS range, as read by code scanning UIs)
+        SECURITY_SEVERITY: {
+            critical: '9.5',
+            high: '8.0',
+            medium: '5.5',
+            low: '2.0'
+        }
+    },
+    
     MARKDOWN_TEMPLATES: {
         TABLE_HEADER: '| Metric | Value |\n|--------|-------|\n',
         TABLE_HEADER_WITH_STATUS: '| Metric | Value | Status |\n|--------|-------|--------|\n',
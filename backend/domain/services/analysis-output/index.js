@@ -10,6 +10,7 @@ const ReportGenerator = require('./report-generator');
 const MarkdownFormatter = require('./markdown-formatter');
 const PackageExtractor = require('./package-extractor');
 const SecurityAggregator = require('./security-aggregator');
+const SarifConverter = require('./sarif-converter');
 const UTILS = require('./utils');
 const CONSTANTS = require('./constants');
 
@@ -19,6 +20,7 @@ module.exports = {
     MarkdownFormatter,
     PackageExtractor,
     SecurityAggregator,
+    SarifConverter,
     UTILS,
     CONSTANTS
 }; 
\ No newline at end of file
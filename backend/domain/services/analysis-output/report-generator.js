@@ -4,6 +4,7 @@ const CONSTANTS = require('./constants');
 const MarkdownFormatter = require('./markdown-formatter');
 const PackageExtractor = require('./package-extractor');
 const SecurityAggregator = require('./security-aggregator');
+const SarifConverter = require('./sarif-converter');
 
 /**
  * Report generator service for creating markdown reports
@@ -13,6 +14,7 @@ class ReportGenerator {
         this.markdownFormatter = new MarkdownFormatter();
         this.packageExtractor = new PackageExtractor();
         this.securityAggregator = new SecurityAggregator();
+        this.sarifConverter = new SarifConverter();
     }
 
     /**
@@ -41,6 +43,28 @@ class ReportGenerator {
         }
     }
 
+    /**
+     * Generate a SARIF 2.1.0 report for a project
+     * @param {string} projectId - Project ID
+     * @param {Array} analyses - Analyses to export ({ id, analysisType, result })
+     * @param {string} projectsPath - Projects path
+     * @param {Object} options - { projectPath, toolVersion }
+     * @returns {Promise<Object>} Report generation result with the SARIF log
+     */
+    async generateSarifReport(projectId, analyses, projectsPath, options = {}) {
+        const projectDir = path.join(projectsPath, projectId);
+        await fs.mkdir(projectDir, { recursive: true });
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const filename = `analysis-report-${timestamp}.sarif`;
+        const filepath = path.join(projectDir, filename);
+
+        const sarif = this.sarifConverter.toSarif(analyses, options);
+        await fs.writeFile(filepath, JSON.stringify(sarif, null, 2));
+
+        return { filepath, filename, sarif };
+    }
+
     /**
      * Generate monorepo reports
      * @param {string} projectId - Project ID
@@ -0,0 +1,413 @@
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const CONSTANTS = require('./constants');
+const SecurityAggregator = require('./security-aggregator');
+
+const { SARIF } = CONSTANTS;
+const SRCROOT = '%SRCROOT%';
+// Analysis types whose findings carry a security-severity score
+const SECURITY_TYPES = ['security', 'dependencies'];
+
+/**
+ * SARIF converter service for exporting analysis results and importing external scanner output
+ */
+class SarifConverter {
+    constructor() {
+        this.securityAggregator = new SecurityAggregator();
+    }
+
+    /**
+     * Build a SARIF 2.1.0 log from saved analyses
+     * Each analysis becomes one run; issues imported from other tools are exported as runs of those tools
+     * @param {Array} analyses - Analyses ({ id, analysisType, result, completedAt, createdAt })
+     * @param {Object} options - Options
+     * @param {string} options.projectPath - Project root, used to make file locations relative to %SRCROOT%
+     * @param {string} options.toolVersion - Version reported for the PIDEA tool
+     * @returns {Object} SARIF log
+     */
+    toSarif(analyses, options = {}) {
+        const runs = [];
+
+        for (const analysis of analyses) {
+            const issues = this.getIssues(analysis);
+            const imports = (analysis.result && analysis.result.imports) || [];
+            const own = issues.filter(issue => issue.source !== 'sarif');
+            const byTool = new Map();
+            issues.filter(issue => issue.source === 'sarif').forEach(issue => {
+                if (!byTool.has(issue.scanner)) {
+                    byTool.set(issue.scanner, []);
+                }
+                byTool.get(issue.scanner).push(issue);
+            });
+
+            runs.push(this.createRun(analysis, own, {
+                name: `${SARIF.TOOL_NAME} ${SARIF.EXPORT_TYPES[analysis.analysisType] || analysis.analysisType}`,
+                version: options.toolVersion
+            }, options));
+
+            byTool.forEach((toolIssues, tool) => {
+                const imported = imports.find(entry => entry.tool === tool);
+                runs.push(this.createRun(analysis, toolIssues, {
+                    name: tool,
+                    version: imported && imported.version
+                }, options));
+            });
+        }
+
+        return {
+            $schema: SARIF.SCHEMA,
+            version: SARIF.VERSION,
+            runs
+        };
+    }
+
+    /**
+     * Issues of an analysis result
+     * Legacy monorepo security results are aggregated over their packages first
+     * @param {Object} analysis - Analysis
+     * @returns {Array} Issues
+     */
+    getIssues(analysis) {
+        const result = analysis.result || {};
+        const issues = result.issues || (result.result && result.result.issues);
+        if (Array.isArray(issues) && issues.length > 0) {
+            return issues;
+        }
+
+        const data = result.data || result;
+        if (analysis.analysisType === 'security' && data.isMonorepo && data.packageSecurityAnalyses) {
+            const aggregated = this.securityAggregator.aggregateSecurityData(data);
+            return [...aggregated.vulnerabilities, ...aggregated.codeIssues];
+        }
+
+        return Array.isArray(issues) ? issues : [];
+    }
+
+    createRun(analysis, issues, driver, options) {
+        const type = analysis.analysisType;
+        const defaultFile = this.getDefaultFile(type, analysis.result);
+        const rules = [];
+        const ruleIndexes = new Map();
+
+        const results = issues.map(issue => {
+            const ruleId = this.getRuleId(issue);
+            if (!ruleIndexes.has(ruleId)) {
+                ruleIndexes.set(ruleId, rules.length);
+                rules.push(this.createRule(ruleId, issue, type));
+            }
+            return this.createResult(issue, ruleId, ruleIndexes.get(ruleId), defaultFile, options.projectPath);
+        });
+
+        const run = {
+            tool: {
+                driver: {
+                    name: driver.name,
+                    ...(driver.version && { version: String(driver.version) }),
+                    rules
+                }
+            },
+            automationDetails: { id: `${type}/${analysis.id}` },
+            results,
+            properties: {
+                analysisId: analysis.id,
+                analysisType: type,
+                ...(analysis.result && analysis.result.git && { git: analysis.result.git })
+            }
+        };
+
+        if (options.projectPath) {
+            const rootUri = pathToFileURL(options.projectPath).href;
+            run.originalUriBaseIds = { [SRCROOT]: { uri: rootUri.endsWith('/') ? rootUri : `${rootUri}/` } };
+        }
+
+        const finishedAt = analysis.completedAt || analysis.createdAt;
+        if (finishedAt) {
+            run.invocations = [{ executionSuccessful: true, endTimeUtc: new Date(finishedAt).toISOString() }];
+        }
+
+        return run;
+    }
+
+    // Dependency findings point at packages, so they are reported on the lockfile or manifest
+    getDefaultFile(type, result) {
+        if (type !== 'dependencies' || !result) {
+            return null;
+        }
+        const summary = result.summary || (result.result && result.result.summary) || {};
+        const lockfiles = (summary.dependencyGraph && summary.dependencyGraph.lockfiles) || [];
+        return lockfiles.length > 0 ? lockfiles[0].replace(/ \(.*\)$/, '') : 'package.json';
+    }
+
+    getRuleId(issue) {
+        return String(issue.rule || issue.ruleId || issue.vulnerability || issue.type || 'issue');
+    }
+
+    createRule(ruleId, issue, type) {
+        const severity = this.normalizeSeverity(issue.severity);
+        const tags = [type, issue.category].filter(Boolean);
+        const cweId = issue.cwe && String(issue.cwe).match(/(\d+)/);
+        if (cweId) {
+            tags.push(`external/cwe/cwe-${cweId[1]}`);
+        }
+
+        const help = issue.suggestion || issue.recommendation;
+        return {
+            id: ruleId,
+            shortDescription: { text: issue.title || ruleId },
+            ...(issue.description && { fullDescription: { text: issue.description } }),
+            ...(typeof help === 'string' && { help: { text: help } }),
+            ...(issue.url && { helpUri: issue.url }),
+            defaultConfiguration: { level: SARIF.LEVELS[severity] || 'warning' },
+            properties: {
+                tags: [...new Set(tags)],
+                ...(SECURITY_TYPES.includes(type) && SARIF.SECURITY_SEVERITY[severity] && {
+                    'security-severity': SARIF.SECURITY_SEVERITY[severity]
+                })
+            }
+        };
+    }
+
+    createResult(issue, ruleId, ruleIndex, defaultFile, projectPath) {
+        const severity = this.normalizeSeverity(issue.severity);
+        const result = {
+            ruleId,
+            ruleIndex,
+            level: SARIF.LEVELS[severity] || 'warning',
+            message: { text: String(issue.message || issue.title || issue.description || ruleId) },
+            properties: {
+                severity,
+                ...(issue.category && { category: issue.category }),
+                ...(issue.package && { package: issue.package, version: issue.version })
+            }
+        };
+
+        const file = issue.file || issue.filePath || defaultFile;
+        if (file) {
+            const artifactLocation = this.toArtifactLocation(file, projectPath);
+            const region = this.createRegion(issue);
+            result.locations = [{ physicalLocation: { artifactLocation, ...(region && { region }) } }];
+        } else if (issue.location) {
+            result.locations = [{ logicalLocations: [{ name: String(issue.location) }] }];
+        }
+
+        if (issue.fingerprint) {
+            result.partialFingerprints = { 'pidea/v1': issue.fingerprint };
+        }
+        if (issue.baselineStatus) {
+            result.baselineState = issue.baselineStatus === 'new' ? 'new' : 'unchanged';
+        }
+
+        return result;
+    }
+
+    createRegion(issue) {
+        const line = parseInt(issue.line, 10);
+        if (!line || line < 1) {
+            return null;
+        }
+        const column = parseInt(issue.column, 10);
+        const endLine = parseInt(issue.endLine, 10);
+        const endColumn = parseInt(issue.endColumn, 10);
+        return {
+            startLine: line,
+            ...(column > 0 && { startColumn: column }),
+            ...(endLine >= line && { endLine }),
+            ...(endColumn > 0 && { endColumn }),
+            ...(issue.snippet && { snippet: { text: String(issue.snippet) } })
+        };
+    }
+
+    toArtifactLocation(file, projectPath) {
+        const normalized = String(file).replace(/\\/g, '/');
+        if (path.isAbsolute(normalized)) {
+            const relative = projectPath ? path.relative(projectPath, normalized).replace(/\\/g, '/') : null;
+            if (!relative || relative.startsWith('..')) {
+                return { uri: pathToFileURL(normalized).href };
+            }
+            return { uri: encodeURI(relative), uriBaseId: SRCROOT };
+        }
+        return { uri: encodeURI(normalized.replace(/^\.\//, '')), uriBaseId: SRCROOT };
+    }
+
+    normalizeSeverity(severity) {
+        const value = String(severity || 'medium').toLowerCase();
+        if (value === 'error') return 'high';
+        if (value === 'warning' || value === 'moderate') return 'medium';
+        if (value === 'note' || value === 'minor') return 'low';
+        return ['critical', 'high', 'medium', 'low', 'info'].includes(value) ? value : 'medium';
+    }
+
+    /**
+     * Read the results of a SARIF 2.1.0 log as PIDEA issues
+     * Suppressed results and results absent since the tool's own baseline are skipped
+     * @param {Object} log - Parsed SARIF log
+     * @param {Object} options - Options
+     * @param {string} options.projectPath - Project root, used to make file locations relative
+     * @returns {Object} { runs: [{ tool, version, issues, suppressed }], errors }
+     */
+    fromSarif(log, options = {}) {
+        if (!log || typeof log !== 'object' || Array.isArray(log)) {
+            throw new Error('SARIF log must be a JSON object');
+        }
+        if (log.version !== SARIF.VERSION) {
+            throw new Error(`Unsupported SARIF version "${log.version}" (expected ${SARIF.VERSION})`);
+        }
+        if (!Array.isArray(log.runs)) {
+            throw new Error('SARIF log has no runs');
+        }
+
+        const errors = [];
+        const runs = [];
+        log.runs.forEach((run, index) => {
+            const driver = run && run.tool && run.tool.driver;
+            if (!driver || !driver.name) {
+                errors.push({ run: index, message: 'Run has no tool.driver.name' });
+                return;
+            }
+            runs.push(this.readRun(run, driver, options));
+        });
+
+        return { runs, errors };
+    }
+
+    readRun(run, driver, options) {
+        const rules = driver.rules || [];
+        const rulesById = new Map();
+        [driver, ...((run.tool.extensions) || [])].forEach(component => {
+            (component.rules || []).forEach(rule => rule && rule.id && rulesById.set(rule.id, rule));
+        });
+
+        const issues = [];
+        let suppressed = 0;
+        for (const result of run.results || []) {
+            const isSuppressed = (result.suppressions || []).some(suppression => suppression.status !== 'rejected');
+            if (isSuppressed || result.baselineState === 'absent') {
+                suppressed += isSuppressed ? 1 : 0;
+                continue;
+            }
+
+            const ruleId = result.ruleId || (result.rule && result.rule.id) || null;
+            const rule = (Number.isInteger(result.ruleIndex) && rules[result.ruleIndex]) || rulesById.get(ruleId) || null;
+            issues.push(this.readResult(result, rule, run, driver.name, options.projectPath));
+        }
+
+        return {
+            tool: driver.name,
+            version: driver.semanticVersion || driver.version || null,
+            issues,
+            suppressed
+        };
+    }
+
+    readResult(result, rule, run, tool, projectPath) {
+        const ruleId = result.ruleId || (rule && rule.id) || 'external';
+        const location = (result.locations || [])[0] || {};
+        const physical = location.physicalLocation || {};
+        const artifact = physical.artifactLocation || {};
+        const uri = artifact.uri
+            || (Number.isInteger(artifact.index) && run.artifacts && run.artifacts[artifact.index]
+                && run.artifacts[artifact.index].location && run.artifacts[artifact.index].location.uri)
+            || null;
+        const file = uri ? this.fromUri(uri, artifact.uriBaseId, run.originalUriBaseIds, projectPath) : null;
+        const region = physical.region || {};
+        const line = region.startLine || null;
+        const column = region.startColumn || null;
+        const logicalName = ((location.logicalLocations || [])[0] || {}).fullyQualifiedName
+            || ((location.logicalLocations || [])[0] || {}).name;
+
+        return {
+            type: 'external',
+            rule: ruleId,
+            title: (rule && rule.shortDescription && rule.shortDescription.text) || (rule && rule.name) || ruleId,
+            message: this.readMessage(result.message, rule) || ruleId,
+            description: (rule && rule.fullDescription && rule.fullDescription.text) || null,
+            severity: this.readSeverity(result, rule),
+            file,
+            line,
+            column,
+            endLine: region.endLine || line,
+            endColumn: region.endColumn || null,
+            location: file ? [file, line, column].filter(Boolean).join(':') : (logicalName || null),
+            snippet: (region.snippet && region.snippet.text) || null,
+            cwe: this.readCwe(result, rule),
+            suggestion: (rule && rule.help && rule.help.text) || null,
+            helpUri: (rule && rule.helpUri) || null,
+            scanner: tool,
+            source: 'sarif',
+            externalFingerprints: result.partialFingerprints || result.fingerprints || null
+        };
+    }
+
+    readMessage(message, rule) {
+        if (!message) {
+            return null;
+        }
+        const template = message.text
+            || (message.id && rule && rule.messageStrings && rule.messageStrings[message.id] && rule.messageStrings[message.id].text)
+            || message.markdown;
+        if (!template) {
+            return null;
+        }
+        const args = message.arguments || [];
+        return template.replace(/\{(\d+)\}/g, (placeholder, index) => (args[index] !== undefined ? args[index] : placeholder));
+    }
+
+    // security-severity (0-10) wins over the result level
+    readSeverity(result, rule) {
+        const properties = result.properties || {};
+        const ruleProperties = (rule && rule.properties) || {};
+        const score = parseFloat(properties['security-severity'] !== undefined ? properties['security-severity'] : ruleProperties['security-severity']);
+        if (!Number.isNaN(score)) {
+            if (score >= 9) return 'critical';
+            if (score >= 7) return 'high';
+            if (score >= 4) return 'medium';
+            return 'low';
+        }
+
+        const level = result.level || (rule && rule.defaultConfiguration && rule.defaultConfiguration.level) || 'warning';
+        return { error: 'high', warning: 'medium', note: 'low', none: 'info' }[level] || 'medium';
+    }
+
+    readCwe(result, rule) {
+        const tags = [
+            ...(((rule && rule.properties) || {}).tags || []),
+            ...((result.properties || {}).tags || [])
+        ];
+        for (const tag of tags) {
+            const match = String(tag).match(/cwe[-/:](\d+)/i);
+            if (match) {
+                return `CWE-${Number(match[1])}`;
+            }
+        }
+        return null;
+    }
+
+    fromUri(uri, uriBaseId, baseIds, projectPath) {
+        try {
+            const base = uriBaseId && baseIds && baseIds[uriBaseId] && baseIds[uriBaseId].uri;
+            let filePath;
+            if (/^file:/i.test(uri)) {
+                filePath = fileURLToPath(uri);
+            } else if (base && /^file:/i.test(base)) {
+                filePath = fileURLToPath(new URL(uri, base.endsWith('/') ? base : `${base}/`));
+            } else {
+                filePath = decodeURIComponent(uri);
+            }
+
+            if (projectPath && path.isAbsolute(filePath)) {
+                const relative = path.relative(projectPath, filePath);
+                if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+                    filePath = relative;
+                } else if (!/^file:/i.test(uri)) {
+                    // Base of another checkout (e.g. the CI workspace): the uri is already repository-relative
+                    filePath = decodeURIComponent(uri);
+                }
+            }
+            return filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+        } catch (error) {
+            return uri;
+        }
+    }
+}
+
+module.exports = SarifConverter;
@@ -0,0 +1,124 @@
+/**
+ * AdvisoryDatabase - Domain Service
+ * Matches resolved package versions against an offline security advisory file.
+ * The file (config/dependency-advisories.json by default, DEPENDENCY_ADVISORY_DB to override)
+ * is plain JSON so it can be refreshed independently of the code.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const semver = require('semver');
+const Logger = require('@logging/Logger');
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '../../../config/dependency-advisories.json');
+const SEVERITY_LEVELS = ['low', 'moderate', 'high', 'critical'];
+
+class AdvisoryDatabase {
+  constructor(options = {}) {
+    this.databasePath = options.databasePath || process.env.DEPENDENCY_ADVISORY_DB || DEFAULT_DATABASE_PATH;
+    this.logger = new Logger('AdvisoryDatabase');
+    this.cache = null;
+  }
+
+  /**
+   * Load the advisory file; reloaded whenever it changes on disk
+   * @returns {Promise<Object>} { updatedAt, source, advisories, byPackage }
+   */
+  async load() {
+    const stat = await fs.stat(this.databasePath);
+    if (this.cache && this.cache.mtimeMs === stat.mtimeMs) {
+      return this.cache.database;
+    }
+
+    const data = JSON.parse(await fs.readFile(this.databasePath, 'utf8'));
+    const { advisories, invalid } = this.validate(data);
+    if (invalid.length > 0) {
+      this.logger.warn(`Ignoring ${invalid.length} invalid advisories in ${this.databasePath}`, { ids: invalid });
+    }
+
+    const byPackage = new Map();
+    for (const advisory of advisories) {
+      if (!byPackage.has(advisory.package)) byPackage.set(advisory.package, []);
+      byPackage.get(advisory.package).push(advisory);
+    }
+
+    const database = {
+      updatedAt: data.updatedAt || null,
+      source: data.source || null,
+      advisories,
+      byPackage
+    };
+    this.cache = { mtimeMs: stat.mtimeMs, database };
+    return database;
+  }
+
+  /**
+   * Keep the advisories with a package, a valid range and a known severity
+   * @param {Object} data - Parsed advisory file
+   * @returns {Object} { advisories, invalid }
+   */
+  validate(data) {
+    if (!data || !Array.isArray(data.advisories)) {
+      throw new Error(`Advisory database ${this.databasePath} has no "advisories" array`);
+    }
+
+    const advisories = [];
+    const invalid = [];
+    for (const advisory of data.advisories) {
+      const valid = advisory && advisory.id && advisory.package &&
+        semver.validRange(advisory.vulnerableVersions) &&
+        SEVERITY_LEVELS.includes(advisory.severity);
+      if (valid) {
+        advisories.push(advisory);
+      } else {
+        invalid.push(advisory && advisory.id);
+      }
+    }
+    return { advisories, invalid };
+  }
+
+  /**
+   * Advisories affecting a package version
+   * @param {string} name - Package name
+   * @param {string} version - Installed or locked version
+   * @returns {Promise<Array>} Matching advisories with the first fixed version
+   */
+  async findAdvisories(name, version) {
+    const database = await this.load();
+    const candidates = database.byPackage.get(name) || [];
+    if (candidates.length === 0 || !semver.valid(version)) {
+      return [];
+    }
+
+    return candidates
+      .filter(advisory => semver.satisfies(version, advisory.vulnerableVersions, { includePrerelease: true }))
+      .map(advisory => ({ ...advisory, fixedIn: this.getFixedVersion(version, advisory) }));
+  }
+
+  /**
+   * Lowest patched version above the affected one
+   * @param {string} version - Affected version
+   * @param {Object} advisory - Advisory
+   * @returns {string|null} Fixed version
+   */
+  getFixedVersion(version, advisory) {
+    if (!advisory.patchedVersions) return null;
+
+    const candidates = advisory.patchedVersions.split('||')
+      .map(range => semver.minVersion(range.trim()))
+      .filter(candidate => candidate && semver.gt(candidate, version))
+      .sort(semver.compare);
+    return candidates.length > 0 ? candidates[0].version : null;
+  }
+
+  /**
+   * Rank of an advisory severity
+   * @param {string} severity - 'low', 'moderate', 'high' or 'critical'
+   * @returns {number} 0-3
+   */
+  static getSeverityRank(severity) {
+    return SEVERITY_LEVELS.indexOf(severity);
+  }
+}
+
+module.exports = AdvisoryDatabase;
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const Logger = require('@logging/Logger');
+const logger = new Logger('AnalysisBaselineService');
+
+const execFileAsync = promisify(execFile);
+const GIT_TIMEOUT = 10000;
+
+/**
+ * AnalysisBaselineService - Fingerprints analysis findings and compares them with a baseline
+ *
+ * A fingerprint is a hash of rule + file + normalized source snippet, so a finding keeps
+ * its identity when code above it moves. Repeated identical findings in one file get
+ * an occurrence suffix (":1", ":2", ...).
+ */
+class AnalysisBaselineService {
+  constructor(dependencies = {}) {
+    this.gitTimeout = dependencies.gitTimeout || GIT_TIMEOUT;
+  }
+
+  /**
+   * Issues stored in an analysis result; orchestrator step results nest them under result
+   * @param {Object} result - Analysis result
+   * @returns {Array} Issues
+   */
+  getResultIssues(result) {
+    if (!result) {
+      return [];
+    }
+    if (Array.isArray(result.issues)) {
+      return result.issues;
+    }
+    return (result.result && Array.isArray(result.result.issues)) ? result.result.issues : [];
+  }
+
+  /**
+   * Add a fingerprint to every issue (existing fingerprints are kept)
+   * @param {Array} issues - Issues of one analysis
+   * @param {string} projectPath - Project directory, used to read the flagged source line
+   * @returns {Promise<Array>} Copies of the issues with a fingerprint property
+   */
+  async fingerprintIssues(issues = [], projectPath = null) {
+    const sourceCache = new Map();
+    const occurrences = new Map();
+    const fingerprinted = [];
+
+    for (const issue of issues) {
+      if (issue.fingerprint) {
+        fingerprinted.push(issue);
+        continue;
+      }
+
+      const file = this.normalizeFile(issue.file || issue.filePath, projectPath);
+      const snippet = issue.snippet || await this.readLine(projectPath, issue.file || issue.filePath, issue.line, sourceCache)
+        || String(issue.message || issue.title || '').replace(/\d+/g, '#');
+      const rule = issue.rule || issue.ruleId || issue.type || issue.category || 'issue';
+      const hash = crypto.createHash('sha256')
+        .update([rule, file, this.normalizeSnippet(snippet)].join('\0'))
+        .digest('hex')
+        .slice(0, 16);
+
+      const count = occurrences.get(hash) || 0;
+      occurrences.set(hash, count + 1);
+      fingerprinted.push({ ...issue, fingerprint: count === 0 ? hash : `${hash}:${count}` });
+    }
+
+    return fingerprinted;
+  }
+
+  /**
+   * Compare fingerprinted issues of the current analysis with the baseline issues
+   * @param {Array} currentIssues - Fingerprinted issues of the current analysis
+   * @param {Array} baselineIssues - Fingerprinted issues of the baseline analysis
+   * @returns {Object} { new, fixed, unchanged, summary }
+   */
+  diff(currentIssues = [], baselineIssues = []) {
+    const baselineFingerprints = new Set(baselineIssues.map(issue => issue.fingerprint));
+    const currentFingerprints = new Set(currentIssues.map(issue => issue.fingerprint));
+
+    const added = currentIssues.filter(issue => !baselineFingerprints.has(issue.fingerprint));
+    const unchanged = currentIssues.filter(issue => baselineFingerprints.has(issue.fingerprint));
+    const fixed = baselineIssues.filter(issue => !currentFingerprints.has(issue.fingerprint));
+
+    return {
+      new: added,
+      fixed,
+      unchanged,
+      summary: {
+        new: added.length,
+        fixed: fixed.length,
+        unchanged: unchanged.length,
+        total: currentIssues.length
+      }
+    };
+  }
+
+  /**
+   * Keep the issues that are not part of the baseline
+   * @param {Array} issues - Issues of the current analysis
+   * @param {Object} baseline - Resolved baseline ({ issues } with fingerprints)
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Array>} New issues
+   */
+  async filterNewIssues(issues, baseline, projectPath) {
+    const fingerprinted = await this.fingerprintIssues(issues, projectPath);
+    if (!baseline) {
+      return fingerprinted;
+    }
+    return this.diff(fingerprinted, baseline.issues || []).new;
+  }
+
+  normalizeFile(file, projectPath) {
+    if (!file) {
+      return '';
+    }
+    let normalized = String(file).replace(/\\/g, '/');
+    const root = projectPath ? projectPath.replace(/\\/g, '/').replace(/\/$/, '') : null;
+    if (root && normalized.startsWith(`${root}/`)) {
+      normalized = normalized.slice(root.length + 1);
+    }
+    return normalized.replace(/^\.\//, '');
+  }
+
+  // Formatting changes (indentation, spaces around punctuation) keep the fingerprint
+  normalizeSnippet(snippet) {
+    return String(snippet)
+      .replace(/\s+/g, ' ')
+      .replace(/\s*([^\w\s])\s*/g, '$1')
+      .trim();
+  }
+
+  async readLine(projectPath, file, line, cache) {
+    if (!file || !line || line < 1) {
+      return null;
+    }
+
+    const filePath = path.isAbsolute(file) ? file : (projectPath ? path.join(projectPath, file) : null);
+    if (!filePath) {
+      return null;
+    }
+
+    if (!cache.has(filePath)) {
+      cache.set(filePath, fs.promises.readFile(filePath, 'utf8').then(content => content.split('\n'), () => null));
+    }
+    const lines = await cache.get(filePath);
+    const text = lines && lines[line - 1];
+    return text && text.trim() ? text : null;
+  }
+
+  /**
+   * Current branch and HEAD commit of the project repository
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Object|null>} { branch, commit } or null outside a git repository
+   */
+  async getGitInfo(projectPath) {
+    if (!projectPath) {
+      return null;
+    }
+    try {
+      const commit = await this.git(projectPath, ['rev-parse', 'HEAD']);
+      const branch = await this.git(projectPath, ['rev-parse', '--abbrev-ref', 'HEAD']);
+      return { branch: branch === 'HEAD' ? null : branch, commit };
+    } catch (error) {
+      logger.debug(`No git information for ${projectPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Commit where HEAD forked from the given ref
+   * @param {string} projectPath - Project directory
+   * @param {string} ref - Branch, tag or commit
+   * @returns {Promise<string>} Merge base commit
+   */
+  async resolveMergeBase(projectPath, ref) {
+    if (!ref || String(ref).startsWith('-')) {
+      throw new Error(`Invalid git ref "${ref}"`);
+    }
+    try {
+      return await this.git(projectPath, ['merge-base', 'HEAD', ref]);
+    } catch (error) {
+      throw new Error(`Cannot resolve git ref "${ref}": ${error.message.split('\n')[0]}`);
+    }
+  }
+
+  /**
+   * Whether a commit is an ancestor of (or equal to) another commit
+   * @param {string} projectPath - Project directory
+   * @param {string} ancestor - Possible ancestor commit
+   * @param {string} commit - Descendant commit
+   * @returns {Promise<boolean>}
+   */
+  async isAncestor(projectPath, ancestor, commit) {
+    if (ancestor === commit) {
+      return true;
+    }
+    try {
+      await this.git(projectPath, ['merge-base', '--is-ancestor', ancestor, commit]);
+      return true;
+    } catch (error) {
+      // Exit code 1 means "not an ancestor", anything else (unknown commit) counts the same
+      return false;
+    }
+  }
+
+  async git(projectPath, args) {
+    const { stdout } = await execFileAsync('git', args, { cwd: projectPath, timeout: this.gitTimeout });
+    return stdout.trim();
+  }
+}
+
+module.exports = AnalysisBaselineService;
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const Logger = require('@logging/Logger');
+const logger = new Logger('AnalysisFileIndexService');
+
+// In-memory index for steps executed outside the DI container
+let sharedInstance = null;
+
+/**
+ * AnalysisFileIndexService - Per-project index of analyzed files keyed by content hash
+ *
+ * Analysis steps hand their per-file analysis to analyzeFiles(): a file whose content hash
+ * and analyzer version match the index keeps its cached result, every other file is analyzed
+ * again. Index entries of deleted files are dropped. The index is stored through the analysis
+ * repository, or kept in memory when no repository supports it.
+ *
+ * Steps must change the version they pass when their per-file detection changes, otherwise
+ * unchanged files keep results of the previous implementation.
+ */
+class AnalysisFileIndexService {
+  constructor(dependencies = {}) {
+    this.analysisRepository = dependencies.analysisRepository || null;
+    this.logger = dependencies.logger || logger;
+    this.memoryIndexes = new Map();
+  }
+
+  /**
+   * Analyze files, reusing the cached result of every file whose content is unchanged
+   * @param {Array<string|Object>} files - Absolute file paths or { path } objects
+   * @param {Function} analyze - (content, file) => per-file result; must be JSON-serializable
+   * @param {Object} options - { projectId, analyzer, version, incremental (default true) }
+   * Without projectId or analyzer every file is analyzed and nothing is stored
+   * @returns {Promise<Object>} { results: [{ file, result }] in file order, stats: { total, analyzed, reused, removed, failed } }
+   */
+  async analyzeFiles(files, analyze, options = {}) {
+    const { projectId = null, analyzer = null, incremental = true } = options;
+    const version = String(options.version || '1');
+    const indexed = Boolean(projectId && analyzer);
+    const index = indexed && incremental ? await this.loadIndex(projectId, analyzer) : new Map();
+
+    const results = [];
+    const changed = [];
+    const seen = new Set();
+    const stats = { total: files.length, analyzed: 0, reused: 0, removed: 0, failed: 0 };
+
+    for (const file of files) {
+      const filePath = typeof file === 'string' ? file : file.path;
+      seen.add(filePath);
+
+      let content;
+      try {
+        content = await fs.promises.readFile(filePath, 'utf8');
+      } catch (error) {
+        // Unreadable files are skipped, like in a full scan
+        stats.failed++;
+        continue;
+      }
+
+      const contentHash = this.hashContent(content);
+      const entry = index.get(filePath);
+      if (entry && entry.contentHash === contentHash && entry.version === version) {
+        results.push({ file, result: entry.result });
+        stats.reused++;
+        continue;
+      }
+
+      const result = await analyze(content, file);
+      results.push({ file, result });
+      changed.push({ filePath, contentHash, version, result });
+      stats.analyzed++;
+    }
+
+    const removed = [...index.keys()].filter(filePath => !seen.has(filePath));
+    stats.removed = removed.length;
+
+    if (indexed) {
+      await this.saveIndex(projectId, analyzer, changed, removed, !incremental);
+    }
+
+    this.logger.debug(`${analyzer || 'Analysis'}: ${stats.analyzed} files analyzed, ${stats.reused} reused from the file index`);
+    return { results, stats };
+  }
+
+  /**
+   * Hash of a file's content
+   * @param {string} content - File content
+   * @returns {string} SHA-256 hex digest
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+  }
+
+  /**
+   * Analyzer version derived from values that change per-file results (rule sets, settings)
+   * @param {...*} parts - JSON-serializable values; regular expressions are included by source
+   * @returns {string} Short hash
+   */
+  createVersion(...parts) {
+    const serialized = JSON.stringify(parts, (key, value) => (value instanceof RegExp ? value.toString() : value));
+    return crypto.createHash('sha256').update(serialized).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Remove the index of a project, for one analyzer or all of them
+   * @param {string} projectId - Project ID
+   * @param {string|null} analyzer - Analyzer name (default: all)
+   * @returns {Promise<void>}
+   */
+  async clearIndex(projectId, analyzer = null) {
+    for (const key of [...this.memoryIndexes.keys()]) {
+      if (key.startsWith(`${projectId}\0`) && (!analyzer || key === this.getKey(projectId, analyzer))) {
+        this.memoryIndexes.delete(key);
+      }
+    }
+    if (this.isPersistent()) {
+      await this.analysisRepository.clearFileIndex(projectId, analyzer);
+    }
+  }
+
+  async loadIndex(projectId, analyzer) {
+    if (!this.isPersistent()) {
+      return new Map(this.memoryIndexes.get(this.getKey(projectId, analyzer)) || []);
+    }
+
+    try {
+      const entries = await this.analysisRepository.getFileIndex(projectId, analyzer);
+      return new Map(entries.map(entry => [entry.filePath, entry]));
+    } catch (error) {
+      // A missing index only costs a full scan
+      this.logger.warn(`Failed to load the file index of ${analyzer} for project ${projectId}: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  async saveIndex(projectId, analyzer, changed, removed, replace = false) {
+    if (!this.isPersistent()) {
+      const key = this.getKey(projectId, analyzer);
+      const index = replace ? new Map() : (this.memoryIndexes.get(key) || new Map());
+      changed.forEach(entry => index.set(entry.filePath, entry));
+      removed.forEach(filePath => index.delete(filePath));
+      this.memoryIndexes.set(key, index);
+      return;
+    }
+
+    try {
+      if (replace) {
+        await this.analysisRepository.clearFileIndex(projectId, analyzer);
+      }
+      await this.analysisRepository.saveFileIndexEntries(projectId, analyzer, changed);
+      await this.analysisRepository.deleteFileIndexEntries(projectId, analyzer, removed);
+    } catch (error) {
+      this.logger.warn(`Failed to save the file index of ${analyzer} for project ${projectId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * File index service of a step execution context (DI container), or a shared in-memory one
+   * @param {Object} context - Step execution context
+   * @returns {AnalysisFileIndexService}
+   */
+  static fromContext(context = {}) {
+    if (typeof context.getService === 'function') {
+      try {
+        const service = context.getService('analysisFileIndexService');
+        if (service) {
+          return service;
+        }
+      } catch (error) {
+        logger.debug(`analysisFileIndexService not registered: ${error.message}`);
+      }
+    }
+    if (!sharedInstance) {
+      sharedInstance = new AnalysisFileIndexService();
+    }
+    return sharedInstance;
+  }
+
+  isPersistent() {
+    return Boolean(this.analysisRepository && typeof this.analysisRepository.getFileIndex === 'function');
+  }
+
+  getKey(projectId, analyzer) {
+    return `${projectId}\0${analyzer}`;
+  }
+}
+
+module.exports = AnalysisFileIndexService;
@@ -4,10 +4,11 @@
  * This service has been refactored to use a modular architecture for better maintainability.
  * The original functionality has been split into focused modules:
  * - FileSystemService: Handles file operations
- * - ReportGenerator: Generates markdown reports
+ * - ReportGenerator: Generates markdown and SARIF reports
  * - MarkdownFormatter: Formats data into markdown
  * - PackageExtractor: Extracts and filters package data
  * - SecurityAggregator: Aggregates security data for monorepos
+ * - SarifConverter: Converts analyses to SARIF and reads external SARIF logs
  * - UTILS: Utility functions
  * - CONSTANTS: Configuration constants
  */
@@ -18,6 +19,7 @@ const {
     MarkdownFormatter,
     PackageExtractor,
     SecurityAggregator,
+    SarifConverter,
     UTILS,
     CONSTANTS
 } = require('../analysis-output');
@@ -29,6 +31,7 @@ class AnalysisOutputService {
         this.markdownFormatter = new MarkdownFormatter();
         this.packageExtractor = new PackageExtractor();
         this.securityAggregator = new SecurityAggregator();
+        this.sarifConverter = new SarifConverter();
         
         // Inject dependencies
         this.analysisRepository = dependencies.analysisRepository;
@@ -64,6 +67,28 @@ class AnalysisOutputService {
         return await this.reportGenerator.generateMarkdownReport(projectId, analysisResults, projectsPath);
     }
 
+    /**
+     * Generate SARIF 2.1.0 report for a project
+     * @param {string} projectId - Project ID
+     * @param {Array} analyses - Analyses to export
+     * @param {Object} options - { projectPath, toolVersion }
+     * @returns {Promise<Object>} Report generation result with the SARIF log
+     */
+    async generateSarifReport(projectId, analyses, options = {}) {
+        const projectsPath = this.fileSystemService.getProjectsPath();
+        return await this.reportGenerator.generateSarifReport(projectId, analyses, projectsPath, options);
+    }
+
+    /**
+     * Read an external SARIF log as issues
+     * @param {Object} log - Parsed SARIF log
+     * @param {Object} options - { projectPath }
+     * @returns {Object} { runs, errors }
+     */
+    parseSarif(log, options = {}) {
+        return this.sarifConverter.fromSarif(log, options);
+    }
+
     /**
      * Extract packages from analysis results
      * @param {Object} analysisResults - Analysis results object
@@ -7,17 +7,19 @@
 
 const Logger = require('@logging/Logger');
 const { v4: uuidv4 } = require('uuid');
+const AnalysisBaselineService = require('./AnalysisBaselineService');
 
 class AnalysisTaskService {
-  constructor(taskRepository = null, logger = null) {
+  constructor(taskRepository = null, logger = null, baselineService = null) {
     this.taskRepository = taskRepository;
     this.logger = logger || new Logger('AnalysisTaskService');
+    this.baselineService = baselineService || new AnalysisBaselineService();
   }
 
   /**
    * Create tasks from analysis results using unified structure
    * @param {Object} analysisResult - Analysis result object
-   * @param {Object} context - Execution context
+   * @param {Object} context - Execution context; with context.baseline only new findings become tasks
    * @param {string} analysisType - Type of analysis (e.g., 'SecurityAnalysisOrchestrator')
    * @returns {Promise<Array>} Array of created tasks
    */
@@ -30,8 +32,18 @@ class AnalysisTaskService {
       const timestamp = new Date().toISOString();
       
       // Extract data from analysis result
-      const issues = analysisResult.issues || [];
-      const recommendations = analysisResult.recommendations || [];
+      let issues = analysisResult.issues || [];
+      let recommendations = analysisResult.recommendations || [];
+      
+      // Findings already in the baseline were turned into tasks before
+      if (context.baseline) {
+        issues = await this.baselineService.filterNewIssues(issues, context.baseline, context.projectPath);
+        recommendations = [];
+        this.logger.info(`${issues.length} new issues since baseline ${context.baseline.analysisId}`);
+        if (issues.length === 0) {
+          return [];
+        }
+      }
       const score = analysisResult.score || analysisResult.overallScore || 0;
       
       // Create main improvement task
@@ -0,0 +1,218 @@
+/**
+ * CIConfigParser - Domain Service
+ * Normalizes GitHub Actions workflows and GitLab CI pipelines into jobs and steps
+ * with the source line of every job and step
+ */
+
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Top-level GitLab CI keys that are not jobs
+const GITLAB_RESERVED_KEYS = [
+  'stages', 'variables', 'default', 'include', 'workflow', 'image', 'services',
+  'before_script', 'after_script', 'cache'
+];
+
+class CIConfigParser {
+  /**
+   * Detect the CI provider from a config file path
+   * @param {string} file - Path relative to the project root
+   * @returns {string|null} 'github-actions', 'gitlab-ci' or null
+   */
+  getProvider(file) {
+    const normalized = file.split(path.sep).join('/');
+    if (/(^|\/)\.github\/workflows\/[^/]+\.ya?ml$/.test(normalized)) return 'github-actions';
+    if (/(^|\/)\.gitlab-ci\.ya?ml$/.test(normalized)) return 'gitlab-ci';
+    return null;
+  }
+
+  /**
+   * Parse a CI config file
+   * @param {string} content - YAML content
+   * @param {string} file - Path relative to the project root
+   * @returns {Object} { provider, file, name, jobs, permissions, error }
+   */
+  parse(content, file) {
+    const provider = this.getProvider(file);
+    const pipeline = { provider, file, name: null, jobs: [], permissions: null, error: null };
+
+    let document;
+    try {
+      document = yaml.load(content) || {};
+    } catch (error) {
+      pipeline.error = { message: error.reason || error.message, line: error.mark ? error.mark.line + 1 : 1 };
+      return pipeline;
+    }
+    if (typeof document !== 'object' || Array.isArray(document)) {
+      pipeline.error = { message: 'CI configuration is not a YAML mapping', line: 1 };
+      return pipeline;
+    }
+
+    const locator = new LineLocator(content);
+    if (provider === 'github-actions') {
+      this.parseGitHubWorkflow(document, pipeline, locator);
+    } else if (provider === 'gitlab-ci') {
+      this.parseGitLabPipeline(document, pipeline, locator);
+    }
+    return pipeline;
+  }
+
+  parseGitHubWorkflow(document, pipeline, locator) {
+    pipeline.name = document.name || null;
+    pipeline.permissions = document.permissions !== undefined ? document.permissions : null;
+
+    const jobsLine = locator.findKey('jobs', 0, 0);
+    const jobIndent = locator.getIndentAfter(jobsLine);
+    for (const [id, job] of Object.entries(document.jobs || {})) {
+      if (!job || typeof job !== 'object') continue;
+
+      const jobLine = locator.findKey(id, jobsLine, jobIndent);
+      const steps = [];
+      let cursor = jobLine;
+      for (const step of Array.isArray(job.steps) ? job.steps : []) {
+        if (!step || typeof step !== 'object') continue;
+        // Steps are located in order, starting after the previous step
+        const firstRunLine = typeof step.run === 'string' ? step.run.split('\n')[0].trim() : null;
+        const needles = step.uses
+          ? [`uses: ${step.uses}`, step.uses]
+          : step.name ? [`name: ${step.name}`, step.name] : [firstRunLine, 'run:'];
+        const line = needles.map(needle => locator.findText(needle, cursor + 1)).find(Boolean) || cursor;
+        cursor = line;
+        steps.push({
+          name: step.name || step.uses || (typeof step.run === 'string' ? step.run.split('\n')[0] : null),
+          uses: step.uses || null,
+          run: typeof step.run === 'string' ? step.run : null,
+          line
+        });
+      }
+
+      pipeline.jobs.push({
+        id,
+        name: job.name || id,
+        line: jobLine,
+        uses: typeof job.uses === 'string' ? job.uses : null,
+        permissions: job.permissions !== undefined ? job.permissions : null,
+        steps
+      });
+    }
+  }
+
+  parseGitLabPipeline(document, pipeline, locator) {
+    const globalScripts = ['before_script', 'after_script']
+      .flatMap(key => this.toScriptLines(document[key]));
+
+    for (const [id, job] of Object.entries(document)) {
+      if (GITLAB_RESERVED_KEYS.includes(id) || id.startsWith('.') || !job || typeof job !== 'object' || Array.isArray(job)) {
+        continue;
+      }
+
+      const jobLine = locator.findKey(id, 0, 0);
+      const steps = [];
+      let cursor = jobLine;
+      for (const script of [...this.toScriptLines(job.before_script), ...this.toScriptLines(job.script), ...this.toScriptLines(job.after_script)]) {
+        const line = locator.findText(script.split('\n')[0], cursor + 1) || cursor;
+        cursor = line;
+        steps.push({ name: script.split('\n')[0], uses: null, run: script, line });
+      }
+      for (const script of globalScripts) {
+        steps.push({ name: script.split('\n')[0], uses: null, run: script, line: locator.findText(script.split('\n')[0], 1) || 1 });
+      }
+
+      pipeline.jobs.push({
+        id,
+        name: id,
+        line: jobLine,
+        stage: job.stage || 'test',
+        image: typeof job.image === 'string' ? job.image : (job.image && job.image.name) || null,
+        uses: null,
+        permissions: null,
+        steps
+      });
+    }
+  }
+
+  toScriptLines(script) {
+    if (!script) return [];
+    return (Array.isArray(script) ? script : [script]).flat(Infinity).filter(line => typeof line === 'string');
+  }
+
+  /**
+   * Split a GitHub Actions `uses` reference
+   * @param {string} uses - e.g. 'actions/checkout@v4', './local-action', 'docker://alpine:3.19'
+   * @returns {Object} { kind: 'action'|'local'|'docker', name, ref }
+   */
+  parseActionReference(uses) {
+    if (uses.startsWith('./') || uses.startsWith('../')) {
+      return { kind: 'local', name: uses, ref: null };
+    }
+    if (uses.startsWith('docker://')) {
+      return { kind: 'docker', name: uses.slice('docker://'.length), ref: null };
+    }
+    const at = uses.lastIndexOf('@');
+    return at === -1
+      ? { kind: 'action', name: uses, ref: null }
+      : { kind: 'action', name: uses.slice(0, at), ref: uses.slice(at + 1) };
+  }
+}
+
+/**
+ * Finds the source lines of YAML keys and values
+ * (js-yaml does not keep node positions)
+ */
+class LineLocator {
+  constructor(content) {
+    this.lines = content.replace(/\r\n/g, '\n').split('\n');
+  }
+
+  /**
+   * Line of a mapping key, searched from a line on
+   * @param {string} key - Key name
+   * @param {number} fromLine - 1-based line to start after
+   * @param {number|null} indent - Required indentation (null for any)
+   * @returns {number} 1-based line, or fromLine when not found
+   */
+  findKey(key, fromLine = 0, indent = null) {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^(\\s*)["']?${escaped}["']?\\s*:`);
+    for (let index = fromLine; index < this.lines.length; index++) {
+      const match = this.lines[index].match(pattern);
+      if (match && (indent === null || match[1].length === indent)) {
+        return index + 1;
+      }
+    }
+    return fromLine || 1;
+  }
+
+  /**
+   * Indentation of the first content line after a line
+   * @param {number} line - 1-based line
+   * @returns {number|null} Number of leading spaces
+   */
+  getIndentAfter(line) {
+    for (let index = line; index < this.lines.length; index++) {
+      const text = this.lines[index];
+      if (text.trim() && !text.trim().startsWith('#')) {
+        return text.length - text.trimStart().length;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Line containing a text, searched from a line on
+   * @param {string} text - Text to find
+   * @param {number} fromLine - 1-based line to start at
+   * @returns {number|null} 1-based line
+   */
+  findText(text, fromLine = 1) {
+    if (!text) return null;
+    for (let index = Math.max(0, fromLine - 1); index < this.lines.length; index++) {
+      if (this.lines[index].includes(text)) {
+        return index + 1;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = CIConfigParser;
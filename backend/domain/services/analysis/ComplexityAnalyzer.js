@@ -0,0 +1,510 @@
+/**
+ * ComplexityAnalyzer - Domain Service
+ * Parses JavaScript/TypeScript sources into an AST and measures every function:
+ * cyclomatic complexity, cognitive complexity, maximum nesting depth and length
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { parse } = require('@babel/parser');
+const Logger = require('@logging/Logger');
+const { getExcludePatterns, isExcludedPath } = require('@config/analysis-excludes');
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const IGNORED_SUFFIXES = ['.d.ts', '.min.js'];
+const DEFAULT_MAX_FILES = 2000;
+const DEFAULT_MAX_FILE_SIZE = 512 * 1024;
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod'
+]);
+const LOOP_TYPES = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement']);
+const LOGICAL_OPERATORS = new Set(['&&', '||', '??']);
+const LOGICAL_ASSIGNMENT_OPERATORS = new Set(['&&=', '||=', '??=']);
+const SKIPPED_KEYS = new Set(['type', 'start', 'end', 'loc', 'range', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+
+class ComplexityAnalyzer {
+  constructor(options = {}) {
+    this.logger = new Logger('ComplexityAnalyzer');
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    this.maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+  }
+
+  /**
+   * Analyze all JavaScript/TypeScript files of a project
+   * @param {string} projectPath - Project directory path
+   * @param {Object} options - Analysis options
+   * @param {Array<string>} options.excludePatterns - Patterns replacing the configured excludes
+   * @param {string} options.excludeType - Exclude list from config/analysis-excludes (default 'extended')
+   * @param {Array<string>} options.additionalExcludes - Patterns added to the configured excludes
+   * @returns {Promise<Object>} Per-file and per-function measurements
+   */
+  async analyzeProject(projectPath, options = {}) {
+    const excludePatterns = options.excludePatterns ||
+      getExcludePatterns(options.excludeType || 'extended', { additionalExcludes: options.additionalExcludes });
+
+    this.logger.info(`🧮 Starting complexity analysis for: ${projectPath}`);
+
+    const { files: sourceFiles, truncated } = await this.collectSourceFiles(projectPath, excludePatterns);
+    const result = {
+      files: [],
+      functions: [],
+      parseErrors: [],
+      skippedFiles: [],
+      truncated
+    };
+
+    for (const filePath of sourceFiles) {
+      const relativePath = path.relative(projectPath, filePath).split(path.sep).join('/');
+      try {
+        const stat = await fs.stat(filePath);
+        if (stat.size > this.maxFileSize) {
+          result.skippedFiles.push({ file: relativePath, reason: 'file too large' });
+          continue;
+        }
+
+        const source = await fs.readFile(filePath, 'utf8');
+        const fileResult = this.analyzeSource(source, relativePath);
+
+        if (fileResult.parseError) {
+          result.parseErrors.push({ file: relativePath, message: fileResult.parseError });
+          continue;
+        }
+
+        result.files.push({
+          file: relativePath,
+          lines: fileResult.lines,
+          functions: fileResult.functions.length
+        });
+        result.functions.push(...fileResult.functions);
+      } catch (error) {
+        result.skippedFiles.push({ file: relativePath, reason: error.message });
+      }
+    }
+
+    this.logger.info(`✅ Complexity analysis measured ${result.functions.length} functions in ${result.files.length} files`);
+    return result;
+  }
+
+  /**
+   * Walk the project and collect analyzable source files
+   * @param {string} projectPath - Project directory path
+   * @param {Array<string>} excludePatterns - Exclude patterns
+   * @returns {Promise<Object>} { files, truncated }
+   */
+  async collectSourceFiles(projectPath, excludePatterns) {
+    const files = [];
+    let truncated = false;
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        this.logger.warn(`Cannot read directory ${directory}: ${error.message}`);
+        return;
+      }
+
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        if (files.length >= this.maxFiles) {
+          truncated = true;
+          return;
+        }
+
+        const fullPath = path.join(directory, entry.name);
+        const relativePath = path.relative(projectPath, fullPath).split(path.sep).join('/');
+        if (this.isExcluded(relativePath, excludePatterns)) {
+          continue;
+        }
+
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile() && this.isSourceFile(entry.name)) {
+          files.push(fullPath);
+        }
+      }
+    };
+
+    await walk(projectPath);
+    return { files, truncated };
+  }
+
+  /**
+   * Check whether a file name is an analyzable source file
+   * @param {string} fileName - File name
+   * @returns {boolean} True for JavaScript/TypeScript sources
+   */
+  isSourceFile(fileName) {
+    if (IGNORED_SUFFIXES.some(suffix => fileName.endsWith(suffix))) {
+      return false;
+    }
+    return SOURCE_EXTENSIONS.includes(path.extname(fileName));
+  }
+
+  /**
+   * Match a project-relative path against exclude patterns
+   * @param {string} relativePath - Path relative to the project, using '/'
+   * @param {Array<string>} patterns - Exclude patterns
+   * @returns {boolean} True if the path is excluded
+   */
+  isExcluded(relativePath, patterns) {
+    return isExcludedPath(relativePath, patterns);
+  }
+
+  /**
+   * Measure all functions of a source text
+   * @param {string} source - Source code
+   * @param {string} fileName - File name (selects the parser plugins and is copied into the results)
+   * @returns {Object} { lines, functions, parseError }
+   */
+  analyzeSource(source, fileName) {
+    const lines = source.split('\n').length;
+    let ast;
+    try {
+      ast = this.parseSource(source, fileName);
+    } catch (error) {
+      return { lines, functions: [], parseError: error.message };
+    }
+
+    const functions = [];
+    this.visit(ast.program, null, null, { functions, fileName, classNames: [] });
+    functions.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    return { lines, functions };
+  }
+
+  /**
+   * Parse a source text with the plugins its extension needs
+   * @param {string} source - Source code
+   * @param {string} fileName - File name
+   * @returns {Object} Babel AST
+   */
+  parseSource(source, fileName) {
+    const extension = path.extname(fileName);
+    const isTypeScript = ['.ts', '.tsx', '.mts', '.cts'].includes(extension);
+    const plugins = ['decorators-legacy', 'classProperties', 'classPrivateProperties', 'classPrivateMethods', 'dynamicImport', 'topLevelAwait'];
+
+    if (isTypeScript) {
+      plugins.push('typescript');
+      if (extension === '.tsx') plugins.push('jsx');
+    } else {
+      plugins.push('jsx');
+    }
+
+    return parse(source, {
+      sourceType: 'unambiguous',
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      errorRecovery: true,
+      plugins
+    });
+  }
+
+  /**
+   * Walk an AST node, opening a new measurement for every function
+   * @param {Object} node - AST node
+   * @param {Object|null} parent - Parent node
+   * @param {Object|null} metrics - Measurement of the enclosing function (null at module level)
+   * @param {Object} state - Walk state ({ functions, fileName, classNames })
+   */
+  visit(node, parent, metrics, state) {
+    if (!node || typeof node.type !== 'string') return;
+
+    if (FUNCTION_TYPES.has(node.type)) {
+      this.visitFunction(node, parent, state);
+      return;
+    }
+
+    if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+      state.classNames.push(node.id ? node.id.name : this.getAssignedName(parent) || '<anonymous>');
+      this.visitChildren(node, metrics, state);
+      state.classNames.pop();
+      return;
+    }
+
+    if (!metrics) {
+      this.visitChildren(node, null, state);
+      return;
+    }
+
+    switch (node.type) {
+      case 'IfStatement':
+        this.visitIf(node, metrics, state, false);
+        return;
+      case 'ConditionalExpression':
+        metrics.cyclomatic++;
+        this.addStructure(metrics);
+        this.visit(node.test, node, metrics, state);
+        this.visitNested(node.consequent, node, metrics, state);
+        this.visitNested(node.alternate, node, metrics, state);
+        return;
+      case 'SwitchStatement':
+        this.addStructure(metrics);
+        this.visit(node.discriminant, node, metrics, state);
+        for (const switchCase of node.cases) {
+          if (switchCase.test) metrics.cyclomatic++;
+          this.visitNested(switchCase, node, metrics, state);
+        }
+        return;
+      case 'CatchClause':
+        metrics.cyclomatic++;
+        this.addStructure(metrics);
+        this.visit(node.param, node, metrics, state);
+        this.visitNested(node.body, node, metrics, state);
+        return;
+      case 'LogicalExpression':
+        metrics.cyclomatic++;
+        if (!parent || parent.type !== 'LogicalExpression') {
+          metrics.cognitive += this.countOperatorSequences(node);
+        }
+        this.visitChildren(node, metrics, state);
+        return;
+      case 'AssignmentExpression':
+        if (LOGICAL_ASSIGNMENT_OPERATORS.has(node.operator)) {
+          metrics.cyclomatic++;
+          metrics.cognitive++;
+        }
+        this.visitChildren(node, metrics, state);
+        return;
+      case 'BreakStatement':
+      case 'ContinueStatement':
+        if (node.label) metrics.cognitive++;
+        return;
+      default:
+        break;
+    }
+
+    if (LOOP_TYPES.has(node.type)) {
+      metrics.cyclomatic++;
+      this.addStructure(metrics);
+      for (const key of ['init', 'test', 'update', 'left', 'right']) {
+        this.visit(node[key], node, metrics, state);
+      }
+      this.visitNested(node.body, node, metrics, state);
+      return;
+    }
+
+    this.visitChildren(node, metrics, state);
+  }
+
+  /**
+   * Measure a function and record it; its body is measured on its own
+   * @param {Object} node - Function node
+   * @param {Object|null} parent - Parent node
+   * @param {Object} state - Walk state
+   */
+  visitFunction(node, parent, state) {
+    const metrics = {
+      name: this.getFunctionName(node, parent, state),
+      file: state.fileName,
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      length: node.loc.end.line - node.loc.start.line + 1,
+      params: node.params.length,
+      cyclomatic: 1,
+      cognitive: 0,
+      nestingDepth: 0,
+      nesting: 0
+    };
+
+    for (const key of ['key', 'decorators']) {
+      this.visit(node[key], node, null, state);
+    }
+    for (const param of node.params) {
+      this.visit(param, node, metrics, state);
+    }
+    this.visit(node.body, node, metrics, state);
+
+    delete metrics.nesting;
+    state.functions.push(metrics);
+  }
+
+  /**
+   * Measure an if statement; else-if chains do not add nesting
+   * @param {Object} node - IfStatement node
+   * @param {Object} metrics - Measurement of the enclosing function
+   * @param {Object} state - Walk state
+   * @param {boolean} isElseIf - True when the node is the alternate of another if
+   */
+  visitIf(node, metrics, state, isElseIf) {
+    metrics.cyclomatic++;
+    if (isElseIf) {
+      metrics.cognitive++;
+    } else {
+      this.addStructure(metrics);
+    }
+
+    this.visit(node.test, node, metrics, state);
+    this.visitNested(node.consequent, node, metrics, state);
+
+    if (!node.alternate) return;
+
+    if (node.alternate.type === 'IfStatement') {
+      this.visitIf(node.alternate, metrics, state, true);
+    } else {
+      metrics.cognitive++;
+      this.visitNested(node.alternate, node, metrics, state);
+    }
+  }
+
+  /**
+   * Add the cognitive increment of a nesting structure (1 + current nesting level)
+   * @param {Object} metrics - Measurement of the enclosing function
+   */
+  addStructure(metrics) {
+    metrics.cognitive += 1 + metrics.nesting;
+  }
+
+  /**
+   * Visit a node one nesting level deeper
+   * @param {Object} node - AST node
+   * @param {Object} parent - Parent node
+   * @param {Object} metrics - Measurement of the enclosing function
+   * @param {Object} state - Walk state
+   */
+  visitNested(node, parent, metrics, state) {
+    if (!node) return;
+    metrics.nesting++;
+    metrics.nestingDepth = Math.max(metrics.nestingDepth, metrics.nesting);
+    this.visit(node, parent, metrics, state);
+    metrics.nesting--;
+  }
+
+  /**
+   * Visit all child nodes
+   * @param {Object} node - AST node
+   * @param {Object|null} metrics - Measurement of the enclosing function
+   * @param {Object} state - Walk state
+   */
+  visitChildren(node, metrics, state) {
+    for (const key of Object.keys(node)) {
+      if (SKIPPED_KEYS.has(key)) continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        for (const child of value) {
+          if (child && typeof child.type === 'string') this.visit(child, node, metrics, state);
+        }
+      } else if (value && typeof value.type === 'string') {
+        this.visit(value, node, metrics, state);
+      }
+    }
+  }
+
+  /**
+   * Count sequences of like logical operators in a logical expression
+   * (`a && b && c` is one sequence, `a && b || c` two)
+   * @param {Object} node - Outermost LogicalExpression
+   * @returns {number} Number of operator sequences
+   */
+  countOperatorSequences(node) {
+    const operators = [];
+    const collect = (expression) => {
+      if (expression.type === 'LogicalExpression' && LOGICAL_OPERATORS.has(expression.operator)) {
+        collect(expression.left);
+        operators.push(expression.operator);
+        collect(expression.right);
+      }
+    };
+    collect(node);
+
+    return operators.filter((operator, index) => index === 0 || operator !== operators[index - 1]).length;
+  }
+
+  /**
+   * Resolve a readable function name
+   * @param {Object} node - Function node
+   * @param {Object|null} parent - Parent node
+   * @param {Object} state - Walk state
+   * @returns {string} Function name
+   */
+  getFunctionName(node, parent, state) {
+    const className = state.classNames[state.classNames.length - 1];
+
+    if (node.type === 'ClassMethod' || node.type === 'ClassPrivateMethod') {
+      const methodName = node.kind === 'constructor' ? 'constructor' : this.getKeyName(node.key);
+      return className ? `${className}.${methodName}` : methodName;
+    }
+    if (node.type === 'ObjectMethod') {
+      return this.getKeyName(node.key);
+    }
+    if (node.id) {
+      return node.id.name;
+    }
+
+    if (parent && (parent.type === 'ClassProperty' || parent.type === 'ClassPrivateProperty')) {
+      const propertyName = this.getKeyName(parent.key);
+      return className ? `${className}.${propertyName}` : propertyName;
+    }
+
+    return this.getAssignedName(parent) || '<anonymous>';
+  }
+
+  /**
+   * Name of the binding a function or class expression is assigned to
+   * @param {Object|null} parent - Parent node
+   * @returns {string|null} Binding name
+   */
+  getAssignedName(parent) {
+    if (!parent) return null;
+
+    switch (parent.type) {
+      case 'VariableDeclarator':
+        return parent.id.type === 'Identifier' ? parent.id.name : null;
+      case 'ObjectProperty':
+        return this.getKeyName(parent.key);
+      case 'AssignmentExpression':
+      case 'AssignmentPattern':
+        return this.getMemberName(parent.left);
+      case 'ExportDefaultDeclaration':
+        return 'default';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Name of a property key
+   * @param {Object} key - Key node
+   * @returns {string} Key name
+   */
+  getKeyName(key) {
+    if (!key) return '<anonymous>';
+    switch (key.type) {
+      case 'Identifier':
+        return key.name;
+      case 'PrivateName':
+        return `#${key.id.name}`;
+      case 'StringLiteral':
+      case 'NumericLiteral':
+        return String(key.value);
+      default:
+        return '<computed>';
+    }
+  }
+
+  /**
+   * Dotted name of an identifier or member expression (`module.exports.run`)
+   * @param {Object} node - Identifier or MemberExpression
+   * @returns {string|null} Dotted name
+   */
+  getMemberName(node) {
+    if (!node) return null;
+    if (node.type === 'Identifier') return node.name;
+    if (node.type === 'ThisExpression') return 'this';
+    if (node.type === 'MemberExpression') {
+      const object = this.getMemberName(node.object);
+      const property = node.computed && node.property.type === 'Identifier' ? '<computed>' : this.getKeyName(node.property);
+      return object ? `${object}.${property}` : property;
+    }
+    return null;
+  }
+}
+
+module.exports = ComplexityAnalyzer;
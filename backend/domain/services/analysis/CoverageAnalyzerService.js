@@ -1,13 +1,19 @@
 const fs = require('fs-extra');
 const path = require('path');
 const Logger = require('@logging/Logger');
+const CoverageReportParser = require('./CoverageReportParser');
+const { getExcludePatterns, isExcludedPath } = require('@config/analysis-excludes');
 const logger = new Logger('Logger');
 
+// Files that mark the root of a subproject; coverage reports belong to the nearest one above them
+const SUBPROJECT_MANIFESTS = ['package.json', 'pyproject.toml', 'setup.py', 'go.mod', 'Cargo.toml', 'pom.xml', 'build.gradle'];
+const COVERAGE_METRICS = ['lines', 'branches', 'functions', 'statements'];
+
 /**
  * CoverageAnalyzerService - Analyzes and improves test coverage
  */
 class CoverageAnalyzerService {
-  constructor() {
+  constructor(dependencies = {}) {
     this.coverageThresholds = {
       global: 90,
       domain: 95,
@@ -15,6 +21,238 @@ class CoverageAnalyzerService {
       infrastructure: 85,
       presentation: 80
     };
+    this.reportParser = dependencies.reportParser || new CoverageReportParser();
+    this.maxScannedFiles = dependencies.maxScannedFiles || 20000;
+  }
+
+  /**
+   * Read the coverage reports of every subproject
+   * @param {string} projectPath - Project directory path
+   * @param {Object} options - Options
+   * @param {number} options.hotSpotLimit - Maximum number of hot spots (default 20)
+   * @returns {Promise<Object>} { projectPath, reports, subprojects, files, totals, hotSpots }
+   * Totals are null when the project has no coverage report
+   */
+  async analyzeProject(projectPath, options = {}) {
+    const reports = await this.findCoverageReports(projectPath);
+
+    // One report per subproject: the most detailed format wins
+    const bySubproject = new Map();
+    for (const report of reports) {
+      const current = bySubproject.get(report.subproject);
+      if (!current || this.reportParser.getPreference(report.format) < this.reportParser.getPreference(current.format)) {
+        bySubproject.set(report.subproject, report);
+      }
+    }
+
+    const filesByPath = new Map();
+    const subprojects = [];
+    for (const report of bySubproject.values()) {
+      report.used = true;
+      let parsed;
+      try {
+        parsed = this.reportParser.parse(await fs.readFile(path.join(projectPath, report.file), 'utf8'), report.format);
+      } catch (error) {
+        report.error = error.message;
+        logger.warn('Could not parse coverage report', { file: report.file, error: error.message });
+        continue;
+      }
+
+      const files = [];
+      for (const fileCoverage of parsed.files) {
+        const file = await this.resolveSourcePath(projectPath, report.subproject, fileCoverage.path, parsed.sources);
+        const entry = { ...fileCoverage, file, subproject: report.subproject };
+        delete entry.path;
+        files.push(entry);
+
+        // A file covered by several reports (e.g. a root report spanning workspaces) keeps its best run
+        const existing = filesByPath.get(file);
+        if (!existing || entry.lines.covered > existing.lines.covered) {
+          filesByPath.set(file, entry);
+        }
+      }
+
+      subprojects.push({
+        path: report.subproject,
+        report: report.file,
+        format: report.format,
+        generatedAt: report.generatedAt,
+        files: files.length,
+        totals: this.summarizeCoverage(files)
+      });
+    }
+
+    const files = [...filesByPath.values()].sort((a, b) => a.file.localeCompare(b.file));
+    return {
+      projectPath,
+      reports,
+      subprojects: subprojects.sort((a, b) => a.path.localeCompare(b.path)),
+      files,
+      totals: subprojects.length > 0 ? this.summarizeCoverage(files) : null,
+      hotSpots: this.getHotSpots(files, options.hotSpotLimit || 20)
+    };
+  }
+
+  /**
+   * Find lcov, Istanbul and Cobertura reports anywhere in the project
+   * @param {string} projectPath - Project directory path
+   * @returns {Promise<Array>} [{ file, format, subproject, generatedAt }] with project-relative paths
+   */
+  async findCoverageReports(projectPath) {
+    // Coverage directories are excluded from every other analysis
+    const excludePatterns = getExcludePatterns('extended', { removeExcludes: ['coverage', 'test-results'] });
+    const reports = [];
+    let scanned = 0;
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (++scanned > this.maxScannedFiles) return;
+
+        const fullPath = path.join(directory, entry.name);
+        const relativePath = path.relative(projectPath, fullPath).split(path.sep).join('/');
+        if (isExcludedPath(relativePath, excludePatterns)) continue;
+
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          const format = this.reportParser.getFormat(entry.name);
+          if (!format) continue;
+          const stats = await fs.stat(fullPath);
+          reports.push({
+            file: relativePath,
+            format,
+            subproject: await this.getSubprojectRoot(projectPath, path.dirname(relativePath)),
+            generatedAt: stats.mtime.toISOString()
+          });
+        }
+      }
+    };
+    await walk(projectPath);
+
+    return reports.sort((a, b) => a.file.localeCompare(b.file));
+  }
+
+  /**
+   * Nearest directory at or above a report that holds a project manifest
+   * @param {string} projectPath - Project directory path
+   * @param {string} directory - Project-relative directory of the report
+   * @returns {Promise<string>} Project-relative subproject path ('.' for the project root)
+   */
+  async getSubprojectRoot(projectPath, directory) {
+    let current = directory === '' ? '.' : directory;
+    while (current !== '.') {
+      for (const manifest of SUBPROJECT_MANIFESTS) {
+        if (await fs.pathExists(path.join(projectPath, current, manifest))) {
+          return current;
+        }
+      }
+      current = path.posix.dirname(current);
+    }
+    return '.';
+  }
+
+  /**
+   * Map a source path from a report to a project-relative path
+   * Reports hold absolute paths of the machine that ran the tests (often CI), paths relative to
+   * the subproject or, for Cobertura, paths relative to one of its <source> roots
+   * @param {string} projectPath - Project directory path
+   * @param {string} subproject - Project-relative subproject path
+   * @param {string} reportPath - Path as written in the report
+   * @param {Array<string>} sources - Cobertura source roots
+   * @returns {Promise<string>} Project-relative path using '/' (the report path when it cannot be mapped)
+   */
+  async resolveSourcePath(projectPath, subproject, reportPath, sources = []) {
+    const normalized = reportPath.replace(/\\/g, '/');
+    const subprojectPath = path.join(projectPath, subproject);
+    const toRelative = (absolutePath) => path.relative(projectPath, absolutePath).split(path.sep).join('/');
+
+    if (path.isAbsolute(normalized)) {
+      const relativePath = path.relative(projectPath, normalized);
+      if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+        return relativePath.split(path.sep).join('/');
+      }
+    } else {
+      const roots = [...sources.map(source => path.resolve(subprojectPath, source)), subprojectPath, projectPath];
+      for (const root of roots) {
+        const candidate = path.join(root, normalized);
+        if (await fs.pathExists(candidate)) {
+          return toRelative(candidate);
+        }
+      }
+      return toRelative(path.join(subprojectPath, normalized));
+    }
+
+    // Absolute path of another machine: match the longest suffix that exists in the subproject
+    const segments = normalized.split('/').filter(Boolean);
+    for (let start = 1; start < segments.length; start++) {
+      const candidate = path.join(subprojectPath, ...segments.slice(start));
+      if (await fs.pathExists(candidate)) {
+        return toRelative(candidate);
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Add up the coverage counters of several files
+   * @param {Array} files - Files with lines, branches, functions and statements counters
+   * @returns {Object} { lines, branches, functions, statements } counters
+   */
+  summarizeCoverage(files) {
+    const totals = {};
+    for (const metric of COVERAGE_METRICS) {
+      const total = files.reduce((sum, file) => sum + file[metric].total, 0);
+      const covered = files.reduce((sum, file) => sum + file[metric].covered, 0);
+      totals[metric] = this.reportParser.counter(total, covered);
+    }
+    return totals;
+  }
+
+  /**
+   * Files with the most uncovered lines, with their uncovered line ranges and functions
+   * @param {Array} files - Files from analyzeProject
+   * @param {number} limit - Maximum number of files
+   * @returns {Array} [{ file, subproject, coverage, uncoveredLines, ranges, uncoveredFunctions, uncoveredBranches }]
+   */
+  getHotSpots(files, limit = 20) {
+    return files
+      .map(file => ({
+        file: file.file,
+        subproject: file.subproject,
+        coverage: file.lines.pct,
+        uncoveredLines: file.lines.total - file.lines.covered,
+        ranges: this.toLineRanges(file.uncoveredLines),
+        uncoveredFunctions: file.uncoveredFunctions,
+        uncoveredBranches: file.uncoveredBranches.length
+      }))
+      .filter(hotSpot => hotSpot.uncoveredLines > 0)
+      .sort((a, b) => b.uncoveredLines - a.uncoveredLines || a.coverage - b.coverage || a.file.localeCompare(b.file))
+      .slice(0, limit);
+  }
+
+  /**
+   * Collapse line numbers into ranges
+   * @param {Array<number>} lines - Sorted line numbers
+   * @returns {Array} [{ start, end }]
+   */
+  toLineRanges(lines) {
+    const ranges = [];
+    for (const line of lines) {
+      const last = ranges[ranges.length - 1];
+      if (last && line === last.end + 1) {
+        last.end = line;
+      } else {
+        ranges.push({ start: line, end: line });
+      }
+    }
+    return ranges;
   }
 
   /**
@@ -22,12 +260,16 @@ class CoverageAnalyzerService {
    */
   async getCurrentCoverage(projectId = 'default') {
     try {
-      // Try to read coverage data from Jest output
-      const coveragePath = path.join(process.cwd(), 'coverage', 'coverage-summary.json');
-      
-      if (await fs.pathExists(coveragePath)) {
-        const coverageData = await fs.readJson(coveragePath);
-        return this.parseCoverageData(coverageData);
+      // Read the coverage reports left by the last test run
+      const { totals } = await this.analyzeProject(process.cwd());
+      if (totals) {
+        return {
+          total: totals.lines.pct,
+          branches: totals.branches.pct,
+          functions: totals.functions.pct,
+          lines: totals.lines.pct,
+          statements: totals.statements.pct
+        };
       }
       
       // Fallback: try to run coverage and parse output
@@ -0,0 +1,280 @@
+/**
+ * CoverageReportParser - Domain Service
+ * Reads lcov, Istanbul (coverage-final.json, coverage-summary.json) and Cobertura XML
+ * coverage reports into one per-file shape with line, branch, function and statement counters
+ */
+
+const path = require('path');
+
+// Report file names by format, in order of preference when a subproject has several
+const REPORT_FORMATS = [
+  { format: 'istanbul', names: ['coverage-final.json'] },
+  { format: 'lcov', names: ['lcov.info'] },
+  { format: 'cobertura', names: ['cobertura-coverage.xml', 'cobertura.xml', 'coverage.xml'] },
+  { format: 'istanbul-summary', names: ['coverage-summary.json'] }
+];
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class CoverageReportParser {
+  /**
+   * Detect the report format from a file name
+   * @param {string} file - Report path
+   * @returns {string|null} 'istanbul', 'lcov', 'cobertura', 'istanbul-summary' or null
+   */
+  getFormat(file) {
+    const name = path.basename(file);
+    const match = REPORT_FORMATS.find(entry => entry.names.includes(name));
+    return match ? match.format : null;
+  }
+
+  /**
+   * Rank of a format when choosing between reports of the same subproject
+   * @param {string} format - Report format
+   * @returns {number} Lower is preferred
+   */
+  getPreference(format) {
+    return REPORT_FORMATS.findIndex(entry => entry.format === format);
+  }
+
+  /**
+   * Parse a coverage report
+   * @param {string} content - Report content
+   * @param {string} format - Report format (see getFormat)
+   * @returns {Object} { files: [{ path, lines, branches, functions, statements, uncoveredLines, uncoveredFunctions, uncoveredBranches }], sources }
+   * File paths are kept as written in the report; callers resolve them against the project
+   */
+  parse(content, format) {
+    switch (format) {
+      case 'lcov':
+        return { files: this.parseLcov(content), sources: [] };
+      case 'istanbul':
+        return { files: this.parseIstanbul(JSON.parse(content)), sources: [] };
+      case 'istanbul-summary':
+        return { files: this.parseIstanbulSummary(JSON.parse(content)), sources: [] };
+      case 'cobertura':
+        return this.parseCobertura(content);
+      default:
+        throw new Error(`Unsupported coverage format: ${format}`);
+    }
+  }
+
+  /**
+   * lcov tracefile (SF/FN/FNDA/DA/BRDA records, one section per source file)
+   */
+  parseLcov(content) {
+    const files = [];
+    let current = null;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      const separator = line.indexOf(':');
+      const key = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1);
+
+      if (key === 'SF') {
+        current = { path: value, lineHits: new Map(), functions: new Map(), branches: [] };
+      } else if (!current) {
+        continue;
+      } else if (key === 'DA') {
+        const [lineNumber, hits] = value.split(',');
+        const number = parseInt(lineNumber, 10);
+        current.lineHits.set(number, Math.max(current.lineHits.get(number) || 0, parseInt(hits, 10) || 0));
+      } else if (key === 'FN') {
+        const [lineNumber, ...name] = value.split(',');
+        const functionName = name.join(',');
+        current.functions.set(functionName, { name: functionName, line: parseInt(lineNumber, 10), hits: 0 });
+      } else if (key === 'FNDA') {
+        const [hits, ...name] = value.split(',');
+        const entry = current.functions.get(name.join(','));
+        if (entry) entry.hits += parseInt(hits, 10) || 0;
+      } else if (key === 'BRDA') {
+        const [lineNumber, , , taken] = value.split(',');
+        current.branches.push({ line: parseInt(lineNumber, 10), hits: taken === '-' ? 0 : parseInt(taken, 10) || 0 });
+      } else if (key === 'end_of_record') {
+        files.push(this.buildFile(current.path, current.lineHits, [...current.functions.values()], current.branches));
+        current = null;
+      }
+    }
+
+    if (current) {
+      files.push(this.buildFile(current.path, current.lineHits, [...current.functions.values()], current.branches));
+    }
+    return files;
+  }
+
+  /**
+   * Istanbul coverage-final.json (statement, function and branch maps with hit counters)
+   */
+  parseIstanbul(report) {
+    return Object.entries(report || {}).map(([key, fileCoverage]) => {
+      const statementMap = fileCoverage.statementMap || {};
+      const lineHits = new Map();
+      for (const [id, location] of Object.entries(statementMap)) {
+        const number = location.start.line;
+        lineHits.set(number, Math.max(lineHits.get(number) || 0, (fileCoverage.s || {})[id] || 0));
+      }
+
+      const functions = Object.entries(fileCoverage.fnMap || {}).map(([id, fn]) => ({
+        name: fn.name,
+        line: (fn.decl || fn.loc).start.line,
+        hits: (fileCoverage.f || {})[id] || 0
+      }));
+
+      const branches = [];
+      for (const [id, branch] of Object.entries(fileCoverage.branchMap || {})) {
+        const hits = (fileCoverage.b || {})[id] || [];
+        const locations = branch.locations && branch.locations.length > 0 ? branch.locations : hits.map(() => branch.loc);
+        locations.forEach((location, index) => {
+          // Implicit else branches have an empty location
+          const line = (location && location.start && location.start.line) || branch.line || branch.loc.start.line;
+          branches.push({ line, hits: hits[index] || 0 });
+        });
+      }
+
+      const statementHits = Object.values(fileCoverage.s || {});
+      const file = this.buildFile(fileCoverage.path || key, lineHits, functions, branches);
+      file.statements = this.counter(statementHits.length, statementHits.filter(hits => hits > 0).length);
+      return file;
+    });
+  }
+
+  /**
+   * Istanbul coverage-summary.json (totals only, no line details)
+   */
+  parseIstanbulSummary(report) {
+    return Object.entries(report || {})
+      .filter(([key]) => key !== 'total')
+      .map(([key, summary]) => {
+        const metric = (name) => this.counter((summary[name] || {}).total || 0, (summary[name] || {}).covered || 0);
+        return {
+          path: key,
+          lines: metric('lines'),
+          branches: metric('branches'),
+          functions: metric('functions'),
+          statements: metric('statements'),
+          uncoveredLines: [],
+          uncoveredFunctions: [],
+          uncoveredBranches: [],
+          detailed: false
+        };
+      });
+  }
+
+  /**
+   * Cobertura XML (coverage.py, Jest cobertura reporter, JaCoCo converters, ...)
+   */
+  parseCobertura(content) {
+    const sources = [...content.matchAll(/<source>([\s\S]*?)<\/source>/g)]
+      .map(match => decodeXml(match[1].trim()))
+      .filter(Boolean);
+    const files = new Map();
+
+    for (const classMatch of content.matchAll(/<class\b([^>]*?)(\/>|>([\s\S]*?)<\/class>)/g)) {
+      const attributes = parseAttributes(classMatch[1]);
+      if (!attributes.filename) continue;
+
+      const body = classMatch[3] || '';
+      // One file can be split into several classes
+      if (!files.has(attributes.filename)) {
+        files.set(attributes.filename, { lineHits: new Map(), functions: [], branches: [] });
+      }
+      const entry = files.get(attributes.filename);
+
+      const methodsBlock = (body.match(/<methods>([\s\S]*?)<\/methods>/) || [])[1] || '';
+      for (const methodMatch of methodsBlock.matchAll(/<method\b([^>]*?)(\/>|>([\s\S]*?)<\/method>)/g)) {
+        const method = parseAttributes(methodMatch[1]);
+        const methodLines = [...(methodMatch[3] || '').matchAll(/<line\b([^>]*?)\/?>/g)].map(match => parseAttributes(match[1]));
+        const firstLine = methodLines.length > 0 ? parseInt(methodLines[0].number, 10) : null;
+        const hits = method.hits !== undefined
+          ? parseInt(method.hits, 10) || 0
+          : methodLines.some(line => parseInt(line.hits, 10) > 0) ? 1 : 0;
+        entry.functions.push({ name: method.name, line: firstLine, hits });
+      }
+
+      const linesBlock = body.replace(/<methods>[\s\S]*?<\/methods>/, '');
+      for (const lineMatch of linesBlock.matchAll(/<line\b([^>]*?)\/?>/g)) {
+        const line = parseAttributes(lineMatch[1]);
+        const number = parseInt(line.number, 10);
+        const hits = parseInt(line.hits, 10) || 0;
+        entry.lineHits.set(number, Math.max(entry.lineHits.get(number) || 0, hits));
+
+        const condition = line.branch === 'true' && (line['condition-coverage'] || '').match(/\((\d+)\/(\d+)\)/);
+        if (condition) {
+          const covered = parseInt(condition[1], 10);
+          const total = parseInt(condition[2], 10);
+          for (let index = 0; index < total; index++) {
+            entry.branches.push({ line: number, hits: index < covered ? 1 : 0 });
+          }
+        }
+      }
+    }
+
+    return {
+      files: [...files.entries()].map(([filename, entry]) => this.buildFile(filename, entry.lineHits, entry.functions, entry.branches)),
+      sources
+    };
+  }
+
+  /**
+   * Build the common per-file shape from line hits, functions and branches
+   */
+  buildFile(filePath, lineHits, functions, branches) {
+    const lines = [...lineHits.entries()].sort((a, b) => a[0] - b[0]);
+    const uncoveredLines = lines.filter(([, hits]) => hits === 0).map(([number]) => number);
+    const uncoveredBranches = new Map();
+    for (const branch of branches) {
+      const entry = uncoveredBranches.get(branch.line) || { line: branch.line, covered: 0, total: 0 };
+      entry.total++;
+      if (branch.hits > 0) entry.covered++;
+      uncoveredBranches.set(branch.line, entry);
+    }
+    const lineCounter = this.counter(lines.length, lines.length - uncoveredLines.length);
+
+    return {
+      path: filePath,
+      lines: lineCounter,
+      branches: this.counter(branches.length, branches.filter(branch => branch.hits > 0).length),
+      functions: this.counter(functions.length, functions.filter(fn => fn.hits > 0).length),
+      // lcov and Cobertura do not report statements; lines are the closest equivalent
+      statements: { ...lineCounter },
+      uncoveredLines,
+      uncoveredFunctions: functions
+        .filter(fn => fn.hits === 0)
+        .map(fn => ({ name: fn.name, line: fn.line }))
+        .sort((a, b) => (a.line || 0) - (b.line || 0)),
+      uncoveredBranches: [...uncoveredBranches.values()]
+        .filter(entry => entry.covered < entry.total)
+        .sort((a, b) => a.line - b.line),
+      detailed: true
+    };
+  }
+
+  /**
+   * Coverage counter
+   * @param {number} total - Coverable items
+   * @param {number} covered - Covered items
+   * @returns {Object} { total, covered, pct } (pct is 100 when there is nothing to cover, as in Istanbul)
+   */
+  counter(total, covered) {
+    return { total, covered, pct: total > 0 ? Math.round(covered / total * 10000) / 100 : 100 };
+  }
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeXml(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+}
+
+function decodeXml(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos);/g, (match, entity) => XML_ENTITIES[entity]);
+}
+
+CoverageReportParser.REPORT_FORMATS = REPORT_FORMATS;
+
+module.exports = CoverageReportParser;
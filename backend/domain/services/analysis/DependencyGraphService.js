@@ -0,0 +1,347 @@
+/**
+ * DependencyGraphService - Domain Service
+ * Resolves the full dependency tree of a project from its manifests and lockfiles,
+ * across monorepo workspaces, and reads the metadata of installed packages
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { glob } = require('glob');
+const yaml = require('js-yaml');
+const Logger = require('@logging/Logger');
+const SubprojectDetector = require('./SubprojectDetector');
+const LockfileParser = require('./LockfileParser');
+
+const DEPENDENCY_TYPES = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+const DEFAULT_MAX_PACKAGES = 20000;
+
+class DependencyGraphService {
+  constructor(dependencies = {}) {
+    this.subprojectDetector = dependencies.subprojectDetector || new SubprojectDetector();
+    this.lockfileParser = dependencies.lockfileParser || new LockfileParser();
+    this.maxPackages = dependencies.maxPackages || DEFAULT_MAX_PACKAGES;
+    this.logger = new Logger('DependencyGraphService');
+  }
+
+  /**
+   * Resolve the dependency graph of a project
+   * @param {string} projectPath - Project directory path
+   * @returns {Promise<Object>} { projectPath, lockfiles, workspaces, packages, unresolved, truncated }
+   */
+  async analyze(projectPath) {
+    if (!projectPath) {
+      throw new Error('Project path is required for dependency analysis');
+    }
+
+    this.logger.info(`📦 Resolving dependency graph for: ${projectPath}`);
+
+    const workspaces = await this.findWorkspaces(projectPath);
+    const graph = {
+      projectPath,
+      lockfiles: [],
+      workspaces: [],
+      packages: [],
+      unresolved: [],
+      truncated: false
+    };
+    const packages = new Map();
+    const workspaceNames = new Set(workspaces.map(workspace => workspace.manifest.name).filter(Boolean));
+    const lockfiles = new Map();
+
+    for (const workspace of workspaces) {
+      const lock = await this.loadLockfile(projectPath, workspace.path, lockfiles);
+      const importer = lock ? path.relative(lock.root, workspace.path).split(path.sep).join('/') : '';
+      const direct = [];
+
+      for (const type of DEPENDENCY_TYPES) {
+        for (const [name, range] of Object.entries(workspace.manifest[type] || {})) {
+          const isWorkspace = workspaceNames.has(name) || /^(workspace|link|file):/.test(range);
+          const entry = lock && !isWorkspace ? lock.lockfile.resolveDirect(importer, name, range) : null;
+          const installed = isWorkspace ? null : await this.readInstalledManifest(workspace.path, projectPath, name);
+          const dependency = {
+            name,
+            range,
+            type,
+            workspace: isWorkspace,
+            version: entry ? entry.version : (installed ? installed.version : null),
+            resolvedFrom: entry ? 'lockfile' : (installed ? 'node_modules' : null),
+            installedVersion: installed ? installed.version : null
+          };
+          direct.push(dependency);
+
+          if (isWorkspace || type === 'peerDependencies') continue;
+          if (!dependency.version) {
+            graph.unresolved.push({ workspace: workspace.name, name, range, type });
+            continue;
+          }
+
+          const root = entry || {
+            key: `${name}@${dependency.version}`,
+            name,
+            version: dependency.version,
+            dependencies: {},
+            optionalDependencies: {},
+            license: installed ? this.getLicense(installed) : null,
+            installedPath: installed ? installed.path : null
+          };
+          if (this.walk(graph, packages, lock, workspace, root, type)) {
+            graph.truncated = true;
+          }
+        }
+      }
+
+      graph.workspaces.push({
+        name: workspace.name,
+        path: workspace.path,
+        relativePath: workspace.relativePath,
+        lockfile: lock ? path.relative(projectPath, lock.lockfile.file).split(path.sep).join('/') : null,
+        manifest: workspace.manifest,
+        dependencies: direct
+      });
+    }
+
+    graph.lockfiles = [...lockfiles.values()].filter(Boolean).map(lock => ({
+      file: path.relative(projectPath, lock.lockfile.file).split(path.sep).join('/'),
+      type: lock.lockfile.type,
+      lockfileVersion: lock.lockfile.lockfileVersion
+    }));
+    graph.packages = [...packages.values()].map(node => ({ ...node, workspaces: [...node.workspaces] }));
+    await this.attachInstalledMetadata(graph, lockfiles);
+
+    this.logger.info(`✅ Resolved ${graph.packages.length} packages in ${graph.workspaces.length} workspaces`);
+    return graph;
+  }
+
+  /**
+   * Walk the locked tree below a direct dependency, breadth first
+   * @returns {boolean} True when the package limit was hit
+   */
+  walk(graph, packages, lock, workspace, rootEntry, dependencyType) {
+    const queue = [{ entry: rootEntry, via: [rootEntry.name] }];
+    const seen = new Set();
+    const dev = dependencyType === 'devDependencies';
+
+    while (queue.length > 0) {
+      const { entry, via } = queue.shift();
+      const id = `${entry.name}@${entry.version}`;
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      let node = packages.get(id);
+      if (!node) {
+        if (packages.size >= this.maxPackages) {
+          return true;
+        }
+        node = {
+          name: entry.name,
+          version: entry.version,
+          direct: false,
+          dev: true,
+          optional: dependencyType === 'optionalDependencies',
+          workspaces: new Set(),
+          via,
+          license: entry.license || null,
+          lockfileLocation: lock && lock.lockfile.type === 'npm' ? entry.key : null,
+          installedPath: entry.installedPath || null,
+          resolved: entry.resolved || null
+        };
+        packages.set(id, node);
+      }
+      node.workspaces.add(workspace.name);
+      if (via.length === 1) node.direct = true;
+      if (!dev) node.dev = false;
+      if (dependencyType !== 'optionalDependencies') node.optional = false;
+      if (via.length < node.via.length) node.via = via;
+
+      if (!lock || entry.workspace) continue;
+
+      const children = { ...entry.dependencies, ...entry.optionalDependencies };
+      for (const [name, spec] of Object.entries(children)) {
+        const child = lock.lockfile.resolveChild(entry, name, spec);
+        if (child && !child.workspace && child.version) {
+          queue.push({ entry: child, via: [...via, name] });
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Find all Node.js workspaces of a project: detected subprojects plus the
+   * members declared in package.json "workspaces" and pnpm-workspace.yaml
+   * @param {string} projectPath - Project directory path
+   * @returns {Promise<Array>} Workspaces ({ name, path, relativePath, manifest })
+   */
+  async findWorkspaces(projectPath) {
+    const subprojects = await this.subprojectDetector.detectSubprojects(projectPath);
+    const directories = new Set(subprojects.filter(subproject => subproject.type === 'nodejs').map(subproject => subproject.path));
+
+    for (const directory of [...directories]) {
+      const manifest = await this.readJson(path.join(directory, 'package.json'));
+      for (const member of await this.expandWorkspacePatterns(directory, manifest)) {
+        directories.add(member);
+      }
+    }
+
+    const workspaces = [];
+    for (const directory of directories) {
+      const manifest = await this.readJson(path.join(directory, 'package.json'));
+      if (!manifest) continue;
+      const relativePath = path.relative(projectPath, directory).split(path.sep).join('/');
+      workspaces.push({
+        name: manifest.name || relativePath || path.basename(directory),
+        path: directory,
+        relativePath,
+        manifest
+      });
+    }
+
+    return workspaces.sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  }
+
+  /**
+   * Expand the workspace globs of a package
+   * @param {string} directory - Package directory
+   * @param {Object|null} manifest - Parsed package.json
+   * @returns {Promise<Array<string>>} Member directories
+   */
+  async expandWorkspacePatterns(directory, manifest) {
+    let patterns = [];
+    if (manifest && Array.isArray(manifest.workspaces)) {
+      patterns = manifest.workspaces;
+    } else if (manifest && manifest.workspaces && Array.isArray(manifest.workspaces.packages)) {
+      patterns = manifest.workspaces.packages;
+    }
+
+    try {
+      const pnpmWorkspace = yaml.load(await fs.readFile(path.join(directory, 'pnpm-workspace.yaml'), 'utf8'));
+      if (pnpmWorkspace && Array.isArray(pnpmWorkspace.packages)) {
+        patterns = patterns.concat(pnpmWorkspace.packages);
+      }
+    } catch {
+      // no pnpm workspace file
+    }
+
+    if (patterns.length === 0) return [];
+
+    const include = patterns.filter(pattern => !pattern.startsWith('!')).map(pattern => `${pattern.replace(/\/+$/, '')}/package.json`);
+    const ignore = ['**/node_modules/**', ...patterns.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1))];
+    const matches = await glob(include, { cwd: directory, ignore, posix: true });
+
+    return matches.map(match => path.join(directory, path.dirname(match))).filter(member => member !== directory);
+  }
+
+  /**
+   * Load (once) the nearest lockfile of a workspace, looking up to the project root
+   * @param {string} projectPath - Project root
+   * @param {string} directory - Workspace directory
+   * @param {Map} cache - Lockfiles by directory
+   * @returns {Promise<Object|null>} { root, lockfile }
+   */
+  async loadLockfile(projectPath, directory, cache) {
+    let current = directory;
+    while (true) {
+      if (cache.has(current)) {
+        if (cache.get(current)) return cache.get(current);
+      } else {
+        const found = await this.lockfileParser.findLockfile(current);
+        let lock = null;
+        if (found) {
+          try {
+            lock = { root: current, lockfile: await this.lockfileParser.readLockfile(found.file, found.type) };
+          } catch (error) {
+            this.logger.warn(`Cannot parse ${found.file}: ${error.message}`);
+          }
+        }
+        cache.set(current, lock);
+        if (lock) return lock;
+      }
+
+      if (current === projectPath || path.dirname(current) === current || !current.startsWith(projectPath)) {
+        return null;
+      }
+      current = path.dirname(current);
+    }
+  }
+
+  /**
+   * Read the package.json of an installed package, searching node_modules upwards
+   * @param {string} fromDirectory - Directory the package is required from
+   * @param {string} projectPath - Project root (search boundary)
+   * @param {string} name - Package name
+   * @returns {Promise<Object|null>} Manifest with its path
+   */
+  async readInstalledManifest(fromDirectory, projectPath, name) {
+    let current = fromDirectory;
+    while (true) {
+      const manifestPath = path.join(current, 'node_modules', name, 'package.json');
+      const manifest = await this.readJson(manifestPath);
+      if (manifest) {
+        return { ...manifest, path: path.dirname(manifestPath) };
+      }
+      if (current === projectPath || path.dirname(current) === current || !current.startsWith(projectPath)) {
+        return null;
+      }
+      current = path.dirname(current);
+    }
+  }
+
+  /**
+   * Fill license and install location of every package from node_modules
+   * @param {Object} graph - Dependency graph
+   * @param {Map} lockfiles - Loaded lockfiles by directory
+   */
+  async attachInstalledMetadata(graph, lockfiles) {
+    const roots = [...lockfiles.values()].filter(Boolean).map(lock => lock.root);
+    const workspacePaths = new Map(graph.workspaces.map(workspace => [workspace.name, workspace.path]));
+
+    for (const node of graph.packages) {
+      const candidates = [];
+      if (node.installedPath) candidates.push(node.installedPath);
+      for (const root of roots.length > 0 ? roots : [graph.projectPath]) {
+        if (node.lockfileLocation) candidates.push(path.join(root, node.lockfileLocation));
+        candidates.push(path.join(root, 'node_modules', '.pnpm', `${node.name.replace('/', '+')}@${node.version}`, 'node_modules', node.name));
+      }
+      for (const workspaceName of node.workspaces) {
+        candidates.push(path.join(workspacePaths.get(workspaceName), 'node_modules', node.name));
+      }
+      candidates.push(path.join(graph.projectPath, 'node_modules', node.name));
+
+      for (const candidate of candidates) {
+        const manifest = await this.readJson(path.join(candidate, 'package.json'));
+        if (manifest && manifest.version === node.version) {
+          node.installedPath = candidate;
+          node.license = node.license || this.getLicense(manifest);
+          break;
+        }
+      }
+      node.installed = Boolean(node.installedPath);
+    }
+  }
+
+  /**
+   * License expression of a package manifest ("license", legacy "licenses")
+   * @param {Object} manifest - Parsed package.json
+   * @returns {string|null} SPDX expression or license text
+   */
+  getLicense(manifest) {
+    if (typeof manifest.license === 'string') return manifest.license;
+    if (manifest.license && manifest.license.type) return manifest.license.type;
+    if (Array.isArray(manifest.licenses) && manifest.licenses.length > 0) {
+      const types = manifest.licenses.map(license => (typeof license === 'string' ? license : license.type)).filter(Boolean);
+      return types.length > 1 ? `(${types.join(' OR ')})` : types[0] || null;
+    }
+    return null;
+  }
+
+  async readJson(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = DependencyGraphService;
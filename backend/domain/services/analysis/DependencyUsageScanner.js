@@ -0,0 +1,235 @@
+/**
+ * DependencyUsageScanner - Domain Service
+ * Finds the packages a workspace actually uses: imports and requires in its sources,
+ * binaries called from package.json scripts and names referenced by tool configs
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { builtinModules } = require('module');
+const Logger = require('@logging/Logger');
+const { getExcludePatterns, isExcludedPath } = require('@config/analysis-excludes');
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.vue', '.svelte'];
+const CONFIG_FILES = [
+  '.babelrc', '.babelrc.json', 'babel.config.json', '.eslintrc', '.eslintrc.json', '.eslintrc.yml', '.eslintrc.yaml',
+  '.prettierrc', '.prettierrc.json', '.stylelintrc', '.stylelintrc.json', '.mocharc.json', '.mocharc.yml',
+  'jest.config.json', 'tsconfig.json', 'jsconfig.json', '.swcrc', '.postcssrc', '.postcssrc.json'
+];
+const JS_CONFIG_FILE = /^(\.[\w-]+rc\.[cm]?js|[\w-]+\.config\.[cm]?[jt]s)$/;
+const IMPORT_PATTERNS = [
+  /\brequire\s*\(\s*['"`]([^'"`\s]+)['"`]\s*\)/g,
+  /\brequire\.resolve\s*\(\s*['"`]([^'"`\s]+)['"`]/g,
+  /\bimport\s*\(\s*['"`]([^'"`\s]+)['"`]\s*\)/g,
+  /\b(?:import|export)\s+(?:[^'"`;]*?\s+from\s+)?['"]([^'"\s]+)['"]/g,
+  /\b(?:jest|vi)\.(?:mock|requireActual|doMock)\s*\(\s*['"`]([^'"`\s]+)['"`]/g
+];
+// Tool plugins are referenced by their short name in configs ('eslint-plugin-react' -> 'react')
+const TOOL_PREFIXES = [
+  'eslint-plugin-', 'eslint-config-', 'babel-plugin-', 'babel-preset-', 'prettier-plugin-', 'stylelint-config-', 'postcss-',
+  'jest-environment-'
+];
+const DEFAULT_MAX_FILES = 5000;
+
+class DependencyUsageScanner {
+  constructor(options = {}) {
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    this.logger = new Logger('DependencyUsageScanner');
+  }
+
+  /**
+   * Scan a workspace for used packages
+   * @param {Object} workspace - Workspace from DependencyGraphService ({ path, manifest })
+   * @param {Object} options - Scan options
+   * @param {Array<string>} options.nestedWorkspacePaths - Workspace directories below this one (scanned on their own)
+   * @param {Array<string>} options.excludePatterns - Exclude patterns (default: analysis-excludes 'extended')
+   * @returns {Promise<Object>} { imports: Map(name -> files), hasTypeScript, filesScanned, configText, scripts }
+   */
+  async scanWorkspace(workspace, options = {}) {
+    const excludePatterns = options.excludePatterns || getExcludePatterns('extended');
+    const nested = (options.nestedWorkspacePaths || []).filter(directory => directory !== workspace.path);
+    const imports = new Map();
+    let filesScanned = 0;
+    let hasTypeScript = false;
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (filesScanned >= this.maxFiles) return;
+
+        const fullPath = path.join(directory, entry.name);
+        const relativePath = path.relative(workspace.path, fullPath).split(path.sep).join('/');
+        if (isExcludedPath(relativePath, excludePatterns) || nested.includes(fullPath)) continue;
+
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+          filesScanned++;
+          if (/\.(ts|tsx|mts|cts)$/.test(entry.name)) hasTypeScript = true;
+          try {
+            const source = await fs.readFile(fullPath, 'utf8');
+            for (const name of this.extractPackageNames(source)) {
+              if (!imports.has(name)) imports.set(name, []);
+              imports.get(name).push(relativePath);
+            }
+          } catch (error) {
+            this.logger.warn(`Cannot read ${fullPath}: ${error.message}`);
+          }
+        }
+      }
+    };
+    await walk(workspace.path);
+
+    return {
+      imports,
+      hasTypeScript,
+      filesScanned,
+      truncated: filesScanned >= this.maxFiles,
+      configText: await this.readConfigText(workspace),
+      scripts: Object.values(workspace.manifest.scripts || {}).join('\n')
+    };
+  }
+
+  /**
+   * Package names imported by a source text (relative paths and Node.js builtins excluded)
+   * @param {string} source - Source code
+   * @returns {Set<string>} Package names
+   */
+  extractPackageNames(source) {
+    const names = new Set();
+    for (const pattern of IMPORT_PATTERNS) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(source)) !== null) {
+        const name = this.getPackageName(match[1]);
+        if (name) names.add(name);
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Package name of an import specifier ('@scope/pkg/sub' -> '@scope/pkg', 'pkg/sub' -> 'pkg')
+   * @param {string} specifier - Import specifier
+   * @returns {string|null} Package name, null for relative, absolute, aliased and builtin imports
+   */
+  getPackageName(specifier) {
+    if (!specifier || /^[./]/.test(specifier) || specifier.startsWith('node:') || /^[a-z]+:/i.test(specifier)) {
+      return null;
+    }
+    const parts = specifier.split('/');
+    if (specifier.startsWith('@')) {
+      // '@/...' and '@alias/...' style path aliases have no package part
+      return parts.length > 1 && parts[0].length > 1 ? `${parts[0]}/${parts[1]}` : null;
+    }
+    return builtinModules.includes(parts[0]) ? null : parts[0];
+  }
+
+  /**
+   * Explain why a declared dependency counts as used
+   * @param {string} name - Package name
+   * @param {Object} scan - Result of scanWorkspace
+   * @param {Object|null} installedManifest - package.json of the installed package (for its binaries)
+   * @returns {string|null} Reason, null when the dependency looks unused
+   */
+  getUsage(name, scan, installedManifest = null) {
+    if (scan.imports.has(name)) {
+      return `imported in ${scan.imports.get(name)[0]}`;
+    }
+
+    if (name.startsWith('@types/')) {
+      const base = name.slice('@types/'.length).replace(/^(.+)__(.+)$/, '@$1/$2');
+      if (scan.imports.has(base)) return `types for ${base}`;
+      if (base === 'node' && scan.hasTypeScript) return 'types for Node.js';
+    }
+    if (name === 'typescript' && scan.hasTypeScript) {
+      return 'TypeScript sources';
+    }
+
+    for (const binary of this.getBinaries(name, installedManifest)) {
+      if (new RegExp(`(^|[\\s;&|(/"'])${this.escape(binary)}($|[\\s;&|)"'])`, 'm').test(scan.scripts)) {
+        return `binary "${binary}" used in scripts`;
+      }
+    }
+
+    for (const reference of this.getConfigNames(name)) {
+      if (new RegExp(`["'\\s/,:\\[{]${this.escape(reference)}["'\\s/,:\\]}]`).test(scan.configText)) {
+        return `referenced in tool configuration as "${reference}"`;
+      }
+    }
+
+    return null;
+  }
+
+  getBinaries(name, installedManifest) {
+    const binaries = new Set([name.split('/').pop()]);
+    if (installedManifest && installedManifest.bin) {
+      if (typeof installedManifest.bin === 'string') {
+        binaries.add(installedManifest.name ? installedManifest.name.split('/').pop() : name);
+      } else {
+        Object.keys(installedManifest.bin).forEach(binary => binaries.add(binary));
+      }
+    }
+    return [...binaries];
+  }
+
+  getConfigNames(name) {
+    const names = new Set([name]);
+    const [scope, unscoped] = name.startsWith('@') ? name.split('/') : [null, name];
+    for (const prefix of TOOL_PREFIXES) {
+      if (unscoped.startsWith(prefix)) {
+        names.add(scope ? `${scope}/${unscoped.slice(prefix.length)}` : unscoped.slice(prefix.length));
+      }
+      if (scope && unscoped === prefix.replace(/-$/, '')) {
+        names.add(scope);
+      }
+    }
+    const babel = name.match(/^@babel\/(plugin|preset)-(.+)$/);
+    if (babel) names.add(babel[2]);
+    return [...names].filter(Boolean);
+  }
+
+  /**
+   * Text of the workspace's tool configuration: rc/JSON config files and the
+   * non-dependency sections of package.json ("jest", "babel", "eslintConfig", ...)
+   * @param {Object} workspace - Workspace
+   * @returns {Promise<string>} Concatenated configuration text
+   */
+  async readConfigText(workspace) {
+    const parts = [];
+    const manifestConfig = { ...workspace.manifest };
+    ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies', 'scripts', 'name', 'description']
+      .forEach(key => delete manifestConfig[key]);
+    parts.push(JSON.stringify(manifestConfig));
+
+    let files = CONFIG_FILES;
+    try {
+      // JavaScript configs (eslint.config.js, .eslintrc.cjs, vite.config.ts, ...) name plugins as strings
+      const rootFiles = await fs.readdir(workspace.path);
+      files = files.concat(rootFiles.filter(file => JS_CONFIG_FILE.test(file)));
+    } catch {
+      // unreadable workspace directory
+    }
+
+    for (const file of files) {
+      try {
+        parts.push(await fs.readFile(path.join(workspace.path, file), 'utf8'));
+      } catch {
+        // config file not present
+      }
+    }
+    return parts.join('\n');
+  }
+
+  escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = DependencyUsageScanner;
@@ -0,0 +1,162 @@
+/**
+ * DockerfileParser - Domain Service
+ * Splits a Dockerfile into instructions and build stages with their source lines
+ */
+
+const DIRECTIVE_PATTERN = /^#\s*([a-z]+)\s*=\s*(.+?)\s*$/i;
+const HEREDOC_PATTERN = /<<-?\s*["']?(\w+)["']?/g;
+
+class DockerfileParser {
+  /**
+   * Parse Dockerfile content
+   * @param {string} content - Dockerfile content
+   * @returns {Object} { directives, instructions, stages }
+   */
+  parse(content) {
+    const lines = content.replace(/\r\n/g, '\n').split('\n');
+    const directives = {};
+    let escapeChar = '\\';
+    let index = 0;
+
+    // Parser directives (# syntax=..., # escape=`) are only valid before the first instruction
+    for (; index < lines.length; index++) {
+      const match = lines[index].match(DIRECTIVE_PATTERN);
+      if (!match) break;
+      directives[match[1].toLowerCase()] = match[2];
+      if (match[1].toLowerCase() === 'escape') escapeChar = match[2];
+    }
+
+    const instructions = [];
+    while (index < lines.length) {
+      const line = lines[index];
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) {
+        index++;
+        continue;
+      }
+
+      const startLine = index + 1;
+      let text = trimmed;
+      // Line continuations; comment and empty lines inside a continued instruction are dropped
+      while (text.endsWith(escapeChar) && index + 1 < lines.length) {
+        text = text.slice(0, -1).trimEnd();
+        index++;
+        let next = lines[index].trim();
+        while ((!next || next.startsWith('#')) && index + 1 < lines.length) {
+          index++;
+          next = lines[index].trim();
+        }
+        text += ' ' + next;
+      }
+
+      const heredocs = [...text.matchAll(HEREDOC_PATTERN)].map(match => match[1]);
+      const heredocBodies = [];
+      for (const delimiter of heredocs) {
+        const body = [];
+        while (index + 1 < lines.length && lines[index + 1].trim() !== delimiter) {
+          index++;
+          body.push(lines[index]);
+        }
+        index++;
+        heredocBodies.push(body.join('\n'));
+      }
+
+      const match = text.match(/^(\S+)\s*(.*)$/);
+      instructions.push({
+        instruction: match[1].toUpperCase(),
+        args: match[2].trim(),
+        line: startLine,
+        endLine: index + 1,
+        heredocs: heredocBodies
+      });
+      index++;
+    }
+
+    return { directives, instructions, stages: this.buildStages(instructions) };
+  }
+
+  /**
+   * Group instructions into FROM-delimited build stages
+   * @param {Array} instructions - Parsed instructions
+   * @returns {Array} Stages ({ index, name, image, platform, line, instructions })
+   */
+  buildStages(instructions) {
+    const stages = [];
+    const globalArgs = {};
+    let current = null;
+
+    for (const instruction of instructions) {
+      if (instruction.instruction === 'FROM') {
+        const tokens = instruction.args.split(/\s+/);
+        const platform = tokens[0] && tokens[0].startsWith('--platform=') ? tokens.shift().slice('--platform='.length) : null;
+        const asIndex = tokens.findIndex(token => token.toUpperCase() === 'AS');
+        current = {
+          index: stages.length,
+          name: asIndex !== -1 ? tokens[asIndex + 1] : null,
+          image: this.substituteArgs(tokens[0] || '', globalArgs),
+          rawImage: tokens[0] || '',
+          platform,
+          line: instruction.line,
+          instructions: []
+        };
+        stages.push(current);
+      } else if (current) {
+        current.instructions.push(instruction);
+      } else if (instruction.instruction === 'ARG') {
+        // ARGs before the first FROM parameterize base images
+        const [name, value] = instruction.args.split('=');
+        globalArgs[name.trim()] = value !== undefined ? value.trim().replace(/^["']|["']$/g, '') : null;
+      }
+    }
+
+    return stages;
+  }
+
+  /**
+   * Split an image reference into repository, tag and digest
+   * @param {string} image - Image reference such as 'node:20-alpine' or 'nginx@sha256:...'
+   * @returns {Object} { repository, tag, digest }
+   */
+  parseImage(image) {
+    const [nameAndTag, digest = null] = image.split('@');
+    const lastSlash = nameAndTag.lastIndexOf('/');
+    const colon = nameAndTag.indexOf(':', lastSlash + 1);
+    return {
+      repository: colon === -1 ? nameAndTag : nameAndTag.slice(0, colon),
+      tag: colon === -1 ? null : nameAndTag.slice(colon + 1),
+      digest
+    };
+  }
+
+  /**
+   * Parse the key/value pairs of an ENV or ARG instruction
+   * @param {Object} instruction - ENV or ARG instruction
+   * @returns {Array<Object>} [{ key, value }]
+   */
+  parseAssignments(instruction) {
+    const { args } = instruction;
+    // Legacy form: ENV KEY value with spaces
+    if (instruction.instruction === 'ENV' && !/^[^\s=]+=/.test(args)) {
+      const [key, ...rest] = args.split(/\s+/);
+      return [{ key, value: rest.join(' ') }];
+    }
+
+    const pairs = [];
+    const pattern = /([^\s=]+)(?:=("(?:[^"\\]|\\.)*"|'[^']*'|\S*))?/g;
+    let match;
+    while ((match = pattern.exec(args)) !== null) {
+      const value = match[2] !== undefined ? match[2].replace(/^["']|["']$/g, '') : null;
+      pairs.push({ key: match[1], value });
+    }
+    return pairs;
+  }
+
+  substituteArgs(value, args) {
+    return value.replace(/\$\{?(\w+)(?::?-([^}]*))?\}?/g, (reference, name, fallback) => {
+      if (args[name]) return args[name];
+      return fallback !== undefined ? fallback : reference;
+    });
+  }
+}
+
+module.exports = DockerfileParser;
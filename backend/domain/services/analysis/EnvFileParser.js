@@ -0,0 +1,102 @@
+/**
+ * EnvFileParser - Domain Service
+ * Parses dotenv files (.env, .env.example, ...) into variables with their source lines
+ */
+
+const path = require('path');
+
+const TEMPLATE_SUFFIXES = ['example', 'sample', 'template', 'dist', 'defaults'];
+const SECRET_NAME_PATTERN = /(PASSWORD|PASSWD|SECRET|TOKEN|API_?KEY|PRIVATE_?KEY|ACCESS_?KEY|CREDENTIALS?|DATABASE_URL|DSN)$/i;
+const PLACEHOLDER_PATTERN = /^(|<.*>|\$\{?\w+\}?|x+|\*+|\.\.\.|changeme|change_me|todo|null|none|true|false|\d{1,5})$|your|example|placeholder|dummy|sample|change|replace|here|xxx/i;
+
+class EnvFileParser {
+  /**
+   * Parse dotenv content
+   * @param {string} content - File content
+   * @returns {Object} { entries: [{ key, value, line }], errors: [{ line, message }] }
+   */
+  parse(content) {
+    const lines = content.replace(/\r\n/g, '\n').split('\n');
+    const entries = [];
+    const errors = [];
+
+    for (let index = 0; index < lines.length; index++) {
+      const trimmed = lines[index].trim();
+      if (!trimmed || trimmed.startsWith('#')) continue;
+
+      const match = trimmed.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/);
+      if (!match) {
+        errors.push({ line: index + 1, message: `Invalid line: ${trimmed.slice(0, 40)}` });
+        continue;
+      }
+
+      const line = index + 1;
+      let value = match[2];
+      const quote = value[0];
+      if (quote === '"' || quote === "'" || quote === '`') {
+        // Quoted values may span lines until the closing quote
+        let body = value.slice(1);
+        while (!this.hasClosingQuote(body, quote) && index + 1 < lines.length) {
+          index++;
+          body += '\n' + lines[index];
+        }
+        const end = this.findClosingQuote(body, quote);
+        value = end === -1 ? body : body.slice(0, end);
+        if (quote === '"') value = value.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+      } else {
+        value = value.replace(/\s+#.*$/, '').trim();
+      }
+
+      entries.push({ key: match[1], value, line });
+    }
+
+    return { entries, errors };
+  }
+
+  hasClosingQuote(body, quote) {
+    return this.findClosingQuote(body, quote) !== -1;
+  }
+
+  findClosingQuote(body, quote) {
+    for (let index = 0; index < body.length; index++) {
+      if (body[index] === '\\' && quote === '"') {
+        index++;
+      } else if (body[index] === quote) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Whether a file is a committed template (.env.example, .env.sample, ...)
+   * @param {string} file - File path
+   * @returns {boolean} True for templates
+   */
+  isTemplate(file) {
+    const name = path.basename(file).toLowerCase();
+    return TEMPLATE_SUFFIXES.some(suffix => name === `.env.${suffix}` || name === `env.${suffix}` || name.endsWith(`.env.${suffix}`));
+  }
+
+  /**
+   * Whether a variable name suggests a secret
+   * @param {string} key - Variable name
+   * @returns {boolean} True for secret-like names
+   */
+  isSecretName(key) {
+    return SECRET_NAME_PATTERN.test(key);
+  }
+
+  /**
+   * Whether a value looks like a placeholder rather than a real credential
+   * @param {string} value - Variable value
+   * @returns {boolean} True for placeholders
+   */
+  isPlaceholder(value) {
+    // Connection URLs built from other variables only
+    if (/^\w+:\/\/(\$\{\w+\}|[:@/])*$/.test(value.replace(/\$\{\w+\}/g, '${x}'))) return true;
+    return PLACEHOLDER_PATTERN.test(value.trim());
+  }
+}
+
+module.exports = EnvFileParser;
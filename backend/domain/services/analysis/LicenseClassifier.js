@@ -0,0 +1,186 @@
+/**
+ * LicenseClassifier - Domain Service
+ * Classifies SPDX license expressions of dependencies by how restrictive they are
+ */
+
+const CATEGORY_LICENSES = {
+  'permissive': [
+    '0BSD', 'AFL-2.1', 'AFL-3.0', 'Apache-1.1', 'Apache-2.0', 'Artistic-2.0', 'BlueOak-1.0.0', 'BSD-1-Clause',
+    'BSD-2-Clause', 'BSD-3-Clause', 'BSD-3-Clause-Clear', 'BSL-1.0', 'CC-BY-3.0', 'CC-BY-4.0', 'CC0-1.0',
+    'ISC', 'MIT', 'MIT-0', 'Python-2.0', 'Unicode-DFS-2016', 'Unlicense', 'UPL-1.0', 'W3C', 'WTFPL', 'X11', 'Zlib'
+  ],
+  'weak-copyleft': [
+    'CDDL-1.0', 'CDDL-1.1', 'EPL-1.0', 'EPL-2.0', 'LGPL-2.0', 'LGPL-2.1', 'LGPL-3.0', 'MPL-1.1', 'MPL-2.0', 'CC-BY-SA-4.0'
+  ],
+  'strong-copyleft': ['GPL-1.0', 'GPL-2.0', 'GPL-3.0', 'EUPL-1.1', 'EUPL-1.2', 'OSL-3.0'],
+  'network-copyleft': ['AGPL-1.0', 'AGPL-3.0', 'SSPL-1.0'],
+  'non-commercial': ['CC-BY-NC-4.0', 'CC-BY-NC-SA-4.0', 'CC-BY-NC-ND-4.0']
+};
+
+// Common non-SPDX spellings found in package.json files
+const LICENSE_ALIASES = {
+  'apache 2.0': 'Apache-2.0',
+  'apache2': 'Apache-2.0',
+  'apache-2': 'Apache-2.0',
+  'apache license 2.0': 'Apache-2.0',
+  'apache license, version 2.0': 'Apache-2.0',
+  'bsd': 'BSD-3-Clause',
+  'new bsd': 'BSD-3-Clause',
+  'simplified bsd': 'BSD-2-Clause',
+  'mit/x11': 'MIT',
+  'mit license': 'MIT',
+  'public domain': 'Unlicense',
+  'gplv2': 'GPL-2.0',
+  'gplv3': 'GPL-3.0',
+  'gpl': 'GPL-3.0',
+  'lgpl': 'LGPL-3.0',
+  'agplv3': 'AGPL-3.0'
+};
+
+// Higher is more restrictive; OR picks the lowest, AND the highest
+const CATEGORY_RISK = {
+  'permissive': 0,
+  'weak-copyleft': 1,
+  'unknown': 2,
+  'proprietary': 2,
+  'non-commercial': 3,
+  'strong-copyleft': 3,
+  'network-copyleft': 4
+};
+
+const LICENSE_CATEGORY = new Map();
+for (const [category, licenses] of Object.entries(CATEGORY_LICENSES)) {
+  licenses.forEach(license => LICENSE_CATEGORY.set(license.toLowerCase(), category));
+}
+
+class LicenseClassifier {
+  /**
+   * @param {Object} options - Classification options
+   * @param {Array<string>} options.allowedLicenses - Licenses always treated as permissive
+   * @param {Array<string>} options.deniedLicenses - Licenses always reported
+   */
+  constructor(options = {}) {
+    this.allowedLicenses = new Set((options.allowedLicenses || []).map(license => license.toLowerCase()));
+    this.deniedLicenses = new Set((options.deniedLicenses || []).map(license => license.toLowerCase()));
+  }
+
+  /**
+   * Classify a license expression
+   * @param {string|null} expression - SPDX expression such as '(MIT OR GPL-3.0)'
+   * @returns {Object} { license, category, licenses, denied }
+   */
+  classify(expression) {
+    if (!expression || typeof expression !== 'string' || !expression.trim()) {
+      return { license: null, category: 'unknown', licenses: [], denied: false };
+    }
+
+    const trimmed = expression.trim();
+    if (trimmed === 'UNLICENSED' || /^SEE LICEN[CS]E IN /i.test(trimmed)) {
+      return { license: trimmed, category: 'proprietary', licenses: [trimmed], denied: false };
+    }
+
+    const licenses = [];
+    let result = null;
+    try {
+      const tokens = trimmed.replace(/[()]/g, ' $& ').split(/\s+/).filter(Boolean);
+      result = this.parseExpression(tokens, licenses);
+      if (tokens.length > 0) result = null;
+    } catch {
+      result = null;
+    }
+
+    // Not a valid expression: classify the whole text (e.g. 'Apache License 2.0')
+    if (!result) {
+      const identifier = this.classifyIdentifier(trimmed);
+      licenses.splice(0, licenses.length, identifier.id);
+      result = { category: identifier.category, denied: identifier.denied };
+    }
+
+    return { license: trimmed, category: result.category, licenses, denied: result.denied };
+  }
+
+  /**
+   * Risk rank of a category
+   * @param {string} category - License category
+   * @returns {number} 0 (permissive) to 4 (network copyleft)
+   */
+  getRisk(category) {
+    return CATEGORY_RISK[category] !== undefined ? CATEGORY_RISK[category] : CATEGORY_RISK.unknown;
+  }
+
+  // expression := term ("OR" term)*
+  parseExpression(tokens, licenses) {
+    let result = this.parseTerm(tokens, licenses);
+    while (tokens[0] && tokens[0].toUpperCase() === 'OR') {
+      tokens.shift();
+      const next = this.parseTerm(tokens, licenses);
+      if (this.getRisk(next.category) < this.getRisk(result.category) || (result.denied && !next.denied)) {
+        result = next;
+      }
+    }
+    return result;
+  }
+
+  // term := factor ("AND" factor)*
+  parseTerm(tokens, licenses) {
+    let result = this.parseFactor(tokens, licenses);
+    while (tokens[0] && tokens[0].toUpperCase() === 'AND') {
+      tokens.shift();
+      const next = this.parseFactor(tokens, licenses);
+      result = {
+        category: this.getRisk(next.category) > this.getRisk(result.category) ? next.category : result.category,
+        denied: result.denied || next.denied
+      };
+    }
+    return result;
+  }
+
+  // factor := "(" expression ")" | identifier ["WITH" exception]
+  parseFactor(tokens, licenses) {
+    const token = tokens.shift();
+    if (!token) {
+      throw new Error('Unexpected end of license expression');
+    }
+    if (token === '(') {
+      const result = this.parseExpression(tokens, licenses);
+      if (tokens.shift() !== ')') {
+        throw new Error('Unbalanced license expression');
+      }
+      return result;
+    }
+
+    const identifier = this.classifyIdentifier(token);
+    licenses.push(identifier.id);
+
+    if (tokens[0] && tokens[0].toUpperCase() === 'WITH') {
+      tokens.shift();
+      const exception = tokens.shift() || '';
+      // Linking exceptions (Classpath, GCC runtime, ...) lift GPL to weak copyleft
+      if (identifier.category === 'strong-copyleft' && /exception/i.test(exception)) {
+        return { category: 'weak-copyleft', denied: identifier.denied };
+      }
+    }
+    return { category: identifier.category, denied: identifier.denied };
+  }
+
+  /**
+   * Classify a single license identifier
+   * @param {string} identifier - License identifier
+   * @returns {Object} { id, category, denied }
+   */
+  classifyIdentifier(identifier) {
+    const lower = identifier.trim().toLowerCase();
+    const id = LICENSE_ALIASES[lower] || identifier.trim();
+    const base = id.toLowerCase().replace(/\+$/, '').replace(/-(only|or-later)$/, '');
+    const denied = this.deniedLicenses.has(lower) || this.deniedLicenses.has(id.toLowerCase()) || this.deniedLicenses.has(base);
+
+    if (this.allowedLicenses.has(lower) || this.allowedLicenses.has(id.toLowerCase()) || this.allowedLicenses.has(base)) {
+      return { id, category: 'permissive', denied };
+    }
+
+    return { id, category: LICENSE_CATEGORY.get(base) || 'unknown', denied };
+  }
+}
+
+module.exports = LicenseClassifier;
+module.exports.CATEGORY_RISK = CATEGORY_RISK;
@@ -0,0 +1,413 @@
+/**
+ * LockfileParser - Domain Service
+ * Reads npm (package-lock.json v1-v3), Yarn (classic and Berry) and pnpm lockfiles
+ * into one normalized structure that resolves direct and transitive dependencies
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+
+const LOCKFILES = [
+  { file: 'package-lock.json', type: 'npm' },
+  { file: 'npm-shrinkwrap.json', type: 'npm' },
+  { file: 'yarn.lock', type: 'yarn' },
+  { file: 'pnpm-lock.yaml', type: 'pnpm' }
+];
+const PNPM_DEPENDENCY_TYPES = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+/**
+ * Split a `name@range` descriptor, keeping the scope of scoped packages
+ * @param {string} descriptor - Descriptor (e.g. '@babel/core@^7.0.0')
+ * @returns {Object} { name, range }
+ */
+function splitDescriptor(descriptor) {
+  const index = descriptor.indexOf('@', 1);
+  if (index === -1) {
+    return { name: descriptor, range: '' };
+  }
+  return { name: descriptor.slice(0, index), range: descriptor.slice(index + 1) };
+}
+
+/**
+ * Parent directory inside a node_modules layout
+ * ('a/node_modules/@s/b' -> 'a', 'packages/x' -> 'packages', 'a' -> '')
+ * @param {string} location - Lockfile location
+ * @returns {string|null} Parent location, null above the root
+ */
+function parentLocation(location) {
+  if (!location) return null;
+  const match = location.match(/^(.*?)\/?node_modules\/(@[^/]+\/)?[^/]+$/);
+  if (match) return match[1];
+  const parent = path.posix.dirname(location);
+  return parent === '.' ? '' : parent;
+}
+
+/**
+ * Normalized lockfile
+ * Entries are { key, name, version, dependencies, optionalDependencies, license, resolved, integrity, workspace }
+ */
+class Lockfile {
+  constructor(type, file, lockfileVersion) {
+    this.type = type;
+    this.file = file;
+    this.lockfileVersion = lockfileVersion;
+    this.entries = new Map();
+    this.descriptors = new Map();
+    this.importers = new Map();
+  }
+
+  /**
+   * Resolve a dependency declared by a workspace manifest
+   * @param {string} importer - Workspace directory relative to the lockfile ('' for the root)
+   * @param {string} name - Package name
+   * @param {string} range - Declared range
+   * @returns {Object|null} Lockfile entry
+   */
+  resolveDirect(importer, name, range) {
+    switch (this.type) {
+      case 'npm':
+        return this.findInNodeModules(importer, name);
+      case 'yarn':
+        return this.findDescriptor(name, range);
+      case 'pnpm': {
+        const versions = this.importers.get(importer || '.');
+        return versions && versions[name] ? this.findPnpmVersion(name, versions[name]) : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Resolve a dependency of a locked package
+   * @param {Object} parent - Lockfile entry
+   * @param {string} name - Package name
+   * @param {string} spec - Range (npm, yarn) or locked version (pnpm) from the parent entry
+   * @returns {Object|null} Lockfile entry
+   */
+  resolveChild(parent, name, spec) {
+    switch (this.type) {
+      case 'npm':
+        return this.findInNodeModules(parent.key, name);
+      case 'yarn':
+        return this.findDescriptor(name, spec);
+      case 'pnpm':
+        return this.findPnpmVersion(name, spec);
+      default:
+        return null;
+    }
+  }
+
+  findInNodeModules(fromLocation, name) {
+    let location = fromLocation || '';
+    while (location !== null) {
+      const entry = this.entries.get(location ? `${location}/node_modules/${name}` : `node_modules/${name}`);
+      if (entry) {
+        return entry.link ? this.toWorkspaceEntry(entry) : entry;
+      }
+      location = parentLocation(location);
+    }
+    return null;
+  }
+
+  toWorkspaceEntry(linkEntry) {
+    const target = this.entries.get(linkEntry.resolved);
+    return { ...(target || linkEntry), name: linkEntry.name, workspace: true };
+  }
+
+  findDescriptor(name, range) {
+    return this.descriptors.get(`${name}@${range}`) || this.descriptors.get(`${name}@npm:${range}`) || null;
+  }
+
+  findPnpmVersion(name, spec) {
+    if (typeof spec !== 'string') return null;
+    if (spec.startsWith('link:') || spec.startsWith('workspace:')) {
+      return { key: spec, name, version: spec, dependencies: {}, optionalDependencies: {}, workspace: true };
+    }
+    if (spec.startsWith('/') || /^(@[^/]+\/)?[^@/]+@/.test(spec)) {
+      const aliased = parsePnpmKey(spec, this.lockfileVersion);
+      return this.entries.get(`${aliased.name}@${aliased.version}`) || null;
+    }
+    return this.entries.get(`${name}@${stripPeerSuffix(spec)}`) || null;
+  }
+}
+
+/**
+ * Drop the peer dependency suffix of a pnpm version ('1.0.0(react@18.0.0)', '1.0.0_react@18.0.0')
+ * @param {string} version - pnpm version
+ * @returns {string} Plain version
+ */
+function stripPeerSuffix(version) {
+  return String(version).split('(')[0].split('_')[0];
+}
+
+/**
+ * Parse a pnpm package key ('/a/1.0.0' in v5, '/a@1.0.0' in v6, 'a@1.0.0' in v9)
+ * @param {string} key - Package key
+ * @param {number} lockfileVersion - Lockfile version
+ * @returns {Object} { name, version }
+ */
+function parsePnpmKey(key, lockfileVersion) {
+  const plain = key.replace(/^\//, '').split('(')[0];
+  if (lockfileVersion < 6 && !/^(@[^/]+\/)?[^@/]+@/.test(plain)) {
+    const index = plain.lastIndexOf('/');
+    return { name: plain.slice(0, index), version: stripPeerSuffix(plain.slice(index + 1)) };
+  }
+  const { name, range } = splitDescriptor(plain);
+  return { name, version: stripPeerSuffix(range) };
+}
+
+class LockfileParser {
+  /**
+   * Find the lockfile of a directory
+   * @param {string} directory - Directory to look in
+   * @returns {Promise<Object|null>} { file, type } of the first lockfile found
+   */
+  async findLockfile(directory) {
+    for (const candidate of LOCKFILES) {
+      const file = path.join(directory, candidate.file);
+      try {
+        await fs.access(file);
+        return { file, type: candidate.type };
+      } catch {
+        // try the next lockfile type
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read and parse a lockfile
+   * @param {string} file - Lockfile path
+   * @param {string} type - 'npm', 'yarn' or 'pnpm'
+   * @returns {Promise<Lockfile>} Normalized lockfile
+   */
+  async readLockfile(file, type) {
+    const content = await fs.readFile(file, 'utf8');
+    return this.parse(content, type, file);
+  }
+
+  /**
+   * Parse lockfile content
+   * @param {string} content - Lockfile content
+   * @param {string} type - 'npm', 'yarn' or 'pnpm'
+   * @param {string} file - Lockfile path (informational)
+   * @returns {Lockfile} Normalized lockfile
+   */
+  parse(content, type, file = null) {
+    switch (type) {
+      case 'npm':
+        return this.parsePackageLock(JSON.parse(content), file);
+      case 'yarn':
+        return content.includes('__metadata:')
+          ? this.parseYarnBerryLock(yaml.load(content), file)
+          : this.parseYarnClassicLock(content, file);
+      case 'pnpm':
+        return this.parsePnpmLock(yaml.load(content), file);
+      default:
+        throw new Error(`Unsupported lockfile type: ${type}`);
+    }
+  }
+
+  /**
+   * Parse package-lock.json / npm-shrinkwrap.json
+   * @param {Object} data - Parsed JSON
+   * @param {string} file - Lockfile path
+   * @returns {Lockfile} Normalized lockfile
+   */
+  parsePackageLock(data, file) {
+    const lockfile = new Lockfile('npm', file, data.lockfileVersion || 1);
+
+    if (data.packages) {
+      for (const [location, entry] of Object.entries(data.packages)) {
+        if (location === '') continue;
+        const name = entry.name || location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length);
+        lockfile.entries.set(location, {
+          key: location,
+          name,
+          version: entry.version || null,
+          dependencies: entry.dependencies || {},
+          optionalDependencies: entry.optionalDependencies || {},
+          license: typeof entry.license === 'string' ? entry.license : null,
+          resolved: entry.resolved || null,
+          integrity: entry.integrity || null,
+          link: entry.link === true,
+          workspace: !location.includes('node_modules/')
+        });
+      }
+      return lockfile;
+    }
+
+    // lockfileVersion 1: nested "dependencies" trees with "requires"
+    const addTree = (dependencies, prefix) => {
+      for (const [name, entry] of Object.entries(dependencies || {})) {
+        const location = prefix ? `${prefix}/node_modules/${name}` : `node_modules/${name}`;
+        lockfile.entries.set(location, {
+          key: location,
+          name,
+          version: entry.version || null,
+          dependencies: entry.requires || {},
+          optionalDependencies: {},
+          license: null,
+          resolved: entry.resolved || null,
+          integrity: entry.integrity || null,
+          link: false,
+          workspace: false
+        });
+        addTree(entry.dependencies, location);
+      }
+    };
+    addTree(data.dependencies, '');
+
+    return lockfile;
+  }
+
+  /**
+   * Parse a Yarn classic (v1) lockfile
+   * @param {string} content - Lockfile content
+   * @param {string} file - Lockfile path
+   * @returns {Lockfile} Normalized lockfile
+   */
+  parseYarnClassicLock(content, file) {
+    const lockfile = new Lockfile('yarn', file, 1);
+    const unquote = (value) => value.trim().replace(/^"(.*)"$/, '$1');
+    let current = null;
+    let section = null;
+
+    const finish = () => {
+      if (!current) return;
+      const { name } = splitDescriptor(current.descriptors[0]);
+      const entry = {
+        key: `${name}@${current.version}`,
+        name,
+        version: current.version,
+        dependencies: current.dependencies,
+        optionalDependencies: current.optionalDependencies,
+        license: null,
+        resolved: current.resolved || null,
+        integrity: current.integrity || null,
+        workspace: false
+      };
+      lockfile.entries.set(entry.key, entry);
+      current.descriptors.forEach(descriptor => lockfile.descriptors.set(descriptor, entry));
+      current = null;
+    };
+
+    for (const line of content.split('\n')) {
+      if (!line.trim() || line.trimStart().startsWith('#')) continue;
+
+      const indent = line.length - line.trimStart().length;
+      if (indent === 0) {
+        finish();
+        current = {
+          descriptors: line.replace(/:\s*$/, '').split(',').map(unquote),
+          version: null,
+          dependencies: {},
+          optionalDependencies: {}
+        };
+        section = null;
+        continue;
+      }
+      if (!current) continue;
+
+      const text = line.trim();
+      if (indent <= 2) {
+        if (text.endsWith(':')) {
+          section = text.slice(0, -1);
+          continue;
+        }
+        section = null;
+        const [field, ...rest] = text.split(' ');
+        current[field] = unquote(rest.join(' '));
+      } else if (section === 'dependencies' || section === 'optionalDependencies') {
+        const match = text.match(/^("[^"]+"|\S+)\s+(.+)$/);
+        if (match) current[section][unquote(match[1])] = unquote(match[2]);
+      }
+    }
+    finish();
+
+    return lockfile;
+  }
+
+  /**
+   * Parse a Yarn Berry (v2+) lockfile
+   * @param {Object} data - Parsed YAML
+   * @param {string} file - Lockfile path
+   * @returns {Lockfile} Normalized lockfile
+   */
+  parseYarnBerryLock(data, file) {
+    const lockfile = new Lockfile('yarn', file, data.__metadata ? Number(data.__metadata.version) : 2);
+
+    for (const [key, value] of Object.entries(data)) {
+      if (key === '__metadata' || !value) continue;
+
+      const descriptors = key.split(',').map(descriptor => descriptor.trim());
+      const { name } = splitDescriptor(descriptors[0]);
+      const isWorkspace = String(value.resolution || '').includes('@workspace:');
+      const entry = {
+        key: value.resolution || `${name}@${value.version}`,
+        name,
+        version: String(value.version),
+        dependencies: value.dependencies || {},
+        optionalDependencies: {},
+        license: null,
+        resolved: value.resolution || null,
+        integrity: value.checksum || null,
+        workspace: isWorkspace
+      };
+      lockfile.entries.set(entry.key, entry);
+      descriptors.forEach(descriptor => lockfile.descriptors.set(descriptor, entry));
+    }
+
+    return lockfile;
+  }
+
+  /**
+   * Parse pnpm-lock.yaml (lockfile versions 5, 6 and 9)
+   * @param {Object} data - Parsed YAML
+   * @param {string} file - Lockfile path
+   * @returns {Lockfile} Normalized lockfile
+   */
+  parsePnpmLock(data, file) {
+    const lockfileVersion = parseFloat(data.lockfileVersion) || 5;
+    const lockfile = new Lockfile('pnpm', file, lockfileVersion);
+
+    const importers = data.importers || { '.': data };
+    for (const [importer, manifest] of Object.entries(importers)) {
+      const versions = {};
+      for (const type of PNPM_DEPENDENCY_TYPES) {
+        for (const [name, value] of Object.entries((manifest && manifest[type]) || {})) {
+          versions[name] = value && typeof value === 'object' ? value.version : value;
+        }
+      }
+      lockfile.importers.set(importer, versions);
+    }
+
+    // v9 keeps the dependency edges in "snapshots" and package metadata in "packages"
+    const edges = data.snapshots || data.packages || {};
+    for (const [key, value] of Object.entries(edges)) {
+      const { name, version } = parsePnpmKey(key, lockfileVersion);
+      const metadata = (data.snapshots && data.packages && data.packages[`${name}@${version}`]) || value || {};
+      const entryKey = `${name}@${version}`;
+      if (lockfile.entries.has(entryKey)) continue;
+
+      lockfile.entries.set(entryKey, {
+        key: entryKey,
+        name,
+        version,
+        dependencies: (value && value.dependencies) || {},
+        optionalDependencies: (value && value.optionalDependencies) || {},
+        license: null,
+        resolved: metadata.resolution ? metadata.resolution.tarball || null : null,
+        integrity: metadata.resolution ? metadata.resolution.integrity || null : null,
+        workspace: false
+      });
+    }
+
+    return lockfile;
+  }
+}
+
+module.exports = LockfileParser;
+module.exports.splitDescriptor = splitDescriptor;
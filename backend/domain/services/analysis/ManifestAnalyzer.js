@@ -120,7 +120,7 @@ class ManifestAnalyzer {
   async findDockerFiles(projectPath) {
     const dockerPatterns = [
       'Dockerfile*', 'docker-compose*.yml', 'docker-compose*.yaml',
-      '.dockerignore', 'dockerfile*'
+      '.dockerignore', 'dockerfile*', '*.dockerfile'
     ];
 
     return await this.scanDirectory(projectPath, dockerPatterns);
@@ -133,15 +133,22 @@ class ManifestAnalyzer {
    */
   async findCIFiles(projectPath) {
     const ciPatterns = [
-      '.github/workflows/*.yml', '.github/workflows/*.yaml',
       '.gitlab-ci.yml', '.gitlab-ci.yaml',
       '.travis.yml', '.travis.yaml',
       'azure-pipelines.yml', 'azure-pipelines.yaml',
-      'Jenkinsfile', 'Jenkinsfile.*',
-      '.circleci/config.yml', '.circleci/config.yaml'
+      'Jenkinsfile', 'Jenkinsfile.*'
     ];
+    // scanDirectory skips dot directories, so the CI directories are scanned explicitly
+    const ciDirectories = {
+      '.github/workflows': ['*.yml', '*.yaml'],
+      '.circleci': ['config.yml', 'config.yaml']
+    };
 
-    return await this.scanDirectory(projectPath, ciPatterns);
+    const files = await this.scanDirectory(projectPath, ciPatterns);
+    for (const [directory, patterns] of Object.entries(ciDirectories)) {
+      files.push(...await this.scanDirectory(path.join(projectPath, directory), patterns));
+    }
+    return files;
   }
 
   /**
@@ -190,7 +197,7 @@ class ManifestAnalyzer {
   matchesPattern(filename, pattern) {
     // Simple pattern matching - can be enhanced with glob patterns
     if (pattern.includes('*')) {
-      const regexPattern = pattern.replace(/\*/g, '.*');
+      const regexPattern = pattern.replace(/\./g, '\\.').replace(/\*/g, '.*');
       const regex = new RegExp(`^${regexPattern}$`);
       return regex.test(filename);
     }
@@ -0,0 +1,301 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const Logger = require('@logging/Logger');
+const AnalysisBaselineService = require('./AnalysisBaselineService');
+const logger = new Logger('QualityGateService');
+
+/**
+ * QualityGateService - Evaluates project quality gates against the latest analysis results
+ *
+ * Project gate file (.pidea/quality-gates.json, .yml or .yaml):
+ *   missingAnalysis: fail            # or skip: gate result when the analysis never ran
+ *   gates:
+ *     - { metric: new-findings, analysis: security, severity: high, max: 0 }
+ *     - { metric: coverage, min: 80 }
+ *     - { metric: complexity, max: 20 }
+ *     - { metric: layer-violations, max: 0 }
+ *
+ * Without a gate file no gates apply and the status passes.
+ */
+
+const GATE_FILES = ['.pidea/quality-gates.json', '.pidea/quality-gates.yml', '.pidea/quality-gates.yaml'];
+
+const SEVERITY_RANK = { info: 0, low: 1, medium: 2, high: 3, critical: 4 };
+
+const COVERAGE_KINDS = {
+  line: 'lineCoverage',
+  branch: 'branchCoverage',
+  function: 'functionCoverage',
+  statement: 'statementCoverage'
+};
+
+const COMPLEXITY_KINDS = {
+  cyclomatic: 'maxComplexity',
+  cognitive: 'maxCognitiveComplexity'
+};
+
+// metric -> analysis type it reads and the threshold it needs
+const METRICS = {
+  findings: { analysis: 'security', threshold: 'max' },
+  'new-findings': { analysis: 'security', threshold: 'max' },
+  coverage: { analysis: 'code-quality', threshold: 'min' },
+  complexity: { analysis: 'code-quality', threshold: 'max' },
+  'layer-violations': { analysis: 'architecture', threshold: 'max' }
+};
+
+class QualityGateService {
+  constructor(dependencies = {}) {
+    this.analysisRepository = dependencies.analysisRepository || null;
+    this.baselineService = dependencies.analysisBaselineService || new AnalysisBaselineService();
+    this.logger = dependencies.logger || logger;
+  }
+
+  /**
+   * Evaluate the quality gates of a project against its latest analyses
+   * @param {string} projectId - Project ID
+   * @param {string} projectPath - Project directory with the gate file
+   * @returns {Promise<Object>} Gate status (see evaluate)
+   */
+  async evaluateProject(projectId, projectPath) {
+    const config = await this.loadConfig(projectPath);
+    const types = [...new Set(config.gates.map(gate => gate.analysis))];
+
+    const analyses = {};
+    for (const type of types) {
+      analyses[type] = this.analysisRepository
+        ? await this.analysisRepository.getLatestAnalysis(projectId, [type])
+        : null;
+    }
+
+    return { projectId, ...this.evaluate(config, analyses) };
+  }
+
+  /**
+   * Read and validate the project gate file
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Object>} { file, gates, missingAnalysis, errors }; invalid gates are left out and reported in errors
+   */
+  async loadConfig(projectPath) {
+    if (!projectPath) {
+      return this.createConfig({}, null);
+    }
+
+    for (const file of GATE_FILES) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(projectPath, file), 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      try {
+        const projectConfig = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+        return this.createConfig(projectConfig || {}, file);
+      } catch (error) {
+        this.logger.warn(`Invalid quality gate file ${file}: ${error.message}`);
+        const config = this.createConfig({}, file);
+        config.errors.push({ gate: null, message: `Cannot parse gate file: ${error.message}` });
+        return config;
+      }
+    }
+
+    return this.createConfig({}, null);
+  }
+
+  /**
+   * Normalize a gate configuration
+   * @param {Object} projectConfig - { gates, missingAnalysis }
+   * @param {string|null} file - Gate file the configuration came from
+   * @returns {Object} { file, gates, missingAnalysis, errors }
+   */
+  createConfig(projectConfig = {}, file = null) {
+    const errors = [];
+    const gates = [];
+    const missingAnalysis = projectConfig.missingAnalysis === 'skip' ? 'skip' : 'fail';
+
+    (Array.isArray(projectConfig.gates) ? projectConfig.gates : []).forEach((gate, index) => {
+      const gateErrors = this.validateGate(gate);
+      const id = (gate && gate.id) || `${(gate && gate.metric) || 'gate'}-${index + 1}`;
+      if (gateErrors.length > 0) {
+        errors.push(...gateErrors.map(message => ({ gate: id, message })));
+        return;
+      }
+
+      const metric = METRICS[gate.metric];
+      gates.push({
+        ...gate,
+        id,
+        name: gate.name || id,
+        analysis: gate.analysis || metric.analysis,
+        severity: gate.severity || 'low',
+        missingAnalysis: gate.missingAnalysis || missingAnalysis
+      });
+    });
+
+    return { file, gates, missingAnalysis, errors };
+  }
+
+  validateGate(gate) {
+    if (!gate || typeof gate !== 'object') {
+      return ['Gate must be an object'];
+    }
+    const metric = METRICS[gate.metric];
+    if (!metric) {
+      return [`Unknown metric "${gate.metric}" (expected ${Object.keys(METRICS).join(', ')})`];
+    }
+
+    const errors = [];
+    if (typeof gate[metric.threshold] !== 'number') {
+      errors.push(`Metric "${gate.metric}" needs a numeric "${metric.threshold}"`);
+    }
+    if (gate.severity && SEVERITY_RANK[gate.severity] === undefined) {
+      errors.push(`Unknown severity "${gate.severity}"`);
+    }
+    if (gate.metric === 'coverage' && gate.kind && !COVERAGE_KINDS[gate.kind]) {
+      errors.push(`Unknown coverage kind "${gate.kind}" (expected ${Object.keys(COVERAGE_KINDS).join(', ')})`);
+    }
+    if (gate.metric === 'complexity' && gate.kind && !COMPLEXITY_KINDS[gate.kind]) {
+      errors.push(`Unknown complexity kind "${gate.kind}" (expected ${Object.keys(COMPLEXITY_KINDS).join(', ')})`);
+    }
+    return errors;
+  }
+
+  /**
+   * Evaluate gates against analyses
+   * @param {Object} config - Configuration from loadConfig/createConfig
+   * @param {Object} analyses - Latest analysis per analysis type (null when it never ran)
+   * @returns {Object} { status: passed|failed|not-configured, passed, file, gates, reasons, errors, evaluatedAt }
+   * An invalid gate file fails, so a typo cannot silently turn a gate off
+   */
+  evaluate(config, analyses = {}) {
+    const gates = config.gates.map(gate => this.evaluateGate(gate, analyses[gate.analysis] || null));
+    const reasons = [
+      ...config.errors.map(error => `Invalid quality gate${error.gate ? ` ${error.gate}` : ''}: ${error.message}`),
+      ...gates.filter(gate => gate.status === 'failed').map(gate => `${gate.name}: ${gate.reason}`)
+    ];
+
+    let status = reasons.length > 0 ? 'failed' : 'passed';
+    if (!config.file && config.gates.length === 0) {
+      status = 'not-configured';
+    }
+
+    return {
+      status,
+      passed: status !== 'failed',
+      file: config.file,
+      gates,
+      reasons,
+      errors: config.errors,
+      evaluatedAt: new Date().toISOString()
+    };
+  }
+
+  evaluateGate(gate, analysis) {
+    const thresholdKey = METRICS[gate.metric].threshold;
+    const threshold = gate[thresholdKey];
+    const base = {
+      id: gate.id,
+      name: gate.name,
+      metric: gate.metric,
+      analysis: gate.analysis,
+      [thresholdKey]: threshold,
+      analysisId: analysis ? analysis.id : null
+    };
+
+    if (!analysis || !analysis.result) {
+      return {
+        ...base,
+        status: gate.missingAnalysis === 'skip' ? 'skipped' : 'failed',
+        actual: null,
+        reason: `No ${gate.analysis} analysis results`
+      };
+    }
+
+    const actual = this.measure(gate, analysis.result);
+    if (actual === null) {
+      return {
+        ...base,
+        status: gate.missingAnalysis === 'skip' ? 'skipped' : 'failed',
+        actual: null,
+        reason: `The latest ${gate.analysis} analysis has no ${gate.metric} data`
+      };
+    }
+
+    const passed = thresholdKey === 'min' ? actual >= threshold : actual <= threshold;
+    return {
+      ...base,
+      status: passed ? 'passed' : 'failed',
+      actual,
+      reason: passed ? null : this.describeFailure(gate, actual, threshold)
+    };
+  }
+
+  /**
+   * Value of a gate metric in an analysis result
+   * @returns {number|null} Measured value, null when the result has no data for the metric
+   */
+  measure(gate, result) {
+    switch (gate.metric) {
+      case 'findings':
+      case 'new-findings':
+        return this.countFindings(result, gate);
+      case 'coverage': {
+        const coverage = result.coverage || (result.result && result.result.coverage);
+        const value = coverage ? coverage[COVERAGE_KINDS[gate.kind || 'line']] : null;
+        return typeof value === 'number' ? value : null;
+      }
+      case 'complexity': {
+        const complexity = result.complexity || (result.result && result.result.complexity);
+        const value = complexity ? complexity[COMPLEXITY_KINDS[gate.kind || 'cyclomatic']] : null;
+        return typeof value === 'number' ? value : null;
+      }
+      case 'layer-violations':
+        return this.baselineService.getResultIssues(result)
+          .filter(issue => /violation/i.test(`${issue.type || ''} ${issue.rule || ''}`))
+          .length;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Findings at or above the gate severity; for new-findings only those that are not in the
+   * baseline the analysis was compared with (every finding counts as new without a baseline)
+   */
+  countFindings(result, gate) {
+    const minimum = SEVERITY_RANK[gate.severity];
+    const compared = Boolean(result.baselineDiff || (result.result && result.result.baselineDiff));
+
+    return this.baselineService.getResultIssues(result).filter((issue) => {
+      const rank = SEVERITY_RANK[String(issue.severity || 'medium').toLowerCase()];
+      if ((rank === undefined ? SEVERITY_RANK.medium : rank) < minimum) {
+        return false;
+      }
+      return gate.metric !== 'new-findings' || !compared || issue.baselineStatus === 'new';
+    }).length;
+  }
+
+  describeFailure(gate, actual, threshold) {
+    switch (gate.metric) {
+      case 'findings':
+      case 'new-findings': {
+        const label = gate.metric === 'new-findings' ? 'new ' : '';
+        return `${actual} ${label}${gate.analysis} finding(s) with severity ${gate.severity} or higher (max ${threshold})`;
+      }
+      case 'coverage':
+        return `${gate.kind || 'line'} coverage ${actual}% is below ${threshold}%`;
+      case 'complexity':
+        return `max ${gate.kind || 'cyclomatic'} complexity ${actual} exceeds ${threshold}`;
+      case 'layer-violations':
+        return `${actual} layer violation(s) (max ${threshold})`;
+      default:
+        return `${actual} does not meet ${threshold}`;
+    }
+  }
+}
+
+QualityGateService.GATE_FILES = GATE_FILES;
+QualityGateService.METRICS = Object.keys(METRICS);
+
+module.exports = QualityGateService;
@@ -0,0 +1,1023 @@
+/**
+ * SecurityRuleEngine - Domain Service
+ * Parses JavaScript/TypeScript sources into an AST and applies security rules: taint rules
+ * follow user input from a source to a sink inside a function, pattern rules match calls,
+ * assignments, properties and statements. Rules come from SecurityRules and can be extended,
+ * overridden or disabled per project; findings can be suppressed inline.
+ *
+ * Project rule file (.pidea/security-rules.json, .yml or .yaml):
+ *   disable: [debugger-statement]
+ *   overrides: { weak-hash: { severity: low } }
+ *   rules: [{ id, kind, message, severity, cwe, ... }]   // same shape as SecurityRules
+ *
+ * Inline suppression: `// pidea-ignore rule-id[, rule-id]` on the line of the finding or
+ * alone on the line above it; without ids every rule is suppressed. `// pidea-ignore-file`
+ * suppresses for the whole file.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { parse } = require('@babel/parser');
+const Logger = require('@logging/Logger');
+const { isExcludedPath } = require('@config/analysis-excludes');
+const {
+  RULES,
+  SOURCE_GROUPS,
+  GLOBAL_SANITIZERS,
+  PROPAGATORS,
+  NON_PROPAGATING_METHODS,
+  SAFE_TEMPLATE_TAGS
+} = require('./SecurityRules');
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const IGNORED_SUFFIXES = ['.d.ts', '.min.js'];
+const DEFAULT_MAX_FILES = 2000;
+const DEFAULT_MAX_FILE_SIZE = 512 * 1024;
+const RULE_FILES = ['.pidea/security-rules.json', '.pidea/security-rules.yml', '.pidea/security-rules.yaml'];
+
+const RULE_KINDS = {
+  taint: ['sources', 'sinks'],
+  call: ['callee'],
+  assignment: ['target'],
+  property: ['key'],
+  'jsx-attribute': ['name'],
+  statement: ['node']
+};
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+const FUNCTION_TYPES = new Set([
+  'FunctionDeclaration',
+  'FunctionExpression',
+  'ArrowFunctionExpression',
+  'ObjectMethod',
+  'ClassMethod',
+  'ClassPrivateMethod'
+]);
+const WRAPPER_TYPES = new Set([
+  'AwaitExpression',
+  'ParenthesizedExpression',
+  'TSAsExpression',
+  'TSSatisfiesExpression',
+  'TSNonNullExpression',
+  'TypeCastExpression'
+]);
+const SKIPPED_KEYS = new Set(['type', 'start', 'end', 'loc', 'range', 'extra', 'leadingComments', 'trailingComments', 'innerComments']);
+const SUPPRESSION_PATTERN = /pidea-ignore(-file)?\b([^\n*]*)/;
+const PLACEHOLDER_PATTERN = /your|example|changeme|change_me|placeholder|dummy|xxx|\*\*\*|<|\$\{|todo/i;
+
+const globalSanitizers = compilePatterns(GLOBAL_SANITIZERS);
+const propagators = compilePatterns(PROPAGATORS);
+const safeTemplateTags = compilePatterns(SAFE_TEMPLATE_TAGS);
+
+class SecurityRuleEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Array<Object>} options.rules - Rules replacing the built-in rules
+   * @param {number} options.maxFiles - Maximum number of files collected per project
+   * @param {number} options.maxFileSize - Larger files are skipped (bytes)
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('SecurityRuleEngine');
+    this.rules = options.rules || RULES;
+    this.maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+    this.maxFileSize = options.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+  }
+
+  /**
+   * Build the rule set of a project: built-in rules plus the project rule file
+   * @param {string} projectPath - Project directory path
+   * @returns {Promise<Object>} Rule set ({ rules, file, errors }) for analyzeSource
+   */
+  async loadRuleSet(projectPath) {
+    for (const file of RULE_FILES) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(projectPath, file), 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      try {
+        const projectConfig = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+        return this.createRuleSet(projectConfig || {}, file);
+      } catch (error) {
+        this.logger.warn(`Invalid security rule file ${file}: ${error.message}`);
+        const ruleSet = this.createRuleSet({}, file);
+        ruleSet.errors.push({ file, rule: null, message: `Cannot parse rule file: ${error.message}` });
+        return ruleSet;
+      }
+    }
+
+    return this.createRuleSet({});
+  }
+
+  /**
+   * Combine the engine's rules with a project configuration
+   * @param {Object} projectConfig - { rules, disable, overrides }
+   * @param {string|null} file - Rule file the configuration came from
+   * @returns {Object} Rule set ({ rules, file, errors }); invalid project rules are left out and reported in errors
+   */
+  createRuleSet(projectConfig = {}, file = null) {
+    const errors = [];
+    const rules = new Map(this.rules.map(rule => [rule.id, rule]));
+
+    for (const rule of asArray(projectConfig.rules)) {
+      const ruleErrors = this.validateRule(rule);
+      if (ruleErrors.length > 0) {
+        errors.push(...ruleErrors.map(message => ({ file, rule: rule && rule.id ? rule.id : null, message })));
+        continue;
+      }
+      // A project rule with the id of a built-in rule replaces it
+      rules.set(rule.id, rule);
+    }
+
+    for (const [id, override] of Object.entries(projectConfig.overrides || {})) {
+      if (!rules.has(id)) {
+        errors.push({ file, rule: id, message: `Override for unknown rule "${id}"` });
+        continue;
+      }
+      const rule = { ...rules.get(id), ...override, id };
+      const ruleErrors = this.validateRule(rule);
+      if (ruleErrors.length > 0) {
+        errors.push(...ruleErrors.map(message => ({ file, rule: id, message })));
+        continue;
+      }
+      rules.set(id, rule);
+    }
+
+    for (const id of asArray(projectConfig.disable)) {
+      rules.delete(id);
+    }
+
+    return {
+      rules: [...rules.values()].map(rule => this.compileRule(rule)),
+      file,
+      errors
+    };
+  }
+
+  /**
+   * Check a rule definition
+   * @param {Object} rule - Rule definition
+   * @returns {Array<string>} Problems, empty when the rule is usable
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object') return ['Rule must be an object'];
+
+    const errors = [];
+    if (!rule.id || typeof rule.id !== 'string') errors.push('Rule needs a string id');
+    if (!RULE_KINDS[rule.kind]) {
+      errors.push(`Unknown rule kind "${rule.kind}" (expected ${Object.keys(RULE_KINDS).join(', ')})`);
+    } else {
+      for (const field of RULE_KINDS[rule.kind]) {
+        if (rule[field] === undefined || (Array.isArray(rule[field]) && rule[field].length === 0)) {
+          errors.push(`${rule.kind} rule needs "${field}"`);
+        }
+      }
+    }
+    if (!rule.message) errors.push('Rule needs a message');
+    if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+      errors.push(`Unknown severity "${rule.severity}" (expected ${SEVERITIES.join(', ')})`);
+    }
+    if (rule.kind === 'taint') {
+      for (const sink of asArray(rule.sinks)) {
+        if (!sink || (!sink.callee && !sink.target)) errors.push('Taint sink needs a callee or a target');
+      }
+      for (const source of asArray(rule.sources)) {
+        if (typeof source === 'string' && source.startsWith('@') && !SOURCE_GROUPS[source.slice(1)]) {
+          errors.push(`Unknown source group "${source}" (expected ${Object.keys(SOURCE_GROUPS).map(group => `@${group}`).join(', ')})`);
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Turn name patterns and regex strings of a rule into matchers
+   * @param {Object} rule - Valid rule definition
+   * @returns {Object} Rule with a `match` property holding the compiled matchers
+   */
+  compileRule(rule) {
+    const compiled = { severity: 'medium', category: rule.id, ...rule };
+    const match = {};
+
+    switch (rule.kind) {
+      case 'taint':
+        match.sources = compilePatterns(asArray(rule.sources).flatMap(source => (
+          source.startsWith('@') ? SOURCE_GROUPS[source.slice(1)] : [source]
+        )));
+        match.sinks = asArray(rule.sinks).map(sink => ({
+          ...sink,
+          callee: sink.callee ? compilePatterns(asArray(sink.callee)) : null,
+          target: sink.target ? compilePatterns(asArray(sink.target)) : null
+        }));
+        match.sanitizers = compilePatterns(asArray(rule.sanitizers));
+        break;
+      case 'call':
+        match.callee = compilePatterns(asArray(rule.callee));
+        match.arguments = asArray(rule.arguments).map(constraint => ({
+          ...constraint,
+          matches: constraint.matches ? new RegExp(constraint.matches, 'i') : null
+        }));
+        break;
+      case 'assignment':
+        match.target = compilePatterns(asArray(rule.target));
+        break;
+      case 'property':
+        match.key = asArray(rule.key).map(pattern => new RegExp(pattern, 'i'));
+        break;
+      default:
+        break;
+    }
+
+    compiled.match = match;
+    return compiled;
+  }
+
+  /**
+   * Walk the project and collect analyzable source files
+   * @param {string} projectPath - Project directory path
+   * @param {Array<string>} excludePatterns - Exclude patterns
+   * @returns {Promise<Object>} { files: [{ path, file }], truncated } with absolute and project-relative paths
+   */
+  async collectSourceFiles(projectPath, excludePatterns) {
+    const files = [];
+    let truncated = false;
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch (error) {
+        this.logger.warn(`Cannot read directory ${directory}: ${error.message}`);
+        return;
+      }
+
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        if (files.length >= this.maxFiles) {
+          truncated = true;
+          return;
+        }
+
+        const fullPath = path.join(directory, entry.name);
+        const relativePath = path.relative(projectPath, fullPath).split(path.sep).join('/');
+        if (isExcludedPath(relativePath, excludePatterns)) {
+          continue;
+        }
+
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile() && this.isSourceFile(entry.name)) {
+          files.push({ path: fullPath, file: relativePath });
+        }
+      }
+    };
+
+    await walk(projectPath);
+    return { files, truncated };
+  }
+
+  /**
+   * Check whether a file name is an analyzable source file
+   * @param {string} fileName - File name
+   * @returns {boolean} True for JavaScript/TypeScript sources
+   */
+  isSourceFile(fileName) {
+    if (IGNORED_SUFFIXES.some(suffix => fileName.endsWith(suffix))) {
+      return false;
+    }
+    return SOURCE_EXTENSIONS.includes(path.extname(fileName));
+  }
+
+  /**
+   * Apply a rule set to one source text
+   * @param {string} source - Source code
+   * @param {string} fileName - Project-relative file name (selects the parser plugins and is copied into findings)
+   * @param {Object} ruleSet - Rule set from loadRuleSet/createRuleSet (default: the engine's rules)
+   * @returns {Object} { findings, suppressed, parseError }
+   * Findings: { ruleId, title, severity, cwe, category, message, suggestion, file, line, column, endLine,
+   * endColumn, range, snippet, dataFlow }; lines and columns are 1-based, endColumn is exclusive
+   */
+  analyzeSource(source, fileName, ruleSet = this.createRuleSet()) {
+    let ast;
+    try {
+      ast = this.parseSource(source, fileName);
+    } catch (error) {
+      return { findings: [], suppressed: [], parseError: error.message };
+    }
+
+    const rules = ruleSet.rules.filter(rule => !rule.excludePaths || !isExcludedPath(fileName, rule.excludePaths));
+    const state = {
+      fileName,
+      lines: source.split('\n'),
+      bindings: this.collectBindings(ast.program),
+      scopes: [new Map()],
+      findings: [],
+      rules: {
+        taint: rules.filter(rule => rule.kind === 'taint'),
+        call: rules.filter(rule => rule.kind === 'call'),
+        assignment: rules.filter(rule => rule.kind === 'assignment'),
+        property: rules.filter(rule => rule.kind === 'property'),
+        jsxAttribute: rules.filter(rule => rule.kind === 'jsx-attribute'),
+        statement: rules.filter(rule => rule.kind === 'statement')
+      }
+    };
+    state.sanitizers = compilePatterns(state.rules.taint.flatMap(rule => asArray(rule.sanitizers)));
+
+    this.visit(ast.program, state);
+
+    const findings = this.dropSuperseded(state.findings, rules);
+    const suppressions = this.collectSuppressions(ast.comments || [], state.lines);
+    const result = { findings: [], suppressed: [] };
+    for (const finding of findings) {
+      if (this.isSuppressed(finding, suppressions)) {
+        result.suppressed.push(finding);
+      } else {
+        result.findings.push(finding);
+      }
+    }
+    result.findings.sort((a, b) => a.line - b.line || a.column - b.column || a.ruleId.localeCompare(b.ruleId));
+    return result;
+  }
+
+  /**
+   * Parse a source text with the plugins its extension needs
+   * @param {string} source - Source code
+   * @param {string} fileName - File name
+   * @returns {Object} Babel AST
+   */
+  parseSource(source, fileName) {
+    const extension = path.extname(fileName || '');
+    const isTypeScript = ['.ts', '.tsx', '.mts', '.cts'].includes(extension);
+    const plugins = ['decorators-legacy', 'classProperties', 'classPrivateProperties', 'classPrivateMethods', 'dynamicImport', 'topLevelAwait'];
+
+    if (isTypeScript) {
+      plugins.push('typescript');
+      if (extension === '.tsx') plugins.push('jsx');
+    } else {
+      plugins.push('jsx');
+    }
+
+    return parse(source, {
+      sourceType: 'unambiguous',
+      allowReturnOutsideFunction: true,
+      allowImportExportEverywhere: true,
+      errorRecovery: true,
+      plugins
+    });
+  }
+
+  /**
+   * Map local names bound by imports and requires to canonical module names
+   * (`const { exec: run } = require('node:child_process')` binds run to child_process.exec)
+   * @param {Object} program - Program node
+   * @returns {Map<string, string>} Local name -> canonical name
+   */
+  collectBindings(program) {
+    const bindings = new Map();
+
+    const moduleOf = (node) => {
+      if (!node) return null;
+      if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+        node.arguments.length === 1 && node.arguments[0].type === 'StringLiteral') {
+        return normalizeModule(node.arguments[0].value);
+      }
+      if (node.type === 'MemberExpression' && !node.computed) {
+        const base = moduleOf(node.object);
+        return base ? normalizeName(`${base}.${node.property.name}`) : null;
+      }
+      // promisify(exec) keeps the identity of the wrapped function
+      if (node.type === 'CallExpression' && node.arguments.length === 1 && /^(util\.)?promisify$/.test(this.getName(node.callee, bindings) || '')) {
+        return this.getName(node.arguments[0], bindings);
+      }
+      return null;
+    };
+
+    const walk = (node) => {
+      if (node.type === 'ImportDeclaration') {
+        const moduleName = normalizeModule(node.source.value);
+        for (const specifier of node.specifiers) {
+          if (specifier.type === 'ImportSpecifier') {
+            const imported = specifier.imported.name || specifier.imported.value;
+            bindings.set(specifier.local.name, normalizeName(`${moduleName}.${imported}`));
+          } else {
+            bindings.set(specifier.local.name, moduleName);
+          }
+        }
+      } else if (node.type === 'VariableDeclarator' && node.init) {
+        const moduleName = moduleOf(node.init);
+        if (moduleName && node.id.type === 'Identifier') {
+          bindings.set(node.id.name, moduleName);
+        } else if (moduleName && node.id.type === 'ObjectPattern') {
+          for (const property of node.id.properties) {
+            if (property.type === 'ObjectProperty' && property.value.type === 'Identifier' && !property.computed) {
+              const key = property.key.name || property.key.value;
+              bindings.set(property.value.name, normalizeName(`${moduleName}.${key}`));
+            }
+          }
+        }
+      }
+      forEachChild(node, walk);
+    };
+
+    walk(program);
+    return bindings;
+  }
+
+  /**
+   * Canonical dotted name of an expression (callee, assignment target, member chain)
+   * @param {Object} node - AST node
+   * @param {Map<string, string>} bindings - Import bindings
+   * @returns {string|null} e.g. 'child_process.exec', 'this.db.query'; null for non-name expressions
+   */
+  getName(node, bindings) {
+    if (!node) return null;
+    switch (node.type) {
+      case 'Identifier':
+        return bindings.get(node.name) || node.name;
+      case 'ThisExpression':
+        return 'this';
+      case 'Super':
+        return 'super';
+      case 'MemberExpression':
+      case 'OptionalMemberExpression': {
+        const object = this.getName(node.object, bindings);
+        let property = null;
+        if (!node.computed) {
+          property = node.property.name;
+        } else if (node.property.type === 'StringLiteral') {
+          property = node.property.value;
+        }
+        return object && property ? normalizeName(`${object}.${property}`) : null;
+      }
+      case 'CallExpression':
+        // require('child_process').exec
+        if (node.callee.type === 'Identifier' && node.callee.name === 'require' && node.arguments[0] && node.arguments[0].type === 'StringLiteral') {
+          return normalizeModule(node.arguments[0].value);
+        }
+        return null;
+      default:
+        return WRAPPER_TYPES.has(node.type) ? this.getName(node.expression || node.argument, bindings) : null;
+    }
+  }
+
+  /**
+   * Visit a node: track taint through declarations and assignments, then check the rules
+   * @param {Object} node - AST node
+   * @param {Object} state - Walk state
+   */
+  visit(node, state) {
+    if (FUNCTION_TYPES.has(node.type)) {
+      state.scopes.push(new Map());
+      for (const param of node.params) {
+        this.bindPattern(param, null, state);
+      }
+      this.visitChildren(node, state);
+      state.scopes.pop();
+      return;
+    }
+
+    this.visitChildren(node, state);
+
+    switch (node.type) {
+      case 'VariableDeclarator':
+        this.bindPattern(node.id, node.init ? this.getTaint(node.init, state) : null, state);
+        this.checkProperty(node.id, node.init, node, state);
+        break;
+      case 'ForOfStatement':
+      case 'ForInStatement': {
+        const left = node.left.type === 'VariableDeclaration' ? node.left.declarations[0].id : node.left;
+        this.bindPattern(left, this.getTaint(node.right, state), state);
+        break;
+      }
+      case 'AssignmentExpression':
+        this.checkAssignment(node, state);
+        break;
+      case 'CallExpression':
+      case 'OptionalCallExpression':
+      case 'NewExpression':
+        this.checkCall(node, state);
+        break;
+      case 'ObjectProperty':
+        this.checkProperty(node.key, node.value, node, state);
+        break;
+      case 'JSXAttribute':
+        this.checkJsxAttribute(node, state);
+        break;
+      default:
+        break;
+    }
+
+    for (const rule of state.rules.statement) {
+      if (node.type === rule.node) this.report(rule, node, state);
+    }
+  }
+
+  /**
+   * Visit all child nodes
+   * @param {Object} node - AST node
+   * @param {Object} state - Walk state
+   */
+  visitChildren(node, state) {
+    forEachChild(node, child => this.visit(child, state));
+  }
+
+  /**
+   * Record the taint of every name a declaration or assignment pattern binds
+   * (destructuring input taints each extracted name)
+   * @param {Object} pattern - Identifier or destructuring pattern
+   * @param {Object|null} taint - Taint of the assigned value
+   * @param {Object} state - Walk state
+   * @param {boolean} declare - Bind in the current scope instead of updating an outer binding
+   */
+  bindPattern(pattern, taint, state, declare = true) {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case 'Identifier': {
+        const scope = declare ? state.scopes[state.scopes.length - 1] : this.findScope(pattern.name, state);
+        scope.set(pattern.name, taint);
+        break;
+      }
+      case 'ObjectPattern':
+        for (const property of pattern.properties) {
+          this.bindPattern(property.type === 'RestElement' ? property.argument : property.value, taint, state, declare);
+        }
+        break;
+      case 'ArrayPattern':
+        for (const element of pattern.elements) {
+          this.bindPattern(element, taint, state, declare);
+        }
+        break;
+      case 'AssignmentPattern':
+        this.bindPattern(pattern.left, taint || this.getTaint(pattern.right, state), state, declare);
+        break;
+      case 'RestElement':
+        this.bindPattern(pattern.argument, taint, state, declare);
+        break;
+      case 'TSParameterProperty':
+        this.bindPattern(pattern.parameter, taint, state, declare);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Scope holding a name, the innermost one when it is not declared anywhere
+   */
+  findScope(name, state) {
+    for (let index = state.scopes.length - 1; index >= 0; index--) {
+      if (state.scopes[index].has(name)) return state.scopes[index];
+    }
+    return state.scopes[state.scopes.length - 1];
+  }
+
+  /**
+   * Taint of an expression: where the user input it carries came from
+   * @param {Object} node - Expression node
+   * @param {Object} state - Walk state
+   * @returns {Object|null} { source, line, concatenated, sanitizers } or null when the value is not tainted
+   */
+  getTaint(node, state) {
+    if (!node) return null;
+
+    switch (node.type) {
+      case 'Identifier':
+      case 'MemberExpression':
+      case 'OptionalMemberExpression': {
+        const source = this.matchSource(node, state);
+        if (source) return source;
+        if (node.type === 'Identifier') {
+          const scope = this.findScope(node.name, state);
+          return scope.get(node.name) || null;
+        }
+        // Members of tainted objects are tainted (req.body -> body.cmd)
+        return this.getTaint(node.object, state);
+      }
+      case 'CallExpression':
+      case 'OptionalCallExpression':
+        return this.getCallTaint(node, state);
+      case 'TemplateLiteral':
+        return concatenate(mergeTaints(node.expressions.map(expression => this.getTaint(expression, state))));
+      case 'TaggedTemplateExpression': {
+        const tag = this.getName(node.tag, state.bindings);
+        if (tag && matchesAny(tag, safeTemplateTags)) return null;
+        return this.getTaint(node.quasi, state);
+      }
+      case 'BinaryExpression':
+        return node.operator === '+'
+          ? concatenate(mergeTaints([this.getTaint(node.left, state), this.getTaint(node.right, state)]))
+          : null;
+      case 'LogicalExpression':
+        return mergeTaints([this.getTaint(node.left, state), this.getTaint(node.right, state)]);
+      case 'ConditionalExpression':
+        return mergeTaints([this.getTaint(node.consequent, state), this.getTaint(node.alternate, state)]);
+      case 'AssignmentExpression':
+        return this.getTaint(node.right, state);
+      case 'SequenceExpression':
+        return this.getTaint(node.expressions[node.expressions.length - 1], state);
+      case 'ArrayExpression':
+        return mergeTaints(node.elements.map(element => this.getTaint(element, state)));
+      case 'ObjectExpression':
+        return mergeTaints(node.properties.map(property => (
+          property.type === 'ObjectMethod' ? null : this.getTaint(property.type === 'SpreadElement' ? property.argument : property.value, state)
+        )));
+      case 'SpreadElement':
+        return this.getTaint(node.argument, state);
+      default:
+        return WRAPPER_TYPES.has(node.type) ? this.getTaint(node.expression || node.argument, state) : null;
+    }
+  }
+
+  /**
+   * Taint of a call result: sources (req.get('x')), sanitizers, propagating functions and
+   * methods called on tainted values
+   */
+  getCallTaint(node, state) {
+    const isMember = node.callee.type === 'MemberExpression' || node.callee.type === 'OptionalMemberExpression';
+    if (isMember && !node.callee.computed && NON_PROPAGATING_METHODS.includes(node.callee.property.name)) {
+      return null;
+    }
+
+    const source = this.matchSource(node.callee, state);
+    if (source) return source;
+
+    const name = this.getName(node.callee, state.bindings);
+    if (name && matchesAny(name, globalSanitizers)) return null;
+
+    const taints = [];
+    if (isMember) {
+      taints.push(this.getTaint(node.callee.object, state));
+    }
+    const isSanitizer = name && matchesAny(name, state.sanitizers);
+    if (isSanitizer || (name && matchesAny(name, propagators))) {
+      taints.push(...node.arguments.map(argument => this.getTaint(argument, state)));
+    }
+
+    const taint = mergeTaints(taints);
+    if (taint && isSanitizer) {
+      return { ...taint, sanitizers: [...taint.sanitizers, name] };
+    }
+    return taint;
+  }
+
+  /**
+   * Match an expression against the sources of all taint rules
+   * @returns {Object|null} Fresh taint when the expression reads user input
+   */
+  matchSource(node, state) {
+    const name = this.getName(node, state.bindings);
+    if (!name) return null;
+
+    for (const rule of state.rules.taint) {
+      // req.query matches req.query.id as well
+      const matched = rule.match.sources.some(matcher => matcher.test(name) || matcher.prefix.test(name));
+      if (matched) {
+        return { source: name, line: node.loc.start.line, concatenated: false, sanitizers: [] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check call and taint sink rules at a call or `new` expression
+   */
+  checkCall(node, state) {
+    const name = this.getName(node.callee, state.bindings);
+    if (!name) return;
+
+    for (const rule of state.rules.call) {
+      if (!matchesAny(name, rule.match.callee)) continue;
+      const satisfied = rule.match.arguments.every(constraint => {
+        const argument = node.arguments[constraint.index || 0];
+        if (!argument) return false;
+        if (constraint.dynamic && !isDynamic(argument)) return false;
+        if (constraint.matches) {
+          const value = staticString(argument);
+          return value !== null && constraint.matches.test(value);
+        }
+        return true;
+      });
+      if (satisfied) this.report(rule, node, state);
+    }
+
+    for (const rule of state.rules.taint) {
+      for (const sink of rule.match.sinks) {
+        if (!sink.callee || !matchesAny(name, sink.callee)) continue;
+        const argumentsToCheck = sink.argument === 'all' ? node.arguments : [node.arguments[sink.argument || 0]];
+        const taint = mergeTaints(argumentsToCheck.map(argument => this.getTaint(argument, state)));
+        if (this.reachesSink(taint, sink, rule)) {
+          this.report(rule, node, state, taint);
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Check assignment rules and taint sinks at an assignment, and track the taint it moves
+   */
+  checkAssignment(node, state) {
+    const taint = this.getTaint(node.right, state);
+
+    if (node.left.type === 'Identifier' || node.left.type === 'ObjectPattern' || node.left.type === 'ArrayPattern') {
+      // a += input keeps earlier input
+      const previous = node.operator === '=' ? null : this.getTaint(node.left, state);
+      this.bindPattern(node.left, node.operator === '=' ? taint : concatenate(mergeTaints([previous, taint])), state, false);
+      return;
+    }
+
+    const target = this.getName(node.left, state.bindings);
+    if (!target) return;
+
+    for (const rule of state.rules.assignment) {
+      if (matchesAny(target, rule.match.target) && (!rule.value || !rule.value.dynamic || isDynamic(node.right))) {
+        this.report(rule, node, state);
+      }
+    }
+
+    for (const rule of state.rules.taint) {
+      const sink = rule.match.sinks.find(entry => entry.target && matchesAny(target, entry.target));
+      if (sink && this.reachesSink(taint, sink, rule)) {
+        this.report(rule, node, state, taint);
+      }
+    }
+
+    // options.cmd = input taints options
+    const root = rootIdentifier(node.left);
+    if (taint && root) {
+      this.findScope(root.name, state).set(root.name, taint);
+    }
+
+    const key = node.left.computed ? null : node.left.property.name;
+    if (key) this.checkProperty({ type: 'Identifier', name: key }, node.right, node, state);
+  }
+
+  /**
+   * Whether a taint satisfies a sink: present, concatenated when the sink requires it
+   * and not passed through one of the rule's sanitizers
+   */
+  reachesSink(taint, sink, rule) {
+    if (!taint) return false;
+    if (sink.concatenated && !taint.concatenated) return false;
+    return !taint.sanitizers.some(name => matchesAny(name, rule.match.sanitizers));
+  }
+
+  /**
+   * Check property rules for a key (object key, variable or assigned member) and its value
+   * @param {Object} keyNode - Identifier or literal key
+   * @param {Object} valueNode - Assigned value
+   * @param {Object} node - Node the finding is reported at
+   * @param {Object} state - Walk state
+   */
+  checkProperty(keyNode, valueNode, node, state) {
+    if (!keyNode || !valueNode || state.rules.property.length === 0) return;
+    const key = keyNode.type === 'Identifier' ? keyNode.name : keyNode.type === 'StringLiteral' ? keyNode.value : null;
+    if (!key) return;
+    const normalizedKey = key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/-/g, '_').toLowerCase();
+
+    for (const rule of state.rules.property) {
+      if (!rule.match.key.some(pattern => pattern.test(key) || pattern.test(normalizedKey))) continue;
+      const expected = rule.value || {};
+      if ('equals' in expected && !(isLiteral(valueNode) && valueNode.value === expected.equals)) continue;
+      if (expected.secret && !looksLikeSecret(valueNode)) continue;
+      this.report(rule, node, state);
+    }
+  }
+
+  /**
+   * Check JSX attribute rules (`dangerouslySetInnerHTML={{ __html: value }}` with a dynamic value)
+   */
+  checkJsxAttribute(node, state) {
+    const name = node.name.type === 'JSXIdentifier' ? node.name.name : null;
+    if (!name || !node.value || node.value.type !== 'JSXExpressionContainer') return;
+
+    for (const rule of state.rules.jsxAttribute) {
+      if (rule.name === name && isDynamic(node.value.expression)) this.report(rule, node, state);
+    }
+  }
+
+  /**
+   * Record a finding with its exact range
+   * @param {Object} rule - Compiled rule
+   * @param {Object} node - Node the finding covers
+   * @param {Object} state - Walk state
+   * @param {Object} taint - Taint reaching the sink (taint rules)
+   */
+  report(rule, node, state, taint = null) {
+    const { start, end } = node.loc;
+    const message = taint
+      ? `${rule.message} (${taint.source} from line ${taint.line})`
+      : rule.message;
+
+    state.findings.push({
+      ruleId: rule.id,
+      title: rule.title || rule.id,
+      severity: rule.severity,
+      cwe: rule.cwe || null,
+      category: rule.category,
+      message,
+      suggestion: rule.suggestion || null,
+      file: state.fileName,
+      line: start.line,
+      column: start.column + 1,
+      endLine: end.line,
+      endColumn: end.column + 1,
+      range: {
+        start: { line: start.line, column: start.column + 1 },
+        end: { line: end.line, column: end.column + 1 }
+      },
+      snippet: (state.lines[start.line - 1] || '').trim().slice(0, 200),
+      dataFlow: taint ? { source: taint.source, sourceLine: taint.line, sanitizers: taint.sanitizers } : null
+    });
+  }
+
+  /**
+   * Drop findings of rules superseded by a finding of another rule at the same place
+   * (eval-usage when code-injection already covers the call)
+   */
+  dropSuperseded(findings, rules) {
+    const supersededBy = new Map(rules.filter(rule => rule.supersededBy).map(rule => [rule.id, rule.supersededBy]));
+    const at = (finding) => `${finding.line}:${finding.column}`;
+
+    return findings.filter(finding => {
+      const stronger = supersededBy.get(finding.ruleId);
+      return !stronger || !findings.some(other => stronger.includes(other.ruleId) && at(other) === at(finding));
+    });
+  }
+
+  /**
+   * Read `pidea-ignore` comments
+   * @param {Array<Object>} comments - Babel comments
+   * @param {Array<string>} lines - Source lines
+   * @returns {Object} { file: Set|null, lines: Map<line, Set|null> } where null means every rule
+   */
+  collectSuppressions(comments, lines) {
+    const suppressions = { file: undefined, lines: new Map() };
+
+    for (const comment of comments) {
+      const match = comment.value.match(SUPPRESSION_PATTERN);
+      if (!match) continue;
+
+      // Text after " -- " is a justification
+      const ids = match[2].split(/\s--\s/)[0].split(/[\s,]+/).filter(Boolean);
+      const ruleIds = ids.length === 0 || ids.includes('*') ? null : new Set(ids);
+
+      if (match[1]) {
+        suppressions.file = mergeSuppression(suppressions.file, ruleIds);
+        continue;
+      }
+
+      // A comment alone on its line applies to the next line, a trailing comment to its own line
+      const { start, end } = comment.loc;
+      const before = (lines[start.line - 1] || '').slice(0, start.column);
+      const line = before.trim() === '' ? end.line + 1 : start.line;
+      suppressions.lines.set(line, mergeSuppression(suppressions.lines.get(line), ruleIds));
+    }
+
+    return suppressions;
+  }
+
+  /**
+   * Whether a finding is covered by a suppression
+   */
+  isSuppressed(finding, suppressions) {
+    const covers = (ruleIds) => ruleIds === null || (ruleIds !== undefined && ruleIds.has(finding.ruleId));
+    return covers(suppressions.file) || covers(suppressions.lines.get(finding.line));
+  }
+}
+
+/**
+ * Call a function for every child node
+ */
+function forEachChild(node, callback) {
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (child && typeof child.type === 'string') callback(child);
+      }
+    } else if (value && typeof value.type === 'string') {
+      callback(value);
+    }
+  }
+}
+
+/**
+ * Compile dotted name patterns; `*` matches one segment, a leading `*` any prefix
+ * @param {Array<string>} patterns - Name patterns
+ * @returns {Array<RegExp>} Matchers with a `prefix` matcher for names below the pattern
+ */
+function compilePatterns(patterns) {
+  return patterns.map(pattern => {
+    const body = pattern.split('.').map((segment, index) => {
+      if (segment === '*') return index === 0 ? '.+' : '[^.]+';
+      return segment.replace(/[$^()[\]{}+?|\\]/g, '\\$&');
+    }).join('\\.');
+    const matcher = new RegExp(`^${body}$`);
+    matcher.prefix = new RegExp(`^${body}\\.`);
+    return matcher;
+  });
+}
+
+function matchesAny(name, matchers) {
+  return matchers.some(matcher => matcher.test(name));
+}
+
+function normalizeModule(moduleName) {
+  const name = moduleName.replace(/^node:/, '');
+  if (name === 'fs/promises' || name === 'fs-extra' || name === 'graceful-fs') return 'fs';
+  if (name === 'child_process/promises') return 'child_process';
+  return name;
+}
+
+function normalizeName(name) {
+  // fs.promises.readFile and fs.readFile are the same sink
+  return name.replace(/^fs\.promises(\.|$)/, 'fs$1');
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Merge the taints of several values; sanitizers only count when every part passed them
+ */
+function mergeTaints(taints) {
+  const present = taints.filter(Boolean);
+  if (present.length === 0) return null;
+  return present.reduce((merged, taint) => ({
+    source: merged.source,
+    line: merged.line,
+    concatenated: merged.concatenated || taint.concatenated,
+    sanitizers: merged.sanitizers.filter(name => taint.sanitizers.includes(name))
+  }));
+}
+
+function concatenate(taint) {
+  return taint ? { ...taint, concatenated: true } : null;
+}
+
+function rootIdentifier(node) {
+  let current = node;
+  while (current && (current.type === 'MemberExpression' || current.type === 'OptionalMemberExpression')) {
+    current = current.object;
+  }
+  return current && current.type === 'Identifier' ? current : null;
+}
+
+function isLiteral(node) {
+  return ['StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'NullLiteral'].includes(node.type);
+}
+
+/**
+ * Whether a value can differ between runs (anything but literals and constant structures)
+ */
+function isDynamic(node) {
+  if (!node) return false;
+  if (isLiteral(node)) return false;
+  switch (node.type) {
+    case 'TemplateLiteral':
+      return node.expressions.length > 0;
+    case 'ArrayExpression':
+      return node.elements.some(element => isDynamic(element));
+    case 'ObjectExpression':
+      return node.properties.some(property => property.type !== 'ObjectProperty' || property.computed || isDynamic(property.value));
+    case 'Identifier':
+      return node.name !== 'undefined';
+    default:
+      return WRAPPER_TYPES.has(node.type) ? isDynamic(node.expression || node.argument) : true;
+  }
+}
+
+function staticString(node) {
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+/**
+ * A string literal that looks like a real credential rather than a placeholder,
+ * an environment variable name or a message
+ */
+function looksLikeSecret(node) {
+  const value = staticString(node);
+  if (value === null || value.length < 6) return false;
+  if (/\s/.test(value) || /^[A-Z0-9_]+$/.test(value)) return false;
+  return !PLACEHOLDER_PATTERN.test(value);
+}
+
+function mergeSuppression(existing, ruleIds) {
+  if (existing === null || ruleIds === null) return null;
+  return new Set([...(existing || []), ...ruleIds]);
+}
+
+SecurityRuleEngine.RULE_FILES = RULE_FILES;
+SecurityRuleEngine.RULE_KINDS = Object.keys(RULE_KINDS);
+
+module.exports = SecurityRuleEngine;
@@ -0,0 +1,333 @@
+/**
+ * SecurityRules - Domain Data
+ * Built-in rules of the SecurityRuleEngine and the named source groups taint rules refer to
+ *
+ * Callee, target and source names are canonical dotted names: imports and requires are
+ * resolved, so `const { exec } = require('child_process'); exec(x)` is `child_process.exec`.
+ * A `*` segment matches one name, a leading `*` any prefix (`*.query` matches `db.query`
+ * and `this.pool.query`).
+ *
+ * Rule kinds:
+ * - taint: user input from `sources` reaching an argument of a `sinks` call (or an assigned
+ *   `target`) without passing one of the rule's `sanitizers`. A sink with `concatenated`
+ *   only counts input that was glued into a string (template literal or `+`)
+ * - call: calls (and `new`) of `callee`, optionally constrained by `arguments`
+ *   ({ index, dynamic } or { index, matches })
+ * - assignment: assignments to `target` whose value is `dynamic` (not a constant)
+ * - property: object keys, member assignments and variable names matching `key`
+ *   whose value is `{ equals }` or a `{ secret }` string literal
+ * - jsx-attribute: JSX attributes called `name` with a dynamic value
+ * - statement: AST nodes of type `node`
+ *
+ * `supersededBy` drops a finding when a finding of the listed rule starts at the same place;
+ * `excludePaths` (config/analysis-excludes patterns) turns a rule off for matching files
+ */
+
+const requestSources = (object) => [
+  'params', 'query', 'body', 'headers', 'cookies', 'signedCookies', 'files', 'file',
+  'url', 'originalUrl', 'path', 'get', 'header', 'param'
+].map(property => `${object}.${property}`);
+
+const SOURCE_GROUPS = {
+  'http-request': [
+    ...requestSources('req'),
+    ...requestSources('request'),
+    'ctx.request.body', 'ctx.request.query', 'ctx.request.headers', 'ctx.query', 'ctx.params', 'ctx.headers', 'ctx.get',
+    'event.body', 'event.queryStringParameters', 'event.pathParameters', 'event.headers'
+  ],
+  cli: ['process.argv'],
+  browser: [
+    'location', 'window.location', 'document.location', 'document.URL', 'document.documentURI',
+    'document.referrer', 'document.cookie', 'window.name'
+  ]
+};
+
+// Calls whose result never carries the input as text
+const GLOBAL_SANITIZERS = ['parseInt', 'parseFloat', 'Number', 'Boolean', 'Number.*', 'Math.*', 'isNaN', 'Date.parse'];
+
+// Calls that return (part of) their arguments
+const PROPAGATORS = [
+  'String', 'path.join', 'path.resolve', 'path.normalize', 'util.format', 'format', 'Buffer.from',
+  'decodeURI', 'decodeURIComponent', 'JSON.parse', 'Array.from', 'Object.assign', 'Object.values', '*.concat'
+];
+
+// Methods of a tainted value whose result is not text derived from it
+const NON_PROPAGATING_METHODS = ['includes', 'startsWith', 'endsWith', 'test', 'indexOf', 'lastIndexOf', 'some', 'every', 'has', 'localeCompare'];
+
+// Tagged templates that build parameterized queries
+const SAFE_TEMPLATE_TAGS = ['sql', 'SQL', '*.sql', 'Prisma.sql'];
+
+const SERVER_SOURCES = ['@http-request', '@cli'];
+
+const RULES = [
+  // Taint rules
+  {
+    id: 'command-injection',
+    kind: 'taint',
+    title: 'Command injection',
+    severity: 'critical',
+    cwe: 'CWE-78',
+    category: 'command-injection',
+    message: 'User input reaches a shell command',
+    suggestion: 'Pass arguments as an array to execFile/spawn without a shell, or validate against an allow-list',
+    sources: SERVER_SOURCES,
+    sinks: [{
+      callee: [
+        'child_process.exec', 'child_process.execSync', 'child_process.spawn', 'child_process.spawnSync',
+        'child_process.execFile', 'child_process.execFileSync', 'shelljs.exec', 'execa', 'execa.command'
+      ],
+      argument: 0
+    }],
+    sanitizers: ['shell-quote.quote', 'shellescape', '*.escapeShellArg']
+  },
+  {
+    id: 'code-injection',
+    kind: 'taint',
+    title: 'Code injection',
+    severity: 'critical',
+    cwe: 'CWE-94',
+    category: 'code-injection',
+    message: 'User input is evaluated as code',
+    suggestion: 'Never evaluate input; parse it as data (JSON.parse) or map it to predefined behavior',
+    sources: [...SERVER_SOURCES, '@browser'],
+    sinks: [
+      { callee: ['eval', 'setTimeout', 'setInterval', 'vm.runInThisContext', 'vm.runInNewContext', 'vm.runInContext'], argument: 0 },
+      { callee: ['Function', 'vm.Script'], argument: 'all' }
+    ],
+    sanitizers: []
+  },
+  {
+    id: 'sql-injection',
+    kind: 'taint',
+    title: 'SQL injection',
+    severity: 'high',
+    cwe: 'CWE-89',
+    category: 'sql-injection',
+    message: 'User input is concatenated into a SQL statement',
+    suggestion: 'Use placeholders ($1, ?) and pass the values separately',
+    sources: SERVER_SOURCES,
+    sinks: [{
+      callee: ['*.query', '*.execute', '*.raw', '*.whereRaw', '*.unsafe', '*.$queryRawUnsafe', '*.$executeRawUnsafe'],
+      argument: 0,
+      concatenated: true
+    }],
+    sanitizers: ['*.escape', '*.escapeId', '*.escapeLiteral', '*.escapeIdentifier', 'sqlstring.*', 'pg-format']
+  },
+  {
+    id: 'reflected-xss',
+    kind: 'taint',
+    title: 'Reflected cross-site scripting',
+    severity: 'high',
+    cwe: 'CWE-79',
+    category: 'xss',
+    message: 'User input is written into the HTTP response',
+    suggestion: 'Escape the value for HTML (escape-html, a template engine with auto-escaping) or respond with res.json',
+    sources: ['@http-request'],
+    sinks: [
+      { callee: ['res.send', 'res.write', 'res.end', 'response.send', 'response.write', 'response.end', 'reply.send'], argument: 0 },
+      { target: ['ctx.body'] }
+    ],
+    sanitizers: ['escape-html', 'escapeHtml', 'he.encode', 'he.escape', 'DOMPurify.sanitize', '*.sanitize', 'sanitize-html', 'sanitizeHtml', 'xss', 'validator.escape', 'encodeURIComponent']
+  },
+  {
+    id: 'dom-xss',
+    kind: 'taint',
+    title: 'DOM-based cross-site scripting',
+    severity: 'high',
+    cwe: 'CWE-79',
+    category: 'xss',
+    message: 'Browser-controlled input is written into the DOM as HTML',
+    suggestion: 'Use textContent, or sanitize the HTML with DOMPurify before inserting it',
+    sources: ['@browser'],
+    sinks: [
+      { target: ['*.innerHTML', '*.outerHTML'] },
+      { callee: ['document.write', 'document.writeln', '*.insertAdjacentHTML'], argument: 'all' }
+    ],
+    sanitizers: ['DOMPurify.sanitize', '*.sanitize', 'escapeHtml', 'encodeURIComponent']
+  },
+  {
+    id: 'path-traversal',
+    kind: 'taint',
+    title: 'Path traversal',
+    severity: 'high',
+    cwe: 'CWE-22',
+    category: 'path-traversal',
+    message: 'User input is used as a file system path',
+    suggestion: 'Resolve the path and check that it stays inside the allowed directory, or use path.basename',
+    sources: SERVER_SOURCES,
+    sinks: [{
+      callee: [
+        'fs.readFile', 'fs.readFileSync', 'fs.writeFile', 'fs.writeFileSync', 'fs.appendFile', 'fs.appendFileSync',
+        'fs.createReadStream', 'fs.createWriteStream', 'fs.unlink', 'fs.unlinkSync', 'fs.rm', 'fs.rmSync',
+        'fs.readdir', 'fs.readdirSync', 'fs.open', 'fs.openSync', 'res.sendFile', 'res.download'
+      ],
+      argument: 0
+    }],
+    sanitizers: ['path.basename', 'sanitize-filename', '*.sanitizeFilename']
+  },
+  {
+    id: 'open-redirect',
+    kind: 'taint',
+    title: 'Open redirect',
+    severity: 'medium',
+    cwe: 'CWE-601',
+    category: 'open-redirect',
+    message: 'User input decides the redirect target',
+    suggestion: 'Redirect only to relative paths or to hosts on an allow-list',
+    sources: ['@http-request'],
+    sinks: [{ callee: ['res.redirect', 'reply.redirect', 'ctx.redirect'], argument: 'all' }],
+    sanitizers: []
+  },
+  {
+    id: 'ssrf',
+    kind: 'taint',
+    title: 'Server-side request forgery',
+    severity: 'high',
+    cwe: 'CWE-918',
+    category: 'ssrf',
+    message: 'User input decides the URL of an outgoing request',
+    suggestion: 'Build the URL from a fixed base and validate the host against an allow-list',
+    sources: SERVER_SOURCES,
+    sinks: [{
+      callee: [
+        'fetch', 'node-fetch', 'axios', 'axios.get', 'axios.post', 'axios.put', 'axios.patch', 'axios.delete', 'axios.request',
+        'http.get', 'http.request', 'https.get', 'https.request', 'got', 'got.get', 'got.post', 'request', 'superagent.get', 'superagent.post'
+      ],
+      argument: 0
+    }],
+    sanitizers: []
+  },
+
+  // Pattern rules
+  {
+    id: 'eval-usage',
+    kind: 'call',
+    title: 'Dynamic code evaluation',
+    severity: 'medium',
+    cwe: 'CWE-95',
+    category: 'code-injection',
+    message: 'Code is evaluated from a non-constant string',
+    suggestion: 'Replace eval/new Function with explicit logic',
+    callee: ['eval', 'Function'],
+    arguments: [{ index: 0, dynamic: true }],
+    supersededBy: ['code-injection']
+  },
+  {
+    id: 'weak-hash',
+    kind: 'call',
+    title: 'Weak hash algorithm',
+    severity: 'medium',
+    cwe: 'CWE-328',
+    category: 'weak-crypto',
+    message: 'MD4, MD5 and SHA-1 are broken for security purposes',
+    suggestion: 'Use SHA-256 or better; use bcrypt, scrypt or argon2 for passwords',
+    callee: ['crypto.createHash', 'crypto.createHmac'],
+    arguments: [{ index: 0, matches: '^(md4|md5|sha1|sha-1)$' }]
+  },
+  {
+    id: 'weak-cipher',
+    kind: 'call',
+    title: 'Weak cipher',
+    severity: 'medium',
+    cwe: 'CWE-327',
+    category: 'weak-crypto',
+    message: 'The cipher or mode is broken (DES, RC2, RC4, Blowfish, ECB)',
+    suggestion: 'Use AES-256-GCM or ChaCha20-Poly1305',
+    callee: ['crypto.createCipheriv', 'crypto.createDecipheriv'],
+    arguments: [{ index: 0, matches: '(^|-)(des|des3|rc2|rc4|bf|blowfish)(-|$)|-ecb$' }]
+  },
+  {
+    id: 'cipher-without-iv',
+    kind: 'call',
+    title: 'Cipher without IV',
+    severity: 'medium',
+    cwe: 'CWE-329',
+    category: 'weak-crypto',
+    message: 'crypto.createCipher derives the key and IV from a password without salt',
+    suggestion: 'Use crypto.createCipheriv with a random IV',
+    callee: ['crypto.createCipher', 'crypto.createDecipher']
+  },
+  {
+    id: 'inner-html',
+    kind: 'assignment',
+    title: 'Dynamic HTML assignment',
+    severity: 'medium',
+    cwe: 'CWE-79',
+    category: 'xss',
+    message: 'A non-constant value is assigned as HTML',
+    suggestion: 'Use textContent, or sanitize the HTML with DOMPurify',
+    target: ['*.innerHTML', '*.outerHTML'],
+    value: { dynamic: true },
+    supersededBy: ['dom-xss']
+  },
+  {
+    id: 'dangerously-set-inner-html',
+    kind: 'jsx-attribute',
+    title: 'dangerouslySetInnerHTML',
+    severity: 'medium',
+    cwe: 'CWE-79',
+    category: 'xss',
+    message: 'A non-constant value is rendered as raw HTML',
+    suggestion: 'Render the value as text, or sanitize it with DOMPurify first',
+    name: 'dangerouslySetInnerHTML'
+  },
+  {
+    id: 'document-write',
+    kind: 'call',
+    title: 'document.write',
+    severity: 'medium',
+    cwe: 'CWE-79',
+    category: 'xss',
+    message: 'document.write with a non-constant value',
+    suggestion: 'Create elements with the DOM API and set textContent',
+    callee: ['document.write', 'document.writeln'],
+    arguments: [{ index: 0, dynamic: true }],
+    supersededBy: ['dom-xss']
+  },
+  {
+    id: 'tls-verification-disabled',
+    kind: 'property',
+    title: 'TLS certificate verification disabled',
+    severity: 'high',
+    cwe: 'CWE-295',
+    category: 'insecure-transport',
+    message: 'rejectUnauthorized: false accepts any certificate',
+    suggestion: 'Keep certificate verification on; add the CA with the ca option instead',
+    key: ['^rejectUnauthorized$'],
+    value: { equals: false }
+  },
+  {
+    id: 'hardcoded-credential',
+    kind: 'property',
+    title: 'Hardcoded credential',
+    severity: 'high',
+    cwe: 'CWE-798',
+    category: 'hardcoded-secrets',
+    message: 'A credential is written into the source',
+    suggestion: 'Read the value from the environment or a secret store',
+    key: ['(^|_)(password|passwd|pwd)$', '(^|_)(client_?)?secret$', '^(api|access|auth|private|secret|jwt)_?(key|token|secret)$'],
+    value: { secret: true },
+    // Test credentials are fixtures
+    excludePaths: ['test', 'tests', '__tests__', '__mocks__', 'fixtures', '*.test.*', '*.spec.*']
+  },
+  {
+    id: 'debugger-statement',
+    kind: 'statement',
+    title: 'Debugger statement',
+    severity: 'low',
+    cwe: 'CWE-489',
+    category: 'debug-info',
+    message: 'debugger statement left in the code',
+    suggestion: 'Remove the debugger statement',
+    node: 'DebuggerStatement'
+  }
+];
+
+module.exports = {
+  RULES,
+  SOURCE_GROUPS,
+  GLOBAL_SANITIZERS,
+  PROPAGATORS,
+  NON_PROPAGATING_METHODS,
+  SAFE_TEMPLATE_TAGS
+};
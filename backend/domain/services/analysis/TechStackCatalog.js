@@ -0,0 +1,145 @@
+/**
+ * TechStackCatalog - Domain Data
+ * Technologies the TechStackDetector can recognize and the evidence that identifies them
+ *
+ * Entry fields:
+ * - packages: names in the ecosystem's manifest (npm, PyPI, Go module paths, crates)
+ * - imports: module names seen in source imports (defaults to packages)
+ * - configFiles: file name patterns that only exist when the technology is set up
+ * - purpose: libraries with the same purpose overlap
+ * - deprecated: replacement advice for abandoned technologies
+ */
+
+const TECHNOLOGIES = [
+  // Frameworks
+  { id: 'react', name: 'React', category: 'framework', type: 'frontend', ecosystem: 'npm', packages: ['react'] },
+  { id: 'vue', name: 'Vue', category: 'framework', type: 'frontend', ecosystem: 'npm', packages: ['vue'], configFiles: [/^vue\.config\.[cm]?[jt]s$/] },
+  { id: 'angular', name: 'Angular', category: 'framework', type: 'frontend', ecosystem: 'npm', packages: ['@angular/core'], configFiles: [/^angular\.json$/] },
+  { id: 'svelte', name: 'Svelte', category: 'framework', type: 'frontend', ecosystem: 'npm', packages: ['svelte'], configFiles: [/^svelte\.config\.[cm]?js$/] },
+  { id: 'solid', name: 'SolidJS', category: 'framework', type: 'frontend', ecosystem: 'npm', packages: ['solid-js'] },
+  { id: 'preact', name: 'Preact', category: 'framework', type: 'frontend', ecosystem: 'npm', packages: ['preact'] },
+  { id: 'nextjs', name: 'Next.js', category: 'framework', type: 'fullstack', ecosystem: 'npm', packages: ['next'], configFiles: [/^next\.config\.[cm]?[jt]s$/] },
+  { id: 'nuxt', name: 'Nuxt', category: 'framework', type: 'fullstack', ecosystem: 'npm', packages: ['nuxt'], configFiles: [/^nuxt\.config\.[cm]?[jt]s$/] },
+  { id: 'remix', name: 'Remix', category: 'framework', type: 'fullstack', ecosystem: 'npm', packages: ['@remix-run/react', '@remix-run/node'], configFiles: [/^remix\.config\.[cm]?js$/] },
+  { id: 'astro', name: 'Astro', category: 'framework', type: 'fullstack', ecosystem: 'npm', packages: ['astro'], configFiles: [/^astro\.config\.[cm]?[jt]s$/] },
+  { id: 'express', name: 'Express', category: 'framework', type: 'backend', ecosystem: 'npm', packages: ['express'] },
+  { id: 'fastify', name: 'Fastify', category: 'framework', type: 'backend', ecosystem: 'npm', packages: ['fastify'] },
+  { id: 'koa', name: 'Koa', category: 'framework', type: 'backend', ecosystem: 'npm', packages: ['koa'] },
+  { id: 'nestjs', name: 'NestJS', category: 'framework', type: 'backend', ecosystem: 'npm', packages: ['@nestjs/core'], configFiles: [/^nest-cli\.json$/] },
+  { id: 'electron', name: 'Electron', category: 'framework', type: 'desktop', ecosystem: 'npm', packages: ['electron'], configFiles: [/^electron-builder\.(json|ya?ml)$/] },
+  { id: 'react-native', name: 'React Native', category: 'framework', type: 'mobile', ecosystem: 'npm', packages: ['react-native'], configFiles: [/^metro\.config\.js$/] },
+  { id: 'django', name: 'Django', category: 'framework', type: 'backend', ecosystem: 'pypi', packages: ['django'], configFiles: [/^manage\.py$/] },
+  { id: 'flask', name: 'Flask', category: 'framework', type: 'backend', ecosystem: 'pypi', packages: ['flask'] },
+  { id: 'fastapi', name: 'FastAPI', category: 'framework', type: 'backend', ecosystem: 'pypi', packages: ['fastapi'] },
+  { id: 'gin', name: 'Gin', category: 'framework', type: 'backend', ecosystem: 'go', packages: ['github.com/gin-gonic/gin'] },
+  { id: 'echo', name: 'Echo', category: 'framework', type: 'backend', ecosystem: 'go', packages: ['github.com/labstack/echo/v4', 'github.com/labstack/echo'] },
+  { id: 'fiber', name: 'Fiber', category: 'framework', type: 'backend', ecosystem: 'go', packages: ['github.com/gofiber/fiber/v2', 'github.com/gofiber/fiber'] },
+  { id: 'actix-web', name: 'Actix Web', category: 'framework', type: 'backend', ecosystem: 'cargo', packages: ['actix-web'] },
+  { id: 'axum', name: 'Axum', category: 'framework', type: 'backend', ecosystem: 'cargo', packages: ['axum'] },
+  { id: 'rocket', name: 'Rocket', category: 'framework', type: 'backend', ecosystem: 'cargo', packages: ['rocket'] },
+
+  // Libraries
+  { id: 'redux', name: 'Redux', category: 'library', type: 'state', ecosystem: 'npm', packages: ['redux', '@reduxjs/toolkit'], purpose: 'state-management' },
+  { id: 'zustand', name: 'Zustand', category: 'library', type: 'state', ecosystem: 'npm', packages: ['zustand'], purpose: 'state-management' },
+  { id: 'mobx', name: 'MobX', category: 'library', type: 'state', ecosystem: 'npm', packages: ['mobx'], purpose: 'state-management' },
+  { id: 'react-router', name: 'React Router', category: 'library', type: 'routing', ecosystem: 'npm', packages: ['react-router', 'react-router-dom'] },
+  { id: 'tanstack-query', name: 'TanStack Query', category: 'library', type: 'data-fetching', ecosystem: 'npm', packages: ['@tanstack/react-query', 'react-query'] },
+  { id: 'axios', name: 'Axios', category: 'library', type: 'http-client', ecosystem: 'npm', packages: ['axios'], purpose: 'http-client' },
+  { id: 'node-fetch', name: 'node-fetch', category: 'library', type: 'http-client', ecosystem: 'npm', packages: ['node-fetch'], purpose: 'http-client' },
+  { id: 'got', name: 'Got', category: 'library', type: 'http-client', ecosystem: 'npm', packages: ['got'], purpose: 'http-client' },
+  { id: 'request', name: 'request', category: 'library', type: 'http-client', ecosystem: 'npm', packages: ['request'], purpose: 'http-client', deprecated: 'Deprecated since 2020, use fetch, undici or axios' },
+  { id: 'lodash', name: 'Lodash', category: 'library', type: 'utility', ecosystem: 'npm', packages: ['lodash', 'lodash-es'], purpose: 'utility' },
+  { id: 'underscore', name: 'Underscore', category: 'library', type: 'utility', ecosystem: 'npm', packages: ['underscore'], purpose: 'utility' },
+  { id: 'moment', name: 'Moment.js', category: 'library', type: 'date', ecosystem: 'npm', packages: ['moment'], purpose: 'date', deprecated: 'In maintenance mode, use date-fns, Day.js or Luxon' },
+  { id: 'dayjs', name: 'Day.js', category: 'library', type: 'date', ecosystem: 'npm', packages: ['dayjs'], purpose: 'date' },
+  { id: 'date-fns', name: 'date-fns', category: 'library', type: 'date', ecosystem: 'npm', packages: ['date-fns'], purpose: 'date' },
+  { id: 'luxon', name: 'Luxon', category: 'library', type: 'date', ecosystem: 'npm', packages: ['luxon'], purpose: 'date' },
+  { id: 'zod', name: 'Zod', category: 'library', type: 'validation', ecosystem: 'npm', packages: ['zod'], purpose: 'validation' },
+  { id: 'joi', name: 'Joi', category: 'library', type: 'validation', ecosystem: 'npm', packages: ['joi'], purpose: 'validation' },
+  { id: 'yup', name: 'Yup', category: 'library', type: 'validation', ecosystem: 'npm', packages: ['yup'], purpose: 'validation' },
+  { id: 'socket-io', name: 'Socket.IO', category: 'library', type: 'realtime', ecosystem: 'npm', packages: ['socket.io', 'socket.io-client'] },
+  { id: 'graphql', name: 'GraphQL', category: 'library', type: 'api', ecosystem: 'npm', packages: ['graphql'] },
+  { id: 'tailwindcss', name: 'Tailwind CSS', category: 'library', type: 'css', ecosystem: 'npm', packages: ['tailwindcss'], configFiles: [/^tailwind\.config\.[cm]?[jt]s$/] },
+  { id: 'styled-components', name: 'styled-components', category: 'library', type: 'css', ecosystem: 'npm', packages: ['styled-components'] },
+  { id: 'sass', name: 'Sass', category: 'library', type: 'css', ecosystem: 'npm', packages: ['sass'] },
+  { id: 'node-sass', name: 'node-sass', category: 'library', type: 'css', ecosystem: 'npm', packages: ['node-sass'], deprecated: 'Deprecated, use the sass package (Dart Sass)' },
+  { id: 'chartjs', name: 'Chart.js', category: 'library', type: 'charts', ecosystem: 'npm', packages: ['chart.js'] },
+  { id: 'winston', name: 'Winston', category: 'library', type: 'logging', ecosystem: 'npm', packages: ['winston'], purpose: 'logging' },
+  { id: 'pino', name: 'Pino', category: 'library', type: 'logging', ecosystem: 'npm', packages: ['pino'], purpose: 'logging' },
+  { id: 'playwright-library', name: 'Playwright (automation)', category: 'library', type: 'automation', ecosystem: 'npm', packages: ['playwright'] },
+  { id: 'puppeteer', name: 'Puppeteer', category: 'library', type: 'automation', ecosystem: 'npm', packages: ['puppeteer'] },
+  { id: 'pydantic', name: 'Pydantic', category: 'library', type: 'validation', ecosystem: 'pypi', packages: ['pydantic'] },
+  { id: 'requests', name: 'Requests', category: 'library', type: 'http-client', ecosystem: 'pypi', packages: ['requests'] },
+  { id: 'numpy', name: 'NumPy', category: 'library', type: 'data', ecosystem: 'pypi', packages: ['numpy'] },
+  { id: 'pandas', name: 'pandas', category: 'library', type: 'data', ecosystem: 'pypi', packages: ['pandas'] },
+  { id: 'tokio', name: 'Tokio', category: 'library', type: 'async-runtime', ecosystem: 'cargo', packages: ['tokio'] },
+  { id: 'serde', name: 'Serde', category: 'library', type: 'serialization', ecosystem: 'cargo', packages: ['serde'] },
+
+  // Databases (drivers and ORMs)
+  { id: 'postgresql', name: 'PostgreSQL', category: 'database', type: 'driver', ecosystem: 'npm', packages: ['pg', 'postgres'] },
+  { id: 'mysql', name: 'MySQL', category: 'database', type: 'driver', ecosystem: 'npm', packages: ['mysql', 'mysql2'] },
+  { id: 'sqlite', name: 'SQLite', category: 'database', type: 'driver', ecosystem: 'npm', packages: ['sqlite3', 'better-sqlite3', 'sqlite'] },
+  { id: 'mongodb', name: 'MongoDB', category: 'database', type: 'driver', ecosystem: 'npm', packages: ['mongodb', 'mongoose'] },
+  { id: 'redis', name: 'Redis', category: 'database', type: 'driver', ecosystem: 'npm', packages: ['redis', 'ioredis'] },
+  { id: 'prisma', name: 'Prisma', category: 'database', type: 'orm', ecosystem: 'npm', packages: ['prisma', '@prisma/client'], configFiles: [/^schema\.prisma$/], purpose: 'orm' },
+  { id: 'sequelize', name: 'Sequelize', category: 'database', type: 'orm', ecosystem: 'npm', packages: ['sequelize'], configFiles: [/^\.sequelizerc$/], purpose: 'orm' },
+  { id: 'typeorm', name: 'TypeORM', category: 'database', type: 'orm', ecosystem: 'npm', packages: ['typeorm'], configFiles: [/^ormconfig\.(json|js|ts)$/], purpose: 'orm' },
+  { id: 'drizzle', name: 'Drizzle ORM', category: 'database', type: 'orm', ecosystem: 'npm', packages: ['drizzle-orm'], configFiles: [/^drizzle\.config\.[cm]?[jt]s$/], purpose: 'orm' },
+  { id: 'sqlalchemy', name: 'SQLAlchemy', category: 'database', type: 'orm', ecosystem: 'pypi', packages: ['sqlalchemy'], configFiles: [/^alembic\.ini$/] },
+  { id: 'psycopg', name: 'PostgreSQL (psycopg)', category: 'database', type: 'driver', ecosystem: 'pypi', packages: ['psycopg2', 'psycopg2-binary', 'psycopg'], imports: ['psycopg2', 'psycopg'] },
+  { id: 'gorm', name: 'GORM', category: 'database', type: 'orm', ecosystem: 'go', packages: ['gorm.io/gorm'] },
+  { id: 'sqlx', name: 'SQLx', category: 'database', type: 'driver', ecosystem: 'cargo', packages: ['sqlx'] },
+  { id: 'diesel', name: 'Diesel', category: 'database', type: 'orm', ecosystem: 'cargo', packages: ['diesel'], configFiles: [/^diesel\.toml$/] },
+
+  // Tools
+  { id: 'typescript', name: 'TypeScript', category: 'tool', type: 'language', ecosystem: 'npm', packages: ['typescript'], configFiles: [/^tsconfig(\.[\w-]+)?\.json$/] },
+  { id: 'vite', name: 'Vite', category: 'tool', type: 'build', ecosystem: 'npm', packages: ['vite'], configFiles: [/^vite\.config\.[cm]?[jt]s$/], purpose: 'bundler' },
+  { id: 'webpack', name: 'webpack', category: 'tool', type: 'build', ecosystem: 'npm', packages: ['webpack'], configFiles: [/^webpack(\.[\w-]+)?\.config\.[cm]?[jt]s$/], purpose: 'bundler' },
+  { id: 'rollup', name: 'Rollup', category: 'tool', type: 'build', ecosystem: 'npm', packages: ['rollup'], configFiles: [/^rollup\.config\.[cm]?[jt]s$/], purpose: 'bundler' },
+  { id: 'parcel', name: 'Parcel', category: 'tool', type: 'build', ecosystem: 'npm', packages: ['parcel'], configFiles: [/^\.parcelrc$/], purpose: 'bundler' },
+  { id: 'esbuild', name: 'esbuild', category: 'tool', type: 'build', ecosystem: 'npm', packages: ['esbuild'] },
+  { id: 'babel', name: 'Babel', category: 'tool', type: 'build', ecosystem: 'npm', packages: ['@babel/core'], configFiles: [/^\.babelrc(\.json|\.[cm]?js)?$/, /^babel\.config\.([cm]?js|json)$/] },
+  { id: 'create-react-app', name: 'Create React App', category: 'tool', type: 'build', ecosystem: 'npm', packages: ['react-scripts'], deprecated: 'Create React App is deprecated, migrate to Vite or a framework' },
+  { id: 'eslint', name: 'ESLint', category: 'tool', type: 'lint', ecosystem: 'npm', packages: ['eslint'], configFiles: [/^\.eslintrc(\.(json|ya?ml|[cm]?js))?$/, /^eslint\.config\.[cm]?[jt]s$/], purpose: 'linter' },
+  { id: 'tslint', name: 'TSLint', category: 'tool', type: 'lint', ecosystem: 'npm', packages: ['tslint'], configFiles: [/^tslint\.json$/], purpose: 'linter', deprecated: 'TSLint is deprecated, use ESLint with typescript-eslint' },
+  { id: 'biome', name: 'Biome', category: 'tool', type: 'lint', ecosystem: 'npm', packages: ['@biomejs/biome'], configFiles: [/^biome\.jsonc?$/], purpose: 'linter' },
+  { id: 'prettier', name: 'Prettier', category: 'tool', type: 'format', ecosystem: 'npm', packages: ['prettier'], configFiles: [/^\.prettierrc(\.(json|ya?ml|[cm]?js|toml))?$/, /^prettier\.config\.[cm]?js$/] },
+  { id: 'stylelint', name: 'Stylelint', category: 'tool', type: 'lint', ecosystem: 'npm', packages: ['stylelint'], configFiles: [/^\.stylelintrc(\.(json|ya?ml|[cm]?js))?$/] },
+  { id: 'postcss', name: 'PostCSS', category: 'tool', type: 'build', ecosystem: 'npm', packages: ['postcss'], configFiles: [/^postcss\.config\.[cm]?[jt]s$/, /^\.postcssrc(\.json)?$/] },
+  { id: 'husky', name: 'Husky', category: 'tool', type: 'git-hooks', ecosystem: 'npm', packages: ['husky'] },
+  { id: 'nodemon', name: 'nodemon', category: 'tool', type: 'dev-server', ecosystem: 'npm', packages: ['nodemon'], configFiles: [/^nodemon\.json$/] },
+  { id: 'pm2', name: 'PM2', category: 'tool', type: 'process-manager', ecosystem: 'npm', packages: ['pm2'], configFiles: [/^ecosystem\.config\.[cm]?js$/] },
+  { id: 'docker', name: 'Docker', category: 'tool', type: 'container', ecosystem: null, packages: [], configFiles: [/^dockerfile(\.[\w-]+)?$/i, /\.dockerfile$/i] },
+  { id: 'docker-compose', name: 'Docker Compose', category: 'tool', type: 'container', ecosystem: null, packages: [], configFiles: [/^(docker-)?compose(\.[\w-]+)?\.ya?ml$/] },
+  { id: 'ruff', name: 'Ruff', category: 'tool', type: 'lint', ecosystem: 'pypi', packages: ['ruff'], configFiles: [/^\.?ruff\.toml$/], purpose: 'linter' },
+  { id: 'flake8', name: 'Flake8', category: 'tool', type: 'lint', ecosystem: 'pypi', packages: ['flake8'], configFiles: [/^\.flake8$/], purpose: 'linter' },
+  { id: 'black', name: 'Black', category: 'tool', type: 'format', ecosystem: 'pypi', packages: ['black'] },
+  { id: 'mypy', name: 'mypy', category: 'tool', type: 'type-check', ecosystem: 'pypi', packages: ['mypy'], configFiles: [/^mypy\.ini$/] },
+  { id: 'golangci-lint', name: 'golangci-lint', category: 'tool', type: 'lint', ecosystem: 'go', packages: [], configFiles: [/^\.golangci\.(ya?ml|toml|json)$/], purpose: 'linter' },
+  { id: 'clippy', name: 'Clippy', category: 'tool', type: 'lint', ecosystem: 'cargo', packages: [], configFiles: [/^\.?clippy\.toml$/], purpose: 'linter' },
+
+  // Testing
+  { id: 'jest', name: 'Jest', category: 'testing', type: 'unit', ecosystem: 'npm', packages: ['jest'], imports: ['@jest/globals'], configFiles: [/^jest\.config\.([cm]?[jt]s|json)$/] },
+  { id: 'vitest', name: 'Vitest', category: 'testing', type: 'unit', ecosystem: 'npm', packages: ['vitest'], configFiles: [/^vitest\.(config|workspace)\.[cm]?[jt]s$/] },
+  { id: 'mocha', name: 'Mocha', category: 'testing', type: 'unit', ecosystem: 'npm', packages: ['mocha'], configFiles: [/^\.mocharc(\.(json|ya?ml|[cm]?js))?$/] },
+  { id: 'testing-library', name: 'Testing Library', category: 'testing', type: 'component', ecosystem: 'npm', packages: ['@testing-library/react', '@testing-library/vue', '@testing-library/dom'] },
+  { id: 'playwright', name: 'Playwright Test', category: 'testing', type: 'e2e', ecosystem: 'npm', packages: ['@playwright/test'], configFiles: [/^playwright\.config\.[cm]?[jt]s$/] },
+  { id: 'cypress', name: 'Cypress', category: 'testing', type: 'e2e', ecosystem: 'npm', packages: ['cypress'], configFiles: [/^cypress\.config\.[cm]?[jt]s$/, /^cypress\.json$/] },
+  { id: 'supertest', name: 'SuperTest', category: 'testing', type: 'integration', ecosystem: 'npm', packages: ['supertest'] },
+  { id: 'pytest', name: 'pytest', category: 'testing', type: 'unit', ecosystem: 'pypi', packages: ['pytest'], configFiles: [/^pytest\.ini$/, /^conftest\.py$/] },
+  { id: 'testify', name: 'Testify', category: 'testing', type: 'unit', ecosystem: 'go', packages: ['github.com/stretchr/testify'] }
+];
+
+// End-of-life dates of runtime release lines (major, or major.minor for Python)
+const RUNTIME_EOL = {
+  'Node.js': {
+    14: '2023-04-30', 15: '2021-06-01', 16: '2023-09-11', 17: '2022-06-01', 18: '2025-04-30', 19: '2023-06-01',
+    20: '2026-04-30', 21: '2024-06-01', 22: '2027-04-30', 23: '2025-06-01', 24: '2028-04-30'
+  },
+  Python: {
+    '3.7': '2023-06-27', '3.8': '2024-10-07', '3.9': '2025-10-31', '3.10': '2026-10-31', '3.11': '2027-10-31',
+    '3.12': '2028-10-31', '3.13': '2029-10-31'
+  }
+};
+
+module.exports = { TECHNOLOGIES, RUNTIME_EOL };
@@ -0,0 +1,761 @@
+/**
+ * TechStackDetector - Domain Service
+ * Detects the technologies of a project from evidence: declared dependencies (package.json,
+ * pyproject.toml, requirements.txt, go.mod, Cargo.toml), configuration files, source imports
+ * and runtime version files. Every technology carries a confidence and the files backing it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const semver = require('semver');
+const Logger = require('@logging/Logger');
+const { getExcludePatterns, isExcludedPath } = require('@config/analysis-excludes');
+const DependencyGraphService = require('./DependencyGraphService');
+const DependencyUsageScanner = require('./DependencyUsageScanner');
+const DockerfileParser = require('./DockerfileParser');
+const { TECHNOLOGIES } = require('./TechStackCatalog');
+
+// Highest weight per evidence type; the score of a technology is their sum (max 100)
+const EVIDENCE_WEIGHTS = {
+  'runtime-version': 60,
+  dependency: 40,
+  manifest: 40,
+  config: 35,
+  import: 30,
+  'container-image': 30
+};
+const CONFIDENCE_THRESHOLDS = { high: 70, medium: 40 };
+
+const LANGUAGES = {
+  '.js': 'JavaScript', '.jsx': 'JavaScript', '.mjs': 'JavaScript', '.cjs': 'JavaScript',
+  '.ts': 'TypeScript', '.tsx': 'TypeScript', '.mts': 'TypeScript', '.cts': 'TypeScript',
+  '.vue': 'Vue', '.svelte': 'Svelte', '.py': 'Python', '.go': 'Go', '.rs': 'Rust',
+  '.java': 'Java', '.kt': 'Kotlin', '.rb': 'Ruby', '.php': 'PHP', '.cs': 'C#',
+  '.css': 'CSS', '.scss': 'CSS', '.sass': 'CSS', '.less': 'CSS', '.html': 'HTML', '.sh': 'Shell'
+};
+const LANGUAGE_PROJECT_TYPES = {
+  JavaScript: 'node', TypeScript: 'node', Python: 'python', Go: 'go', Rust: 'rust',
+  Java: 'java', Kotlin: 'java', Ruby: 'ruby', PHP: 'php'
+};
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.vue', '.svelte'];
+
+// Runtimes, the container images that ship them and their names in .tool-versions
+const RUNTIMES = [
+  { id: 'nodejs', name: 'Node.js', ecosystem: 'npm', images: ['node'], toolVersions: ['nodejs', 'node'], versionFiles: ['.nvmrc', '.node-version'] },
+  { id: 'python', name: 'Python', ecosystem: 'pypi', images: ['python'], toolVersions: ['python'], versionFiles: ['.python-version'] },
+  { id: 'go', name: 'Go', ecosystem: 'go', images: ['golang'], toolVersions: ['golang', 'go'], versionFiles: [] },
+  { id: 'rust', name: 'Rust', ecosystem: 'cargo', images: ['rust'], toolVersions: ['rust'], versionFiles: [] },
+  { id: 'bun', name: 'Bun', ecosystem: 'npm', images: ['oven/bun'], toolVersions: ['bun'], versionFiles: ['.bun-version'] },
+  { id: 'deno', name: 'Deno', ecosystem: null, images: ['denoland/deno'], toolVersions: ['deno'], versionFiles: [] }
+];
+
+const TEST_FILE = /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[\w]+$/;
+// Display version of a runtime: pinned version files win over images and ranges
+const RUNTIME_SOURCE_PRIORITY = ['.nvmrc', '.node-version', '.python-version', '.bun-version', 'rust-toolchain', '.tool-versions', 'go.mod', 'Dockerfile'];
+
+const DEFAULT_MAX_FILES = 20000;
+const DEFAULT_MAX_SOURCE_FILES = 5000;
+const MAX_LISTED_FILES = 5;
+
+class TechStackDetector {
+  constructor(dependencies = {}) {
+    this.dependencyGraphService = dependencies.dependencyGraphService || new DependencyGraphService();
+    this.usageScanner = dependencies.usageScanner || new DependencyUsageScanner();
+    this.dockerfileParser = dependencies.dockerfileParser || new DockerfileParser();
+    this.maxFiles = dependencies.maxFiles || DEFAULT_MAX_FILES;
+    this.maxSourceFiles = dependencies.maxSourceFiles || DEFAULT_MAX_SOURCE_FILES;
+    this.logger = new Logger('TechStackDetector');
+  }
+
+  /**
+   * Detect the tech stack of a project
+   * @param {string} projectPath - Project directory path
+   * @param {Object} options - Detection options
+   * @param {Object} options.dependencyGraph - Already resolved graph from DependencyGraphService
+   * @returns {Promise<Object>} { projectPath, projectType, languages, technologies, workspaces, structure }
+   */
+  async detect(projectPath, options = {}) {
+    if (!projectPath) {
+      throw new Error('Project path is required for tech stack detection');
+    }
+
+    this.logger.info(`🛠️ Detecting tech stack for: ${projectPath}`);
+
+    const files = await this.listFiles(projectPath);
+    const findings = new Map();
+
+    let graph = options.dependencyGraph || null;
+    if (!graph) {
+      try {
+        graph = await this.dependencyGraphService.analyze(projectPath);
+      } catch (error) {
+        this.logger.warn(`Cannot resolve npm dependencies: ${error.message}`);
+        graph = { workspaces: [] };
+      }
+    }
+
+    await this.collectNpmEvidence(projectPath, graph, findings);
+    this.collectConfigEvidence(files.paths, findings);
+    await this.collectManifestEvidence(projectPath, files.paths, findings);
+    await this.collectRuntimeEvidence(projectPath, files.paths, graph, findings);
+    const sourceFiles = await this.collectImportEvidence(projectPath, files.paths, findings);
+
+    const technologies = [...findings.values()]
+      .map(finding => this.summarize(finding))
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+    const languages = this.summarizeLanguages(files.fileTypes);
+
+    this.logger.info(`✅ Detected ${technologies.length} technologies`);
+    return {
+      projectPath,
+      projectType: this.getProjectType(technologies, languages),
+      languages,
+      technologies,
+      workspaces: graph.workspaces.map(workspace => ({ name: workspace.name, path: workspace.relativePath || '.' })),
+      structure: {
+        fileTypes: files.fileTypes,
+        filesScanned: files.paths.length,
+        sourceFilesScanned: sourceFiles,
+        truncated: files.truncated
+      }
+    };
+  }
+
+  /**
+   * List the project files (relative, POSIX separators) outside excluded directories
+   * @param {string} projectPath - Project directory path
+   * @returns {Promise<Object>} { paths, fileTypes, truncated }
+   */
+  async listFiles(projectPath) {
+    const excludePatterns = getExcludePatterns('extended');
+    const paths = [];
+    const fileTypes = {};
+
+    const walk = async (directory) => {
+      let entries;
+      try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (paths.length >= this.maxFiles) return;
+
+        const fullPath = path.join(directory, entry.name);
+        const relativePath = path.relative(projectPath, fullPath).split(path.sep).join('/');
+        if (isExcludedPath(relativePath, excludePatterns)) continue;
+
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          paths.push(relativePath);
+          const extension = path.extname(entry.name).slice(1).toLowerCase();
+          if (extension) fileTypes[extension] = (fileTypes[extension] || 0) + 1;
+        }
+      }
+    };
+    await walk(projectPath);
+
+    return { paths, fileTypes, truncated: paths.length >= this.maxFiles };
+  }
+
+  /**
+   * Dependencies and tool config fields of every package.json workspace
+   */
+  async collectNpmEvidence(projectPath, graph, findings) {
+    for (const workspace of graph.workspaces) {
+      const manifestFile = this.joinRelative(workspace.relativePath, 'package.json');
+      const content = await this.readText(path.join(projectPath, manifestFile));
+      const workspaceName = workspace.relativePath || '.';
+
+      for (const dependency of workspace.dependencies || []) {
+        const entry = this.findByPackage('npm', dependency.name);
+        if (!entry) continue;
+        const line = this.findLine(content, `"${dependency.name}"`);
+        this.addEvidence(findings, entry, {
+          type: 'dependency',
+          file: manifestFile,
+          line,
+          detail: `${dependency.name}@${dependency.range} (${dependency.type})`
+        }, { version: dependency.version || this.cleanRange(dependency.range), file: manifestFile, line, workspace: workspaceName, package: dependency.name });
+      }
+
+      // Tools configured inside package.json
+      for (const [field, id] of [['eslintConfig', 'eslint'], ['jest', 'jest'], ['prettier', 'prettier'], ['babel', 'babel']]) {
+        if (!workspace.manifest[field]) continue;
+        this.addEvidence(findings, this.findById(id), {
+          type: 'config',
+          file: manifestFile,
+          line: this.findLine(content, `"${field}"`),
+          detail: `"${field}" field`
+        }, { workspace: workspaceName });
+      }
+    }
+  }
+
+  /**
+   * Configuration files that only exist when a technology is set up
+   */
+  collectConfigEvidence(paths, findings) {
+    for (const file of paths) {
+      const name = path.posix.basename(file);
+      for (const entry of TECHNOLOGIES) {
+        if (!(entry.configFiles || []).some(pattern => pattern.test(name))) continue;
+        // Source files that happen to match (DockerfileParser.js) are not configs
+        if (entry.id === 'docker' && /\.(js|ts|py|go|rs|md)$/i.test(name)) continue;
+        this.addEvidence(findings, entry, { type: 'config', file, line: null, detail: 'Configuration file' }, {
+          workspace: path.posix.dirname(file)
+        });
+      }
+    }
+  }
+
+  /**
+   * Dependencies declared by Python, Go and Rust manifests
+   */
+  async collectManifestEvidence(projectPath, paths, findings) {
+    for (const file of paths) {
+      const name = path.posix.basename(file);
+      const workspace = path.posix.dirname(file);
+      let declarations = [];
+      if (name === 'pyproject.toml') {
+        declarations = this.parsePyproject(await this.readText(path.join(projectPath, file)));
+      } else if (/^requirements([-.][\w.-]+)?\.txt$/.test(name)) {
+        declarations = this.parseRequirements(await this.readText(path.join(projectPath, file)));
+      } else if (name === 'go.mod') {
+        declarations = this.parseGoMod(await this.readText(path.join(projectPath, file)));
+      } else if (name === 'Cargo.toml') {
+        declarations = this.parseCargoToml(await this.readText(path.join(projectPath, file)));
+      } else {
+        continue;
+      }
+
+      for (const declaration of declarations) {
+        if (declaration.runtime) {
+          const runtime = RUNTIMES.find(candidate => candidate.id === declaration.runtime);
+          this.addRuntimeEvidence(findings, runtime, {
+            type: declaration.version ? 'runtime-version' : 'manifest',
+            file,
+            line: declaration.line,
+            detail: declaration.version ? `${declaration.source}: ${declaration.version}` : 'Project manifest'
+          }, declaration.version ? { source: declaration.source, file, line: declaration.line, version: declaration.version } : null);
+          continue;
+        }
+
+        const entry = declaration.tool
+          ? this.findById(declaration.tool)
+          : this.findByPackage(declaration.ecosystem, declaration.name);
+        if (!entry) continue;
+        this.addEvidence(findings, entry, {
+          type: declaration.tool ? 'config' : 'manifest',
+          file,
+          line: declaration.line,
+          detail: declaration.tool ? `[${declaration.section}] section` : `${declaration.name} ${declaration.spec || ''}`.trim()
+        }, { version: declaration.tool ? null : this.cleanRange(declaration.spec), file, line: declaration.line, workspace, package: declaration.name });
+      }
+    }
+  }
+
+  /**
+   * Runtime version files, package.json engines and container base images
+   */
+  async collectRuntimeEvidence(projectPath, paths, graph, findings) {
+    const nodeRuntime = RUNTIMES.find(runtime => runtime.id === 'nodejs');
+    for (const workspace of graph.workspaces) {
+      const manifestFile = this.joinRelative(workspace.relativePath, 'package.json');
+      const engine = workspace.manifest.engines && workspace.manifest.engines.node;
+      this.addRuntimeEvidence(findings, nodeRuntime, {
+        type: 'manifest', file: manifestFile, line: null, detail: 'package.json'
+      }, null);
+      if (engine) {
+        const content = await this.readText(path.join(projectPath, manifestFile));
+        const line = this.findLine(content, '"engines"');
+        this.addRuntimeEvidence(findings, nodeRuntime, {
+          type: 'runtime-version', file: manifestFile, line, detail: `engines.node: ${engine}`
+        }, { source: 'engines', file: manifestFile, line, version: engine });
+      }
+    }
+
+    for (const file of paths) {
+      const name = path.posix.basename(file);
+      const runtime = RUNTIMES.find(candidate => candidate.versionFiles.includes(name));
+      if (runtime) {
+        const version = (await this.readText(path.join(projectPath, file))).split('\n')[0].trim();
+        if (version) {
+          this.addRuntimeEvidence(findings, runtime, {
+            type: 'runtime-version', file, line: 1, detail: `${name}: ${version}`
+          }, { source: name, file, line: 1, version });
+        }
+      } else if (name === '.tool-versions') {
+        const lines = (await this.readText(path.join(projectPath, file))).split('\n');
+        lines.forEach((text, index) => {
+          const [tool, version] = text.trim().split(/\s+/);
+          const toolRuntime = RUNTIMES.find(candidate => candidate.toolVersions.includes(tool));
+          if (!toolRuntime || !version) return;
+          this.addRuntimeEvidence(findings, toolRuntime, {
+            type: 'runtime-version', file, line: index + 1, detail: `${tool} ${version}`
+          }, { source: '.tool-versions', file, line: index + 1, version });
+        });
+      } else if (/^rust-toolchain(\.toml)?$/.test(name)) {
+        const content = await this.readText(path.join(projectPath, file));
+        const match = content.match(/channel\s*=\s*"([^"]+)"/) || content.match(/^\s*([\w.-]+)\s*$/m);
+        if (match) {
+          this.addRuntimeEvidence(findings, this.findRuntime('rust'), {
+            type: 'runtime-version', file, line: this.findLine(content, match[0].trim()), detail: `toolchain: ${match[1]}`
+          }, { source: 'rust-toolchain', file, line: this.findLine(content, match[0].trim()), version: match[1] });
+        }
+      } else if (/^(bun\.lockb?|bunfig\.toml)$/.test(name)) {
+        this.addRuntimeEvidence(findings, this.findRuntime('bun'), { type: 'config', file, line: null, detail: name }, null);
+      } else if (/^deno\.jsonc?$/.test(name)) {
+        this.addRuntimeEvidence(findings, this.findRuntime('deno'), { type: 'config', file, line: null, detail: name }, null);
+      } else if (/^dockerfile(\.[\w-]+)?$|\.dockerfile$/i.test(name) && !/\.(js|ts|py|go|rs|md)$/i.test(name)) {
+        await this.collectContainerEvidence(projectPath, file, findings);
+      }
+    }
+  }
+
+  async collectContainerEvidence(projectPath, file, findings) {
+    const { stages } = this.dockerfileParser.parse(await this.readText(path.join(projectPath, file)));
+    for (const stage of stages) {
+      const { repository, tag } = this.dockerfileParser.parseImage(stage.image);
+      const image = repository.replace(/^(docker\.io\/)?(library\/)?/, '');
+      const runtime = RUNTIMES.find(candidate => candidate.images.includes(image));
+      if (!runtime) continue;
+      const version = tag && /^\d/.test(tag) ? tag.split('-')[0] : null;
+      this.addRuntimeEvidence(findings, runtime, {
+        type: 'container-image', file, line: stage.line, detail: `FROM ${stage.image}`
+      }, version ? { source: 'Dockerfile', file, line: stage.line, version } : null);
+    }
+  }
+
+  /**
+   * Count the source files importing each technology
+   * @returns {Promise<number>} Number of source files read
+   */
+  async collectImportEvidence(projectPath, paths, findings) {
+    const imports = { npm: new Map(), pypi: new Map(), go: new Map(), cargo: new Map() };
+    let scanned = 0;
+
+    for (const file of paths) {
+      const extension = path.posix.extname(file);
+      const ecosystem = JS_EXTENSIONS.includes(extension) ? 'npm'
+        : extension === '.py' ? 'pypi' : extension === '.go' ? 'go' : extension === '.rs' ? 'cargo' : null;
+      if (!ecosystem) continue;
+      if (scanned >= this.maxSourceFiles) break;
+      scanned++;
+
+      const source = await this.readText(path.join(projectPath, file));
+      for (const name of this.extractImports(ecosystem, source)) {
+        if (!imports[ecosystem].has(name)) imports[ecosystem].set(name, []);
+        imports[ecosystem].get(name).push(file);
+      }
+    }
+
+    for (const entry of TECHNOLOGIES) {
+      if (!entry.ecosystem) continue;
+      const importedFiles = new Set();
+      for (const name of this.getImportNames(entry)) {
+        for (const [imported, files] of imports[entry.ecosystem]) {
+          const matches = entry.ecosystem === 'go' ? imported === name || imported.startsWith(`${name}/`) : imported === name;
+          if (matches) files.forEach(file => importedFiles.add(file));
+        }
+      }
+      if (importedFiles.size === 0) continue;
+
+      // Application sources first, tests last
+      const files = [...importedFiles].sort((a, b) => TEST_FILE.test(a) - TEST_FILE.test(b) || a.localeCompare(b));
+      this.addEvidence(findings, entry, {
+        type: 'import',
+        file: files[0],
+        line: null,
+        detail: `Imported in ${files.length} source file${files.length === 1 ? '' : 's'}`,
+        count: files.length,
+        files: files.slice(0, MAX_LISTED_FILES)
+      }, null);
+    }
+
+    return scanned;
+  }
+
+  /**
+   * Module names imported by a source file
+   * @param {string} ecosystem - 'npm', 'pypi', 'go' or 'cargo'
+   * @param {string} source - Source code
+   * @returns {Set<string>} Package, module, import path or crate names
+   */
+  extractImports(ecosystem, source) {
+    const names = new Set();
+    if (ecosystem === 'npm') {
+      return this.usageScanner.extractPackageNames(source);
+    }
+    if (ecosystem === 'pypi') {
+      for (const match of source.matchAll(/^\s*(?:from\s+([A-Za-z_]\w*)[\w.]*\s+import\b|import\s+([A-Za-z_][\w., \t]*))/gm)) {
+        if (match[1]) {
+          names.add(match[1].toLowerCase());
+        } else {
+          match[2].split(',').map(part => part.trim().split(/[.\s]/)[0]).filter(Boolean).forEach(name => names.add(name.toLowerCase()));
+        }
+      }
+    } else if (ecosystem === 'go') {
+      // Only the import section, before the first declaration
+      const header = source.split(/^func\s/m)[0];
+      for (const match of header.matchAll(/"([a-z0-9.-]+\.[a-z]{2,}\/[^"\s]+)"/g)) {
+        names.add(match[1]);
+      }
+    } else if (ecosystem === 'cargo') {
+      for (const match of source.matchAll(/^\s*(?:pub\s+)?(?:use|extern\s+crate)\s+([a-z_][a-z0-9_]*)|#\[([a-z_][a-z0-9_]*)::/gm)) {
+        names.add(match[1] || match[2]);
+      }
+    }
+    return names;
+  }
+
+  getImportNames(entry) {
+    if (entry.imports) return entry.imports;
+    if (entry.ecosystem === 'pypi' || entry.ecosystem === 'cargo') {
+      return entry.packages.map(name => name.replace(/-/g, '_'));
+    }
+    return entry.packages;
+  }
+
+  /**
+   * Dependencies, Python requirement and tool sections of a pyproject.toml
+   */
+  parsePyproject(content) {
+    const declarations = [];
+    const toml = parseToml(content);
+
+    for (const [section, values] of Object.entries(toml)) {
+      if (section === 'project') {
+        for (const item of values.dependencies ? tomlStrings(values.dependencies.value) : []) {
+          declarations.push({ ...this.parseRequirement(item), line: values.dependencies.line });
+        }
+        if (values['requires-python']) {
+          declarations.push({
+            runtime: 'python', source: 'requires-python', version: tomlString(values['requires-python'].value), line: values['requires-python'].line
+          });
+        }
+      } else if (section === 'project.optional-dependencies' || section === 'dependency-groups') {
+        for (const { value, line } of Object.values(values)) {
+          tomlStrings(value).forEach(item => declarations.push({ ...this.parseRequirement(item), line }));
+        }
+      } else if (/^tool\.poetry(\.group\.[\w-]+)?\.(dev-)?dependencies$/.test(section)) {
+        for (const [name, { value, line }] of Object.entries(values)) {
+          const spec = value.startsWith('{') ? (value.match(/version\s*=\s*"([^"]+)"/) || [])[1] : tomlString(value);
+          if (name === 'python') {
+            declarations.push({ runtime: 'python', source: 'tool.poetry', version: spec || null, line });
+          } else {
+            declarations.push({ ecosystem: 'pypi', name: this.normalizePythonName(name), spec, line });
+          }
+        }
+      } else if (/^tool\.(ruff|black|mypy|pytest)(\.|$)/.test(section)) {
+        const tool = section.split('.')[1];
+        declarations.push({ tool, section, line: values.__line });
+      }
+    }
+
+    if (!declarations.some(declaration => declaration.runtime === 'python')) {
+      declarations.push({ runtime: 'python', version: null, line: null });
+    }
+    return declarations;
+  }
+
+  parseRequirements(content) {
+    const declarations = [{ runtime: 'python', version: null, line: null }];
+    content.split('\n').forEach((text, index) => {
+      const trimmed = text.replace(/\s+#.*$/, '').trim();
+      if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('-')) return;
+      declarations.push({ ...this.parseRequirement(trimmed), line: index + 1 });
+    });
+    return declarations;
+  }
+
+  /**
+   * Split a PEP 508 requirement ('django[argon2]>=4.2,<5; python_version>"3.8"')
+   */
+  parseRequirement(requirement) {
+    const match = requirement.split(';')[0].trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*(.*)$/);
+    return {
+      ecosystem: 'pypi',
+      name: match ? this.normalizePythonName(match[1]) : requirement,
+      spec: match && match[3] ? match[3].trim() : null
+    };
+  }
+
+  normalizePythonName(name) {
+    return name.toLowerCase().replace(/[-_.]+/g, '-');
+  }
+
+  parseGoMod(content) {
+    const declarations = [{ runtime: 'go', version: null, line: null }];
+    let inRequire = false;
+    content.split('\n').forEach((text, index) => {
+      const trimmed = text.replace(/\/\/.*$/, '').trim();
+      const line = index + 1;
+      const goDirective = trimmed.match(/^go\s+([\d.]+)$/);
+      if (goDirective) {
+        declarations.push({ runtime: 'go', source: 'go.mod', version: goDirective[1], line });
+      } else if (trimmed === 'require (') {
+        inRequire = true;
+      } else if (inRequire && trimmed === ')') {
+        inRequire = false;
+      } else {
+        const requirement = inRequire ? trimmed.match(/^(\S+)\s+(\S+)/) : trimmed.match(/^require\s+(\S+)\s+(\S+)/);
+        if (requirement) {
+          declarations.push({ ecosystem: 'go', name: requirement[1], spec: requirement[2], line });
+        }
+      }
+    });
+    return declarations;
+  }
+
+  parseCargoToml(content) {
+    const declarations = [{ runtime: 'rust', version: null, line: null }];
+    const toml = parseToml(content);
+
+    for (const [section, values] of Object.entries(toml)) {
+      if (section === 'package' && values['rust-version']) {
+        declarations.push({
+          runtime: 'rust', source: 'rust-version', version: tomlString(values['rust-version'].value), line: values['rust-version'].line
+        });
+      } else if (/^(workspace\.)?(dev-|build-)?dependencies$/.test(section)) {
+        for (const [name, { value, line }] of Object.entries(values)) {
+          const spec = value.startsWith('{') ? (value.match(/version\s*=\s*"([^"]+)"/) || [])[1] : tomlString(value);
+          declarations.push({ ecosystem: 'cargo', name, spec: spec || null, line });
+        }
+      } else {
+        // [dependencies.serde] tables
+        const table = section.match(/^(?:dev-|build-)?dependencies\.([\w-]+)$/);
+        if (table) {
+          declarations.push({
+            ecosystem: 'cargo', name: table[1], spec: values.version ? tomlString(values.version.value) : null, line: values.__line
+          });
+        }
+      }
+    }
+    return declarations;
+  }
+
+  addEvidence(findings, entry, evidence, version) {
+    if (!findings.has(entry.id)) {
+      findings.set(entry.id, { entry, evidence: [], versions: [], workspaces: new Set(), declarations: [] });
+    }
+    const finding = findings.get(entry.id);
+    finding.evidence.push(evidence);
+    if (version && version.workspace) finding.workspaces.add(version.workspace);
+    if (version && version.version) {
+      const { version: number, file, line, workspace, package: name } = version;
+      finding.versions.push({ version: number, file, line: line || null, workspace, package: name });
+    }
+    return finding;
+  }
+
+  addRuntimeEvidence(findings, runtime, evidence, declaration) {
+    const entry = { id: runtime.id, name: runtime.name, category: 'runtime', type: 'runtime', ecosystem: runtime.ecosystem, packages: [] };
+    const finding = this.addEvidence(findings, entry, evidence, null);
+    if (declaration) finding.declarations.push(declaration);
+  }
+
+  /**
+   * Turn collected evidence into a technology with score, confidence and version
+   */
+  summarize(finding) {
+    const { entry, evidence } = finding;
+    const weights = {};
+    for (const item of evidence) {
+      let weight = EVIDENCE_WEIGHTS[item.type] || 0;
+      // Technologies without packages (Docker, golangci-lint) are only ever set up by their config files
+      if (item.type === 'config' && entry.packages.length === 0) weight = 80;
+      // Each further importing file adds a little, up to 10 points
+      if (item.type === 'import') weight += Math.min(10, (item.count - 1) * 2);
+      weights[item.type] = Math.max(weights[item.type] || 0, weight);
+    }
+    const score = Math.min(100, Object.values(weights).reduce((sum, weight) => sum + weight, 0));
+
+    const versions = this.uniqueVersions(entry.category === 'runtime'
+      ? this.sortDeclarations(finding.declarations).map(declaration => ({ version: declaration.version, file: declaration.file }))
+      : finding.versions);
+    const importEvidence = evidence.find(item => item.type === 'import');
+
+    const technology = {
+      id: entry.id,
+      name: entry.name,
+      category: entry.category,
+      type: entry.type,
+      ecosystem: entry.ecosystem,
+      version: this.pickVersion(versions),
+      versions,
+      score,
+      confidence: score >= CONFIDENCE_THRESHOLDS.high ? 'high' : score >= CONFIDENCE_THRESHOLDS.medium ? 'medium' : 'low',
+      evidence,
+      evidenceFiles: [...new Set(evidence.map(item => item.file).filter(Boolean))],
+      usage: { importCount: importEvidence ? importEvidence.count : 0, files: importEvidence ? importEvidence.files : [] },
+      workspaces: [...finding.workspaces].sort()
+    };
+    if (entry.purpose) technology.purpose = entry.purpose;
+    if (entry.deprecated) technology.deprecated = entry.deprecated;
+    if (entry.category === 'runtime') technology.declarations = this.sortDeclarations(finding.declarations);
+    return technology;
+  }
+
+  sortDeclarations(declarations) {
+    const rank = (declaration) => {
+      const index = RUNTIME_SOURCE_PRIORITY.indexOf(declaration.source);
+      return index === -1 ? RUNTIME_SOURCE_PRIORITY.length : index;
+    };
+    return [...declarations].sort((a, b) => rank(a) - rank(b));
+  }
+
+  uniqueVersions(versions) {
+    const seen = new Set();
+    return versions.filter(({ version, file, package: name }) => {
+      const key = `${name}@${version}@${file}`;
+      if (!version || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Display version: the highest exact version, otherwise the first declared range
+   */
+  pickVersion(versions) {
+    const exact = versions.map(({ version }) => version).filter(version => semver.valid(version));
+    if (exact.length > 0) return exact.sort(semver.rcompare)[0];
+    return versions.length > 0 ? versions[0].version : null;
+  }
+
+  summarizeLanguages(fileTypes) {
+    const counts = {};
+    for (const [extension, count] of Object.entries(fileTypes)) {
+      const language = LANGUAGES[`.${extension}`];
+      if (language) counts[language] = (counts[language] || 0) + count;
+    }
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    return Object.entries(counts)
+      .map(([name, files]) => ({ name, files, percentage: Math.round(files / total * 1000) / 10 }))
+      .sort((a, b) => b.files - a.files);
+  }
+
+  /**
+   * Project type: a frontend framework for frontend-only projects, otherwise the main ecosystem
+   */
+  getProjectType(technologies, languages) {
+    const confident = technologies.filter(technology => technology.category === 'framework' && technology.confidence !== 'low');
+    const frontend = confident.find(technology => technology.type === 'frontend');
+    if (frontend && !confident.some(technology => technology.type === 'backend')) {
+      return frontend.id;
+    }
+    const primary = languages.find(language => LANGUAGE_PROJECT_TYPES[language.name]);
+    return primary ? LANGUAGE_PROJECT_TYPES[primary.name] : 'unknown';
+  }
+
+  findByPackage(ecosystem, name) {
+    return TECHNOLOGIES.find(entry => entry.ecosystem === ecosystem && entry.packages.includes(name)) || null;
+  }
+
+  findById(id) {
+    return TECHNOLOGIES.find(entry => entry.id === id) || null;
+  }
+
+  findRuntime(id) {
+    return RUNTIMES.find(runtime => runtime.id === id);
+  }
+
+  /**
+   * Plain version of a range for display ('^18.2.0' -> '18.2.0', '>=3.11' -> '3.11')
+   */
+  cleanRange(range) {
+    if (!range) return null;
+    const match = String(range).match(/\d+(\.\d+)*([-+][\w.]+)?/);
+    return match ? match[0] : range;
+  }
+
+  joinRelative(directory, file) {
+    return directory ? `${directory}/${file}` : file;
+  }
+
+  findLine(content, text) {
+    const index = content.indexOf(text);
+    return index === -1 ? null : content.slice(0, index).split('\n').length;
+  }
+
+  async readText(file) {
+    try {
+      return await fs.readFile(file, 'utf8');
+    } catch {
+      return '';
+    }
+  }
+}
+
+/**
+ * Minimal TOML reader for manifests: tables with their key/value pairs as raw
+ * value text (multi-line arrays joined) and the line of every key
+ * @param {string} content - TOML content
+ * @returns {Object} { table: { key: { value, line } } } (header line in table.__line)
+ */
+function parseToml(content) {
+  const tables = { '': createTable(1) };
+  let current = tables[''];
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+
+  for (let index = 0; index < lines.length; index++) {
+    const text = lines[index].trim();
+    if (!text || text.startsWith('#')) continue;
+
+    const header = text.match(/^\[\[?\s*([^\]]+?)\s*\]\]?$/);
+    if (header) {
+      const name = header[1].replace(/["']/g, '');
+      tables[name] = tables[name] || createTable(index + 1);
+      current = tables[name];
+      continue;
+    }
+
+    const pair = text.match(/^("[^"]+"|'[^']+'|[\w.-]+)\s*=\s*(.*)$/);
+    if (!pair) continue;
+    const line = index + 1;
+    let value = pair[2].replace(/\s+#[^"'\]]*$/, '');
+    // Arrays may span lines until their brackets balance
+    while (value.startsWith('[') && bracketDepth(value) > 0 && index + 1 < lines.length) {
+      index++;
+      value += ' ' + lines[index].trim().replace(/\s+#[^"'\]]*$/, '');
+    }
+    current[pair[1].replace(/["']/g, '')] = { value: value.trim(), line };
+  }
+
+  return tables;
+}
+
+// The header line is not enumerable, so iterating a table only yields its keys
+function createTable(line) {
+  return Object.defineProperty({}, '__line', { value: line, enumerable: false });
+}
+
+function bracketDepth(text) {
+  let depth = 0;
+  let quote = null;
+  for (const character of text) {
+    if (quote) {
+      if (character === quote) quote = null;
+    } else if (character === '"' || character === "'") {
+      quote = character;
+    } else if (character === '[') {
+      depth++;
+    } else if (character === ']') {
+      depth--;
+    }
+  }
+  return depth;
+}
+
+function tomlString(value) {
+  return value.replace(/^["']|["']$/g, '');
+}
+
+function tomlStrings(value) {
+  return [...value.matchAll(/"([^"]*)"|'([^']*)'/g)].map(match => match[1] !== undefined ? match[1] : match[2]);
+}
+
+module.exports = TechStackDetector;
@@ -0,0 +1,390 @@
+/**
+ * BranchProtectionService - Local branch protection policy engine
+ * Checks merges, pushes and commits against per-branch rules before GitService runs them,
+ * and decides whether a task branch may be merged automatically
+ *
+ * Rules come from, in increasing precedence:
+ *   - the defaults (main: critical, pidea-agent: high)
+ *   - protections applied at runtime by workflows (protectBranch)
+ *   - the project policy file (.pidea/branch-protection.json, .yml or .yaml):
+ *       branches:
+ *         main: { protection: critical, maxDiffLines: 1000 }
+ *         "release/*": { protection: high, allowForcePush: false }
+ * A rule is a protection level preset with optional field overrides.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const util = require('util');
+const yaml = require('js-yaml');
+const ServiceLogger = require('@logging/ServiceLogger');
+
+const execFileAsync = util.promisify(execFile);
+
+// Custom error classes for strict error handling
+class BranchProtectionError extends Error {
+  constructor(message, violations = []) {
+    super(message);
+    this.name = 'BranchProtectionError';
+    this.code = 'BranchProtectionError';
+    this.violations = violations;
+  }
+}
+
+const POLICY_FILES = ['.pidea/branch-protection.json', '.pidea/branch-protection.yml', '.pidea/branch-protection.yaml'];
+
+const PROTECTION_LEVELS = {
+  critical: {
+    requirePassingTests: true,
+    requireQualityGates: true,
+    allowForcePush: false,
+    allowDirectCommits: false,
+    maxDiffLines: 2000
+  },
+  high: {
+    requirePassingTests: true,
+    requireQualityGates: false,
+    allowForcePush: false,
+    allowDirectCommits: false,
+    maxDiffLines: 5000
+  },
+  medium: {
+    requirePassingTests: false,
+    requireQualityGates: false,
+    allowForcePush: false,
+    allowDirectCommits: true,
+    maxDiffLines: null
+  },
+  low: {
+    requirePassingTests: false,
+    requireQualityGates: false,
+    allowForcePush: true,
+    allowDirectCommits: true,
+    maxDiffLines: null
+  }
+};
+
+const DEFAULT_RULES = {
+  main: { protection: 'critical' },
+  'pidea-agent': { protection: 'high' }
+};
+
+const RULE_FIELDS = ['requirePassingTests', 'requireQualityGates', 'allowForcePush', 'allowDirectCommits', 'maxDiffLines'];
+
+const OPERATIONS = ['merge', 'push', 'commit'];
+
+class BranchProtectionService {
+  constructor(dependencies = {}) {
+    this.logger = new ServiceLogger('BranchProtectionService');
+    this.eventBus = dependencies.eventBus || null;
+    this.runGit = dependencies.runGit || ((args, cwd) => execFileAsync('git', args, { cwd, maxBuffer: 10 * 1024 * 1024 }));
+    // projectPath -> Map(branch pattern -> rule)
+    this.runtimeRules = new Map();
+    // projectPath -> Map(branch -> auto-merge target)
+    this.autoMergeTargets = new Map();
+  }
+
+  /**
+   * Protect a branch for the lifetime of the process
+   * @param {string} projectPath - Project directory
+   * @param {string} branch - Branch name or glob (release/*)
+   * @param {string} level - critical, high, medium or low
+   * @param {Object} overrides - Rule fields that differ from the level (e.g. allowDirectCommits)
+   * @returns {Object} Effective rule of the branch
+   */
+  protectBranch(projectPath, branch, level, overrides = {}) {
+    if (!PROTECTION_LEVELS[level]) {
+      throw new Error(`Unknown protection level: ${level} (expected ${Object.keys(PROTECTION_LEVELS).join(', ')})`);
+    }
+    if (!this.runtimeRules.has(projectPath)) {
+      this.runtimeRules.set(projectPath, new Map());
+    }
+    const definition = { ...overrides, protection: level };
+    this.runtimeRules.get(projectPath).set(branch, definition);
+    this.logger.info(`Branch ${branch} protected (${level})`, { projectPath });
+    return this.createRule(branch, definition);
+  }
+
+  /**
+   * Mark a branch for automatic merging into a target once its checks pass
+   * @param {string} projectPath - Project directory
+   * @param {string} branch - Branch to merge
+   * @param {string} target - Target branch
+   */
+  enableAutoMerge(projectPath, branch, target) {
+    if (!this.autoMergeTargets.has(projectPath)) {
+      this.autoMergeTargets.set(projectPath, new Map());
+    }
+    this.autoMergeTargets.get(projectPath).set(branch, target);
+  }
+
+  /**
+   * Auto-merge target of a branch
+   * @param {string} projectPath - Project directory
+   * @param {string} branch - Branch name
+   * @returns {string|null} Target branch
+   */
+  getAutoMergeTarget(projectPath, branch) {
+    const targets = this.autoMergeTargets.get(projectPath);
+    return (targets && targets.get(branch)) || null;
+  }
+
+  /**
+   * Decide whether a branch may be merged automatically: its tests and quality checks must both have passed
+   * @param {Object} checks - { tests, qualityGates } results of the task
+   * @returns {Object} { allowed, reasons }
+   */
+  evaluateAutoMerge(checks = {}) {
+    const reasons = [];
+    const tests = this.getCheckState(checks.tests);
+    const qualityGates = this.getCheckState(checks.qualityGates);
+    if (tests !== 'passed') {
+      reasons.push(tests === 'missing' ? 'no test results' : 'tests failed');
+    }
+    if (qualityGates !== 'passed') {
+      reasons.push(qualityGates === 'missing' ? 'no quality check results' : 'quality checks failed');
+    }
+    return { allowed: reasons.length === 0, reasons };
+  }
+
+  /**
+   * Effective rule of a branch, or null when the branch is unprotected
+   * @param {string} projectPath - Project directory
+   * @param {string} branch - Branch name
+   * @returns {Promise<Object|null>} Rule
+   */
+  async getRule(projectPath, branch) {
+    const sources = [DEFAULT_RULES, this.getRuntimeRules(projectPath), await this.loadPolicy(projectPath)];
+    let definition = null;
+    let pattern = null;
+
+    for (const rules of sources) {
+      const match = this.findMatchingPattern(rules, branch);
+      if (match) {
+        // A rule from a later source replaces the preset and overrides of an earlier one
+        definition = rules[match];
+        pattern = match;
+      }
+    }
+
+    return definition ? this.createRule(pattern, definition) : null;
+  }
+
+  /**
+   * Check a git operation against the rule of the branch it changes
+   * @param {string} operation - merge, push or commit
+   * @param {Object} context - { projectPath, sourceBranch, targetBranch (merge), branch (push, commit),
+   *   actor ('workflow' or 'user'), force (push), checks: { tests, qualityGates } }
+   * @returns {Promise<Object>} { allowed, operation, branch, rule, violations }
+   */
+  async evaluate(operation, context = {}) {
+    if (!OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown git operation: ${operation}`);
+    }
+    const { projectPath, actor = 'workflow', checks = {} } = context;
+    const branch = (operation === 'merge' ? context.targetBranch : context.branch) || await this.readCurrentBranch(projectPath);
+    const rule = branch ? await this.getRule(projectPath, branch) : null;
+    const violations = [];
+
+    if (rule && operation === 'merge') {
+      // Check results only exist for workflow runs; a user merging from the UI is not asked for them
+      if (actor === 'workflow') {
+        this.checkRequired(violations, rule.requirePassingTests, checks.tests, 'tests', 'tests');
+        this.checkRequired(violations, rule.requireQualityGates, checks.qualityGates, 'quality-gates', 'quality gates');
+      }
+      if (rule.maxDiffLines && context.sourceBranch) {
+        const diffLines = await this.measureDiff(projectPath, branch, context.sourceBranch);
+        if (diffLines !== null && diffLines > rule.maxDiffLines) {
+          violations.push({
+            rule: 'max-diff-lines',
+            message: `diff of ${diffLines} lines exceeds the limit of ${rule.maxDiffLines}`
+          });
+        }
+      }
+    }
+
+    if (rule && operation === 'push' && context.force && !rule.allowForcePush) {
+      violations.push({ rule: 'force-push', message: 'force-push is not allowed' });
+    }
+
+    if (rule && operation === 'commit' && actor === 'workflow' && !rule.allowDirectCommits) {
+      violations.push({ rule: 'direct-commit', message: 'workflows may not commit directly, use a task branch' });
+    }
+
+    return { allowed: violations.length === 0, operation, branch, rule, violations };
+  }
+
+  /**
+   * Evaluate an operation and throw when the branch rule is violated
+   * @param {string} operation - merge, push or commit
+   * @param {Object} context - See evaluate
+   * @returns {Promise<Object>} Evaluation
+   * @throws {BranchProtectionError} With the violations
+   */
+  async assertAllowed(operation, context = {}) {
+    const evaluation = await this.evaluate(operation, context);
+    if (evaluation.allowed) {
+      return evaluation;
+    }
+
+    const target = operation === 'merge' ? `merge into ${evaluation.branch}` : `${operation} on ${evaluation.branch}`;
+    const message = `Branch protection blocked ${target} (${evaluation.rule.protection}): ${evaluation.violations.map(violation => violation.message).join('; ')}`;
+    this.logger.warn(message, { projectPath: context.projectPath, sourceBranch: context.sourceBranch });
+
+    if (this.eventBus) {
+      this.eventBus.publish('git.protection.violation', {
+        projectPath: context.projectPath,
+        operation,
+        branch: evaluation.branch,
+        sourceBranch: context.sourceBranch || null,
+        violations: evaluation.violations,
+        timestamp: new Date()
+      });
+    }
+
+    throw new BranchProtectionError(message, evaluation.violations);
+  }
+
+  checkRequired(violations, required, check, rule, label) {
+    if (!required) {
+      return;
+    }
+    const state = this.getCheckState(check);
+    if (state === 'missing') {
+      violations.push({ rule, message: `${label} have not been run` });
+    } else if (state === 'failed') {
+      violations.push({ rule, message: `${label} have not passed` });
+    }
+  }
+
+  /**
+   * State of a check result from a step or service (passed, success or status fields)
+   * @param {Object|boolean} check - Check result
+   * @returns {string} passed, failed or missing
+   */
+  getCheckState(check) {
+    if (check === undefined || check === null) {
+      return 'missing';
+    }
+    if (typeof check === 'boolean') {
+      return check ? 'passed' : 'failed';
+    }
+    if (typeof check.passed === 'boolean') {
+      return check.passed ? 'passed' : 'failed';
+    }
+    if (typeof check.success === 'boolean') {
+      return check.success ? 'passed' : 'failed';
+    }
+    if (check.status) {
+      return check.status === 'passed' ? 'passed' : 'failed';
+    }
+    return 'missing';
+  }
+
+  createRule(pattern, definition) {
+    const protection = PROTECTION_LEVELS[definition.protection] ? definition.protection : 'medium';
+    const rule = { branch: pattern, protection, ...PROTECTION_LEVELS[protection] };
+    for (const field of RULE_FIELDS) {
+      if (definition[field] !== undefined) {
+        rule[field] = definition[field];
+      }
+    }
+    return rule;
+  }
+
+  getRuntimeRules(projectPath) {
+    const rules = this.runtimeRules.get(projectPath);
+    return rules ? Object.fromEntries(rules) : {};
+  }
+
+  /**
+   * Exact branch names win over globs; among globs the longest pattern wins
+   */
+  findMatchingPattern(rules, branch) {
+    if (Object.prototype.hasOwnProperty.call(rules, branch)) {
+      return branch;
+    }
+    return Object.keys(rules)
+      .filter(pattern => pattern.includes('*') && this.matchesGlob(pattern, branch))
+      .sort((a, b) => b.length - a.length)[0] || null;
+  }
+
+  matchesGlob(pattern, branch) {
+    const source = pattern
+      .split('**')
+      .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+      .join('.*');
+    return new RegExp(`^${source}$`).test(branch);
+  }
+
+  /**
+   * Read the project policy file
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Object>} Branch pattern -> rule definition
+   */
+  async loadPolicy(projectPath) {
+    if (!projectPath) {
+      return {};
+    }
+
+    for (const file of POLICY_FILES) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(projectPath, file), 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      try {
+        const policy = (file.endsWith('.json') ? JSON.parse(content) : yaml.load(content)) || {};
+        const branches = policy.branches || {};
+        for (const [pattern, definition] of Object.entries(branches)) {
+          if (definition && definition.protection && !PROTECTION_LEVELS[definition.protection]) {
+            this.logger.warn(`Unknown protection level ${definition.protection} for ${pattern} in ${file}, using medium`);
+          }
+        }
+        return branches;
+      } catch (error) {
+        this.logger.warn(`Invalid branch protection file ${file}: ${error.message}`);
+        return {};
+      }
+    }
+
+    return {};
+  }
+
+  async readCurrentBranch(projectPath) {
+    try {
+      const { stdout } = await this.runGit(['rev-parse', '--abbrev-ref', 'HEAD'], projectPath);
+      return stdout.trim() || null;
+    } catch (error) {
+      this.logger.warn(`Could not read the current branch: ${error.message}`, { projectPath });
+      return null;
+    }
+  }
+
+  /**
+   * Changed lines (added + deleted) the source branch brings into the target
+   * @returns {Promise<number|null>} Line count, null when the diff cannot be computed
+   */
+  async measureDiff(projectPath, targetBranch, sourceBranch) {
+    try {
+      const { stdout } = await this.runGit(['diff', '--numstat', `${targetBranch}...${sourceBranch}`], projectPath);
+      return stdout.split('\n').filter(Boolean).reduce((total, line) => {
+        const [added, deleted] = line.split('\t');
+        // Binary files are reported as "-"
+        return total + (parseInt(added, 10) || 0) + (parseInt(deleted, 10) || 0);
+      }, 0);
+    } catch (error) {
+      this.logger.warn(`Could not measure the diff of ${sourceBranch} into ${targetBranch}: ${error.message}`, { projectPath });
+      return null;
+    }
+  }
+}
+
+BranchProtectionService.POLICY_FILES = POLICY_FILES;
+BranchProtectionService.PROTECTION_LEVELS = PROTECTION_LEVELS;
+
+module.exports = BranchProtectionService;
+module.exports.BranchProtectionError = BranchProtectionError;
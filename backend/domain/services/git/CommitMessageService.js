@@ -0,0 +1,367 @@
+/**
+ * CommitMessageService - Conventional Commit messages and merge strategy for task branches
+ * Builds "type(scope): description" messages from the diff (GitService.getDiff) and the task,
+ * optionally lets the AI write them, and ties every message to its task with a Task-ID trailer
+ *
+ * Project settings (.pidea/git.json, .yml or .yaml):
+ *   mergeStrategy: merge             # merge, squash or rebase for task branches
+ *   commitMessages:
+ *     conventional: false            # generate Conventional Commit messages
+ *     ai: false                      # let the AI in the IDE write them (falls back to the template)
+ *     trailers: false                # add the Task-ID trailer (defaults to the conventional setting)
+ * Everything is opt-in: without settings, task branches are merged and commit messages stay as given.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const ServiceLogger = require('@logging/ServiceLogger');
+const SemanticVersioningService = require('@domain/services/version/SemanticVersioningService');
+
+const SETTINGS_FILES = ['.pidea/git.json', '.pidea/git.yml', '.pidea/git.yaml'];
+
+const MERGE_STRATEGIES = ['squash', 'rebase', 'merge'];
+
+const DEFAULT_SETTINGS = {
+  mergeStrategy: 'merge',
+  conventional: false,
+  ai: false,
+  trailers: false
+};
+
+// Task type -> Conventional Commit type
+const TASK_TYPES = {
+  feature: 'feat',
+  enhancement: 'feat',
+  improvement: 'feat',
+  bug: 'fix',
+  fix: 'fix',
+  hotfix: 'fix',
+  refactor: 'refactor',
+  refactoring: 'refactor',
+  optimization: 'perf',
+  performance: 'perf',
+  documentation: 'docs',
+  docs: 'docs',
+  test: 'test',
+  testing: 'test',
+  chore: 'chore'
+};
+
+const TASK_TRAILER = 'Task-ID';
+const MAX_HEADER_LENGTH = 72;
+const MAX_LISTED_FILES = 10;
+const MAX_AI_DIFF_LENGTH = 8000;
+const AI_RESPONSE_TIMEOUT = 120000;
+
+class CommitMessageService {
+  constructor(dependencies = {}) {
+    this.logger = new ServiceLogger('CommitMessageService');
+    this.gitService = dependencies.gitService || null;
+    // The AI is asked through the IDE chat, like every other prompt of a workflow
+    this.stepRegistry = dependencies.stepRegistry || null;
+    this.ideManager = dependencies.ideManager || null;
+    this.semanticVersioning = dependencies.semanticVersioning || new SemanticVersioningService();
+  }
+
+  /**
+   * Read the project settings
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Object>} { mergeStrategy, conventional, ai, trailers }
+   */
+  async loadSettings(projectPath) {
+    if (!projectPath) {
+      return { ...DEFAULT_SETTINGS };
+    }
+
+    for (const file of SETTINGS_FILES) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(projectPath, file), 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      try {
+        const config = (file.endsWith('.json') ? JSON.parse(content) : yaml.load(content)) || {};
+        const commitMessages = config.commitMessages || {};
+        const conventional = commitMessages.conventional !== undefined ? commitMessages.conventional !== false : DEFAULT_SETTINGS.conventional;
+        const settings = {
+          mergeStrategy: config.mergeStrategy || DEFAULT_SETTINGS.mergeStrategy,
+          conventional,
+          ai: commitMessages.ai === true,
+          // Projects using Conventional Commits get the trailer unless they turn it off
+          trailers: commitMessages.trailers !== undefined ? commitMessages.trailers !== false : conventional
+        };
+        if (!MERGE_STRATEGIES.includes(settings.mergeStrategy)) {
+          this.logger.warn(`Unknown merge strategy ${settings.mergeStrategy} in ${file}, using ${DEFAULT_SETTINGS.mergeStrategy}`);
+          settings.mergeStrategy = DEFAULT_SETTINGS.mergeStrategy;
+        }
+        return settings;
+      } catch (error) {
+        this.logger.warn(`Invalid git settings file ${file}: ${error.message}`);
+        return { ...DEFAULT_SETTINGS };
+      }
+    }
+
+    return { ...DEFAULT_SETTINGS };
+  }
+
+  /**
+   * Merge strategy for task branches of a project
+   * @param {string} projectPath - Project directory
+   * @param {string} requested - Explicit strategy, overrides the project setting
+   * @returns {Promise<string>} squash, rebase or merge
+   */
+  async getMergeStrategy(projectPath, requested = null) {
+    if (requested) {
+      if (!MERGE_STRATEGIES.includes(requested)) {
+        throw new Error(`Unknown merge strategy: ${requested} (expected ${MERGE_STRATEGIES.join(', ')})`);
+      }
+      return requested;
+    }
+    return (await this.loadSettings(projectPath)).mergeStrategy;
+  }
+
+  /**
+   * Generate the commit message of a change
+   * @param {string} projectPath - Project directory
+   * @param {Object} task - Task (id, title, description, type, metadata.breaking)
+   * @param {Object} options - diff (text, read with GitService.getDiff otherwise), staged (default true),
+   *   range ('main...task/x' for the changes of a branch), ai (overrides the project setting),
+   *   projectId, userId and port (IDE the AI is asked in, the active IDE otherwise)
+   * @returns {Promise<Object>} { message, type, scope, breaking, source ('ai' or 'template'), files }
+   */
+  async generateCommitMessage(projectPath, task = {}, options = {}) {
+    const settings = await this.loadSettings(projectPath);
+    const diff = options.diff !== undefined ? options.diff : await this.readDiff(projectPath, options);
+    const files = this.parseDiff(diff);
+
+    const type = this.inferType(task, files);
+    const scope = this.inferScope(files);
+    const breaking = Boolean(task.metadata && task.metadata.breaking);
+    const header = this.buildHeader(type, scope, breaking, this.buildDescription(task, files));
+    let message = [header, this.buildBody(files), breaking ? `BREAKING CHANGE: ${task.metadata.breakingChange || task.title || header}` : null]
+      .filter(Boolean)
+      .join('\n\n');
+    let source = 'template';
+
+    const useAI = options.ai !== undefined ? options.ai : settings.ai;
+    if (useAI && this.stepRegistry) {
+      const aiMessage = await this.requestAIMessage(task, files, diff, header, { ...options, projectPath });
+      if (aiMessage) {
+        message = aiMessage;
+        source = 'ai';
+      }
+    }
+
+    if (settings.trailers) {
+      message = this.addTrailers(message, task);
+    }
+
+    const parsed = this.semanticVersioning.parseConventionalCommit(message);
+    return {
+      message,
+      type: parsed ? parsed.type : type,
+      scope: parsed ? parsed.scope : scope,
+      breaking: parsed ? parsed.breaking : breaking,
+      source,
+      files
+    };
+  }
+
+  /**
+   * Append the trailers of a task to a message unless they are already present
+   * @param {string} message - Commit message
+   * @param {Object} task - Task with an id
+   * @returns {string} Message with trailers
+   */
+  addTrailers(message, task = {}) {
+    if (!task || !task.id) {
+      return message;
+    }
+    const trailer = `${TASK_TRAILER}: ${task.id}`;
+    if (message.split('\n').some(line => line.trim() === trailer)) {
+      return message;
+    }
+    // Trailers join an existing trailer block, otherwise they start a new paragraph
+    const lines = message.trimEnd().split('\n');
+    const lastLine = lines[lines.length - 1];
+    const separator = lines.length > 1 && /^([\w-]+|BREAKING CHANGE): /.test(lastLine) ? '\n' : '\n\n';
+    return `${message.trimEnd()}${separator}${trailer}`;
+  }
+
+  /**
+   * Changed files of a unified diff
+   * @param {string} diff - git diff output
+   * @returns {Array<Object>} [{ file, additions, deletions }]
+   */
+  parseDiff(diff) {
+    const files = [];
+    let current = null;
+    for (const line of String(diff || '').split('\n')) {
+      const header = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      if (header) {
+        current = { file: header[2], additions: 0, deletions: 0 };
+        files.push(current);
+      } else if (current && line.startsWith('+') && !line.startsWith('+++')) {
+        current.additions += 1;
+      } else if (current && line.startsWith('-') && !line.startsWith('---')) {
+        current.deletions += 1;
+      }
+    }
+    return files;
+  }
+
+  inferType(task, files) {
+    const taskType = String((task.type && task.type.value) || task.type || '').toLowerCase();
+    if (TASK_TYPES[taskType]) {
+      return TASK_TYPES[taskType];
+    }
+    if (taskType.startsWith('test')) {
+      return 'test';
+    }
+
+    // Without a known task type the changed files decide
+    if (files.length > 0) {
+      if (files.every(change => /(^|\/)(docs?)\/|\.md$/i.test(change.file))) {
+        return 'docs';
+      }
+      if (files.every(change => /(^|\/)(tests?|__tests__)\/|\.(test|spec)\.[jt]sx?$/i.test(change.file))) {
+        return 'test';
+      }
+      if (files.every(change => /(^|\/)(\.github|\.gitlab-ci)|(^|\/)package(-lock)?\.json$|(^|\/)Dockerfile$/i.test(change.file))) {
+        return 'build';
+      }
+    }
+    return 'chore';
+  }
+
+  /**
+   * Scope from the top-level directory all files share (backend, frontend), none otherwise
+   */
+  inferScope(files) {
+    const directories = new Set(files.map(change => (change.file.includes('/') ? change.file.split('/')[0] : null)));
+    if (directories.size !== 1) {
+      return null;
+    }
+    const [directory] = directories;
+    return directory && !directory.startsWith('.') ? directory.toLowerCase() : null;
+  }
+
+  buildDescription(task, files) {
+    let description = String(task.title || '').trim().replace(/\.$/, '');
+    if (!description) {
+      description = files.length === 1 ? `update ${files[0].file}` : `update ${files.length} files`;
+    }
+    // Lowercase the first word unless it is an acronym (API, UI)
+    if (!/^[A-Z]{2,}/.test(description)) {
+      description = description.charAt(0).toLowerCase() + description.slice(1);
+    }
+    return description;
+  }
+
+  buildHeader(type, scope, breaking, description) {
+    const prefix = `${type}${scope ? `(${scope})` : ''}${breaking ? '!' : ''}: `;
+    const header = prefix + description;
+    return header.length <= MAX_HEADER_LENGTH ? header : `${header.slice(0, MAX_HEADER_LENGTH - 3).trimEnd()}...`;
+  }
+
+  buildBody(files) {
+    if (files.length === 0) {
+      return null;
+    }
+    const lines = files.slice(0, MAX_LISTED_FILES).map(change => `- ${change.file} (+${change.additions} -${change.deletions})`);
+    if (files.length > MAX_LISTED_FILES) {
+      lines.push(`- and ${files.length - MAX_LISTED_FILES} more files`);
+    }
+    return lines.join('\n');
+  }
+
+  async readDiff(projectPath, options = {}) {
+    if (!this.gitService) {
+      return '';
+    }
+    try {
+      if (options.range) {
+        return await this.gitService.getDiff(projectPath, { commit1: options.range });
+      }
+      return await this.gitService.getDiff(projectPath, { staged: options.staged !== false });
+    } catch (error) {
+      this.logger.warn(`Could not read the diff: ${error.message}`, { projectPath });
+      return '';
+    }
+  }
+
+  /**
+   * Ask the AI in the IDE for a message; answers that are not Conventional Commits are discarded
+   * @param {Object} options - projectId, userId, port and projectPath of the request
+   * @returns {Promise<string|null>} Message
+   */
+  async requestAIMessage(task, files, diff, suggestedHeader, options = {}) {
+    const port = options.port || (this.ideManager ? this.ideManager.getActivePort() : null);
+    if (!port) {
+      this.logger.warn('No IDE to ask for the commit message, using the template');
+      return null;
+    }
+
+    try {
+      const stepResult = await this.stepRegistry.executeStep('IDESendMessageStep', {
+        projectId: options.projectId || task.projectId,
+        userId: options.userId || task.userId || 'system',
+        workspacePath: options.projectPath,
+        taskId: task.id,
+        workflowStep: 'commit-message',
+        message: this.buildAIPrompt(task, files, diff, suggestedHeader),
+        waitForResponse: true,
+        timeout: AI_RESPONSE_TIMEOUT,
+        activeIDE: { port }
+      });
+      const result = stepResult && stepResult.result;
+      if (!stepResult || stepResult.success === false || !result || result.success === false) {
+        throw new Error((result && result.error) || (stepResult && stepResult.error) || 'IDE did not accept the prompt');
+      }
+      const aiResponse = result.aiResponse || {};
+      if (aiResponse.success === false) {
+        throw new Error(aiResponse.error || 'No AI response');
+      }
+
+      const content = String(aiResponse.response || '')
+        .replace(/^```[\w-]*\n?|```\s*$/g, '')
+        .trim();
+      const parsed = this.semanticVersioning.parseConventionalCommit(content);
+      if (!parsed || content.split('\n')[0].length > MAX_HEADER_LENGTH) {
+        this.logger.warn('AI commit message is not a Conventional Commit, using the template');
+        return null;
+      }
+      return content;
+    } catch (error) {
+      this.logger.warn(`AI commit message failed, using the template: ${error.message}`);
+      return null;
+    }
+  }
+
+  buildAIPrompt(task, files, diff, suggestedHeader) {
+    return [
+      'Write a git commit message for these changes following the Conventional Commits specification.',
+      `Reply with the message only: a header "type(scope): description" of at most ${MAX_HEADER_LENGTH} characters, a blank line and a short body.`,
+      'Use the types feat, fix, perf, refactor, docs, test, build, ci or chore and mark breaking changes with "!" after the type.',
+      '',
+      `Task: ${task.title || ''} (${String((task.type && task.type.value) || task.type || 'task')})`,
+      `Task description: ${String(task.description || '').slice(0, 1000)}`,
+      `Suggested header: ${suggestedHeader}`,
+      '',
+      'Changed files:',
+      this.buildBody(files) || '(none)',
+      '',
+      'Diff:',
+      String(diff || '').slice(0, MAX_AI_DIFF_LENGTH)
+    ].join('\n');
+  }
+}
+
+CommitMessageService.SETTINGS_FILES = SETTINGS_FILES;
+CommitMessageService.MERGE_STRATEGIES = MERGE_STRATEGIES;
+CommitMessageService.TASK_TRAILER = TASK_TRAILER;
+
+module.exports = CommitMessageService;
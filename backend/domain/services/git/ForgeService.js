@@ -0,0 +1,367 @@
+/**
+ * ForgeService - Domain service for pull/merge requests on the project's forge
+ * Opens pull requests from task branches through the GitHub, GitLab or Gitea API and
+ * records the pull request URL and status on the task
+ *
+ * Forge settings are stored per project in project.config.forge:
+ *   { provider, baseUrl, repository, token, tokenEnv, remote, targetBranch, labels, reviewers, push }
+ * provider, baseUrl and repository default to values derived from the git remote; the token
+ * defaults to the environment variable tokenEnv, then GITHUB_TOKEN / GITLAB_TOKEN / GITEA_TOKEN.
+ */
+
+const { execFile } = require('child_process');
+const util = require('util');
+const ServiceLogger = require('@logging/ServiceLogger');
+const ForgeProviderFactory = require('@infrastructure/external/forge/ForgeProviderFactory');
+
+const execFileAsync = util.promisify(execFile);
+
+// Custom error classes for strict error handling
+class ForgeValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ForgeValidationError';
+    this.code = 'ForgeValidationError';
+  }
+}
+
+class ForgeNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ForgeNotFoundError';
+    this.code = 'ForgeNotFoundError';
+  }
+}
+
+const DEFAULT_TOKEN_ENV = {
+  github: 'GITHUB_TOKEN',
+  gitlab: 'GITLAB_TOKEN',
+  gitea: 'GITEA_TOKEN'
+};
+
+const SETTING_KEYS = ['provider', 'baseUrl', 'repository', 'token', 'tokenEnv', 'remote', 'targetBranch', 'labels', 'reviewers', 'push'];
+
+class ForgeService {
+  constructor(dependencies = {}) {
+    this.logger = new ServiceLogger('ForgeService');
+    this.projectRepository = dependencies.projectRepository;
+    this.taskRepository = dependencies.taskRepository;
+    this.taskService = dependencies.taskService || null;
+    this.eventBus = dependencies.eventBus || null;
+    this.providerFactory = dependencies.providerFactory || new ForgeProviderFactory();
+    this.httpClient = dependencies.httpClient || null;
+    this.env = dependencies.env || process.env;
+    this.runGit = dependencies.runGit || ((args, cwd) => execFileAsync('git', args, { cwd }));
+
+    if (!this.projectRepository) {
+      throw new Error('ProjectRepository is required');
+    }
+  }
+
+  /**
+   * Forge settings of a project; the token is never returned
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} Settings with hasToken
+   */
+  async getSettings(projectId) {
+    const project = await this.getProject(projectId);
+    return this.toPublicSettings(this.getProjectSettings(project));
+  }
+
+  /**
+   * Update the forge settings of a project
+   * A token of null removes the stored token, an omitted token keeps it
+   * @param {string} projectId - Project ID
+   * @param {Object} updates - Settings (see class doc)
+   * @returns {Promise<Object>} Settings with hasToken
+   */
+  async updateSettings(projectId, updates = {}) {
+    const project = await this.getProject(projectId);
+    if (typeof this.projectRepository.updateConfiguration !== 'function') {
+      throw new Error('Project repository cannot store forge settings');
+    }
+
+    const settings = { ...this.getProjectSettings(project) };
+    for (const key of SETTING_KEYS) {
+      if (updates[key] === undefined) {
+        continue;
+      }
+      if (updates[key] === null || updates[key] === '') {
+        delete settings[key];
+      } else {
+        settings[key] = updates[key];
+      }
+    }
+    this.validateSettings(settings);
+
+    await this.projectRepository.updateConfiguration(projectId, { ...(project.config || {}), forge: settings });
+    this.logger.info(`Updated forge settings of project ${projectId}`, { provider: settings.provider || 'auto' });
+    return this.toPublicSettings(settings);
+  }
+
+  /**
+   * Open a pull request from a task branch, or return the open one of the same branches
+   * @param {string} projectId - Project ID
+   * @param {Object} options - { taskId | task, sourceBranch (default task/<id>), targetBranch,
+   *   title, description, labels, reviewers, push, projectPath }
+   * @returns {Promise<Object>} Normalized pull request with provider, repository, created and warnings
+   */
+  async createPullRequest(projectId, options = {}) {
+    const project = await this.getProject(projectId);
+    const projectPath = options.projectPath || project.workspacePath;
+    const settings = this.getProjectSettings(project);
+    const task = options.task || (options.taskId ? await this.getTask(options.taskId) : null);
+
+    const sourceBranch = options.sourceBranch || (task ? `task/${task.id}` : null);
+    const targetBranch = options.targetBranch || settings.targetBranch || 'main';
+    if (!sourceBranch) {
+      throw new ForgeValidationError('A source branch or task is required');
+    }
+    if (sourceBranch === targetBranch) {
+      throw new ForgeValidationError(`Source and target branch are both ${sourceBranch}`);
+    }
+
+    const forge = await this.resolveForge(settings, projectPath);
+
+    if (options.push !== undefined ? options.push : settings.push !== false) {
+      await this.pushBranch(projectPath, forge.remote, sourceBranch);
+    }
+
+    let pullRequest = await forge.provider.findOpenPullRequest(sourceBranch, targetBranch);
+    const created = !pullRequest;
+    if (!pullRequest) {
+      pullRequest = await forge.provider.createPullRequest({
+        title: options.title || (task ? task.title : `Merge ${sourceBranch} into ${targetBranch}`),
+        description: options.description || this.buildDescription(task, sourceBranch),
+        sourceBranch,
+        targetBranch
+      });
+    }
+
+    // Labels and reviewers are best effort: the pull request exists either way
+    const warnings = [];
+    const labels = this.unique([...(settings.labels || []), ...(options.labels || [])])
+      .filter(label => !pullRequest.labels.includes(label));
+    const reviewers = this.unique([...(settings.reviewers || []), ...(options.reviewers || [])])
+      .filter(reviewer => !pullRequest.reviewers.includes(reviewer));
+
+    if (labels.length > 0) {
+      try {
+        await forge.provider.addLabels(pullRequest.number, labels);
+        pullRequest.labels = [...pullRequest.labels, ...labels];
+      } catch (error) {
+        warnings.push(`Failed to add labels: ${error.message}`);
+      }
+    }
+    if (reviewers.length > 0) {
+      try {
+        await forge.provider.requestReviewers(pullRequest.number, reviewers);
+        pullRequest.reviewers = [...pullRequest.reviewers, ...reviewers];
+      } catch (error) {
+        warnings.push(`Failed to request reviewers: ${error.message}`);
+      }
+    }
+
+    const result = { ...pullRequest, provider: forge.type, repository: forge.repository, created, warnings };
+
+    if (task) {
+      await this.recordOnTask(task, result);
+    }
+
+    if (this.eventBus) {
+      this.eventBus.publish('pull_request.created', {
+        projectId,
+        taskId: task ? task.id : null,
+        provider: forge.type,
+        number: result.number,
+        url: result.url,
+        created,
+        timestamp: new Date()
+      });
+    }
+
+    this.logger.info(`${created ? 'Opened' : 'Found open'} pull request ${result.url}`, {
+      projectId,
+      taskId: task ? task.id : null,
+      warnings: warnings.length
+    });
+    return result;
+  }
+
+  /**
+   * Fetch the current status of a task's pull request and record it on the task
+   * @param {string} projectId - Project ID
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object>} Pull request as recorded on the task
+   */
+  async refreshPullRequestStatus(projectId, taskId) {
+    const project = await this.getProject(projectId);
+    const task = await this.getTask(taskId);
+    const recorded = task.metadata && task.metadata.pullRequest;
+    if (!recorded || !recorded.number) {
+      throw new ForgeNotFoundError(`Task ${taskId} has no pull request`);
+    }
+
+    const forge = await this.resolveForge(this.getProjectSettings(project), project.workspacePath);
+    const pullRequest = await forge.provider.getPullRequest(recorded.number);
+    return this.recordOnTask(task, { ...pullRequest, provider: forge.type, repository: forge.repository });
+  }
+
+  /**
+   * Provider client of a project's forge
+   * @param {Object} settings - Project forge settings
+   * @param {string} projectPath - Repository used to read the remote URL
+   * @returns {Promise<Object>} { provider, type, repository, baseUrl, remote }
+   */
+  async resolveForge(settings, projectPath) {
+    const remoteName = settings.remote || 'origin';
+    let type = settings.provider || null;
+    let baseUrl = settings.baseUrl || null;
+    let repository = settings.repository || null;
+
+    if (!type || !baseUrl || !repository) {
+      const remote = await this.readRemote(projectPath, remoteName);
+      if (!remote && (!type || !repository)) {
+        throw new ForgeValidationError(`Cannot derive the forge from remote ${remoteName}; configure provider and repository`);
+      }
+      if (remote) {
+        type = type || this.providerFactory.detectProvider(remote.host);
+        if (!type) {
+          throw new ForgeValidationError(`Unknown forge host ${remote.host}; configure the provider (${this.providerFactory.getAvailableProviders().join(', ')})`);
+        }
+        repository = repository || remote.repository;
+        baseUrl = baseUrl || this.providerFactory.getDefaultBaseUrl(type, remote);
+      }
+    }
+
+    const token = settings.token || (settings.tokenEnv && this.env[settings.tokenEnv]) || this.env[DEFAULT_TOKEN_ENV[type]] || null;
+    if (!token) {
+      throw new ForgeValidationError(`No ${type} token configured for the project`);
+    }
+
+    const provider = this.providerFactory.createProvider(type, {
+      ...(baseUrl ? { baseUrl } : {}),
+      repository,
+      token,
+      ...(this.httpClient ? { httpClient: this.httpClient } : {})
+    });
+    return { provider, type, repository: provider.repository, baseUrl: provider.baseUrl, remote: remoteName };
+  }
+
+  async readRemote(projectPath, remoteName) {
+    if (!projectPath) {
+      return null;
+    }
+    try {
+      const { stdout } = await this.runGit(['remote', 'get-url', remoteName], projectPath);
+      return this.providerFactory.parseRemoteUrl(stdout);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async pushBranch(projectPath, remoteName, branchName) {
+    if (!projectPath) {
+      throw new ForgeValidationError('Project path is required to push the source branch');
+    }
+    try {
+      await this.runGit(['push', '--set-upstream', remoteName, branchName], projectPath);
+    } catch (error) {
+      throw new Error(`Failed to push ${branchName} to ${remoteName}: ${(error.stderr || error.message).trim()}`);
+    }
+  }
+
+  async recordOnTask(task, pullRequest) {
+    const previous = (task.metadata && task.metadata.pullRequest) || {};
+    const now = new Date().toISOString();
+    const recorded = {
+      provider: pullRequest.provider,
+      repository: pullRequest.repository,
+      id: pullRequest.id,
+      number: pullRequest.number,
+      url: pullRequest.url,
+      status: pullRequest.state,
+      sourceBranch: pullRequest.sourceBranch,
+      targetBranch: pullRequest.targetBranch,
+      labels: pullRequest.labels,
+      reviewers: pullRequest.reviewers,
+      createdAt: previous.number === pullRequest.number && previous.createdAt ? previous.createdAt : now,
+      updatedAt: now
+    };
+
+    if (this.taskRepository) {
+      await this.taskRepository.update(task.id, { metadata: { ...(task.metadata || {}), pullRequest: recorded } });
+    }
+    return recorded;
+  }
+
+  buildDescription(task, sourceBranch) {
+    if (!task) {
+      return `Automated pull request from ${sourceBranch}`;
+    }
+    if (this.taskService && typeof this.taskService.buildMergeRequestDescription === 'function') {
+      return this.taskService.buildMergeRequestDescription(task);
+    }
+    return task.description || task.title;
+  }
+
+  getProjectSettings(project) {
+    return (project.config && project.config.forge) || {};
+  }
+
+  toPublicSettings(settings) {
+    const { token, ...rest } = settings;
+    return { ...rest, hasToken: Boolean(token) };
+  }
+
+  validateSettings(settings) {
+    if (settings.provider && !this.providerFactory.getAvailableProviders().includes(settings.provider)) {
+      throw new ForgeValidationError(`Unsupported forge provider: ${settings.provider} (expected ${this.providerFactory.getAvailableProviders().join(', ')})`);
+    }
+    if (settings.baseUrl) {
+      try {
+        const url = new URL(settings.baseUrl);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          throw new Error('unsupported protocol');
+        }
+      } catch (error) {
+        throw new ForgeValidationError(`Invalid forge base URL: ${settings.baseUrl}`);
+      }
+    }
+    for (const key of ['labels', 'reviewers']) {
+      if (settings[key] !== undefined && (!Array.isArray(settings[key]) || settings[key].some(value => typeof value !== 'string'))) {
+        throw new ForgeValidationError(`${key} must be a list of strings`);
+      }
+    }
+    if (settings.push !== undefined && typeof settings.push !== 'boolean') {
+      throw new ForgeValidationError('push must be a boolean');
+    }
+  }
+
+  async getProject(projectId) {
+    const project = await this.projectRepository.findById(projectId);
+    if (!project) {
+      throw new ForgeNotFoundError(`Project ${projectId} not found`);
+    }
+    return project;
+  }
+
+  async getTask(taskId) {
+    if (!this.taskRepository) {
+      throw new Error('TaskRepository is required');
+    }
+    const task = await this.taskRepository.findById(taskId);
+    if (!task) {
+      throw new ForgeNotFoundError(`Task ${taskId} not found`);
+    }
+    return task;
+  }
+
+  unique(values) {
+    return [...new Set(values.filter(Boolean))];
+  }
+}
+
+module.exports = ForgeService;
+module.exports.ForgeValidationError = ForgeValidationError;
+module.exports.ForgeNotFoundError = ForgeNotFoundError;
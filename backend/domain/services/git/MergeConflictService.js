@@ -0,0 +1,397 @@
+/**
+ * MergeConflictService - Detection and review of merge conflicts
+ * Lists the conflicted files of a merge in progress with their hunks, builds the prompt that asks the
+ * IDE chat to resolve them, re-checks the files afterwards and lets users accept or reject resolutions
+ *
+ * A conflicted file is, per merge:
+ *   conflicted - still contains conflict markers
+ *   resolved   - markers are gone, the resolution waits for review
+ *   accepted   - the resolution is staged (git add)
+ * Rejecting a resolution restores the conflict markers (git checkout --merge).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const util = require('util');
+const ServiceLogger = require('@logging/ServiceLogger');
+
+const execFileAsync = util.promisify(execFile);
+
+// Custom error classes for strict error handling
+class MergeConflictError extends Error {
+  constructor(message, conflicts = null) {
+    super(message);
+    this.name = 'MergeConflictError';
+    this.code = 'MergeConflictError';
+    this.conflicts = conflicts;
+  }
+}
+
+const MARKERS = {
+  ours: /^<{7}(?: (.*))?$/,
+  base: /^\|{7}(?: (.*))?$/,
+  separator: /^={7}$/,
+  theirs: /^>{7}(?: (.*))?$/
+};
+
+const FILE_STATUS = {
+  CONFLICTED: 'conflicted',
+  RESOLVED: 'resolved',
+  ACCEPTED: 'accepted'
+};
+
+const MAX_PROMPT_HUNK_LINES = 80;
+
+class MergeConflictService {
+  constructor(dependencies = {}) {
+    this.logger = new ServiceLogger('MergeConflictService');
+    this.eventBus = dependencies.eventBus || null;
+    this.runGit = dependencies.runGit || ((args, cwd) => execFileAsync('git', args, { cwd, maxBuffer: 10 * 1024 * 1024 }));
+    // projectPath -> Set(accepted files), accepted files are no longer reported as unmerged by git
+    this.accepted = new Map();
+  }
+
+  /**
+   * Conflicts of the merge in progress
+   * @param {string} projectPath - Repository path
+   * @returns {Promise<Object>} { inProgress, sourceBranch, targetBranch, files: [{ file, status, hunks, diff }], conflicted, resolved, accepted }
+   */
+  async detectConflicts(projectPath) {
+    const unmerged = await this.getUnmergedFiles(projectPath);
+    const mergeHead = await this.readMergeHead(projectPath);
+    const inProgress = Boolean(mergeHead) || unmerged.length > 0 || await this.hasSquashInProgress(projectPath);
+    if (!inProgress) {
+      // Merges committed or aborted outside the service leave no review state
+      this.accepted.delete(projectPath);
+    }
+    const accepted = this.accepted.get(projectPath) || new Set();
+
+    const files = [];
+    for (const file of unmerged) {
+      const content = await this.readFile(projectPath, file);
+      const hunks = this.parseHunks(content);
+      if (hunks.length > 0) {
+        files.push({ file, status: FILE_STATUS.CONFLICTED, hunks });
+      } else {
+        files.push({ file, status: FILE_STATUS.RESOLVED, hunks: [], diff: await this.readResolutionDiff(projectPath, file) });
+      }
+    }
+    for (const file of accepted) {
+      if (!unmerged.includes(file)) {
+        files.push({ file, status: FILE_STATUS.ACCEPTED, hunks: [] });
+      }
+    }
+
+    const count = status => files.filter(entry => entry.status === status).length;
+    return {
+      inProgress,
+      sourceBranch: await this.readSourceBranch(projectPath),
+      targetBranch: await this.readCurrentBranch(projectPath),
+      mergeHead,
+      files,
+      conflicted: count(FILE_STATUS.CONFLICTED),
+      resolved: count(FILE_STATUS.RESOLVED),
+      accepted: count(FILE_STATUS.ACCEPTED)
+    };
+  }
+
+  /**
+   * Conflict hunks of a file
+   * @param {string} content - File content with conflict markers
+   * @returns {Array<Object>} [{ index, startLine, endLine, oursLabel, theirsLabel, ours, base, theirs }], lines are 1-based
+   */
+  parseHunks(content) {
+    const hunks = [];
+    let hunk = null;
+    let section = null;
+
+    String(content || '').split('\n').forEach((line, lineIndex) => {
+      let match;
+      if ((match = line.match(MARKERS.ours))) {
+        hunk = { index: hunks.length, startLine: lineIndex + 1, endLine: null, oursLabel: match[1] || null, theirsLabel: null, ours: [], base: null, theirs: [] };
+        section = 'ours';
+      } else if (!hunk) {
+        return;
+      } else if (section === 'ours' && MARKERS.base.test(line)) {
+        hunk.base = [];
+        section = 'base';
+      } else if ((section === 'ours' || section === 'base') && MARKERS.separator.test(line)) {
+        section = 'theirs';
+      } else if (section === 'theirs' && (match = line.match(MARKERS.theirs))) {
+        hunk.endLine = lineIndex + 1;
+        hunk.theirsLabel = match[1] || null;
+        hunks.push({
+          ...hunk,
+          ours: hunk.ours.join('\n'),
+          base: hunk.base ? hunk.base.join('\n') : null,
+          theirs: hunk.theirs.join('\n')
+        });
+        hunk = null;
+        section = null;
+      } else {
+        hunk[section].push(line);
+      }
+    });
+
+    return hunks;
+  }
+
+  /**
+   * Structured prompt asking the IDE chat to resolve the conflicts in place
+   * @param {Object} conflicts - Result of detectConflicts
+   * @param {Object} options - task ({ id, title }), instructions (extra project guidance)
+   * @returns {string} Prompt
+   */
+  buildResolutionPrompt(conflicts, options = {}) {
+    const conflicted = conflicts.files.filter(entry => entry.status === FILE_STATUS.CONFLICTED);
+    const lines = [
+      '# Resolve merge conflicts',
+      '',
+      `Merging \`${conflicts.sourceBranch || 'the source branch'}\` into \`${conflicts.targetBranch || 'the current branch'}\` stopped with conflicts in ${conflicted.length} file(s).`
+    ];
+    if (options.task && options.task.title) {
+      lines.push(`The source branch implements task ${options.task.id ? `${options.task.id} ` : ''}"${options.task.title}".`);
+    }
+    lines.push(
+      '',
+      '## Instructions',
+      '- Edit each file listed below in the workspace and resolve every hunk.',
+      '- Keep the intent of both sides; prefer the source branch where both changed the same logic.',
+      '- Remove all conflict markers (<<<<<<<, |||||||, =======, >>>>>>>).',
+      '- Do not run git commands; the resolution is staged and committed after review.',
+      '- Reply with one line per file describing how you resolved it.'
+    );
+    if (options.instructions) {
+      lines.push(`- ${options.instructions}`);
+    }
+
+    for (const entry of conflicted) {
+      lines.push('', `## ${entry.file}`);
+      for (const hunk of entry.hunks) {
+        lines.push(
+          '',
+          `### Hunk ${hunk.index + 1} (lines ${hunk.startLine}-${hunk.endLine})`,
+          `Current (${hunk.oursLabel || conflicts.targetBranch || 'ours'}):`,
+          '```',
+          this.truncate(hunk.ours),
+          '```'
+        );
+        if (hunk.base !== null) {
+          lines.push('Common ancestor:', '```', this.truncate(hunk.base), '```');
+        }
+        lines.push(`Incoming (${hunk.theirsLabel || conflicts.sourceBranch || 'theirs'}):`, '```', this.truncate(hunk.theirs), '```');
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Re-check the conflicts after a resolution attempt
+   * @param {string} projectPath - Repository path
+   * @returns {Promise<Object>} { resolved, remaining: [file], awaitingReview: [file], conflicts }
+   */
+  async recheck(projectPath) {
+    const conflicts = await this.detectConflicts(projectPath);
+    const filesWith = status => conflicts.files.filter(entry => entry.status === status).map(entry => entry.file);
+    return {
+      resolved: conflicts.conflicted === 0,
+      remaining: filesWith(FILE_STATUS.CONFLICTED),
+      awaitingReview: filesWith(FILE_STATUS.RESOLVED),
+      conflicts
+    };
+  }
+
+  /**
+   * Accept resolutions by staging them
+   * @param {string} projectPath - Repository path
+   * @param {Array<string>} files - Files to accept, all resolved files when empty
+   * @returns {Promise<Array<string>>} Accepted files
+   */
+  async acceptResolution(projectPath, files = []) {
+    const conflicts = await this.detectConflicts(projectPath);
+    const targets = this.selectFiles(conflicts, files, FILE_STATUS.RESOLVED);
+
+    if (targets.length > 0) {
+      await this.runGit(['add', '--', ...targets], projectPath);
+      const accepted = this.accepted.get(projectPath) || new Set();
+      targets.forEach(file => accepted.add(file));
+      this.accepted.set(projectPath, accepted);
+      this.logger.info(`Accepted resolutions of ${targets.length} file(s)`, { projectPath, files: targets });
+    }
+    return targets;
+  }
+
+  /**
+   * Reject resolutions and restore their conflict markers
+   * @param {string} projectPath - Repository path
+   * @param {Array<string>} files - Files to reject, all resolved files when empty
+   * @returns {Promise<Array<string>>} Rejected files
+   */
+  async rejectResolution(projectPath, files = []) {
+    const conflicts = await this.detectConflicts(projectPath);
+    const targets = this.selectFiles(conflicts, files, FILE_STATUS.RESOLVED);
+
+    if (targets.length > 0) {
+      await this.runGit(['checkout', '--merge', '--', ...targets], projectPath);
+      this.logger.info(`Rejected resolutions of ${targets.length} file(s)`, { projectPath, files: targets });
+    }
+    return targets;
+  }
+
+  /**
+   * Commit the merge once every file is accepted
+   * @param {string} projectPath - Repository path
+   * @param {Object} options - message (defaults to the message git prepared)
+   * @returns {Promise<Object>} { commit, files }
+   */
+  async completeMerge(projectPath, options = {}) {
+    const conflicts = await this.detectConflicts(projectPath);
+    if (!conflicts.inProgress) {
+      throw new MergeConflictError('No merge in progress', conflicts);
+    }
+    const open = conflicts.files.filter(entry => entry.status !== FILE_STATUS.ACCEPTED);
+    if (open.length > 0) {
+      throw new MergeConflictError(`Cannot complete the merge, ${open.length} file(s) are not accepted: ${open.map(entry => entry.file).join(', ')}`, conflicts);
+    }
+
+    await this.runGit(options.message ? ['commit', '-m', options.message] : ['commit', '--no-edit'], projectPath);
+    const { stdout } = await this.runGit(['rev-parse', 'HEAD'], projectPath);
+    this.accepted.delete(projectPath);
+
+    const result = { commit: stdout.trim(), files: conflicts.files.map(entry => entry.file) };
+    this.publish('git.merge.conflicts.resolved', {
+      projectPath,
+      sourceBranch: conflicts.sourceBranch,
+      targetBranch: conflicts.targetBranch,
+      ...result
+    });
+    return result;
+  }
+
+  /**
+   * Abort the merge in progress and restore the target branch
+   * @param {string} projectPath - Repository path
+   */
+  async abortMerge(projectPath) {
+    const mergeHead = await this.readMergeHead(projectPath);
+    // Squash merges leave conflicts without MERGE_HEAD
+    await this.runGit(mergeHead ? ['merge', '--abort'] : ['reset', '--merge'], projectPath);
+    this.accepted.delete(projectPath);
+    this.publish('git.merge.conflicts.aborted', { projectPath });
+  }
+
+  /**
+   * Throw a MergeConflictError when the repository has unmerged files
+   * @param {string} projectPath - Repository path
+   * @param {string} message - Error message prefix
+   */
+  async assertNoConflicts(projectPath, message = 'Merge stopped with conflicts') {
+    const conflicts = await this.detectConflicts(projectPath);
+    const open = conflicts.files.filter(entry => entry.status !== FILE_STATUS.ACCEPTED);
+    if (open.length > 0) {
+      throw new MergeConflictError(`${message} in ${open.map(entry => entry.file).join(', ')}`, conflicts);
+    }
+    return conflicts;
+  }
+
+  async getUnmergedFiles(projectPath) {
+    const { stdout } = await this.runGit(['diff', '--name-only', '--diff-filter=U'], projectPath);
+    return [...new Set(stdout.split('\n').map(line => line.trim()).filter(Boolean))];
+  }
+
+  selectFiles(conflicts, files, status) {
+    const candidates = conflicts.files.filter(entry => entry.status === status).map(entry => entry.file);
+    if (!files || files.length === 0) {
+      return candidates;
+    }
+    const unknown = files.filter(file => !candidates.includes(file));
+    if (unknown.length > 0) {
+      const conflicted = unknown.filter(file => conflicts.files.some(entry => entry.file === file && entry.status === FILE_STATUS.CONFLICTED));
+      throw new MergeConflictError(conflicted.length > 0
+        ? `Files still contain conflict markers: ${conflicted.join(', ')}`
+        : `Files have no resolution to review: ${unknown.join(', ')}`, conflicts);
+    }
+    return files;
+  }
+
+  async readFile(projectPath, file) {
+    try {
+      return await fs.readFile(path.join(projectPath, file), 'utf8');
+    } catch (error) {
+      // Deleted on one side: nothing to parse, the file is resolved by deciding on the deletion
+      return '';
+    }
+  }
+
+  async readResolutionDiff(projectPath, file) {
+    try {
+      const { stdout } = await this.runGit(['diff', 'HEAD', '--', file], projectPath);
+      return stdout;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async readMergeHead(projectPath) {
+    try {
+      const { stdout } = await this.runGit(['rev-parse', '-q', '--verify', 'MERGE_HEAD'], projectPath);
+      return stdout.trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async hasSquashInProgress(projectPath) {
+    try {
+      const { stdout } = await this.runGit(['rev-parse', '--git-path', 'SQUASH_MSG'], projectPath);
+      await fs.access(path.resolve(projectPath, stdout.trim()));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async readCurrentBranch(projectPath) {
+    try {
+      const { stdout } = await this.runGit(['rev-parse', '--abbrev-ref', 'HEAD'], projectPath);
+      return stdout.trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Source branch from the message git prepared for the merge ("Merge branch 'task/x' into pidea-agent")
+   */
+  async readSourceBranch(projectPath) {
+    try {
+      const { stdout } = await this.runGit(['rev-parse', '--git-path', 'MERGE_MSG'], projectPath);
+      const message = await fs.readFile(path.resolve(projectPath, stdout.trim()), 'utf8');
+      const match = message.match(/^Merge (?:remote-tracking )?branch '([^']+)'/m);
+      return match ? match[1] : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  truncate(text) {
+    const lines = String(text).split('\n');
+    if (lines.length <= MAX_PROMPT_HUNK_LINES) {
+      return text;
+    }
+    return [...lines.slice(0, MAX_PROMPT_HUNK_LINES), `... ${lines.length - MAX_PROMPT_HUNK_LINES} more lines`].join('\n');
+  }
+
+  publish(event, data) {
+    if (this.eventBus) {
+      this.eventBus.publish(event, { ...data, timestamp: new Date() });
+    }
+  }
+}
+
+MergeConflictService.FILE_STATUS = FILE_STATUS;
+
+module.exports = MergeConflictService;
+module.exports.MergeConflictError = MergeConflictError;
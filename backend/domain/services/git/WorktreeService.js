@@ -0,0 +1,304 @@
+/**
+ * WorktreeService - Isolated git worktrees for task execution
+ * Every task gets its own worktree (branch task/<id>) under a managed directory, so workflows never
+ * check out branches in the user's working copy and several tasks of a project can run at once
+ *
+ * Project settings (.pidea/git.json, .yml or .yaml):
+ *   worktrees:
+ *     enabled: false                 # run tasks in worktrees by default
+ *     directory: ../.pidea-worktrees # managed directory, relative to the project
+ * Worktrees live in <directory>/<project name>/<task id>; the default directory is a sibling of the
+ * project so worktrees never show up as untracked files of the working copy.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const util = require('util');
+const yaml = require('js-yaml');
+const ServiceLogger = require('@logging/ServiceLogger');
+const CommitMessageService = require('@domain/services/git/CommitMessageService');
+
+const execFileAsync = util.promisify(execFile);
+
+// Custom error classes for strict error handling
+class WorktreeError extends Error {
+  constructor(message, code = 'WorktreeError') {
+    super(message);
+    this.name = 'WorktreeError';
+    this.code = code;
+  }
+}
+
+const DEFAULT_DIRECTORY = '../.pidea-worktrees';
+const DEFAULT_START_POINTS = ['pidea-agent', 'HEAD'];
+
+class WorktreeService {
+  constructor(dependencies = {}) {
+    this.logger = new ServiceLogger('WorktreeService');
+    this.eventBus = dependencies.eventBus || null;
+    this.runGit = dependencies.runGit || ((args, cwd) => execFileAsync('git', args, { cwd, maxBuffer: 10 * 1024 * 1024 }));
+    // worktree path -> { port, previousWorkspace } of the IDE pointed at it
+    this.ideAssignments = new Map();
+  }
+
+  /**
+   * Read the worktree settings of a project
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Object>} { enabled, directory }
+   */
+  async loadSettings(projectPath) {
+    const defaults = { enabled: false, directory: DEFAULT_DIRECTORY };
+    if (!projectPath) {
+      return defaults;
+    }
+
+    for (const file of CommitMessageService.SETTINGS_FILES) {
+      let content;
+      try {
+        content = await fs.readFile(path.join(projectPath, file), 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      try {
+        const config = (file.endsWith('.json') ? JSON.parse(content) : yaml.load(content)) || {};
+        const worktrees = config.worktrees || {};
+        return {
+          enabled: worktrees.enabled === true,
+          directory: worktrees.directory || DEFAULT_DIRECTORY
+        };
+      } catch (error) {
+        this.logger.warn(`Invalid git settings file ${file}: ${error.message}`);
+        return defaults;
+      }
+    }
+
+    return defaults;
+  }
+
+  /**
+   * Whether tasks of a project run in worktrees
+   * @param {string} projectPath - Project directory
+   * @param {boolean} requested - Explicit choice of the task execution, overrides the project setting
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(projectPath, requested = undefined) {
+    if (requested !== undefined && requested !== null) {
+      return requested === true || requested === 'true';
+    }
+    return (await this.loadSettings(projectPath)).enabled;
+  }
+
+  /**
+   * Managed directory holding the worktrees of a project
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<string>} Absolute directory
+   */
+  async getRootDirectory(projectPath) {
+    const settings = await this.loadSettings(projectPath);
+    const projectRoot = path.resolve(projectPath);
+    return path.join(path.resolve(projectRoot, settings.directory), path.basename(projectRoot));
+  }
+
+  /**
+   * Create the worktree of a task, or return the existing one (retries and failovers reuse it)
+   * @param {string} projectPath - Main working copy
+   * @param {string} taskId - Task ID
+   * @param {Object} options - branchName (task/<id> by default), startPoint of a new branch (falls back
+   *   to pidea-agent, then HEAD, when it does not exist)
+   * @returns {Promise<Object>} Worktree { taskId, path, branch, head, projectPath }
+   */
+  async createWorktree(projectPath, taskId, options = {}) {
+    if (!taskId) {
+      throw new WorktreeError('Task ID is required to create a worktree', 'WORKTREE_TASK_REQUIRED');
+    }
+
+    const existing = await this.getWorktree(projectPath, taskId);
+    if (existing) {
+      this.logger.info(`Reusing worktree of task ${taskId}`, { path: existing.path });
+      return existing;
+    }
+
+    const branchName = options.branchName || `task/${taskId}`;
+    const worktreePath = path.join(await this.getRootDirectory(projectPath), this.toDirectoryName(taskId));
+    await fs.mkdir(path.dirname(worktreePath), { recursive: true });
+
+    if (await this.branchExists(projectPath, branchName)) {
+      await this.runGit(['worktree', 'add', worktreePath, branchName], projectPath);
+    } else {
+      const startPoint = await this.findStartPoint(projectPath, options.startPoint);
+      await this.runGit(['worktree', 'add', '-b', branchName, worktreePath, startPoint], projectPath);
+    }
+
+    const worktree = await this.getWorktree(projectPath, taskId);
+    this.logger.info(`Created worktree of task ${taskId} on ${branchName}`, { path: worktreePath });
+    this.publish('git.worktree.created', { projectPath, taskId, path: worktreePath, branch: branchName });
+    return worktree;
+  }
+
+  /**
+   * Worktrees in the managed directory of a project
+   * @param {string} projectPath - Main working copy
+   * @returns {Promise<Array<Object>>} [{ taskId, path, branch, head, locked, prunable, projectPath, port }]
+   */
+  async listWorktrees(projectPath) {
+    const root = await this.getRootDirectory(projectPath);
+    const { stdout } = await this.runGit(['worktree', 'list', '--porcelain'], projectPath);
+
+    return this.parseWorktreeList(stdout)
+      .filter(entry => path.dirname(entry.path) === root)
+      .map(entry => {
+        const assignment = this.ideAssignments.get(entry.path);
+        return {
+          ...entry,
+          taskId: path.basename(entry.path),
+          projectPath,
+          port: assignment ? assignment.port : null
+        };
+      });
+  }
+
+  /**
+   * Worktree of a task
+   * @param {string} projectPath - Main working copy
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Object|null>} Worktree
+   */
+  async getWorktree(projectPath, taskId) {
+    if (!projectPath || !taskId) {
+      return null;
+    }
+    const worktrees = await this.listWorktrees(projectPath);
+    return worktrees.find(entry => entry.taskId === this.toDirectoryName(taskId)) || null;
+  }
+
+  /**
+   * Remember the IDE pointed at a worktree and the workspace it had before
+   */
+  assignIDE(worktreePath, port, previousWorkspace) {
+    this.ideAssignments.set(worktreePath, { port, previousWorkspace });
+  }
+
+  getIDEAssignment(worktreePath) {
+    return this.ideAssignments.get(worktreePath) || null;
+  }
+
+  unassignIDE(worktreePath) {
+    this.ideAssignments.delete(worktreePath);
+  }
+
+  /**
+   * Whether a worktree has no uncommitted changes and no merge in progress
+   * @param {string} worktreePath - Worktree directory
+   * @returns {Promise<boolean>}
+   */
+  async isClean(worktreePath) {
+    const { stdout } = await this.runGit(['status', '--porcelain'], worktreePath);
+    if (stdout.trim()) {
+      return false;
+    }
+    try {
+      await this.runGit(['rev-parse', '-q', '--verify', 'MERGE_HEAD'], worktreePath);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Remove the worktree of a task; its branch is kept
+   * @param {string} projectPath - Main working copy
+   * @param {string} taskId - Task ID
+   * @param {Object} options - force (discard uncommitted changes and merges in progress)
+   * @returns {Promise<Object|null>} Removed worktree, null when the task has none
+   * @throws {WorktreeError} When the worktree has changes and force is not set
+   */
+  async removeWorktree(projectPath, taskId, options = {}) {
+    const worktree = await this.getWorktree(projectPath, taskId);
+    if (!worktree) {
+      return null;
+    }
+
+    if (!options.force && !worktree.prunable && !(await this.isClean(worktree.path))) {
+      throw new WorktreeError(`Worktree of task ${taskId} has uncommitted changes or a merge in progress`, 'WORKTREE_DIRTY');
+    }
+
+    await this.runGit(['worktree', 'remove', ...(options.force ? ['--force'] : []), worktree.path], projectPath)
+      .catch(error => {
+        // A worktree directory deleted by hand only needs pruning
+        if (!worktree.prunable) {
+          throw error;
+        }
+      });
+    await this.runGit(['worktree', 'prune'], projectPath);
+    this.ideAssignments.delete(worktree.path);
+
+    this.logger.info(`Removed worktree of task ${taskId}`, { path: worktree.path, force: Boolean(options.force) });
+    this.publish('git.worktree.removed', { projectPath, taskId, path: worktree.path, branch: worktree.branch });
+    return worktree;
+  }
+
+  /**
+   * Entries of `git worktree list --porcelain`
+   * @param {string} output - Command output
+   * @returns {Array<Object>} [{ path, head, branch, locked, prunable }]
+   */
+  parseWorktreeList(output) {
+    return String(output || '')
+      .split(/\n\s*\n/)
+      .map(block => block.trim())
+      .filter(Boolean)
+      .map(block => {
+        const entry = { path: null, head: null, branch: null, locked: false, prunable: false };
+        for (const line of block.split('\n')) {
+          const [key, ...rest] = line.split(' ');
+          const value = rest.join(' ');
+          if (key === 'worktree') entry.path = path.resolve(value);
+          if (key === 'HEAD') entry.head = value;
+          if (key === 'branch') entry.branch = value.replace(/^refs\/heads\//, '');
+          if (key === 'locked') entry.locked = true;
+          if (key === 'prunable') entry.prunable = true;
+        }
+        return entry;
+      })
+      .filter(entry => entry.path);
+  }
+
+  async branchExists(projectPath, branchName) {
+    return this.revisionExists(projectPath, `refs/heads/${branchName}`);
+  }
+
+  async revisionExists(projectPath, revision) {
+    try {
+      await this.runGit(['rev-parse', '-q', '--verify', `${revision}^{commit}`], projectPath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async findStartPoint(projectPath, preferred = null) {
+    for (const candidate of [preferred, ...DEFAULT_START_POINTS].filter(Boolean)) {
+      if (await this.revisionExists(projectPath, candidate)) {
+        return candidate;
+      }
+    }
+    return 'HEAD';
+  }
+
+  toDirectoryName(taskId) {
+    return String(taskId).replace(/[^a-zA-Z0-9._-]/g, '_');
+  }
+
+  publish(event, data) {
+    if (this.eventBus) {
+      this.eventBus.publish(event, { ...data, timestamp: new Date() });
+    }
+  }
+}
+
+WorktreeService.DEFAULT_DIRECTORY = DEFAULT_DIRECTORY;
+
+module.exports = WorktreeService;
+module.exports.WorktreeError = WorktreeError;
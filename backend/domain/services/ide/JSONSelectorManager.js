@@ -5,6 +5,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const Logger = require('@logging/Logger');
 const logger = new Logger('JSONSelectorManager');
 
@@ -68,6 +69,28 @@ class JSONSelectorManager {
     }
   }
 
+  /**
+   * Get the complete selector file (all groups plus metadata) for IDE type and version
+   * @param {string} ideType - IDE type (cursor, vscode, windsurf)
+   * @param {string} version - IDE version
+   * @returns {Promise<Object>} Parsed selector file
+   */
+  async getSelectorFile(ideType, version) {
+    if (!ideType || !version) {
+      throw new Error(`IDE type and version are required. Got: ideType=${ideType}, version=${version}`);
+    }
+
+    const selectorPath = path.join(this.selectorsPath, ideType, `${version}.json`);
+    try {
+      await fs.access(selectorPath);
+    } catch (error) {
+      const availableVersions = await this.getAvailableVersions(ideType);
+      throw new Error(`Version ${version} not found for IDE type ${ideType}. Available versions: ${availableVersions.join(', ')}`);
+    }
+
+    return JSON.parse(await fs.readFile(selectorPath, 'utf8'));
+  }
+
   /**
    * Get available versions for IDE type
    * @param {string} ideType - IDE type
@@ -161,6 +184,81 @@ class JSONSelectorManager {
     }
   }
 
+  /**
+   * Save a selector file proposal for review. Proposals live in selectors/<ideType>/proposals
+   * and are not picked up as available versions until a reviewer moves them up one level.
+   * @param {string} ideType - IDE type
+   * @param {string} version - IDE version the proposal is for
+   * @param {Object} selectors - Complete selector file
+   * @param {Object} details - { basedOn, changes, healthSummary }
+   * @returns {Promise<Object>} Save result
+   */
+  async saveProposal(ideType, version, selectors, details = {}) {
+    if (!ideType || !version || !selectors) {
+      throw new Error('IDE type, version, and selectors are required');
+    }
+
+    const proposalsPath = path.join(this.selectorsPath, ideType, 'proposals');
+    await fs.mkdir(proposalsPath, { recursive: true });
+
+    const proposalPath = path.join(proposalsPath, `${version}.json`);
+    const { metadata, ...content } = selectors;
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify({ basedOn: details.basedOn || null, content }))
+      .digest('hex');
+
+    // The same proposal for a version is only written once
+    const existing = await this.readProposal(proposalPath);
+    if (existing?.metadata?.hash === hash) {
+      this.logger.info(`Selector proposal for ${ideType} version ${version} is unchanged: ${proposalPath}`);
+      return {
+        success: true,
+        path: proposalPath,
+        version,
+        changes: existing.metadata.changes || [],
+        unchanged: true
+      };
+    }
+
+    const proposal = {
+      ...selectors,
+      metadata: {
+        ...(metadata || {}),
+        version,
+        ideType,
+        status: 'pending_review',
+        basedOn: details.basedOn || null,
+        hash,
+        proposedAt: new Date().toISOString(),
+        changes: details.changes || [],
+        healthSummary: details.healthSummary || null
+      }
+    };
+
+    await fs.writeFile(proposalPath, JSON.stringify(proposal, null, 2), 'utf8');
+    this.logger.info(`Saved selector proposal for ${ideType} version ${version} to ${proposalPath}`);
+
+    return {
+      success: true,
+      path: proposalPath,
+      version,
+      changes: proposal.metadata.changes
+    };
+  }
+
+  /**
+   * Read a saved selector proposal
+   * @param {string} proposalPath - Proposal file
+   * @returns {Promise<Object|null>} Proposal or null if there is none
+   */
+  async readProposal(proposalPath) {
+    try {
+      return JSON.parse(await fs.readFile(proposalPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Delete selectors for specific IDE type and version
    * @param {string} ideType - IDE type
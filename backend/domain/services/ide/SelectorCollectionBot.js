@@ -4,6 +4,7 @@
  */
 
 const Logger = require('@logging/Logger');
+const JSONSelectorManager = require('./JSONSelectorManager');
 const logger = new Logger('SelectorCollectionBot');
 
 class SelectorCollectionBot {
@@ -12,6 +13,7 @@ class SelectorCollectionBot {
     this.selectorVersionManager = dependencies.selectorVersionManager;
     this.ideTypesUpdater = dependencies.ideTypesUpdater;
     this.logger = dependencies.logger || logger;
+    this.jsonSelectorManager = dependencies.jsonSelectorManager || new JSONSelectorManager({ logger: this.logger });
     this.collectionCache = new Map();
     this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
   }
@@ -523,6 +525,68 @@ class SelectorCollectionBot {
     }
   }
 
+  /**
+   * Propose a new versioned selector file from a selector health report. Healed selectors are
+   * taken over; selectors that are still broken are replaced with freshly collected ones where
+   * SelectorCollector finds the element. The proposal is saved for review, not activated.
+   * @param {Object} report - Health report from SelectorVersionManager.probeSelectorHealth
+   * @returns {Promise<Object|null>} Proposal result or null if nothing needs to change
+   */
+  async proposeSelectorFile(report) {
+    try {
+      const { ideType, version, baseVersion } = report;
+      const selectorFile = await this.jsonSelectorManager.getSelectorFile(ideType, baseVersion);
+      const proposal = JSON.parse(JSON.stringify(selectorFile));
+      delete proposal.metadata;
+      const changes = [];
+
+      for (const result of report.selectors.filter(item => item.status === 'healed')) {
+        proposal[result.group][result.key] = result.healedWith;
+        changes.push({ path: result.path, from: result.selector, to: result.healedWith, source: 'fallback' });
+      }
+
+      const broken = report.selectors.filter(item => item.status === 'failed' && item.collectedKey);
+      if (broken.length > 0 && this.selectorCollector && report.port) {
+        let collected = {};
+        try {
+          collected = await this.selectorCollector.collectSelectors(report.port);
+        } catch (error) {
+          this.logger.warn(`Could not collect selectors on port ${report.port} for the proposal:`, error.message);
+        }
+
+        for (const result of broken) {
+          const candidate = collected[result.collectedKey];
+          if (candidate && this.isValidSelector(candidate)) {
+            proposal[result.group][result.key] = candidate;
+            changes.push({ path: result.path, from: result.selector, to: candidate, source: 'collected' });
+          }
+        }
+      }
+
+      if (changes.length === 0 && version === baseVersion) {
+        this.logger.info(`No selector changes to propose for ${ideType} version ${version}`);
+        return null;
+      }
+
+      const unresolved = report.selectors
+        .filter(item => item.status === 'failed' && !changes.some(change => change.path === item.path))
+        .map(item => item.path);
+
+      const result = await this.jsonSelectorManager.saveProposal(ideType, version, proposal, {
+        basedOn: baseVersion,
+        changes,
+        healthSummary: { ...report.summary, unresolved }
+      });
+
+      this.logger.info(`Proposed selector file for ${ideType} version ${version} with ${changes.length} changes: ${result.path}`);
+      return { path: result.path, version, basedOn: baseVersion, changes, unresolved };
+
+    } catch (error) {
+      this.logger.error(`Selector proposal failed for ${report.ideType} version ${report.version}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Clear collection cache
    */
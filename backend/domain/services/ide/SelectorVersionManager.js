@@ -4,9 +4,25 @@
  */
 
 const IDETypes = require('./IDETypes');
+const JSONSelectorManager = require('./JSONSelectorManager');
 const Logger = require('@logging/Logger');
 const logger = new Logger('SelectorVersionManager');
 
+/**
+ * Selectors without which chat automation breaks. collectedKey maps the entry to the key
+ * SelectorCollector uses for the same element; requiresMessages marks selectors that only
+ * match once the chat contains messages.
+ */
+const CRITICAL_SELECTORS = [
+  { group: 'chatSelectors', key: 'input', collectedKey: 'chatInput' },
+  { group: 'chatSelectors', key: 'inputContainer' },
+  { group: 'chatSelectors', key: 'chatContainer', collectedKey: 'chatContainer' },
+  { group: 'chatSelectors', key: 'messagesContainer' },
+  { group: 'chatSelectors', key: 'userMessages', collectedKey: 'userMessages', requiresMessages: true },
+  { group: 'chatSelectors', key: 'aiMessages', collectedKey: 'aiMessages', requiresMessages: true },
+  { group: 'newChatSelectors', key: 'newChatButton', collectedKey: 'newChatButton', alternativesFromGroup: true }
+];
+
 class SelectorVersionManager {
   constructor(dependencies = {}) {
     this.ideTypes = dependencies.ideTypes || IDETypes;
@@ -15,6 +31,8 @@ class SelectorVersionManager {
     this.logger = dependencies.logger || logger;
     this.versionDetectionService = dependencies.versionDetectionService;
     this.selectorCollectionBot = dependencies.selectorCollectionBot;
+    this.jsonSelectorManager = dependencies.jsonSelectorManager || new JSONSelectorManager({ logger: this.logger });
+    this.healedSelectors = new Map(); // ideType:version -> { 'group.key': selector }
   }
 
   /**
@@ -186,6 +204,184 @@ class SelectorVersionManager {
     }
   }
 
+  /**
+   * Check the critical selectors against the live DOM and try fallback alternatives for the
+   * ones that no longer match. Unknown versions are probed with the newest selector file.
+   * @param {Page} page - Playwright page of the IDE
+   * @param {string} ideType - IDE type
+   * @param {string} version - Detected IDE version
+   * @param {Object} options - { port }
+   * @returns {Promise<Object>} Health report
+   */
+  async probeSelectorHealth(page, ideType, version, options = {}) {
+    if (!page || !ideType || !version) {
+      throw new Error('Page, IDE type and version are required for the selector health probe');
+    }
+
+    const availableVersions = await this.jsonSelectorManager.getAvailableVersions(ideType);
+    if (availableVersions.length === 0) {
+      throw new Error(`No selector files available for IDE type ${ideType}`);
+    }
+
+    const versionKnown = availableVersions.includes(version);
+    const baseVersion = versionKnown ? version : availableVersions[0];
+    const selectorFile = await this.jsonSelectorManager.getSelectorFile(ideType, baseVersion);
+    const critical = CRITICAL_SELECTORS.filter(entry => selectorFile[entry.group] && selectorFile[entry.group][entry.key]);
+
+    const results = [];
+    for (const entry of critical) {
+      const selector = selectorFile[entry.group][entry.key];
+      results.push({
+        path: `${entry.group}.${entry.key}`,
+        group: entry.group,
+        key: entry.key,
+        collectedKey: entry.collectedKey || null,
+        selector,
+        matches: await this.countMatches(page, selector)
+      });
+    }
+
+    const healedSelectors = {};
+    for (const [index, result] of results.entries()) {
+      if (result.matches > 0) {
+        result.status = 'ok';
+        continue;
+      }
+
+      const alternatives = await this.getAlternativeSelectors(ideType, baseVersion, critical[index], selectorFile);
+      result.alternativesTried = [];
+
+      for (const alternative of alternatives) {
+        const matches = await this.countMatches(page, alternative);
+        result.alternativesTried.push({ selector: alternative, matches });
+        if (matches > 0) {
+          result.status = 'healed';
+          result.healedWith = alternative;
+          healedSelectors[result.path] = alternative;
+          break;
+        }
+      }
+    }
+
+    // An empty chat has no messages to match, which cannot be told apart from a broken
+    // selector unless another message selector finds something
+    const chatHasMessages = results.some((result, index) => critical[index].requiresMessages && result.status);
+    results.forEach((result, index) => {
+      if (!result.status) {
+        result.status = critical[index].requiresMessages && !chatHasMessages ? 'unverified' : 'failed';
+      }
+    });
+
+    const summary = {
+      total: results.length,
+      ok: results.filter(result => result.status === 'ok').length,
+      healed: results.filter(result => result.status === 'healed').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      unverified: results.filter(result => result.status === 'unverified').length
+    };
+
+    this.healedSelectors.set(`${ideType}:${version}`, healedSelectors);
+
+    const report = {
+      ideType,
+      version,
+      baseVersion,
+      versionKnown,
+      port: options.port || null,
+      healthy: versionKnown && summary.failed === 0 && summary.healed === 0,
+      summary,
+      selectors: results,
+      healedSelectors,
+      checkedAt: new Date().toISOString()
+    };
+
+    const failing = results.filter(result => result.status !== 'ok').map(result => `${result.path} (${result.status})`);
+    if (failing.length > 0 || !versionKnown) {
+      this.logger.warn(`Selector drift detected for ${ideType} ${version} (base ${baseVersion}): ${failing.join(', ') || 'unknown version'}`);
+    } else {
+      this.logger.info(`All ${summary.total} critical selectors match for ${ideType} ${version}`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Candidate replacements for a critical selector: the same selector from other versions of
+   * the IDE, alternatives from the same group where the group lists them, then the generic fallback
+   * @param {string} ideType - IDE type
+   * @param {string} baseVersion - Version of the probed selector file
+   * @param {Object} entry - Critical selector entry
+   * @param {Object} selectorFile - Probed selector file
+   * @returns {Promise<Array<string>>} Distinct candidate selectors
+   */
+  async getAlternativeSelectors(ideType, baseVersion, entry, selectorFile) {
+    const current = selectorFile[entry.group][entry.key];
+    const candidates = [];
+
+    for (const otherVersion of await this.jsonSelectorManager.getAvailableVersions(ideType)) {
+      if (otherVersion === baseVersion) {
+        continue;
+      }
+      try {
+        const otherFile = await this.jsonSelectorManager.getSelectorFile(ideType, otherVersion);
+        if (otherFile[entry.group] && otherFile[entry.group][entry.key]) {
+          candidates.push(otherFile[entry.group][entry.key]);
+        }
+      } catch (error) {
+        this.logger.warn(`Could not load ${ideType} ${otherVersion} selectors as alternatives:`, error.message);
+      }
+    }
+
+    if (entry.alternativesFromGroup) {
+      candidates.push(...Object.values(selectorFile[entry.group]).filter(value => typeof value === 'string'));
+    }
+
+    const fallback = this.getFallbackSelectors()[entry.key];
+    if (entry.group === 'chatSelectors' && typeof fallback === 'string') {
+      candidates.push(fallback);
+    }
+
+    return [...new Set(candidates)].filter(candidate => candidate !== current);
+  }
+
+  /**
+   * Count elements matching a selector; invalid selectors count as zero
+   * @param {Page} page - Playwright page
+   * @param {string} selector - CSS selector
+   * @returns {Promise<number>} Number of matches
+   */
+  async countMatches(page, selector) {
+    try {
+      const elements = await page.$$(selector);
+      return elements.length;
+    } catch (error) {
+      this.logger.warn(`Selector ${selector} could not be evaluated:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Get selectors healed by the last health probe
+   * @param {string} ideType - IDE type
+   * @param {string} version - IDE version
+   * @returns {Object} { 'group.key': selector }
+   */
+  getHealedSelectors(ideType, version) {
+    return this.healedSelectors.get(`${ideType}:${version}`) || {};
+  }
+
+  /**
+   * Let SelectorCollectionBot write a selector file proposal for review from a health report
+   * @param {Object} report - Health report from probeSelectorHealth
+   * @returns {Promise<Object|null>} Proposal result or null if nothing needs to change
+   */
+  async proposeSelectorUpdate(report) {
+    if (!this.selectorCollectionBot) {
+      throw new Error('SelectorCollectionBot not available');
+    }
+    return await this.selectorCollectionBot.proposeSelectorFile(report);
+  }
+
   /**
    * Get cache statistics
    * @returns {Object} Cache statistics
@@ -200,3 +396,4 @@ class SelectorVersionManager {
 }
 
 module.exports = SelectorVersionManager;
+module.exports.CRITICAL_SELECTORS = CRITICAL_SELECTORS;
@@ -0,0 +1,668 @@
+/**
+ * IDEWorkerPoolService - Domain service for parallel queue execution across IDE instances
+ * Every running IDE (Cursor, VSCode, Windsurf) is a worker with a concurrency of one chat.
+ * Idle workers pull the next compatible queued item, tasks stay on the IDE that first ran
+ * them, and items of an IDE that the health monitor reports as dead fail over to another IDE.
+ * With worktrees enabled every task runs in its own git worktree that the IDE is pointed at.
+ */
+
+const ServiceLogger = require('@logging/ServiceLogger');
+const SequentialExecutionEngine = require('@domain/workflows/execution/SequentialExecutionEngine');
+
+const DEAD_HEALTH_STATUSES = ['unhealthy', 'error'];
+
+class IDEWorkerPoolService {
+    constructor(dependencies = {}) {
+        this.logger = new ServiceLogger('IDEWorkerPoolService');
+        this.queueMonitoringService = dependencies.queueMonitoringService;
+        this.ideManager = dependencies.ideManager;
+        this.eventBus = dependencies.eventBus;
+        this.stepRegistry = dependencies.stepRegistry || null;
+        this.workflowGitService = dependencies.workflowGitService || null;
+        // Same engine as inline workflows: conditions, control-flow groups and checkpoints
+        this.executionEngine = dependencies.executionEngine || new SequentialExecutionEngine({
+            checkpointStore: dependencies.workflowPersistenceService || null
+        });
+        this.options = {
+            pollIntervalMs: 5000,
+            // Failovers per item before it is marked as failed
+            maxFailovers: 3,
+            ...dependencies.options
+        };
+
+        // port -> worker
+        this.workers = new Map();
+        // taskId -> port of the IDE that owns the task's chat
+        this.stickyAssignments = new Map();
+
+        this.timer = null;
+        this.dispatching = false;
+        this.startedHealthMonitoring = false;
+        this.healthListeners = null;
+
+        if (!this.queueMonitoringService) {
+            throw new Error('QueueMonitoringService is required');
+        }
+        if (!this.ideManager) {
+            throw new Error('IDEManager is required');
+        }
+    }
+
+    /**
+     * Watch IDE health and start pulling queue items
+     */
+    async start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.attachHealthMonitor();
+        if (this.eventBus) {
+            this.onQueueChange = () => this.dispatch();
+            this.eventBus.subscribe('queue:item:added', this.onQueueChange);
+            this.eventBus.subscribe('queue:item:unblocked', this.onQueueChange);
+            this.eventBus.subscribe('queue:resumed', this.onQueueChange);
+            this.onItemCancelled = (event) => this.releaseCancelledItem(event);
+            this.eventBus.subscribe('queue:item:cancelled', this.onItemCancelled);
+        }
+
+        await this.dispatch();
+        this.timer = setInterval(() => this.dispatch(), this.options.pollIntervalMs);
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+        this.logger.info(`IDE worker pool polling every ${this.options.pollIntervalMs}ms`);
+    }
+
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.eventBus && this.onQueueChange) {
+            this.eventBus.unsubscribe('queue:item:added', this.onQueueChange);
+            this.eventBus.unsubscribe('queue:item:unblocked', this.onQueueChange);
+            this.eventBus.unsubscribe('queue:resumed', this.onQueueChange);
+            this.eventBus.unsubscribe('queue:item:cancelled', this.onItemCancelled);
+            this.onQueueChange = null;
+        }
+        this.detachHealthMonitor();
+    }
+
+    attachHealthMonitor() {
+        const healthMonitor = this.ideManager.healthMonitor;
+        if (!healthMonitor || typeof healthMonitor.on !== 'function' || this.healthListeners) {
+            return;
+        }
+
+        this.healthListeners = {
+            healthUpdate: ({ port, healthInfo }) => this.handleHealthUpdate(port, healthInfo),
+            ideUnregistered: ({ port }) => this.markWorkerDead(port, 'IDE unregistered')
+        };
+        healthMonitor.on('healthUpdate', this.healthListeners.healthUpdate);
+        healthMonitor.on('ideUnregistered', this.healthListeners.ideUnregistered);
+
+        // Failover depends on health checks, which nothing else starts
+        if (typeof healthMonitor.isMonitoring === 'function' && !healthMonitor.isMonitoring()) {
+            healthMonitor.startMonitoring();
+            this.startedHealthMonitoring = true;
+        }
+    }
+
+    detachHealthMonitor() {
+        const healthMonitor = this.ideManager.healthMonitor;
+        if (!healthMonitor || !this.healthListeners) {
+            return;
+        }
+
+        healthMonitor.removeListener('healthUpdate', this.healthListeners.healthUpdate);
+        healthMonitor.removeListener('ideUnregistered', this.healthListeners.ideUnregistered);
+        this.healthListeners = null;
+
+        if (this.startedHealthMonitoring) {
+            healthMonitor.stopMonitoring();
+            this.startedHealthMonitoring = false;
+        }
+    }
+
+    /**
+     * React to a health check result of an IDE
+     * @param {number} port - IDE port
+     * @param {Object} healthInfo - Health information ({ status, error })
+     */
+    handleHealthUpdate(port, healthInfo) {
+        if (DEAD_HEALTH_STATUSES.includes(healthInfo?.status)) {
+            this.markWorkerDead(port, healthInfo.error || `IDE is ${healthInfo.status}`);
+            return;
+        }
+
+        const worker = this.workers.get(port);
+        if (healthInfo?.status === 'healthy' && worker && worker.status === 'dead') {
+            worker.status = 'idle';
+            worker.lastError = null;
+            this.logger.info(`IDE on port ${port} is healthy again`);
+            this.emit('ide:worker:recovered', { port, ideType: worker.ideType });
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Take an IDE out of the pool and fail its running item over to another IDE
+     * @param {number} port - IDE port
+     * @param {string} reason - Why the IDE is considered dead
+     */
+    async markWorkerDead(port, reason) {
+        const worker = this.workers.get(port);
+        if (!worker || worker.status === 'dead') {
+            return;
+        }
+
+        const runningItem = worker.currentItem;
+        worker.status = 'dead';
+        worker.currentItem = null;
+        worker.lastError = reason;
+        this.logger.warn(`IDE on port ${port} is dead: ${reason}`);
+        this.emit('ide:worker:dead', { port, ideType: worker.ideType, reason, itemId: runningItem?.id || null });
+
+        for (const [taskId, stickyPort] of this.stickyAssignments) {
+            if (stickyPort === port) {
+                this.stickyAssignments.delete(taskId);
+            }
+        }
+
+        if (runningItem) {
+            try {
+                await this.failOver(runningItem, port, reason);
+            } catch (error) {
+                this.logger.error(`Failover of queue item ${runningItem.id} from port ${port} failed: ${error.message}`);
+            }
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Put an item of a dead IDE back into the queue
+     * @param {Object} item - Queue item
+     * @param {number} port - Port of the dead IDE
+     * @param {string} reason - Why the IDE is considered dead
+     */
+    async failOver(item, port, reason) {
+        const failoverCount = (item.failoverCount || 0) + 1;
+        const exhausted = failoverCount > this.options.maxFailovers;
+
+        await this.queueMonitoringService.updateQueueItem(item.projectId, item.id, {
+            status: exhausted ? 'failed' : 'queued',
+            failoverCount,
+            failedOverFrom: [...(item.failedOverFrom || []), port],
+            assignedPort: null,
+            error: exhausted ? `IDE failed ${failoverCount} times, last: ${reason}` : item.error || null,
+            ...(exhausted ? { completedAt: new Date().toISOString() } : {})
+        });
+
+        this.emit('queue:item:failover', {
+            projectId: item.projectId,
+            itemId: item.id,
+            fromPort: port,
+            failoverCount,
+            requeued: !exhausted
+        });
+    }
+
+    /**
+     * Sync the worker list with the IDEs known to the IDE manager
+     * @returns {Promise<Array<Object>>} Workers
+     */
+    async refreshWorkers() {
+        let ides = [];
+        try {
+            ides = await this.ideManager.getAvailableIDEs() || [];
+        } catch (error) {
+            this.logger.warn('Failed to list IDEs', { error: error.message });
+            return [...this.workers.values()];
+        }
+
+        const seen = new Set();
+        for (const ide of ides) {
+            const port = Number(ide.port);
+            if (!Number.isInteger(port)) {
+                continue;
+            }
+            seen.add(port);
+
+            const worker = this.workers.get(port) || {
+                port,
+                status: 'idle',
+                currentItem: null,
+                completed: 0,
+                failed: 0,
+                lastError: null,
+                lastAssignedAt: null
+            };
+            worker.ideType = ide.ideType || ide.type || 'cursor';
+            worker.workspacePath = ide.workspacePath || worker.workspacePath || null;
+            this.workers.set(port, worker);
+
+            if (DEAD_HEALTH_STATUSES.includes(ide.healthStatus?.status)) {
+                this.markWorkerDead(port, ide.healthStatus.error || `IDE is ${ide.healthStatus.status}`);
+            }
+        }
+
+        for (const [port, worker] of this.workers) {
+            if (!seen.has(port)) {
+                if (worker.status === 'busy') {
+                    this.markWorkerDead(port, 'IDE is no longer running');
+                }
+                this.workers.delete(port);
+            }
+        }
+
+        return [...this.workers.values()];
+    }
+
+    /**
+     * Hand queued items to idle IDEs
+     * @returns {Promise<Array<Object>>} Started assignments ({ port, itemId })
+     */
+    async dispatch() {
+        if (this.dispatching) {
+            return [];
+        }
+        this.dispatching = true;
+
+        const started = [];
+        try {
+            await this.refreshWorkers();
+
+            for (const worker of this.workers.values()) {
+                if (worker.status !== 'idle') {
+                    continue;
+                }
+                const item = this.findNextItem(worker);
+                if (!item) {
+                    continue;
+                }
+                await this.assign(worker, item);
+                started.push({ port: worker.port, itemId: item.id });
+            }
+        } catch (error) {
+            this.logger.error('Failed to dispatch queue items', { error: error.message });
+        } finally {
+            this.dispatching = false;
+        }
+        return started;
+    }
+
+    /**
+     * Find the next queued item a worker may run
+     * Items are taken in queue order (the queue is already sorted by priority); paused queues are skipped.
+     * External items only track a workflow that runs elsewhere (e.g. inline in the workflow API) and are never taken.
+     * @param {Object} worker - Idle worker
+     * @returns {Object|null} Queue item
+     */
+    findNextItem(worker) {
+        for (const projectId of this.queueMonitoringService.getProjectIds()) {
+            if (this.queueMonitoringService.isProjectQueuePaused(projectId)) {
+                continue;
+            }
+            const item = this.queueMonitoringService.getProjectQueue(projectId)
+                .find(candidate => candidate.status === 'queued' && !candidate.options?.external && this.isCompatible(worker, candidate));
+            if (item) {
+                return item;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a worker may run an item
+     * @param {Object} worker - Worker
+     * @param {Object} item - Queue item
+     * @returns {boolean} True if compatible
+     */
+    isCompatible(worker, item) {
+        const requiredType = item.options?.ideType || item.context?.ideType;
+        if (requiredType && requiredType !== worker.ideType) {
+            return false;
+        }
+
+        const requiredPort = item.options?.idePort;
+        if (requiredPort && Number(requiredPort) !== worker.port) {
+            return false;
+        }
+
+        // Sticky tasks wait for their IDE while it is alive
+        const taskId = this.getTaskId(item);
+        const stickyPort = taskId ? this.stickyAssignments.get(taskId) : undefined;
+        if (stickyPort !== undefined && stickyPort !== worker.port) {
+            const owner = this.workers.get(stickyPort);
+            if (owner && owner.status !== 'dead') {
+                return false;
+            }
+        }
+
+        // An IDE only works on the project that is open in it
+        const projectPath = item.context?.projectPath || item.context?.workspacePath;
+        if (projectPath && worker.workspacePath && projectPath !== worker.workspacePath) {
+            return false;
+        }
+
+        // Items of a project share its working copy unless they run in a worktree of their own
+        // (not known yet while the workspace is being prepared)
+        const sharedCopy = [...this.workers.values()].some(other => other.currentItem
+            && other.currentItem !== item
+            && other.currentItem.projectId === item.projectId
+            && !other.worktree);
+        if (sharedCopy) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Start an item on a worker
+     * @param {Object} worker - Idle worker
+     * @param {Object} item - Queued item
+     */
+    async assign(worker, item) {
+        const taskId = this.getTaskId(item);
+        const attempt = (item.attempt || 0) + 1;
+
+        worker.status = 'busy';
+        worker.currentItem = item;
+        worker.worktree = null;
+        worker.lastAssignedAt = new Date().toISOString();
+        if (taskId) {
+            this.stickyAssignments.set(taskId, worker.port);
+        }
+
+        await this.queueMonitoringService.updateQueueItem(item.projectId, item.id, {
+            status: 'running',
+            attempt,
+            assignedPort: worker.port,
+            assignedIdeType: worker.ideType,
+            startedAt: new Date().toISOString()
+        });
+
+        this.logger.info(`Running queue item ${item.id} on ${worker.ideType} port ${worker.port}`, { taskId, attempt });
+        this.emit('queue:item:assigned', {
+            projectId: item.projectId,
+            itemId: item.id,
+            taskId,
+            port: worker.port,
+            ideType: worker.ideType
+        });
+
+        // Runs in the background; the worker becomes idle again when it settles
+        this.run(worker, item, attempt);
+    }
+
+    /**
+     * Execute an item and record the result
+     * @param {Object} worker - Worker
+     * @param {Object} item - Queue item
+     * @param {number} attempt - Attempt number the result belongs to
+     * @returns {Promise<void>}
+     */
+    async run(worker, item, attempt) {
+        let result = null;
+        let error = null;
+        try {
+            result = await this.executeItem(item, worker, attempt);
+        } catch (caught) {
+            error = caught;
+        }
+
+        // The item was failed over while this attempt was running; drop the stale result
+        if (this.isStaleAttempt(item, worker, attempt)) {
+            this.logger.info(`Ignoring result of queue item ${item.id} from port ${worker.port}`, { attempt });
+            return;
+        }
+
+        worker.currentItem = null;
+        worker.worktree = null;
+        worker.status = 'idle';
+
+        if (item.status === 'cancelled') {
+            this.logger.info(`Queue item ${item.id} was cancelled on port ${worker.port}`);
+        } else if (error) {
+            worker.failed++;
+            worker.lastError = error.message;
+            await this.queueMonitoringService.updateQueueItem(item.projectId, item.id, {
+                status: 'failed',
+                error: error.message,
+                completedAt: new Date().toISOString()
+            });
+            this.logger.error(`Queue item ${item.id} failed on port ${worker.port}`, { error: error.message });
+        } else {
+            worker.completed++;
+            await this.queueMonitoringService.updateQueueItem(item.projectId, item.id, {
+                status: 'completed',
+                result,
+                completedAt: new Date().toISOString()
+            });
+        }
+
+        await this.dispatch();
+    }
+
+    /**
+     * Whether an attempt was superseded, the item was failed over to another worker meanwhile
+     * @param {Object} item - Queue item
+     * @param {Object} worker - Worker that ran the attempt
+     * @param {number} attempt - Attempt number
+     * @returns {boolean} True if the attempt no longer owns the item
+     */
+    isStaleAttempt(item, worker, attempt) {
+        return item.attempt !== attempt || worker.currentItem !== item;
+    }
+
+    /**
+     * Run the workflow steps of an item against the worker's IDE
+     * A task running in a worktree is released afterwards: removed when it completed, kept when
+     * it failed and removed with its changes when the item was cancelled
+     * @param {Object} item - Queue item
+     * @param {Object} worker - Worker
+     * @param {number} attempt - Attempt number, part of the execution id of the checkpoints
+     * @returns {Promise<Object>} Workflow result ({ executionId, steps })
+     */
+    async executeItem(item, worker, attempt = item.attempt || 1) {
+        const stepRegistry = this.getStepRegistry();
+        const steps = item.workflow?.steps || [];
+        if (steps.length === 0) {
+            throw new Error(`Workflow of queue item ${item.id} has no steps`);
+        }
+
+        const workspace = await this.prepareWorkspace(item, worker);
+        if (worker.currentItem === item) {
+            worker.worktree = workspace.worktree;
+            if (workspace.worktree) {
+                // Other items of the project may start now that this one left the working copy
+                this.dispatch();
+            }
+        }
+        const context = {
+            ...item.context,
+            // Steps work in the worktree; mainProjectPath keeps the project the task belongs to
+            ...(workspace.worktree ? {
+                projectPath: workspace.workspacePath,
+                workspacePath: workspace.workspacePath,
+                mainProjectPath: workspace.projectPath
+            } : {}),
+            projectId: item.projectId,
+            userId: item.userId,
+            taskId: this.getTaskId(item),
+            ideType: worker.ideType,
+            activeIDE: { port: worker.port, type: worker.ideType }
+        };
+        let outcome = 'failed';
+
+        // Plain steps of the workflow; the engine handles conditions and control-flow groups
+        const runStep = async (step) => {
+            if (item.status === 'cancelled') {
+                throw new Error(`Queue item ${item.id} was cancelled`);
+            }
+
+            const stepName = step.step || step.name;
+            const stepResult = await stepRegistry.executeStep(stepName, { ...context, workflowStep: step.name || stepName, ...step.options }, step.options || {});
+            // The registry reports thrown errors; steps report failed checks in their result,
+            // which only stop steps marked strict: true (e.g. quality gates, protected merges)
+            const reportedFailure = step.strict === true && stepResult?.result?.success === false;
+            const failed = stepResult?.success === false || reportedFailure;
+            if (step.output) {
+                context[step.output] = stepResult?.result ?? stepResult;
+            }
+            return {
+                name: step.name || stepName,
+                success: !failed,
+                data: stepResult,
+                error: failed ? (stepResult?.error || (reportedFailure && stepResult.result.error) || 'unknown error') : null
+            };
+        };
+
+        let execution;
+        try {
+            execution = await this.executionEngine.executeSteps(item.workflow, runStep, {
+                executionId: `${item.id}_attempt_${attempt}`,
+                data: {
+                    taskData: item.context?.taskData || null,
+                    projectId: item.projectId,
+                    userId: item.userId,
+                    workspacePath: workspace.projectPath,
+                    options: item.options || {}
+                }
+            });
+            if (item.status === 'cancelled') {
+                throw new Error(`Queue item ${item.id} was cancelled`);
+            }
+            if (!execution.isSuccess()) {
+                const failedStep = execution.stepResults[execution.stepResults.length - 1];
+                throw new Error(`Step "${failedStep?.stepName}" failed: ${execution.error || 'unknown error'}`);
+            }
+            outcome = 'completed';
+        } finally {
+            // After a failover the worktree belongs to the attempt on the other IDE
+            if (workspace.worktree && !this.isStaleAttempt(item, worker, attempt)) {
+                await this.releaseWorkspace(item, item.status === 'cancelled' ? 'cancelled' : outcome);
+            }
+        }
+
+        return {
+            executionId: execution.executionId,
+            steps: execution.stepResults.map(result => ({
+                name: result.stepName,
+                success: result.success,
+                ...(result.skipped ? { skipped: true } : {})
+            }))
+        };
+    }
+
+    /**
+     * Create the worktree of an item's task and point the worker's IDE at it
+     * @param {Object} item - Queue item
+     * @param {Object} worker - Worker
+     * @returns {Promise<Object>} { projectPath, workspacePath, worktree } - worktree is null when the task
+     *   runs in the project
+     */
+    async prepareWorkspace(item, worker) {
+        const projectPath = item.context?.projectPath || item.context?.workspacePath;
+        const taskId = this.getTaskId(item);
+        if (!this.workflowGitService || !projectPath || !taskId) {
+            return { projectPath, workspacePath: projectPath, worktree: null };
+        }
+
+        const workspace = await this.workflowGitService.prepareTaskWorkspace(projectPath, { id: taskId }, {
+            worktree: item.options?.worktree ?? item.context?.worktree,
+            port: worker.port
+        });
+        if (workspace.worktree) {
+            worker.workspacePath = workspace.workspacePath;
+        }
+        return { projectPath, ...workspace };
+    }
+
+    /**
+     * Release the worktree of an item's task
+     * @param {Object} item - Queue item
+     * @param {string} reason - 'completed', 'failed' or 'cancelled'
+     * @returns {Promise<Object|null>} Release result
+     */
+    async releaseWorkspace(item, reason) {
+        const projectPath = item.context?.projectPath || item.context?.workspacePath;
+        const taskId = this.getTaskId(item);
+        if (!this.workflowGitService || !projectPath || !taskId) {
+            return null;
+        }
+
+        try {
+            return await this.workflowGitService.releaseTaskWorkspace(projectPath, { id: taskId }, { reason });
+        } catch (error) {
+            this.logger.warn(`Failed to release the worktree of task ${taskId}`, { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Remove the worktree of a cancelled item that is not running (e.g. requeued after a failover);
+     * running items release theirs when their current step returns
+     * @param {Object} event - queue:item:cancelled event ({ item })
+     */
+    async releaseCancelledItem(event) {
+        const item = event?.item;
+        if (!item) {
+            return;
+        }
+        const running = [...this.workers.values()].some(worker => worker.currentItem?.id === item.id);
+        if (!running) {
+            await this.releaseWorkspace(item, 'cancelled');
+        }
+    }
+
+    getStepRegistry() {
+        if (!this.stepRegistry) {
+            const { getStepRegistry } = require('@steps');
+            this.stepRegistry = getStepRegistry();
+        }
+        return this.stepRegistry;
+    }
+
+    getTaskId(item) {
+        return item.options?.taskId || item.context?.taskId || null;
+    }
+
+    /**
+     * Get workers and sticky assignments
+     * @returns {Object} Pool status
+     */
+    getStatus() {
+        const workers = [...this.workers.values()].map(worker => ({
+            port: worker.port,
+            ideType: worker.ideType,
+            workspacePath: worker.workspacePath,
+            status: worker.status,
+            currentItemId: worker.currentItem?.id || null,
+            currentProjectId: worker.currentItem?.projectId || null,
+            completed: worker.completed,
+            failed: worker.failed,
+            lastError: worker.lastError,
+            lastAssignedAt: worker.lastAssignedAt
+        }));
+
+        return {
+            running: Boolean(this.timer),
+            workers,
+            idle: workers.filter(worker => worker.status === 'idle').length,
+            busy: workers.filter(worker => worker.status === 'busy').length,
+            dead: workers.filter(worker => worker.status === 'dead').length,
+            stickyAssignments: Object.fromEntries(this.stickyAssignments)
+        };
+    }
+
+    emit(eventName, data) {
+        if (this.eventBus) {
+            this.eventBus.emit(eventName, data);
+        }
+    }
+}
+
+module.exports = IDEWorkerPoolService;
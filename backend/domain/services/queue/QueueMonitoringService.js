@@ -11,12 +11,32 @@ class QueueMonitoringService {
         this.logger = new ServiceLogger('QueueMonitoringService');
         this.executionQueue = dependencies.executionQueue || new ExecutionQueue();
         this.eventBus = dependencies.eventBus;
+        this.taskDependencyService = dependencies.taskDependencyService;
         
         // Project-specific queues
         this.projectQueues = new Map();
         
         // Queue statistics tracking
         this.queueStats = new Map();
+
+        // Paused project queues (projectId -> { reason, pausedAt, pausedBy }); paused queues still accept items
+        this.pausedProjects = new Map();
+
+        // Items of tasks with open prerequisites wait as 'blocked' until those tasks complete
+        if (this.eventBus && this.taskDependencyService) {
+            const onTaskStatus = (event) => {
+                if ((event?.toStatus || event?.newStatus) === 'completed') {
+                    this.releaseBlockedItemsInAllProjects();
+                }
+            };
+            this.eventBus.subscribe('task:status:transition', onTaskStatus);
+            this.eventBus.subscribe('task:status:changed', onTaskStatus);
+            this.eventBus.subscribe('task:dependencies:updated', (event) => {
+                if (event?.projectId) {
+                    this.releaseBlockedItems(event.projectId);
+                }
+            });
+        }
         
         this.logger.info('QueueMonitoringService initialized');
     }
@@ -35,7 +55,7 @@ class QueueMonitoringService {
             
             const queueItems = await this.getQueueItems(projectId, userId);
             const statistics = await this.getQueueStatistics(projectId, userId);
-            const activeItems = queueItems.filter(item => item.status === 'running' || item.status === 'queued');
+            const activeItems = queueItems.filter(item => ['running', 'queued', 'blocked'].includes(item.status));
             const completedItems = queueItems.filter(item => item.status === 'completed' || item.status === 'failed');
 
             const status = {
@@ -48,9 +68,11 @@ class QueueMonitoringService {
                     total: queueItems.length,
                     running: activeItems.filter(item => item.status === 'running').length,
                     queued: activeItems.filter(item => item.status === 'queued').length,
+                    blocked: activeItems.filter(item => item.status === 'blocked').length,
                     completed: completedItems.filter(item => item.status === 'completed').length,
                     failed: completedItems.filter(item => item.status === 'failed').length
                 },
+                paused: this.getProjectQueuePause(projectId),
                 statistics,
                 metadata: {
                     lastUpdated: new Date().toISOString(),
@@ -81,7 +103,7 @@ class QueueMonitoringService {
      * @param {string} userId - User identifier
      * @param {Object} workflow - Workflow to execute
      * @param {Object} context - Execution context
-     * @param {Object} options - Execution options
+     * @param {Object} options - Execution options (external: the workflow runs elsewhere, the item only tracks it)
      * @returns {Object} Queue item with ID and status
      */
     async addToProjectQueue(projectId, userId, workflow, context = {}, options = {}) {
@@ -97,6 +119,10 @@ class QueueMonitoringService {
             
             // Generate unique queue item ID
             const queueItemId = this.generateQueueItemId();
+
+            // External items track a workflow that is already running elsewhere
+            const taskId = options.taskId || context.taskId;
+            const blockedBy = taskId && !options.external ? await this.getUnmetDependencies(taskId) : [];
             
             const queueItem = {
                 id: queueItemId,
@@ -111,7 +137,8 @@ class QueueMonitoringService {
                     timeout: options.timeout || 300000,
                     ...options
                 },
-                status: 'queued',
+                status: options.external ? 'running' : (blockedBy.length > 0 ? 'blocked' : 'queued'),
+                blockedBy,
                 addedAt: new Date().toISOString(),
                 estimatedStartTime: this.calculateEstimatedStartTime(projectId),
                 position: projectQueue.length + 1
@@ -135,13 +162,22 @@ class QueueMonitoringService {
                     userId,
                     item: queueItem
                 });
+                if (queueItem.status === 'blocked') {
+                    this.eventBus.emit('queue:item:blocked', {
+                        projectId,
+                        itemId: queueItemId,
+                        taskId,
+                        blockedBy
+                    });
+                }
             }
 
             this.logger.info('Item added to queue', { 
                 projectId, 
                 queueItemId, 
                 position: queueItem.position,
-                priority: queueItem.options.priority
+                priority: queueItem.options.priority,
+                status: queueItem.status
             });
 
             return queueItem;
@@ -169,6 +205,123 @@ class QueueMonitoringService {
         return this.addToProjectQueue(projectId, userId, workflow, context, options);
     }
 
+    /**
+     * Get the open prerequisites of a task
+     * @param {string} taskId - Task identifier
+     * @returns {Promise<Array<string>>} IDs of prerequisite tasks that are not completed
+     */
+    async getUnmetDependencies(taskId) {
+        if (!this.taskDependencyService) {
+            return [];
+        }
+        try {
+            return await this.taskDependencyService.getUnmetDependencies(taskId);
+        } catch (error) {
+            // Dependency lookup problems must not keep work out of the queue
+            this.logger.warn('Failed to check task dependencies', { taskId, error: error.message });
+            return [];
+        }
+    }
+
+    /**
+     * Move blocked items whose prerequisites are completed back to 'queued'
+     * @param {string} projectId - Project identifier
+     * @returns {Promise<Array>} Released queue items
+     */
+    async releaseBlockedItems(projectId) {
+        const projectQueue = this.getProjectQueue(projectId);
+        const released = [];
+
+        for (const item of projectQueue.filter(queueItem => queueItem.status === 'blocked')) {
+            const taskId = item.options?.taskId || item.context?.taskId;
+            const blockedBy = await this.getUnmetDependencies(taskId);
+            item.blockedBy = blockedBy;
+            if (blockedBy.length > 0) {
+                continue;
+            }
+
+            item.status = 'queued';
+            item.unblockedAt = new Date().toISOString();
+            item.estimatedStartTime = this.calculateEstimatedStartTime(projectId);
+            released.push(item);
+
+            if (this.eventBus) {
+                this.eventBus.emit('queue:item:unblocked', {
+                    projectId,
+                    itemId: item.id,
+                    taskId,
+                    item
+                });
+            }
+        }
+
+        if (released.length > 0) {
+            this.logger.info('Released blocked queue items', { projectId, released: released.map(item => item.id) });
+        }
+        return released;
+    }
+
+    /**
+     * Release blocked items in every project queue
+     * @returns {Promise<Array>} Released queue items
+     */
+    async releaseBlockedItemsInAllProjects() {
+        const released = [];
+        for (const projectId of this.projectQueues.keys()) {
+            released.push(...await this.releaseBlockedItems(projectId));
+        }
+        return released;
+    }
+
+    /**
+     * Pause a project queue so that no further items are started
+     * @param {string} projectId - Project identifier
+     * @param {string} reason - Why the queue is paused
+     * @param {string} pausedBy - Who paused the queue (user ID or service name)
+     * @returns {Object} Pause information
+     */
+    pauseProjectQueue(projectId, reason, pausedBy = null) {
+        const pause = { reason, pausedBy, pausedAt: new Date().toISOString() };
+        this.pausedProjects.set(projectId, pause);
+        this.logger.info('Project queue paused', { projectId, reason, pausedBy });
+
+        if (this.eventBus) {
+            this.eventBus.emit('queue:paused', { projectId, ...pause });
+        }
+        return pause;
+    }
+
+    /**
+     * Resume a paused project queue
+     * @param {string} projectId - Project identifier
+     * @param {string} resumedBy - Who resumed the queue
+     * @returns {boolean} True if the queue was paused
+     */
+    resumeProjectQueue(projectId, resumedBy = null) {
+        if (!this.pausedProjects.delete(projectId)) {
+            return false;
+        }
+        this.logger.info('Project queue resumed', { projectId, resumedBy });
+
+        if (this.eventBus) {
+            this.eventBus.emit('queue:resumed', { projectId, resumedBy, resumedAt: new Date().toISOString() });
+        }
+        return true;
+    }
+
+    /**
+     * Get the pause information of a project queue
+     * @param {string} projectId - Project identifier
+     * @returns {Object|null} Pause information or null if the queue is running
+     */
+    getProjectQueuePause(projectId) {
+        return this.pausedProjects.get(projectId) || null;
+    }
+
+    isProjectQueuePaused(projectId) {
+        return this.pausedProjects.has(projectId);
+    }
+
     /**
      * Cancel queue item
      * @param {string} projectId - Project identifier
@@ -457,6 +610,7 @@ class QueueMonitoringService {
                 totalItems: projectQueue.length,
                 running: projectQueue.filter(item => item.status === 'running').length,
                 queued: projectQueue.filter(item => item.status === 'queued').length,
+                blocked: projectQueue.filter(item => item.status === 'blocked').length,
                 completed: projectQueue.filter(item => item.status === 'completed').length,
                 failed: projectQueue.filter(item => item.status === 'failed').length,
                 cancelled: projectQueue.filter(item => item.status === 'cancelled').length,
@@ -555,6 +709,14 @@ class QueueMonitoringService {
         return this.projectQueues.get(projectId);
     }
 
+    /**
+     * Get IDs of all projects that have a queue
+     * @returns {Array<string>} Project identifiers
+     */
+    getProjectIds() {
+        return [...this.projectQueues.keys()];
+    }
+
     /**
      * Get queue items for a project
      * @param {string} projectId - Project identifier
@@ -0,0 +1,374 @@
+/**
+ * ScheduleService - Domain service for recurring project schedules
+ * Enqueues the workflow of each enabled schedule into the project queue whenever its cron
+ * expression is due, and applies the schedule's missed-run policy to runs that were missed
+ * while PIDEA was not running
+ */
+
+const ServiceLogger = require('@logging/ServiceLogger');
+const CronExpression = require('@domain/value-objects/CronExpression');
+
+// Custom error classes for strict error handling
+class ScheduleValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleValidationError';
+    this.code = 'ScheduleValidationError';
+  }
+}
+
+class ScheduleNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleNotFoundError';
+    this.code = 'ScheduleNotFoundError';
+  }
+}
+
+/**
+ * skip     - drop missed runs and continue with the next regular run
+ * run_once - enqueue a single catch-up run for all missed runs
+ * run_all  - enqueue every missed run (at most MAX_CATCH_UP_RUNS)
+ */
+const MISSED_RUN_POLICIES = ['skip', 'run_once', 'run_all'];
+const MAX_CATCH_UP_RUNS = 10;
+const UPCOMING_RUNS = 5;
+
+class ScheduleService {
+  constructor(dependencies = {}) {
+    this.logger = new ServiceLogger('ScheduleService');
+    this.repository = dependencies.scheduleRepository;
+    this.queueMonitoringService = dependencies.queueMonitoringService;
+    this.eventBus = dependencies.eventBus;
+    this.options = {
+      pollIntervalMs: 30000,
+      // A due run picked up later than this counts as missed
+      missedRunGraceMs: 2 * 60 * 1000,
+      ...dependencies.options
+    };
+
+    this.timer = null;
+    this.ticking = false;
+
+    if (!this.repository) {
+      throw new Error('ScheduleRepository is required');
+    }
+    if (!this.queueMonitoringService) {
+      throw new Error('QueueMonitoringService is required');
+    }
+  }
+
+  /**
+   * Catch up on missed runs and start polling for due schedules
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    await this.tick();
+    this.timer = setInterval(() => this.tick(), this.options.pollIntervalMs);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    this.logger.info(`Schedules polled every ${this.options.pollIntervalMs}ms`);
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run all schedules that are due
+   * @param {Date} now - Current time
+   */
+  async tick(now = new Date()) {
+    if (this.ticking) {
+      return;
+    }
+    this.ticking = true;
+
+    try {
+      const due = await this.repository.findDue(now.toISOString());
+      for (const schedule of due) {
+        try {
+          await this.runDueSchedule(schedule, now);
+        } catch (error) {
+          this.logger.error(`Failed to run schedule ${schedule.id}`, { error: error.message });
+        }
+      }
+    } catch (error) {
+      this.logger.error('Failed to load due schedules', { error: error.message });
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Enqueue the run(s) of a due schedule according to its missed-run policy and advance it
+   * @param {Object} schedule - Due schedule
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async runDueSchedule(schedule, now = new Date()) {
+    const cron = new CronExpression(schedule.cronExpression, schedule.timezone);
+    const scheduledFor = new Date(schedule.nextRunAt);
+    let runs = [scheduledFor];
+
+    if (now.getTime() - scheduledFor.getTime() > this.options.missedRunGraceMs) {
+      const missed = cron.occurrencesBetween(scheduledFor, now, MAX_CATCH_UP_RUNS + 1);
+      if (missed.length === 0) {
+        missed.push(scheduledFor);
+      }
+
+      if (schedule.missedRunPolicy === 'skip') {
+        runs = [];
+      } else if (schedule.missedRunPolicy === 'run_all') {
+        runs = missed.slice(-MAX_CATCH_UP_RUNS);
+      } else {
+        runs = [missed[missed.length - 1]];
+      }
+
+      this.logger.warn(`Schedule ${schedule.id} missed ${missed.length} run(s), policy ${schedule.missedRunPolicy}`, {
+        projectId: schedule.projectId,
+        enqueued: runs.length
+      });
+      this.emit('schedule:missed', {
+        projectId: schedule.projectId,
+        scheduleId: schedule.id,
+        missedRuns: missed.map(date => date.toISOString()),
+        policy: schedule.missedRunPolicy,
+        enqueued: runs.length
+      });
+    }
+
+    let updates = { lastRunStatus: 'skipped', lastError: null };
+    for (const runAt of runs) {
+      updates = await this.enqueue(schedule, { scheduledFor: runAt, trigger: 'schedule' });
+      schedule = { ...schedule, ...updates };
+    }
+
+    const next = cron.next(now);
+    return this.repository.update(schedule.id, { ...updates, nextRunAt: next ? next.toISOString() : null });
+  }
+
+  /**
+   * Add the schedule's workflow to the project queue
+   * @param {Object} schedule - Schedule
+   * @param {Object} run - { scheduledFor, trigger: 'schedule' | 'manual' }
+   * @returns {Promise<Object>} Run bookkeeping fields for the schedule
+   */
+  async enqueue(schedule, run) {
+    const runAt = new Date().toISOString();
+    const context = {
+      ...schedule.context,
+      scheduleId: schedule.id,
+      scheduleName: schedule.name,
+      scheduledFor: run.scheduledFor ? run.scheduledFor.toISOString() : runAt,
+      trigger: run.trigger
+    };
+
+    try {
+      const item = await this.queueMonitoringService.addToProjectQueue(
+        schedule.projectId,
+        schedule.createdBy || 'scheduler',
+        schedule.workflow,
+        context,
+        schedule.options
+      );
+
+      this.emit('queue:updated', { projectId: schedule.projectId, action: 'added', item });
+      this.emit('schedule:triggered', {
+        projectId: schedule.projectId,
+        scheduleId: schedule.id,
+        queueItemId: item.id,
+        scheduledFor: context.scheduledFor,
+        trigger: run.trigger
+      });
+      this.logger.info(`Schedule ${schedule.id} enqueued queue item ${item.id}`, { projectId: schedule.projectId, trigger: run.trigger });
+
+      return {
+        lastRunAt: runAt,
+        lastRunStatus: 'queued',
+        lastQueueItemId: item.id,
+        lastError: null,
+        runCount: (schedule.runCount || 0) + 1
+      };
+    } catch (error) {
+      this.logger.error(`Schedule ${schedule.id} could not be enqueued`, { projectId: schedule.projectId, error: error.message });
+      return {
+        lastRunAt: runAt,
+        lastRunStatus: 'failed',
+        lastError: error.message
+      };
+    }
+  }
+
+  emit(eventName, data) {
+    if (this.eventBus) {
+      this.eventBus.emit(eventName, data);
+    }
+  }
+
+  /**
+   * Create a schedule for a project
+   * @param {string} projectId - Project ID
+   * @param {string} userId - User that owns the enqueued items
+   * @param {Object} data - { name, cronExpression, timezone, enabled, missedRunPolicy, workflow, context, options }
+   * @returns {Promise<Object>} Created schedule
+   */
+  async createSchedule(projectId, userId, data = {}) {
+    this.validateScheduleData(data, true);
+
+    const timezone = data.timezone || 'UTC';
+    const enabled = data.enabled !== false;
+    const schedule = await this.repository.create({
+      projectId,
+      name: data.name,
+      cronExpression: data.cronExpression,
+      timezone,
+      enabled,
+      missedRunPolicy: data.missedRunPolicy || 'run_once',
+      workflow: data.workflow,
+      context: data.context || {},
+      options: data.options || {},
+      createdBy: userId,
+      nextRunAt: enabled ? this.computeNextRun(data.cronExpression, timezone) : null
+    });
+
+    this.logger.info(`Schedule ${schedule.id} created`, { projectId, cronExpression: schedule.cronExpression, timezone });
+    return this.withUpcomingRuns(schedule);
+  }
+
+  /**
+   * Update a schedule; the next run is recomputed when timing or the enabled flag change
+   * @param {string} projectId - Project ID
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async updateSchedule(projectId, scheduleId, data = {}) {
+    const schedule = await this.findSchedule(projectId, scheduleId);
+    this.validateScheduleData({ ...data, timezone: data.timezone || schedule.timezone, cronExpression: data.cronExpression || schedule.cronExpression }, false);
+
+    const updates = {};
+    ['name', 'cronExpression', 'timezone', 'enabled', 'missedRunPolicy', 'workflow', 'context', 'options'].forEach(field => {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    });
+
+    const merged = { ...schedule, ...updates };
+    if (['cronExpression', 'timezone', 'enabled'].some(field => updates[field] !== undefined)) {
+      updates.nextRunAt = merged.enabled ? this.computeNextRun(merged.cronExpression, merged.timezone) : null;
+    }
+
+    const updated = await this.repository.update(scheduleId, updates);
+    return this.withUpcomingRuns(updated);
+  }
+
+  /**
+   * Delete a schedule
+   * @param {string} projectId - Project ID
+   * @param {string} scheduleId - Schedule ID
+   */
+  async deleteSchedule(projectId, scheduleId) {
+    await this.findSchedule(projectId, scheduleId);
+    await this.repository.delete(scheduleId);
+    this.logger.info(`Schedule ${scheduleId} deleted`, { projectId });
+  }
+
+  /**
+   * Get a schedule with its upcoming runs
+   * @param {string} projectId - Project ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Schedule
+   */
+  async getSchedule(projectId, scheduleId) {
+    return this.withUpcomingRuns(await this.findSchedule(projectId, scheduleId));
+  }
+
+  async listSchedules(projectId) {
+    const schedules = await this.repository.findByProjectId(projectId);
+    return schedules.map(schedule => this.withUpcomingRuns(schedule));
+  }
+
+  /**
+   * Enqueue a schedule immediately without changing its next regular run
+   * @param {string} projectId - Project ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Updated schedule
+   */
+  async runNow(projectId, scheduleId) {
+    const schedule = await this.findSchedule(projectId, scheduleId);
+    const updates = await this.enqueue(schedule, { trigger: 'manual' });
+    const updated = await this.repository.update(scheduleId, updates);
+    return this.withUpcomingRuns(updated);
+  }
+
+  async findSchedule(projectId, scheduleId) {
+    const schedule = await this.repository.findById(scheduleId);
+    if (!schedule || schedule.projectId !== projectId) {
+      throw new ScheduleNotFoundError(`Schedule ${scheduleId} not found`);
+    }
+    return schedule;
+  }
+
+  computeNextRun(cronExpression, timezone, after = new Date()) {
+    const next = new CronExpression(cronExpression, timezone).next(after);
+    return next ? next.toISOString() : null;
+  }
+
+  /**
+   * Add the next regular runs for display
+   * @param {Object} schedule - Schedule
+   * @returns {Object} Schedule with upcomingRuns
+   */
+  withUpcomingRuns(schedule) {
+    if (!schedule.enabled || !schedule.nextRunAt) {
+      return { ...schedule, upcomingRuns: [] };
+    }
+    const cron = new CronExpression(schedule.cronExpression, schedule.timezone);
+    const upcoming = [new Date(schedule.nextRunAt), ...cron.nextOccurrences(UPCOMING_RUNS - 1, new Date(schedule.nextRunAt))];
+    return { ...schedule, upcomingRuns: upcoming.map(date => date.toISOString()) };
+  }
+
+  validateScheduleData(data, requireAll) {
+    if ((requireAll || data.name !== undefined) && (typeof data.name !== 'string' || data.name.trim().length === 0)) {
+      throw new ScheduleValidationError('name must be a non-empty string');
+    }
+
+    if (data.timezone !== undefined && !CronExpression.isValidTimezone(data.timezone)) {
+      throw new ScheduleValidationError(`Unknown timezone: ${data.timezone}`);
+    }
+
+    if (requireAll || data.cronExpression !== undefined) {
+      try {
+        new CronExpression(data.cronExpression, data.timezone || 'UTC');
+      } catch (error) {
+        throw new ScheduleValidationError(error.message);
+      }
+    }
+
+    if (data.missedRunPolicy !== undefined && !MISSED_RUN_POLICIES.includes(data.missedRunPolicy)) {
+      throw new ScheduleValidationError(`missedRunPolicy must be one of: ${MISSED_RUN_POLICIES.join(', ')}`);
+    }
+
+    if ((requireAll || data.workflow !== undefined) && (!data.workflow || typeof data.workflow !== 'object' || !data.workflow.type)) {
+      throw new ScheduleValidationError('workflow must be an object with a type');
+    }
+
+    if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+      throw new ScheduleValidationError('enabled must be a boolean');
+    }
+  }
+}
+
+ScheduleService.MISSED_RUN_POLICIES = MISSED_RUN_POLICIES;
+
+module.exports = ScheduleService;
+module.exports.ScheduleValidationError = ScheduleValidationError;
+module.exports.ScheduleNotFoundError = ScheduleNotFoundError;
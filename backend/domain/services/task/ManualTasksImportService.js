@@ -11,7 +11,7 @@ const TaskEventStore = require('@domain/services/task/TaskEventStore');
 const logger = new Logger('ImportService');
 
 class ManualTasksImportService {
-    constructor(browserManager, taskService, taskRepository, fileSystemService, contentHashService = null, fileLocationService = null, eventStore = null) {
+    constructor(browserManager, taskService, taskRepository, fileSystemService, contentHashService = null, fileLocationService = null, eventStore = null, taskDependencyService = null) {
         this.browserManager = browserManager;
         this.taskService = taskService;
         this.taskRepository = taskRepository;
@@ -21,6 +21,7 @@ class ManualTasksImportService {
         this.contentHashService = contentHashService || new TaskContentHashService(fileSystemService);
         this.fileLocationService = fileLocationService || new TaskFileLocationService(fileSystemService);
         this.eventStore = eventStore;
+        this.taskDependencyService = taskDependencyService;
         
         this.logger = new Logger('ManualTasksImportService');
     }
@@ -519,10 +520,14 @@ class ManualTasksImportService {
             
             // ✅ CRITICAL FIX: Commit database transaction
             logger.info(`💾 Committing database transaction for ${importedTasks.length} tasks`);
+
+            // Dependencies can point to tasks imported later in the same run, so resolve them last
+            const dependencyResult = await this.resolveImportedDependencies(projectId, importedTasks);
             
             return {
                 success: true,
                 importedTasks,
+                dependencies: dependencyResult,
                 totalFiles: allFiles.length,
                 importedCount: importedTasks.length,
                 completedCount,
@@ -1024,6 +1029,7 @@ class ManualTasksImportService {
             let steps = [];
             let requirements = [];
             let acceptanceCriteria = [];
+            let dependencyReferences = [];
             let currentSection = '';
             let metadata = {};
 
@@ -1067,12 +1073,23 @@ class ManualTasksImportService {
                     }
                 }
                 
+                // Extract dependencies ("- Requires: ..." or plain list items, "Blocks: ..." is the reverse relation)
+                if (currentSection === 'dependencies' && (line.startsWith('- ') || line.startsWith('* '))) {
+                    const item = line.replace(/^[-*]\s*/, '');
+                    if (!/^blocks\s*:/i.test(item)) {
+                        dependencyReferences.push(...this.parseDependencyReferences(item.replace(/^requires\s*:\s*/i, '')));
+                    }
+                }
+                
                 // Extract metadata
                 if (line.startsWith('- **') && line.includes('**:')) {
                     const match = line.match(/- \*\*([^*]+)\*\*: (.+)/);
                     if (match) {
                         const key = match[1].toLowerCase().replace(/\s+/g, '_');
                         metadata[key] = match[2];
+                        if (key === 'dependencies') {
+                            dependencyReferences.push(...this.parseDependencyReferences(match[2]));
+                        }
                     }
                 }
             }
@@ -1112,6 +1129,7 @@ class ManualTasksImportService {
                     steps: steps,
                     requirements: requirements,
                     acceptanceCriteria: acceptanceCriteria,
+                    dependencyReferences: [...new Set(dependencyReferences)],
                     extractedAt: new Date().toISOString()
                 }
             };
@@ -1128,6 +1146,100 @@ class ManualTasksImportService {
         }
     }
 
+    /**
+     * Split a markdown dependency line into task references
+     * "None", phase references of the same plan ("Phase 1 & 2 completion") and
+     * parenthesised remarks are dropped.
+     * @param {string} text - e.g. "Selector Versioning System (must be completed first), Task Queue"
+     * @returns {Array<string>} Task references
+     */
+    parseDependencyReferences(text) {
+        if (!text) {
+            return [];
+        }
+
+        return text
+            .replace(/\([^)]*\)/g, '')
+            .split(/[,;&]/)
+            .map(reference => reference
+                .replace(/\b(completion|completed|complete|must be completed first)\b/gi, '')
+                .replace(/[✅❌*`]/g, '')
+                .trim())
+            .filter(reference => reference.length > 0)
+            .filter(reference => !/^(none|n\/a|-|no dependencies)$/i.test(reference))
+            .filter(reference => !/^(phase\s*)?\d+$/i.test(reference));
+    }
+
+    /**
+     * Turn the dependency references of imported tasks into task dependencies
+     * References are matched against task titles and feature directory names of the project;
+     * references that match no task are kept in metadata.unresolvedDependencies.
+     * @param {string} projectId - Project ID
+     * @param {Array<Task>} importedTasks - Tasks created by this import
+     * @returns {Promise<Object>} { linked, unresolved, rejected }
+     */
+    async resolveImportedDependencies(projectId, importedTasks) {
+        const result = { linked: 0, unresolved: 0, rejected: [] };
+        const candidates = importedTasks.filter(task => (task.metadata.dependencyReferences || []).length > 0);
+        if (candidates.length === 0) {
+            return result;
+        }
+
+        const projectTasks = await this.taskRepository.findByProjectId(projectId);
+        const slug = (value) => String(value || '')
+            .toLowerCase()
+            .replace(/\s*-\s*master index\s*$/, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+        const tasksBySlug = new Map();
+        for (const task of projectTasks) {
+            for (const key of [task.title, task.metadata?.name, task.metadata?.taskDirectoryName]) {
+                if (key && !tasksBySlug.has(slug(key))) {
+                    tasksBySlug.set(slug(key), task);
+                }
+            }
+        }
+
+        for (const task of candidates) {
+            const dependencyIds = [];
+            const unresolved = [];
+            for (const reference of task.metadata.dependencyReferences) {
+                const dependency = tasksBySlug.get(slug(reference));
+                if (dependency && dependency.id !== task.id) {
+                    dependencyIds.push(dependency.id);
+                } else if (!dependency) {
+                    unresolved.push(reference);
+                }
+            }
+
+            if (unresolved.length > 0) {
+                task.setMetadata('unresolvedDependencies', unresolved);
+                await this.taskRepository.update(task.id, { metadata: task.metadata });
+                result.unresolved += unresolved.length;
+            }
+            if (dependencyIds.length === 0) {
+                continue;
+            }
+
+            try {
+                if (this.taskDependencyService) {
+                    await this.taskDependencyService.setDependencies(projectId, task.id, dependencyIds);
+                } else {
+                    task.setDependencies(dependencyIds);
+                    await this.taskRepository.update(task.id, { dependencies: task.dependencies });
+                }
+                result.linked += dependencyIds.length;
+            } catch (error) {
+                // A cyclic or invalid plan must not fail the whole import
+                logger.warn(`⚠️ Skipping dependencies of imported task "${task.title}": ${error.message}`);
+                result.rejected.push({ taskId: task.id, dependencies: dependencyIds, reason: error.message });
+            }
+        }
+
+        logger.info(`🔗 Resolved imported task dependencies for project ${projectId}`, result);
+        return result;
+    }
+
     /**
      * Generate new status-based path structure
      * @param {string} status - Task status (pending, in_progress, completed, etc.)
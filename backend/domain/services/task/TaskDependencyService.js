@@ -0,0 +1,296 @@
+/**
+ * TaskDependencyService - Domain service for task dependency graphs
+ * Validates "depends on" relations between tasks of a project (existence, same project, no
+ * cycles), reports which prerequisites of a task are still open and builds the project's
+ * dependency DAG in topological order
+ */
+
+const ServiceLogger = require('@logging/ServiceLogger');
+const TaskStatus = require('@value-objects/TaskStatus');
+
+// Custom error classes for strict error handling
+class TaskDependencyValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TaskDependencyValidationError';
+    this.code = 'TaskDependencyValidationError';
+  }
+}
+
+class TaskDependencyCycleError extends TaskDependencyValidationError {
+  constructor(cycle) {
+    super(`Dependency cycle detected: ${cycle.join(' -> ')}`);
+    this.name = 'TaskDependencyCycleError';
+    this.code = 'TaskDependencyCycleError';
+    this.cycle = cycle;
+  }
+}
+
+const PRIORITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+class TaskDependencyService {
+  constructor(dependencies = {}) {
+    this.logger = new ServiceLogger('TaskDependencyService');
+    this.taskRepository = dependencies.taskRepository;
+    this.eventBus = dependencies.eventBus;
+
+    if (!this.taskRepository) {
+      throw new Error('TaskRepository is required');
+    }
+  }
+
+  /**
+   * Validate the dependencies of a new or existing task
+   * @param {string} projectId - Project ID
+   * @param {string|null} taskId - Task ID (null for a task that is about to be created)
+   * @param {Array<string>} dependencyIds - IDs of the prerequisite tasks
+   * @param {Array<Task>} projectTasks - Tasks of the project (loaded if omitted)
+   * @returns {Promise<Array<string>>} De-duplicated dependency IDs
+   */
+  async validateDependencies(projectId, taskId, dependencyIds, projectTasks = null) {
+    if (!Array.isArray(dependencyIds) || dependencyIds.some(id => typeof id !== 'string' || id.length === 0)) {
+      throw new TaskDependencyValidationError('Dependencies must be an array of task IDs');
+    }
+
+    const uniqueIds = [...new Set(dependencyIds)];
+    if (taskId && uniqueIds.includes(taskId)) {
+      throw new TaskDependencyValidationError('Task cannot depend on itself');
+    }
+
+    const tasks = projectTasks || await this.taskRepository.findByProjectId(projectId);
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+
+    const unknownIds = uniqueIds.filter(id => !tasksById.has(id));
+    if (unknownIds.length > 0) {
+      throw new TaskDependencyValidationError(`Unknown dependencies for project ${projectId}: ${unknownIds.join(', ')}`);
+    }
+
+    // A task that does not exist yet cannot be part of a cycle
+    if (taskId) {
+      const graph = this.buildAdjacency(tasks);
+      graph.set(taskId, uniqueIds);
+      const cycle = this.findCycle(graph);
+      if (cycle) {
+        throw new TaskDependencyCycleError(cycle);
+      }
+    }
+
+    return uniqueIds;
+  }
+
+  /**
+   * Replace the dependencies of a task
+   * @param {string} projectId - Project ID
+   * @param {string} taskId - Task ID
+   * @param {Array<string>} dependencyIds - IDs of the prerequisite tasks
+   * @returns {Promise<Task>} Updated task
+   */
+  async setDependencies(projectId, taskId, dependencyIds) {
+    const tasks = await this.taskRepository.findByProjectId(projectId);
+    const task = tasks.find(candidate => candidate.id === taskId);
+    if (!task) {
+      throw new TaskDependencyValidationError(`Task ${taskId} not found in project ${projectId}`);
+    }
+
+    const validIds = await this.validateDependencies(projectId, taskId, dependencyIds, tasks);
+    task.setDependencies(validIds);
+    await this.taskRepository.update(taskId, { dependencies: validIds });
+
+    this.logger.info('Task dependencies updated', { projectId, taskId, dependencies: validIds });
+
+    if (this.eventBus) {
+      this.eventBus.emit('task:dependencies:updated', { projectId, taskId, dependencies: validIds });
+    }
+
+    return task;
+  }
+
+  /**
+   * Get the prerequisites of a task that are not completed yet
+   * @param {string} taskId - Task ID
+   * @returns {Promise<Array<string>>} IDs of open prerequisites
+   */
+  async getUnmetDependencies(taskId) {
+    const task = await this.taskRepository.findById(taskId);
+    if (!task || !task.hasDependencies()) {
+      return [];
+    }
+
+    const unmet = [];
+    for (const dependencyId of task.dependencies) {
+      const dependency = await this.taskRepository.findById(dependencyId);
+      if (!dependency) {
+        // A deleted prerequisite must not block its dependents forever
+        this.logger.warn('Ignoring missing task dependency', { taskId, dependencyId });
+        continue;
+      }
+      if (!this.isCompleted(dependency)) {
+        unmet.push(dependencyId);
+      }
+    }
+    return unmet;
+  }
+
+  /**
+   * Build the dependency DAG of a project
+   * Edges point from a prerequisite to the task that depends on it.
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Object>} { projectId, nodes, edges, order, levels, cycle, generatedAt }
+   */
+  async getDependencyGraph(projectId) {
+    const tasks = await this.taskRepository.findByProjectId(projectId);
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const graph = this.buildAdjacency(tasks);
+
+    const dependents = new Map(tasks.map(task => [task.id, []]));
+    const edges = [];
+    for (const task of tasks) {
+      for (const dependencyId of task.dependencies) {
+        if (tasksById.has(dependencyId)) {
+          dependents.get(dependencyId).push(task.id);
+          edges.push({ from: dependencyId, to: task.id });
+        }
+      }
+    }
+
+    const { order, levels } = this.topologicalSort(tasks);
+    const levelById = new Map();
+    levels.forEach((ids, level) => ids.forEach(id => levelById.set(id, level)));
+
+    const nodes = tasks.map(task => {
+      const unmetDependencies = graph.get(task.id).filter(id => !this.isCompleted(tasksById.get(id)));
+      return {
+        id: task.id,
+        title: task.title,
+        status: this.getStatusValue(task),
+        priority: task.priority?.value || task.priority,
+        dependencies: graph.get(task.id),
+        dependents: dependents.get(task.id),
+        unmetDependencies,
+        blocked: unmetDependencies.length > 0 && !this.isCompleted(task),
+        level: levelById.has(task.id) ? levelById.get(task.id) : null
+      };
+    });
+
+    return {
+      projectId,
+      nodes,
+      edges,
+      order,
+      levels,
+      cycle: this.findCycle(graph),
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Map each task to its dependencies inside the given task set
+   * @param {Array<Task>} tasks - Tasks
+   * @returns {Map<string, Array<string>>} Task ID -> dependency IDs
+   */
+  buildAdjacency(tasks) {
+    const ids = new Set(tasks.map(task => task.id));
+    return new Map(tasks.map(task => [task.id, task.dependencies.filter(id => ids.has(id))]));
+  }
+
+  /**
+   * Find a dependency cycle
+   * @param {Map<string, Array<string>>} graph - Task ID -> dependency IDs
+   * @returns {Array<string>|null} Cycle as task IDs (first ID repeated at the end) or null
+   */
+  findCycle(graph) {
+    const VISITING = 1;
+    const DONE = 2;
+    const state = new Map();
+
+    for (const start of graph.keys()) {
+      if (state.has(start)) {
+        continue;
+      }
+
+      // Iterative DFS so that long dependency chains cannot overflow the stack
+      const path = [];
+      const stack = [{ id: start, index: 0 }];
+      state.set(start, VISITING);
+      path.push(start);
+
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const next = (graph.get(frame.id) || [])[frame.index++];
+
+        if (next === undefined) {
+          state.set(frame.id, DONE);
+          stack.pop();
+          path.pop();
+          continue;
+        }
+        if (state.get(next) === VISITING) {
+          return [...path.slice(path.indexOf(next)), next];
+        }
+        if (!state.has(next)) {
+          state.set(next, VISITING);
+          path.push(next);
+          stack.push({ id: next, index: 0 });
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Sort tasks so that every task comes after its prerequisites (Kahn's algorithm)
+   * Tasks on the same level do not depend on each other and are ordered by priority.
+   * Tasks that are part of a cycle are left out.
+   * @param {Array<Task>} tasks - Tasks
+   * @returns {Object} { order: Array<string>, levels: Array<Array<string>> }
+   */
+  topologicalSort(tasks) {
+    const graph = this.buildAdjacency(tasks);
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+    const remaining = new Map([...graph].map(([id, dependencies]) => [id, dependencies.length]));
+    const dependents = new Map(tasks.map(task => [task.id, []]));
+    for (const [id, dependencies] of graph) {
+      dependencies.forEach(dependencyId => dependents.get(dependencyId).push(id));
+    }
+
+    const byPriority = (a, b) => this.getPriorityRank(tasksById.get(a)) - this.getPriorityRank(tasksById.get(b));
+    const order = [];
+    const levels = [];
+    let current = [...remaining].filter(([, count]) => count === 0).map(([id]) => id).sort(byPriority);
+
+    while (current.length > 0) {
+      levels.push(current);
+      order.push(...current);
+      const next = [];
+      for (const id of current) {
+        for (const dependentId of dependents.get(id)) {
+          remaining.set(dependentId, remaining.get(dependentId) - 1);
+          if (remaining.get(dependentId) === 0) {
+            next.push(dependentId);
+          }
+        }
+      }
+      current = next.sort(byPriority);
+    }
+
+    return { order, levels };
+  }
+
+  getStatusValue(task) {
+    return task?.status?.value || task?.status;
+  }
+
+  isCompleted(task) {
+    return this.getStatusValue(task) === TaskStatus.COMPLETED;
+  }
+
+  getPriorityRank(task) {
+    const priority = task?.priority?.value || task?.priority;
+    return PRIORITY_ORDER[priority] ?? PRIORITY_ORDER.medium;
+  }
+}
+
+module.exports = TaskDependencyService;
+module.exports.TaskDependencyValidationError = TaskDependencyValidationError;
+module.exports.TaskDependencyCycleError = TaskDependencyCycleError;
@@ -278,9 +278,10 @@ class TaskService {
    * @param {string} type - Task type
    * @param {string} category - Task category
    * @param {Object} metadata - Additional metadata
+   * @param {Array<string>} dependencies - IDs of tasks that must be completed first
    * @returns {Promise<Task>} Created task
    */
-      async createTask(projectId, title, description, priority = TaskPriority.MEDIUM, type = TaskType.FEATURE, category, metadata = {}) {
+      async createTask(projectId, title, description, priority = TaskPriority.MEDIUM, type = TaskType.FEATURE, category, metadata = {}, dependencies = []) {
     if (!projectId) {
       throw new Error('Project ID is required');
     }
@@ -290,6 +291,7 @@ class TaskService {
     }
 
     const task = Task.create(projectId, title, description, priority, type, { ...metadata, category });
+    dependencies.forEach(dependency => task.addDependency(dependency));
     const createdTask = await this.taskRepository.create(task);
     
     
@@ -363,7 +365,9 @@ class TaskService {
           createGitBranch: options.createGitBranch || false,
           branchName: options.branchName,
           autoExecute: options.autoExecute || true,
-          projectPath: options.projectPath
+          projectPath: options.projectPath,
+          // Run in an isolated worktree (undefined follows the project's .pidea/git setting)
+          worktree: options.worktree
         }
       );
       
@@ -998,6 +1002,29 @@ const logger = new Logger('Logger');
    * @returns {string} Merge request description
    */
   buildMergeRequestDescription(task) {
+    const metadata = task.metadata || {};
+    if (!metadata.filePath) {
+      return `
+## Task: ${task.title}
+
+### Description
+${task.description || 'No description provided.'}
+
+### Details
+- Task ID: \`${task.id}\`
+- Type: ${task.type?.value || task.type || 'unknown'}
+- Priority: ${task.priority?.value || task.priority || 'unknown'}
+
+### Review Checklist
+- [ ] Code follows project conventions
+- [ ] No breaking changes introduced
+- [ ] Tests cover the changes
+
+---
+*Auto-generated by PIDEA*
+    `.trim();
+    }
+
     return `
 ## Refactoring Task: ${task.title}
 
@@ -1005,13 +1032,13 @@ const logger = new Logger('Logger');
 ${task.description}
 
 ### Changes Made
-- Refactored file: \`${task.metadata.filePath}\`
-- Original lines: ${task.metadata.lines}
+- Refactored file: \`${metadata.filePath}\`
+- Original lines: ${metadata.lines}
 - Target: <500 lines per file
-- Refactoring type: ${task.metadata.refactoringType}
+- Refactoring type: ${metadata.refactoringType}
 
 ### Files Modified
-- \`${task.metadata.filePath}\` - Main refactored file
+- \`${metadata.filePath}\` - Main refactored file
 
 ### Testing
 - ✅ Build validation passed
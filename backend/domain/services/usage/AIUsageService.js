@@ -0,0 +1,386 @@
+/**
+ * AIUsageService - Domain service for token and cost accounting of AI interactions
+ * Records every prompt/response pair with token counts (estimated when the provider does not
+ * report them), model, duration, task and workflow step, aggregates them into per-task,
+ * per-model, per-step and per-day usage reports and pauses the project queue when a budget
+ * is exceeded
+ */
+
+const ServiceLogger = require('@logging/ServiceLogger');
+
+// Custom error classes for strict error handling
+class AIUsageValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AIUsageValidationError';
+    this.code = 'AIUsageValidationError';
+  }
+}
+
+// USD per one million tokens. IDE chats do not report their model and are priced as 'default'.
+const MODEL_PRICING = {
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  default: { input: 3, output: 15 }
+};
+
+const BUDGET_PERIODS = ['daily', 'monthly', 'total'];
+// Rough average for English text and code
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_REPORT_DAYS = 30;
+
+class AIUsageService {
+  constructor(dependencies = {}) {
+    this.logger = new ServiceLogger('AIUsageService');
+    this.repository = dependencies.aiUsageRepository;
+    this.queueMonitoringService = dependencies.queueMonitoringService;
+    this.eventBus = dependencies.eventBus;
+    this.pricing = { ...MODEL_PRICING, ...dependencies.options?.pricing };
+
+    if (!this.repository) {
+      throw new Error('AIUsageRepository is required');
+    }
+  }
+
+  /**
+   * Record a prompt/response pair
+   * Never throws: accounting must not break the AI interaction it describes.
+   * @param {Object} interaction - Interaction ({ projectId, taskId, workflowStep, source, model, ideType, prompt, response, promptTokens, completionTokens, durationMs, success, error })
+   * @returns {Promise<Object|null>} Stored record, or null if it could not be recorded
+   */
+  async recordInteraction(interaction) {
+    try {
+      if (!interaction.projectId) {
+        this.logger.debug('Skipping AI usage without project', { source: interaction.source });
+        return null;
+      }
+
+      const prompt = this.toText(interaction.prompt);
+      const response = this.toText(interaction.response);
+      const reported = Number.isFinite(interaction.promptTokens) && Number.isFinite(interaction.completionTokens);
+      const promptTokens = reported ? interaction.promptTokens : this.estimateTokens(prompt);
+      const completionTokens = reported ? interaction.completionTokens : this.estimateTokens(response);
+      const model = interaction.model || 'default';
+
+      const record = await this.repository.create({
+        projectId: interaction.projectId,
+        taskId: interaction.taskId || null,
+        workflowStep: interaction.workflowStep || null,
+        source: interaction.source || 'unknown',
+        model,
+        ideType: interaction.ideType || null,
+        prompt,
+        response,
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        estimatedTokens: !reported,
+        estimatedCost: this.estimateCost(model, promptTokens, completionTokens),
+        durationMs: Number.isFinite(interaction.durationMs) ? Math.round(interaction.durationMs) : null,
+        success: interaction.success !== false,
+        error: interaction.error || null
+      });
+
+      if (this.eventBus) {
+        this.eventBus.emit('ai:usage:recorded', {
+          projectId: record.projectId,
+          taskId: record.taskId,
+          recordId: record.id,
+          model: record.model,
+          totalTokens: record.totalTokens,
+          estimatedCost: record.estimatedCost
+        });
+      }
+
+      await this.checkBudgets(record.projectId);
+      return record;
+    } catch (error) {
+      this.logger.error('Failed to record AI usage', { projectId: interaction.projectId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Build the usage report of a project
+   * @param {string} projectId - Project ID
+   * @param {Object} filters - Filters ({ from, to, taskId }); defaults to the last 30 days
+   * @returns {Promise<Object>} { projectId, from, to, taskId, totals, byTask, byModel, byStep, byDay, budgets, queuePaused }
+   */
+  async getUsageReport(projectId, filters = {}) {
+    // Without "to" the report is open-ended, so it includes interactions recorded while it is built
+    const to = this.parseDate(filters.to, 'to');
+    const end = to || new Date();
+    const from = this.parseDate(filters.from, 'from') || new Date(end.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+    if (from >= end) {
+      throw new AIUsageValidationError('"from" must be before "to"');
+    }
+
+    const records = await this.repository.findByProjectId(projectId, {
+      from: from.toISOString(),
+      to: to ? to.toISOString() : null,
+      taskId: filters.taskId
+    });
+
+    return {
+      projectId,
+      from: from.toISOString(),
+      to: end.toISOString(),
+      taskId: filters.taskId || null,
+      totals: this.summarize(records),
+      byTask: this.groupBy(records, record => record.taskId, 'taskId'),
+      byModel: this.groupBy(records, record => record.model, 'model'),
+      byStep: this.groupBy(records, record => record.workflowStep || record.source, 'workflowStep'),
+      byDay: this.groupBy(records, record => this.toISOString(record.createdAt).slice(0, 10), 'date')
+        .sort((a, b) => a.date.localeCompare(b.date)),
+      budgets: await this.getBudgetStatus(projectId),
+      queuePaused: this.queueMonitoringService?.getProjectQueuePause(projectId) || null
+    };
+  }
+
+  /**
+   * Get the budgets of a project with their current usage
+   * @param {string} projectId - Project ID
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array<Object>>} Budgets ({ ...budget, periodStart, usedTokens, usedCost, exceeded })
+   */
+  async getBudgetStatus(projectId, now = new Date()) {
+    const budgets = await this.repository.findBudgetsByProjectId(projectId);
+    const statuses = [];
+
+    for (const budget of budgets) {
+      const periodStart = this.getPeriodStart(budget.period, now);
+      // Budgets are checked after every interaction, so the database sums the period
+      const totals = await this.repository.sumByProjectId(projectId, { from: periodStart ? periodStart.toISOString() : null });
+      const tokensExceeded = budget.maxTokens !== null && totals.totalTokens >= budget.maxTokens;
+      const costExceeded = budget.maxCost !== null && totals.estimatedCost >= budget.maxCost;
+
+      statuses.push({
+        ...budget,
+        periodStart: periodStart ? periodStart.toISOString() : null,
+        usedTokens: totals.totalTokens,
+        usedCost: this.roundCost(totals.estimatedCost),
+        exceeded: budget.enabled && (tokensExceeded || costExceeded)
+      });
+    }
+
+    return statuses;
+  }
+
+  /**
+   * Create or replace the budget of a project for a period
+   * @param {string} projectId - Project ID
+   * @param {string} period - 'daily', 'monthly' or 'total'
+   * @param {Object} budgetData - Budget ({ maxTokens, maxCost, enabled })
+   * @returns {Promise<Object>} Saved budget
+   */
+  async setBudget(projectId, period, budgetData = {}) {
+    if (!BUDGET_PERIODS.includes(period)) {
+      throw new AIUsageValidationError(`Budget period must be one of: ${BUDGET_PERIODS.join(', ')}`);
+    }
+
+    const maxTokens = this.parseLimit(budgetData.maxTokens, 'maxTokens', true);
+    const maxCost = this.parseLimit(budgetData.maxCost, 'maxCost', false);
+    if (maxTokens === null && maxCost === null) {
+      throw new AIUsageValidationError('A budget needs maxTokens, maxCost or both');
+    }
+
+    const budget = await this.repository.saveBudget(projectId, period, {
+      maxTokens,
+      maxCost,
+      enabled: budgetData.enabled !== false,
+      // A changed budget is announced again when it is exceeded
+      lastExceededAt: null
+    });
+    this.logger.info('AI usage budget saved', { projectId, period, maxTokens, maxCost });
+
+    await this.checkBudgets(projectId);
+    return budget;
+  }
+
+  /**
+   * Delete the budget of a project for a period
+   * @param {string} projectId - Project ID
+   * @param {string} period - Budget period
+   * @returns {Promise<void>}
+   */
+  async deleteBudget(projectId, period) {
+    if (!BUDGET_PERIODS.includes(period)) {
+      throw new AIUsageValidationError(`Budget period must be one of: ${BUDGET_PERIODS.join(', ')}`);
+    }
+    await this.repository.deleteBudget(projectId, period);
+  }
+
+  /**
+   * Pause the project queue if a budget is exceeded
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array<Object>>} Exceeded budgets
+   */
+  async checkBudgets(projectId) {
+    const exceeded = (await this.getBudgetStatus(projectId)).filter(budget => budget.exceeded);
+    if (exceeded.length === 0) {
+      return [];
+    }
+
+    for (const budget of exceeded) {
+      // Announce each budget once per period
+      if (budget.lastExceededAt && (!budget.periodStart || budget.lastExceededAt >= budget.periodStart)) {
+        continue;
+      }
+      await this.repository.saveBudget(projectId, budget.period, { lastExceededAt: new Date().toISOString() });
+      this.logger.warn('AI usage budget exceeded', { projectId, period: budget.period, usedTokens: budget.usedTokens, usedCost: budget.usedCost });
+      if (this.eventBus) {
+        this.eventBus.emit('ai:budget:exceeded', {
+          projectId,
+          period: budget.period,
+          maxTokens: budget.maxTokens,
+          maxCost: budget.maxCost,
+          usedTokens: budget.usedTokens,
+          usedCost: budget.usedCost
+        });
+      }
+    }
+
+    if (this.queueMonitoringService && !this.queueMonitoringService.isProjectQueuePaused(projectId)) {
+      const periods = exceeded.map(budget => budget.period).join(', ');
+      this.queueMonitoringService.pauseProjectQueue(projectId, `AI usage budget exceeded (${periods})`, 'AIUsageService');
+    }
+
+    return exceeded;
+  }
+
+  /**
+   * Estimate the token count of a text
+   * @param {string} text - Text
+   * @returns {number} Estimated tokens
+   */
+  estimateTokens(text) {
+    return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+  }
+
+  /**
+   * Estimate the cost of an interaction in USD
+   * @param {string} model - Model name
+   * @param {number} promptTokens - Prompt tokens
+   * @param {number} completionTokens - Completion tokens
+   * @returns {number} Cost in USD
+   */
+  estimateCost(model, promptTokens, completionTokens) {
+    const price = this.getPricing(model);
+    return this.roundCost((promptTokens * price.input + completionTokens * price.output) / 1000000);
+  }
+
+  getPricing(model) {
+    if (this.pricing[model]) {
+      return this.pricing[model];
+    }
+    // Versioned model names such as 'claude-3-sonnet-20240229'
+    const family = Object.keys(this.pricing)
+      .filter(name => name !== 'default' && model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return family ? this.pricing[family] : this.pricing.default;
+  }
+
+  /**
+   * Start of the current budget period (UTC)
+   * @param {string} period - 'daily', 'monthly' or 'total'
+   * @param {Date} now - Reference time
+   * @returns {Date|null} Period start, or null for 'total'
+   */
+  getPeriodStart(period, now) {
+    if (period === 'daily') {
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    }
+    if (period === 'monthly') {
+      return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    }
+    return null;
+  }
+
+  summarize(records) {
+    const totals = {
+      requests: 0,
+      failedRequests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      estimatedCost: 0,
+      durationMs: 0
+    };
+    for (const record of records) {
+      totals.requests++;
+      totals.failedRequests += record.success ? 0 : 1;
+      totals.promptTokens += record.promptTokens;
+      totals.completionTokens += record.completionTokens;
+      totals.totalTokens += record.totalTokens;
+      totals.estimatedCost += record.estimatedCost;
+      totals.durationMs += record.durationMs || 0;
+    }
+    totals.estimatedCost = this.roundCost(totals.estimatedCost);
+    return totals;
+  }
+
+  /**
+   * Summarize records per key, highest token usage first
+   * @param {Array<Object>} records - Usage records
+   * @param {Function} keyOf - Record -> group key
+   * @param {string} keyName - Name of the key property in the result
+   * @returns {Array<Object>} Groups ({ [keyName], ...totals })
+   */
+  groupBy(records, keyOf, keyName) {
+    const groups = new Map();
+    for (const record of records) {
+      const key = keyOf(record) || null;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(record);
+    }
+    return [...groups]
+      .map(([key, groupRecords]) => ({ [keyName]: key, ...this.summarize(groupRecords) }))
+      .sort((a, b) => b.totalTokens - a.totalTokens);
+  }
+
+  parseLimit(value, name, integer) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+      throw new AIUsageValidationError(`${name} must be a positive ${integer ? 'integer' : 'number'}`);
+    }
+    return number;
+  }
+
+  parseDate(value, name) {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new AIUsageValidationError(`"${name}" is not a valid date: ${value}`);
+    }
+    return date;
+  }
+
+  toText(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  toISOString(value) {
+    return value instanceof Date ? value.toISOString() : String(value);
+  }
+
+  roundCost(cost) {
+    return Math.round(cost * 1000000) / 1000000;
+  }
+}
+
+module.exports = AIUsageService;
+module.exports.AIUsageValidationError = AIUsageValidationError;
+module.exports.MODEL_PRICING = MODEL_PRICING;
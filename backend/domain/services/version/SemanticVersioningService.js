@@ -217,6 +217,93 @@ class SemanticVersioningService {
     return 'patch';
   }
 
+  /**
+   * Parse a Conventional Commit message (type(scope)!: description, body, footers)
+   * @param {string} message - Commit message
+   * @returns {Object|null} { type, scope, breaking, description, body, footers } or null if not conventional
+   */
+  parseConventionalCommit(message) {
+    const [header = '', ...rest] = String(message || '').replace(/\r\n/g, '\n').split('\n');
+    const match = header.match(/^(\w+)(?:\(([^()]+)\))?(!)?: (.+)$/);
+    if (!match) {
+      return null;
+    }
+
+    const footers = {};
+    const bodyLines = [];
+    for (const line of rest) {
+      const footer = line.match(/^(BREAKING CHANGE|BREAKING-CHANGE|[\w-]+): (.+)$/);
+      if (footer) {
+        footers[footer[1]] = footer[2];
+      } else if (Object.keys(footers).length === 0) {
+        bodyLines.push(line);
+      }
+    }
+
+    return {
+      type: match[1].toLowerCase(),
+      scope: match[2] || null,
+      breaking: Boolean(match[3]) || 'BREAKING CHANGE' in footers || 'BREAKING-CHANGE' in footers,
+      description: match[4].trim(),
+      body: bodyLines.join('\n').trim(),
+      footers
+    };
+  }
+
+  /**
+   * Change category of a commit for determineBumpType
+   * @param {string} message - Commit message
+   * @returns {string|null} breakingChanges, newFeatures, bugFixes, performance, refactoring, documentation, tests,
+   *   configuration, or null when the message is not a Conventional Commit
+   */
+  classifyConventionalCommit(message) {
+    const commit = this.parseConventionalCommit(message);
+    if (!commit) {
+      return null;
+    }
+    if (commit.breaking) {
+      return 'breakingChanges';
+    }
+
+    const categories = {
+      feat: 'newFeatures',
+      fix: 'bugFixes',
+      perf: 'performance',
+      refactor: 'refactoring',
+      docs: 'documentation',
+      test: 'tests',
+      build: 'configuration',
+      ci: 'configuration',
+      chore: 'configuration',
+      style: 'refactoring',
+      revert: 'bugFixes'
+    };
+    return categories[commit.type] || 'configuration';
+  }
+
+  /**
+   * Determine bump type from Conventional Commit messages:
+   * breaking changes bump major, features minor, everything else patch
+   * @param {Array<string|Object>} commits - Commit messages or commits with a message
+   * @returns {string|null} Bump type, or null when none of the commits is conventional
+   */
+  determineBumpTypeFromCommits(commits = []) {
+    const categories = commits
+      .map(commit => this.classifyConventionalCommit(typeof commit === 'string' ? commit : commit && commit.message))
+      .filter(Boolean);
+
+    if (categories.length === 0) {
+      return null;
+    }
+    if (categories.includes('breakingChanges')) {
+      return 'major';
+    }
+    if (categories.includes('newFeatures')) {
+      return 'minor';
+    }
+    return 'patch';
+  }
+
   /**
    * Check if version is prerelease
    * @param {string} version - Version string
@@ -145,7 +145,7 @@ class VersionManagementService {
    * Determine bump type based on task and changes
    * @param {Object} task - Task object
    * @param {string} projectPath - Project path
-   * @param {Object} context - Additional context
+   * @param {Object} context - Additional context (commitMessages: Conventional Commits of the task)
    * @returns {Promise<string>} Bump type
    */
   async determineBumpType(task, projectPath, context = {}) {
@@ -154,6 +154,14 @@ class VersionManagementService {
       const taskType = task.type?.value || task.type;
       const priority = task.priority?.value || task.priority;
       
+      // Conventional Commits of the task describe its changes best
+      if (Array.isArray(context.commitMessages)) {
+        const commitBumpType = this.semanticVersioning.determineBumpTypeFromCommits(context.commitMessages);
+        if (commitBumpType) {
+          return commitBumpType;
+        }
+      }
+
       // Check for breaking changes in task description
       const hasBreakingChanges = this.detectBreakingChanges(task);
       
@@ -0,0 +1,551 @@
+/**
+ * WebhookService - Domain service for outgoing project webhooks
+ * Listens to lifecycle events on the EventBus, delivers HMAC-signed payloads to the
+ * registered endpoints and retries failed deliveries with exponential backoff
+ */
+
+const crypto = require('crypto');
+const ServiceLogger = require('@logging/ServiceLogger');
+
+// Custom error classes for strict error handling
+class WebhookValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookValidationError';
+    this.code = 'WebhookValidationError';
+  }
+}
+
+class WebhookNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookNotFoundError';
+    this.code = 'WebhookNotFoundError';
+  }
+}
+
+const WEBHOOK_EVENTS = [
+  'task:completed',
+  'queue:item:completed',
+  'queue:item:failed',
+  'workflow:step:failed',
+  'analysis:completed',
+  'analysis:failed'
+];
+
+const ANALYSIS_TYPES = ['code-quality', 'performance', 'architecture', 'security', 'project'];
+
+// The same lifecycle change is often published by several sources (e.g. task status)
+const DEDUPE_WINDOW_MS = 10000;
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+class WebhookService {
+  constructor(dependencies = {}) {
+    this.logger = new ServiceLogger('WebhookService');
+    this.repository = dependencies.webhookRepository;
+    this.eventBus = dependencies.eventBus;
+    this.taskRepository = dependencies.taskRepository;
+    this.projectRepository = dependencies.projectRepository;
+    this.httpClient = dependencies.httpClient || ((url, options) => fetch(url, options));
+    this.retryPolicy = {
+      maxAttempts: 5,
+      baseDelayMs: 2000,
+      maxDelayMs: 5 * 60 * 1000,
+      timeoutMs: 10000,
+      ...dependencies.retryPolicy
+    };
+
+    this.subscriptions = [];
+    this.retryTimers = new Map();
+    this.recentEvents = new Map();
+
+    if (!this.repository) {
+      throw new Error('WebhookRepository is required');
+    }
+  }
+
+  /**
+   * Subscribe to the lifecycle events and resume retries left over from a restart
+   */
+  async start() {
+    if (!this.eventBus || this.subscriptions.length > 0) {
+      return;
+    }
+
+    for (const sourceEvent of this.getSourceEvents()) {
+      const handler = (data) => this.handleEvent(sourceEvent, data);
+      this.eventBus.subscribe(sourceEvent, handler);
+      this.subscriptions.push({ sourceEvent, handler });
+    }
+
+    try {
+      const pending = await this.repository.findPendingRetries();
+      pending.forEach(delivery => this.scheduleRetry(delivery, delivery.nextAttemptAt));
+      this.logger.info(`Webhooks listening to ${this.subscriptions.length} events, ${pending.length} retries resumed`);
+    } catch (error) {
+      this.logger.warn('Failed to resume pending webhook deliveries', { error: error.message });
+    }
+  }
+
+  /**
+   * Unsubscribe from the EventBus and cancel scheduled retries
+   */
+  async stop() {
+    for (const { sourceEvent, handler } of this.subscriptions) {
+      this.eventBus.unsubscribe(sourceEvent, handler);
+    }
+    this.subscriptions = [];
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+
+  /**
+   * EventBus events that are translated into webhook events
+   * @returns {Array<string>} Source event names
+   */
+  getSourceEvents() {
+    return [
+      'task:status:transition',
+      'task:status:change',
+      'task:status:changed',
+      'queue:item:updated',
+      'workflow:step:progress',
+      'workflow:step:failed',
+      'step:completed',
+      'step:failed',
+      'data:analysis:completed',
+      ...ANALYSIS_TYPES.flatMap(type => [`${type}:analysis:completed`, `${type}:analysis:failed`])
+    ];
+  }
+
+  /**
+   * Translate an EventBus event into a webhook event
+   * @param {string} sourceEvent - EventBus event name
+   * @param {Object} data - EventBus event data
+   * @returns {Object|null} { event, key, projectId, taskId, projectPath, data } or null when not relevant
+   */
+  mapEvent(sourceEvent, data = {}) {
+    if (!data || typeof data !== 'object') {
+      return null;
+    }
+
+    if (sourceEvent.startsWith('task:status:')) {
+      const toStatus = data.toStatus || data.newStatus;
+      if (toStatus !== 'completed' || !data.taskId) {
+        return null;
+      }
+      return {
+        event: 'task:completed',
+        key: `task:${data.taskId}`,
+        projectId: data.projectId,
+        taskId: data.taskId,
+        data: { taskId: data.taskId, fromStatus: data.fromStatus || data.oldStatus || null, toStatus }
+      };
+    }
+
+    if (sourceEvent === 'queue:item:updated') {
+      const status = data.item?.status;
+      if (status !== 'completed' && status !== 'failed') {
+        return null;
+      }
+      return {
+        event: `queue:item:${status}`,
+        key: `queue:${data.projectId}:${data.itemId}`,
+        projectId: data.projectId,
+        data: { itemId: data.itemId, item: data.item }
+      };
+    }
+
+    if (sourceEvent === 'workflow:step:progress' || sourceEvent === 'workflow:step:failed') {
+      const step = data.progress || data.step || null;
+      if (sourceEvent === 'workflow:step:progress' && step?.status !== 'failed') {
+        return null;
+      }
+      return {
+        event: 'workflow:step:failed',
+        key: `workflow:${data.workflowId}:${data.stepId}`,
+        projectId: data.projectId,
+        data: { workflowId: data.workflowId, stepId: data.stepId, step, error: data.error || step?.error || null }
+      };
+    }
+
+    if (sourceEvent === 'step:completed' || sourceEvent === 'step:failed') {
+      if (!data.analysisType) {
+        return null;
+      }
+      const event = sourceEvent === 'step:completed' ? 'analysis:completed' : 'analysis:failed';
+      return {
+        event,
+        key: `analysis:${data.projectId}:${data.analysisType}`,
+        projectId: data.projectId,
+        data: { analysisType: data.analysisType, stepId: data.stepId, status: data.status }
+      };
+    }
+
+    if (sourceEvent === 'data:analysis:completed') {
+      // EventEmissionService wraps the original event and also uses this name for progress updates
+      const analysis = data.data || {};
+      if (analysis.status && analysis.status !== 'completed') {
+        return null;
+      }
+      if (analysis.progress !== undefined && analysis.progress < 100) {
+        return null;
+      }
+      return {
+        event: 'analysis:completed',
+        key: `analysis:${analysis.projectId}:${analysis.analysisType || analysis.type}`,
+        projectId: analysis.projectId,
+        projectPath: analysis.projectPath,
+        data: { analysisType: analysis.analysisType || analysis.type || null, analysisId: analysis.analysisId || analysis.id || null }
+      };
+    }
+
+    const match = sourceEvent.match(/^(.+):analysis:(completed|failed)$/);
+    if (match) {
+      return {
+        event: `analysis:${match[2]}`,
+        key: `analysis:${data.projectId || data.projectPath}:${match[1]}`,
+        projectId: data.projectId,
+        projectPath: data.projectPath,
+        data: { analysisType: match[1], projectPath: data.projectPath, error: data.error || null }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle an EventBus event and dispatch it to the matching webhooks
+   * @param {string} sourceEvent - EventBus event name
+   * @param {Object} data - EventBus event data
+   * @returns {Promise<Array<Object>>} Created deliveries
+   */
+  async handleEvent(sourceEvent, data) {
+    try {
+      const mapped = this.mapEvent(sourceEvent, data);
+      if (!mapped) {
+        return [];
+      }
+
+      const projectId = mapped.projectId || await this.resolveProjectId(mapped);
+      if (!projectId) {
+        this.logger.debug(`No project for ${mapped.event}, skipping webhooks`);
+        return [];
+      }
+      if (this.isDuplicate(`${mapped.event}:${mapped.key}`)) {
+        return [];
+      }
+
+      return await this.dispatch(projectId, mapped.event, mapped.data);
+    } catch (error) {
+      this.logger.error(`Failed to handle ${sourceEvent} for webhooks`, { error: error.message });
+      return [];
+    }
+  }
+
+  async resolveProjectId(mapped) {
+    if (mapped.taskId && this.taskRepository) {
+      const task = await this.taskRepository.findById(mapped.taskId);
+      return task?.projectId || null;
+    }
+    if (mapped.projectPath && this.projectRepository) {
+      const project = await this.projectRepository.findByWorkspacePath(mapped.projectPath);
+      return project?.id || null;
+    }
+    return null;
+  }
+
+  isDuplicate(key) {
+    const now = Date.now();
+    for (const [recentKey, seenAt] of this.recentEvents) {
+      if (now - seenAt > DEDUPE_WINDOW_MS) {
+        this.recentEvents.delete(recentKey);
+      }
+    }
+    if (this.recentEvents.has(key)) {
+      return true;
+    }
+    this.recentEvents.set(key, now);
+    return false;
+  }
+
+  /**
+   * Deliver an event to every active webhook of a project that subscribed to it
+   * @param {string} projectId - Project ID
+   * @param {string} event - Webhook event name
+   * @param {Object} data - Event data
+   * @returns {Promise<Array<Object>>} Created deliveries (delivery continues in the background)
+   */
+  async dispatch(projectId, event, data) {
+    const webhooks = await this.repository.findByProjectId(projectId, { activeOnly: true });
+    const deliveries = [];
+
+    for (const webhook of webhooks.filter(hook => this.matchesEvent(hook, event))) {
+      const delivery = await this.repository.createDelivery({
+        webhookId: webhook.id,
+        projectId,
+        eventName: event,
+        payload: JSON.stringify({ event, projectId, timestamp: new Date().toISOString(), data })
+      });
+      deliveries.push(delivery);
+      this.attemptDelivery(delivery, webhook).catch(error => {
+        this.logger.error(`Webhook delivery ${delivery.id} crashed`, { error: error.message });
+      });
+    }
+
+    if (deliveries.length > 0) {
+      this.logger.info(`Dispatched ${event} to ${deliveries.length} webhook(s)`, { projectId });
+    }
+    return deliveries;
+  }
+
+  matchesEvent(webhook, event) {
+    return webhook.events.includes('*') || webhook.events.includes(event);
+  }
+
+  /**
+   * Send one delivery attempt and record the outcome, scheduling a retry on failure
+   * @param {Object} delivery - Delivery record
+   * @param {Object} webhook - Target webhook
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async attemptDelivery(delivery, webhook) {
+    this.retryTimers.delete(delivery.id);
+
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    const result = { attempts, responseStatus: null, responseBody: null, errorMessage: null, nextAttemptAt: null };
+
+    try {
+      const response = await this.httpClient(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PIDEA-Webhooks/1.0',
+          'X-PIDEA-Event': delivery.eventName,
+          'X-PIDEA-Delivery': delivery.id,
+          'X-PIDEA-Timestamp': timestamp,
+          'X-PIDEA-Signature': `sha256=${this.sign(webhook.secret, timestamp, delivery.payload)}`
+        },
+        body: delivery.payload,
+        signal: AbortSignal.timeout(this.retryPolicy.timeoutMs)
+      });
+      result.responseStatus = response.status;
+      result.responseBody = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY_LENGTH);
+      if (!response.ok) {
+        result.errorMessage = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      result.errorMessage = error.message;
+    }
+    result.durationMs = Date.now() - startedAt;
+
+    if (!result.errorMessage) {
+      result.status = 'succeeded';
+    } else if (attempts < this.retryPolicy.maxAttempts) {
+      result.status = 'retrying';
+      result.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attempts)).toISOString();
+    } else {
+      result.status = 'failed';
+    }
+
+    await this.repository.updateDelivery(delivery.id, result);
+    const updated = { ...delivery, ...result };
+
+    if (result.status === 'retrying') {
+      this.logger.warn(`Webhook delivery ${delivery.id} failed (attempt ${attempts}), retrying`, { error: result.errorMessage });
+      this.scheduleRetry(updated, result.nextAttemptAt);
+    } else if (result.status === 'failed') {
+      this.logger.error(`Webhook delivery ${delivery.id} failed after ${attempts} attempts`, { error: result.errorMessage });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Exponential backoff delay for the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryPolicy.baseDelayMs * 2 ** (attempts - 1), this.retryPolicy.maxDelayMs);
+  }
+
+  scheduleRetry(delivery, nextAttemptAt) {
+    const delay = Math.max(0, new Date(nextAttemptAt || Date.now()).getTime() - Date.now());
+    const timer = setTimeout(async () => {
+      try {
+        const webhook = await this.repository.findById(delivery.webhookId);
+        if (!webhook || !webhook.active) {
+          this.retryTimers.delete(delivery.id);
+          await this.repository.updateDelivery(delivery.id, {
+            ...delivery,
+            status: 'failed',
+            nextAttemptAt: null,
+            errorMessage: 'Webhook was removed or disabled'
+          });
+          return;
+        }
+        await this.attemptDelivery(delivery, webhook);
+      } catch (error) {
+        this.logger.error(`Webhook retry for ${delivery.id} crashed`, { error: error.message });
+      }
+    }, delay);
+    timer.unref?.();
+    this.retryTimers.set(delivery.id, timer);
+  }
+
+  /**
+   * HMAC-SHA256 signature over "<timestamp>.<body>"
+   * @param {string} secret - Webhook secret
+   * @param {string} timestamp - Unix timestamp in seconds (X-PIDEA-Timestamp)
+   * @param {string} body - Raw request body
+   * @returns {string} Hex digest
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Register a webhook for a project
+   * @param {string} projectId - Project ID
+   * @param {Object} data - { url, events, secret, description, active }
+   * @returns {Promise<Object>} Created webhook including its secret
+   */
+  async createWebhook(projectId, data = {}) {
+    this.validateWebhookData(data, true);
+    const webhook = await this.repository.create({
+      projectId,
+      url: data.url,
+      events: data.events,
+      secret: data.secret || crypto.randomBytes(32).toString('hex'),
+      description: data.description,
+      active: data.active
+    });
+    this.logger.info(`Webhook ${webhook.id} registered`, { projectId, events: webhook.events });
+    return webhook;
+  }
+
+  /**
+   * Update a webhook
+   * @param {string} projectId - Project ID
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} data - Fields to change ({ url, events, secret, description, active })
+   * @returns {Promise<Object>} Updated webhook
+   */
+  async updateWebhook(projectId, webhookId, data = {}) {
+    await this.getWebhook(projectId, webhookId);
+    this.validateWebhookData(data, false);
+
+    const updates = {};
+    ['url', 'events', 'secret', 'description', 'active'].forEach(field => {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    });
+    return this.repository.update(webhookId, updates);
+  }
+
+  /**
+   * Delete a webhook and its delivery history
+   * @param {string} projectId - Project ID
+   * @param {string} webhookId - Webhook ID
+   */
+  async deleteWebhook(projectId, webhookId) {
+    await this.getWebhook(projectId, webhookId);
+    await this.repository.delete(webhookId);
+    this.logger.info(`Webhook ${webhookId} deleted`, { projectId });
+  }
+
+  /**
+   * Get a webhook of a project
+   * @param {string} projectId - Project ID
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Object>} Webhook
+   */
+  async getWebhook(projectId, webhookId) {
+    const webhook = await this.repository.findById(webhookId);
+    if (!webhook || webhook.projectId !== projectId) {
+      throw new WebhookNotFoundError(`Webhook ${webhookId} not found`);
+    }
+    return webhook;
+  }
+
+  async listWebhooks(projectId) {
+    return this.repository.findByProjectId(projectId);
+  }
+
+  /**
+   * Get the delivery history of a webhook
+   * @param {string} projectId - Project ID
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} options - { status, limit }
+   * @returns {Promise<Array<Object>>} Deliveries, newest first
+   */
+  async getDeliveries(projectId, webhookId, options = {}) {
+    await this.getWebhook(projectId, webhookId);
+    return this.repository.findDeliveriesByWebhookId(webhookId, options);
+  }
+
+  /**
+   * Send a previous delivery again as a new delivery with the same payload
+   * @param {string} projectId - Project ID
+   * @param {string} webhookId - Webhook ID
+   * @param {string} deliveryId - Delivery to resend
+   * @returns {Promise<Object>} New delivery after its first attempt
+   */
+  async redeliver(projectId, webhookId, deliveryId) {
+    const webhook = await this.getWebhook(projectId, webhookId);
+    const original = await this.repository.findDeliveryById(deliveryId);
+    if (!original || original.webhookId !== webhook.id) {
+      throw new WebhookNotFoundError(`Delivery ${deliveryId} not found`);
+    }
+
+    const delivery = await this.repository.createDelivery({
+      webhookId: webhook.id,
+      projectId,
+      eventName: original.eventName,
+      payload: original.payload,
+      redeliveryOf: original.id
+    });
+    return this.attemptDelivery(delivery, webhook);
+  }
+
+  validateWebhookData(data, requireAll) {
+    if (requireAll || data.url !== undefined) {
+      let url;
+      try {
+        url = new URL(data.url);
+      } catch (error) {
+        throw new WebhookValidationError('url must be a valid URL');
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new WebhookValidationError('url must use http or https');
+      }
+    }
+
+    if (requireAll || data.events !== undefined) {
+      if (!Array.isArray(data.events) || data.events.length === 0) {
+        throw new WebhookValidationError('events must be a non-empty array');
+      }
+      const unknown = data.events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+      if (unknown.length > 0) {
+        throw new WebhookValidationError(`Unknown webhook events: ${unknown.join(', ')}`);
+      }
+    }
+
+    if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < 16)) {
+      throw new WebhookValidationError('secret must be a string of at least 16 characters');
+    }
+    if (data.active !== undefined && typeof data.active !== 'boolean') {
+      throw new WebhookValidationError('active must be a boolean');
+    }
+  }
+}
+
+WebhookService.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookService;
+module.exports.WebhookValidationError = WebhookValidationError;
+module.exports.WebhookNotFoundError = WebhookNotFoundError;
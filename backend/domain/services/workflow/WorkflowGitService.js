@@ -15,6 +15,12 @@ class WorkflowGitService {
         this.gitService = dependencies.gitService || new GitService(dependencies);
         this.logger = dependencies.logger || new ServiceLogger('WorkflowGitService');
         this.eventBus = dependencies.eventBus;
+        this.stepRegistry = dependencies.stepRegistry || this.gitService.stepRegistry || null;
+        this.forgeService = dependencies.forgeService || null;
+        this.branchProtectionService = dependencies.branchProtectionService || null;
+        this.commitMessageService = dependencies.commitMessageService || null;
+        this.worktreeService = dependencies.worktreeService || null;
+        this.ideManager = dependencies.ideManager || null;
         
         // Initialize enhanced git workflow manager
         this.gitWorkflowManager = new GitWorkflowManager({
@@ -68,6 +74,10 @@ class WorkflowGitService {
      * @returns {Promise<Object>} Branch creation result
      */
     async createWorkflowBranch(projectPath, task, options = {}) {
+        if (await this.usesWorktree(projectPath, options.worktree)) {
+            return await this.createWorkflowWorktree(projectPath, task, options);
+        }
+
         try {
             // Use enhanced git workflow manager for branch creation
             const context = new GitWorkflowContext({
@@ -100,6 +110,197 @@ class WorkflowGitService {
         }
     }
 
+    /**
+     * Create the workflow branch in a worktree of its own instead of checking it out in the project
+     * @param {string} projectPath - Project path
+     * @param {Object} task - Task object
+     * @param {Object} options - Workflow options (branchName, port of the IDE working on the task)
+     * @returns {Promise<Object>} Branch creation result with the workspacePath of the worktree
+     */
+    async createWorkflowWorktree(projectPath, task, options = {}) {
+        const branchStrategy = this.determineBranchStrategy(task.type, options);
+        const branchName = options.branchName || this.generateBranchName(task, branchStrategy);
+
+        const workspace = await this.prepareTaskWorkspace(projectPath, task, {
+            worktree: true,
+            port: options.port,
+            branchName,
+            startPoint: branchStrategy.startPoint
+        });
+        if (!workspace.worktree) {
+            return await this.createWorkflowBranch(projectPath, task, { ...options, worktree: false });
+        }
+
+        await this.applyBranchConfiguration(projectPath, workspace.worktree.branch, branchStrategy);
+
+        if (this.eventBus) {
+            this.eventBus.publish('workflow.branch.created', {
+                projectPath,
+                taskId: task.id,
+                branchName: workspace.worktree.branch,
+                strategy: branchStrategy,
+                workspacePath: workspace.workspacePath,
+                timestamp: new Date()
+            });
+        }
+
+        return {
+            branchName: workspace.worktree.branch,
+            strategy: branchStrategy,
+            status: 'created',
+            workspacePath: workspace.workspacePath,
+            worktree: workspace.worktree,
+            message: `Created ${branchStrategy.type} branch ${workspace.worktree.branch} in worktree ${workspace.workspacePath}`,
+            metadata: {
+                taskId: task.id,
+                taskType: task.type?.value,
+                workflowType: branchStrategy.type,
+                startPoint: branchStrategy.startPoint || 'main',
+                mergeTarget: branchStrategy.mergeTarget || 'main',
+                timestamp: new Date()
+            }
+        };
+    }
+
+    /**
+     * Whether a task of the project runs in its own worktree
+     * @param {string} projectPath - Project path
+     * @param {boolean} requested - Choice of the execution request, the project setting when not given
+     * @returns {Promise<boolean>}
+     */
+    async usesWorktree(projectPath, requested = undefined) {
+        if (!this.worktreeService) {
+            return false;
+        }
+        return await this.worktreeService.isEnabled(projectPath, requested);
+    }
+
+    /**
+     * Prepare the directory a task runs in
+     * With worktrees the task gets its own worktree on its branch and the IDE running it opens the
+     * worktree. An IDE that cannot open it would keep editing the project, so the task then runs in
+     * the project itself, as it does without worktrees.
+     * @param {string} projectPath - Project path (main working copy)
+     * @param {Object} task - Task object (id)
+     * @param {Object} options - worktree (overrides the project setting), port (IDE running the task,
+     *   the active IDE by default), branchName (task/<id> by default), startPoint
+     * @returns {Promise<Object>} { workspacePath, worktree } - worktree is null when the task runs in the
+     *   project; warning tells why a requested worktree is not used
+     */
+    async prepareTaskWorkspace(projectPath, task, options = {}) {
+        if (!task?.id || !(await this.usesWorktree(projectPath, options.worktree))) {
+            return { workspacePath: projectPath, worktree: null };
+        }
+
+        const port = options.port || (typeof this.ideManager?.getActivePort === 'function' ? this.ideManager.getActivePort() : null);
+        if (!port || !this.ideManager) {
+            return this.skipWorktree(projectPath, task, 'no IDE runs the task');
+        }
+
+        const worktree = await this.worktreeService.createWorktree(projectPath, task.id, {
+            branchName: options.branchName,
+            startPoint: options.startPoint
+        });
+
+        // A retry on the same IDE keeps the workspace the IDE had before the task
+        const assignment = this.worktreeService.getIDEAssignment(worktree.path);
+        let result;
+        try {
+            result = await this.ideManager.setWorkspacePath(port, worktree.path);
+        } catch (error) {
+            await this.worktreeService.removeWorktree(projectPath, task.id).catch(removeError => {
+                this.logger.warn(`Could not remove the unused worktree of task ${task.id}: ${removeError.message}`);
+            });
+            return this.skipWorktree(projectPath, task, `IDE ${port} cannot open the worktree: ${error.message}`);
+        }
+        const previousWorkspace = assignment && assignment.port === port
+            ? assignment.previousWorkspace
+            : result.previousWorkspacePath;
+        this.worktreeService.assignIDE(worktree.path, port, previousWorkspace);
+
+        this.logger.info(`Task ${task.id} runs in worktree ${worktree.path}`, { branch: worktree.branch, port });
+
+        return {
+            workspacePath: worktree.path,
+            worktree: { ...worktree, port }
+        };
+    }
+
+    /**
+     * Run a task in the project although worktrees are enabled
+     * @returns {Object} { workspacePath, worktree: null, warning }
+     */
+    skipWorktree(projectPath, task, reason) {
+        const warning = `Task ${task.id} runs in the project instead of a worktree, ${reason}`;
+        this.logger.warn(warning);
+        if (this.eventBus) {
+            this.eventBus.publish('workflow.worktree.skipped', {
+                projectPath,
+                taskId: task.id,
+                reason,
+                timestamp: new Date()
+            });
+        }
+        return { workspacePath: projectPath, worktree: null, warning };
+    }
+
+    /**
+     * Release the worktree of a task and give the IDE its workspace back
+     * @param {string} projectPath - Project path (main working copy)
+     * @param {Object} task - Task object (id)
+     * @param {Object} options - reason: 'completed' removes a clean worktree (uncommitted changes or a
+     *   merge waiting for review keep it), 'failed' keeps it for inspection, 'cancelled' removes it
+     *   with its changes; the branch is always kept
+     * @returns {Promise<Object>} { worktree, removed, reason }
+     */
+    async releaseTaskWorkspace(projectPath, task, options = {}) {
+        const reason = options.reason || 'completed';
+        if (!this.worktreeService || !task?.id) {
+            return { worktree: null, removed: false, reason };
+        }
+
+        const worktree = await this.worktreeService.getWorktree(projectPath, task.id);
+        if (!worktree) {
+            return { worktree: null, removed: false, reason };
+        }
+
+        const assignment = this.worktreeService.getIDEAssignment(worktree.path);
+        if (assignment && this.ideManager) {
+            try {
+                await this.ideManager.setWorkspacePath(assignment.port, assignment.previousWorkspace);
+            } catch (error) {
+                this.logger.warn(`Could not restore the workspace of IDE ${assignment.port}: ${error.message}`);
+            }
+            this.worktreeService.unassignIDE(worktree.path);
+        }
+
+        let removed = false;
+        if (reason !== 'failed') {
+            try {
+                removed = Boolean(await this.worktreeService.removeWorktree(projectPath, task.id, { force: reason === 'cancelled' }));
+            } catch (error) {
+                if (error.code !== 'WORKTREE_DIRTY') {
+                    throw error;
+                }
+                this.logger.info(`Keeping worktree of task ${task.id}: ${error.message}`);
+            }
+        }
+
+        if (this.eventBus) {
+            this.eventBus.publish('workflow.worktree.released', {
+                projectPath,
+                taskId: task.id,
+                path: worktree.path,
+                branchName: worktree.branch,
+                reason,
+                removed,
+                timestamp: new Date()
+            });
+        }
+
+        return { worktree, removed, reason };
+    }
+
     /**
      * Legacy method for workflow-specific branch creation (fallback)
      * @param {string} projectPath - Project path
@@ -143,6 +344,8 @@ class WorkflowGitService {
 
                     this.logger.info(`Successfully created and checked out branch: ${branchName}`);
 
+                    await this.applyBranchConfiguration(projectPath, branchName, branchStrategy);
+
                 } catch (gitError) {
                     this.logger.error('WorkflowGitService: Git operation failed', {
                         projectPath,
@@ -572,8 +775,23 @@ class WorkflowGitService {
      * @returns {Promise<void>}
      */
     async applyBranchConfiguration(projectPath, branchName, strategy) {
-        // Git operations handled by Playwright via CDP
-        this.logger.info(`Branch ${branchName} configuration requested - handled by Playwright`);
+        switch (strategy.protection) {
+            case 'critical':
+                await this.applyCriticalProtection(projectPath, branchName);
+                break;
+            case 'high':
+                await this.applyHighProtection(projectPath, branchName);
+                break;
+            case 'medium':
+                await this.applyMediumProtection(projectPath, branchName);
+                break;
+            default:
+                break;
+        }
+
+        if (strategy.autoMerge && strategy.mergeTarget) {
+            await this.setupAutoMerge(projectPath, branchName, strategy.mergeTarget);
+        }
     }
 
     /**
@@ -583,8 +801,7 @@ class WorkflowGitService {
      * @returns {Promise<void>}
      */
     async applyCriticalProtection(projectPath, branchName) {
-        // Git operations handled by Playwright via CDP
-        this.logger.info(`Branch ${branchName} protection requested - handled by Playwright`);
+        this.protectBranch(projectPath, branchName, 'critical');
     }
 
     /**
@@ -594,8 +811,7 @@ class WorkflowGitService {
      * @returns {Promise<void>}
      */
     async applyHighProtection(projectPath, branchName) {
-        // Git operations handled by Playwright via CDP
-        this.logger.info(`Branch ${branchName} protection requested - handled by Playwright`);
+        this.protectBranch(projectPath, branchName, 'high');
     }
 
     /**
@@ -605,20 +821,39 @@ class WorkflowGitService {
      * @returns {Promise<void>}
      */
     async applyMediumProtection(projectPath, branchName) {
-        // Git operations handled by Playwright via CDP
-        this.logger.info(`Branch ${branchName} protection requested - handled by Playwright`);
+        this.protectBranch(projectPath, branchName, 'medium');
+    }
+
+    /**
+     * Register a protection level with the branch protection policy engine
+     * The workflow still commits its own changes on the task branch, whatever the level
+     * @param {string} projectPath - Project path
+     * @param {string} branchName - Branch name
+     * @param {string} level - Protection level
+     */
+    protectBranch(projectPath, branchName, level) {
+        if (!this.branchProtectionService) {
+            this.logger.warn(`No BranchProtectionService available, branch ${branchName} is not protected`);
+            return;
+        }
+        this.branchProtectionService.protectBranch(projectPath, branchName, level, { allowDirectCommits: true });
     }
 
     /**
      * Setup auto-merge for branch
+     * The merge itself happens in autoMergeBranch once the task's tests and quality checks pass
      * @param {string} projectPath - Project path
      * @param {string} branchName - Branch name
      * @param {string} mergeTarget - Target branch for merge
      * @returns {Promise<void>}
      */
     async setupAutoMerge(projectPath, branchName, mergeTarget) {
-        // Git operations handled by Playwright via CDP
-        this.logger.info(`Branch ${branchName} auto-merge requested - handled by Playwright`);
+        if (!this.branchProtectionService) {
+            this.logger.warn(`No BranchProtectionService available, auto-merge of ${branchName} is not set up`);
+            return;
+        }
+        this.branchProtectionService.enableAutoMerge(projectPath, branchName, mergeTarget);
+        this.logger.info(`Branch ${branchName} will be merged into ${mergeTarget} once its checks pass`);
     }
 
     /**
@@ -630,6 +865,29 @@ class WorkflowGitService {
      * @returns {Promise<Object>} Merge result
      */
     async completeWorkflow(projectPath, branchName, task, options = {}) {
+        const worktree = this.worktreeService && task?.id
+            ? await this.worktreeService.getWorktree(projectPath, task.id)
+            : null;
+        if (worktree) {
+            // The branch is committed and merged from its worktree, which is released afterwards
+            const result = await this.completeWorkflowInProject(worktree.path, branchName, task, options);
+            const failed = result.mergeResult && result.mergeResult.action === 'git_error';
+            result.worktree = await this.releaseTaskWorkspace(projectPath, task, { reason: failed ? 'failed' : 'completed' });
+            return result;
+        }
+
+        return await this.completeWorkflowInProject(projectPath, branchName, task, options);
+    }
+
+    /**
+     * Complete a workflow in the directory its branch is checked out in
+     * @param {string} projectPath - Project or worktree path
+     * @param {string} branchName - Branch name
+     * @param {Object} task - Task object
+     * @param {Object} options - Merge options
+     * @returns {Promise<Object>} Merge result
+     */
+    async completeWorkflowInProject(projectPath, branchName, task, options = {}) {
         try {
             // Use enhanced git workflow manager for workflow completion
             const context = new GitWorkflowContext({
@@ -684,7 +942,7 @@ class WorkflowGitService {
             });
 
             let mergeResult = null;
-            const commitMessage = this.generateCommitMessage(task, strategy);
+            let commitMessage = this.generateCommitMessage(task, strategy);
 
             // Check if GitService is available for actual Git operations
             if (this.gitService) {
@@ -700,24 +958,23 @@ class WorkflowGitService {
                         // Add all changes
                         await this.gitService.addFiles(projectPath);
                         
-                        // Commit changes
+                        // Commit changes, described by the staged diff when the project uses conventional commits
+                        commitMessage = await this.buildCommitMessage(projectPath, task, strategy, { staged: true });
                         await this.gitService.commitChanges(projectPath, commitMessage);
                         
                         this.logger.info(`Changes committed successfully`);
                     }
 
-                    // If auto-merge is enabled, merge to target branch
+                    // If auto-merge is enabled, merge to target branch once the task's checks pass
                     if (strategy.autoMerge && strategy.mergeTarget) {
                         this.logger.info(`Auto-merging to ${strategy.mergeTarget}`);
-                        
-                        // Checkout target branch
-                        await this.gitService.checkoutBranch(projectPath, strategy.mergeTarget);
-                        
-                        // Merge the workflow branch
-                        mergeResult = await this.gitService.mergeBranch(projectPath, branchName, {
-                            strategy: 'squash'
+                        mergeResult = await this.autoMergeBranch(projectPath, branchName, strategy.mergeTarget, options.checks, {
+                            task,
+                            mergeStrategy: options.mergeStrategy
                         });
-                        
+                        if (mergeResult.action === 'conflicts') {
+                            mergeResult = await this.resolveMergeConflicts(projectPath, mergeResult, task, options);
+                        }
                         this.logger.info(`Auto-merge completed:`, mergeResult);
                     } else {
                         this.logger.info(`Auto-merge disabled, keeping branch: ${branchName}`);
@@ -729,6 +986,10 @@ class WorkflowGitService {
                     }
 
                 } catch (gitError) {
+                    // Protection violations block the workflow instead of being recorded as a git error
+                    if (gitError.name === 'BranchProtectionError') {
+                        throw gitError;
+                    }
                     this.logger.error('WorkflowGitService: Git operation failed during completion', {
                         projectPath,
                         branchName,
@@ -797,20 +1058,156 @@ class WorkflowGitService {
      * @param {string} projectPath - Project path
      * @param {string} branchName - Branch name
      * @param {string} targetBranch - Target branch
-     * @returns {Promise<Object>} Merge result
+     * @param {Object} checks - Task check results ({ tests, qualityGates })
+     * @param {Object} options - task (for the squash commit message), mergeStrategy (squash, rebase or merge;
+     *   the project setting by default)
+     * @returns {Promise<Object>} Merge result; not merged when a check has not passed,
+     *   action 'conflicts' with the conflicts and the workspacePath of the merge when it stopped on them
+     * @throws {BranchProtectionError} When the merge violates the target branch rule
      */
-    async autoMergeBranch(projectPath, branchName, targetBranch) {
-        // Git operations handled by Playwright via CDP
-        this.logger.info(`Auto-merge requested - handled by Playwright`);
+    async autoMergeBranch(projectPath, branchName, targetBranch, checks = {}, options = {}) {
+        const target = targetBranch || this.branchProtectionService?.getAutoMergeTarget(projectPath, branchName);
+        if (!target) {
+            return {
+                success: true,
+                action: 'kept_branch',
+                message: `No auto-merge target for ${branchName}, keeping branch`
+            };
+        }
+
+        if (this.branchProtectionService) {
+            const decision = this.branchProtectionService.evaluateAutoMerge(checks);
+            if (!decision.allowed) {
+                this.logger.info(`Auto-merge of ${branchName} into ${target} skipped: ${decision.reasons.join(', ')}`);
+                return {
+                    success: true,
+                    action: 'kept_branch',
+                    targetBranch: target,
+                    reasons: decision.reasons,
+                    message: `Branch ${branchName} kept, auto-merge requires passing checks (${decision.reasons.join(', ')})`
+                };
+            }
+        }
+
+        const mergeStrategy = this.commitMessageService
+            ? await this.commitMessageService.getMergeStrategy(projectPath, options.mergeStrategy)
+            : (options.mergeStrategy || 'merge');
+        // A squash leaves one commit on the target, described by the whole diff of the branch
+        const message = mergeStrategy === 'squash' && options.task
+            ? await this.buildCommitMessage(projectPath, options.task, null, { range: `${target}...${branchName}` })
+            : null;
+
+        // The handler merges where the target is checked out, never inside the task worktree
+        let result;
+        try {
+            result = await this.gitService.mergeBranch(projectPath, branchName, {
+                strategy: mergeStrategy,
+                noFF: mergeStrategy === 'merge',
+                message,
+                targetBranch: target,
+                checks
+            });
+        } catch (error) {
+            if (error.name !== 'MergeConflictError') {
+                throw error;
+            }
+            // The merge stays in progress for GitResolveConflictsStep or a review in the UI
+            this.logger.warn(`Auto-merge of ${branchName} into ${target} stopped with conflicts`);
+            return {
+                success: false,
+                action: 'conflicts',
+                targetBranch: target,
+                mergeStrategy,
+                conflicts: error.conflicts,
+                workspacePath: error.conflicts?.workspacePath || projectPath,
+                message: error.message
+            };
+        }
+
         return {
             success: true,
-            targetBranch,
-            mergeStrategy: 'squash',
-            branchDeleted: true,
-            message: `Auto-merge requested for ${branchName} to ${targetBranch}`
+            action: 'merged',
+            targetBranch: target,
+            mergeStrategy,
+            commitMessage: message,
+            output: result.output,
+            message: `Auto-merged ${branchName} into ${target}`
         };
     }
 
+    /**
+     * Ask the IDE chat to resolve the conflicts of a stopped auto-merge (GitResolveConflictsStep)
+     * Resolutions wait for review in the merge in progress unless options.autoAcceptResolutions is set
+     * @param {string} projectPath - Project path
+     * @param {Object} mergeResult - 'conflicts' result of autoMergeBranch
+     * @param {Object} task - Task object
+     * @param {Object} options - Workflow options (autoAcceptResolutions, port of the IDE, userId)
+     * @returns {Promise<Object>} The merge result, 'merged' when the resolution was committed
+     */
+    async resolveMergeConflicts(projectPath, mergeResult, task, options = {}) {
+        if (!this.stepRegistry) {
+            this.logger.warn(`No StepRegistry available, conflicts of the merge into ${mergeResult.targetBranch} are left for review`);
+            return mergeResult;
+        }
+
+        let resolution;
+        try {
+            const stepResult = await this.stepRegistry.executeStep('GitResolveConflictsStep', {
+                projectPath: mergeResult.workspacePath || projectPath,
+                projectId: task.projectId || task.metadata?.projectId,
+                userId: options.userId,
+                taskId: task.id,
+                taskData: task,
+                autoAccept: options.autoAcceptResolutions === true,
+                ...(options.port ? { activeIDE: { port: options.port } } : {})
+            });
+            resolution = stepResult.result || { success: false, error: stepResult.error };
+        } catch (error) {
+            this.logger.error(`WorkflowGitService: Conflict resolution failed: ${error.message}`);
+            resolution = { success: false, error: error.message };
+        }
+
+        if (resolution.status === 'merged') {
+            return {
+                ...mergeResult,
+                success: true,
+                action: 'merged',
+                resolution,
+                message: `Auto-merged into ${mergeResult.targetBranch} after resolving conflicts`
+            };
+        }
+        return { ...mergeResult, resolution };
+    }
+
+    /**
+     * Commit message of a task: a Conventional Commit generated from the diff when the project uses them,
+     * the workflow template otherwise
+     * @param {string} projectPath - Project path
+     * @param {Object} task - Task object
+     * @param {Object|null} strategy - Branch strategy (for the template)
+     * @param {Object} diffOptions - { staged } or { range } of the diff to describe
+     * @returns {Promise<string>} Commit message
+     */
+    async buildCommitMessage(projectPath, task, strategy, diffOptions = {}) {
+        const fallback = () => this.generateCommitMessage(task, strategy || this.determineBranchStrategy(task.type));
+        if (!this.commitMessageService) {
+            return fallback();
+        }
+
+        try {
+            const settings = await this.commitMessageService.loadSettings(projectPath);
+            if (!settings.conventional) {
+                const message = fallback();
+                return settings.trailers ? this.commitMessageService.addTrailers(message, task) : message;
+            }
+            const generated = await this.commitMessageService.generateCommitMessage(projectPath, task, diffOptions);
+            return generated.message;
+        } catch (error) {
+            this.logger.warn(`Could not generate the commit message, using the template: ${error.message}`);
+            return fallback();
+        }
+    }
+
     /**
      * Generate commit message based on task and strategy
      * @param {Object} task - Task object
@@ -843,9 +1240,13 @@ class WorkflowGitService {
             // Git operations handled by Playwright via CDP
             this.logger.info(`Rollback requested - handled by Playwright`);
 
+            // A cancelled task leaves no worktree behind
+            const worktree = await this.releaseTaskWorkspace(projectPath, task, { reason: 'cancelled' });
+
             const result = {
                 branchName,
                 status: 'rolled_back',
+                worktree,
                 message: `Successfully rolled back workflow and deleted branch: ${branchName}`,
                 metadata: {
                     taskId: task.id,
@@ -994,7 +1395,7 @@ class WorkflowGitService {
     }
 
     /**
-     * Legacy method for pull request creation (fallback)
+     * Pull request creation through the project's forge (fallback)
      * @param {string} projectPath - Project path
      * @param {string} branchName - Branch name
      * @param {Object} task - Task object
@@ -1002,13 +1403,29 @@ class WorkflowGitService {
      * @returns {Promise<Object>} Pull request result
      */
     async createPullRequestLegacy(projectPath, branchName, task, options = {}) {
-        // Git operations handled by Playwright via CDP
-        this.logger.info(`Pull request creation requested - handled by Playwright`);
+        if (!this.forgeService) {
+            throw new Error('Pull request creation requires a forge service');
+        }
+
+        const pullRequest = await this.forgeService.createPullRequest(task.projectId, {
+            task,
+            projectPath,
+            sourceBranch: branchName,
+            targetBranch: options.targetBranch,
+            title: options.title,
+            description: options.description,
+            labels: options.labels,
+            reviewers: options.reviewers
+        });
+
         return {
             success: true,
             branchName,
-            prUrl: `https://github.com/example/pull/123`,
-            message: `Pull request created for ${branchName}`
+            prUrl: pullRequest.url,
+            prNumber: pullRequest.number,
+            status: pullRequest.state,
+            provider: pullRequest.provider,
+            message: `Pull request ${pullRequest.created ? 'created' : 'already open'} for ${branchName}`
         };
     }
 
@@ -4,6 +4,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const Logger = require('@logging/Logger');
+const WorkflowValidator = require('@domain/workflows/validation/WorkflowValidator');
 
 class WorkflowLoaderService {
     constructor() {
@@ -35,6 +36,10 @@ class WorkflowLoaderService {
                     
                     // Load workflows
                     for (const [workflowId, workflow] of Object.entries(workflowsConfig.workflows)) {
+                        const errors = this.validateWorkflow(workflow);
+                        if (errors.length > 0) {
+                            this.logger.warn(`Workflow ${workflowId} has invalid definition:`, errors);
+                        }
                         this.workflows.set(workflowId, workflow);
                         this.logger.debug(`Loaded workflow: ${workflowId} - ${workflow.name} from ${path.basename(workflowPath)}`);
                     }
@@ -176,26 +181,9 @@ class WorkflowLoaderService {
      * Validate workflow configuration
      */
     validateWorkflow(workflow) {
-        const errors = [];
-
-        if (!workflow.name) {
-            errors.push('Workflow must have a name');
-        }
-
-        if (!workflow.steps || !Array.isArray(workflow.steps)) {
-            errors.push('Workflow must have steps array');
-        }
-
-        for (const step of workflow.steps || []) {
-            if (!step.name) {
-                errors.push('Step must have a name');
-            }
-            if (!step.type) {
-                errors.push(`Step ${step.name} must have a type`);
-            }
-        }
-
-        return errors;
+        const validator = new WorkflowValidator();
+        validator.validateWorkflowDefinition(workflow);
+        return validator.getErrors().map(error => error.message);
     }
 
     /**
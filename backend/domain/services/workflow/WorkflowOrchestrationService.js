@@ -20,6 +20,7 @@ class WorkflowOrchestrationService {
         this.taskRepository = dependencies.taskRepository;
         this.logger = dependencies.logger || new ServiceLogger('WorkflowOrchestrationService');
         this.eventBus = dependencies.eventBus;
+        this.workflowPersistenceService = dependencies.workflowPersistenceService;
         
         // Initialize enhanced git workflow manager
         this.gitWorkflowManager = new GitWorkflowManager({
@@ -35,11 +36,12 @@ class WorkflowOrchestrationService {
             enableRetry: true,
             enableResourceManagement: true,
             enableDependencyResolution: true,
-            enablePriorityScheduling: true
+            enablePriorityScheduling: true,
+            checkpointStore: this.workflowPersistenceService
         });
 
         // Initialize Categories-based registries
-        this.stepRegistry = new StepRegistry();
+        this.stepRegistry = dependencies.stepRegistry || new StepRegistry();
         this.frameworkRegistry = new FrameworkRegistry();
 
         
@@ -132,12 +134,15 @@ class WorkflowOrchestrationService {
             // Step 2: Execute workflow based on task type
             const workflowResult = await this.executeWorkflowByType(task, options);
 
-            // Step 3: Complete workflow and merge
+            // Step 3: Run the checks the auto-merge depends on
+            const checks = await this.runMergeChecks(task, branchResult, options);
+
+            // Step 4: Complete workflow and merge
             const completionResult = await this.workflowGitService.completeWorkflow(
                 task.metadata.projectPath,
                 branchResult.branchName,
                 task,
-                options
+                { ...options, checks }
             );
 
             const result = {
@@ -191,6 +196,45 @@ class WorkflowOrchestrationService {
         }
     }
 
+    /**
+     * Run the project tests and quality gates of a task's branch for the auto-merge decision
+     * @param {Object} task - Task object
+     * @param {Object} branchResult - Result of createWorkflowBranch
+     * @param {Object} options - Workflow options (options.checks skips the run)
+     * @returns {Promise<Object>} Checks ({ tests, qualityGates }) for BranchProtectionService
+     */
+    async runMergeChecks(task, branchResult, options = {}) {
+        if (options.checks) {
+            return options.checks;
+        }
+
+        const projectPath = branchResult?.workspacePath || task.metadata?.projectPath;
+        const context = {
+            projectId: task.projectId || task.metadata?.projectId,
+            projectPath,
+            workspacePath: projectPath,
+            taskId: task.id
+        };
+
+        const runCheck = async (stepName) => {
+            try {
+                const result = await this.stepRegistry.executeStep(stepName, context);
+                return result.success ? result.result : { success: false, error: result.error };
+            } catch (error) {
+                this.logger.warn(`WorkflowOrchestrationService: ${stepName} failed`, {
+                    taskId: task.id,
+                    error: error.message
+                });
+                return { success: false, error: error.message };
+            }
+        };
+
+        return {
+            tests: await runCheck('ProjectTestStep'),
+            qualityGates: await runCheck('QualityGateStep')
+        };
+    }
+
     /**
      * Execute workflow based on task type
      * @param {Object} task - Task object
@@ -108,6 +108,7 @@ class CodeQualityAnalysisOrchestrator extends StepBuilder {
             recommendations: stepResult.recommendations || [],
             tasks: stepResult.tasks || [],
             documentation: stepResult.documentation || [],
+            metrics: stepResult.metrics || {},
             error: stepResult.error || null
           };
           results.summary.completedSteps++;
@@ -156,6 +157,11 @@ class CodeQualityAnalysisOrchestrator extends StepBuilder {
         results.summary.totalSteps++;
       }
 
+      // Expose the measured complexity to the analysis dashboard
+      results.complexity = this.buildComplexitySummary(results.details.ComplexityCodeQualityStep);
+      // Measured coverage; the analysis repository keeps it as coverage history
+      results.coverage = this.buildCoverageSummary(results.details.CoverageCodeQualityStep);
+
       // Generate code quality score
       const codeQualityScore = this.calculateCodeQualityScore(results);
       results.summary.codeQualityScore = codeQualityScore;
@@ -200,6 +206,50 @@ class CodeQualityAnalysisOrchestrator extends StepBuilder {
     }
   }
 
+  /**
+   * Build the dashboard complexity summary from the complexity step metrics
+   */
+  buildComplexitySummary(complexityDetails) {
+    const metrics = complexityDetails && complexityDetails.metrics;
+    if (!metrics || metrics.totalFunctions === undefined) {
+      return null;
+    }
+
+    return {
+      averageComplexity: metrics.averageCyclomaticComplexity,
+      maxComplexity: metrics.maxCyclomaticComplexity,
+      averageCognitiveComplexity: metrics.averageCognitiveComplexity,
+      maxCognitiveComplexity: metrics.maxCognitiveComplexity,
+      totalFunctions: metrics.totalFunctions,
+      complexFunctions: metrics.complexFunctions,
+      highComplexityFiles: metrics.highComplexityFiles,
+      totalFiles: metrics.totalFiles,
+      distribution: metrics.distribution
+    };
+  }
+
+  /**
+   * Build the coverage summary from the coverage step metrics
+   */
+  buildCoverageSummary(coverageDetails) {
+    const metrics = coverageDetails && coverageDetails.metrics;
+    if (!metrics || !metrics.totals) {
+      return null;
+    }
+
+    return {
+      lineCoverage: metrics.lineCoverage,
+      branchCoverage: metrics.branchCoverage,
+      functionCoverage: metrics.functionCoverage,
+      statementCoverage: metrics.statementCoverage,
+      totals: metrics.totals,
+      totalFiles: metrics.totalFiles,
+      uncoveredFiles: metrics.uncoveredFiles,
+      subprojects: metrics.subprojects,
+      hotSpots: metrics.hotSpots
+    };
+  }
+
   /**
    * Calculate overall code quality score
    */
@@ -9,6 +9,7 @@
 const StepBuilder = require('@steps/StepBuilder');
 const Logger = require('@logging/Logger');
 const AnalysisTaskService = require('@services/analysis/AnalysisTaskService');
+const DependencyGraphService = require('@domain/services/analysis/DependencyGraphService');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -43,6 +44,7 @@ class DependencyAnalysisOrchestrator extends StepBuilder {
     super(config);
     this.dependencySteps = null;
     this.taskService = new AnalysisTaskService();
+    this.dependencyGraphService = new DependencyGraphService();
   }
 
   /**
@@ -91,6 +93,23 @@ class DependencyAnalysisOrchestrator extends StepBuilder {
         documentation: []
       };
 
+      // Resolve the dependency tree once and share it with all steps
+      let stepContext = context;
+      try {
+        const dependencyGraph = await this.dependencyGraphService.analyze(context.projectPath);
+        stepContext = { ...context, dependencyGraph };
+        results.summary.dependencyGraph = {
+          packages: dependencyGraph.packages.length,
+          directDependencies: dependencyGraph.packages.filter(pkg => pkg.direct).length,
+          workspaces: dependencyGraph.workspaces.length,
+          lockfiles: dependencyGraph.lockfiles.map(lockfile => `${lockfile.file} (${lockfile.type})`),
+          unresolved: dependencyGraph.unresolved.length,
+          truncated: dependencyGraph.truncated
+        };
+      } catch (error) {
+        logger.warn(`⚠️ Failed to resolve dependency graph, steps resolve it themselves: ${error.message}`);
+      }
+
       // Execute each dependency step SEQUENTIALLY
       const stepNames = Object.keys(this.dependencySteps);
       for (let i = 0; i < stepNames.length; i++) {
@@ -100,7 +119,7 @@ class DependencyAnalysisOrchestrator extends StepBuilder {
         try {
           logger.info(`📦 Executing ${stepName}... (${i + 1}/${stepNames.length})`);
           
-          const stepResult = await stepModule.execute(context);
+          const stepResult = await stepModule.execute(stepContext);
           
           results.details[stepName] = {
             success: stepResult.success,
@@ -108,6 +127,7 @@ class DependencyAnalysisOrchestrator extends StepBuilder {
             recommendations: stepResult.recommendations || [],
             tasks: stepResult.tasks || [],
             documentation: stepResult.documentation || [],
+            metrics: stepResult.metrics || {},
             error: stepResult.error || null
           };
           results.summary.completedSteps++;
@@ -108,6 +108,7 @@ class ManifestAnalysisOrchestrator extends StepBuilder {
             recommendations: stepResult.recommendations || [],
             tasks: stepResult.tasks || [],
             documentation: stepResult.documentation || [],
+            metrics: stepResult.metrics || {},
             error: stepResult.error || null
           };
           results.summary.completedSteps++;
@@ -140,6 +141,13 @@ class ManifestAnalysisOrchestrator extends StepBuilder {
         results.summary.totalSteps++;
       }
 
+      // Issues carry file/line locations; index them per file for the result view
+      results.summary.issuesByFile = results.issues.reduce((byFile, issue) => {
+        const file = issue.file || 'project';
+        byFile[file] = (byFile[file] || 0) + 1;
+        return byFile;
+      }, {});
+
       // Generate manifest quality score
       const manifestQualityScore = this.calculateManifestQualityScore(results);
       results.summary.manifestQualityScore = manifestQualityScore;
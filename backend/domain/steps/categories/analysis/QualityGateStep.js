@@ -0,0 +1,97 @@
+/**
+ * Quality Gate Step
+ * Evaluates the project's quality gates (.pidea/quality-gates.*) against the latest analysis
+ * results. The step fails when a gate fails; its output (qualityGates) is one of the checks the
+ * auto-merge of a task branch into pidea-agent requires (GitMergeBranchStep with autoMerge).
+ */
+
+const Logger = require('@logging/Logger');
+const logger = new Logger('QualityGateStep');
+
+// Step configuration
+const config = {
+  name: 'QualityGateStep',
+  type: 'analysis',
+  description: 'Evaluates project quality gates against the latest analysis results',
+  category: 'analysis',
+  version: '1.0.0',
+  dependencies: ['qualityGateService'],
+  settings: {
+    timeout: 30000
+  },
+  validation: {
+    required: ['projectId', 'projectPath'],
+    optional: []
+  }
+};
+
+class QualityGateStep {
+  constructor() {
+    this.name = 'QualityGateStep';
+    this.description = config.description;
+    this.category = 'analysis';
+    this.dependencies = config.dependencies;
+  }
+
+  static getConfig() {
+    return config;
+  }
+
+  async execute(context = {}) {
+    try {
+      logger.info(`🚦 Executing ${this.name}...`);
+
+      this.validateContext(context);
+
+      const qualityGateService = this.getQualityGateService(context);
+      const status = await qualityGateService.evaluateProject(context.projectId, context.projectPath);
+
+      if (status.passed) {
+        logger.info(`✅ Quality gates ${status.status} for project ${context.projectId}`);
+      } else {
+        logger.warn(`⛔ Quality gates failed for project ${context.projectId}`, { reasons: status.reasons });
+      }
+
+      return {
+        success: status.passed,
+        result: status,
+        error: status.passed ? null : `Quality gates failed: ${status.reasons.join('; ')}`,
+        timestamp: new Date()
+      };
+
+    } catch (error) {
+      logger.error(`${this.name} failed`, { error: error.message });
+
+      return {
+        success: false,
+        error: error.message,
+        timestamp: new Date()
+      };
+    }
+  }
+
+  getQualityGateService(context) {
+    if (typeof context.getService !== 'function') {
+      throw new Error('Quality gate service not available - step must run through the StepRegistry');
+    }
+    return context.getService('qualityGateService');
+  }
+
+  validateContext(context) {
+    if (!context.projectId) {
+      throw new Error('Project ID is required');
+    }
+    if (!context.projectPath) {
+      throw new Error('Project path is required');
+    }
+  }
+}
+
+// Create instance for execution
+const stepInstance = new QualityGateStep();
+
+// Export in StepRegistry format
+module.exports = {
+  config,
+  execute: async (context) => await stepInstance.execute(context)
+};
@@ -82,7 +82,10 @@ class SecurityAnalysisOrchestrator extends StepBuilder {
         summary: {
           totalSteps: 0,
           completedSteps: 0,
-          failedSteps: 0
+          failedSteps: 0,
+          // Files analyzed again vs. reused from the file index (incremental analysis)
+          filesReanalyzed: 0,
+          filesFromIndex: 0
         },
         details: {},
         // Standardized outputs only
@@ -112,6 +115,10 @@ class SecurityAnalysisOrchestrator extends StepBuilder {
             error: stepResult.error || null
           };
           results.summary.completedSteps++;
+
+          const stepMetrics = (stepResult.result && stepResult.result.metrics) || {};
+          results.summary.filesReanalyzed += stepMetrics.filesReanalyzed || 0;
+          results.summary.filesFromIndex += stepMetrics.filesFromIndex || 0;
           
           // Aggregate standardized outputs only
           if (stepResult.issues) {
@@ -9,6 +9,7 @@
 const StepBuilder = require('@steps/StepBuilder');
 const Logger = require('@logging/Logger');
 const AnalysisTaskService = require('@services/analysis/AnalysisTaskService');
+const TechStackDetector = require('@domain/services/analysis/TechStackDetector');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -43,6 +44,7 @@ class TechStackAnalysisOrchestrator extends StepBuilder {
     super(config);
     this.techStackSteps = null;
     this.taskService = new AnalysisTaskService();
+    this.techStackDetector = new TechStackDetector();
   }
 
   /**
@@ -84,6 +86,7 @@ class TechStackAnalysisOrchestrator extends StepBuilder {
           failedSteps: 0
         },
         details: {},
+        technologies: [],
         // Standardized outputs only
         issues: [],
         recommendations: [],
@@ -91,6 +94,39 @@ class TechStackAnalysisOrchestrator extends StepBuilder {
         documentation: []
       };
 
+      // Detect the tech stack once and share it with all steps
+      let stepContext = context;
+      try {
+        const techStack = await this.techStackDetector.detect(context.projectPath, { dependencyGraph: context.dependencyGraph });
+        stepContext = { ...context, techStack };
+        results.projectType = techStack.projectType;
+        results.languages = techStack.languages;
+        results.structure = techStack.structure;
+        results.technologies = techStack.technologies.map(technology => ({
+          name: technology.name,
+          category: technology.category,
+          type: technology.type,
+          version: technology.version || 'Unknown',
+          confidence: technology.confidence,
+          score: technology.score,
+          evidence: technology.evidence,
+          evidenceFiles: technology.evidenceFiles,
+          deprecated: technology.deprecated || null
+        }));
+        results.summary.techStack = {
+          projectType: techStack.projectType,
+          languages: techStack.languages.map(language => language.name),
+          technologies: techStack.technologies.length,
+          byConfidence: techStack.technologies.reduce((acc, technology) => {
+            acc[technology.confidence] = (acc[technology.confidence] || 0) + 1;
+            return acc;
+          }, {}),
+          workspaces: techStack.workspaces.length
+        };
+      } catch (error) {
+        logger.warn(`⚠️ Failed to detect tech stack, steps detect it themselves: ${error.message}`);
+      }
+
       // Execute each tech stack step SEQUENTIALLY
       const stepNames = Object.keys(this.techStackSteps);
       for (let i = 0; i < stepNames.length; i++) {
@@ -100,7 +136,7 @@ class TechStackAnalysisOrchestrator extends StepBuilder {
         try {
           logger.info(`🛠️ Executing ${stepName}... (${i + 1}/${stepNames.length})`);
           
-          const stepResult = await stepModule.execute(context);
+          const stepResult = await stepModule.execute(stepContext);
           
           results.details[stepName] = {
             success: stepResult.success,
@@ -108,6 +144,7 @@ class TechStackAnalysisOrchestrator extends StepBuilder {
             recommendations: stepResult.recommendations || [],
             tasks: stepResult.tasks || [],
             documentation: stepResult.documentation || [],
+            metrics: stepResult.metrics || {},
             error: stepResult.error || null
           };
           results.summary.completedSteps++;
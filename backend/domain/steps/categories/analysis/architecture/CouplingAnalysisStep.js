@@ -8,6 +8,7 @@
 
 const StepBuilder = require('@steps/StepBuilder');
 const Logger = require('@logging/Logger');
+const AnalysisFileIndexService = require('@domain/services/analysis/AnalysisFileIndexService');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -65,7 +66,10 @@ class CouplingAnalysisStep {
       const couplingAnalysis = await this.analyzeCoupling(projectPath, {
         includeImports: context.includeImports !== false,
         includeDependencies: context.includeDependencies !== false,
-        includeRecommendations: context.includeRecommendations !== false
+        includeRecommendations: context.includeRecommendations !== false,
+        projectId: context.projectId,
+        incremental: context.incremental,
+        fileIndex: AnalysisFileIndexService.fromContext(context)
       });
 
       // Clean and format result
@@ -133,20 +137,22 @@ class CouplingAnalysisStep {
       };
       const jsFiles = await this.getJavaScriptFiles(projectPath);
 
-      for (const file of jsFiles) {
-        try {
-          const content = await fs.readFile(file, 'utf8');
-          const fileCoupling = this.analyzeFileCoupling(content, file);
-          
-          if (fileCoupling.level === 'high') {
-            coupling.high.push(fileCoupling);
-          } else if (fileCoupling.level === 'medium') {
-            coupling.medium.push(fileCoupling);
-          } else {
-            coupling.low.push(fileCoupling);
-          }
-        } catch (error) {
-          // Skip files that can't be read
+      // Files with an unchanged content hash reuse their result from the file index
+      const fileIndex = options.fileIndex || AnalysisFileIndexService.fromContext();
+      const { results, stats } = await fileIndex.analyzeFiles(jsFiles, (content, file) => this.analyzeFileCoupling(content, file), {
+        projectId: options.projectId,
+        analyzer: config.name,
+        version: config.version,
+        incremental: options.incremental !== false
+      });
+
+      for (const { result: fileCoupling } of results) {
+        if (fileCoupling.level === 'high') {
+          coupling.high.push(fileCoupling);
+        } else if (fileCoupling.level === 'medium') {
+          coupling.medium.push(fileCoupling);
+        } else {
+          coupling.low.push(fileCoupling);
         }
       }
 
@@ -174,6 +180,8 @@ class CouplingAnalysisStep {
         recommendations,
         metrics: {
           totalFiles: jsFiles.length,
+          filesReanalyzed: stats.analyzed,
+          filesFromIndex: stats.reused,
           highCouplingFiles: coupling.high.length,
           mediumCouplingFiles: coupling.medium.length,
           lowCouplingFiles: coupling.low.length,
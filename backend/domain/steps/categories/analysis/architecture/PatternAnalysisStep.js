@@ -8,6 +8,7 @@
 
 const StepBuilder = require('@steps/StepBuilder');
 const Logger = require('@logging/Logger');
+const AnalysisFileIndexService = require('@domain/services/analysis/AnalysisFileIndexService');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -65,7 +66,10 @@ class PatternAnalysisStep {
       const patternAnalysis = await this.analyzeCodePatterns(projectPath, {
         includeCreational: context.includeCreational !== false,
         includeStructural: context.includeStructural !== false,
-        includeBehavioral: context.includeBehavioral !== false
+        includeBehavioral: context.includeBehavioral !== false,
+        projectId: context.projectId,
+        incremental: context.incremental,
+        fileIndex: AnalysisFileIndexService.fromContext(context)
       });
 
       // Clean and format result
@@ -130,14 +134,16 @@ class PatternAnalysisStep {
       const jsFiles = await this.getJavaScriptFiles(projectPath);
 
       // ANALYZE ALL FILES - NO LIMITS!
-      for (const file of jsFiles) {
-        try {
-          const content = await fs.readFile(file, 'utf8');
-          const filePatterns = this.detectCodePatterns(content, file);
-          patterns.push(...filePatterns);
-        } catch (error) {
-          // Skip files that can't be read
-        }
+      // Files with an unchanged content hash reuse their result from the file index
+      const fileIndex = options.fileIndex || AnalysisFileIndexService.fromContext();
+      const { results, stats } = await fileIndex.analyzeFiles(jsFiles, (content, file) => this.detectCodePatterns(content, file), {
+        projectId: options.projectId,
+        analyzer: config.name,
+        version: config.version,
+        incremental: options.incremental !== false
+      });
+      for (const { result: filePatterns } of results) {
+        patterns.push(...filePatterns);
       }
 
       // Remove duplicates and aggregate
@@ -158,6 +164,8 @@ class PatternAnalysisStep {
         categorized: categorizedPatterns,
         metrics: {
           totalFiles: jsFiles.length,
+          filesReanalyzed: stats.analyzed,
+          filesFromIndex: stats.reused,
           patternsDetected: uniquePatterns.length,
           categoriesFound: Object.keys(categorizedPatterns).length
         },
@@ -7,6 +7,7 @@
  */
 
 const StepBuilder = require('@steps/StepBuilder');
+const ComplexityAnalyzer = require('@domain/services/analysis/ComplexityAnalyzer');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('complexity_code_quality_step');
@@ -24,13 +25,15 @@ const config = {
     timeout: 30000,
     maxCyclomaticComplexity: 10,
     maxCognitiveComplexity: 15,
-    maxFunctionLength: 50
+    maxFunctionLength: 50,
+    maxNestingDepth: 4
   }
 };
 
 class ComplexityCodeQualityStep extends StepBuilder {
   constructor() {
     super(config);
+    this.analyzer = new ComplexityAnalyzer();
   }
 
   async execute(context) {
@@ -38,22 +41,34 @@ class ComplexityCodeQualityStep extends StepBuilder {
       logger.info('🧮 Starting complexity analysis...');
       
       const { projectPath } = context;
+      if (!projectPath) {
+        throw new Error('Project path is required for complexity analysis');
+      }
       
-      // Analyze complexity metrics
-      const complexityIssues = await this.analyzeComplexityIssues(projectPath);
-      const metrics = await this.calculateComplexityMetrics(projectPath);
+      // Measure every function of the project
+      const analysis = await this.analyzer.analyzeProject(projectPath, {
+        excludePatterns: context.excludePatterns,
+        additionalExcludes: context.additionalExcludes
+      });
+      const complexityIssues = this.analyzeComplexityIssues(analysis);
+      const metrics = this.calculateComplexityMetrics(analysis, complexityIssues);
       
       const result = {
         success: true,
         complexityIssues,
         metrics,
+        functions: this.getMostComplexFunctions(analysis.functions),
+        parseErrors: analysis.parseErrors,
         recommendations: this.generateRecommendations(complexityIssues, metrics),
         issues: this.generateIssues(complexityIssues),
         tasks: this.generateTasks(complexityIssues),
         documentation: this.generateDocumentation(complexityIssues, metrics)
       };
 
-      logger.info('✅ Complexity analysis completed successfully');
+      logger.info('✅ Complexity analysis completed successfully', {
+        functions: metrics.totalFunctions,
+        complexFunctions: metrics.complexFunctions
+      });
       return result;
 
     } catch (error) {
@@ -71,62 +86,147 @@ class ComplexityCodeQualityStep extends StepBuilder {
     }
   }
 
-  async analyzeComplexityIssues(projectPath) {
-    // Placeholder implementation - would integrate with complexity analysis tools
-    return [
-      {
-        type: 'cyclomatic',
-        severity: 'high',
-        message: 'Function has high cyclomatic complexity',
-        file: 'src/utils/processor.js',
-        line: 25,
-        function: 'processData',
-        complexity: 15,
-        threshold: 10
-      },
-      {
-        type: 'cognitive',
-        severity: 'medium',
-        message: 'Function has high cognitive complexity',
-        file: 'src/components/ComplexComponent.jsx',
-        line: 45,
-        function: 'renderComplexLogic',
-        complexity: 18,
-        threshold: 15
-      }
+  /**
+   * Compare every measured function against the configured thresholds
+   * @param {Object} analysis - ComplexityAnalyzer result
+   * @returns {Array} One issue per exceeded threshold
+   */
+  analyzeComplexityIssues(analysis) {
+    const { settings } = config;
+    const checks = [
+      { type: 'cyclomatic', metric: 'cyclomatic', threshold: settings.maxCyclomaticComplexity, message: (fn) => `Function has high cyclomatic complexity (${fn.cyclomatic})` },
+      { type: 'cognitive', metric: 'cognitive', threshold: settings.maxCognitiveComplexity, message: (fn) => `Function has high cognitive complexity (${fn.cognitive})` },
+      { type: 'nesting', metric: 'nestingDepth', threshold: settings.maxNestingDepth, message: (fn) => `Function nests control structures ${fn.nestingDepth} levels deep` },
+      { type: 'length', metric: 'length', threshold: settings.maxFunctionLength, message: (fn) => `Function is ${fn.length} lines long` }
     ];
+
+    const issues = [];
+    for (const fn of analysis.functions) {
+      for (const check of checks) {
+        const value = fn[check.metric];
+        if (value <= check.threshold) continue;
+
+        issues.push({
+          type: check.type,
+          severity: this.getSeverity(value, check.threshold),
+          message: check.message(fn),
+          file: fn.file,
+          line: fn.line,
+          function: fn.name,
+          complexity: value,
+          threshold: check.threshold,
+          metrics: {
+            cyclomatic: fn.cyclomatic,
+            cognitive: fn.cognitive,
+            nestingDepth: fn.nestingDepth,
+            length: fn.length
+          }
+        });
+      }
+    }
+
+    const severityOrder = { high: 0, medium: 1, low: 2 };
+    return issues.sort((a, b) =>
+      severityOrder[a.severity] - severityOrder[b.severity] ||
+      b.complexity / b.threshold - a.complexity / a.threshold);
   }
 
-  async calculateComplexityMetrics(projectPath) {
-    // Placeholder implementation
+  /**
+   * Severity by how far a value exceeds its threshold
+   * @param {number} value - Measured value
+   * @param {number} threshold - Allowed maximum
+   * @returns {string} 'high' (2x), 'medium' (1.5x) or 'low'
+   */
+  getSeverity(value, threshold) {
+    if (value >= threshold * 2) return 'high';
+    if (value >= threshold * 1.5) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Aggregate project-wide complexity metrics
+   * @param {Object} analysis - ComplexityAnalyzer result
+   * @param {Array} complexityIssues - Issues from analyzeComplexityIssues
+   * @returns {Object} Metrics
+   */
+  calculateComplexityMetrics(analysis, complexityIssues) {
+    const { functions, files } = analysis;
+    const average = (metric) => functions.length > 0
+      ? Math.round(functions.reduce((sum, fn) => sum + fn[metric], 0) / functions.length * 10) / 10
+      : 0;
+    const max = (metric) => functions.reduce((result, fn) => Math.max(result, fn[metric]), 0);
+    const complexFunctionKeys = new Set(complexityIssues.map(issue => `${issue.file}:${issue.line}:${issue.function}`));
+    const complexFiles = new Set(complexityIssues.map(issue => issue.file));
+
     return {
-      averageCyclomaticComplexity: 8.5,
-      maxCyclomaticComplexity: 15,
-      averageCognitiveComplexity: 12.3,
-      maxCognitiveComplexity: 18,
-      totalFunctions: 45,
-      complexFunctions: 8
+      averageCyclomaticComplexity: average('cyclomatic'),
+      maxCyclomaticComplexity: max('cyclomatic'),
+      averageCognitiveComplexity: average('cognitive'),
+      maxCognitiveComplexity: max('cognitive'),
+      averageFunctionLength: average('length'),
+      maxFunctionLength: max('length'),
+      maxNestingDepth: max('nestingDepth'),
+      totalFunctions: functions.length,
+      complexFunctions: complexFunctionKeys.size,
+      totalFiles: files.length,
+      highComplexityFiles: complexFiles.size,
+      parseErrors: analysis.parseErrors.length,
+      truncated: analysis.truncated,
+      distribution: {
+        low: functions.filter(fn => fn.cyclomatic <= 5).length,
+        moderate: functions.filter(fn => fn.cyclomatic > 5 && fn.cyclomatic <= 10).length,
+        high: functions.filter(fn => fn.cyclomatic > 10 && fn.cyclomatic <= 20).length,
+        veryHigh: functions.filter(fn => fn.cyclomatic > 20).length
+      }
     };
   }
 
+  /**
+   * Most complex functions, for the dashboard
+   * @param {Array} functions - Measured functions
+   * @param {number} limit - Maximum number of functions
+   * @returns {Array} Functions sorted by cognitive, then cyclomatic complexity
+   */
+  getMostComplexFunctions(functions, limit = 20) {
+    return [...functions]
+      .sort((a, b) => b.cognitive - a.cognitive || b.cyclomatic - a.cyclomatic)
+      .slice(0, limit);
+  }
+
   generateRecommendations(complexityIssues, metrics) {
     const recommendations = [];
+    const { settings } = config;
+    const countOf = (type) => new Set(complexityIssues
+      .filter(issue => issue.type === type)
+      .map(issue => `${issue.file}:${issue.line}`)).size;
     
-    if (complexityIssues.length > 0) {
+    const cyclomaticCount = countOf('cyclomatic');
+    if (cyclomaticCount > 0) {
       recommendations.push({
         type: 'complexity',
         priority: 'high',
-        message: 'Refactor complex functions to improve maintainability',
-        action: 'Break down functions with complexity > 10'
+        message: `Refactor ${cyclomaticCount} function(s) with cyclomatic complexity above ${settings.maxCyclomaticComplexity} (max ${metrics.maxCyclomaticComplexity})`,
+        action: `Break down functions with complexity > ${settings.maxCyclomaticComplexity}`
       });
     }
     
-    if (metrics.complexFunctions > 0) {
+    const cognitiveCount = countOf('cognitive') + countOf('nesting');
+    if (cognitiveCount > 0) {
       recommendations.push({
         type: 'metrics',
         priority: 'medium',
-        message: 'Consider simplifying complex logic',
-        action: 'Review functions with high cognitive complexity'
+        message: `Simplify the logic of ${cognitiveCount} hard to follow function(s) (max cognitive complexity ${metrics.maxCognitiveComplexity}, max nesting ${metrics.maxNestingDepth})`,
+        action: 'Use early returns and extract nested blocks into named functions'
+      });
+    }
+
+    const lengthCount = countOf('length');
+    if (lengthCount > 0) {
+      recommendations.push({
+        type: 'length',
+        priority: 'low',
+        message: `Split ${lengthCount} function(s) longer than ${settings.maxFunctionLength} lines (longest ${metrics.maxFunctionLength})`,
+        action: 'Extract cohesive parts into helper functions'
       });
     }
     
@@ -138,36 +238,62 @@ class ComplexityCodeQualityStep extends StepBuilder {
       type: 'complexity',
       severity: issue.severity,
       message: issue.message,
+      file: issue.file,
+      line: issue.line,
       location: `${issue.file}:${issue.line}`,
       function: issue.function,
+      rule: issue.type,
       complexity: issue.complexity,
       threshold: issue.threshold
     }));
   }
 
+  /**
+   * One refactoring task per offending function, carrying its measured numbers
+   * @param {Array} complexityIssues - Issues from analyzeComplexityIssues
+   * @returns {Array} Tasks
+   */
   generateTasks(complexityIssues) {
-    return complexityIssues.map(issue => ({
-      type: 'refactor',
-      priority: issue.severity === 'high' ? 'high' : 'medium',
-      description: `Refactor ${issue.function} to reduce complexity`,
-      file: issue.file,
-      line: issue.line,
-      estimatedTime: '15 minutes'
-    }));
+    const byFunction = new Map();
+    for (const issue of complexityIssues) {
+      const key = `${issue.file}:${issue.line}:${issue.function}`;
+      if (!byFunction.has(key)) {
+        byFunction.set(key, { file: issue.file, line: issue.line, function: issue.function, metrics: issue.metrics, issues: [] });
+      }
+      byFunction.get(key).issues.push(issue);
+    }
+
+    return [...byFunction.values()].map(entry => {
+      const { metrics } = entry;
+      const worstRatio = Math.max(...entry.issues.map(issue => issue.complexity / issue.threshold));
+      const exceeded = entry.issues.map(issue => `${issue.type} ${issue.complexity}/${issue.threshold}`).join(', ');
+
+      return {
+        type: 'refactor',
+        priority: entry.issues.some(issue => issue.severity === 'high') ? 'high' : 'medium',
+        description: `Refactor ${entry.function} to reduce complexity (${exceeded})`,
+        file: entry.file,
+        line: entry.line,
+        function: entry.function,
+        metrics,
+        estimatedTime: `${Math.min(120, Math.ceil(worstRatio * 2) * 15)} minutes`
+      };
+    });
   }
 
   generateDocumentation(complexityIssues, metrics) {
+    const { settings } = config;
     return [
       {
         type: 'guide',
         title: 'Code Complexity Guidelines',
-        content: 'Keep cyclomatic complexity under 10 and cognitive complexity under 15',
+        content: `Keep cyclomatic complexity under ${settings.maxCyclomaticComplexity}, cognitive complexity under ${settings.maxCognitiveComplexity} and functions under ${settings.maxFunctionLength} lines`,
         url: '/docs/complexity-guidelines'
       },
       {
         type: 'metrics',
         title: 'Complexity Metrics',
-        content: `Average cyclomatic complexity: ${metrics.averageCyclomaticComplexity}`,
+        content: `Average cyclomatic complexity: ${metrics.averageCyclomaticComplexity}, average cognitive complexity: ${metrics.averageCognitiveComplexity} across ${metrics.totalFunctions} functions in ${metrics.totalFiles} files`,
         url: '/docs/complexity-metrics'
       }
     ];
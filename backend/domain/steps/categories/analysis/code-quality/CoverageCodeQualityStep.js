@@ -7,6 +7,7 @@
  */
 
 const StepBuilder = require('@steps/StepBuilder');
+const CoverageAnalyzerService = require('@domain/services/analysis/CoverageAnalyzerService');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('coverage_code_quality_step');
@@ -24,13 +25,17 @@ const config = {
     timeout: 30000,
     minCoverage: 80,
     minBranchCoverage: 70,
-    minFunctionCoverage: 85
+    minFunctionCoverage: 85,
+    minFileCoverage: 50,
+    maxFileIssues: 50,
+    hotSpotLimit: 20
   }
 };
 
 class CoverageCodeQualityStep extends StepBuilder {
   constructor() {
     super(config);
+    this.coverageAnalyzer = new CoverageAnalyzerService();
   }
 
   async execute(context) {
@@ -38,21 +43,33 @@ class CoverageCodeQualityStep extends StepBuilder {
       logger.info('📊 Starting coverage analysis...');
       
       const { projectPath } = context;
+      if (!projectPath) {
+        throw new Error('Project path is required for coverage analysis');
+      }
       
-      // Analyze coverage metrics
-      const coverageIssues = await this.analyzeCoverageIssues(projectPath);
-      const metrics = await this.calculateCoverageMetrics(projectPath);
+      // Read the coverage reports of every subproject
+      const coverage = await this.coverageAnalyzer.analyzeProject(projectPath, {
+        hotSpotLimit: config.settings.hotSpotLimit
+      });
+      const coverageIssues = this.analyzeCoverageIssues(coverage);
+      const metrics = this.calculateCoverageMetrics(coverage);
       
       const result = {
         success: true,
-        // Return only standardized format
+        coverageIssues,
+        metrics,
+        hotSpots: coverage.hotSpots,
+        reports: coverage.reports,
         issues: this.generateIssues(coverageIssues),
-        recommendations: this.generateRecommendations(coverageIssues, metrics),
-        tasks: this.generateTasks(coverageIssues),
+        recommendations: this.generateRecommendations(coverageIssues, metrics, coverage),
+        tasks: this.generateTasks(coverage),
         documentation: this.generateDocumentation(coverageIssues, metrics)
       };
 
-      logger.info('✅ Coverage analysis completed successfully');
+      logger.info('✅ Coverage analysis completed successfully', {
+        reports: metrics.reports,
+        lineCoverage: metrics.lineCoverage
+      });
       return result;
 
     } catch (error) {
@@ -60,7 +77,8 @@ class CoverageCodeQualityStep extends StepBuilder {
       return {
         success: false,
         error: error.message,
-        // Return only standardized format
+        coverageIssues: [],
+        metrics: {},
         issues: [],
         recommendations: [],
         tasks: [],
@@ -69,59 +87,162 @@ class CoverageCodeQualityStep extends StepBuilder {
     }
   }
 
-  async analyzeCoverageIssues(projectPath) {
-    // Placeholder implementation - would integrate with coverage tools
-    return [
-      {
-        type: 'low-coverage',
-        severity: 'high',
-        message: 'File has low test coverage',
-        file: 'src/utils/helper.js',
-        coverage: 45,
-        threshold: 80
-      },
-      {
-        type: 'uncovered-branches',
+  /**
+   * Compare subproject and file coverage against the configured thresholds
+   * @param {Object} coverage - CoverageAnalyzerService.analyzeProject result
+   * @returns {Array} Coverage issues
+   */
+  analyzeCoverageIssues(coverage) {
+    const { settings } = config;
+    const issues = [];
+
+    if (coverage.reports.length === 0) {
+      issues.push({
+        type: 'no-coverage-report',
         severity: 'medium',
-        message: 'Function has uncovered branches',
-        file: 'src/components/Button.jsx',
-        function: 'handleClick',
-        branchCoverage: 60,
-        threshold: 70
-      }
+        message: 'No coverage report found (lcov.info, coverage-final.json, coverage-summary.json or Cobertura XML)',
+        file: null,
+        line: null
+      });
+      return issues;
+    }
+
+    for (const report of coverage.reports.filter(report => report.error)) {
+      issues.push({
+        type: 'invalid-coverage-report',
+        severity: 'low',
+        message: `Coverage report could not be read: ${report.error}`,
+        file: report.file,
+        line: null
+      });
+    }
+
+    const checks = [
+      { type: 'low-line-coverage', metric: 'lines', threshold: settings.minCoverage, label: 'line' },
+      { type: 'low-branch-coverage', metric: 'branches', threshold: settings.minBranchCoverage, label: 'branch' },
+      { type: 'low-function-coverage', metric: 'functions', threshold: settings.minFunctionCoverage, label: 'function' }
     ];
+    for (const subproject of coverage.subprojects) {
+      for (const check of checks) {
+        const counter = subproject.totals[check.metric];
+        if (counter.total === 0 || counter.pct >= check.threshold) continue;
+
+        issues.push({
+          type: check.type,
+          severity: counter.pct < check.threshold - 20 ? 'high' : 'medium',
+          message: `${subproject.path === '.' ? 'Project' : subproject.path} has ${counter.pct}% ${check.label} coverage (${counter.covered}/${counter.total})`,
+          file: subproject.report,
+          line: null,
+          subproject: subproject.path,
+          coverage: counter.pct,
+          threshold: check.threshold
+        });
+      }
+    }
+
+    // Files that no test reaches first, then the ones with the most uncovered lines
+    const fileIssues = coverage.files
+      .filter(file => file.lines.total > 0 && file.lines.pct < settings.minFileCoverage)
+      .sort((a, b) => a.lines.pct - b.lines.pct || (b.lines.total - b.lines.covered) - (a.lines.total - a.lines.covered))
+      .slice(0, settings.maxFileIssues)
+      .map(file => ({
+        type: file.lines.covered === 0 ? 'uncovered-file' : 'low-file-coverage',
+        severity: file.lines.covered === 0 ? 'high' : 'medium',
+        message: file.lines.covered === 0
+          ? `File is not covered by any test (${file.lines.total} lines)`
+          : `File has ${file.lines.pct}% line coverage (${file.lines.covered}/${file.lines.total})`,
+        file: file.file,
+        line: file.uncoveredLines.length > 0 ? file.uncoveredLines[0] : null,
+        subproject: file.subproject,
+        coverage: file.lines.pct,
+        threshold: settings.minFileCoverage,
+        uncoveredFunctions: file.uncoveredFunctions.map(fn => fn.name)
+      }));
+
+    return [...issues, ...fileIssues];
   }
 
-  async calculateCoverageMetrics(projectPath) {
-    // Placeholder implementation
+  /**
+   * Project-wide coverage metrics
+   * @param {Object} coverage - CoverageAnalyzerService.analyzeProject result
+   * @returns {Object} Metrics (coverage percentages are null without a report)
+   */
+  calculateCoverageMetrics(coverage) {
+    const { settings } = config;
+    const { totals, files } = coverage;
+    const pct = (metric) => totals ? totals[metric].pct : null;
+
     return {
-      totalCoverage: 78.5,
-      branchCoverage: 72.3,
-      functionCoverage: 85.7,
-      lineCoverage: 78.5,
-      uncoveredFiles: 3,
-      uncoveredFunctions: 8
+      totalCoverage: pct('lines'),
+      lineCoverage: pct('lines'),
+      branchCoverage: pct('branches'),
+      functionCoverage: pct('functions'),
+      statementCoverage: pct('statements'),
+      totals,
+      reports: coverage.subprojects.length,
+      totalFiles: files.length,
+      uncoveredFiles: files.filter(file => file.lines.total > 0 && file.lines.covered === 0).length,
+      lowCoverageFiles: files.filter(file => file.lines.total > 0 && file.lines.pct < settings.minFileCoverage).length,
+      uncoveredFunctions: files.reduce((sum, file) => sum + file.uncoveredFunctions.length, 0),
+      subprojects: coverage.subprojects.map(subproject => ({
+        path: subproject.path,
+        report: subproject.report,
+        format: subproject.format,
+        generatedAt: subproject.generatedAt,
+        files: subproject.files,
+        lineCoverage: subproject.totals.lines.pct,
+        branchCoverage: subproject.totals.branches.pct,
+        functionCoverage: subproject.totals.functions.pct,
+        statementCoverage: subproject.totals.statements.pct
+      })),
+      hotSpots: coverage.hotSpots.slice(0, 10).map(hotSpot => ({
+        file: hotSpot.file,
+        coverage: hotSpot.coverage,
+        uncoveredLines: hotSpot.uncoveredLines,
+        ranges: hotSpot.ranges
+      }))
     };
   }
 
-  generateRecommendations(coverageIssues, metrics) {
+  generateRecommendations(coverageIssues, metrics, coverage) {
     const recommendations = [];
+    const { settings } = config;
     
-    if (metrics.totalCoverage < 80) {
+    if (metrics.reports === 0) {
       recommendations.push({
         type: 'coverage',
         priority: 'high',
-        message: 'Increase overall test coverage to meet minimum threshold',
+        message: 'No coverage data available for this project',
+        action: 'Run the tests with coverage enabled (e.g. `jest --coverage`, `nyc`, `pytest --cov --cov-report=xml`) before the analysis'
+      });
+      return recommendations;
+    }
+
+    if (metrics.lineCoverage < settings.minCoverage) {
+      recommendations.push({
+        type: 'coverage',
+        priority: 'high',
+        message: `Increase line coverage from ${metrics.lineCoverage}% to at least ${settings.minCoverage}%`,
         action: 'Add tests for uncovered code paths'
       });
     }
+
+    if (metrics.branchCoverage < settings.minBranchCoverage) {
+      recommendations.push({
+        type: 'branches',
+        priority: 'medium',
+        message: `Increase branch coverage from ${metrics.branchCoverage}% to at least ${settings.minBranchCoverage}%`,
+        action: 'Test both outcomes of conditions and error paths'
+      });
+    }
     
-    if (coverageIssues.length > 0) {
+    if (coverage.hotSpots.length > 0) {
+      const files = coverage.hotSpots.slice(0, 3).map(hotSpot => `${hotSpot.file} (${hotSpot.uncoveredLines} lines)`);
       recommendations.push({
         type: 'specific',
         priority: 'medium',
-        message: 'Focus on files with low coverage',
-        action: 'Prioritize testing for files with coverage < 80%'
+        message: `Focus on the files with the most uncovered lines: ${files.join(', ')}`,
+        action: `Prioritize testing for files with coverage < ${settings.minFileCoverage}%`
       });
     }
     
@@ -133,34 +254,57 @@ class CoverageCodeQualityStep extends StepBuilder {
       type: 'coverage',
       severity: issue.severity,
       message: issue.message,
-      location: issue.file,
-      coverage: issue.coverage || issue.branchCoverage,
+      file: issue.file,
+      line: issue.line,
+      location: issue.file ? (issue.line ? `${issue.file}:${issue.line}` : issue.file) : null,
+      rule: issue.type,
+      subproject: issue.subproject,
+      coverage: issue.coverage,
       threshold: issue.threshold
     }));
   }
 
-  generateTasks(coverageIssues) {
-    return coverageIssues.map(issue => ({
-      type: 'test',
-      priority: issue.severity === 'high' ? 'high' : 'medium',
-      description: `Add tests for ${issue.file}`,
-      file: issue.file,
-      estimatedTime: '30 minutes'
-    }));
+  /**
+   * One test task per hot spot below the coverage threshold, carrying its uncovered ranges
+   * @param {Object} coverage - CoverageAnalyzerService.analyzeProject result
+   * @returns {Array} Tasks
+   */
+  generateTasks(coverage) {
+    const { settings } = config;
+    return coverage.hotSpots
+      .filter(hotSpot => hotSpot.coverage < settings.minCoverage)
+      .map(hotSpot => {
+        const ranges = hotSpot.ranges.slice(0, 5)
+          .map(range => range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`);
+        return {
+          type: 'test',
+          priority: hotSpot.coverage < settings.minFileCoverage ? 'high' : 'medium',
+          description: `Add tests for ${hotSpot.file} (${hotSpot.coverage}% covered, uncovered lines ${ranges.join(', ')}${hotSpot.ranges.length > 5 ? ', ...' : ''})`,
+          file: hotSpot.file,
+          line: hotSpot.ranges.length > 0 ? hotSpot.ranges[0].start : null,
+          uncoveredRanges: hotSpot.ranges,
+          uncoveredFunctions: hotSpot.uncoveredFunctions.map(fn => fn.name),
+          estimatedTime: `${Math.min(240, Math.ceil(hotSpot.uncoveredLines / 20) * 15)} minutes`
+        };
+      });
   }
 
   generateDocumentation(coverageIssues, metrics) {
+    const { settings } = config;
+    const content = metrics.reports > 0
+      ? `Line coverage: ${metrics.lineCoverage}%, branch coverage: ${metrics.branchCoverage}%, function coverage: ${metrics.functionCoverage}% across ${metrics.totalFiles} files in ${metrics.reports} report(s)`
+      : 'No coverage report found';
     return [
       {
         type: 'guide',
         title: 'Test Coverage Guidelines',
-        content: 'Maintain minimum 80% test coverage for all production code',
+        content: `Maintain at least ${settings.minCoverage}% line, ${settings.minBranchCoverage}% branch and ${settings.minFunctionCoverage}% function coverage for all production code`,
         url: '/docs/coverage-guidelines'
       },
       {
         type: 'metrics',
         title: 'Coverage Metrics',
-        content: `Overall coverage: ${metrics.totalCoverage}%`,
+        content,
         url: '/docs/coverage-metrics'
       }
     ];
@@ -174,4 +318,4 @@ const stepInstance = new CoverageCodeQualityStep();
 module.exports = {
   config,
   execute: async (context) => await stepInstance.execute(context)
-}; 
\ No newline at end of file
+}; 
@@ -7,6 +7,8 @@
  */
 
 const StepBuilder = require('@steps/StepBuilder');
+const DependencyGraphService = require('@domain/services/analysis/DependencyGraphService');
+const LicenseClassifier = require('@domain/services/analysis/LicenseClassifier');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('license_dependency_step');
@@ -23,13 +25,16 @@ const config = {
   settings: {
     timeout: 30000,
     checkDevDependencies: true,
-    checkPeerDependencies: true
+    checkPeerDependencies: true,
+    allowedLicenses: [],
+    deniedLicenses: []
   }
 };
 
 class LicenseDependencyStep extends StepBuilder {
   constructor() {
     super(config);
+    this.dependencyGraphService = new DependencyGraphService();
   }
 
   async execute(context) {
@@ -37,10 +42,12 @@ class LicenseDependencyStep extends StepBuilder {
       logger.info('📄 Starting license analysis...');
       
       const { projectPath } = context;
+      const graph = context.dependencyGraph || await this.dependencyGraphService.analyze(projectPath);
       
       // Analyze license issues
-      const licenseIssues = await this.analyzeLicenseIssues(projectPath);
-      const metrics = await this.calculateLicenseMetrics(projectPath);
+      const classifications = this.classifyPackages(graph);
+      const licenseIssues = this.analyzeLicenseIssues(classifications);
+      const metrics = this.calculateLicenseMetrics(classifications, licenseIssues);
       
       const result = {
         success: true,
@@ -70,37 +77,124 @@ class LicenseDependencyStep extends StepBuilder {
     }
   }
 
-  async analyzeLicenseIssues(projectPath) {
-    // Placeholder implementation - would integrate with license-checker
-    return [
-      {
-        name: 'some-package',
-        version: '1.0.0',
-        license: 'GPL-3.0',
+  /**
+   * Classify the license of every resolved package; licenses come from the
+   * lockfile (npm v2+) or the installed package.json in node_modules
+   * @param {Object} graph - Dependency graph from DependencyGraphService
+   * @returns {Array} Packages with their classification
+   */
+  classifyPackages(graph) {
+    const { settings } = config;
+    const classifier = new LicenseClassifier({
+      allowedLicenses: settings.allowedLicenses,
+      deniedLicenses: settings.deniedLicenses
+    });
+
+    return graph.packages
+      .filter(pkg => !pkg.dev || settings.checkDevDependencies)
+      .map(pkg => ({ pkg, classification: classifier.classify(pkg.license) }));
+  }
+
+  analyzeLicenseIssues(classifications) {
+    const issues = [];
+
+    for (const { pkg, classification } of classifications) {
+      const finding = this.describeFinding(pkg, classification);
+      if (!finding) continue;
+
+      issues.push({
+        name: pkg.name,
+        version: pkg.version,
+        license: classification.license || 'UNKNOWN',
+        category: classification.category,
+        // Dev-only tooling is not distributed with the project
+        severity: pkg.dev ? 'low' : finding.severity,
+        issue: finding.issue,
+        recommendation: finding.recommendation,
+        direct: pkg.direct,
+        dev: pkg.dev,
+        via: pkg.via
+      });
+    }
+
+    const severityOrder = { high: 0, medium: 1, low: 2 };
+    return issues.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity] || a.name.localeCompare(b.name));
+  }
+
+  describeFinding(pkg, classification) {
+    if (classification.denied) {
+      return {
         severity: 'high',
-        issue: 'GPL license may require source code disclosure',
-        recommendation: 'Consider alternative with MIT/Apache license'
-      },
-      {
-        name: 'another-package',
-        version: '2.1.0',
-        license: 'UNKNOWN',
-        severity: 'medium',
-        issue: 'Unknown license type',
-        recommendation: 'Contact package maintainer for license clarification'
-      }
-    ];
+        issue: `License ${classification.license} is on the deny list`,
+        recommendation: 'Replace the package or get the license approved'
+      };
+    }
+
+    switch (classification.category) {
+      case 'network-copyleft':
+        return {
+          severity: 'high',
+          issue: `${classification.license} requires releasing the source code even when the software is only offered over a network`,
+          recommendation: 'Consider alternative with MIT/Apache license'
+        };
+      case 'strong-copyleft':
+        return {
+          severity: 'high',
+          issue: `${classification.license} may require source code disclosure when distributing`,
+          recommendation: 'Consider alternative with MIT/Apache license'
+        };
+      case 'non-commercial':
+        return {
+          severity: 'high',
+          issue: `${classification.license} forbids commercial use`,
+          recommendation: 'Replace the package unless the project is strictly non-commercial'
+        };
+      case 'proprietary':
+        return {
+          severity: 'medium',
+          issue: `Custom license terms (${classification.license})`,
+          recommendation: 'Read the license file of the package and confirm the terms'
+        };
+      case 'unknown':
+        return {
+          severity: 'medium',
+          issue: classification.license
+            ? `Unrecognized license "${classification.license}"`
+            : (pkg.installed ? 'No license declared' : 'No license information (package not installed)'),
+          recommendation: pkg.installed || classification.license
+            ? 'Contact package maintainer for license clarification'
+            : 'Install dependencies and run the analysis again'
+        };
+      case 'weak-copyleft':
+        return {
+          severity: 'low',
+          issue: `${classification.license} requires sharing changes made to the package itself`,
+          recommendation: 'Use the package unmodified or publish your modifications'
+        };
+      default:
+        return null;
+    }
   }
 
-  async calculateLicenseMetrics(projectPath) {
-    // Placeholder implementation
+  calculateLicenseMetrics(classifications, licenseIssues) {
+    const byCategory = {};
+    const byLicense = {};
+    for (const { classification } of classifications) {
+      byCategory[classification.category] = (byCategory[classification.category] || 0) + 1;
+      const license = classification.license || 'UNKNOWN';
+      byLicense[license] = (byLicense[license] || 0) + 1;
+    }
+    const totalDependencies = classifications.length;
+
     return {
-      totalDependencies: 45,
-      licenseIssues: 3,
-      licenseIssuePercentage: 6.7,
-      gplLicenses: 1,
-      unknownLicenses: 2,
-      compliantLicenses: 42
+      totalDependencies,
+      licenseIssues: licenseIssues.length,
+      licenseIssuePercentage: totalDependencies > 0 ? Math.round(licenseIssues.length / totalDependencies * 1000) / 10 : 0,
+      gplLicenses: (byCategory['strong-copyleft'] || 0) + (byCategory['network-copyleft'] || 0),
+      unknownLicenses: byCategory.unknown || 0,
+      compliantLicenses: byCategory.permissive || 0,
+      byCategory,
+      byLicense
     };
   }
 
@@ -142,7 +236,7 @@ class LicenseDependencyStep extends StepBuilder {
   }
 
   generateTasks(licenseIssues) {
-    return licenseIssues.map(issue => ({
+    return licenseIssues.filter(issue => issue.severity !== 'low').map(issue => ({
       type: 'license-review',
       priority: issue.severity === 'high' ? 'high' : 'medium',
       description: `Review license for ${issue.name}`,
@@ -6,7 +6,9 @@
  * Purpose: Individual step for outdated dependency analysis within DependencyAnalysisOrchestrator
  */
 
+const semver = require('semver');
 const StepBuilder = require('@steps/StepBuilder');
+const DependencyGraphService = require('@domain/services/analysis/DependencyGraphService');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('outdated_dependency_step');
@@ -23,13 +25,17 @@ const config = {
   settings: {
     timeout: 30000,
     checkDevDependencies: true,
-    checkPeerDependencies: true
+    checkPeerDependencies: true,
+    registryLookup: true,
+    registryUrl: 'https://registry.npmjs.org',
+    registryTimeout: 5000
   }
 };
 
 class OutdatedDependencyStep extends StepBuilder {
   constructor() {
     super(config);
+    this.dependencyGraphService = new DependencyGraphService();
   }
 
   async execute(context) {
@@ -37,10 +43,12 @@ class OutdatedDependencyStep extends StepBuilder {
       logger.info('📦 Starting outdated dependency analysis...');
       
       const { projectPath } = context;
+      const graph = context.dependencyGraph || await this.dependencyGraphService.analyze(projectPath);
+      const registryLookup = context.registryLookup !== undefined ? context.registryLookup : config.settings.registryLookup;
       
       // Analyze outdated dependencies
-      const outdatedDependencies = await this.analyzeOutdatedDependencies(projectPath);
-      const metrics = await this.calculateOutdatedMetrics(projectPath);
+      const outdatedDependencies = await this.analyzeOutdatedDependencies(graph, { registryLookup });
+      const metrics = this.calculateOutdatedMetrics(graph, outdatedDependencies, { registryLookup });
       
       const result = {
         success: true,
@@ -70,37 +78,128 @@ class OutdatedDependencyStep extends StepBuilder {
     }
   }
 
-  async analyzeOutdatedDependencies(projectPath) {
-    // Placeholder implementation - would integrate with npm outdated
-    return [
-      {
-        name: 'react',
-        currentVersion: '17.0.2',
-        latestVersion: '18.2.0',
-        type: 'dependencies',
-        severity: 'medium',
-        breakingChanges: false
-      },
-      {
-        name: 'lodash',
-        currentVersion: '4.17.20',
-        latestVersion: '4.17.21',
-        type: 'dependencies',
-        severity: 'low',
-        breakingChanges: false
+  /**
+   * Compare declared ranges, locked and installed versions and - when the registry is
+   * reachable - the latest published version of every direct dependency
+   * @param {Object} graph - Dependency graph from DependencyGraphService
+   * @param {Object} options - { registryLookup }
+   * @returns {Promise<Array>} Outdated or out-of-sync dependencies
+   */
+  async analyzeOutdatedDependencies(graph, options = {}) {
+    const { settings } = config;
+    const outdated = [];
+    this.registryFailures = 0;
+    this.latestVersions = new Map();
+
+    for (const workspace of graph.workspaces) {
+      for (const dependency of workspace.dependencies) {
+        if (dependency.workspace || !dependency.version || !semver.valid(dependency.version)) continue;
+        if (dependency.type === 'devDependencies' && !settings.checkDevDependencies) continue;
+        if (dependency.type === 'peerDependencies') continue;
+
+        const base = {
+          name: dependency.name,
+          workspace: workspace.name,
+          type: dependency.type,
+          range: dependency.range,
+          currentVersion: dependency.version
+        };
+
+        if (semver.validRange(dependency.range) && !semver.satisfies(dependency.version, dependency.range, { includePrerelease: true })) {
+          outdated.push({
+            ...base,
+            reason: 'lockfile-out-of-sync',
+            latestVersion: null,
+            severity: 'medium',
+            breakingChanges: false,
+            message: `${dependency.name}@${dependency.version} in the lockfile does not satisfy "${dependency.range}"`
+          });
+          continue;
+        }
+
+        if (dependency.resolvedFrom === 'lockfile' && dependency.installedVersion && dependency.installedVersion !== dependency.version) {
+          outdated.push({
+            ...base,
+            reason: 'install-out-of-sync',
+            latestVersion: dependency.version,
+            installedVersion: dependency.installedVersion,
+            severity: 'low',
+            breakingChanges: false,
+            message: `${dependency.name} is installed as ${dependency.installedVersion} but locked at ${dependency.version}`
+          });
+        }
+
+        if (!options.registryLookup) continue;
+
+        const latestVersion = await this.getLatestVersion(dependency.name);
+        if (latestVersion && semver.gt(latestVersion, dependency.version)) {
+          const updateType = semver.diff(dependency.version, latestVersion) || 'patch';
+          const breakingChanges = updateType.endsWith('major') || (semver.major(dependency.version) === 0 && updateType.endsWith('minor'));
+          outdated.push({
+            ...base,
+            reason: 'newer-version',
+            latestVersion,
+            updateType,
+            severity: breakingChanges ? 'medium' : 'low',
+            breakingChanges,
+            message: `${dependency.name} is outdated (${dependency.version} → ${latestVersion})`
+          });
+        }
       }
-    ];
+    }
+
+    return outdated;
+  }
+
+  /**
+   * Latest published version from the npm registry; gives up after repeated failures (offline)
+   * @param {string} name - Package name
+   * @returns {Promise<string|null>} Latest version
+   */
+  async getLatestVersion(name) {
+    const { settings } = config;
+    if (this.latestVersions.has(name)) return this.latestVersions.get(name);
+    if (this.registryFailures >= 3) return null;
+
+    let latest = null;
+    try {
+      const registryUrl = (process.env.npm_config_registry || settings.registryUrl).replace(/\/+$/, '');
+      const response = await fetch(`${registryUrl}/${name.replace('/', '%2f')}`, {
+        headers: { 'Accept': 'application/vnd.npm.install-v1+json' },
+        signal: AbortSignal.timeout(settings.registryTimeout)
+      });
+      if (response.ok) {
+        const metadata = await response.json();
+        latest = metadata['dist-tags'] ? metadata['dist-tags'].latest || null : null;
+        this.registryFailures = 0;
+      } else if (response.status !== 404) {
+        this.registryFailures++;
+      }
+    } catch (error) {
+      this.registryFailures++;
+      logger.warn(`Registry lookup for ${name} failed: ${error.message}`);
+    }
+
+    this.latestVersions.set(name, latest);
+    return latest;
   }
 
-  async calculateOutdatedMetrics(projectPath) {
-    // Placeholder implementation
+  calculateOutdatedMetrics(graph, outdatedDependencies, options = {}) {
+    const totalDependencies = graph.workspaces.reduce((count, workspace) =>
+      count + workspace.dependencies.filter(dependency => !dependency.workspace && dependency.type !== 'peerDependencies').length, 0);
+    const newer = outdatedDependencies.filter(dep => dep.reason === 'newer-version');
+    const outdatedCount = new Set(outdatedDependencies.map(dep => `${dep.workspace}:${dep.name}`)).size;
+
     return {
-      totalDependencies: 45,
-      outdatedDependencies: 8,
-      outdatedPercentage: 17.8,
-      majorUpdates: 2,
-      minorUpdates: 4,
-      patchUpdates: 2
+      totalDependencies,
+      outdatedDependencies: outdatedCount,
+      outdatedPercentage: totalDependencies > 0 ? Math.round(outdatedCount / totalDependencies * 1000) / 10 : 0,
+      majorUpdates: newer.filter(dep => dep.updateType.endsWith('major')).length,
+      minorUpdates: newer.filter(dep => dep.updateType.endsWith('minor')).length,
+      patchUpdates: newer.filter(dep => !dep.updateType.endsWith('major') && !dep.updateType.endsWith('minor')).length,
+      outOfSync: outdatedDependencies.filter(dep => dep.reason !== 'newer-version').length,
+      registryChecked: Boolean(options.registryLookup) && this.registryFailures < 3,
+      lockfiles: graph.lockfiles
     };
   }
 
@@ -116,6 +215,15 @@ class OutdatedDependencyStep extends StepBuilder {
       });
     }
     
+    if (metrics.outOfSync > 0) {
+      recommendations.push({
+        type: 'lockfile',
+        priority: 'medium',
+        message: `${metrics.outOfSync} dependencies differ between package.json, the lockfile and node_modules`,
+        action: 'Run a clean install (npm ci, yarn install --frozen-lockfile or pnpm install --frozen-lockfile) after updating the lockfile'
+      });
+    }
+    
     if (metrics.majorUpdates > 0) {
       recommendations.push({
         type: 'major-update',
@@ -132,8 +240,10 @@ class OutdatedDependencyStep extends StepBuilder {
     return outdatedDependencies.map(dep => ({
       type: 'outdated',
       severity: dep.severity,
-      message: `${dep.name} is outdated (${dep.currentVersion} → ${dep.latestVersion})`,
+      message: dep.message,
       package: dep.name,
+      workspace: dep.workspace,
+      reason: dep.reason,
       currentVersion: dep.currentVersion,
       latestVersion: dep.latestVersion,
       breakingChanges: dep.breakingChanges
@@ -144,11 +254,14 @@ class OutdatedDependencyStep extends StepBuilder {
     return outdatedDependencies.map(dep => ({
       type: 'update',
       priority: dep.severity === 'high' ? 'high' : 'medium',
-      description: `Update ${dep.name} to ${dep.latestVersion}`,
+      description: dep.reason === 'newer-version'
+        ? `Update ${dep.name} to ${dep.latestVersion} in ${dep.workspace}`
+        : `Reinstall ${dep.name} in ${dep.workspace} so lockfile, package.json and node_modules agree`,
       package: dep.name,
+      workspace: dep.workspace,
       currentVersion: dep.currentVersion,
       latestVersion: dep.latestVersion,
-      estimatedTime: '5 minutes'
+      estimatedTime: dep.breakingChanges ? '30 minutes' : '5 minutes'
     }));
   }
 
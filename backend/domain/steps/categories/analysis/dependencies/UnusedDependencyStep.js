@@ -6,7 +6,10 @@
  * Purpose: Individual step for unused dependency analysis within DependencyAnalysisOrchestrator
  */
 
+const path = require('path');
 const StepBuilder = require('@steps/StepBuilder');
+const DependencyGraphService = require('@domain/services/analysis/DependencyGraphService');
+const DependencyUsageScanner = require('@domain/services/analysis/DependencyUsageScanner');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('unused_dependency_step');
@@ -30,6 +33,8 @@ const config = {
 class UnusedDependencyStep extends StepBuilder {
   constructor() {
     super(config);
+    this.dependencyGraphService = new DependencyGraphService();
+    this.usageScanner = new DependencyUsageScanner();
   }
 
   async execute(context) {
@@ -37,10 +42,11 @@ class UnusedDependencyStep extends StepBuilder {
       logger.info('🗑️ Starting unused dependency analysis...');
       
       const { projectPath } = context;
+      const graph = context.dependencyGraph || await this.dependencyGraphService.analyze(projectPath);
       
       // Analyze unused dependencies
-      const unusedDependencies = await this.analyzeUnusedDependencies(projectPath);
-      const metrics = await this.calculateUnusedMetrics(projectPath);
+      const { unusedDependencies, checkedDependencies, filesScanned } = await this.analyzeUnusedDependencies(graph, context);
+      const metrics = this.calculateUnusedMetrics(unusedDependencies, checkedDependencies, filesScanned);
       
       const result = {
         success: true,
@@ -70,31 +76,82 @@ class UnusedDependencyStep extends StepBuilder {
     }
   }
 
-  async analyzeUnusedDependencies(projectPath) {
-    // Placeholder implementation - would integrate with depcheck
-    return [
-      {
-        name: 'moment',
-        type: 'dependencies',
-        reason: 'Not imported in any file',
-        size: '2.3MB'
-      },
-      {
-        name: 'jquery',
-        type: 'dependencies',
-        reason: 'Replaced with native DOM APIs',
-        size: '1.2MB'
+  /**
+   * Compare the declared dependencies of every workspace with the packages its
+   * sources import, its scripts run and its tool configs reference
+   * @param {Object} graph - Dependency graph from DependencyGraphService
+   * @param {Object} context - Step context (optional excludePatterns)
+   * @returns {Promise<Object>} { unusedDependencies, checkedDependencies, filesScanned }
+   */
+  async analyzeUnusedDependencies(graph, context = {}) {
+    const { settings } = config;
+    const workspacePaths = graph.workspaces.map(workspace => workspace.path);
+    const unusedDependencies = [];
+    let checkedDependencies = 0;
+    let filesScanned = 0;
+
+    const scans = new Map();
+    for (const workspace of graph.workspaces) {
+      const scan = await this.usageScanner.scanWorkspace(workspace, {
+        nestedWorkspacePaths: workspacePaths,
+        excludePatterns: context.excludePatterns
+      });
+      scans.set(workspace.path, scan);
+      filesScanned += scan.filesScanned;
+    }
+
+    for (const workspace of graph.workspaces) {
+      const scan = scans.get(workspace.path);
+      // Packages declared in a parent workspace resolve from its nested workspaces too
+      const nestedScans = graph.workspaces
+        .filter(other => other.path.startsWith(workspace.path + path.sep))
+        .map(other => scans.get(other.path));
+
+      const installedManifests = new Map();
+      for (const dependency of workspace.dependencies) {
+        if (dependency.workspace) continue;
+        installedManifests.set(dependency.name,
+          await this.dependencyGraphService.readInstalledManifest(workspace.path, graph.projectPath, dependency.name));
       }
-    ];
+      // Declared to satisfy another dependency's peer requirement (@babel/core for babel-jest, ...)
+      const peerRequirements = new Set();
+      for (const installed of installedManifests.values()) {
+        Object.keys((installed && installed.peerDependencies) || {}).forEach(name => peerRequirements.add(name));
+      }
+
+      for (const dependency of workspace.dependencies) {
+        if (dependency.workspace) continue;
+        if (dependency.type === 'devDependencies' && !settings.checkDevDependencies) continue;
+        if (dependency.type === 'peerDependencies' && !settings.checkPeerDependencies) continue;
+        checkedDependencies++;
+
+        const installed = installedManifests.get(dependency.name);
+        if (this.usageScanner.getUsage(dependency.name, scan, installed)) continue;
+        if (nestedScans.some(nestedScan => this.usageScanner.getUsage(dependency.name, nestedScan, installed))) continue;
+        if (peerRequirements.has(dependency.name)) continue;
+
+        unusedDependencies.push({
+          name: dependency.name,
+          type: dependency.type,
+          workspace: workspace.name,
+          version: dependency.version,
+          reason: scan.truncated
+            ? `Not referenced in the first ${scan.filesScanned} files, scripts or tool configuration`
+            : 'Not imported in any source file, package.json script or tool configuration'
+        });
+      }
+    }
+
+    return { unusedDependencies, checkedDependencies, filesScanned };
   }
 
-  async calculateUnusedMetrics(projectPath) {
-    // Placeholder implementation
+  calculateUnusedMetrics(unusedDependencies, checkedDependencies, filesScanned) {
     return {
-      totalDependencies: 45,
-      unusedDependencies: 5,
-      unusedPercentage: 11.1,
-      potentialSavings: '3.5MB'
+      totalDependencies: checkedDependencies,
+      unusedDependencies: unusedDependencies.length,
+      unusedPercentage: checkedDependencies > 0 ? Math.round(unusedDependencies.length / checkedDependencies * 1000) / 10 : 0,
+      unusedProductionDependencies: unusedDependencies.filter(dep => dep.type === 'dependencies').length,
+      filesScanned
     };
   }
 
@@ -110,12 +167,12 @@ class UnusedDependencyStep extends StepBuilder {
       });
     }
     
-    if (metrics.potentialSavings) {
+    if (metrics.unusedProductionDependencies > 0) {
       recommendations.push({
         type: 'optimization',
         priority: 'low',
-        message: `Potential bundle size reduction: ${metrics.potentialSavings}`,
-        action: 'Review and remove unused dependencies'
+        message: `${metrics.unusedProductionDependencies} unused production dependencies are installed with every deployment`,
+        action: 'Remove them or move build-time tools to devDependencies'
       });
     }
     
@@ -125,20 +182,22 @@ class UnusedDependencyStep extends StepBuilder {
   generateIssues(unusedDependencies) {
     return unusedDependencies.map(dep => ({
       type: 'unused',
-      severity: 'medium',
-      message: `${dep.name} is unused and can be removed`,
+      severity: dep.type === 'dependencies' ? 'medium' : 'low',
+      message: `${dep.name} is unused in ${dep.workspace} and can be removed`,
       package: dep.name,
-      reason: dep.reason,
-      size: dep.size
+      workspace: dep.workspace,
+      dependencyType: dep.type,
+      reason: dep.reason
     }));
   }
 
   generateTasks(unusedDependencies) {
     return unusedDependencies.map(dep => ({
       type: 'remove',
-      priority: 'medium',
-      description: `Remove unused dependency: ${dep.name}`,
+      priority: dep.type === 'dependencies' ? 'medium' : 'low',
+      description: `Remove unused ${dep.type === 'dependencies' ? 'dependency' : dep.type.replace(/Dependencies$/, ' dependency')} ${dep.name} from ${dep.workspace}`,
       package: dep.name,
+      workspace: dep.workspace,
       reason: dep.reason,
       estimatedTime: '2 minutes'
     }));
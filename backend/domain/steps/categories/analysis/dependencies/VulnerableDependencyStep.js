@@ -7,6 +7,8 @@
  */
 
 const StepBuilder = require('@steps/StepBuilder');
+const DependencyGraphService = require('@domain/services/analysis/DependencyGraphService');
+const AdvisoryDatabase = require('@domain/services/analysis/AdvisoryDatabase');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('vulnerable_dependency_step');
@@ -27,9 +29,15 @@ const config = {
   }
 };
 
+// Advisory severities mapped onto the issue severities used by the analysis steps
+const SEVERITY_MAP = { critical: 'critical', high: 'high', moderate: 'medium', low: 'low' };
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
 class VulnerableDependencyStep extends StepBuilder {
   constructor() {
     super(config);
+    this.dependencyGraphService = new DependencyGraphService();
+    this.advisoryDatabase = new AdvisoryDatabase();
   }
 
   async execute(context) {
@@ -37,10 +45,12 @@ class VulnerableDependencyStep extends StepBuilder {
       logger.info('🔒 Starting vulnerable dependency analysis...');
       
       const { projectPath } = context;
+      const graph = context.dependencyGraph || await this.dependencyGraphService.analyze(projectPath);
+      const database = await this.advisoryDatabase.load();
       
       // Analyze vulnerable dependencies
-      const vulnerableDependencies = await this.analyzeVulnerableDependencies(projectPath);
-      const metrics = await this.calculateVulnerabilityMetrics(projectPath);
+      const vulnerableDependencies = await this.analyzeVulnerableDependencies(graph);
+      const metrics = this.calculateVulnerabilityMetrics(graph, vulnerableDependencies, database);
       
       const result = {
         success: true,
@@ -70,37 +80,57 @@ class VulnerableDependencyStep extends StepBuilder {
     }
   }
 
-  async analyzeVulnerableDependencies(projectPath) {
-    // Placeholder implementation - would integrate with npm audit
-    return [
-      {
-        name: 'lodash',
-        version: '4.17.20',
-        severity: 'high',
-        vulnerability: 'CVE-2021-23337',
-        description: 'Prototype pollution vulnerability',
-        fixedIn: '4.17.21'
-      },
-      {
-        name: 'axios',
-        version: '0.21.1',
-        severity: 'medium',
-        vulnerability: 'CVE-2021-3749',
-        description: 'Server-Side Request Forgery',
-        fixedIn: '0.21.2'
+  /**
+   * Match every resolved package (direct and transitive) against the advisory database
+   * @param {Object} graph - Dependency graph from DependencyGraphService
+   * @returns {Promise<Array>} One entry per affected package version and advisory
+   */
+  async analyzeVulnerableDependencies(graph) {
+    const vulnerable = [];
+
+    for (const pkg of graph.packages) {
+      if (pkg.dev && !config.settings.checkDevDependencies) continue;
+
+      const advisories = await this.advisoryDatabase.findAdvisories(pkg.name, pkg.version);
+      for (const advisory of advisories) {
+        vulnerable.push({
+          name: pkg.name,
+          version: pkg.version,
+          severity: SEVERITY_MAP[advisory.severity],
+          vulnerability: (advisory.aliases && advisory.aliases[0]) || advisory.id,
+          advisoryId: advisory.id,
+          description: advisory.title,
+          url: advisory.url || null,
+          fixedIn: advisory.fixedIn,
+          direct: pkg.direct,
+          dev: pkg.dev,
+          via: pkg.via,
+          workspaces: pkg.workspaces
+        });
       }
-    ];
+    }
+
+    return vulnerable.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
   }
 
-  async calculateVulnerabilityMetrics(projectPath) {
-    // Placeholder implementation
+  calculateVulnerabilityMetrics(graph, vulnerableDependencies, database) {
+    const totalDependencies = graph.packages.length;
+    const vulnerablePackages = new Set(vulnerableDependencies.map(dep => `${dep.name}@${dep.version}`)).size;
+    const countOf = (severity) => vulnerableDependencies.filter(dep => dep.severity === severity).length;
+
     return {
-      totalDependencies: 45,
-      vulnerableDependencies: 3,
-      vulnerabilityPercentage: 6.7,
-      highSeverity: 1,
-      mediumSeverity: 2,
-      lowSeverity: 0
+      totalDependencies,
+      vulnerableDependencies: vulnerablePackages,
+      vulnerabilityPercentage: totalDependencies > 0 ? Math.round(vulnerablePackages / totalDependencies * 1000) / 10 : 0,
+      criticalSeverity: countOf('critical'),
+      highSeverity: countOf('high'),
+      mediumSeverity: countOf('medium'),
+      lowSeverity: countOf('low'),
+      advisoryDatabase: {
+        updatedAt: database.updatedAt,
+        source: database.source,
+        advisories: database.advisories.length
+      }
     };
   }
 
@@ -116,7 +146,7 @@ class VulnerableDependencyStep extends StepBuilder {
       });
     }
     
-    if (metrics.highSeverity > 0) {
+    if (metrics.criticalSeverity > 0 || metrics.highSeverity > 0) {
       recommendations.push({
         type: 'high-severity',
         priority: 'critical',
@@ -137,19 +167,24 @@ class VulnerableDependencyStep extends StepBuilder {
       version: dep.version,
       vulnerability: dep.vulnerability,
       description: dep.description,
-      fixedIn: dep.fixedIn
+      url: dep.url,
+      fixedIn: dep.fixedIn,
+      direct: dep.direct,
+      path: dep.via.join(' > ')
     }));
   }
 
   generateTasks(vulnerableDependencies) {
     return vulnerableDependencies.map(dep => ({
       type: 'security-fix',
-      priority: dep.severity === 'high' ? 'critical' : 'high',
-      description: `Update ${dep.name} to fix ${dep.vulnerability}`,
+      priority: ['critical', 'high'].includes(dep.severity) ? 'critical' : 'high',
+      description: dep.direct
+        ? `Update ${dep.name} to ${dep.fixedIn || 'a patched version'} to fix ${dep.vulnerability}`
+        : `Update ${dep.via[0]} so ${dep.name} resolves to ${dep.fixedIn || 'a patched version'} (${dep.via.join(' > ')}) to fix ${dep.vulnerability}`,
       package: dep.name,
       currentVersion: dep.version,
       fixedVersion: dep.fixedIn,
-      estimatedTime: '10 minutes'
+      estimatedTime: dep.direct ? '10 minutes' : '20 minutes'
     }));
   }
 
@@ -164,7 +199,7 @@ class VulnerableDependencyStep extends StepBuilder {
       {
         type: 'metrics',
         title: 'Vulnerability Metrics',
-        content: `${metrics.vulnerableDependencies} vulnerable dependencies found`,
+        content: `${metrics.vulnerableDependencies} vulnerable dependencies found (advisory database from ${metrics.advisoryDatabase.updatedAt || 'unknown date'})`,
         url: '/docs/vulnerability-metrics'
       }
     ];
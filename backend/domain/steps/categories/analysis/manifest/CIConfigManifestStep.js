@@ -6,7 +6,11 @@
  * Purpose: Individual step for CI/CD analysis within ManifestAnalysisOrchestrator
  */
 
+const fs = require('fs').promises;
+const path = require('path');
 const StepBuilder = require('@steps/StepBuilder');
+const ManifestAnalyzer = require('@domain/services/analysis/ManifestAnalyzer');
+const CIConfigParser = require('@domain/services/analysis/CIConfigParser');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('ci_config_manifest_step');
@@ -28,9 +32,18 @@ const config = {
   }
 };
 
+const TEST_PATTERN = /\b((npm|yarn|pnpm|bun)( run)? test(:\S+)?|npx (jest|vitest|mocha|playwright test|cypress run)|jest|vitest|mocha|pytest|tox|go test|cargo test|(mvn|mvnw)( \S+)* (test|verify)|gradlew?( \S+)* (test|check)|dotnet test|phpunit|rspec)\b/;
+const LINT_PATTERN = /\b((npm|yarn|pnpm|bun)( run)? lint(:\S+)?|eslint|prettier (--check|-c)|stylelint|tsc (--noEmit|-p)|flake8|pylint|ruff|golangci-lint|rubocop|cargo clippy|checkstyle)\b/;
+const SECURITY_PATTERN = /\b((npm|yarn|pnpm) audit|snyk|trivy|gitleaks|semgrep|osv-scanner|codeql|dependency-review)\b/;
+const DEPLOY_PATTERN = /\b(deploy|publish|release)\b/i;
+const COMMIT_SHA_PATTERN = /^[0-9a-f]{40}$/;
+const VERSION_TAG_PATTERN = /^v?\d+(\.\d+){0,2}([-+][\w.]+)?$/;
+
 class CIConfigManifestStep extends StepBuilder {
   constructor() {
     super(config);
+    this.manifestAnalyzer = new ManifestAnalyzer();
+    this.parser = new CIConfigParser();
   }
 
   async execute(context) {
@@ -38,10 +51,14 @@ class CIConfigManifestStep extends StepBuilder {
       logger.info('🔄 Starting CI/CD configuration analysis...');
       
       const { projectPath } = context;
+      if (!projectPath) {
+        throw new Error('Project path is required for CI/CD configuration analysis');
+      }
       
       // Analyze CI/CD issues
-      const ciConfigIssues = await this.analyzeCIConfigIssues(projectPath);
-      const metrics = await this.calculateCIConfigMetrics(projectPath);
+      const pipelines = await this.loadPipelines(projectPath);
+      const ciConfigIssues = this.analyzeCIConfigIssues(pipelines);
+      const metrics = this.calculateCIConfigMetrics(pipelines, ciConfigIssues);
       
       const result = {
         success: true,
@@ -71,35 +88,181 @@ class CIConfigManifestStep extends StepBuilder {
     }
   }
 
-  async analyzeCIConfigIssues(projectPath) {
-    // Placeholder implementation - would analyze actual CI config files
-    return [
-      {
+  /**
+   * Find and parse the GitHub Actions workflows and GitLab CI pipelines of the project
+   * @param {string} projectPath - Project directory path
+   * @returns {Promise<Array>} Parsed pipelines (see CIConfigParser)
+   */
+  async loadPipelines(projectPath) {
+    const pipelines = [];
+    for (const file of await this.manifestAnalyzer.findCIFiles(projectPath)) {
+      const relativePath = path.relative(projectPath, file).split(path.sep).join('/');
+      if (!this.parser.getProvider(relativePath)) continue;
+      try {
+        pipelines.push(this.parser.parse(await fs.readFile(file, 'utf8'), relativePath));
+      } catch (error) {
+        logger.warn(`⚠️ Cannot read ${file}: ${error.message}`);
+      }
+    }
+    return pipelines;
+  }
+
+  analyzeCIConfigIssues(pipelines) {
+    const { settings } = config;
+    const issues = [];
+
+    if (pipelines.length === 0) {
+      issues.push({
+        type: 'no-ci-config',
+        severity: 'medium',
+        message: 'No GitHub Actions workflow or GitLab CI pipeline found',
+        file: null,
+        line: null,
+        recommendation: 'Add a CI pipeline that runs tests and linting on every push'
+      });
+      return issues;
+    }
+
+    for (const pipeline of pipelines) {
+      if (pipeline.error) {
+        issues.push({
+          type: 'invalid-config',
+          severity: 'high',
+          message: `Invalid CI configuration: ${pipeline.error.message}`,
+          file: pipeline.file,
+          line: pipeline.error.line,
+          recommendation: 'Fix the YAML syntax so the pipeline can run'
+        });
+        continue;
+      }
+      if (pipeline.provider === 'github-actions') {
+        issues.push(...this.checkGitHubWorkflow(pipeline));
+      }
+    }
+
+    // Tests and linting count once across all pipelines
+    const valid = pipelines.filter(pipeline => !pipeline.error);
+    const first = valid[0] || pipelines[0];
+    const coverage = this.getCoverage(valid);
+    if (settings.requireTests && !coverage.hasTests) {
+      issues.push({
         type: 'no-tests',
         severity: 'high',
         message: 'CI pipeline missing test step',
-        file: '.github/workflows/ci.yml',
+        file: first.file,
+        line: 1,
         recommendation: 'Add test step to CI pipeline'
-      },
-      {
+      });
+    }
+    if (settings.requireLinting && !coverage.hasLinting) {
+      issues.push({
         type: 'no-linting',
         severity: 'medium',
         message: 'CI pipeline missing linting step',
-        file: '.github/workflows/ci.yml',
+        file: first.file,
+        line: 1,
         recommendation: 'Add linting step to CI pipeline'
+      });
+    }
+    if (settings.requireSecurity && !coverage.hasSecurity) {
+      issues.push({
+        type: 'no-security',
+        severity: 'low',
+        message: 'CI pipeline runs no dependency or code security scan',
+        file: first.file,
+        line: 1,
+        recommendation: 'Add npm audit, CodeQL or dependency review to the pipeline'
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Workflow rules: third-party actions pinned to commits, explicit token permissions
+   * @param {Object} pipeline - Parsed GitHub Actions workflow
+   * @returns {Array} Issues
+   */
+  checkGitHubWorkflow(pipeline) {
+    const issues = [];
+
+    for (const job of pipeline.jobs) {
+      const references = job.uses ? [{ uses: job.uses, line: job.line }] : [];
+      references.push(...job.steps.filter(step => step.uses));
+
+      for (const { uses, line } of references) {
+        const reference = this.parser.parseActionReference(uses);
+        const finding = this.checkActionReference(reference);
+        if (finding) {
+          issues.push({
+            type: 'unpinned-action',
+            severity: finding.severity,
+            message: `${uses} in job "${job.id}" ${finding.reason}`,
+            file: pipeline.file,
+            line,
+            recommendation: 'Pin third-party actions to a full commit SHA (keep the version in a comment)'
+          });
+        }
       }
-    ];
+    }
+
+    if (pipeline.permissions === null && pipeline.jobs.some(job => job.permissions === null)) {
+      issues.push({
+        type: 'missing-permissions',
+        severity: 'low',
+        message: 'Workflow does not restrict GITHUB_TOKEN permissions',
+        file: pipeline.file,
+        line: 1,
+        recommendation: 'Add a top-level "permissions:" block with the least privileges the jobs need'
+      });
+    }
+
+    return issues;
   }
 
-  async calculateCIConfigMetrics(projectPath) {
-    // Placeholder implementation
+  checkActionReference(reference) {
+    if (reference.kind === 'local') return null;
+    if (reference.kind === 'docker') {
+      const digest = reference.name.includes('@sha256:');
+      const tag = reference.name.split('/').pop().split(':')[1];
+      return !digest && (!tag || tag === 'latest') ? { severity: 'medium', reason: 'uses an unpinned Docker image' } : null;
+    }
+    if (!reference.ref) return { severity: 'high', reason: 'has no version reference' };
+    if (COMMIT_SHA_PATTERN.test(reference.ref)) return null;
+    // First-party actions on version tags are the common, accepted practice
+    if (VERSION_TAG_PATTERN.test(reference.ref)) {
+      return /^(actions|github)\//.test(reference.name) ? null : { severity: 'low', reason: `is pinned to the mutable tag ${reference.ref}` };
+    }
+    return { severity: 'medium', reason: `follows the branch ${reference.ref}` };
+  }
+
+  getCoverage(pipelines) {
+    const jobs = pipelines.flatMap(pipeline => pipeline.jobs);
+    const commands = jobs.flatMap(job => job.steps.map(step => step.run || '')).join('\n');
+    const actions = jobs.flatMap(job => [job.uses, ...job.steps.map(step => step.uses)]).filter(Boolean).join('\n');
+    const jobNames = jobs.map(job => `${job.id} ${job.name} ${job.stage || ''}`).join('\n');
+
     return {
-      hasCIConfig: true,
-      hasTests: false,
-      hasLinting: false,
-      hasSecurity: false,
-      hasDeployment: true,
-      completeness: 40
+      hasTests: TEST_PATTERN.test(commands),
+      hasLinting: LINT_PATTERN.test(commands) || /lint/i.test(actions),
+      hasSecurity: SECURITY_PATTERN.test(commands) || SECURITY_PATTERN.test(actions),
+      hasDeployment: DEPLOY_PATTERN.test(jobNames) || DEPLOY_PATTERN.test(commands)
+    };
+  }
+
+  calculateCIConfigMetrics(pipelines, ciConfigIssues) {
+    const valid = pipelines.filter(pipeline => !pipeline.error);
+    const coverage = this.getCoverage(valid);
+    const checks = [valid.length > 0, coverage.hasTests, coverage.hasLinting, coverage.hasSecurity, coverage.hasDeployment];
+
+    return {
+      hasCIConfig: pipelines.length > 0,
+      providers: [...new Set(pipelines.map(pipeline => pipeline.provider))],
+      pipelines: pipelines.map(pipeline => pipeline.file),
+      jobs: valid.reduce((sum, pipeline) => sum + pipeline.jobs.length, 0),
+      ...coverage,
+      unpinnedActions: ciConfigIssues.filter(issue => issue.type === 'unpinned-action').length,
+      completeness: Math.round(checks.filter(Boolean).length / checks.length * 100)
     };
   }
 
@@ -124,34 +287,45 @@ class CIConfigManifestStep extends StepBuilder {
       });
     }
     
+    if (metrics.unpinnedActions > 0) {
+      recommendations.push({
+        type: 'security',
+        priority: 'medium',
+        message: 'Pin third-party GitHub Actions to commit SHAs',
+        action: 'Replace branch and tag references of third-party actions with full commit SHAs'
+      });
+    }
+    
     return recommendations;
   }
 
   generateIssues(ciConfigIssues) {
     return ciConfigIssues.map(issue => ({
       type: 'ci-config',
+      rule: issue.type,
       severity: issue.severity,
       message: issue.message,
       file: issue.file,
+      line: issue.line,
       recommendation: issue.recommendation
     }));
   }
 
   generateTasks(ciConfigIssues) {
     return ciConfigIssues.map(issue => ({
-      type: 'add-step',
+      type: issue.type.startsWith('no-') ? 'add-step' : 'fix',
       priority: issue.severity === 'high' ? 'high' : 'medium',
-      description: `Add ${issue.type} step to CI pipeline`,
+      description: issue.type === 'no-ci-config'
+        ? 'Add a CI pipeline'
+        : issue.type.startsWith('no-')
+          ? `Add ${issue.type.slice(3)} step to CI pipeline`
+          : `Fix ${issue.type} issue in ${issue.file}:${issue.line}`,
       file: issue.file,
+      line: issue.line,
       estimatedTime: '15 minutes'
     }));
   }
 
-  generateIssues(ciConfigIssues) {
-    // Return the issues directly - they're already in the correct format
-    return ciConfigIssues;
-  }
-
   generateDocumentation(ciConfigIssues, metrics) {
     return [
       {
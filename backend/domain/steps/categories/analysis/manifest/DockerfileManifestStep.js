@@ -6,7 +6,11 @@
  * Purpose: Individual step for Dockerfile analysis within ManifestAnalysisOrchestrator
  */
 
+const fs = require('fs').promises;
+const path = require('path');
 const StepBuilder = require('@steps/StepBuilder');
+const ManifestAnalyzer = require('@domain/services/analysis/ManifestAnalyzer');
+const DockerfileParser = require('@domain/services/analysis/DockerfileParser');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('dockerfile_manifest_step');
@@ -28,9 +32,16 @@ const config = {
   }
 };
 
+const SECRET_NAME_PATTERN = /(PASSWORD|PASSWD|SECRET|TOKEN|API_?KEY|PRIVATE_?KEY|ACCESS_?KEY|CREDENTIALS?)$/i;
+const SECRET_FILE_PATTERN = /(^|\/)(\.env(\.[\w.-]+)?|id_rsa|id_ed25519|\.npmrc|\.pypirc|[^/\s]+\.(pem|key|p12|pfx))$/;
+const INSTALL_OR_BUILD_PATTERN = /\b(npm (ci|install|run build)|yarn( install| build)?|pnpm (install|build)|pip install|go build|mvn |gradle |cargo build|make\b)/;
+const ROOT_USERS = ['root', '0', '0:0', 'root:root'];
+
 class DockerfileManifestStep extends StepBuilder {
   constructor() {
     super(config);
+    this.manifestAnalyzer = new ManifestAnalyzer();
+    this.parser = new DockerfileParser();
   }
 
   async execute(context) {
@@ -38,10 +49,14 @@ class DockerfileManifestStep extends StepBuilder {
       logger.info('🐳 Starting Dockerfile analysis...');
       
       const { projectPath } = context;
+      if (!projectPath) {
+        throw new Error('Project path is required for Dockerfile analysis');
+      }
       
       // Analyze Dockerfile issues
-      const dockerfileIssues = await this.analyzeDockerfileIssues(projectPath);
-      const metrics = await this.calculateDockerfileMetrics(projectPath);
+      const dockerfiles = await this.loadDockerfiles(projectPath);
+      const dockerfileIssues = this.analyzeDockerfileIssues(dockerfiles);
+      const metrics = this.calculateDockerfileMetrics(dockerfiles, dockerfileIssues);
       
       const result = {
         success: true,
@@ -71,42 +86,151 @@ class DockerfileManifestStep extends StepBuilder {
     }
   }
 
-  async analyzeDockerfileIssues(projectPath) {
-    // Placeholder implementation - would analyze actual Dockerfile
-    return [
-      {
-        type: 'root-user',
-        severity: 'high',
-        message: 'Container runs as root user',
-        file: 'Dockerfile',
-        line: 15,
-        recommendation: 'Use non-root user for security'
-      },
-      {
-        type: 'no-healthcheck',
-        severity: 'medium',
-        message: 'Dockerfile missing health check',
-        file: 'Dockerfile',
-        recommendation: 'Add HEALTHCHECK instruction'
+  /**
+   * Find and parse all Dockerfiles of the project
+   * @param {string} projectPath - Project directory path
+   * @returns {Promise<Array>} [{ file, stages, instructions }]
+   */
+  async loadDockerfiles(projectPath) {
+    const files = (await this.manifestAnalyzer.findDockerFiles(projectPath))
+      .filter(file => /^dockerfile(\.[\w-]+)?$|\.dockerfile$/i.test(path.basename(file)) && !/\.(c?m?[jt]s|json|md)$/i.test(file));
+
+    const dockerfiles = [];
+    for (const file of files) {
+      try {
+        const content = await fs.readFile(file, 'utf8');
+        dockerfiles.push({
+          file: path.relative(projectPath, file).split(path.sep).join('/'),
+          ...this.parser.parse(content)
+        });
+      } catch (error) {
+        logger.warn(`⚠️ Cannot read ${file}: ${error.message}`);
       }
-    ];
+    }
+    return dockerfiles;
   }
 
-  async calculateDockerfileMetrics(projectPath) {
-    // Placeholder implementation
+  analyzeDockerfileIssues(dockerfiles) {
+    const issues = [];
+    for (const dockerfile of dockerfiles) {
+      issues.push(...this.checkDockerfile(dockerfile));
+    }
+    return issues;
+  }
+
+  /**
+   * Apply the Dockerfile rules
+   * @param {Object} dockerfile - Parsed Dockerfile
+   * @returns {Array} Issues with file and line
+   */
+  checkDockerfile(dockerfile) {
+    const { settings } = config;
+    const { file, stages } = dockerfile;
+    const issues = [];
+    const issue = (type, severity, line, message, recommendation) => issues.push({ type, severity, message, file, line, recommendation });
+
+    if (stages.length === 0) {
+      issue('no-from', 'high', 1, 'Dockerfile has no FROM instruction', 'Start the Dockerfile with a FROM instruction');
+      return issues;
+    }
+
+    const stageNames = new Set();
+    for (const stage of stages) {
+      const image = stage.image;
+      const isStageReference = stageNames.has(image.toLowerCase());
+      if (!isStageReference && image !== 'scratch' && !image.includes('$')) {
+        const { tag, digest } = this.parser.parseImage(image);
+        if (!digest && (!tag || tag === 'latest')) {
+          issue('unpinned-base-image', 'medium', stage.line,
+            `Base image "${image}" is not pinned to a version${tag ? ' (uses latest)' : ''}`,
+            'Pin the base image to a specific tag or digest, e.g. node:20.11-alpine');
+        }
+      }
+      if (stage.name) stageNames.add(stage.name.toLowerCase());
+
+      for (const instruction of stage.instructions) {
+        if (instruction.instruction === 'ENV' || instruction.instruction === 'ARG') {
+          for (const { key, value } of this.parser.parseAssignments(instruction)) {
+            if (!SECRET_NAME_PATTERN.test(key)) continue;
+            if (value && !value.startsWith('$')) {
+              issue('secret-in-env', 'high', instruction.line,
+                `${instruction.instruction} ${key} hardcodes a secret into the image`,
+                'Pass secrets at runtime or use RUN --mount=type=secret during the build');
+            } else if (instruction.instruction === 'ARG' || value) {
+              issue('secret-in-env', 'medium', instruction.line,
+                `Secret ${key} is passed as ${instruction.instruction} and stays visible in the image history`,
+                'Use RUN --mount=type=secret instead of build arguments for secrets');
+            }
+          }
+        }
+
+        if (instruction.instruction === 'COPY' || instruction.instruction === 'ADD') {
+          const sources = instruction.args.split(/\s+/).filter(token => !token.startsWith('--')).slice(0, -1);
+          const secretFile = sources.find(source => SECRET_FILE_PATTERN.test(source.replace(/\*$/, '')));
+          if (secretFile) {
+            issue('secret-file-copied', 'high', instruction.line,
+              `${instruction.instruction} copies ${secretFile} into the image`,
+              'Provide the file at runtime (env_file, mounted secret) and add it to .dockerignore');
+          }
+          if (instruction.instruction === 'ADD' && sources.length > 0 &&
+              sources.every(source => !/^https?:\/\//.test(source) && !/\.(tar|tgz|tar\.\w+)$/.test(source))) {
+            issue('add-instead-of-copy', 'low', instruction.line,
+              'ADD is used to copy local files', 'Use COPY unless archive extraction or remote URLs are needed');
+          }
+        }
+      }
+    }
+
+    const finalStage = stages[stages.length - 1];
+    const users = finalStage.instructions.filter(instruction => instruction.instruction === 'USER');
+    const lastUser = users[users.length - 1];
+    if (settings.requireNonRoot && (!lastUser || ROOT_USERS.includes(lastUser.args.trim()))) {
+      issue('root-user', 'high', lastUser ? lastUser.line : finalStage.line,
+        lastUser ? 'Container explicitly runs as root user' : 'Container runs as root user (no USER instruction in the final stage)',
+        'Add a USER instruction with a non-root user to the final stage');
+    }
+
+    if (settings.requireHealthCheck && !finalStage.instructions.some(instruction => instruction.instruction === 'HEALTHCHECK')) {
+      issue('no-healthcheck', 'medium', finalStage.line, 'Dockerfile missing health check', 'Add HEALTHCHECK instruction');
+    }
+
+    const buildsInImage = finalStage.instructions.some(instruction =>
+      instruction.instruction === 'RUN' && INSTALL_OR_BUILD_PATTERN.test(instruction.args));
+    if (settings.requireMultiStage && stages.length === 1 && buildsInImage) {
+      issue('no-multi-stage', 'low', finalStage.line,
+        'Dependencies are installed and built in the runtime image',
+        'Use a multi-stage build so build tools and caches stay out of the final image');
+    }
+
+    return issues;
+  }
+
+  calculateDockerfileMetrics(dockerfiles, dockerfileIssues) {
+    const count = (type) => dockerfileIssues.filter(issue => issue.type === type).length;
+    const penalty = dockerfileIssues.reduce((sum, issue) => sum + ({ high: 20, medium: 10, low: 5 }[issue.severity] || 5), 0);
+    const finalStages = dockerfiles.map(dockerfile => dockerfile.stages[dockerfile.stages.length - 1]).filter(Boolean);
+
     return {
-      hasDockerfile: true,
-      usesMultiStage: false,
-      runsAsRoot: true,
-      hasHealthCheck: false,
-      hasNonRootUser: false,
-      securityScore: 60
+      hasDockerfile: dockerfiles.length > 0,
+      dockerfiles: dockerfiles.map(dockerfile => dockerfile.file),
+      usesMultiStage: dockerfiles.some(dockerfile => dockerfile.stages.length > 1),
+      runsAsRoot: count('root-user') > 0,
+      hasHealthCheck: finalStages.length > 0 &&
+        finalStages.every(stage => stage.instructions.some(instruction => instruction.instruction === 'HEALTHCHECK')),
+      hasNonRootUser: dockerfiles.length > 0 && count('root-user') < dockerfiles.length,
+      unpinnedBaseImages: count('unpinned-base-image'),
+      exposedSecrets: count('secret-in-env') + count('secret-file-copied'),
+      securityScore: dockerfiles.length > 0 ? Math.max(0, 100 - Math.round(penalty / dockerfiles.length)) : 100
     };
   }
 
   generateRecommendations(dockerfileIssues, metrics) {
     const recommendations = [];
     
+    if (!metrics.hasDockerfile) {
+      return recommendations;
+    }
+    
     if (metrics.runsAsRoot) {
       recommendations.push({
         type: 'security',
@@ -125,12 +249,22 @@ class DockerfileManifestStep extends StepBuilder {
       });
     }
     
+    if (metrics.exposedSecrets > 0) {
+      recommendations.push({
+        type: 'security',
+        priority: 'high',
+        message: 'Keep secrets out of image layers',
+        action: 'Use runtime environment variables or build secrets instead of ENV, ARG and copied secret files'
+      });
+    }
+    
     return recommendations;
   }
 
   generateIssues(dockerfileIssues) {
     return dockerfileIssues.map(issue => ({
       type: 'dockerfile',
+      rule: issue.type,
       severity: issue.severity,
       message: issue.message,
       file: issue.file,
@@ -143,18 +277,13 @@ class DockerfileManifestStep extends StepBuilder {
     return dockerfileIssues.map(issue => ({
       type: 'fix',
       priority: issue.severity === 'high' ? 'high' : 'medium',
-      description: `Fix ${issue.type} issue in Dockerfile`,
+      description: `Fix ${issue.type} issue in ${issue.file}:${issue.line}`,
       file: issue.file,
       line: issue.line,
       estimatedTime: '10 minutes'
     }));
   }
 
-  generateIssues(dockerfileIssues) {
-    // Return the issues directly - they're already in the correct format
-    return dockerfileIssues;
-  }
-
   generateDocumentation(dockerfileIssues, metrics) {
     return [
       {
@@ -6,9 +6,19 @@
  * Purpose: Individual step for environment analysis within ManifestAnalysisOrchestrator
  */
 
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
 const StepBuilder = require('@steps/StepBuilder');
+const ManifestAnalyzer = require('@domain/services/analysis/ManifestAnalyzer');
+const ComplexityAnalyzer = require('@domain/services/analysis/ComplexityAnalyzer');
+const EnvFileParser = require('@domain/services/analysis/EnvFileParser');
+const { getExcludePatterns } = require('@config/analysis-excludes');
 const Logger = require('@logging/Logger');
 
+const execFileAsync = promisify(execFile);
+
 const logger = new Logger('environment_manifest_step');
 
 // Step configuration
@@ -28,9 +38,20 @@ const config = {
   }
 };
 
+const ENV_REFERENCE_PATTERN = /\b(?:process\.env|import\.meta\.env)(?:\.([A-Z_][A-Z0-9_]*)|\[\s*['"]([A-Z_][A-Z0-9_]*)['"]\s*\])/g;
+// Set by Node.js, the shell, CI systems or bundlers rather than by the project's env files
+const RUNTIME_VARIABLES = new Set([
+  'NODE_ENV', 'HOME', 'PATH', 'PWD', 'USER', 'SHELL', 'TMPDIR', 'TERM', 'CI', 'DEBUG', 'LANG', 'TZ',
+  'DEV', 'PROD', 'MODE', 'BASE_URL', 'SSR', 'JEST_WORKER_ID', 'npm_package_version'
+]);
+const ENV_VALIDATION_PACKAGES = ['envalid', 'env-var', 'dotenv-safe', '@t3-oss/env-core', '@t3-oss/env-nextjs', 'joi', 'zod'];
+
 class EnvironmentManifestStep extends StepBuilder {
   constructor() {
     super(config);
+    this.manifestAnalyzer = new ManifestAnalyzer();
+    this.complexityAnalyzer = new ComplexityAnalyzer();
+    this.parser = new EnvFileParser();
   }
 
   async execute(context) {
@@ -38,10 +59,15 @@ class EnvironmentManifestStep extends StepBuilder {
       logger.info('🌍 Starting environment configuration analysis...');
       
       const { projectPath } = context;
+      if (!projectPath) {
+        throw new Error('Project path is required for environment analysis');
+      }
       
       // Analyze environment issues
-      const environmentIssues = await this.analyzeEnvironmentIssues(projectPath);
-      const metrics = await this.calculateEnvironmentMetrics(projectPath);
+      const envFiles = await this.loadEnvFiles(projectPath);
+      const references = await this.findEnvReferences(projectPath);
+      const environmentIssues = await this.analyzeEnvironmentIssues(projectPath, envFiles, references);
+      const metrics = await this.calculateEnvironmentMetrics(projectPath, envFiles, references, environmentIssues);
       
       const result = {
         success: true,
@@ -71,42 +97,236 @@ class EnvironmentManifestStep extends StepBuilder {
     }
   }
 
-  async analyzeEnvironmentIssues(projectPath) {
-    // Placeholder implementation - would analyze actual env files
-    return [
-      {
-        type: 'no-env-example',
-        severity: 'medium',
-        message: 'Missing .env.example file',
-        file: '.env.example',
-        recommendation: 'Create .env.example with template variables'
-      },
-      {
-        type: 'hardcoded-secrets',
-        severity: 'high',
-        message: 'Hardcoded secrets in configuration',
-        file: 'config/database.js',
-        line: 25,
-        recommendation: 'Use environment variables for secrets'
+  /**
+   * Find and parse the dotenv files of the project
+   * @param {string} projectPath - Project directory path
+   * @returns {Promise<Array>} [{ file, directory, template, entries, errors }]
+   */
+  async loadEnvFiles(projectPath) {
+    const files = (await this.manifestAnalyzer.findConfigFiles(projectPath))
+      .filter(file => /^\.env(\.[\w.-]+)?$/.test(path.basename(file)));
+
+    const envFiles = [];
+    for (const file of files) {
+      try {
+        const { entries, errors } = this.parser.parse(await fs.readFile(file, 'utf8'));
+        const relativePath = path.relative(projectPath, file).split(path.sep).join('/');
+        envFiles.push({
+          file: relativePath,
+          directory: path.posix.dirname(relativePath),
+          template: this.parser.isTemplate(file),
+          entries,
+          errors
+        });
+      } catch (error) {
+        logger.warn(`⚠️ Cannot read ${file}: ${error.message}`);
       }
-    ];
+    }
+    return envFiles;
+  }
+
+  /**
+   * Environment variables read by the project's sources (process.env.X, import.meta.env.X)
+   * @param {string} projectPath - Project directory path
+   * @returns {Promise<Map>} Variable name -> first { file, line }
+   */
+  async findEnvReferences(projectPath) {
+    const references = new Map();
+    const { files } = await this.complexityAnalyzer.collectSourceFiles(projectPath, getExcludePatterns('standard'));
+
+    for (const file of files) {
+      let source;
+      try {
+        source = await fs.readFile(file, 'utf8');
+      } catch {
+        continue;
+      }
+      ENV_REFERENCE_PATTERN.lastIndex = 0;
+      let match;
+      while ((match = ENV_REFERENCE_PATTERN.exec(source)) !== null) {
+        const name = match[1] || match[2];
+        if (!references.has(name)) {
+          references.set(name, {
+            file: path.relative(projectPath, file).split(path.sep).join('/'),
+            line: source.slice(0, match.index).split('\n').length
+          });
+        }
+      }
+    }
+    return references;
+  }
+
+  async analyzeEnvironmentIssues(projectPath, envFiles, references) {
+    const { settings } = config;
+    const issues = [];
+    const directories = [...new Set(envFiles.map(envFile => envFile.directory))];
+
+    for (const directory of directories) {
+      const files = envFiles.filter(envFile => envFile.directory === directory);
+      const templates = files.filter(envFile => envFile.template);
+      const actual = files.filter(envFile => !envFile.template);
+      const templateKeys = new Set(templates.flatMap(template => template.entries.map(entry => entry.key)));
+
+      for (const envFile of files) {
+        for (const error of envFile.errors) {
+          issues.push({
+            type: 'invalid-env-line', severity: 'low', message: error.message, file: envFile.file, line: error.line,
+            recommendation: 'Use KEY=value syntax'
+          });
+        }
+      }
+
+      if (settings.requireEnvExample && templates.length === 0 && actual.some(envFile => envFile.entries.length > 0)) {
+        issues.push({
+          type: 'no-env-example',
+          severity: 'medium',
+          message: `Missing .env.example next to ${actual[0].file}`,
+          file: `${directory === '.' ? '' : directory + '/'}.env.example`,
+          line: null,
+          recommendation: 'Create .env.example with template variables'
+        });
+      }
+
+      if (templates.length > 0) {
+        // Drift: variables set locally but not documented in the template
+        for (const envFile of actual) {
+          for (const entry of envFile.entries) {
+            if (!templateKeys.has(entry.key)) {
+              issues.push({
+                type: 'missing-in-example',
+                severity: 'medium',
+                message: `${entry.key} is set in ${envFile.file} but missing from ${templates[0].file}`,
+                file: envFile.file,
+                line: entry.line,
+                recommendation: `Document ${entry.key} in ${templates[0].file}`
+              });
+            }
+          }
+        }
+
+        // Drift: template variables the local .env does not define
+        const dotenv = actual.find(envFile => path.posix.basename(envFile.file) === '.env');
+        if (dotenv) {
+          const localKeys = new Set(actual.flatMap(envFile => envFile.entries.map(entry => entry.key)));
+          for (const template of templates) {
+            for (const entry of template.entries) {
+              if (!localKeys.has(entry.key)) {
+                issues.push({
+                  type: 'missing-in-env',
+                  severity: 'low',
+                  message: `${entry.key} from ${template.file} is not set in ${dotenv.file}`,
+                  file: template.file,
+                  line: entry.line,
+                  recommendation: `Set ${entry.key} in ${dotenv.file} or remove it from the template`
+                });
+              }
+            }
+          }
+        }
+      }
+
+      if (settings.requireSecretsManagement) {
+        for (const template of templates) {
+          for (const entry of template.entries) {
+            if (this.parser.isSecretName(entry.key) && !this.parser.isPlaceholder(entry.value)) {
+              issues.push({
+                type: 'secret-in-example',
+                severity: 'high',
+                message: `${template.file} contains a real-looking value for ${entry.key}`,
+                file: template.file,
+                line: entry.line,
+                recommendation: 'Replace the value with a placeholder and rotate the secret'
+              });
+            }
+          }
+        }
+
+        for (const envFile of actual) {
+          if (envFile.entries.length > 0 && await this.isTrackedByGit(projectPath, envFile.file)) {
+            issues.push({
+              type: 'env-not-ignored',
+              severity: 'high',
+              message: `${envFile.file} is not ignored by git`,
+              file: envFile.file,
+              line: null,
+              recommendation: `Add ${path.posix.basename(envFile.file)} to .gitignore and keep only templates in the repository`
+            });
+          }
+        }
+      }
+    }
+
+    // Variables the code reads but no template documents, reported as one issue
+    const documented = new Set(envFiles.filter(envFile => envFile.template).flatMap(envFile => envFile.entries.map(entry => entry.key)));
+    if (settings.requireEnvExample && documented.size > 0) {
+      const undocumented = [...references]
+        .filter(([name]) => !documented.has(name) && !RUNTIME_VARIABLES.has(name))
+        .map(([name, location]) => ({ name, ...location }));
+      if (undocumented.length > 0) {
+        const template = envFiles.find(envFile => envFile.template);
+        issues.push({
+          type: 'undocumented-variable',
+          severity: 'low',
+          message: `${undocumented.length} environment variables read by the code are not documented in any .env template: ` +
+            `${undocumented.slice(0, 10).map(variable => variable.name).join(', ')}${undocumented.length > 10 ? ', ...' : ''}`,
+          file: undocumented[0].file,
+          line: undocumented[0].line,
+          locations: undocumented,
+          recommendation: `Add the variables to ${template.file}`
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Whether git would track a file (not matched by any ignore rule)
+   * @param {string} projectPath - Repository directory
+   * @param {string} file - Path relative to the repository
+   * @returns {Promise<boolean>} False when ignored or outside a git repository
+   */
+  async isTrackedByGit(projectPath, file) {
+    try {
+      await execFileAsync('git', ['check-ignore', '-q', file], { cwd: projectPath, timeout: 5000 });
+      return false;
+    } catch (error) {
+      // Exit code 1: not ignored; 128: not a git repository
+      return error.code === 1;
+    }
   }
 
-  async calculateEnvironmentMetrics(projectPath) {
-    // Placeholder implementation
+  async calculateEnvironmentMetrics(projectPath, envFiles, references, environmentIssues) {
+    const count = (type) => environmentIssues.filter(issue => issue.type === type).length;
+    const penalty = 25 * (count('secret-in-example') + count('env-not-ignored')) + 10 * count('no-env-example');
+
+    let dependencies = {};
+    try {
+      const manifest = JSON.parse(await fs.readFile(path.join(projectPath, 'package.json'), 'utf8'));
+      dependencies = { ...manifest.dependencies, ...manifest.devDependencies };
+    } catch {
+      // no package.json
+    }
+
     return {
-      hasEnvExample: false,
-      hasEnvValidation: false,
-      hasSecretsManagement: false,
-      hasEnvironmentConfig: true,
-      securityScore: 70
+      envFiles: envFiles.map(envFile => envFile.file),
+      hasEnvExample: envFiles.some(envFile => envFile.template),
+      hasEnvValidation: ENV_VALIDATION_PACKAGES.some(name => dependencies[name]),
+      hasSecretsManagement: count('secret-in-example') === 0 && count('env-not-ignored') === 0,
+      hasEnvironmentConfig: envFiles.length > 0 || references.size > 0,
+      referencedVariables: references.size,
+      undocumentedVariables: environmentIssues
+        .filter(issue => issue.type === 'undocumented-variable')
+        .reduce((sum, issue) => sum + issue.locations.length, 0),
+      driftCount: count('missing-in-example') + count('missing-in-env') + count('undocumented-variable'),
+      securityScore: Math.max(0, 100 - penalty)
     };
   }
 
   generateRecommendations(environmentIssues, metrics) {
     const recommendations = [];
     
-    if (!metrics.hasEnvExample) {
+    if (metrics.hasEnvironmentConfig && !metrics.hasEnvExample) {
       recommendations.push({
         type: 'documentation',
         priority: 'medium',
@@ -124,36 +344,42 @@ class EnvironmentManifestStep extends StepBuilder {
       });
     }
     
+    if (metrics.driftCount > 0) {
+      recommendations.push({
+        type: 'documentation',
+        priority: 'low',
+        message: 'Keep .env.example in sync with the variables the project uses',
+        action: 'Add the missing variables to the template and remove the stale ones'
+      });
+    }
+    
     return recommendations;
   }
 
   generateIssues(environmentIssues) {
     return environmentIssues.map(issue => ({
       type: 'environment',
+      rule: issue.type,
       severity: issue.severity,
       message: issue.message,
       file: issue.file,
       line: issue.line,
+      ...(issue.locations ? { locations: issue.locations } : {}),
       recommendation: issue.recommendation
     }));
   }
 
   generateTasks(environmentIssues) {
-    return environmentIssues.map(issue => ({
+    return environmentIssues.filter(issue => issue.severity !== 'low').map(issue => ({
       type: 'fix',
       priority: issue.severity === 'high' ? 'high' : 'medium',
-      description: `Fix ${issue.type} issue`,
+      description: `Fix ${issue.type} issue in ${issue.file}${issue.line ? `:${issue.line}` : ''}`,
       file: issue.file,
       line: issue.line,
       estimatedTime: '10 minutes'
     }));
   }
 
-  generateIssues(environmentIssues) {
-    // Return the issues directly - they're already in the correct format
-    return environmentIssues;
-  }
-
   generateDocumentation(environmentIssues, metrics) {
     return [
       {
@@ -6,7 +6,10 @@
  * Purpose: Individual step for package.json analysis within ManifestAnalysisOrchestrator
  */
 
+const fs = require('fs').promises;
+const path = require('path');
 const StepBuilder = require('@steps/StepBuilder');
+const DependencyGraphService = require('@domain/services/analysis/DependencyGraphService');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('package_json_manifest_step');
@@ -28,9 +31,14 @@ const config = {
   }
 };
 
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+const NPM_DEFAULT_TEST_SCRIPT = /no test specified/;
+const FLOATING_RANGES = ['*', '', 'latest', 'x', 'next'];
+
 class PackageJsonManifestStep extends StepBuilder {
   constructor() {
     super(config);
+    this.dependencyGraphService = new DependencyGraphService();
   }
 
   async execute(context) {
@@ -38,10 +46,14 @@ class PackageJsonManifestStep extends StepBuilder {
       logger.info('📦 Starting package.json analysis...');
       
       const { projectPath } = context;
+      if (!projectPath) {
+        throw new Error('Project path is required for package.json analysis');
+      }
       
       // Analyze package.json issues
-      const packageJsonIssues = await this.analyzePackageJsonIssues(projectPath);
-      const metrics = await this.calculatePackageJsonMetrics(projectPath);
+      const manifests = await this.loadManifests(projectPath);
+      const packageJsonIssues = this.analyzePackageJsonIssues(manifests);
+      const metrics = this.calculatePackageJsonMetrics(manifests, packageJsonIssues);
       
       const result = {
         success: true,
@@ -71,42 +83,177 @@ class PackageJsonManifestStep extends StepBuilder {
     }
   }
 
-  async analyzePackageJsonIssues(projectPath) {
-    // Placeholder implementation - would analyze actual package.json
-    return [
-      {
-        type: 'missing-description',
-        severity: 'medium',
-        message: 'Package.json missing description field',
-        field: 'description',
-        recommendation: 'Add a clear description of the project'
-      },
-      {
-        type: 'missing-keywords',
-        severity: 'low',
-        message: 'Package.json missing keywords field',
-        field: 'keywords',
-        recommendation: 'Add relevant keywords for better discoverability'
+  /**
+   * Read the root package.json and the ones of all workspaces
+   * @param {string} projectPath - Project directory path
+   * @returns {Promise<Array>} [{ file, root, content, manifest, error }]
+   */
+  async loadManifests(projectPath) {
+    const workspaces = await this.dependencyGraphService.findWorkspaces(projectPath);
+    const directories = new Set([projectPath, ...workspaces.map(workspace => workspace.path)]);
+
+    const manifests = [];
+    for (const directory of directories) {
+      const file = path.join(directory, 'package.json');
+      let content;
+      try {
+        content = await fs.readFile(file, 'utf8');
+      } catch {
+        continue;
       }
-    ];
+
+      const entry = {
+        file: path.relative(projectPath, file).split(path.sep).join('/'),
+        root: directory === projectPath,
+        content,
+        manifest: null,
+        error: null
+      };
+      try {
+        entry.manifest = JSON.parse(content);
+      } catch (error) {
+        entry.error = error.message;
+      }
+      manifests.push(entry);
+    }
+    return manifests;
+  }
+
+  analyzePackageJsonIssues(manifests) {
+    const issues = [];
+    for (const entry of manifests) {
+      issues.push(...this.checkManifest(entry));
+    }
+    return issues;
+  }
+
+  /**
+   * Apply the package.json rules to one manifest
+   * @param {Object} entry - Loaded manifest
+   * @returns {Array} Issues with file, line and field
+   */
+  checkManifest(entry) {
+    const { settings } = config;
+    const { file, manifest, content } = entry;
+    const issues = [];
+    const issue = (type, severity, field, message, recommendation, line = this.findLine(content, field)) =>
+      issues.push({ type, severity, message, file, line, field, recommendation });
+
+    if (entry.error) {
+      const position = entry.error.match(/position (\d+)/);
+      issue('invalid-json', 'high', null, `${file} is not valid JSON: ${entry.error}`, 'Fix the JSON syntax',
+        position ? content.slice(0, Number(position[1])).split('\n').length : 1);
+      return issues;
+    }
+
+    // Published packages need the registry metadata, private ones only a name
+    const published = manifest.private !== true;
+    if (settings.requireName && !manifest.name) {
+      issue('missing-name', 'medium', 'name', `${file} has no name`, 'Add a name field', 1);
+    }
+    if (settings.requireVersion && published && !manifest.version) {
+      issue('missing-version', 'medium', 'version', `${file} has no version`, 'Add a semver version field', 1);
+    }
+    if (settings.requireDescription && !manifest.description) {
+      issue('missing-description', published ? 'medium' : 'low', 'description', `${file} has no description`,
+        'Add a clear description of the project', 1);
+    }
+    if (published && !manifest.license) {
+      issue('missing-license', 'medium', 'license', `${file} declares no license`, 'Add an SPDX license identifier', 1);
+    }
+    if (published && (!Array.isArray(manifest.keywords) || manifest.keywords.length === 0)) {
+      issue('missing-keywords', 'low', 'keywords', `${file} has no keywords`, 'Add relevant keywords for better discoverability', 1);
+    }
+    if (entry.root && !(manifest.engines && manifest.engines.node)) {
+      issue('missing-engines', 'low', 'engines', `${file} does not declare the supported Node.js versions`,
+        'Add "engines": { "node": ">=20" } to the root package.json', 1);
+    }
+
+    const scripts = manifest.scripts || {};
+    if (!scripts.test || NPM_DEFAULT_TEST_SCRIPT.test(scripts.test)) {
+      issue('no-test-script', 'medium', 'scripts', `${file} has no working test script`,
+        'Add a "test" script that runs the test suite', scripts.test ? this.findLine(content, 'test', 'scripts') : this.findLine(content, 'scripts'));
+    }
+
+    const seen = new Map();
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const [name, range] of Object.entries(manifest[field] || {})) {
+        const line = this.findLine(content, name, field);
+        const spec = String(range).trim();
+        if (field !== 'peerDependencies' && FLOATING_RANGES.includes(spec)) {
+          issue('floating-version', 'high', field, `${name} uses the floating range "${spec}"`,
+            `Pin ${name} to a semver range`, line);
+        } else if (/^(git(\+\w+)?:|github:|https?:\/\/.*\.git)|^[\w-]+\/[\w.-]+$/.test(spec) && !/#[0-9a-f]{7,40}$|#semver:/.test(spec)) {
+          issue('unpinned-git-dependency', 'medium', field, `${name} is installed from "${spec}" without a commit or tag`,
+            `Pin ${name} to a commit hash, tag or registry version`, line);
+        }
+
+        if (field !== 'peerDependencies' && seen.has(name) && seen.get(name) !== field) {
+          issue('duplicate-dependency', 'low', field, `${name} is declared in both ${seen.get(name)} and ${field}`,
+            `Keep ${name} in one dependency section`, line);
+        }
+        if (!seen.has(name)) seen.set(name, field);
+      }
+    }
+
+    return issues;
   }
 
-  async calculatePackageJsonMetrics(projectPath) {
-    // Placeholder implementation
+  /**
+   * Line of a JSON key, optionally inside an object key
+   * @param {string} content - Raw package.json
+   * @param {string|null} key - Key to find
+   * @param {string|null} parent - Enclosing key
+   * @returns {number|null} 1-based line
+   */
+  findLine(content, key, parent = null) {
+    if (!key) return null;
+    const lines = content.split('\n');
+    let start = 0;
+    if (parent) {
+      start = lines.findIndex(line => line.includes(`"${parent}"`));
+      if (start === -1) return null;
+    }
+    const index = lines.findIndex((line, position) => position >= start && line.includes(`"${key}"`));
+    return index === -1 ? null : index + 1;
+  }
+
+  calculatePackageJsonMetrics(manifests, packageJsonIssues) {
+    const root = manifests.find(entry => entry.root && entry.manifest);
+    const rootManifest = root ? root.manifest : {};
+    const has = (type) => !packageJsonIssues.some(issue => issue.type === type && root && issue.file === root.file);
+    const checks = [
+      !!rootManifest.name, !!rootManifest.version, !!rootManifest.description,
+      Array.isArray(rootManifest.keywords) && rootManifest.keywords.length > 0,
+      !!rootManifest.repository, !!rootManifest.license, has('no-test-script'), has('missing-engines')
+    ];
+
     return {
-      hasName: true,
-      hasVersion: true,
-      hasDescription: false,
-      hasKeywords: false,
-      hasRepository: true,
-      hasLicense: true,
-      completeness: 75
+      manifests: manifests.map(entry => entry.file),
+      hasName: !!rootManifest.name,
+      hasVersion: !!rootManifest.version,
+      hasDescription: !!rootManifest.description,
+      hasKeywords: checks[3],
+      hasRepository: !!rootManifest.repository,
+      hasLicense: !!rootManifest.license,
+      hasTestScript: has('no-test-script'),
+      floatingVersions: packageJsonIssues.filter(issue => issue.type === 'floating-version').length,
+      completeness: root ? Math.round(checks.filter(Boolean).length / checks.length * 100) : 0
     };
   }
 
   generateRecommendations(packageJsonIssues, metrics) {
     const recommendations = [];
     
+    if (metrics.floatingVersions > 0) {
+      recommendations.push({
+        type: 'stability',
+        priority: 'high',
+        message: 'Replace floating dependency versions with semver ranges',
+        action: 'Pin dependencies declared as "*" or "latest"'
+      });
+    }
+    
     if (!metrics.hasDescription) {
       recommendations.push({
         type: 'metadata',
@@ -129,15 +276,25 @@ class PackageJsonManifestStep extends StepBuilder {
   }
 
   generateIssues(packageJsonIssues) {
-    // Return the issues directly - they're already in the correct format
-    return packageJsonIssues;
+    return packageJsonIssues.map(issue => ({
+      type: 'package-json',
+      rule: issue.type,
+      severity: issue.severity,
+      message: issue.message,
+      file: issue.file,
+      line: issue.line,
+      field: issue.field,
+      recommendation: issue.recommendation
+    }));
   }
 
   generateTasks(packageJsonIssues) {
-    return packageJsonIssues.map(issue => ({
+    return packageJsonIssues.filter(issue => issue.severity !== 'low').map(issue => ({
       type: 'update',
       priority: issue.severity === 'high' ? 'high' : 'medium',
-      description: `Add ${issue.field} to package.json`,
+      description: `${issue.recommendation} (${issue.file}${issue.line ? `:${issue.line}` : ''})`,
+      file: issue.file,
+      line: issue.line,
       field: issue.field,
       estimatedTime: '5 minutes'
     }));
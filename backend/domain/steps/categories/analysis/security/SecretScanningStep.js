@@ -8,6 +8,7 @@
 
 const StepBuilder = require('@steps/StepBuilder');
 const Logger = require('@logging/Logger');
+const AnalysisFileIndexService = require('@domain/services/analysis/AnalysisFileIndexService');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -64,7 +65,10 @@ class SecretScanningStep {
       const secrets = await this.analyzeSecrets(projectPath, {
         includeVulnerabilities: context.includeVulnerabilities !== false,
         includeBestPractices: context.includeBestPractices !== false,
-        maxFiles: context.maxFiles || config.settings.maxFiles
+        maxFiles: context.maxFiles || config.settings.maxFiles,
+        projectId: context.projectId,
+        incremental: context.incremental,
+        fileIndex: AnalysisFileIndexService.fromContext(context)
       });
 
       // Clean and format result
@@ -130,16 +134,18 @@ class SecretScanningStep {
 
       logger.info(`Scanning ${Math.min(allFiles.length, maxFiles)} files for secrets`);
 
-      // Analyze each file for secrets
-      for (const file of allFiles) { // ANALYZE ALL FILES - NO LIMITS!
-        try {
-          const content = await fs.readFile(file, 'utf8');
-          const fileSecrets = this.detectSecrets(content, file);
-          vulnerabilities.push(...fileSecrets.vulnerabilities);
-          bestPractices.push(...fileSecrets.bestPractices);
-        } catch (error) {
-          logger.warn(`Could not read file: ${file}`);
-        }
+      // Analyze each file for secrets - ANALYZE ALL FILES - NO LIMITS!
+      // Files with an unchanged content hash reuse their result from the file index
+      const fileIndex = options.fileIndex || AnalysisFileIndexService.fromContext();
+      const { results, stats } = await fileIndex.analyzeFiles(allFiles, (content, file) => this.detectSecrets(content, file), {
+        projectId: options.projectId,
+        analyzer: config.name,
+        version: config.version,
+        incremental: options.incremental !== false
+      });
+      for (const { result: fileSecrets } of results) {
+        vulnerabilities.push(...fileSecrets.vulnerabilities);
+        bestPractices.push(...fileSecrets.bestPractices);
       }
 
       // Analyze environment files specifically
@@ -161,6 +167,8 @@ class SecretScanningStep {
           confidence,
           filesAnalyzed: Math.min(allFiles.length, maxFiles),
           totalFiles: allFiles.length,
+          filesReanalyzed: stats.analyzed,
+          filesFromIndex: stats.reused,
           secretsFound: vulnerabilities.length,
           bestPracticesFound: bestPractices.length
         }
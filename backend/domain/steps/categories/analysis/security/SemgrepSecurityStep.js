@@ -1,6 +1,7 @@
 /**
  * Semgrep Security Step - Specialized Code Security Analysis
- * Analyzes code for security vulnerabilities using Semgrep-like patterns
+ * Analyzes code for security vulnerabilities with the AST-based SecurityRuleEngine
+ * (taint and pattern rules, project rule files, inline suppressions)
  * 
  * Created: [RUN: date -u +"%Y-%m-%dT%H:%M:%S.000Z"]
  * Purpose: Specialized step for code security analysis and static analysis
@@ -8,6 +9,9 @@
 
 const StepBuilder = require('@steps/StepBuilder');
 const Logger = require('@logging/Logger');
+const SecurityRuleEngine = require('@domain/services/analysis/SecurityRuleEngine');
+const AnalysisFileIndexService = require('@domain/services/analysis/AnalysisFileIndexService');
+const { getExcludePatterns } = require('@config/analysis-excludes');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -25,7 +29,7 @@ const config = {
     timeout: 45000,
     includeVulnerabilities: true,
     includeBestPractices: true,
-    maxFiles: 100
+    maxFiles: 2000
   },
   validation: {
     requiredFiles: ['package.json'],
@@ -39,6 +43,7 @@ class SemgrepSecurityStep {
     this.description = 'Analyzes code for security vulnerabilities using Semgrep-like patterns';
     this.category = 'security';
     this.dependencies = [];
+    this.ruleEngine = new SecurityRuleEngine();
   }
 
   static getConfig() {
@@ -64,7 +69,10 @@ class SemgrepSecurityStep {
       const codeSecurity = await this.analyzeCodeSecurity(projectPath, {
         includeVulnerabilities: context.includeVulnerabilities !== false,
         includeBestPractices: context.includeBestPractices !== false,
-        maxFiles: context.maxFiles || config.settings.maxFiles
+        maxFiles: context.maxFiles || config.settings.maxFiles,
+        projectId,
+        incremental: context.incremental,
+        fileIndex: AnalysisFileIndexService.fromContext(context)
       });
 
       // Clean and format result
@@ -119,44 +127,76 @@ class SemgrepSecurityStep {
   }
 
   /**
-   * Analyze code for security issues using Semgrep-like patterns
+   * Analyze code for security issues with the AST rule engine
+   * @param {string} projectPath - Project directory path
+   * @param {Object} options - Analysis options
+   * @param {number} options.maxFiles - Maximum number of files to analyze
+   * @param {string} options.excludeType - Exclude list from config/analysis-excludes (default 'extended')
+   * @param {Array<string>} options.additionalExcludes - Patterns added to the configured excludes
+   * @param {string} options.projectId - Project whose file index is used (no index without it)
+   * @param {boolean} options.incremental - Reuse findings of unchanged files (default true)
+   * @param {AnalysisFileIndexService} options.fileIndex - File index service (default: shared in-memory index)
+   * @returns {Promise<Object>} Vulnerabilities, best practices, suppressed findings, rule file errors and metrics
    */
   async analyzeCodeSecurity(projectPath, options = {}) {
     try {
       const vulnerabilities = [];
       const bestPractices = [];
-      const jsFiles = await this.getJavaScriptFiles(projectPath);
-      const maxFiles = options.maxFiles || config.settings.maxFiles;
-
-      logger.info(`Analyzing ${Math.min(jsFiles.length, maxFiles)} files for code security issues`);
-
-      // Analyze each file for security issues
-      for (const file of jsFiles) { // ANALYZE ALL FILES - NO LIMITS!
-        try {
-          const content = await fs.readFile(file, 'utf8');
-          const fileIssues = this.detectCodeSecurityIssues(content, file);
-          vulnerabilities.push(...fileIssues.vulnerabilities);
-          bestPractices.push(...fileIssues.bestPractices);
-        } catch (error) {
-          logger.warn(`Could not read file: ${file}`);
+      const suppressed = [];
+      const parseErrors = [];
+      const ruleEngine = new SecurityRuleEngine({ maxFiles: options.maxFiles || config.settings.maxFiles });
+      const ruleSet = await ruleEngine.loadRuleSet(projectPath);
+      const excludePatterns = getExcludePatterns(options.excludeType || 'extended', { additionalExcludes: options.additionalExcludes });
+      const { files, truncated } = await ruleEngine.collectSourceFiles(projectPath, excludePatterns);
+
+      logger.info(`Analyzing ${files.length} files with ${ruleSet.rules.length} security rules`);
+
+      // Files with an unchanged content hash reuse their findings from the file index
+      const fileIndex = options.fileIndex || AnalysisFileIndexService.fromContext();
+      const { results, stats } = await fileIndex.analyzeFiles(
+        files,
+        (content, file) => this.detectCodeSecurityIssues(content, file.file, { ruleEngine, ruleSet }),
+        {
+          projectId: options.projectId,
+          analyzer: config.name,
+          version: fileIndex.createVersion(config.version, ruleSet.rules),
+          incremental: options.incremental !== false
         }
+      );
+
+      for (const { file, result: fileIssues } of results) {
+        if (fileIssues.parseError) {
+          parseErrors.push({ file: file.file, message: fileIssues.parseError });
+        }
+        vulnerabilities.push(...fileIssues.vulnerabilities);
+        bestPractices.push(...fileIssues.bestPractices);
+        suppressed.push(...fileIssues.suppressed);
       }
 
       // Calculate code security metrics
       const codeSecurityScore = this.calculateCodeSecurityScore(vulnerabilities);
-      const coverage = this.calculateCoverage(jsFiles, projectPath);
+      const coverage = this.calculateCoverage(files, projectPath);
       const confidence = this.calculateConfidence({ vulnerabilities, bestPractices });
 
       return {
         vulnerabilities,
         bestPractices,
+        suppressed,
+        parseErrors,
+        ruleErrors: ruleSet.errors,
+        ruleFile: ruleSet.file,
         metrics: {
           codeSecurityScore,
           coverage,
           confidence,
-          filesAnalyzed: Math.min(jsFiles.length, maxFiles),
-          totalFiles: jsFiles.length,
+          filesAnalyzed: files.length - parseErrors.length,
+          totalFiles: files.length,
+          truncated,
+          filesReanalyzed: stats.analyzed,
+          filesFromIndex: stats.reused,
+          rules: ruleSet.rules.length,
           vulnerabilitiesFound: vulnerabilities.length,
+          suppressedFindings: suppressed.length,
           bestPracticesFound: bestPractices.length
         }
       };
@@ -180,149 +220,19 @@ class SemgrepSecurityStep {
   }
 
   /**
-   * Detect code security issues using Semgrep-like patterns
+   * Detect code security issues in one file
+   * @param {string} content - Source code
+   * @param {string} filePath - Project-relative file path
+   * @param {Object} options - { ruleEngine, ruleSet } (default: built-in rules)
+   * @returns {Object} { vulnerabilities, bestPractices, suppressed, parseError }
    */
-  detectCodeSecurityIssues(content, filePath) {
-    const vulnerabilities = [];
-    const bestPractices = [];
+  detectCodeSecurityIssues(content, filePath, options = {}) {
+    const ruleEngine = options.ruleEngine || this.ruleEngine;
+    const ruleSet = options.ruleSet || ruleEngine.createRuleSet();
+    const { findings, suppressed, parseError } = ruleEngine.analyzeSource(content, filePath, ruleSet);
 
-    // Semgrep-like security patterns
-    const securityPatterns = [
-      // SQL Injection patterns
-      { 
-        pattern: /query\s*\(\s*['"`].*\+\s*\w+/, 
-        severity: 'high', 
-        message: 'Potential SQL injection detected', 
-        cve: 'CWE-89',
-        category: 'sql-injection'
-      },
-      { 
-        pattern: /execute\s*\(\s*['"`].*\+\s*\w+/, 
-        severity: 'high', 
-        message: 'Potential SQL injection in execute statement', 
-        cve: 'CWE-89',
-        category: 'sql-injection'
-      },
-      
-      // XSS patterns
-      { 
-        pattern: /innerHTML\s*=\s*\w+/, 
-        severity: 'high', 
-        message: 'Potential XSS via innerHTML assignment', 
-        cve: 'CWE-79',
-        category: 'xss'
-      },
-      { 
-        pattern: /document\.write\s*\(\s*\w+/, 
-        severity: 'high', 
-        message: 'Potential XSS via document.write', 
-        cve: 'CWE-79',
-        category: 'xss'
-      },
-      
-      // Command injection patterns
-      { 
-        pattern: /exec\s*\(\s*['"`].*\+\s*\w+/, 
-        severity: 'critical', 
-        message: 'Potential command injection detected', 
-        cve: 'CWE-78',
-        category: 'command-injection'
-      },
-      { 
-        pattern: /spawn\s*\(\s*['"`].*\+\s*\w+/, 
-        severity: 'critical', 
-        message: 'Potential command injection via spawn', 
-        cve: 'CWE-78',
-        category: 'command-injection'
-      },
-      
-      // Path traversal patterns
-      { 
-        pattern: /fs\.readFile\s*\(\s*\w+/, 
-        severity: 'medium', 
-        message: 'Potential path traversal in file read', 
-        cve: 'CWE-22',
-        category: 'path-traversal'
-      },
-      { 
-        pattern: /fs\.writeFile\s*\(\s*\w+/, 
-        severity: 'medium', 
-        message: 'Potential path traversal in file write', 
-        cve: 'CWE-22',
-        category: 'path-traversal'
-      },
-      
-      // Hardcoded secrets
-      { 
-        pattern: /password\s*[:=]\s*['"`][^'"`]+['"`]/, 
-        severity: 'high', 
-        message: 'Hardcoded password detected', 
-        cve: 'CWE-259',
-        category: 'hardcoded-secrets'
-      },
-      { 
-        pattern: /api_key\s*[:=]\s*['"`][^'"`]+['"`]/, 
-        severity: 'high', 
-        message: 'Hardcoded API key detected', 
-        cve: 'CWE-259',
-        category: 'hardcoded-secrets'
-      },
-      { 
-        pattern: /secret\s*[:=]\s*['"`][^'"`]+['"`]/, 
-        severity: 'high', 
-        message: 'Hardcoded secret detected', 
-        cve: 'CWE-259',
-        category: 'hardcoded-secrets'
-      },
-      
-      // Weak crypto patterns
-      { 
-        pattern: /crypto\.createHash\s*\(\s*['"`]md5['"`]/, 
-        severity: 'medium', 
-        message: 'Weak hash algorithm (MD5) detected', 
-        cve: 'CWE-327',
-        category: 'weak-crypto'
-      },
-      { 
-        pattern: /crypto\.createHash\s*\(\s*['"`]sha1['"`]/, 
-        severity: 'medium', 
-        message: 'Weak hash algorithm (SHA1) detected', 
-        cve: 'CWE-327',
-        category: 'weak-crypto'
-      },
-      
-      // Debug patterns
-      { 
-        pattern: /console\.log\s*\(/, 
-        severity: 'low', 
-        message: 'Debug logging detected', 
-        cve: 'CWE-200',
-        category: 'debug-info'
-      },
-      { 
-        pattern: /debugger;/, 
-        severity: 'medium', 
-        message: 'Debugger statement detected', 
-        cve: 'CWE-489',
-        category: 'debug-info'
-      }
-    ];
-
-    // Check for security patterns
-    securityPatterns.forEach(({ pattern, severity, message, cve, category }) => {
-      if (pattern.test(content)) {
-        vulnerabilities.push({
-          type: 'code',
-          severity,
-          file: path.relative(process.cwd(), filePath),
-          message,
-          cve,
-          category,
-          suggestion: `Review and secure this ${category} pattern`,
-          scanner: 'SemgrepSecurityStep'
-        });
-      }
-    });
+    const vulnerabilities = findings.map(finding => this.toVulnerability(finding));
+    const bestPractices = [];
 
     // Check for security best practices
     const bestPracticePatterns = [
@@ -368,6 +278,7 @@ class SemgrepSecurityStep {
       if (pattern.test(content)) {
         bestPractices.push({
           type: 'code',
+          file: filePath,
           message,
           suggestion,
           category,
@@ -376,54 +287,41 @@ class SemgrepSecurityStep {
       }
     });
 
-    return { vulnerabilities, bestPractices };
-  }
-
-  /**
-   * Get JavaScript files from project
-   */
-  async getJavaScriptFiles(projectPath) {
-    try {
-      const allFiles = await this.getAllFiles(projectPath);
-      return allFiles.filter(file => 
-        file.endsWith('.js') || 
-        file.endsWith('.jsx') || 
-        file.endsWith('.ts') || 
-        file.endsWith('.tsx')
-      );
-    } catch (error) {
-      logger.error(`Failed to get JavaScript files: ${error.message}`);
-      return [];
-    }
+    return {
+      vulnerabilities,
+      bestPractices,
+      suppressed: suppressed.map(finding => this.toVulnerability(finding)),
+      parseError: parseError || null
+    };
   }
 
   /**
-   * Get all files recursively from directory
+   * Vulnerability entry of a rule engine finding (`cve` keeps the CWE for older consumers)
+   * @param {Object} finding - SecurityRuleEngine finding
+   * @returns {Object} Vulnerability
    */
-  async getAllFiles(dir) {
-    const files = [];
-    
-    try {
-      const items = await fs.readdir(dir);
-      
-      for (const item of items) {
-        const fullPath = path.join(dir, item);
-        const stat = await fs.stat(fullPath);
-        
-        if (stat.isDirectory()) {
-          // Skip node_modules and other common exclusions
-          if (!['node_modules', '.git', 'dist', 'build', 'coverage', '.next'].includes(item)) {
-            files.push(...await this.getAllFiles(fullPath));
-          }
-        } else {
-          files.push(fullPath);
-        }
-      }
-    } catch (error) {
-      logger.warn(`Could not read directory: ${dir}`);
-    }
-    
-    return files;
+  toVulnerability(finding) {
+    return {
+      type: 'code',
+      rule: finding.ruleId,
+      title: finding.title,
+      severity: finding.severity,
+      file: finding.file,
+      line: finding.line,
+      column: finding.column,
+      endLine: finding.endLine,
+      endColumn: finding.endColumn,
+      range: finding.range,
+      message: finding.message,
+      description: finding.message,
+      cwe: finding.cwe,
+      cve: finding.cwe,
+      category: finding.category,
+      suggestion: finding.suggestion,
+      snippet: finding.snippet,
+      dataFlow: finding.dataFlow,
+      scanner: 'SemgrepSecurityStep'
+    };
   }
 
   /**
@@ -433,10 +331,15 @@ class SemgrepSecurityStep {
     return {
       vulnerabilities: result.vulnerabilities || [],
       bestPractices: result.bestPractices || [],
+      suppressed: result.suppressed || [],
+      parseErrors: result.parseErrors || [],
+      ruleErrors: result.ruleErrors || [],
+      ruleFile: result.ruleFile || null,
       metrics: result.metrics || {},
       summary: {
         totalVulnerabilities: (result.vulnerabilities || []).length,
         totalBestPractices: (result.bestPractices || []).length,
+        totalSuppressed: (result.suppressed || []).length,
         codeSecurityScore: result.metrics?.codeSecurityScore || 0,
         coverage: result.metrics?.coverage || 0,
         confidence: result.metrics?.confidence || 0
@@ -503,60 +406,53 @@ class SemgrepSecurityStep {
   }
 
   /**
-   * Generate issues from analysis results
+   * Generate issues from analysis results: one per finding, with rule, CWE and location
    * @param {Object} result - Analysis result
    * @returns {Array} Issues array
    */
   generateIssues(result) {
-    const issues = [];
-    
-    // Check for low analysis score
-    if (result.score < 70) {
+    const issues = (result.vulnerabilities || []).map(vulnerability => ({
+      type: vulnerability.rule,
+      rule: vulnerability.rule,
+      title: vulnerability.title,
+      description: vulnerability.message,
+      message: vulnerability.message,
+      severity: vulnerability.severity,
+      priority: vulnerability.severity,
+      category: 'security',
+      cwe: vulnerability.cwe,
+      source: 'SemgrepSecurityStep',
+      file: vulnerability.file,
+      line: vulnerability.line,
+      column: vulnerability.column,
+      endLine: vulnerability.endLine,
+      endColumn: vulnerability.endColumn,
+      location: `${vulnerability.file}:${vulnerability.line}:${vulnerability.column}`,
+      suggestion: vulnerability.suggestion
+    }));
+
+    // Broken project rules are reported instead of silently ignored
+    for (const error of result.ruleErrors || []) {
       issues.push({
-        type: 'low-analysis-score',
-        title: 'Low Analysis Score',
-        description: `Analysis score of ${result.score}% indicates areas for improvement`,
+        type: 'invalid-security-rule',
+        rule: 'invalid-security-rule',
+        title: 'Invalid Security Rule',
+        description: error.rule ? `${error.rule}: ${error.message}` : error.message,
+        message: error.rule ? `${error.rule}: ${error.message}` : error.message,
         severity: 'medium',
         priority: 'medium',
         category: 'security',
         source: 'SemgrepSecurityStep',
-        location: 'analysis-results',
-        suggestion: 'Improve analysis results by addressing identified issues'
-      });
-    }
-
-    // Check for critical issues
-    if (result.vulnerabilities && result.vulnerabilities.some(v => v.severity === 'critical')) {
-      issues.push({
-        type: 'critical-issues',
-        title: 'Critical Issues Detected',
-        description: 'Critical issues found in the analysis',
-        severity: 'critical',
-        priority: 'critical',
-        category: 'security',
-        source: 'SemgrepSecurityStep',
-        location: 'analysis-results',
-        suggestion: 'Immediately address critical issues'
-      });
-    }
-
-    // Check for high severity issues
-    if (result.vulnerabilities && result.vulnerabilities.some(v => v.severity === 'high')) {
-      issues.push({
-        type: 'high-issues',
-        title: 'High Severity Issues Detected',
-        description: 'High severity issues found in the analysis',
-        severity: 'high',
-        priority: 'high',
-        category: 'security',
-        source: 'SemgrepSecurityStep',
-        location: 'analysis-results',
-        suggestion: 'Address high severity issues promptly'
+        file: error.file,
+        line: null,
+        location: error.file,
+        suggestion: 'Fix the rule definition in the project security rule file'
       });
     }
 
     return issues;
   }
+
   /**
    * Generate recommendations from analysis results
    * @param {Object} result - Analysis result
@@ -793,7 +689,7 @@ class SemgrepSecurityStep {
 - **Confidence**: ${result.summary?.confidence || 0}%
 
 ## 🎯 Key Findings
-${result.vulnerabilities ? result.vulnerabilities.map(vuln => `- **${vuln.type}**: ${vuln.message}`).join('\n') : '- No vulnerabilities detected'}
+${result.vulnerabilities ? result.vulnerabilities.map(vuln => `- **${vuln.rule || vuln.type}** (${vuln.file}:${vuln.line}): ${vuln.message}`).join('\n') : '- No vulnerabilities detected'}
 
 ## 📝 Recommendations
 ${result.recommendations ? result.recommendations.map(rec => `- **${rec.title}**: ${rec.description}`).join('\n') : '- No recommendations'}
@@ -829,8 +725,9 @@ Semgrep security analysis completed with a score of ${result.summary?.codeSecuri
 
 ## 🔍 Detailed Analysis
 ${result.vulnerabilities ? result.vulnerabilities.map(vuln => `
-### ${vuln.type} Vulnerability
-- **File**: ${vuln.file || 'N/A'}
+### ${vuln.title || vuln.type} Vulnerability
+- **Rule**: ${vuln.rule || 'N/A'} (${vuln.cwe || 'no CWE'})
+- **File**: ${vuln.file ? `${vuln.file}:${vuln.line}:${vuln.column}` : 'N/A'}
 - **Message**: ${vuln.message}
 - **Severity**: ${vuln.severity}
 - **Suggestion**: ${vuln.suggestion}
@@ -8,6 +8,7 @@
 
 const StepBuilder = require('@steps/StepBuilder');
 const Logger = require('@logging/Logger');
+const AnalysisFileIndexService = require('@domain/services/analysis/AnalysisFileIndexService');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -62,7 +63,10 @@ class TrivySecurityStep {
       // Execute Trivy security analysis
       const security = await this.analyzeTrivySecurity(projectPath, {
         includeVulnerabilities: context.includeVulnerabilities !== false,
-        includeBestPractices: context.includeBestPractices !== false
+        includeBestPractices: context.includeBestPractices !== false,
+        projectId,
+        incremental: context.incremental,
+        fileIndex: AnalysisFileIndexService.fromContext(context)
       });
 
       // Clean and format result - Return only standardized format
@@ -122,17 +126,18 @@ class TrivySecurityStep {
       // Get JavaScript files for analysis
       const jsFiles = await this.getJavaScriptFiles(projectPath);
 
-      // Analyze each file for security issues
-      for (const file of jsFiles) { // ANALYZE ALL FILES - NO LIMITS!
-        try {
-          const content = await fs.readFile(file, 'utf8');
-          const fileIssues = this.detectSecurityIssues(content, file);
-          vulnerabilities.push(...fileIssues.vulnerabilities);
-          bestPractices.push(...fileIssues.bestPractices);
-        } catch (error) {
-          // Skip files that can't be read
-          logger.warn(`Could not read file: ${file}`);
-        }
+      // Analyze each file for security issues - ANALYZE ALL FILES - NO LIMITS!
+      // Files with an unchanged content hash reuse their result from the file index
+      const fileIndex = options.fileIndex || AnalysisFileIndexService.fromContext();
+      const { results, stats } = await fileIndex.analyzeFiles(jsFiles, (content, file) => this.detectSecurityIssues(content, file), {
+        projectId: options.projectId,
+        analyzer: config.name,
+        version: config.version,
+        incremental: options.incremental !== false
+      });
+      for (const { result: fileIssues } of results) {
+        vulnerabilities.push(...fileIssues.vulnerabilities);
+        bestPractices.push(...fileIssues.bestPractices);
       }
 
       // Calculate security metrics
@@ -148,6 +153,8 @@ class TrivySecurityStep {
           coverage,
           confidence,
           filesAnalyzed: jsFiles.length,
+          filesReanalyzed: stats.analyzed,
+          filesFromIndex: stats.reused,
           vulnerabilitiesFound: vulnerabilities.length,
           bestPracticesFound: bestPractices.length
         }
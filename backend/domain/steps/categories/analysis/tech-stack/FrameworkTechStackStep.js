@@ -7,6 +7,7 @@
  */
 
 const StepBuilder = require('@steps/StepBuilder');
+const TechStackDetector = require('@domain/services/analysis/TechStackDetector');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('framework_tech_stack_step');
@@ -31,6 +32,7 @@ const config = {
 class FrameworkTechStackStep extends StepBuilder {
   constructor() {
     super(config);
+    this.techStackDetector = new TechStackDetector();
   }
 
   async execute(context) {
@@ -38,18 +40,20 @@ class FrameworkTechStackStep extends StepBuilder {
       logger.info('⚡ Starting framework analysis...');
       
       const { projectPath } = context;
+      const techStack = context.techStack || await this.techStackDetector.detect(projectPath);
       
       // Analyze frameworks
-      const frameworks = await this.analyzeFrameworks(projectPath);
-      const metrics = await this.calculateFrameworkMetrics(projectPath);
+      const frameworks = this.analyzeFrameworks(techStack);
+      const frameworkIssues = this.analyzeFrameworkIssues(frameworks);
+      const metrics = this.calculateFrameworkMetrics(frameworks);
       
       const result = {
         success: true,
         frameworks,
         metrics,
         recommendations: this.generateRecommendations(frameworks, metrics),
-        issues: this.generateIssues(frameworks),
-        tasks: this.generateTasks(frameworks),
+        issues: this.generateIssues(frameworkIssues),
+        tasks: this.generateTasks(frameworkIssues),
         documentation: this.generateDocumentation(frameworks, metrics)
       };
 
@@ -71,83 +75,133 @@ class FrameworkTechStackStep extends StepBuilder {
     }
   }
 
-  async analyzeFrameworks(projectPath) {
-    // Placeholder implementation - would analyze actual framework usage
-    return [
-      {
-        name: 'React',
-        version: '18.2.0',
-        type: 'frontend',
-        popularity: 'high',
-        maturity: 'stable',
-        ecosystem: 'excellent'
-      },
-      {
-        name: 'Express',
-        version: '4.18.2',
-        type: 'backend',
-        popularity: 'high',
-        maturity: 'stable',
-        ecosystem: 'good'
+  /**
+   * Frameworks detected by the TechStackDetector, limited to the enabled kinds
+   * @param {Object} techStack - Detection result
+   * @returns {Array} Frameworks with version, confidence and evidence
+   */
+  analyzeFrameworks(techStack) {
+    const { settings } = config;
+    const enabled = {
+      frontend: settings.analyzeFrontend,
+      mobile: settings.analyzeFrontend,
+      backend: settings.analyzeBackend,
+      fullstack: settings.analyzeFullStack,
+      desktop: settings.analyzeFullStack
+    };
+
+    return techStack.technologies
+      .filter(technology => technology.category === 'framework' && enabled[technology.type] !== false)
+      .map(technology => ({
+        name: technology.name,
+        version: technology.version,
+        type: technology.type,
+        ecosystem: technology.ecosystem,
+        confidence: technology.confidence,
+        score: technology.score,
+        workspaces: technology.workspaces,
+        usage: technology.usage,
+        evidence: technology.evidence,
+        evidenceFiles: technology.evidenceFiles
+      }));
+  }
+
+  /**
+   * Workspaces that declare more than one frontend framework
+   * @param {Array} frameworks - Detected frameworks
+   * @returns {Array} Issues with file and line
+   */
+  analyzeFrameworkIssues(frameworks) {
+    const issues = [];
+    const byWorkspace = new Map();
+    for (const framework of frameworks.filter(candidate => candidate.type === 'frontend' && candidate.confidence !== 'low')) {
+      for (const workspace of framework.workspaces) {
+        if (!byWorkspace.has(workspace)) byWorkspace.set(workspace, []);
+        byWorkspace.get(workspace).push(framework);
       }
-    ];
+    }
+
+    for (const [workspace, workspaceFrameworks] of byWorkspace) {
+      if (workspaceFrameworks.length < 2) continue;
+      const names = workspaceFrameworks.map(framework => framework.name);
+      const evidence = workspaceFrameworks[1].evidence.find(item => item.type === 'dependency') || workspaceFrameworks[1].evidence[0];
+      issues.push({
+        type: 'multiple-frontend-frameworks',
+        severity: 'medium',
+        message: `${workspace === '.' ? 'Project root' : workspace} uses ${names.join(' and ')} side by side`,
+        file: evidence.file,
+        line: evidence.line || null,
+        recommendation: 'Settle on one frontend framework per application or split them into separate workspaces',
+        frameworks: names
+      });
+    }
+    return issues;
   }
 
-  async calculateFrameworkMetrics(projectPath) {
-    // Placeholder implementation
+  calculateFrameworkMetrics(frameworks) {
+    const count = (predicate) => frameworks.filter(predicate).length;
+    const byEcosystem = {};
+    for (const framework of frameworks) {
+      byEcosystem[framework.ecosystem] = (byEcosystem[framework.ecosystem] || 0) + 1;
+    }
+
     return {
-      frontendFrameworks: 1,
-      backendFrameworks: 1,
-      totalFrameworks: 2,
-      modernFrameworks: 2,
-      legacyFrameworks: 0,
-      maturityScore: 90
+      frontendFrameworks: count(framework => framework.type === 'frontend'),
+      backendFrameworks: count(framework => framework.type === 'backend'),
+      fullStackFrameworks: count(framework => framework.type === 'fullstack'),
+      totalFrameworks: frameworks.length,
+      highConfidence: count(framework => framework.confidence === 'high'),
+      lowConfidence: count(framework => framework.confidence === 'low'),
+      byEcosystem
     };
   }
 
   generateRecommendations(frameworks, metrics) {
     const recommendations = [];
     
-    if (metrics.legacyFrameworks > 0) {
+    if (metrics.lowConfidence > 0) {
+      const names = frameworks.filter(framework => framework.confidence === 'low').map(framework => framework.name);
       recommendations.push({
-        type: 'modernization',
-        priority: 'medium',
-        message: 'Consider upgrading legacy frameworks',
-        action: 'Evaluate modern alternatives for legacy frameworks'
+        type: 'verification',
+        priority: 'low',
+        message: `Weak evidence for ${names.join(', ')}`,
+        action: 'Declare frameworks the project relies on in its manifest, or remove leftover imports'
       });
     }
     
-    if (metrics.maturityScore < 80) {
+    if (metrics.frontendFrameworks > 1) {
       recommendations.push({
-        type: 'stability',
-        priority: 'low',
-        message: 'Consider more mature frameworks for stability',
-        action: 'Review framework maturity and community support'
+        type: 'consistency',
+        priority: 'medium',
+        message: 'Several frontend frameworks are in use',
+        action: 'Consolidate on one frontend framework to reduce bundle size and maintenance'
       });
     }
     
     return recommendations;
   }
 
-  generateIssues(frameworks) {
-    return frameworks.map(framework => ({
+  generateIssues(frameworkIssues) {
+    return frameworkIssues.map(issue => ({
       type: 'framework',
-      severity: 'info',
-      message: `Using ${framework.name} ${framework.version}`,
-      framework: framework.name,
-      version: framework.version,
-      type: framework.type,
-      popularity: framework.popularity
+      rule: issue.type,
+      severity: issue.severity,
+      message: issue.message,
+      file: issue.file,
+      line: issue.line,
+      recommendation: issue.recommendation,
+      frameworks: issue.frameworks
     }));
   }
 
-  generateTasks(frameworks) {
-    return frameworks.map(framework => ({
-      type: 'review',
-      priority: 'low',
-      description: `Review ${framework.name} usage and alternatives`,
-      framework: framework.name,
-      estimatedTime: '30 minutes'
+  generateTasks(frameworkIssues) {
+    return frameworkIssues.map(issue => ({
+      type: 'refactor',
+      priority: 'medium',
+      description: `Consolidate frontend frameworks (${issue.frameworks.join(', ')})`,
+      file: issue.file,
+      frameworks: issue.frameworks,
+      estimatedTime: '4 hours'
     }));
   }
 
@@ -161,8 +215,10 @@ class FrameworkTechStackStep extends StepBuilder {
       },
       {
         type: 'metrics',
-        title: 'Framework Maturity',
-        content: `Framework maturity score: ${metrics.maturityScore}%`,
+        title: 'Detected Frameworks',
+        content: frameworks.length > 0
+          ? frameworks.map(framework => `${framework.name}${framework.version ? ` ${framework.version}` : ''} (${framework.confidence})`).join(', ')
+          : 'No frameworks detected',
         url: '/docs/framework-metrics'
       }
     ];
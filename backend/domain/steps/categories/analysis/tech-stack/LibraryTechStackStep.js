@@ -7,6 +7,7 @@
  */
 
 const StepBuilder = require('@steps/StepBuilder');
+const TechStackDetector = require('@domain/services/analysis/TechStackDetector');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('library_tech_stack_step');
@@ -22,15 +23,17 @@ const config = {
   dependencies: [],
   settings: {
     timeout: 30000,
-    analyzeCore: true,
-    analyzeUI: true,
-    analyzeUtils: true
+    includeDatabases: true,
+    minimumConfidence: 'low'
   }
 };
 
+const CONFIDENCE_ORDER = { low: 0, medium: 1, high: 2 };
+
 class LibraryTechStackStep extends StepBuilder {
   constructor() {
     super(config);
+    this.techStackDetector = new TechStackDetector();
   }
 
   async execute(context) {
@@ -38,18 +41,20 @@ class LibraryTechStackStep extends StepBuilder {
       logger.info('📚 Starting library analysis...');
       
       const { projectPath } = context;
+      const techStack = context.techStack || await this.techStackDetector.detect(projectPath);
       
       // Analyze libraries
-      const libraries = await this.analyzeLibraries(projectPath);
-      const metrics = await this.calculateLibraryMetrics(projectPath);
+      const libraries = this.analyzeLibraries(techStack);
+      const libraryIssues = this.analyzeLibraryIssues(libraries);
+      const metrics = this.calculateLibraryMetrics(libraries, libraryIssues);
       
       const result = {
         success: true,
         libraries,
         metrics,
         recommendations: this.generateRecommendations(libraries, metrics),
-        issues: this.generateIssues(libraries),
-        tasks: this.generateTasks(libraries),
+        issues: this.generateIssues(libraryIssues),
+        tasks: this.generateTasks(libraryIssues),
         documentation: this.generateDocumentation(libraries, metrics)
       };
 
@@ -71,37 +76,97 @@ class LibraryTechStackStep extends StepBuilder {
     }
   }
 
-  async analyzeLibraries(projectPath) {
-    // Placeholder implementation - would analyze actual library usage
-    return [
-      {
-        name: 'lodash',
-        version: '4.17.21',
-        type: 'utility',
-        category: 'core',
-        popularity: 'high',
-        maintenance: 'active'
-      },
-      {
-        name: 'axios',
-        version: '1.4.0',
-        type: 'http-client',
-        category: 'core',
-        popularity: 'high',
-        maintenance: 'active'
+  /**
+   * Libraries and database clients detected by the TechStackDetector
+   * @param {Object} techStack - Detection result
+   * @returns {Array} Libraries with version, confidence and evidence
+   */
+  analyzeLibraries(techStack) {
+    const { settings } = config;
+    const categories = settings.includeDatabases ? ['library', 'database'] : ['library'];
+
+    return techStack.technologies
+      .filter(technology => categories.includes(technology.category) &&
+        CONFIDENCE_ORDER[technology.confidence] >= CONFIDENCE_ORDER[settings.minimumConfidence])
+      .map(technology => ({
+        name: technology.name,
+        version: technology.version,
+        type: technology.type,
+        category: technology.category,
+        ecosystem: technology.ecosystem,
+        purpose: technology.purpose || null,
+        deprecated: technology.deprecated || null,
+        confidence: technology.confidence,
+        score: technology.score,
+        workspaces: technology.workspaces,
+        usage: technology.usage,
+        evidence: technology.evidence,
+        evidenceFiles: technology.evidenceFiles
+      }));
+  }
+
+  /**
+   * Deprecated libraries and libraries with the same purpose in one workspace
+   * @param {Array} libraries - Detected libraries
+   * @returns {Array} Issues with file and line
+   */
+  analyzeLibraryIssues(libraries) {
+    const issues = [];
+    const declaredIn = (library) => library.evidence.find(item => item.type === 'dependency' || item.type === 'manifest') || library.evidence[0];
+
+    for (const library of libraries.filter(candidate => candidate.deprecated)) {
+      const evidence = declaredIn(library);
+      issues.push({
+        type: 'deprecated-library',
+        severity: 'medium',
+        message: `${library.name} is no longer maintained`,
+        file: evidence.file,
+        line: evidence.line || null,
+        recommendation: library.deprecated,
+        libraries: [library.name]
+      });
+    }
+
+    // Only declared libraries count; an import alone may be an example or a fixture
+    const byPurpose = new Map();
+    for (const library of libraries.filter(candidate => candidate.purpose && candidate.workspaces.length > 0)) {
+      for (const workspace of library.workspaces) {
+        const key = `${workspace}|${library.purpose}`;
+        if (!byPurpose.has(key)) byPurpose.set(key, []);
+        byPurpose.get(key).push(library);
       }
-    ];
+    }
+    for (const [key, overlapping] of byPurpose) {
+      if (overlapping.length < 2) continue;
+      const [workspace, purpose] = key.split('|');
+      const evidence = declaredIn(overlapping[1]);
+      issues.push({
+        type: 'overlapping-libraries',
+        severity: 'low',
+        message: `${workspace === '.' ? 'Project root' : workspace} uses several ${purpose} libraries: ${overlapping.map(library => library.name).join(', ')}`,
+        file: evidence.file,
+        line: evidence.line || null,
+        recommendation: `Standardize on one ${purpose} library`,
+        libraries: overlapping.map(library => library.name)
+      });
+    }
+
+    return issues;
   }
 
-  async calculateLibraryMetrics(projectPath) {
-    // Placeholder implementation
+  calculateLibraryMetrics(libraries, libraryIssues) {
+    const byType = {};
+    for (const library of libraries) {
+      byType[library.type] = (byType[library.type] || 0) + 1;
+    }
+
     return {
-      totalLibraries: 25,
-      coreLibraries: 8,
-      uiLibraries: 5,
-      utilityLibraries: 12,
-      activeLibraries: 23,
-      deprecatedLibraries: 2
+      totalLibraries: libraries.filter(library => library.category === 'library').length,
+      databaseLibraries: libraries.filter(library => library.category === 'database').length,
+      deprecatedLibraries: libraries.filter(library => library.deprecated).length,
+      overlappingGroups: libraryIssues.filter(issue => issue.type === 'overlapping-libraries').length,
+      highConfidence: libraries.filter(library => library.confidence === 'high').length,
+      byType
     };
   }
 
@@ -117,37 +182,39 @@ class LibraryTechStackStep extends StepBuilder {
       });
     }
     
-    if (metrics.totalLibraries > 30) {
+    if (metrics.overlappingGroups > 0) {
       recommendations.push({
         type: 'optimization',
         priority: 'low',
-        message: 'Consider reducing library count for better maintainability',
-        action: 'Audit and remove unnecessary libraries'
+        message: 'Several libraries solve the same problem',
+        action: 'Pick one library per purpose and migrate the remaining usages'
       });
     }
     
     return recommendations;
   }
 
-  generateIssues(libraries) {
-    return libraries.map(library => ({
+  generateIssues(libraryIssues) {
+    return libraryIssues.map(issue => ({
       type: 'library',
-      severity: 'info',
-      message: `Using ${library.name} ${library.version}`,
-      library: library.name,
-      version: library.version,
-      type: library.type,
-      category: library.category
+      rule: issue.type,
+      severity: issue.severity,
+      message: issue.message,
+      file: issue.file,
+      line: issue.line,
+      recommendation: issue.recommendation,
+      libraries: issue.libraries
     }));
   }
 
-  generateTasks(libraries) {
-    return libraries.map(library => ({
-      type: 'review',
-      priority: 'low',
-      description: `Review ${library.name} usage and alternatives`,
-      library: library.name,
-      estimatedTime: '15 minutes'
+  generateTasks(libraryIssues) {
+    return libraryIssues.filter(issue => issue.severity !== 'low').map(issue => ({
+      type: 'replace',
+      priority: 'medium',
+      description: `Replace ${issue.libraries.join(', ')}: ${issue.recommendation}`,
+      file: issue.file,
+      libraries: issue.libraries,
+      estimatedTime: '2 hours'
     }));
   }
 
@@ -162,7 +229,7 @@ class LibraryTechStackStep extends StepBuilder {
       {
         type: 'metrics',
         title: 'Library Usage',
-        content: `${metrics.totalLibraries} libraries in use`,
+        content: `${metrics.totalLibraries} libraries and ${metrics.databaseLibraries} database clients detected`,
         url: '/docs/library-metrics'
       }
     ];
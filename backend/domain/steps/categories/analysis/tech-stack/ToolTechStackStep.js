@@ -7,6 +7,7 @@
  */
 
 const StepBuilder = require('@steps/StepBuilder');
+const TechStackDetector = require('@domain/services/analysis/TechStackDetector');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('tool_tech_stack_step');
@@ -28,9 +29,17 @@ const config = {
   }
 };
 
+// Languages whose projects need an explicit test runner and linter (Go and Rust ship their own)
+const TOOLED_LANGUAGES = {
+  JavaScript: 'npm',
+  TypeScript: 'npm',
+  Python: 'pypi'
+};
+
 class ToolTechStackStep extends StepBuilder {
   constructor() {
     super(config);
+    this.techStackDetector = new TechStackDetector();
   }
 
   async execute(context) {
@@ -38,18 +47,20 @@ class ToolTechStackStep extends StepBuilder {
       logger.info('🛠️ Starting tool analysis...');
       
       const { projectPath } = context;
+      const techStack = context.techStack || await this.techStackDetector.detect(projectPath);
       
       // Analyze tools
-      const tools = await this.analyzeTools(projectPath);
-      const metrics = await this.calculateToolMetrics(projectPath);
+      const tools = this.analyzeTools(techStack);
+      const toolIssues = this.analyzeToolIssues(tools, techStack);
+      const metrics = this.calculateToolMetrics(tools);
       
       const result = {
         success: true,
         tools,
         metrics,
         recommendations: this.generateRecommendations(tools, metrics),
-        issues: this.generateIssues(tools),
-        tasks: this.generateTasks(tools),
+        issues: this.generateIssues(toolIssues),
+        tasks: this.generateTasks(toolIssues),
         documentation: this.generateDocumentation(tools, metrics)
       };
 
@@ -71,83 +82,152 @@ class ToolTechStackStep extends StepBuilder {
     }
   }
 
-  async analyzeTools(projectPath) {
-    // Placeholder implementation - would analyze actual tool configuration
-    return [
-      {
-        name: 'webpack',
-        version: '5.88.0',
-        type: 'build',
-        category: 'bundler',
-        popularity: 'high',
-        maintenance: 'active'
-      },
-      {
-        name: 'jest',
-        version: '29.5.0',
-        type: 'testing',
-        category: 'test-runner',
-        popularity: 'high',
-        maintenance: 'active'
+  /**
+   * Build, lint, format and test tools detected by the TechStackDetector
+   * @param {Object} techStack - Detection result
+   * @returns {Array} Tools with version, confidence and evidence
+   */
+  analyzeTools(techStack) {
+    return techStack.technologies
+      .filter(technology => technology.category === 'tool' || technology.category === 'testing')
+      .map(technology => ({
+        name: technology.name,
+        version: technology.version,
+        type: technology.type,
+        category: technology.category,
+        ecosystem: technology.ecosystem,
+        purpose: technology.purpose || null,
+        deprecated: technology.deprecated || null,
+        confidence: technology.confidence,
+        score: technology.score,
+        workspaces: technology.workspaces,
+        evidence: technology.evidence,
+        evidenceFiles: technology.evidenceFiles
+      }));
+  }
+
+  /**
+   * Deprecated tools and ecosystems without a test runner or linter
+   * @param {Array} tools - Detected tools
+   * @param {Object} techStack - Detection result (for the project languages)
+   * @returns {Array} Issues with file and line
+   */
+  analyzeToolIssues(tools, techStack) {
+    const { settings } = config;
+    const issues = [];
+
+    for (const tool of tools.filter(candidate => candidate.deprecated)) {
+      const evidence = tool.evidence.find(item => item.type === 'dependency') || tool.evidence[0];
+      issues.push({
+        type: 'deprecated-tool',
+        severity: 'medium',
+        message: `${tool.name} is deprecated`,
+        file: evidence.file,
+        line: evidence.line || null,
+        recommendation: tool.deprecated,
+        tool: tool.name
+      });
+    }
+
+    const ecosystems = new Set(techStack.languages.map(language => TOOLED_LANGUAGES[language.name]).filter(Boolean));
+    const hasTool = (ecosystem, predicate) => tools.some(tool =>
+      tool.ecosystem === ecosystem && tool.confidence !== 'low' && predicate(tool));
+    const manifestOf = (ecosystem) => {
+      const runtime = techStack.technologies.find(technology =>
+        technology.category === 'runtime' && technology.ecosystem === ecosystem);
+      return runtime && runtime.evidenceFiles.length > 0 ? runtime.evidenceFiles[0] : null;
+    };
+
+    for (const ecosystem of ecosystems) {
+      const language = ecosystem === 'npm' ? 'JavaScript/TypeScript' : 'Python';
+      if (settings.analyzeTesting && !hasTool(ecosystem, tool => tool.category === 'testing')) {
+        issues.push({
+          type: 'no-test-framework',
+          severity: 'medium',
+          message: `No test framework found for the ${language} code`,
+          file: manifestOf(ecosystem),
+          line: null,
+          recommendation: ecosystem === 'npm' ? 'Add Jest or Vitest and a test script' : 'Add pytest',
+          tool: null
+        });
       }
-    ];
+      if (settings.analyzeLinting && !hasTool(ecosystem, tool => tool.purpose === 'linter')) {
+        issues.push({
+          type: 'no-linter',
+          severity: 'low',
+          message: `No linter configured for the ${language} code`,
+          file: manifestOf(ecosystem),
+          line: null,
+          recommendation: ecosystem === 'npm' ? 'Add ESLint or Biome with a configuration file' : 'Add Ruff or Flake8',
+          tool: null
+        });
+      }
+    }
+
+    return issues;
   }
 
-  async calculateToolMetrics(projectPath) {
-    // Placeholder implementation
+  calculateToolMetrics(tools) {
+    const byType = {};
+    for (const tool of tools) {
+      byType[tool.type] = (byType[tool.type] || 0) + 1;
+    }
+
     return {
-      totalTools: 8,
-      buildTools: 2,
-      testingTools: 2,
-      lintingTools: 1,
-      modernTools: 7,
-      legacyTools: 1
+      totalTools: tools.length,
+      buildTools: tools.filter(tool => tool.type === 'build').length,
+      testingTools: tools.filter(tool => tool.category === 'testing').length,
+      lintingTools: tools.filter(tool => tool.purpose === 'linter').length,
+      deprecatedTools: tools.filter(tool => tool.deprecated).length,
+      highConfidence: tools.filter(tool => tool.confidence === 'high').length,
+      byType
     };
   }
 
   generateRecommendations(tools, metrics) {
     const recommendations = [];
     
-    if (metrics.legacyTools > 0) {
+    if (metrics.deprecatedTools > 0) {
       recommendations.push({
         type: 'modernization',
         priority: 'medium',
-        message: 'Upgrade legacy development tools',
-        action: 'Evaluate and upgrade outdated tools'
+        message: 'Replace deprecated development tools',
+        action: 'Migrate to the maintained successors of deprecated tools'
       });
     }
     
-    if (metrics.testingTools < 2) {
+    if (metrics.testingTools > 0 && !tools.some(tool => tool.type === 'e2e')) {
       recommendations.push({
         type: 'testing',
-        priority: 'medium',
-        message: 'Consider additional testing tools',
-        action: 'Add code coverage and E2E testing tools'
+        priority: 'low',
+        message: 'No end-to-end testing tool detected',
+        action: 'Consider Playwright or Cypress for critical user flows'
       });
     }
     
     return recommendations;
   }
 
-  generateIssues(tools) {
-    return tools.map(tool => ({
+  generateIssues(toolIssues) {
+    return toolIssues.map(issue => ({
       type: 'tool',
-      severity: 'info',
-      message: `Using ${tool.name} ${tool.version}`,
-      tool: tool.name,
-      version: tool.version,
-      type: tool.type,
-      category: tool.category
+      rule: issue.type,
+      severity: issue.severity,
+      message: issue.message,
+      file: issue.file,
+      line: issue.line,
+      recommendation: issue.recommendation,
+      tool: issue.tool
     }));
   }
 
-  generateTasks(tools) {
-    return tools.map(tool => ({
-      type: 'review',
-      priority: 'low',
-      description: `Review ${tool.name} configuration and alternatives`,
-      tool: tool.name,
-      estimatedTime: '20 minutes'
+  generateTasks(toolIssues) {
+    return toolIssues.filter(issue => issue.severity !== 'low').map(issue => ({
+      type: 'setup',
+      priority: 'medium',
+      description: issue.tool ? `Replace ${issue.tool}: ${issue.recommendation}` : issue.recommendation,
+      file: issue.file,
+      estimatedTime: '1 hour'
     }));
   }
 
@@ -162,7 +242,7 @@ class ToolTechStackStep extends StepBuilder {
       {
         type: 'metrics',
         title: 'Tool Usage',
-        content: `${metrics.totalTools} development tools configured`,
+        content: `${metrics.totalTools} development tools detected (${metrics.testingTools} testing, ${metrics.lintingTools} linting)`,
         url: '/docs/tool-metrics'
       }
     ];
@@ -7,6 +7,9 @@
  */
 
 const StepBuilder = require('@steps/StepBuilder');
+const semver = require('semver');
+const TechStackDetector = require('@domain/services/analysis/TechStackDetector');
+const { RUNTIME_EOL } = require('@domain/services/analysis/TechStackCatalog');
 const Logger = require('@logging/Logger');
 
 const logger = new Logger('version_tech_stack_step');
@@ -22,15 +25,20 @@ const config = {
   dependencies: [],
   settings: {
     timeout: 30000,
-    analyzeCompatibility: true,
-    analyzeTrends: true,
-    analyzeUpdates: true
+    checkEndOfLife: true,
+    checkConsistency: true,
+    requirePinnedRuntime: true
   }
 };
 
+const PINNED_VERSION = /^v?\d+(\.\d+){0,2}$/;
+// Runtimes whose projects rarely pin a version without an explicit file
+const PINNABLE_RUNTIMES = ['nodejs', 'python'];
+
 class VersionTechStackStep extends StepBuilder {
   constructor() {
     super(config);
+    this.techStackDetector = new TechStackDetector();
   }
 
   async execute(context) {
@@ -38,18 +46,20 @@ class VersionTechStackStep extends StepBuilder {
       logger.info('📈 Starting version analysis...');
       
       const { projectPath } = context;
+      const techStack = context.techStack || await this.techStackDetector.detect(projectPath);
       
       // Analyze versions
-      const versions = await this.analyzeVersions(projectPath);
-      const metrics = await this.calculateVersionMetrics(projectPath);
+      const versions = this.analyzeVersions(techStack);
+      const versionIssues = this.analyzeVersionIssues(versions);
+      const metrics = this.calculateVersionMetrics(versions);
       
       const result = {
         success: true,
         versions,
         metrics,
         recommendations: this.generateRecommendations(versions, metrics),
-        issues: this.generateIssues(versions),
-        tasks: this.generateTasks(versions),
+        issues: this.generateIssues(versionIssues),
+        tasks: this.generateTasks(versionIssues),
         documentation: this.generateDocumentation(versions, metrics)
       };
 
@@ -71,84 +81,247 @@ class VersionTechStackStep extends StepBuilder {
     }
   }
 
-  async analyzeVersions(projectPath) {
-    // Placeholder implementation - would analyze actual version compatibility
-    return [
-      {
-        name: 'Node.js',
-        currentVersion: '18.17.0',
-        recommendedVersion: '20.5.0',
-        status: 'outdated',
-        compatibility: 'good',
-        trend: 'stable'
-      },
-      {
-        name: 'React',
-        currentVersion: '18.2.0',
-        recommendedVersion: '18.2.0',
-        status: 'current',
-        compatibility: 'excellent',
-        trend: 'stable'
+  /**
+   * Runtime versions (version files, engines, base images) and the versions of
+   * every other technology across workspaces
+   * @param {Object} techStack - Detection result
+   * @returns {Array} Versions with status and the declarations behind them
+   */
+  analyzeVersions(techStack) {
+    const versions = [];
+
+    for (const technology of techStack.technologies) {
+      if (technology.category === 'runtime') {
+        versions.push(this.analyzeRuntime(technology));
+      } else if (technology.versions.length > 0) {
+        versions.push({
+          id: technology.id,
+          name: technology.name,
+          category: technology.category,
+          currentVersion: technology.version,
+          declarations: technology.versions,
+          status: this.findDrift(technology.versions) ? 'inconsistent' : 'consistent',
+          eolDate: null,
+          confidence: technology.confidence
+        });
       }
-    ];
+    }
+
+    return versions;
   }
 
-  async calculateVersionMetrics(projectPath) {
-    // Placeholder implementation
+  /**
+   * Two declarations of the same package with different major versions
+   * @param {Array} declarations - [{ version, file, line, package }]
+   * @returns {Array|null} [first, other] or null
+   */
+  findDrift(declarations) {
+    for (const first of declarations) {
+      const other = declarations.find(declaration => declaration.package === first.package &&
+        this.getMajor(declaration.version) !== null && this.getMajor(first.version) !== null &&
+        this.getMajor(declaration.version) !== this.getMajor(first.version));
+      if (other) return [first, other];
+    }
+    return null;
+  }
+
+  analyzeRuntime(technology) {
+    const declarations = technology.declarations || [];
+    const pinned = declarations.filter(declaration => PINNED_VERSION.test(declaration.version));
+    const ranges = declarations.filter(declaration =>
+      !PINNED_VERSION.test(declaration.version) && semver.validRange(declaration.version));
+
+    const eolDates = RUNTIME_EOL[technology.name] || {};
+    const endOfLife = pinned
+      .map(declaration => ({ declaration, eolDate: this.getEndOfLife(technology.name, declaration.version, eolDates) }))
+      .filter(({ eolDate }) => eolDate && new Date(eolDate) < new Date());
+
+    const lines = new Set(pinned.map(declaration => this.getReleaseLine(technology.name, declaration.version)));
+    const mismatches = [];
+    if (lines.size > 1) {
+      const [first] = pinned;
+      const firstLine = this.getReleaseLine(technology.name, first.version);
+      for (const declaration of pinned.filter(candidate => this.getReleaseLine(technology.name, candidate.version) !== firstLine)) {
+        mismatches.push({ declaration, message: `${declaration.file} pins ${declaration.version} but ${first.file} pins ${first.version}` });
+      }
+    }
+    for (const range of ranges) {
+      const outside = pinned.find(declaration => !semver.satisfies(semver.coerce(declaration.version), range.version));
+      if (outside) {
+        mismatches.push({ declaration: range, message: `${outside.file} pins ${outside.version}, outside ${range.file} range ${range.version}` });
+      }
+    }
+
+    let status = 'supported';
+    if (declarations.length === 0) status = 'unpinned';
+    else if (endOfLife.length > 0) status = 'eol';
+    else if (mismatches.length > 0) status = 'inconsistent';
+    else if (pinned.length === 0) status = 'unknown';
+
+    return {
+      id: technology.id,
+      name: technology.name,
+      category: 'runtime',
+      currentVersion: technology.version,
+      declarations,
+      status,
+      eolDate: endOfLife.length > 0 ? endOfLife[0].eolDate : null,
+      endOfLife,
+      mismatches,
+      confidence: technology.confidence,
+      evidenceFiles: technology.evidenceFiles
+    };
+  }
+
+  /**
+   * End-of-life date of the release line of a pinned version
+   * @returns {string|null} ISO date, null when unknown
+   */
+  getEndOfLife(runtime, version, eolDates) {
+    const releaseLine = this.getReleaseLine(runtime, version);
+    if (eolDates[releaseLine]) return eolDates[releaseLine];
+    // Release lines older than the table are long past their end of life
+    const oldest = Object.keys(eolDates).sort((a, b) => semver.compare(semver.coerce(a), semver.coerce(b)))[0];
+    if (oldest && semver.lt(semver.coerce(releaseLine), semver.coerce(oldest))) return eolDates[oldest];
+    return null;
+  }
+
+  /**
+   * Release line of a version: major for Node.js, major.minor for Python, Go and Rust
+   */
+  getReleaseLine(runtime, version) {
+    const coerced = semver.coerce(version);
+    if (!coerced) return version;
+    return runtime === 'Node.js' || runtime === 'Bun' || runtime === 'Deno' ? String(coerced.major) : `${coerced.major}.${coerced.minor}`;
+  }
+
+  getMajor(version) {
+    const coerced = semver.coerce(version);
+    return coerced ? coerced.major : null;
+  }
+
+  analyzeVersionIssues(versions) {
+    const { settings } = config;
+    const issues = [];
+
+    for (const version of versions) {
+      if (version.category === 'runtime') {
+        if (settings.checkEndOfLife) {
+          for (const { declaration, eolDate } of version.endOfLife) {
+            issues.push({
+              type: 'runtime-eol',
+              severity: 'high',
+              message: `${version.name} ${declaration.version} reached end of life on ${eolDate}`,
+              file: declaration.file,
+              line: declaration.line || null,
+              recommendation: `Upgrade to a supported ${version.name} release line`,
+              technology: version.name
+            });
+          }
+        }
+        if (settings.checkConsistency) {
+          for (const { declaration, message } of version.mismatches) {
+            issues.push({
+              type: 'runtime-version-mismatch',
+              severity: 'medium',
+              message: `${version.name} versions disagree: ${message}`,
+              file: declaration.file,
+              line: declaration.line || null,
+              recommendation: `Use the same ${version.name} version in version files, engines and container images`,
+              technology: version.name
+            });
+          }
+        }
+        if (settings.requirePinnedRuntime && version.status === 'unpinned' && PINNABLE_RUNTIMES.includes(version.id)) {
+          issues.push({
+            type: 'runtime-version-unpinned',
+            severity: 'low',
+            message: `No ${version.name} version is declared`,
+            file: version.evidenceFiles[0] || null,
+            line: null,
+            recommendation: version.id === 'nodejs'
+              ? 'Add an .nvmrc file and an engines.node field'
+              : 'Add a .python-version file or requires-python',
+            technology: version.name
+          });
+        }
+      } else if (settings.checkConsistency && version.status === 'inconsistent') {
+        const [first, other] = this.findDrift(version.declarations);
+        issues.push({
+          type: 'version-drift',
+          severity: 'medium',
+          message: `${first.package || version.name} ${first.version} (${first.file}) and ${other.version} (${other.file}) are different major versions`,
+          file: other.file,
+          line: other.line || null,
+          recommendation: `Align ${version.name} on one major version across workspaces`,
+          technology: version.name
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  calculateVersionMetrics(versions) {
+    const runtimes = versions.filter(version => version.category === 'runtime');
+
     return {
-      totalTechnologies: 12,
-      currentVersions: 8,
-      outdatedVersions: 3,
-      deprecatedVersions: 1,
-      compatibilityScore: 85,
-      trendScore: 90
+      totalTechnologies: versions.length,
+      runtimes: runtimes.length,
+      eolRuntimes: runtimes.filter(version => version.status === 'eol').length,
+      inconsistentVersions: versions.filter(version => version.status === 'inconsistent' || (version.mismatches || []).length > 0).length,
+      unpinnedRuntimes: runtimes.filter(version => version.status === 'unpinned').length,
+      runtimeVersions: runtimes.reduce((acc, version) => {
+        acc[version.name] = version.currentVersion;
+        return acc;
+      }, {})
     };
   }
 
   generateRecommendations(versions, metrics) {
     const recommendations = [];
     
-    if (metrics.outdatedVersions > 0) {
+    if (metrics.inconsistentVersions > 0) {
       recommendations.push({
-        type: 'updates',
+        type: 'consistency',
         priority: 'medium',
-        message: 'Update outdated technologies to latest stable versions',
-        action: 'Plan and execute version updates'
+        message: 'Align technology versions across workspaces and environments',
+        action: 'Use one version per technology in manifests, version files and container images'
       });
     }
     
-    if (metrics.deprecatedVersions > 0) {
+    if (metrics.eolRuntimes > 0) {
       recommendations.push({
         type: 'migration',
         priority: 'high',
-        message: 'Migrate from deprecated technologies',
-        action: 'Identify alternatives and plan migration'
+        message: 'Upgrade runtimes that no longer receive security fixes',
+        action: 'Plan the upgrade to a supported release line'
       });
     }
     
     return recommendations;
   }
 
-  generateIssues(versions) {
-    return versions.map(version => ({
+  generateIssues(versionIssues) {
+    return versionIssues.map(issue => ({
       type: 'version',
-      severity: version.status === 'deprecated' ? 'high' : 'medium',
-      message: `${version.name} version ${version.currentVersion} is ${version.status}`,
-      technology: version.name,
-      currentVersion: version.currentVersion,
-      recommendedVersion: version.recommendedVersion,
-      status: version.status
+      rule: issue.type,
+      severity: issue.severity,
+      message: issue.message,
+      file: issue.file,
+      line: issue.line,
+      recommendation: issue.recommendation,
+      technology: issue.technology
     }));
   }
 
-  generateTasks(versions) {
-    return versions.map(version => ({
+  generateTasks(versionIssues) {
+    return versionIssues.filter(issue => issue.severity !== 'low').map(issue => ({
       type: 'update',
-      priority: version.status === 'deprecated' ? 'high' : 'medium',
-      description: `Update ${version.name} to ${version.recommendedVersion}`,
-      technology: version.name,
-      currentVersion: version.currentVersion,
-      targetVersion: version.recommendedVersion,
+      priority: issue.severity === 'high' ? 'high' : 'medium',
+      description: `${issue.message}: ${issue.recommendation}`,
+      technology: issue.technology,
+      file: issue.file,
       estimatedTime: '30 minutes'
     }));
   }
@@ -163,8 +336,10 @@ class VersionTechStackStep extends StepBuilder {
       },
       {
         type: 'metrics',
-        title: 'Version Compatibility',
-        content: `Version compatibility score: ${metrics.compatibilityScore}%`,
+        title: 'Runtime Versions',
+        content: Object.keys(metrics.runtimeVersions).length > 0
+          ? Object.entries(metrics.runtimeVersions).map(([name, version]) => `${name} ${version || 'unpinned'}`).join(', ')
+          : 'No runtime detected',
         url: '/docs/version-metrics'
       }
     ];
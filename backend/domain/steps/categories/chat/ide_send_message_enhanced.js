@@ -145,6 +145,7 @@ class IDESendMessageStepEnhanced {
       }
 
       // Step 6: Send Message to IDE
+      const sendStartTime = Date.now();
       const result = await this.sendMessageToIDE(services, enhancedMessage, context, features);
 
       // ✅ ENHANCED AI RESPONSE WAITING mit Confidence Checks
@@ -221,6 +222,8 @@ class IDESendMessageStepEnhanced {
         }
       }
 
+      await this.recordUsage(context, enhancedMessage, aiResponse, Date.now() - sendStartTime);
+
       // Step 7: Suggestion Generation (if enabled)
       let suggestions = null;
       if (features.suggestionGeneration) {
@@ -436,6 +439,30 @@ class IDESendMessageStepEnhanced {
     }
   }
 
+  /**
+   * Record the prompt/response pair for token and cost accounting (never fails the step)
+   */
+  async recordUsage(context, message, aiResponse, durationMs) {
+    try {
+      const aiUsageService = context.getService('aiUsageService');
+      await aiUsageService.recordInteraction({
+        projectId: context.projectId,
+        taskId: context.taskId,
+        workflowStep: context.workflowStep || config.name,
+        source: config.name,
+        model: context.model,
+        ideType: context.activeIDE?.type || context.ideType,
+        prompt: message,
+        response: aiResponse?.response,
+        durationMs,
+        success: aiResponse ? aiResponse.success !== false : true,
+        error: aiResponse?.error
+      });
+    } catch (error) {
+      logger.warn('AI usage not recorded', { projectId: context.projectId, error: error.message });
+    }
+  }
+
   /**
    * Send message to IDE using handler
    */
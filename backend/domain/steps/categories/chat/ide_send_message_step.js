@@ -96,6 +96,7 @@ class IDESendMessageStep {
       if (!port) {
         throw new Error('No active IDE port available in context');
       }
+      const startTime = Date.now();
       const result = await sendMessageHandler.handle(command, port);
       
       // ✅ AI RESPONSE WAITING (nur wenn gewünscht)
@@ -144,6 +145,8 @@ class IDESendMessageStep {
         }
       }
       
+      await this.recordUsage(context, message, aiResponse, Date.now() - startTime);
+      
       logger.info(`✅ Message sent to IDE successfully via Handler`);
       
       return {
@@ -165,6 +168,31 @@ class IDESendMessageStep {
     }
   }
 
+  /**
+   * Record the prompt/response pair for token and cost accounting
+   * Usage accounting must never fail the step.
+   */
+  async recordUsage(context, message, aiResponse, durationMs) {
+    try {
+      const aiUsageService = context.getService('aiUsageService');
+      await aiUsageService.recordInteraction({
+        projectId: context.projectId,
+        taskId: context.taskId,
+        workflowStep: context.workflowStep || config.name,
+        source: config.name,
+        model: context.model,
+        ideType: context.activeIDE?.type || context.ideType,
+        prompt: message,
+        response: aiResponse?.response,
+        durationMs,
+        success: aiResponse ? aiResponse.success !== false : true,
+        error: aiResponse?.error
+      });
+    } catch (error) {
+      logger.warn('AI usage not recorded:', error.message);
+    }
+  }
+
   validateContext(context) {
     if (!context.projectId) {
       throw new Error('Project ID is required');
@@ -24,8 +24,8 @@ const config = {
     email: null
   },
   validation: {
-    required: ['projectPath', 'message'],
-    optional: ['files', 'author', 'email']
+    required: ['projectPath'],
+    optional: ['message', 'generateMessage', 'files', 'author', 'email']
   }
 };
 
@@ -51,7 +51,8 @@ class GitCommitStep {
       // Validate context
       this.validateContext(context);
       
-      const { projectPath, message, files = '.', author, email } = context;
+      const { projectPath, files = '.', author, email } = context;
+      const message = await this.resolveMessage(context);
       
       logger.info('Executing GIT_COMMIT step using DDD pattern', {
         projectPath,
@@ -108,11 +109,70 @@ class GitCommitStep {
     }
   }
 
+  /**
+   * Commit message of the step: generated from the staged diff and the task when no message is given, or
+   * when generateMessage is set and the project uses Conventional Commits. Given messages are kept as they
+   * are unless the project turns on the task trailer.
+   */
+  async resolveMessage(context) {
+    const commitMessageService = this.getCommitMessageService(context);
+    const task = context.taskData || context.task || (context.taskId ? { id: context.taskId } : null);
+
+    if (!commitMessageService) {
+      return context.message;
+    }
+
+    const settings = await commitMessageService.loadSettings(context.projectPath);
+    const message = context.message;
+    if (!message || (context.generateMessage && settings.conventional)) {
+      // Stage first so that new files are part of the diff the message describes
+      await this.stageFiles(context);
+      const generated = await commitMessageService.generateCommitMessage(context.projectPath, task || {}, {
+        staged: true,
+        projectId: context.projectId,
+        userId: context.userId,
+        port: context.activeIDE?.port
+      });
+      return generated.message;
+    }
+
+    return settings.trailers && task ? commitMessageService.addTrailers(message, task) : message;
+  }
+
+  async stageFiles(context) {
+    const command = CommandRegistry.buildFromCategory('git', 'GitAddFilesCommand', {
+      projectPath: context.projectPath,
+      files: context.files || '.'
+    });
+    const handler = HandlerRegistry.buildFromCategory('git', 'GitAddFilesHandler', {
+      terminalService: context.terminalService,
+      logger: logger
+    });
+    if (command && handler) {
+      await handler.handle(command);
+    }
+  }
+
+  getCommitMessageService(context) {
+    if (context.commitMessageService) {
+      return context.commitMessageService;
+    }
+    if (typeof context.getService !== 'function') {
+      return null;
+    }
+    try {
+      return context.getService('commitMessageService');
+    } catch (error) {
+      logger.warn(`commitMessageService not available: ${error.message}`);
+      return null;
+    }
+  }
+
   validateContext(context) {
     if (!context.projectPath) {
       throw new Error('Project path is required');
     }
-    if (!context.message) {
+    if (!context.message && !context.generateMessage && !this.getCommitMessageService(context)) {
       throw new Error('Commit message is required');
     }
   }
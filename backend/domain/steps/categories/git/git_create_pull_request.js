@@ -16,13 +16,13 @@ const config = {
   description: 'Creates a pull request using DDD pattern with Commands and Handlers',
   category: 'git',
   version: '1.0.0',
-  dependencies: ['terminalService'],
+  dependencies: ['terminalService', 'forgeService'],
   settings: {
     timeout: 30000
   },
   validation: {
-    required: ['projectPath'],
-    optional: []
+    required: ['projectPath', 'projectId'],
+    optional: ['sourceBranch', 'targetBranch', 'title', 'description', 'labels', 'reviewers', 'push']
   }
 };
 
@@ -31,7 +31,7 @@ class GitCreatePullRequestStep {
     this.name = 'GitCreatePullRequestStep';
     this.description = 'Creates a pull request using DDD pattern with Commands and Handlers';
     this.category = 'git';
-    this.dependencies = ['terminalService'];
+    this.dependencies = ['terminalService', 'forgeService'];
   }
 
   static getConfig() {
@@ -56,13 +56,25 @@ class GitCreatePullRequestStep {
       });
 
       // ✅ DDD PATTERN: Create Command and Handler
+      // Resolve template variables in sourceBranch; task workflows open the PR from task/<id>
+      const resolvedParams = { ...otherParams };
+      const taskId = context.taskData?.id || context.taskId || null;
+      if (!resolvedParams.sourceBranch && taskId) {
+        resolvedParams.sourceBranch = `task/${taskId}`;
+      }
+      if (typeof resolvedParams.sourceBranch === 'string' && resolvedParams.sourceBranch.includes('${task.id}') && taskId) {
+        resolvedParams.sourceBranch = resolvedParams.sourceBranch.replace(/\$\{task\.id\}/g, taskId);
+      }
+
       const command = CommandRegistry.buildFromCategory('git', 'GitCreatePullRequestCommand', {
         projectPath,
-        ...otherParams
+        ...resolvedParams,
+        taskId
       });
 
       const handler = HandlerRegistry.buildFromCategory('git', 'GitCreatePullRequestHandler', {
         terminalService: context.terminalService,
+        forgeService: this.getForgeService(context),
         logger: logger
       });
 
@@ -80,6 +92,8 @@ class GitCreatePullRequestStep {
       return {
         success: result.success,
         result: result.result,
+        pullRequestUrl: result.pullRequestUrl,
+        error: result.error,
         timestamp: new Date()
       };
 
@@ -97,10 +111,28 @@ class GitCreatePullRequestStep {
     }
   }
 
+  getForgeService(context) {
+    if (context.forgeService) {
+      return context.forgeService;
+    }
+    if (typeof context.getService !== 'function') {
+      return null;
+    }
+    try {
+      return context.getService('forgeService');
+    } catch (error) {
+      logger.warn(`forgeService not available: ${error.message}`);
+      return null;
+    }
+  }
+
   validateContext(context) {
     if (!context.projectPath) {
       throw new Error('Project path is required');
     }
+    if (!context.projectId) {
+      throw new Error('Project ID is required');
+    }
   }
 }
 
@@ -1,6 +1,8 @@
 /**
  * GitMergeBranch
  * Merges a Git branch using DDD pattern with Commands and Handlers
+ * With autoMerge the task branch is only merged when its tests and quality gates passed
+ * (WorkflowGitService.autoMergeBranch), otherwise it is kept for review
  */
 
 const StepBuilder = require('@steps/StepBuilder');
@@ -22,7 +24,7 @@ const config = {
   },
   validation: {
     required: ['projectPath'],
-    optional: []
+    optional: ['branchName', 'targetBranch', 'strategy', 'noFF', 'message', 'allowConflicts', 'actor', 'checks', 'autoMerge']
   }
 };
 
@@ -56,9 +58,36 @@ class GitMergeBranchStep {
       });
 
       // ✅ DDD PATTERN: Create Command and Handler
+      // Resolve template variables in branchName
+      const resolvedParams = { ...otherParams };
+      if (resolvedParams.branchName && typeof resolvedParams.branchName === 'string') {
+        // Replace ${task.id} with actual task ID from taskData
+        if (resolvedParams.branchName.includes('${task.id}') && context.taskData?.id) {
+          resolvedParams.branchName = resolvedParams.branchName.replace(/\$\{task\.id\}/g, context.taskData.id);
+        }
+      }
+
+      const checks = context.checks || { tests: context.testResults, qualityGates: context.qualityGates };
+      if (context.autoMerge === true) {
+        return await this.autoMerge(context, projectPath, resolvedParams, checks);
+      }
+
+      // Every merge of the step is checked against the target branch rule; GitService checks its own merges
+      const branchProtectionService = this.getBranchProtectionService(context);
+      if (!branchProtectionService) {
+        throw new Error('Branch protection service not available, merge refused');
+      }
+      await branchProtectionService.assertAllowed('merge', {
+        projectPath,
+        sourceBranch: resolvedParams.branchName,
+        targetBranch: resolvedParams.targetBranch,
+        actor: context.actor || 'workflow',
+        checks
+      });
+
       const command = CommandRegistry.buildFromCategory('git', 'GitMergeCommand', {
         projectPath,
-        ...otherParams
+        ...resolvedParams
       });
 
       const handler = HandlerRegistry.buildFromCategory('git', 'GitMergeHandler', {
@@ -73,6 +102,26 @@ class GitMergeBranchStep {
       // Execute command through handler
       const result = await handler.handle(command);
 
+      // A merge that stopped with conflicts stays in progress so they can be resolved, in the directory
+      // the handler merged in (a short-lived worktree when merging from a task worktree)
+      const workspacePath = result.workspacePath || projectPath;
+      if (!result.success) {
+        const conflicts = await this.detectConflicts(context, workspacePath);
+        if (conflicts) {
+          logger.warn(`${this.name} stopped with conflicts in ${conflicts.files.length} file(s)`, {
+            files: conflicts.files.map(entry => entry.file)
+          });
+          return {
+            success: context.allowConflicts === true,
+            conflicted: true,
+            conflicts: { ...conflicts, workspacePath },
+            workspacePath,
+            error: context.allowConflicts === true ? undefined : `Merge conflicts in ${conflicts.files.map(entry => entry.file).join(', ')}`,
+            timestamp: new Date()
+          };
+        }
+      }
+
       logger.info(`${this.name} completed successfully using DDD pattern`, {
         result: result.result
       });
@@ -80,6 +129,8 @@ class GitMergeBranchStep {
       return {
         success: result.success,
         result: result.result,
+        error: result.error,
+        workspacePath,
         timestamp: new Date()
       };
 
@@ -92,11 +143,107 @@ class GitMergeBranchStep {
       return {
         success: false,
         error: error.message,
+        violations: error.violations,
         timestamp: new Date()
       };
     }
   }
 
+  /**
+   * Merge decided by the task's checks; GitService still checks the merge against the target branch rule
+   */
+  async autoMerge(context, projectPath, params, checks) {
+    const workflowGitService = this.getWorkflowGitService(context);
+    if (!workflowGitService) {
+      throw new Error('Workflow git service not available, auto-merge refused');
+    }
+
+    const result = await workflowGitService.autoMergeBranch(projectPath, params.branchName, params.targetBranch || null, checks, {
+      task: context.taskData,
+      mergeStrategy: params.strategy
+    });
+    const conflicted = result.action === 'conflicts';
+    if (result.action === 'kept_branch') {
+      logger.info(`${this.name} kept ${params.branchName}: ${result.message}`);
+    }
+
+    return {
+      success: result.success || (conflicted && context.allowConflicts === true),
+      action: result.action,
+      merged: result.action === 'merged',
+      conflicted,
+      conflicts: result.conflicts,
+      reasons: result.reasons,
+      targetBranch: result.targetBranch,
+      workspacePath: result.workspacePath || projectPath,
+      message: result.message,
+      error: result.success ? undefined : result.message,
+      timestamp: new Date()
+    };
+  }
+
+  /**
+   * Conflicts of the failed merge, null when it failed for another reason
+   */
+  async detectConflicts(context, projectPath) {
+    const mergeConflictService = this.getMergeConflictService(context);
+    if (!mergeConflictService) {
+      return null;
+    }
+    try {
+      const conflicts = await mergeConflictService.detectConflicts(projectPath);
+      return conflicts.files.length > 0 ? conflicts : null;
+    } catch (error) {
+      logger.warn(`Could not detect merge conflicts: ${error.message}`);
+      return null;
+    }
+  }
+
+  getMergeConflictService(context) {
+    if (context.mergeConflictService) {
+      return context.mergeConflictService;
+    }
+    if (typeof context.getService !== 'function') {
+      return null;
+    }
+    try {
+      return context.getService('mergeConflictService');
+    } catch (error) {
+      logger.warn(`mergeConflictService not available: ${error.message}`);
+      return null;
+    }
+  }
+
+  getWorkflowGitService(context) {
+    if (context.workflowGitService) {
+      return context.workflowGitService;
+    }
+    if (typeof context.getService !== 'function') {
+      return null;
+    }
+    try {
+      return context.getService('workflowGitService');
+    } catch (error) {
+      logger.warn(`workflowGitService not available: ${error.message}`);
+      return null;
+    }
+  }
+
+  getBranchProtectionService(context) {
+    if (context.branchProtectionService) {
+      return context.branchProtectionService;
+    }
+    if (typeof context.getService !== 'function') {
+      return null;
+    }
+    try {
+      return context.getService('branchProtectionService');
+    } catch (error) {
+      logger.warn(`branchProtectionService not available: ${error.message}`);
+      return null;
+    }
+  }
+
   validateContext(context) {
     if (!context.projectPath) {
       throw new Error('Project path is required');
@@ -0,0 +1,191 @@
+/**
+ * GitResolveConflicts
+ * Asks the IDE chat to resolve the conflicts of a merge in progress and re-checks the files
+ * Without conflicts the step does nothing, so it can follow every merge step. Resolutions waiting for
+ * review fail the step as paused, so strict workflows stop until they are accepted or the merge is aborted.
+ * The conflicts are resolved where the merge step before it stopped (its output, mergeResult by default).
+ */
+
+const StepBuilder = require('@steps/StepBuilder');
+const Logger = require('@logging/Logger');
+const logger = new Logger('GitResolveConflictsStep');
+
+// Step configuration
+const config = {
+  name: 'GitResolveConflictsStep',
+  type: 'git',
+  description: 'Resolves merge conflicts through the IDE chat and re-checks the result',
+  category: 'git',
+  version: '1.0.0',
+  dependencies: ['mergeConflictService', 'stepRegistry'],
+  settings: {
+    timeout: 600000
+  },
+  validation: {
+    required: ['projectPath'],
+    optional: ['projectId', 'maxAttempts', 'autoAccept', 'abortOnFailure', 'instructions', 'timeout', 'mergeOutput']
+  }
+};
+
+class GitResolveConflictsStep {
+  constructor() {
+    this.name = 'GitResolveConflictsStep';
+    this.description = 'Resolves merge conflicts through the IDE chat and re-checks the result';
+    this.category = 'git';
+    this.dependencies = ['mergeConflictService', 'stepRegistry'];
+  }
+
+  static getConfig() {
+    return config;
+  }
+
+  async execute(context = {}) {
+    const config = GitResolveConflictsStep.getConfig();
+    const step = StepBuilder.build(config, context);
+
+    try {
+      logger.info(`🔧 Executing ${this.name}...`);
+
+      // Validate context
+      this.validateContext(context);
+
+      const { maxAttempts = 2, autoAccept = false, abortOnFailure = true, instructions = null } = context;
+      // The merge handler may have merged outside the task worktree (where the target is checked out)
+      const mergeResult = context[context.mergeOutput || 'mergeResult'];
+      const projectPath = mergeResult?.workspacePath || context.projectPath;
+      const mergeConflictService = this.getService(context, 'mergeConflictService');
+      if (!mergeConflictService) {
+        throw new Error('MergeConflictService not available in context');
+      }
+
+      let recheck = await mergeConflictService.recheck(projectPath);
+      let conflicts = recheck.conflicts;
+      if (conflicts.conflicted === 0 && conflicts.resolved === 0) {
+        logger.info('No merge conflicts to resolve');
+        return {
+          success: true,
+          conflicted: false,
+          status: 'no_conflicts',
+          timestamp: new Date()
+        };
+      }
+
+      const stepRegistry = this.getService(context, 'stepRegistry');
+      if (!stepRegistry) {
+        throw new Error('StepRegistry not available in context');
+      }
+
+      const task = context.taskData || context.task || null;
+      let attempts = 0;
+
+      while (!recheck.resolved && attempts < maxAttempts) {
+        attempts++;
+        logger.info(`Resolution attempt ${attempts}/${maxAttempts} for ${recheck.remaining.length} file(s)`, { files: recheck.remaining });
+
+        const prompt = mergeConflictService.buildResolutionPrompt(conflicts, { task, instructions });
+        const sendResult = await stepRegistry.executeStep('ide_send_message_step', {
+          ...context,
+          message: prompt,
+          waitForResponse: true,
+          timeout: context.timeout || config.settings.timeout
+        });
+        // StepRegistry wraps the result of the chat step
+        const sent = sendResult.result || {};
+        if (!sendResult.success || sent.success === false) {
+          throw new Error(`Could not send the conflict resolution prompt: ${sent.error || sendResult.error || 'unknown error'}`);
+        }
+
+        recheck = await mergeConflictService.recheck(projectPath);
+        conflicts = recheck.conflicts;
+      }
+
+      if (!recheck.resolved) {
+        if (abortOnFailure) {
+          await mergeConflictService.abortMerge(projectPath);
+        }
+        return {
+          success: false,
+          conflicted: true,
+          status: abortOnFailure ? 'aborted' : 'unresolved',
+          attempts,
+          remaining: recheck.remaining,
+          conflicts,
+          error: `Merge conflicts remain in ${recheck.remaining.join(', ')}`,
+          timestamp: new Date()
+        };
+      }
+
+      if (!autoAccept) {
+        logger.info(`Resolved ${recheck.awaitingReview.length} file(s), waiting for review`);
+        // The merge is still in progress, later steps must not run on top of it
+        return {
+          success: false,
+          paused: true,
+          conflicted: true,
+          status: 'awaiting_review',
+          attempts,
+          awaitingReview: recheck.awaitingReview,
+          conflicts,
+          error: `Merge conflict resolutions in ${recheck.awaitingReview.join(', ')} wait for review`,
+          timestamp: new Date()
+        };
+      }
+
+      const accepted = await mergeConflictService.acceptResolution(projectPath);
+      const merge = await mergeConflictService.completeMerge(projectPath);
+
+      logger.info(`${this.name} completed, merge committed as ${merge.commit}`);
+
+      return {
+        success: true,
+        conflicted: true,
+        status: 'merged',
+        attempts,
+        accepted,
+        commit: merge.commit,
+        timestamp: new Date()
+      };
+
+    } catch (error) {
+      logger.error(`${this.name} failed`, {
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: error.message,
+        timestamp: new Date()
+      };
+    }
+  }
+
+  getService(context, name) {
+    if (context[name]) {
+      return context[name];
+    }
+    if (typeof context.getService !== 'function') {
+      return null;
+    }
+    try {
+      return context.getService(name);
+    } catch (error) {
+      logger.warn(`${name} not available: ${error.message}`);
+      return null;
+    }
+  }
+
+  validateContext(context) {
+    if (!context.projectPath) {
+      throw new Error('Project path is required');
+    }
+  }
+}
+
+// Create instance for execution
+const stepInstance = new GitResolveConflictsStep();
+
+// Export in StepRegistry format
+module.exports = {
+  config,
+  execute: async (context) => await stepInstance.execute(context)
+};
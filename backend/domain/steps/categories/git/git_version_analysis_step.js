@@ -231,7 +231,15 @@ class GitVersionAnalysisStep {
         const commits = await context.gitService.getCommitHistory(projectPath, { since: sinceCommit, limit: 10 });
         commitsAnalyzed = commits.length;
         
+        const semanticVersioning = new SemanticVersioningService();
         for (const commit of commits) {
+          // Conventional Commits are classified by type, other messages by keywords
+          const category = semanticVersioning.classifyConventionalCommit(commit.message);
+          if (category) {
+            changes[category] += 1;
+            continue;
+          }
+
           const message = commit.message.toLowerCase();
           
           if (message.includes('breaking') || message.includes('incompatible')) {
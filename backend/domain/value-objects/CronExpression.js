@@ -0,0 +1,270 @@
+/**
+ * CronExpression - Value object for five-field cron expressions
+ * Supports "minute hour day-of-month month day-of-week" with lists, ranges, steps, month and
+ * weekday names and the @hourly/@daily/@weekly/@monthly/@yearly macros. Occurrences are
+ * computed in an IANA timezone.
+ */
+class CronExpression {
+  static FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+  ];
+
+  static MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+  };
+
+  // Covers leap days; impossible dates such as "0 0 30 2 *" end the search with null
+  static SEARCH_LIMIT_MS = 30 * 366 * 24 * 60 * 60 * 1000;
+
+  static WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+  constructor(expression, timezone = 'UTC') {
+    if (typeof expression !== 'string' || expression.trim().length === 0) {
+      throw new Error('Cron expression is required');
+    }
+    if (!CronExpression.isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+
+    this.expression = expression.trim();
+    this.timezone = timezone;
+
+    const source = CronExpression.MACROS[this.expression.toLowerCase()] || this.expression;
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Invalid cron expression "${this.expression}": expected 5 fields, got ${parts.length}`);
+    }
+
+    this.fields = {};
+    CronExpression.FIELDS.forEach((field, index) => {
+      this.fields[field.name] = CronExpression.parseField(parts[index], field, this.expression);
+    });
+
+    // 7 is an alias for Sunday
+    if (this.fields.dayOfWeek.has(7)) {
+      this.fields.dayOfWeek.add(0);
+    }
+
+    // Standard cron semantics: if both day fields are restricted, either one may match
+    this.dayOfMonthRestricted = !['*', '?'].includes(parts[2]);
+    this.dayOfWeekRestricted = !['*', '?'].includes(parts[4]);
+
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+  }
+
+  /**
+   * Parse one cron field into the set of allowed values
+   * @param {string} value - Field source, e.g. "*\/15", "1-5", "MON,WED"
+   * @param {Object} field - Field definition
+   * @param {string} expression - Complete expression for error messages
+   * @returns {Set<number>} Allowed values
+   */
+  static parseField(value, field, expression) {
+    const values = new Set();
+    const fail = (reason) => {
+      throw new Error(`Invalid cron expression "${expression}": ${field.name} ${reason}`);
+    };
+    const toNumber = (token) => {
+      const upper = token.toUpperCase();
+      if (field.names && field.names.includes(upper)) {
+        return field.names.indexOf(upper) + field.offset;
+      }
+      if (!/^\d+$/.test(token)) {
+        fail(`has invalid value "${token}"`);
+      }
+      const number = parseInt(token, 10);
+      if (number < field.min || number > field.max) {
+        fail(`value ${number} is out of range ${field.min}-${field.max}`);
+      }
+      return number;
+    };
+
+    for (const part of value.split(',')) {
+      const [range, stepSource] = part.split('/');
+      let step = 1;
+      if (stepSource !== undefined) {
+        if (!/^\d+$/.test(stepSource) || parseInt(stepSource, 10) === 0) {
+          fail(`has invalid step "${stepSource}"`);
+        }
+        step = parseInt(stepSource, 10);
+      }
+
+      let start;
+      let end;
+      if (range === '*' || range === '?') {
+        start = field.min;
+        end = field.name === 'dayOfWeek' ? 6 : field.max;
+      } else if (range.includes('-')) {
+        const [from, to] = range.split('-');
+        start = toNumber(from);
+        end = toNumber(to);
+        if (start > end) {
+          fail(`range ${range} is reversed`);
+        }
+      } else {
+        start = toNumber(range);
+        end = stepSource !== undefined ? field.max : start;
+      }
+
+      for (let current = start; current <= end; current += step) {
+        values.add(current);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Check whether an expression can be parsed
+   * @param {string} expression - Cron expression
+   * @param {string} timezone - IANA timezone
+   * @returns {boolean} True if valid
+   */
+  static isValid(expression, timezone = 'UTC') {
+    try {
+      new CronExpression(expression, timezone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a timezone is a known IANA timezone
+   * @param {string} timezone - Timezone name
+   * @returns {boolean} True if valid
+   */
+  static isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone.length === 0) {
+      return false;
+    }
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Wall-clock time of an instant in the expression's timezone
+   * @param {Date} date - Instant
+   * @returns {Object} { month, day, hour, minute, weekday }
+   */
+  getZonedParts(date) {
+    const parts = {};
+    for (const { type, value } of this.formatter.formatToParts(date)) {
+      parts[type] = value;
+    }
+    return {
+      month: parseInt(parts.month, 10),
+      day: parseInt(parts.day, 10),
+      hour: parseInt(parts.hour, 10),
+      minute: parseInt(parts.minute, 10),
+      weekday: CronExpression.WEEKDAYS[parts.weekday]
+    };
+  }
+
+  matchesDay(parts) {
+    const dayOfMonth = this.fields.dayOfMonth.has(parts.day);
+    const dayOfWeek = this.fields.dayOfWeek.has(parts.weekday);
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+      return dayOfMonth || dayOfWeek;
+    }
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /**
+   * Get the first occurrence strictly after a point in time
+   * @param {Date} after - Start point (default now)
+   * @returns {Date|null} Next occurrence or null if there is none within the search limit
+   */
+  next(after = new Date()) {
+    const minute = 60 * 1000;
+    let time = Math.floor(new Date(after).getTime() / minute) * minute + minute;
+    const limit = time + CronExpression.SEARCH_LIMIT_MS;
+
+    while (time <= limit) {
+      const parts = this.getZonedParts(new Date(time));
+
+      if (!this.fields.month.has(parts.month) || !this.matchesDay(parts)) {
+        // Jump close to local midnight; stay an hour short so DST changes cannot skip it
+        const minutesToMidnight = (24 - parts.hour) * 60 - parts.minute;
+        time += (minutesToMidnight > 60 ? minutesToMidnight - 60 : minutesToMidnight) * minute;
+        continue;
+      }
+      if (!this.fields.hour.has(parts.hour)) {
+        time += (60 - parts.minute) * minute;
+        continue;
+      }
+      if (!this.fields.minute.has(parts.minute)) {
+        time += minute;
+        continue;
+      }
+      return new Date(time);
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the next occurrences after a point in time
+   * @param {number} count - Number of occurrences
+   * @param {Date} after - Start point (default now)
+   * @returns {Array<Date>} Occurrences
+   */
+  nextOccurrences(count, after = new Date()) {
+    const occurrences = [];
+    let current = after;
+    while (occurrences.length < count) {
+      current = this.next(current);
+      if (!current) {
+        break;
+      }
+      occurrences.push(current);
+    }
+    return occurrences;
+  }
+
+  /**
+   * Get the occurrences in a time window
+   * @param {Date} from - Window start (inclusive)
+   * @param {Date} to - Window end (inclusive)
+   * @param {number} limit - Maximum number of occurrences
+   * @returns {Array<Date>} Occurrences
+   */
+  occurrencesBetween(from, to, limit = 100) {
+    const occurrences = [];
+    let current = this.next(new Date(new Date(from).getTime() - 60 * 1000));
+    while (current && current <= new Date(to) && occurrences.length < limit) {
+      occurrences.push(current);
+      current = this.next(current);
+    }
+    return occurrences;
+  }
+
+  toString() {
+    return this.expression;
+  }
+}
+
+module.exports = CronExpression;
@@ -1,5 +1,6 @@
 module.exports = {
   AISuggestion: require('./AISuggestion'),
+  CronExpression: require('./CronExpression'),
   ProjectType: require('./ProjectType'),
   TaskPriority: require('./TaskPriority'),
   TaskStatus: require('./TaskStatus'),
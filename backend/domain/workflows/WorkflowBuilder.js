@@ -3,7 +3,6 @@
  * Provides a fluent API for building composed workflows with steps, metadata, and validation
  */
 const ComposedWorkflow = require('./ComposedWorkflow');
-const WorkflowTemplateRegistry = require('./WorkflowTemplateRegistry');
 
 /**
  * Workflow builder with fluent interface
@@ -86,6 +85,8 @@ class WorkflowBuilder {
    * @returns {WorkflowBuilder} Builder instance
    */
   static fromTemplate(templateName, options = {}) {
+    // Required lazily: the template registry depends on WorkflowComposer, which depends on this builder
+    const WorkflowTemplateRegistry = require('./WorkflowTemplateRegistry');
     const builder = new WorkflowBuilder();
     const template = WorkflowTemplateRegistry.getTemplate(templateName);
     
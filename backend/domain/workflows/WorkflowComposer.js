@@ -5,6 +5,7 @@
 const WorkflowBuilder = require('./WorkflowBuilder');
 const WorkflowStepBuilder = require('./WorkflowStepBuilder');
 const StepRegistry = require('../steps/StepRegistry');
+const WorkflowValidator = require('./validation/WorkflowValidator');
 
 /**
  * Workflow composer for complex workflow logic
@@ -448,6 +449,101 @@ class WorkflowComposer {
 
     return builder.build();
   }
+
+  /**
+   * Compose a JSON workflow definition (framework/workflows/*.json format)
+   * for SequentialExecutionEngine.executeSteps
+   * @param {string} name - Workflow name
+   * @param {Array<Object>} steps - Steps and control-flow nodes
+   * @param {Object} options - Definition options (description, options)
+   * @returns {Object} Workflow definition
+   */
+  composeDefinition(name, steps, options = {}) {
+    const definition = {
+      name,
+      description: options.description || '',
+      steps,
+      options: options.options || {}
+    };
+
+    const validator = new WorkflowValidator();
+    if (!validator.validateWorkflowDefinition(definition)) {
+      const messages = validator.getErrors().map(error => `${error.field}: ${error.message}`);
+      throw new Error(`Invalid workflow definition: ${messages.join('; ')}`);
+    }
+
+    return definition;
+  }
+
+  /**
+   * Compose an if/else node
+   * @param {string} name - Node name
+   * @param {string} condition - Branch condition expression
+   * @param {Array<Object>} thenSteps - Steps run when the condition holds
+   * @param {Array<Object>} elseSteps - Steps run otherwise
+   * @param {Object} options - Additional node fields (output, strict, description)
+   * @returns {Object} Control-flow node
+   */
+  composeIf(name, condition, thenSteps, elseSteps = [], options = {}) {
+    return { ...options, name, control: 'if', condition, then: thenSteps, else: elseSteps };
+  }
+
+  /**
+   * Compose a retry-until loop node
+   * @param {string} name - Node name
+   * @param {Array<Object>} steps - Loop body
+   * @param {string} until - Expression that ends the loop
+   * @param {Object} options - Additional node fields (maxAttempts, output, strict)
+   * @returns {Object} Control-flow node
+   */
+  composeRetryUntil(name, steps, until, options = {}) {
+    return { maxAttempts: 3, ...options, name, control: 'retry-until', steps, until };
+  }
+
+  /**
+   * Compose a parallel group node
+   * @param {string} name - Node name
+   * @param {Array<Object>} steps - Steps run concurrently
+   * @param {Object} options - Additional node fields (output, strict)
+   * @returns {Object} Control-flow node
+   */
+  composeParallel(name, steps, options = {}) {
+    return { ...options, name, control: 'parallel', steps };
+  }
+
+  /**
+   * Compose a loop that re-prompts the IDE until the project tests pass
+   * @param {Object} options - Loop options (maxAttempts, testCommands, prompt)
+   * @returns {Object} Control-flow node
+   */
+  composeFixUntilTestsPass(options = {}) {
+    return this.composeRetryUntil('fix-until-tests-pass', [
+      {
+        name: 'send-fix-to-ide',
+        type: 'ide_send_message',
+        step: 'ide_send_message_step',
+        options: {
+          useTaskPrompt: !options.prompt,
+          message: options.prompt,
+          waitForResponse: true
+        },
+        strict: true
+      },
+      {
+        name: 'run-tests',
+        type: 'project_test_step',
+        step: 'ProjectTestStep',
+        options: {
+          commands: options.testCommands || ['npm test']
+        },
+        strict: false,
+        output: 'tests'
+      }
+    ], 'outputs.tests.data.result.success', {
+      maxAttempts: options.maxAttempts || 3,
+      output: 'testFixLoop'
+    });
+  }
 }
 
 module.exports = WorkflowComposer; 
\ No newline at end of file
@@ -334,6 +334,9 @@ class GitWorkflowManager {
           duration: Date.now() - startTime
         });
       } catch (error) {
+        if (error.name === 'BranchProtectionError') {
+          throw error;
+        }
         // No changes to commit, continue
         steps.push({
           name: 'commit_changes',
@@ -338,7 +338,8 @@ class MergeStrategy {
         deleteSourceBranch: config.deleteSourceBranch,
         requireStatusChecks: config.requireStatusChecks,
         requireReviews: config.requireReviews,
-        force: methodConfig.requiresForce
+        force: methodConfig.requiresForce,
+        strategy: methodConfig.name
       }
     };
     
@@ -0,0 +1,75 @@
+/**
+ * ExecutionCheckpoint - Snapshot of a workflow execution after a step
+ * Stores the step result and execution context so a run can be resumed
+ */
+
+const ExecutionContext = require('./ExecutionContext');
+const ExecutionResult = require('./ExecutionResult');
+
+class ExecutionCheckpoint {
+    constructor(options = {}) {
+        if (!options.executionId) {
+            throw new Error('Checkpoint requires an executionId');
+        }
+        if (typeof options.stepIndex !== 'number' || options.stepIndex < 0) {
+            throw new Error('Checkpoint requires a non-negative stepIndex');
+        }
+
+        this.id = options.id || this.generateId();
+        this.executionId = options.executionId;
+        this.stepIndex = options.stepIndex;
+        this.stepName = options.stepName || null;
+        this.status = options.status || 'completed';
+        this.result = options.result instanceof ExecutionResult
+            ? options.result
+            : ExecutionResult.fromJSON(options.result || {});
+        this.context = options.context instanceof ExecutionContext
+            ? options.context
+            : ExecutionContext.fromJSON(options.context || {});
+        this.createdAt = options.createdAt ? new Date(options.createdAt) : new Date();
+    }
+
+    /**
+     * Generate unique checkpoint ID
+     * @returns {string} Checkpoint ID
+     */
+    generateId() {
+        return `chk_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Check if the checkpointed step completed successfully
+     * @returns {boolean} True if step completed
+     */
+    isCompleted() {
+        return this.status === 'completed';
+    }
+
+    /**
+     * Get checkpoint as JSON
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            executionId: this.executionId,
+            stepIndex: this.stepIndex,
+            stepName: this.stepName,
+            status: this.status,
+            result: this.result.toJSON(),
+            context: this.context.toJSON(),
+            createdAt: this.createdAt.toISOString()
+        };
+    }
+
+    /**
+     * Restore checkpoint from JSON
+     * @param {Object} json - JSON representation
+     * @returns {ExecutionCheckpoint} Checkpoint
+     */
+    static fromJSON(json = {}) {
+        return new ExecutionCheckpoint(json);
+    }
+}
+
+module.exports = ExecutionCheckpoint;
@@ -85,6 +85,42 @@ class ExecutionContext {
             workflowId: this.workflow?.getMetadata?.()?.id
         };
     }
+
+    /**
+     * Get serializable context state (workflow instance is not included)
+     * @returns {Object} JSON representation
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            data: this.data,
+            metadata: { ...this.metadata },
+            startTime: this.startTime,
+            status: this.status,
+            results: [...this.results],
+            errors: [...this.errors]
+        };
+    }
+
+    /**
+     * Restore context from JSON
+     * @param {Object} json - JSON representation
+     * @param {Object} workflow - Workflow to attach
+     * @returns {ExecutionContext} Restored context
+     */
+    static fromJSON(json = {}, workflow = null) {
+        const context = new ExecutionContext({
+            id: json.id,
+            workflow,
+            data: json.data,
+            metadata: json.metadata
+        });
+        context.startTime = json.startTime || context.startTime;
+        context.status = json.status || context.status;
+        context.results = Array.isArray(json.results) ? json.results : [];
+        context.errors = Array.isArray(json.errors) ? json.errors : [];
+        return context;
+    }
 }
 
 module.exports = ExecutionContext; 
\ No newline at end of file
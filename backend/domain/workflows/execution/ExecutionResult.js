@@ -143,6 +143,24 @@ class ExecutionResult {
             ...options
         });
     }
+
+    /**
+     * Restore result from JSON
+     * @param {Object} json - JSON representation
+     * @returns {ExecutionResult} Restored result
+     */
+    static fromJSON(json = {}) {
+        return new ExecutionResult({
+            success: json.success,
+            error: json.error,
+            data: json.data,
+            metadata: json.metadata,
+            executionTime: json.executionTime,
+            duration: json.duration,
+            stepResults: json.stepResults,
+            executionId: json.executionId
+        });
+    }
 }
 
 module.exports = ExecutionResult; 
\ No newline at end of file
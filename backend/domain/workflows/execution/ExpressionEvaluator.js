@@ -0,0 +1,398 @@
+/**
+ * ExpressionEvaluator - Safe evaluator for workflow conditions
+ * Parses a small expression language (property access, comparison, logic and
+ * arithmetic) without eval/Function so workflow JSON cannot execute code
+ */
+
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'constructor', 'prototype']);
+const KEYWORDS = { true: true, false: false, null: null, undefined: undefined };
+const PUNCTUATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '?.', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', '.', '[', ']'];
+
+class ExpressionError extends Error {
+    constructor(message, expression, position = null) {
+        super(position === null ? message : `${message} at position ${position}`);
+        this.name = 'ExpressionError';
+        this.expression = expression;
+        this.position = position;
+    }
+}
+
+class ExpressionEvaluator {
+    constructor(options = {}) {
+        this.maxLength = options.maxLength || 1000;
+        this.cache = new Map();
+    }
+
+    /**
+     * Evaluate an expression against a scope
+     * Missing properties resolve to undefined instead of throwing
+     * @param {string} expression - Expression source
+     * @param {Object} scope - Variables available to the expression
+     * @returns {*} Expression value
+     */
+    evaluate(expression, scope = {}) {
+        return this.evaluateNode(this.parse(expression), scope, expression);
+    }
+
+    /**
+     * Evaluate an expression as a boolean condition
+     * @param {string|boolean} expression - Expression source
+     * @param {Object} scope - Variables available to the expression
+     * @returns {boolean} Condition result
+     */
+    evaluateCondition(expression, scope = {}) {
+        if (typeof expression === 'boolean') {
+            return expression;
+        }
+        return Boolean(this.evaluate(expression, scope));
+    }
+
+    /**
+     * Check whether an expression parses
+     * @param {string} expression - Expression source
+     * @returns {Object} { valid, error }
+     */
+    validate(expression) {
+        try {
+            this.parse(expression);
+            return { valid: true, error: null };
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+
+    /**
+     * Collect the static variable paths an expression reads
+     * e.g. "outputs.tests.success && !previousStep.error" → [['outputs', 'tests', 'success'], ['previousStep', 'error']]
+     * @param {string} expression - Expression source
+     * @returns {Array<Array<string>>} Variable paths
+     */
+    getReferences(expression) {
+        const references = [];
+        const visit = (node) => {
+            const path = this.getStaticPath(node);
+            if (path) {
+                references.push(path);
+                return;
+            }
+            for (const child of [node.left, node.right, node.argument, node.object, node.property]) {
+                if (child && typeof child === 'object') {
+                    visit(child);
+                }
+            }
+        };
+        visit(this.parse(expression));
+        return references;
+    }
+
+    /**
+     * Parse an expression into an AST (cached per source string)
+     * @param {string} expression - Expression source
+     * @returns {Object} AST root node
+     */
+    parse(expression) {
+        if (typeof expression !== 'string' || expression.trim() === '') {
+            throw new ExpressionError('Expression must be a non-empty string', expression);
+        }
+        if (expression.length > this.maxLength) {
+            throw new ExpressionError(`Expression exceeds ${this.maxLength} characters`, expression);
+        }
+        if (this.cache.has(expression)) {
+            return this.cache.get(expression);
+        }
+
+        const parser = {
+            expression,
+            tokens: this.tokenize(expression),
+            position: 0
+        };
+        const ast = this.parseOr(parser);
+        if (parser.position < parser.tokens.length) {
+            const token = parser.tokens[parser.position];
+            throw new ExpressionError(`Unexpected token "${token.value}"`, expression, token.start);
+        }
+
+        this.cache.set(expression, ast);
+        return ast;
+    }
+
+    /**
+     * Split an expression into tokens
+     * @param {string} expression - Expression source
+     * @returns {Array<Object>} Tokens
+     */
+    tokenize(expression) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < expression.length) {
+            const char = expression[index];
+
+            if (/\s/.test(char)) {
+                index++;
+                continue;
+            }
+
+            if (/[0-9]/.test(char)) {
+                const match = /^[0-9]+(\.[0-9]+)?/.exec(expression.slice(index));
+                tokens.push({ type: 'number', value: Number(match[0]), start: index });
+                index += match[0].length;
+                continue;
+            }
+
+            if (/[A-Za-z_$]/.test(char)) {
+                const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(expression.slice(index));
+                tokens.push({ type: 'identifier', value: match[0], start: index });
+                index += match[0].length;
+                continue;
+            }
+
+            if (char === '"' || char === "'") {
+                const start = index;
+                let value = '';
+                index++;
+                while (index < expression.length && expression[index] !== char) {
+                    if (expression[index] === '\\' && index + 1 < expression.length) {
+                        const escaped = expression[index + 1];
+                        value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+                        index += 2;
+                    } else {
+                        value += expression[index++];
+                    }
+                }
+                if (index >= expression.length) {
+                    throw new ExpressionError('Unterminated string', expression, start);
+                }
+                index++;
+                tokens.push({ type: 'string', value, start });
+                continue;
+            }
+
+            const punctuator = PUNCTUATORS.find(candidate => expression.startsWith(candidate, index));
+            if (!punctuator) {
+                throw new ExpressionError(`Unexpected character "${char}"`, expression, index);
+            }
+            tokens.push({ type: 'punctuator', value: punctuator, start: index });
+            index += punctuator.length;
+        }
+
+        return tokens;
+    }
+
+    peek(parser, ...values) {
+        const token = parser.tokens[parser.position];
+        return token && token.type === 'punctuator' && values.includes(token.value) ? token : null;
+    }
+
+    expect(parser, value) {
+        const token = this.peek(parser, value);
+        if (!token) {
+            const actual = parser.tokens[parser.position];
+            throw new ExpressionError(
+                actual ? `Expected "${value}" but found "${actual.value}"` : `Expected "${value}" but reached end of expression`,
+                parser.expression,
+                actual ? actual.start : parser.expression.length
+            );
+        }
+        parser.position++;
+        return token;
+    }
+
+    parseBinary(parser, operators, parseOperand) {
+        let left = parseOperand.call(this, parser);
+        let token;
+        while ((token = this.peek(parser, ...operators))) {
+            parser.position++;
+            left = { type: 'binary', operator: token.value, left, right: parseOperand.call(this, parser) };
+        }
+        return left;
+    }
+
+    parseOr(parser) {
+        return this.parseBinary(parser, ['||'], this.parseAnd);
+    }
+
+    parseAnd(parser) {
+        return this.parseBinary(parser, ['&&'], this.parseEquality);
+    }
+
+    parseEquality(parser) {
+        return this.parseBinary(parser, ['===', '!==', '==', '!='], this.parseRelational);
+    }
+
+    parseRelational(parser) {
+        return this.parseBinary(parser, ['<', '<=', '>', '>='], this.parseAdditive);
+    }
+
+    parseAdditive(parser) {
+        return this.parseBinary(parser, ['+', '-'], this.parseMultiplicative);
+    }
+
+    parseMultiplicative(parser) {
+        return this.parseBinary(parser, ['*', '/', '%'], this.parseUnary);
+    }
+
+    parseUnary(parser) {
+        const token = this.peek(parser, '!', '-');
+        if (token) {
+            parser.position++;
+            return { type: 'unary', operator: token.value, argument: this.parseUnary(parser) };
+        }
+        return this.parseMember(parser);
+    }
+
+    parseMember(parser) {
+        let node = this.parsePrimary(parser);
+        let token;
+        while ((token = this.peek(parser, '.', '?.', '['))) {
+            parser.position++;
+            if (token.value === '[') {
+                const property = this.parseOr(parser);
+                this.expect(parser, ']');
+                node = { type: 'member', object: node, property, computed: true };
+            } else {
+                const name = parser.tokens[parser.position];
+                if (!name || name.type !== 'identifier') {
+                    throw new ExpressionError('Expected property name', parser.expression, name ? name.start : parser.expression.length);
+                }
+                parser.position++;
+                node = { type: 'member', object: node, property: { type: 'literal', value: name.value }, computed: false };
+            }
+        }
+        return node;
+    }
+
+    parsePrimary(parser) {
+        const token = parser.tokens[parser.position];
+        if (!token) {
+            throw new ExpressionError('Unexpected end of expression', parser.expression, parser.expression.length);
+        }
+
+        if (token.type === 'number' || token.type === 'string') {
+            parser.position++;
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'identifier') {
+            parser.position++;
+            if (Object.prototype.hasOwnProperty.call(KEYWORDS, token.value)) {
+                return { type: 'literal', value: KEYWORDS[token.value] };
+            }
+            return { type: 'identifier', name: token.value };
+        }
+
+        if (token.value === '(') {
+            parser.position++;
+            const node = this.parseOr(parser);
+            this.expect(parser, ')');
+            return node;
+        }
+
+        throw new ExpressionError(`Unexpected token "${token.value}"`, parser.expression, token.start);
+    }
+
+    evaluateNode(node, scope, expression) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'identifier':
+                return this.readProperty(scope, node.name, expression);
+            case 'member': {
+                const object = this.evaluateNode(node.object, scope, expression);
+                const property = this.evaluateNode(node.property, scope, expression);
+                return this.readProperty(object, property, expression);
+            }
+            case 'unary': {
+                const value = this.evaluateNode(node.argument, scope, expression);
+                return node.operator === '!' ? !value : -this.toOperand(value, node.operator, expression);
+            }
+            case 'binary':
+                return this.evaluateBinary(node, scope, expression);
+            default:
+                throw new ExpressionError(`Unsupported node type: ${node.type}`, expression);
+        }
+    }
+
+    evaluateBinary(node, scope, expression) {
+        if (node.operator === '&&') {
+            const left = this.evaluateNode(node.left, scope, expression);
+            return left ? this.evaluateNode(node.right, scope, expression) : left;
+        }
+        if (node.operator === '||') {
+            const left = this.evaluateNode(node.left, scope, expression);
+            return left ? left : this.evaluateNode(node.right, scope, expression);
+        }
+
+        const left = this.evaluateNode(node.left, scope, expression);
+        const right = this.evaluateNode(node.right, scope, expression);
+
+        switch (node.operator) {
+            case '==':
+            case '===':
+                return left === right;
+            case '!=':
+            case '!==':
+                return left !== right;
+        }
+
+        const a = this.toOperand(left, node.operator, expression);
+        const b = this.toOperand(right, node.operator, expression);
+        switch (node.operator) {
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return a / b;
+            case '%': return a % b;
+            default:
+                throw new ExpressionError(`Unsupported operator: ${node.operator}`, expression);
+        }
+    }
+
+    /**
+     * Only own properties (plus length of strings/arrays) are readable, so
+     * expressions cannot reach prototypes or call into methods
+     */
+    readProperty(object, property, expression) {
+        if (object === null || object === undefined) {
+            return undefined;
+        }
+        const key = String(property);
+        if (BLOCKED_PROPERTIES.has(key)) {
+            throw new ExpressionError(`Access to "${key}" is not allowed`, expression);
+        }
+        if (key === 'length' && (typeof object === 'string' || Array.isArray(object))) {
+            return object.length;
+        }
+        if (typeof object !== 'object' || !Object.prototype.hasOwnProperty.call(object, key)) {
+            return undefined;
+        }
+        const value = object[key];
+        return typeof value === 'function' ? undefined : value;
+    }
+
+    toOperand(value, operator, expression) {
+        if (value !== null && typeof value === 'object') {
+            throw new ExpressionError(`Operator "${operator}" cannot be applied to an object`, expression);
+        }
+        return value;
+    }
+
+    getStaticPath(node) {
+        if (node.type === 'identifier') {
+            return [node.name];
+        }
+        if (node.type === 'member' && !node.computed) {
+            const objectPath = this.getStaticPath(node.object);
+            return objectPath ? [...objectPath, node.property.value] : null;
+        }
+        return null;
+    }
+}
+
+ExpressionEvaluator.ExpressionError = ExpressionError;
+
+module.exports = ExpressionEvaluator;
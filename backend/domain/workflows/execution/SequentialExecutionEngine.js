@@ -4,6 +4,10 @@
  */
 
 const ServiceLogger = require('@logging/ServiceLogger');
+const ExecutionContext = require('./ExecutionContext');
+const ExecutionResult = require('./ExecutionResult');
+const ExecutionCheckpoint = require('./ExecutionCheckpoint');
+const ExpressionEvaluator = require('./ExpressionEvaluator');
 
 class SequentialExecutionEngine {
     constructor(options = {}) {
@@ -13,12 +17,17 @@ class SequentialExecutionEngine {
         this.enableResourceManagement = options.enableResourceManagement || false;
         this.enableDependencyResolution = options.enableDependencyResolution || false;
         this.enablePriorityScheduling = options.enablePriorityScheduling || false;
+        this.checkpointStore = options.checkpointStore || null;
+        this.expressionEvaluator = options.expressionEvaluator || new ExpressionEvaluator();
         
         this.executionQueue = [];
         this.activeExecutions = new Map();
         this.executionHistory = [];
         
-        this.logger.info('SequentialExecutionEngine initialized with options:', options);
+        this.logger.info('SequentialExecutionEngine initialized with options:', {
+            ...options,
+            checkpointStore: !!this.checkpointStore
+        });
     }
 
     /**
@@ -118,6 +127,379 @@ class SequentialExecutionEngine {
         }
     }
 
+    /**
+     * Execute workflow steps one by one, checkpointing after every step
+     * Top-level entries may be control-flow groups (see runNode); a group is
+     * checkpointed as a whole, so resuming re-runs the entire group
+     * @param {Object} workflowDefinition - Workflow definition ({ name, steps })
+     * @param {Function} runStep - Async step runner (step, index, executionContext) => { success, data, error }
+     * @param {Object} options - Execution options
+     * @param {string} options.executionId - Execution ID (generated if omitted)
+     * @param {number} options.startIndex - Index of the first step to run
+     * @param {ExecutionContext} options.context - Context to continue from (resume)
+     * @param {Object} options.data - Data stored on a new context
+     * @returns {Promise<ExecutionResult>} Execution result
+     */
+    async executeSteps(workflowDefinition, runStep, options = {}) {
+        const steps = workflowDefinition?.steps;
+        if (!Array.isArray(steps)) {
+            throw new Error('Workflow definition must have a steps array');
+        }
+        if (typeof runStep !== 'function') {
+            throw new Error('Step runner must be a function');
+        }
+
+        const executionId = options.executionId || this.generateExecutionId();
+        const startIndex = options.startIndex || 0;
+        const startTime = Date.now();
+        const executionContext = options.context || new ExecutionContext({
+            data: options.data || {},
+            metadata: {
+                workflow: { name: workflowDefinition.name, steps, options: workflowDefinition.options }
+            }
+        });
+
+        executionContext.setStatus('running');
+        this.activeExecutions.set(executionId, {
+            id: executionId,
+            workflow: workflowDefinition,
+            context: executionContext,
+            startTime,
+            status: 'running'
+        });
+
+        this.logger.info(`Executing workflow steps: ${executionId}`, {
+            workflowName: workflowDefinition.name,
+            totalSteps: steps.length,
+            startIndex
+        });
+
+        let success = true;
+        for (let index = startIndex; index < steps.length; index++) {
+            const step = steps[index];
+            const stepResult = await this.runNode(step, index, runStep, executionContext);
+
+            executionContext.addResult({
+                stepIndex: index,
+                stepName: step.name,
+                success: stepResult.success,
+                skipped: !!stepResult.skipped,
+                data: stepResult.data,
+                error: stepResult.error
+            });
+
+            await this.checkpoint(executionId, index, step, stepResult, executionContext);
+
+            if (!stepResult.success && step.strict !== false) {
+                success = false;
+                break;
+            }
+        }
+
+        executionContext.setStatus(success ? 'completed' : 'failed');
+        const executionRecord = this.activeExecutions.get(executionId);
+        executionRecord.status = executionContext.status;
+        executionRecord.endTime = Date.now();
+        this.executionHistory.push(executionRecord);
+        this.activeExecutions.delete(executionId);
+
+        return new ExecutionResult({
+            success,
+            error: success ? null : executionContext.results[executionContext.results.length - 1]?.error,
+            data: { startIndex, context: executionContext.toJSON() },
+            metadata: { strategy: 'sequential', workflowName: workflowDefinition.name },
+            duration: Date.now() - startTime,
+            stepResults: executionContext.results.filter(result => result.stepIndex >= startIndex),
+            executionId
+        });
+    }
+
+    /**
+     * Run a single workflow node
+     * A node is either a plain step (handed to runStep) or a control-flow group:
+     *   { control: 'if', condition, then: [...], else: [...] }
+     *   { control: 'retry-until', until, maxAttempts, steps: [...] }
+     *   { control: 'parallel', steps: [...] }
+     * Any other node with a false `condition` is skipped and counts as successful.
+     * A node with `output` stores its result under outputs.<name> for later expressions.
+     * @param {Object} node - Step or group definition
+     * @param {number} index - Index of the enclosing top-level step
+     * @param {Function} runStep - Async step runner
+     * @param {ExecutionContext} executionContext - Execution context
+     * @param {Object} locals - Extra expression variables (e.g. loop attempt)
+     * @returns {Promise<Object>} Node result ({ success, data, error, skipped })
+     */
+    async runNode(node, index, runStep, executionContext, locals = {}) {
+        const control = node.control || 'step';
+        let result;
+
+        try {
+            if (control !== 'if' && node.condition !== undefined
+                && !this.checkCondition(node.condition, executionContext, locals)) {
+                this.logger.info(`Skipping step ${node.name}: condition not met`, { condition: node.condition });
+                return { success: true, skipped: true };
+            }
+
+            switch (control) {
+                case 'step':
+                    result = await runStep(node, index, executionContext) || { success: false, error: 'Step returned no result' };
+                    break;
+                case 'if':
+                    result = await this.runIf(node, index, runStep, executionContext, locals);
+                    break;
+                case 'retry-until':
+                    result = await this.runRetryUntil(node, index, runStep, executionContext, locals);
+                    break;
+                case 'parallel':
+                    result = await this.runParallel(node, index, runStep, executionContext, locals);
+                    break;
+                default:
+                    throw new Error(`Unknown control type: ${control}`);
+            }
+        } catch (error) {
+            this.logger.error(`Step ${node.name} threw during execution`, error);
+            result = { success: false, error: error.message };
+        }
+
+        executionContext.metadata.previousStep = result;
+        if (node.output) {
+            executionContext.metadata.outputs = {
+                ...executionContext.metadata.outputs,
+                [node.output]: result
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Run nodes in order, stopping at the first strict failure
+     * @returns {Promise<Object>} { success, error, results }
+     */
+    async runSequence(steps, index, runStep, executionContext, locals = {}) {
+        const results = [];
+        for (const step of steps || []) {
+            const result = await this.runNode(step, index, runStep, executionContext, locals);
+            results.push(this.summarizeResult(step, result));
+            if (!result.success && step.strict !== false) {
+                return { success: false, error: result.error, results };
+            }
+        }
+        return { success: true, error: null, results };
+    }
+
+    /**
+     * Run the `then` or `else` branch of an if node
+     * @returns {Promise<Object>} Node result
+     */
+    async runIf(node, index, runStep, executionContext, locals = {}) {
+        const branch = this.checkCondition(node.condition, executionContext, locals) ? 'then' : 'else';
+        const sequence = await this.runSequence(node[branch], index, runStep, executionContext, locals);
+        return {
+            success: sequence.success,
+            error: sequence.error,
+            data: { branch, steps: sequence.results }
+        };
+    }
+
+    /**
+     * Re-run the body of a retry-until node until its `until` expression holds
+     * The current attempt number (1-based) is available to expressions as `attempt`
+     * @returns {Promise<Object>} Node result
+     */
+    async runRetryUntil(node, index, runStep, executionContext, locals = {}) {
+        const maxAttempts = node.maxAttempts || 3;
+        const attempts = [];
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const attemptLocals = { ...locals, attempt };
+            const sequence = await this.runSequence(node.steps, index, runStep, executionContext, attemptLocals);
+            attempts.push({ attempt, success: sequence.success, error: sequence.error, steps: sequence.results });
+
+            if (this.checkCondition(node.until, executionContext, attemptLocals)) {
+                return { success: true, data: { attempts: attempt, history: attempts } };
+            }
+            this.logger.info(`Retry loop ${node.name}: attempt ${attempt}/${maxAttempts} did not satisfy condition`, {
+                until: node.until
+            });
+        }
+
+        return {
+            success: false,
+            error: `Condition "${node.until}" not met after ${maxAttempts} attempts`,
+            data: { attempts: maxAttempts, history: attempts }
+        };
+    }
+
+    /**
+     * Run all children of a parallel node concurrently
+     * The group fails if any strict child fails
+     * @returns {Promise<Object>} Node result
+     */
+    async runParallel(node, index, runStep, executionContext, locals = {}) {
+        const steps = node.steps || [];
+        const results = await Promise.all(
+            steps.map(step => this.runNode(step, index, runStep, executionContext, locals))
+        );
+        const failed = steps.filter((step, i) => !results[i].success && step.strict !== false);
+
+        return {
+            success: failed.length === 0,
+            error: failed.length > 0 ? `Parallel steps failed: ${failed.map(step => step.name).join(', ')}` : null,
+            data: { steps: steps.map((step, i) => this.summarizeResult(step, results[i])) }
+        };
+    }
+
+    /**
+     * Evaluate a workflow expression as a condition
+     * Expressions see previousStep, outputs, data and any locals (e.g. attempt)
+     * @param {string|boolean} expression - Condition expression
+     * @param {ExecutionContext} executionContext - Execution context
+     * @param {Object} locals - Extra expression variables
+     * @returns {boolean} Condition result
+     */
+    checkCondition(expression, executionContext, locals = {}) {
+        return this.expressionEvaluator.evaluateCondition(expression, {
+            previousStep: executionContext.metadata.previousStep || null,
+            outputs: executionContext.metadata.outputs || {},
+            data: executionContext.data,
+            ...locals
+        });
+    }
+
+    summarizeResult(step, result) {
+        return {
+            name: step.name,
+            success: result.success,
+            skipped: !!result.skipped,
+            error: result.error || null
+        };
+    }
+
+    /**
+     * Persist a checkpoint for a finished step
+     * Failures are logged and never abort the running workflow
+     * @param {string} executionId - Execution ID
+     * @param {number} stepIndex - Step index
+     * @param {Object} step - Step definition
+     * @param {Object} stepResult - Step result
+     * @param {ExecutionContext} executionContext - Execution context
+     * @returns {Promise<ExecutionCheckpoint|null>} Saved checkpoint
+     */
+    async checkpoint(executionId, stepIndex, step, stepResult, executionContext) {
+        if (!this.checkpointStore) {
+            return null;
+        }
+
+        try {
+            const checkpoint = new ExecutionCheckpoint({
+                executionId,
+                stepIndex,
+                stepName: step.name,
+                status: stepResult.success ? 'completed' : 'failed',
+                result: new ExecutionResult({
+                    success: stepResult.success,
+                    error: stepResult.error || null,
+                    data: stepResult.data,
+                    executionId
+                }),
+                context: executionContext
+            });
+            await this.checkpointStore.saveCheckpoint(checkpoint.toJSON());
+            return checkpoint;
+        } catch (error) {
+            this.logger.warn(`Failed to checkpoint step ${step.name}: ${executionId}`, { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Determine where a checkpointed execution should continue
+     * @param {string} executionId - Execution ID
+     * @param {Object} options - Resume options
+     * @param {number|string} options.fromStep - Step index or name to retry from
+     * @returns {Promise<Object>} Resume point ({ executionId, startIndex, workflow, context })
+     */
+    async getResumePoint(executionId, options = {}) {
+        if (!this.checkpointStore) {
+            throw new Error('Checkpointing is not enabled for this execution engine');
+        }
+
+        const checkpoints = (await this.checkpointStore.getCheckpoints(executionId) || [])
+            .map(checkpoint => checkpoint instanceof ExecutionCheckpoint ? checkpoint : ExecutionCheckpoint.fromJSON(checkpoint))
+            .sort((a, b) => a.stepIndex - b.stepIndex || a.createdAt - b.createdAt);
+
+        if (checkpoints.length === 0) {
+            throw new Error(`No checkpoints found for execution: ${executionId}`);
+        }
+
+        const workflow = checkpoints[checkpoints.length - 1].context.metadata.workflow;
+        if (!workflow || !Array.isArray(workflow.steps)) {
+            throw new Error(`Checkpoints for execution ${executionId} do not contain a workflow definition`);
+        }
+
+        const startIndex = this.resolveResumeIndex(checkpoints, workflow.steps, options.fromStep);
+        const previous = checkpoints.filter(checkpoint => checkpoint.stepIndex < startIndex).pop();
+        const source = previous || checkpoints[0];
+        const context = ExecutionContext.fromJSON(source.context.toJSON());
+        context.results = context.results.filter(result => result.stepIndex < startIndex);
+
+        return { executionId, startIndex, workflow, context };
+    }
+
+    /**
+     * Resume a checkpointed execution
+     * @param {string} executionId - Execution ID
+     * @param {Function} runStep - Async step runner
+     * @param {Object} options - Resume options (see getResumePoint)
+     * @returns {Promise<ExecutionResult>} Execution result
+     */
+    async resume(executionId, runStep, options = {}) {
+        const resumePoint = await this.getResumePoint(executionId, options);
+
+        this.logger.info(`Resuming workflow execution: ${executionId}`, {
+            startIndex: resumePoint.startIndex,
+            workflowName: resumePoint.workflow.name
+        });
+
+        return this.executeSteps(resumePoint.workflow, runStep, {
+            executionId,
+            startIndex: resumePoint.startIndex,
+            context: resumePoint.context
+        });
+    }
+
+    /**
+     * Resolve the step index to resume from
+     * @param {Array<ExecutionCheckpoint>} checkpoints - Checkpoints sorted by step index
+     * @param {Array<Object>} steps - Workflow steps
+     * @param {number|string} fromStep - Requested step index or name
+     * @returns {number} Step index
+     */
+    resolveResumeIndex(checkpoints, steps, fromStep) {
+        const last = checkpoints[checkpoints.length - 1];
+        const canContinue = last.isCompleted() || steps[last.stepIndex]?.strict === false;
+        const nextIndex = canContinue ? last.stepIndex + 1 : last.stepIndex;
+
+        if (fromStep === undefined || fromStep === null || fromStep === '') {
+            if (nextIndex >= steps.length) {
+                throw new Error('Execution already completed all steps');
+            }
+            return nextIndex;
+        }
+
+        const index = typeof fromStep === 'number' || /^\d+$/.test(String(fromStep))
+            ? Number(fromStep)
+            : steps.findIndex(step => step.name === fromStep);
+
+        if (index < 0 || index >= steps.length) {
+            throw new Error(`Unknown step: ${fromStep}`);
+        }
+        if (index > nextIndex) {
+            throw new Error(`Cannot resume from step ${fromStep}: previous steps have not completed`);
+        }
+        return index;
+    }
+
     /**
      * Generate unique execution ID
      * @returns {string} Execution ID
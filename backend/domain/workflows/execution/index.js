@@ -7,10 +7,14 @@ const SequentialExecutionEngine = require('./SequentialExecutionEngine');
 const ExecutionContext = require('./ExecutionContext');
 const ExecutionResult = require('./ExecutionResult');
 const ExecutionQueue = require('./ExecutionQueue');
+const ExecutionCheckpoint = require('./ExecutionCheckpoint');
+const ExpressionEvaluator = require('./ExpressionEvaluator');
 
 module.exports = {
     SequentialExecutionEngine,
     ExecutionContext,
     ExecutionResult,
-    ExecutionQueue
+    ExecutionQueue,
+    ExecutionCheckpoint,
+    ExpressionEvaluator
 }; 
\ No newline at end of file
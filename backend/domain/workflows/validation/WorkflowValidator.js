@@ -2,8 +2,15 @@
  * WorkflowValidator - Implementation of IWorkflowValidator
  * Provides rule-based validation with detailed results
  */
-const IWorkflowValidator = require('../../../application/handlers/workflow/interfaces/IWorkflowValidator');
+const IWorkflowValidator = require('../../interfaces/IWorkflowValidator');
 const ValidationResult = require('./ValidationResult');
+const ExpressionEvaluator = require('../execution/ExpressionEvaluator');
+
+const CONTROL_TYPES = ['if', 'retry-until', 'parallel'];
+const EXPRESSION_VARIABLES = ['previousStep', 'outputs', 'data'];
+const MAX_RETRY_ATTEMPTS = 20;
+const OUTPUT_NAME_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+const expressionEvaluator = new ExpressionEvaluator();
 
 class WorkflowValidator extends IWorkflowValidator {
   constructor() {
@@ -420,6 +427,129 @@ class WorkflowValidator extends IWorkflowValidator {
     return true;
   }
 
+  // JSON workflow definitions (framework/workflows/*.json)
+  validateWorkflowDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+      this.addFieldRequiredError('workflow');
+      return this.isValid();
+    }
+
+    this.validateRequired(definition.name, 'name');
+    if (definition.steps === undefined && definition.extends) {
+      return this.isValid();
+    }
+    if (!Array.isArray(definition.steps)) {
+      this.addFieldTypeError('steps', 'array', typeof definition.steps);
+      return this.isValid();
+    }
+
+    this._validateWorkflowSteps(definition.steps, 'steps', { outputs: new Set(), inLoop: false, names: new Set() });
+    return this.isValid();
+  }
+
+  _validateWorkflowSteps(steps, field, scope) {
+    let outputs = scope.outputs;
+    steps.forEach((step, index) => {
+      outputs = this._validateWorkflowStep(step, `${field}[${index}]`, { ...scope, outputs });
+    });
+    return outputs;
+  }
+
+  // Returns the outputs available to the steps that follow
+  _validateWorkflowStep(step, field, scope) {
+    if (!step || typeof step !== 'object') {
+      this.addFieldTypeError(field, 'object', typeof step);
+      return scope.outputs;
+    }
+
+    if (this.validateRequired(step.name, `${field}.name`)) {
+      if (scope.names.has(step.name)) {
+        this.addWarning(`${field}.name`, `Step name '${step.name}' is used more than once`, 'DUPLICATE_STEP_NAME');
+      }
+      scope.names.add(step.name);
+    }
+
+    const control = step.control;
+    if (control !== undefined && !this.validateEnum(control, `${field}.control`, CONTROL_TYPES)) {
+      return scope.outputs;
+    }
+    if (control !== 'if' && step.condition !== undefined) {
+      this._validateExpression(step.condition, `${field}.condition`, scope);
+    }
+
+    let outputs = scope.outputs;
+    if (control === undefined) {
+      if (!step.step && !step.type) {
+        this.addFieldRequiredError(`${field}.step`);
+      }
+    } else if (control === 'if') {
+      if (this.validateRequired(step.condition, `${field}.condition`)) {
+        this._validateExpression(step.condition, `${field}.condition`, scope);
+      }
+      const thenOutputs = this._validateBranch(step.then, `${field}.then`, scope, true);
+      const elseOutputs = this._validateBranch(step.else, `${field}.else`, scope, false);
+      outputs = new Set([...thenOutputs, ...elseOutputs]);
+    } else if (control === 'retry-until') {
+      const bodyOutputs = this._validateBranch(step.steps, `${field}.steps`, { ...scope, inLoop: true }, true);
+      if (this.validateRequired(step.until, `${field}.until`)) {
+        this._validateExpression(step.until, `${field}.until`, { ...scope, outputs: bodyOutputs, inLoop: true });
+      }
+      if (step.maxAttempts !== undefined) {
+        this.validateRange(step.maxAttempts, `${field}.maxAttempts`, 1, MAX_RETRY_ATTEMPTS);
+      }
+      outputs = bodyOutputs;
+    } else if (control === 'parallel') {
+      // Branches run concurrently, so they only see outputs declared before the group
+      outputs = new Set(scope.outputs);
+      if (Array.isArray(step.steps) && step.steps.length > 0) {
+        step.steps.forEach((child, index) => {
+          this._validateWorkflowStep(child, `${field}.steps[${index}]`, scope).forEach(name => outputs.add(name));
+        });
+      } else {
+        this.addFieldRequiredError(`${field}.steps`);
+      }
+    }
+
+    if (step.output !== undefined && this.validatePattern(step.output, `${field}.output`, OUTPUT_NAME_PATTERN)) {
+      outputs = new Set([...outputs, step.output]);
+    }
+    return outputs;
+  }
+
+  _validateBranch(steps, field, scope, required) {
+    if (steps === undefined && !required) {
+      return scope.outputs;
+    }
+    if (!Array.isArray(steps) || (required && steps.length === 0)) {
+      this.addFieldRequiredError(field);
+      return scope.outputs;
+    }
+    return this._validateWorkflowSteps(steps, field, scope);
+  }
+
+  _validateExpression(expression, field, scope) {
+    if (typeof expression === 'boolean') {
+      return true;
+    }
+
+    const { valid, error } = expressionEvaluator.validate(expression);
+    if (!valid) {
+      this.addError(field, `Invalid expression: ${error}`, 'INVALID_EXPRESSION', { expression });
+      return false;
+    }
+
+    for (const [root, name] of expressionEvaluator.getReferences(expression)) {
+      if (root === 'outputs' && name !== undefined && !scope.outputs.has(name)) {
+        this.addError(field, `Expression references unknown output '${name}'`, 'UNKNOWN_OUTPUT', { expression, output: name });
+      } else if (root === 'attempt' && !scope.inLoop) {
+        this.addWarning(field, `'attempt' is only defined inside retry-until steps`, 'UNDEFINED_VARIABLE', { expression });
+      } else if (root !== 'attempt' && !EXPRESSION_VARIABLES.includes(root)) {
+        this.addWarning(field, `Expression references unknown variable '${root}'`, 'UNDEFINED_VARIABLE', { expression });
+      }
+    }
+    return true;
+  }
+
   // Utility methods
   _generateMessageId() {
     return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
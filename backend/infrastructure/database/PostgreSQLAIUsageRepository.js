@@ -0,0 +1,339 @@
+/**
+ * PostgreSQLAIUsageRepository - Token and cost accounting of AI interactions
+ * Stores one record per prompt/response pair and the usage budgets of each project (works on SQLite through SQLTranslator)
+ */
+
+const Logger = require('@logging/Logger');
+const { v4: uuidv4 } = require('uuid');
+
+// Columns needed for usage reports; prompt and response texts are only loaded on request
+const RECORD_SUMMARY_COLUMNS = [
+  'id', 'project_id', 'task_id', 'workflow_step', 'source', 'model', 'ide_type', 'prompt_tokens', 'completion_tokens',
+  'total_tokens', 'estimated_tokens', 'estimated_cost', 'duration_ms', 'success', 'error', 'created_at'
+].join(', ');
+
+class PostgreSQLAIUsageRepository {
+  constructor(databaseConnection) {
+    this.logger = new Logger('PostgreSQLAIUsageRepository');
+    this.db = databaseConnection;
+    this.recordsTable = 'ai_usage_records';
+    this.budgetsTable = 'ai_usage_budgets';
+    this.tableReady = null;
+
+    if (!this.db) {
+      throw new Error('Database connection is required');
+    }
+  }
+
+  /**
+   * Create the usage tables once
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.createTables().catch((error) => {
+        this.tableReady = null;
+        this.logger.error('Failed to initialize AI usage tables', { error: error.message });
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  async createTables() {
+    await this.db.execute(`
+      CREATE TABLE IF NOT EXISTS ${this.recordsTable} (
+        id TEXT PRIMARY KEY,
+        project_id TEXT NOT NULL,
+        task_id TEXT,
+        workflow_step TEXT,
+        source TEXT NOT NULL,
+        model TEXT NOT NULL,
+        ide_type TEXT,
+        prompt TEXT,
+        response TEXT,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        estimated_tokens BOOLEAN NOT NULL DEFAULT TRUE,
+        estimated_cost REAL NOT NULL DEFAULT 0,
+        duration_ms INTEGER,
+        success BOOLEAN NOT NULL DEFAULT TRUE,
+        error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )
+    `);
+    await this.db.execute(`CREATE INDEX IF NOT EXISTS idx_${this.recordsTable}_project_created ON ${this.recordsTable} (project_id, created_at)`);
+    await this.db.execute(`CREATE INDEX IF NOT EXISTS idx_${this.recordsTable}_task_id ON ${this.recordsTable} (task_id)`);
+
+    await this.db.execute(`
+      CREATE TABLE IF NOT EXISTS ${this.budgetsTable} (
+        id TEXT PRIMARY KEY,
+        project_id TEXT NOT NULL,
+        period TEXT NOT NULL,
+        max_tokens INTEGER,
+        max_cost REAL,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        last_exceeded_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )
+    `);
+    await this.db.execute(`CREATE UNIQUE INDEX IF NOT EXISTS idx_${this.budgetsTable}_project_period ON ${this.budgetsTable} (project_id, period)`);
+
+    this.logger.info('AI usage tables initialized');
+  }
+
+  /**
+   * Store a usage record
+   * @param {Object} recordData - Record data ({ projectId, taskId, workflowStep, source, model, ideType, prompt, response, promptTokens, completionTokens, totalTokens, estimatedTokens, estimatedCost, durationMs, success, error })
+   * @returns {Promise<Object>} Created record
+   */
+  async create(recordData) {
+    await this.initTable();
+
+    const record = {
+      id: uuidv4(),
+      ...recordData,
+      createdAt: recordData.createdAt || new Date().toISOString()
+    };
+
+    await this.db.execute(`
+      INSERT INTO ${this.recordsTable} (id, project_id, task_id, workflow_step, source, model, ide_type, prompt, response,
+        prompt_tokens, completion_tokens, total_tokens, estimated_tokens, estimated_cost, duration_ms, success, error, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+    `, [
+      record.id,
+      record.projectId,
+      record.taskId || null,
+      record.workflowStep || null,
+      record.source,
+      record.model,
+      record.ideType || null,
+      record.prompt ?? null,
+      record.response ?? null,
+      record.promptTokens || 0,
+      record.completionTokens || 0,
+      record.totalTokens || 0,
+      record.estimatedTokens !== false,
+      record.estimatedCost || 0,
+      record.durationMs ?? null,
+      record.success !== false,
+      record.error || null,
+      record.createdAt
+    ]);
+
+    return record;
+  }
+
+  /**
+   * Find the usage records of a project (without prompt and response texts)
+   * @param {string} projectId - Project ID
+   * @param {Object} filters - Filters ({ from, to, taskId } with ISO timestamps, 'to' exclusive)
+   * @returns {Promise<Array<Object>>} Records, oldest first
+   */
+  async findByProjectId(projectId, filters = {}) {
+    await this.initTable();
+
+    const { where, params } = this.buildRecordFilter(projectId, filters);
+    const rows = await this.db.query(
+      `SELECT ${RECORD_SUMMARY_COLUMNS} FROM ${this.recordsTable} WHERE ${where} ORDER BY created_at ASC`,
+      params
+    );
+    return rows.map(row => this.mapRowToRecord(row));
+  }
+
+  /**
+   * Sum the usage of a project in the database
+   * @param {string} projectId - Project ID
+   * @param {Object} filters - Filters ({ from, to, taskId } with ISO timestamps, 'to' exclusive)
+   * @returns {Promise<Object>} { requests, totalTokens, estimatedCost }
+   */
+  async sumByProjectId(projectId, filters = {}) {
+    await this.initTable();
+
+    const { where, params } = this.buildRecordFilter(projectId, filters);
+    const row = await this.db.getOne(
+      `SELECT COUNT(*) AS requests, COALESCE(SUM(total_tokens), 0) AS total_tokens, COALESCE(SUM(estimated_cost), 0) AS estimated_cost
+       FROM ${this.recordsTable} WHERE ${where}`,
+      params
+    );
+    return {
+      requests: Number(row?.requests || 0),
+      totalTokens: Number(row?.total_tokens || 0),
+      estimatedCost: Number(row?.estimated_cost || 0)
+    };
+  }
+
+  buildRecordFilter(projectId, filters) {
+    const conditions = ['project_id = $1'];
+    const params = [projectId];
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`created_at < $${params.length}`);
+    }
+    if (filters.taskId) {
+      params.push(filters.taskId);
+      conditions.push(`task_id = $${params.length}`);
+    }
+    return { where: conditions.join(' AND '), params };
+  }
+
+  /**
+   * Find a usage record including prompt and response
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Record
+   */
+  async findById(id) {
+    await this.initTable();
+    const row = await this.db.getOne(`SELECT * FROM ${this.recordsTable} WHERE id = $1`, [id]);
+    return row ? this.mapRowToRecord(row) : null;
+  }
+
+  /**
+   * Find the budgets of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array<Object>>} Budgets
+   */
+  async findBudgetsByProjectId(projectId) {
+    await this.initTable();
+    const rows = await this.db.query(
+      `SELECT * FROM ${this.budgetsTable} WHERE project_id = $1 ORDER BY created_at ASC`,
+      [projectId]
+    );
+    return rows.map(row => this.mapRowToBudget(row));
+  }
+
+  /**
+   * Create or replace the budget of a project for a period
+   * @param {string} projectId - Project ID
+   * @param {string} period - 'daily', 'monthly' or 'total'
+   * @param {Object} budgetData - Budget data ({ maxTokens, maxCost, enabled, lastExceededAt })
+   * @returns {Promise<Object>} Saved budget
+   */
+  async saveBudget(projectId, period, budgetData) {
+    await this.initTable();
+
+    const now = new Date().toISOString();
+    const existing = (await this.findBudgetsByProjectId(projectId)).find(budget => budget.period === period);
+    const budget = {
+      id: existing?.id || uuidv4(),
+      projectId,
+      period,
+      maxTokens: null,
+      maxCost: null,
+      enabled: true,
+      lastExceededAt: null,
+      createdAt: existing?.createdAt || now,
+      ...existing,
+      ...budgetData,
+      updatedAt: now
+    };
+
+    if (existing) {
+      await this.db.execute(`
+        UPDATE ${this.budgetsTable}
+        SET max_tokens = $1, max_cost = $2, enabled = $3, last_exceeded_at = $4, updated_at = $5
+        WHERE id = $6
+      `, [
+        budget.maxTokens ?? null,
+        budget.maxCost ?? null,
+        budget.enabled !== false,
+        budget.lastExceededAt ?? null,
+        budget.updatedAt,
+        budget.id
+      ]);
+    } else {
+      await this.db.execute(`
+        INSERT INTO ${this.budgetsTable} (id, project_id, period, max_tokens, max_cost, enabled, last_exceeded_at, created_at, updated_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+        budget.id,
+        projectId,
+        period,
+        budget.maxTokens ?? null,
+        budget.maxCost ?? null,
+        budget.enabled !== false,
+        budget.lastExceededAt ?? null,
+        budget.createdAt,
+        budget.updatedAt
+      ]);
+    }
+
+    return budget;
+  }
+
+  /**
+   * Delete the budget of a project for a period
+   * @param {string} projectId - Project ID
+   * @param {string} period - Budget period
+   * @returns {Promise<void>}
+   */
+  async deleteBudget(projectId, period) {
+    await this.initTable();
+    await this.db.execute(`DELETE FROM ${this.budgetsTable} WHERE project_id = $1 AND period = $2`, [projectId, period]);
+  }
+
+  /**
+   * Map database row to usage record
+   * @param {Object} row - Database row
+   * @returns {Object} Usage record
+   */
+  mapRowToRecord(row) {
+    const record = {
+      id: row.id,
+      projectId: row.project_id,
+      taskId: row.task_id,
+      workflowStep: row.workflow_step,
+      source: row.source,
+      model: row.model,
+      ideType: row.ide_type,
+      promptTokens: Number(row.prompt_tokens || 0),
+      completionTokens: Number(row.completion_tokens || 0),
+      totalTokens: Number(row.total_tokens || 0),
+      estimatedTokens: row.estimated_tokens === true || row.estimated_tokens === 1,
+      estimatedCost: Number(row.estimated_cost || 0),
+      durationMs: row.duration_ms === null || row.duration_ms === undefined ? null : Number(row.duration_ms),
+      success: row.success === true || row.success === 1,
+      error: row.error,
+      createdAt: this.toISOString(row.created_at)
+    };
+    if ('prompt' in row) {
+      record.prompt = row.prompt;
+      record.response = row.response;
+    }
+    return record;
+  }
+
+  /**
+   * Map database row to budget
+   * @param {Object} row - Database row
+   * @returns {Object} Budget
+   */
+  mapRowToBudget(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      period: row.period,
+      maxTokens: row.max_tokens === null || row.max_tokens === undefined ? null : Number(row.max_tokens),
+      maxCost: row.max_cost === null || row.max_cost === undefined ? null : Number(row.max_cost),
+      enabled: row.enabled === true || row.enabled === 1,
+      lastExceededAt: this.toISOString(row.last_exceeded_at),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  toISOString(value) {
+    if (!value) {
+      return null;
+    }
+    return value instanceof Date ? value.toISOString() : value;
+  }
+}
+
+module.exports = PostgreSQLAIUsageRepository;
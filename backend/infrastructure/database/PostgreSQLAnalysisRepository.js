@@ -5,6 +5,10 @@
  */
 const Analysis = require('@entities/Analysis');
 const ServiceLogger = require('@logging/ServiceLogger');
+const { v4: uuidv4 } = require('uuid');
+
+// File index rows written or deleted per statement
+const FILE_INDEX_BATCH_SIZE = 100;
 
 class PostgreSQLAnalysisRepository {
   constructor(databaseConnection, eventBus = null) {
@@ -12,6 +16,12 @@ class PostgreSQLAnalysisRepository {
     this.eventBus = eventBus;
     this.logger = new ServiceLogger('PostgreSQLAnalysisRepository');
     this.tableName = 'analysis';
+    this.coverageTableName = 'coverage_history';
+    this.coverageTableReady = null;
+    this.baselineTableName = 'analysis_baselines';
+    this.baselineTableReady = null;
+    this.fileIndexTableName = 'analysis_file_index';
+    this.fileIndexTableReady = null;
   }
 
   /**
@@ -100,7 +110,9 @@ class PostgreSQLAnalysisRepository {
         existing.warningsCount = analysis.warningsCount || null;
         existing.recommendationsCount = analysis.recommendationsCount || null;
         existing.updatedAt = new Date();
-        return await this.update(existing);
+        const updated = await this.update(existing);
+        await this.recordCoverageFromResult(updated);
+        return updated;
       } else {
         // Neuer Eintrag mit Ergebnis
         const newAnalysis = await this.create(analysis.projectId, analysis.analysisType, analysis.config);
@@ -113,7 +125,9 @@ class PostgreSQLAnalysisRepository {
           newAnalysis.result = analysis.result;
           newAnalysis.metadata = { ...newAnalysis.metadata, ...analysis.metadata };
           newAnalysis.updatedAt = new Date();
-          return await this.update(newAnalysis);
+          const updated = await this.update(newAnalysis);
+          await this.recordCoverageFromResult(updated);
+          return updated;
         }
         
         return newAnalysis;
@@ -1073,6 +1087,393 @@ class PostgreSQLAnalysisRepository {
     this.logger.debug(`Cache not implemented yet, skipping cache for project ${projectId}`);
   }
 
+  /**
+   * Create the coverage history table once
+   * @returns {Promise<void>}
+   */
+  async initCoverageTable() {
+    if (!this.coverageTableReady) {
+      this.coverageTableReady = this.databaseConnection.execute(`
+        CREATE TABLE IF NOT EXISTS ${this.coverageTableName} (
+          id TEXT PRIMARY KEY,
+          project_id TEXT NOT NULL,
+          analysis_id TEXT,
+          line_coverage REAL,
+          branch_coverage REAL,
+          function_coverage REAL,
+          statement_coverage REAL,
+          lines_total INTEGER NOT NULL DEFAULT 0,
+          lines_covered INTEGER NOT NULL DEFAULT 0,
+          branches_total INTEGER NOT NULL DEFAULT 0,
+          branches_covered INTEGER NOT NULL DEFAULT 0,
+          functions_total INTEGER NOT NULL DEFAULT 0,
+          functions_covered INTEGER NOT NULL DEFAULT 0,
+          files_count INTEGER NOT NULL DEFAULT 0,
+          subprojects TEXT,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+        )
+      `)
+        .then(() => this.databaseConnection.execute(
+          `CREATE INDEX IF NOT EXISTS idx_${this.coverageTableName}_project_created ON ${this.coverageTableName} (project_id, created_at)`
+        ))
+        .catch((error) => {
+          this.coverageTableReady = null;
+          throw error;
+        });
+    }
+    return this.coverageTableReady;
+  }
+
+  /**
+   * Store a coverage measurement when an analysis result carries one
+   * (code quality results expose it as result.coverage)
+   * @param {Analysis} analysis - Saved analysis
+   * @returns {Promise<void>}
+   */
+  async recordCoverageFromResult(analysis) {
+    const coverage = analysis && analysis.result && analysis.result.coverage;
+    if (!coverage || !coverage.totals) {
+      return;
+    }
+
+    try {
+      await this.recordCoverage(analysis.projectId, analysis.id, coverage);
+    } catch (error) {
+      // Coverage history must never fail the analysis save
+      this.logger.warn(`Failed to record coverage history for analysis ${analysis.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store one coverage measurement of a project
+   * @param {string} projectId - Project ID
+   * @param {string|null} analysisId - Analysis the measurement belongs to
+   * @param {Object} coverage - { totals: { lines, branches, functions, statements }, totalFiles, subprojects }
+   * @returns {Promise<Object>} Stored history entry
+   */
+  async recordCoverage(projectId, analysisId, coverage) {
+    await this.initCoverageTable();
+
+    const { totals } = coverage;
+    const entry = {
+      id: uuidv4(),
+      projectId,
+      analysisId: analysisId || null,
+      lineCoverage: totals.lines.pct,
+      branchCoverage: totals.branches.pct,
+      functionCoverage: totals.functions.pct,
+      statementCoverage: totals.statements.pct,
+      totals,
+      filesCount: coverage.totalFiles || 0,
+      subprojects: coverage.subprojects || [],
+      createdAt: new Date().toISOString()
+    };
+
+    await this.databaseConnection.execute(`
+      INSERT INTO ${this.coverageTableName} (id, project_id, analysis_id, line_coverage, branch_coverage, function_coverage,
+        statement_coverage, lines_total, lines_covered, branches_total, branches_covered, functions_total, functions_covered,
+        files_count, subprojects, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    `, [
+      entry.id,
+      entry.projectId,
+      entry.analysisId,
+      entry.lineCoverage,
+      entry.branchCoverage,
+      entry.functionCoverage,
+      entry.statementCoverage,
+      totals.lines.total,
+      totals.lines.covered,
+      totals.branches.total,
+      totals.branches.covered,
+      totals.functions.total,
+      totals.functions.covered,
+      entry.filesCount,
+      JSON.stringify(entry.subprojects),
+      entry.createdAt
+    ]);
+
+    this.logger.debug(`Recorded coverage ${entry.lineCoverage}% for project: ${projectId}`);
+    return entry;
+  }
+
+  /**
+   * Coverage measurements of a project over time
+   * @param {string} projectId - Project ID
+   * @param {Object} options - Query options ({ limit, from, to } with ISO timestamps)
+   * @returns {Promise<Array>} History entries, oldest first
+   */
+  async getCoverageHistory(projectId, options = {}) {
+    await this.initCoverageTable();
+
+    const { limit = 50, from = null, to = null } = options;
+    const conditions = ['project_id = $1'];
+    const params = [projectId];
+    if (from) {
+      params.push(from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`created_at < $${params.length}`);
+    }
+    params.push(limit);
+
+    // Latest entries first to apply the limit, returned in chronological order
+    const rows = await this.databaseConnection.query(`
+      SELECT * FROM ${this.coverageTableName}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC LIMIT $${params.length}
+    `, params);
+
+    return rows.reverse().map(row => ({
+      id: row.id,
+      projectId: row.project_id,
+      analysisId: row.analysis_id,
+      lineCoverage: row.line_coverage,
+      branchCoverage: row.branch_coverage,
+      functionCoverage: row.function_coverage,
+      statementCoverage: row.statement_coverage,
+      lines: { total: row.lines_total, covered: row.lines_covered },
+      branches: { total: row.branches_total, covered: row.branches_covered },
+      functions: { total: row.functions_total, covered: row.functions_covered },
+      filesCount: row.files_count,
+      subprojects: typeof row.subprojects === 'string' ? JSON.parse(row.subprojects) : (row.subprojects || []),
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Create the analysis baseline table once
+   * @returns {Promise<void>}
+   */
+  async initBaselineTable() {
+    if (!this.baselineTableReady) {
+      this.baselineTableReady = this.databaseConnection.execute(`
+        CREATE TABLE IF NOT EXISTS ${this.baselineTableName} (
+          id TEXT PRIMARY KEY,
+          project_id TEXT NOT NULL,
+          branch TEXT NOT NULL,
+          analysis_type TEXT NOT NULL,
+          analysis_id TEXT NOT NULL,
+          commit_sha TEXT,
+          issues_count INTEGER NOT NULL DEFAULT 0,
+          created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          UNIQUE (project_id, branch, analysis_type)
+        )
+      `)
+        .catch((error) => {
+          this.baselineTableReady = null;
+          throw error;
+        });
+    }
+    return this.baselineTableReady;
+  }
+
+  /**
+   * Make an analysis the baseline of a project branch, replacing the previous one
+   * @param {Object} baseline - { projectId, branch, analysisType, analysisId, commitSha, issuesCount }
+   * @returns {Promise<Object>} Stored baseline
+   */
+  async saveBaseline(baseline) {
+    await this.initBaselineTable();
+
+    const now = new Date().toISOString();
+    const entry = {
+      id: uuidv4(),
+      projectId: baseline.projectId,
+      branch: baseline.branch,
+      analysisType: baseline.analysisType,
+      analysisId: baseline.analysisId,
+      commitSha: baseline.commitSha || null,
+      issuesCount: baseline.issuesCount || 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.databaseConnection.execute(`
+      INSERT INTO ${this.baselineTableName} (id, project_id, branch, analysis_type, analysis_id, commit_sha, issues_count, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (project_id, branch, analysis_type) DO UPDATE SET
+        analysis_id = EXCLUDED.analysis_id,
+        commit_sha = EXCLUDED.commit_sha,
+        issues_count = EXCLUDED.issues_count,
+        updated_at = EXCLUDED.updated_at
+    `, [
+      entry.id,
+      entry.projectId,
+      entry.branch,
+      entry.analysisType,
+      entry.analysisId,
+      entry.commitSha,
+      entry.issuesCount,
+      entry.createdAt,
+      entry.updatedAt
+    ]);
+
+    this.logger.debug(`Saved ${entry.analysisType} baseline ${entry.analysisId} for project ${entry.projectId} (${entry.branch})`);
+    return this.getBaseline(entry.projectId, entry.branch, entry.analysisType);
+  }
+
+  /**
+   * Baseline of a project branch
+   * @param {string} projectId - Project ID
+   * @param {string} branch - Branch name
+   * @param {string} analysisType - Analysis type
+   * @returns {Promise<Object|null>} Baseline or null
+   */
+  async getBaseline(projectId, branch, analysisType) {
+    await this.initBaselineTable();
+
+    const rows = await this.databaseConnection.query(`
+      SELECT * FROM ${this.baselineTableName}
+      WHERE project_id = $1 AND branch = $2 AND analysis_type = $3
+    `, [projectId, branch, analysisType]);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const row = rows[0];
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      branch: row.branch,
+      analysisType: row.analysis_type,
+      analysisId: row.analysis_id,
+      commitSha: row.commit_sha,
+      issuesCount: row.issues_count,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async initFileIndexTable() {
+    if (!this.fileIndexTableReady) {
+      this.fileIndexTableReady = this.databaseConnection.execute(`
+        CREATE TABLE IF NOT EXISTS ${this.fileIndexTableName} (
+          project_id TEXT NOT NULL,
+          analyzer TEXT NOT NULL,
+          file_path TEXT NOT NULL,
+          content_hash TEXT NOT NULL,
+          analyzer_version TEXT NOT NULL,
+          result TEXT,
+          analyzed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          PRIMARY KEY (project_id, analyzer, file_path)
+        )
+      `)
+        .catch((error) => {
+          this.fileIndexTableReady = null;
+          throw error;
+        });
+    }
+    return this.fileIndexTableReady;
+  }
+
+  /**
+   * File index of an analyzer: content hash and cached result of every analyzed file
+   * @param {string} projectId - Project ID
+   * @param {string} analyzer - Analyzer (step) name
+   * @returns {Promise<Array>} Entries { filePath, contentHash, version, result, analyzedAt }
+   */
+  async getFileIndex(projectId, analyzer) {
+    await this.initFileIndexTable();
+
+    const rows = await this.databaseConnection.query(`
+      SELECT * FROM ${this.fileIndexTableName}
+      WHERE project_id = $1 AND analyzer = $2
+    `, [projectId, analyzer]);
+
+    return rows.map(row => ({
+      filePath: row.file_path,
+      contentHash: row.content_hash,
+      version: row.analyzer_version,
+      result: typeof row.result === 'string' ? JSON.parse(row.result) : row.result,
+      analyzedAt: row.analyzed_at
+    }));
+  }
+
+  /**
+   * Insert or replace file index entries
+   * @param {string} projectId - Project ID
+   * @param {string} analyzer - Analyzer (step) name
+   * @param {Array} entries - { filePath, contentHash, version, result }
+   * @returns {Promise<void>}
+   */
+  async saveFileIndexEntries(projectId, analyzer, entries = []) {
+    if (entries.length === 0) {
+      return;
+    }
+    await this.initFileIndexTable();
+
+    const analyzedAt = new Date().toISOString();
+    for (let offset = 0; offset < entries.length; offset += FILE_INDEX_BATCH_SIZE) {
+      const batch = entries.slice(offset, offset + FILE_INDEX_BATCH_SIZE);
+      const params = [];
+      const values = batch.map((entry) => {
+        params.push(projectId, analyzer, entry.filePath, entry.contentHash, entry.version,
+          JSON.stringify(this._sanitizeForJSON(entry.result)), analyzedAt);
+        const first = params.length - 6;
+        return `($${first}, $${first + 1}, $${first + 2}, $${first + 3}, $${first + 4}, $${first + 5}, $${first + 6})`;
+      });
+
+      await this.databaseConnection.execute(`
+        INSERT INTO ${this.fileIndexTableName} (project_id, analyzer, file_path, content_hash, analyzer_version, result, analyzed_at)
+        VALUES ${values.join(', ')}
+        ON CONFLICT (project_id, analyzer, file_path) DO UPDATE SET
+          content_hash = EXCLUDED.content_hash,
+          analyzer_version = EXCLUDED.analyzer_version,
+          result = EXCLUDED.result,
+          analyzed_at = EXCLUDED.analyzed_at
+      `, params);
+    }
+
+    this.logger.debug(`Saved ${entries.length} ${analyzer} file index entries for project ${projectId}`);
+  }
+
+  /**
+   * Remove file index entries of files that no longer exist
+   * @param {string} projectId - Project ID
+   * @param {string} analyzer - Analyzer (step) name
+   * @param {Array<string>} filePaths - Indexed file paths
+   * @returns {Promise<void>}
+   */
+  async deleteFileIndexEntries(projectId, analyzer, filePaths = []) {
+    if (filePaths.length === 0) {
+      return;
+    }
+    await this.initFileIndexTable();
+
+    for (let offset = 0; offset < filePaths.length; offset += FILE_INDEX_BATCH_SIZE) {
+      const batch = filePaths.slice(offset, offset + FILE_INDEX_BATCH_SIZE);
+      const placeholders = batch.map((filePath, index) => `$${index + 3}`);
+      await this.databaseConnection.execute(`
+        DELETE FROM ${this.fileIndexTableName}
+        WHERE project_id = $1 AND analyzer = $2 AND file_path IN (${placeholders.join(', ')})
+      `, [projectId, analyzer, ...batch]);
+    }
+  }
+
+  /**
+   * Remove the file index of a project
+   * @param {string} projectId - Project ID
+   * @param {string|null} analyzer - Analyzer (step) name (default: all analyzers)
+   * @returns {Promise<void>}
+   */
+  async clearFileIndex(projectId, analyzer = null) {
+    await this.initFileIndexTable();
+
+    if (analyzer) {
+      await this.databaseConnection.execute(
+        `DELETE FROM ${this.fileIndexTableName} WHERE project_id = $1 AND analyzer = $2`,
+        [projectId, analyzer]
+      );
+    } else {
+      await this.databaseConnection.execute(`DELETE FROM ${this.fileIndexTableName} WHERE project_id = $1`, [projectId]);
+    }
+  }
+
   /**
    * Sanitize object for JSON serialization by removing circular references
    * @param {any} obj - Object to sanitize
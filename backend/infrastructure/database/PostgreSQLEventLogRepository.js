@@ -0,0 +1,166 @@
+/**
+ * PostgreSQLEventLogRepository - Append-only event log with consumer cursors
+ * Backs the persistent mode of EventBus (works on SQLite through SQLTranslator)
+ */
+
+const Logger = require('@logging/Logger');
+
+class PostgreSQLEventLogRepository {
+  constructor(databaseConnection) {
+    this.logger = new Logger('PostgreSQLEventLogRepository');
+    this.db = databaseConnection;
+    this.tableName = 'event_log';
+    this.cursorTableName = 'event_consumer_cursors';
+    this.tablesReady = null;
+
+    if (!this.db) {
+      throw new Error('Database connection is required');
+    }
+  }
+
+  /**
+   * Create the event log tables once
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    if (!this.tablesReady) {
+      this.tablesReady = this.createTables().catch((error) => {
+        this.tablesReady = null;
+        this.logger.error('Failed to initialize event log tables', { error: error.message });
+        throw error;
+      });
+    }
+    return this.tablesReady;
+  }
+
+  async createTables() {
+    await this.db.execute(`
+      CREATE TABLE IF NOT EXISTS ${this.tableName} (
+        event_offset BIGSERIAL PRIMARY KEY,
+        event_name TEXT NOT NULL,
+        payload TEXT,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )
+    `);
+    await this.db.execute(`CREATE INDEX IF NOT EXISTS idx_${this.tableName}_event_name ON ${this.tableName} (event_name)`);
+    await this.db.execute(`CREATE INDEX IF NOT EXISTS idx_${this.tableName}_created_at ON ${this.tableName} (created_at)`);
+
+    await this.db.execute(`
+      CREATE TABLE IF NOT EXISTS ${this.cursorTableName} (
+        consumer_id TEXT PRIMARY KEY,
+        event_offset INTEGER NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    this.logger.info('Event log tables initialized');
+  }
+
+  /**
+   * Append an event to the log
+   * @param {string} eventName - Event name
+   * @param {string} payload - Serialized event data
+   * @returns {Promise<Object>} Stored event ({ offset, eventName, payload, createdAt })
+   */
+  async append(eventName, payload) {
+    await this.initTable();
+
+    const createdAt = new Date().toISOString();
+    const row = await this.db.getOne(
+      `INSERT INTO ${this.tableName} (event_name, payload, created_at) VALUES ($1, $2, $3) RETURNING event_offset`,
+      [eventName, payload, createdAt]
+    );
+
+    return {
+      offset: Number(row.event_offset),
+      eventName,
+      payload,
+      createdAt
+    };
+  }
+
+  /**
+   * Read events after an offset
+   * @param {number} offset - Exclusive start offset (0 reads from the beginning)
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of events
+   * @param {Array<string>} options.eventNames - Only return these event names
+   * @returns {Promise<Array<Object>>} Events ordered by offset
+   */
+  async findAfterOffset(offset, options = {}) {
+    await this.initTable();
+
+    const params = [offset];
+    let sql = `SELECT * FROM ${this.tableName} WHERE event_offset > $1`;
+
+    if (Array.isArray(options.eventNames) && options.eventNames.length > 0) {
+      const placeholders = options.eventNames.map((name, index) => `$${index + 2}`);
+      sql += ` AND event_name IN (${placeholders.join(', ')})`;
+      params.push(...options.eventNames);
+    }
+
+    params.push(options.limit || 100);
+    sql += ` ORDER BY event_offset ASC LIMIT $${params.length}`;
+
+    const rows = await this.db.query(sql, params);
+    return rows.map(row => this.mapRowToEvent(row));
+  }
+
+  /**
+   * Get the offset of the newest event
+   * @returns {Promise<number>} Latest offset (0 when the log is empty)
+   */
+  async getLatestOffset() {
+    await this.initTable();
+    const row = await this.db.getOne(`SELECT MAX(event_offset) AS latest FROM ${this.tableName}`);
+    return row && row.latest !== null ? Number(row.latest) : 0;
+  }
+
+  /**
+   * Get the last offset a consumer has processed
+   * @param {string} consumerId - Consumer ID
+   * @returns {Promise<number>} Offset (0 for new consumers)
+   */
+  async getCursor(consumerId) {
+    await this.initTable();
+    const row = await this.db.getOne(
+      `SELECT event_offset FROM ${this.cursorTableName} WHERE consumer_id = $1`,
+      [consumerId]
+    );
+    return row ? Number(row.event_offset) : 0;
+  }
+
+  /**
+   * Store the last offset a consumer has processed
+   * @param {string} consumerId - Consumer ID
+   * @param {number} offset - Processed offset
+   * @returns {Promise<number>} Stored offset
+   */
+  async saveCursor(consumerId, offset) {
+    await this.initTable();
+    await this.db.execute(`
+      INSERT INTO ${this.cursorTableName} (consumer_id, event_offset, updated_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (consumer_id) DO UPDATE SET
+        event_offset = EXCLUDED.event_offset,
+        updated_at = EXCLUDED.updated_at
+    `, [consumerId, offset, new Date().toISOString()]);
+    return offset;
+  }
+
+  /**
+   * Map database row to event
+   * @param {Object} row - Database row
+   * @returns {Object} Event
+   */
+  mapRowToEvent(row) {
+    return {
+      offset: Number(row.event_offset),
+      eventName: row.event_name,
+      payload: row.payload,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = PostgreSQLEventLogRepository;
@@ -0,0 +1,260 @@
+/**
+ * PostgreSQLScheduleRepository - Recurring project schedules
+ * Stores cron schedules that enqueue workflows into the project queue (works on SQLite through SQLTranslator)
+ */
+
+const Logger = require('@logging/Logger');
+const { v4: uuidv4 } = require('uuid');
+
+class PostgreSQLScheduleRepository {
+  constructor(databaseConnection) {
+    this.logger = new Logger('PostgreSQLScheduleRepository');
+    this.db = databaseConnection;
+    this.tableName = 'schedules';
+    this.tableReady = null;
+
+    if (!this.db) {
+      throw new Error('Database connection is required');
+    }
+  }
+
+  /**
+   * Create the schedules table once
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    if (!this.tableReady) {
+      this.tableReady = this.createTable().catch((error) => {
+        this.tableReady = null;
+        this.logger.error('Failed to initialize schedules table', { error: error.message });
+        throw error;
+      });
+    }
+    return this.tableReady;
+  }
+
+  async createTable() {
+    await this.db.execute(`
+      CREATE TABLE IF NOT EXISTS ${this.tableName} (
+        id TEXT PRIMARY KEY,
+        project_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        cron_expression TEXT NOT NULL,
+        timezone TEXT NOT NULL DEFAULT 'UTC',
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        missed_run_policy TEXT NOT NULL DEFAULT 'run_once',
+        workflow TEXT NOT NULL,
+        context TEXT,
+        options TEXT,
+        created_by TEXT,
+        next_run_at TIMESTAMP WITH TIME ZONE,
+        last_run_at TIMESTAMP WITH TIME ZONE,
+        last_run_status TEXT,
+        last_queue_item_id TEXT,
+        last_error TEXT,
+        run_count INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )
+    `);
+    await this.db.execute(`CREATE INDEX IF NOT EXISTS idx_${this.tableName}_project_id ON ${this.tableName} (project_id)`);
+    await this.db.execute(`CREATE INDEX IF NOT EXISTS idx_${this.tableName}_next_run_at ON ${this.tableName} (enabled, next_run_at)`);
+
+    this.logger.info('Schedules table initialized');
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} scheduleData - Schedule data ({ projectId, name, cronExpression, timezone, enabled, missedRunPolicy, workflow, context, options, createdBy, nextRunAt })
+   * @returns {Promise<Object>} Created schedule
+   */
+  async create(scheduleData) {
+    await this.initTable();
+
+    const now = new Date().toISOString();
+    const schedule = {
+      id: uuidv4(),
+      projectId: scheduleData.projectId,
+      name: scheduleData.name,
+      cronExpression: scheduleData.cronExpression,
+      timezone: scheduleData.timezone || 'UTC',
+      enabled: scheduleData.enabled !== false,
+      missedRunPolicy: scheduleData.missedRunPolicy || 'run_once',
+      workflow: scheduleData.workflow,
+      context: scheduleData.context || {},
+      options: scheduleData.options || {},
+      createdBy: scheduleData.createdBy || null,
+      nextRunAt: scheduleData.nextRunAt || null,
+      lastRunAt: null,
+      lastRunStatus: null,
+      lastQueueItemId: null,
+      lastError: null,
+      runCount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.db.execute(`
+      INSERT INTO ${this.tableName} (id, project_id, name, cron_expression, timezone, enabled, missed_run_policy,
+        workflow, context, options, created_by, next_run_at, run_count, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    `, [
+      schedule.id,
+      schedule.projectId,
+      schedule.name,
+      schedule.cronExpression,
+      schedule.timezone,
+      schedule.enabled,
+      schedule.missedRunPolicy,
+      JSON.stringify(schedule.workflow),
+      JSON.stringify(schedule.context),
+      JSON.stringify(schedule.options),
+      schedule.createdBy,
+      schedule.nextRunAt,
+      schedule.runCount,
+      schedule.createdAt,
+      schedule.updatedAt
+    ]);
+
+    return schedule;
+  }
+
+  /**
+   * Update a schedule
+   * @param {string} id - Schedule ID
+   * @param {Object} updates - Fields to update, including run bookkeeping (nextRunAt, lastRunAt, lastRunStatus, ...)
+   * @returns {Promise<Object|null>} Updated schedule
+   */
+  async update(id, updates) {
+    const schedule = await this.findById(id);
+    if (!schedule) {
+      return null;
+    }
+
+    const updated = { ...schedule, ...updates, id: schedule.id, projectId: schedule.projectId, updatedAt: new Date().toISOString() };
+    await this.db.execute(`
+      UPDATE ${this.tableName}
+      SET name = $1, cron_expression = $2, timezone = $3, enabled = $4, missed_run_policy = $5, workflow = $6,
+          context = $7, options = $8, next_run_at = $9, last_run_at = $10, last_run_status = $11,
+          last_queue_item_id = $12, last_error = $13, run_count = $14, updated_at = $15
+      WHERE id = $16
+    `, [
+      updated.name,
+      updated.cronExpression,
+      updated.timezone,
+      updated.enabled !== false,
+      updated.missedRunPolicy,
+      JSON.stringify(updated.workflow),
+      JSON.stringify(updated.context || {}),
+      JSON.stringify(updated.options || {}),
+      updated.nextRunAt ?? null,
+      updated.lastRunAt ?? null,
+      updated.lastRunStatus ?? null,
+      updated.lastQueueItemId ?? null,
+      updated.lastError ?? null,
+      updated.runCount || 0,
+      updated.updatedAt,
+      id
+    ]);
+
+    return updated;
+  }
+
+  /**
+   * Delete a schedule
+   * @param {string} id - Schedule ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this.initTable();
+    await this.db.execute(`DELETE FROM ${this.tableName} WHERE id = $1`, [id]);
+  }
+
+  /**
+   * Find a schedule by ID
+   * @param {string} id - Schedule ID
+   * @returns {Promise<Object|null>} Schedule
+   */
+  async findById(id) {
+    await this.initTable();
+    const row = await this.db.getOne(`SELECT * FROM ${this.tableName} WHERE id = $1`, [id]);
+    return row ? this.mapRowToSchedule(row) : null;
+  }
+
+  /**
+   * Find all schedules of a project
+   * @param {string} projectId - Project ID
+   * @returns {Promise<Array<Object>>} Schedules ordered by creation date
+   */
+  async findByProjectId(projectId) {
+    await this.initTable();
+    const rows = await this.db.query(
+      `SELECT * FROM ${this.tableName} WHERE project_id = $1 ORDER BY created_at ASC`,
+      [projectId]
+    );
+    return rows.map(row => this.mapRowToSchedule(row));
+  }
+
+  /**
+   * Find enabled schedules whose next run is due
+   * @param {string} now - ISO timestamp
+   * @returns {Promise<Array<Object>>} Due schedules, oldest first
+   */
+  async findDue(now) {
+    await this.initTable();
+    const rows = await this.db.query(
+      `SELECT * FROM ${this.tableName} WHERE enabled = $1 AND next_run_at IS NOT NULL AND next_run_at <= $2 ORDER BY next_run_at ASC`,
+      [true, now]
+    );
+    return rows.map(row => this.mapRowToSchedule(row));
+  }
+
+  /**
+   * Map database row to schedule
+   * @param {Object} row - Database row
+   * @returns {Object} Schedule
+   */
+  mapRowToSchedule(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      name: row.name,
+      cronExpression: row.cron_expression,
+      timezone: row.timezone,
+      enabled: row.enabled === true || row.enabled === 1,
+      missedRunPolicy: row.missed_run_policy,
+      workflow: this.parseJSON(row.workflow, {}),
+      context: this.parseJSON(row.context, {}),
+      options: this.parseJSON(row.options, {}),
+      createdBy: row.created_by,
+      nextRunAt: this.toISOString(row.next_run_at),
+      lastRunAt: this.toISOString(row.last_run_at),
+      lastRunStatus: row.last_run_status,
+      lastQueueItemId: row.last_queue_item_id,
+      lastError: row.last_error,
+      runCount: Number(row.run_count || 0),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  toISOString(value) {
+    if (!value) {
+      return null;
+    }
+    return value instanceof Date ? value.toISOString() : value;
+  }
+
+  parseJSON(value, fallback) {
+    if (!value) {
+      return fallback;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  }
+}
+
+module.exports = PostgreSQLScheduleRepository;
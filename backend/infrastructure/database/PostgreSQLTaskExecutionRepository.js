@@ -11,6 +11,7 @@ class PostgreSQLTaskExecutionRepository {
     constructor(databaseConnection) {
         this.databaseConnection = databaseConnection;
         this.tableName = 'task_executions';
+        this.checkpointTableName = 'workflow_checkpoints';
         this.initTable();
     }
 
@@ -44,6 +45,30 @@ class PostgreSQLTaskExecutionRepository {
         await this.databaseConnection.execute(`CREATE INDEX IF NOT EXISTS idx_task_executions_task_id ON ${this.tableName} (task_id)`);
         await this.databaseConnection.execute(`CREATE INDEX IF NOT EXISTS idx_task_executions_status ON ${this.tableName} (status)`);
         await this.databaseConnection.execute(`CREATE INDEX IF NOT EXISTS idx_task_executions_started_at ON ${this.tableName} (started_at)`);
+
+        await this.initCheckpointTable();
+    }
+
+    /**
+     * Initialize the workflow_checkpoints table
+     * Stores one row per finished workflow step so executions can be resumed
+     */
+    async initCheckpointTable() {
+        const createTableSQL = `
+            CREATE TABLE IF NOT EXISTS ${this.checkpointTableName} (
+                id TEXT PRIMARY KEY,
+                execution_id TEXT NOT NULL,
+                step_index INTEGER NOT NULL,
+                step_name TEXT,
+                status TEXT NOT NULL,
+                result JSONB,
+                context JSONB,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        await this.databaseConnection.execute(createTableSQL);
+        await this.databaseConnection.execute(`CREATE INDEX IF NOT EXISTS idx_workflow_checkpoints_execution_id ON ${this.checkpointTableName} (execution_id)`);
     }
 
     /**
@@ -347,6 +372,79 @@ class PostgreSQLTaskExecutionRepository {
         return rows.map(row => this.mapRowToTaskExecution(row));
     }
 
+    /**
+     * Save workflow step checkpoint
+     * @param {Object} checkpoint - Checkpoint JSON (see ExecutionCheckpoint#toJSON)
+     * @returns {Promise<Object>} Saved checkpoint
+     */
+    async saveCheckpoint(checkpoint) {
+        const insertSQL = `
+            INSERT INTO ${this.checkpointTableName} (
+                id, execution_id, step_index, step_name, status, result, context, created_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `;
+
+        const params = [
+            checkpoint.id,
+            checkpoint.executionId,
+            checkpoint.stepIndex,
+            checkpoint.stepName || null,
+            checkpoint.status,
+            checkpoint.result ? JSON.stringify(checkpoint.result) : null,
+            checkpoint.context ? JSON.stringify(checkpoint.context) : null,
+            checkpoint.createdAt || new Date().toISOString()
+        ];
+
+        await this.databaseConnection.execute(insertSQL, params);
+        return checkpoint;
+    }
+
+    /**
+     * Find checkpoints of a workflow execution
+     * @param {string} executionId - Workflow execution ID
+     * @returns {Promise<Array<Object>>} Checkpoints ordered by step
+     */
+    async findCheckpointsByExecutionId(executionId) {
+        const selectSQL = `
+            SELECT * FROM ${this.checkpointTableName} 
+            WHERE execution_id = $1 
+            ORDER BY step_index ASC, created_at ASC
+        `;
+
+        const rows = await this.databaseConnection.query(selectSQL, [executionId]);
+        return rows.map(row => this.mapRowToCheckpoint(row));
+    }
+
+    /**
+     * Delete checkpoints of a workflow execution
+     * @param {string} executionId - Workflow execution ID
+     * @returns {Promise<number>} Number of deleted checkpoints
+     */
+    async deleteCheckpoints(executionId) {
+        const deleteSQL = `DELETE FROM ${this.checkpointTableName} WHERE execution_id = $1`;
+        const result = await this.databaseConnection.execute(deleteSQL, [executionId]);
+        return result.rowsAffected;
+    }
+
+    /**
+     * Map database row to checkpoint JSON
+     * @param {Object} row - Database row
+     * @returns {Object} Checkpoint JSON
+     */
+    mapRowToCheckpoint(row) {
+        const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+        return {
+            id: row.id,
+            executionId: row.execution_id,
+            stepIndex: Number(row.step_index),
+            stepName: row.step_name,
+            status: row.status,
+            result: row.result ? parse(row.result) : null,
+            context: row.context ? parse(row.context) : null,
+            createdAt: new Date(row.created_at).toISOString()
+        };
+    }
+
     /**
      * Map database row to TaskExecution entity
      * @param {Object} row - Database row
@@ -88,8 +88,8 @@ class PostgreSQLTaskRepository extends TaskRepository {
       const sql = `
         INSERT INTO ${this.tableName} (
           id, title, description, type, category, priority, status, project_id,
-          created_by, estimated_time, metadata, created_at, updated_at, completed_at, due_date, tags
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+          created_by, estimated_time, metadata, created_at, updated_at, completed_at, due_date, tags, dependencies
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
       `;
 
       // Extract string values from value objects
@@ -113,7 +113,8 @@ class PostgreSQLTaskRepository extends TaskRepository {
         task.updatedAt ? task.updatedAt.toISOString() : new Date().toISOString(),
         task.completedAt ? task.completedAt.toISOString() : null,
         task.dueDate ? task.dueDate.toISOString() : null,
-        JSON.stringify(task.tags || [])
+        JSON.stringify(task.tags || []),
+        JSON.stringify(task.dependencies || [])
       ];
 
       await this.databaseConnection.execute(sql, params);
@@ -302,6 +303,11 @@ class PostgreSQLTaskRepository extends TaskRepository {
           updates.push(`status = $${paramIndex++}`);
           updateParams.push(taskOrUpdates.status?.value || taskOrUpdates.status);
         }
+
+        if (taskOrUpdates.dependencies !== undefined) {
+          updates.push(`dependencies = $${paramIndex++}`);
+          updateParams.push(JSON.stringify(taskOrUpdates.dependencies));
+        }
         
         if (updates.length === 0) {
           // No updates to apply
@@ -317,8 +323,8 @@ class PostgreSQLTaskRepository extends TaskRepository {
           UPDATE ${this.tableName} SET
             title = $1, description = $2, type = $3, category = $4, priority = $5, status = $6,
             project_id = $7, created_by = $8, estimated_time = $9, metadata = $10,
-            updated_at = $11, tags = $12, due_date = $13, completed_at = $14
-          WHERE id = $15
+            updated_at = $11, tags = $12, due_date = $13, completed_at = $14, dependencies = $15
+          WHERE id = $16
         `;
 
         // Extract string values from value objects
@@ -341,6 +347,7 @@ class PostgreSQLTaskRepository extends TaskRepository {
           JSON.stringify(task.tags || []),
           task.dueDate ? task.dueDate.toISOString() : null,
           task.completedAt ? task.completedAt.toISOString() : null,
+          JSON.stringify(task.dependencies || []),
           taskId
         ];
       }
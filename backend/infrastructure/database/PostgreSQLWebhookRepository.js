@@ -0,0 +1,368 @@
+/**
+ * PostgreSQLWebhookRepository - Webhook endpoints and their delivery log
+ * Stores per-project webhook registrations and every delivery attempt (works on SQLite through SQLTranslator)
+ */
+
+const Logger = require('@logging/Logger');
+const { v4: uuidv4 } = require('uuid');
+
+class PostgreSQLWebhookRepository {
+  constructor(databaseConnection) {
+    this.logger = new Logger('PostgreSQLWebhookRepository');
+    this.db = databaseConnection;
+    this.tableName = 'webhooks';
+    this.deliveryTableName = 'webhook_deliveries';
+    this.tablesReady = null;
+
+    if (!this.db) {
+      throw new Error('Database connection is required');
+    }
+  }
+
+  /**
+   * Create the webhook tables once
+   * @returns {Promise<void>}
+   */
+  async initTable() {
+    if (!this.tablesReady) {
+      this.tablesReady = this.createTables().catch((error) => {
+        this.tablesReady = null;
+        this.logger.error('Failed to initialize webhook tables', { error: error.message });
+        throw error;
+      });
+    }
+    return this.tablesReady;
+  }
+
+  async createTables() {
+    await this.db.execute(`
+      CREATE TABLE IF NOT EXISTS ${this.tableName} (
+        id TEXT PRIMARY KEY,
+        project_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        description TEXT,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )
+    `);
+    await this.db.execute(`CREATE INDEX IF NOT EXISTS idx_${this.tableName}_project_id ON ${this.tableName} (project_id)`);
+
+    await this.db.execute(`
+      CREATE TABLE IF NOT EXISTS ${this.deliveryTableName} (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        project_id TEXT NOT NULL,
+        event_name TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        response_body TEXT,
+        error_message TEXT,
+        duration_ms INTEGER,
+        next_attempt_at TIMESTAMP WITH TIME ZONE,
+        redelivery_of TEXT,
+        created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+      )
+    `);
+    await this.db.execute(`CREATE INDEX IF NOT EXISTS idx_${this.deliveryTableName}_webhook_id ON ${this.deliveryTableName} (webhook_id)`);
+    await this.db.execute(`CREATE INDEX IF NOT EXISTS idx_${this.deliveryTableName}_status ON ${this.deliveryTableName} (status)`);
+    await this.db.execute(`CREATE INDEX IF NOT EXISTS idx_${this.deliveryTableName}_created_at ON ${this.deliveryTableName} (created_at)`);
+
+    this.logger.info('Webhook tables initialized');
+  }
+
+  /**
+   * Create a webhook
+   * @param {Object} webhookData - Webhook data ({ projectId, url, secret, events, description, active })
+   * @returns {Promise<Object>} Created webhook
+   */
+  async create(webhookData) {
+    await this.initTable();
+
+    const now = new Date().toISOString();
+    const webhook = {
+      id: uuidv4(),
+      projectId: webhookData.projectId,
+      url: webhookData.url,
+      secret: webhookData.secret,
+      events: webhookData.events,
+      description: webhookData.description || null,
+      active: webhookData.active !== false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.db.execute(`
+      INSERT INTO ${this.tableName} (id, project_id, url, secret, events, description, active, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      webhook.id,
+      webhook.projectId,
+      webhook.url,
+      webhook.secret,
+      JSON.stringify(webhook.events),
+      webhook.description,
+      webhook.active,
+      webhook.createdAt,
+      webhook.updatedAt
+    ]);
+
+    return webhook;
+  }
+
+  /**
+   * Update a webhook
+   * @param {string} id - Webhook ID
+   * @param {Object} updates - Fields to update (url, secret, events, description, active)
+   * @returns {Promise<Object|null>} Updated webhook
+   */
+  async update(id, updates) {
+    const webhook = await this.findById(id);
+    if (!webhook) {
+      return null;
+    }
+
+    const updated = { ...webhook, ...updates, id: webhook.id, projectId: webhook.projectId, updatedAt: new Date().toISOString() };
+    await this.db.execute(`
+      UPDATE ${this.tableName}
+      SET url = $1, secret = $2, events = $3, description = $4, active = $5, updated_at = $6
+      WHERE id = $7
+    `, [
+      updated.url,
+      updated.secret,
+      JSON.stringify(updated.events),
+      updated.description || null,
+      updated.active !== false,
+      updated.updatedAt,
+      id
+    ]);
+
+    return updated;
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @param {string} id - Webhook ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this.initTable();
+    await this.db.execute(`DELETE FROM ${this.deliveryTableName} WHERE webhook_id = $1`, [id]);
+    await this.db.execute(`DELETE FROM ${this.tableName} WHERE id = $1`, [id]);
+  }
+
+  /**
+   * Find a webhook by ID
+   * @param {string} id - Webhook ID
+   * @returns {Promise<Object|null>} Webhook
+   */
+  async findById(id) {
+    await this.initTable();
+    const row = await this.db.getOne(`SELECT * FROM ${this.tableName} WHERE id = $1`, [id]);
+    return row ? this.mapRowToWebhook(row) : null;
+  }
+
+  /**
+   * Find all webhooks of a project
+   * @param {string} projectId - Project ID
+   * @param {Object} options - Query options
+   * @param {boolean} options.activeOnly - Only return active webhooks
+   * @returns {Promise<Array<Object>>} Webhooks ordered by creation date
+   */
+  async findByProjectId(projectId, options = {}) {
+    await this.initTable();
+
+    let sql = `SELECT * FROM ${this.tableName} WHERE project_id = $1`;
+    const params = [projectId];
+    if (options.activeOnly) {
+      sql += ' AND active = $2';
+      params.push(true);
+    }
+    sql += ' ORDER BY created_at ASC';
+
+    const rows = await this.db.query(sql, params);
+    return rows.map(row => this.mapRowToWebhook(row));
+  }
+
+  /**
+   * Record a new delivery
+   * @param {Object} deliveryData - Delivery data ({ webhookId, projectId, eventName, payload, redeliveryOf })
+   * @returns {Promise<Object>} Created delivery
+   */
+  async createDelivery(deliveryData) {
+    await this.initTable();
+
+    const now = new Date().toISOString();
+    const delivery = {
+      id: deliveryData.id || uuidv4(),
+      webhookId: deliveryData.webhookId,
+      projectId: deliveryData.projectId,
+      eventName: deliveryData.eventName,
+      payload: deliveryData.payload,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      responseBody: null,
+      errorMessage: null,
+      durationMs: null,
+      nextAttemptAt: null,
+      redeliveryOf: deliveryData.redeliveryOf || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.db.execute(`
+      INSERT INTO ${this.deliveryTableName} (id, webhook_id, project_id, event_name, payload, status, attempts, redelivery_of, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      delivery.id,
+      delivery.webhookId,
+      delivery.projectId,
+      delivery.eventName,
+      delivery.payload,
+      delivery.status,
+      delivery.attempts,
+      delivery.redeliveryOf,
+      delivery.createdAt,
+      delivery.updatedAt
+    ]);
+
+    return delivery;
+  }
+
+  /**
+   * Store the outcome of a delivery attempt
+   * @param {string} id - Delivery ID
+   * @param {Object} result - Attempt result ({ status, attempts, responseStatus, responseBody, errorMessage, durationMs, nextAttemptAt })
+   * @returns {Promise<void>}
+   */
+  async updateDelivery(id, result) {
+    await this.initTable();
+    await this.db.execute(`
+      UPDATE ${this.deliveryTableName}
+      SET status = $1, attempts = $2, response_status = $3, response_body = $4, error_message = $5,
+          duration_ms = $6, next_attempt_at = $7, updated_at = $8
+      WHERE id = $9
+    `, [
+      result.status,
+      result.attempts,
+      result.responseStatus ?? null,
+      result.responseBody ?? null,
+      result.errorMessage ?? null,
+      result.durationMs ?? null,
+      result.nextAttemptAt ?? null,
+      new Date().toISOString(),
+      id
+    ]);
+  }
+
+  /**
+   * Find a delivery by ID
+   * @param {string} id - Delivery ID
+   * @returns {Promise<Object|null>} Delivery
+   */
+  async findDeliveryById(id) {
+    await this.initTable();
+    const row = await this.db.getOne(`SELECT * FROM ${this.deliveryTableName} WHERE id = $1`, [id]);
+    return row ? this.mapRowToDelivery(row) : null;
+  }
+
+  /**
+   * Find the deliveries of a webhook, newest first
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} options - Query options
+   * @param {string} options.status - Only return deliveries with this status
+   * @param {number} options.limit - Maximum number of deliveries
+   * @returns {Promise<Array<Object>>} Deliveries
+   */
+  async findDeliveriesByWebhookId(webhookId, options = {}) {
+    await this.initTable();
+
+    let sql = `SELECT * FROM ${this.deliveryTableName} WHERE webhook_id = $1`;
+    const params = [webhookId];
+    if (options.status) {
+      params.push(options.status);
+      sql += ` AND status = $${params.length}`;
+    }
+    params.push(options.limit || 50);
+    sql += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+
+    const rows = await this.db.query(sql, params);
+    return rows.map(row => this.mapRowToDelivery(row));
+  }
+
+  /**
+   * Find deliveries waiting for a retry
+   * @returns {Promise<Array<Object>>} Deliveries with status 'retrying'
+   */
+  async findPendingRetries() {
+    await this.initTable();
+    const rows = await this.db.query(
+      `SELECT * FROM ${this.deliveryTableName} WHERE status = $1 ORDER BY next_attempt_at ASC`,
+      ['retrying']
+    );
+    return rows.map(row => this.mapRowToDelivery(row));
+  }
+
+  /**
+   * Map database row to webhook
+   * @param {Object} row - Database row
+   * @returns {Object} Webhook
+   */
+  mapRowToWebhook(row) {
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      url: row.url,
+      secret: row.secret,
+      events: this.parseJSON(row.events, []),
+      description: row.description,
+      active: row.active === true || row.active === 1,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Map database row to delivery
+   * @param {Object} row - Database row
+   * @returns {Object} Delivery
+   */
+  mapRowToDelivery(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      projectId: row.project_id,
+      eventName: row.event_name,
+      payload: row.payload,
+      status: row.status,
+      attempts: Number(row.attempts),
+      responseStatus: row.response_status === null || row.response_status === undefined ? null : Number(row.response_status),
+      responseBody: row.response_body,
+      errorMessage: row.error_message,
+      durationMs: row.duration_ms === null || row.duration_ms === undefined ? null : Number(row.duration_ms),
+      nextAttemptAt: row.next_attempt_at,
+      redeliveryOf: row.redelivery_of,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  parseJSON(value, fallback) {
+    if (!value) {
+      return fallback;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  }
+}
+
+module.exports = PostgreSQLWebhookRepository;
@@ -218,6 +218,18 @@ class ServiceRegistry {
             return new AnalysisOutputService({ analysisRepository, logger });
         }, { singleton: true, dependencies: ['analysisRepository', 'logger'] });
 
+        // Analysis File Index Service - content hash index for incremental analysis steps
+        this.container.register('analysisFileIndexService', (analysisRepository) => {
+            const AnalysisFileIndexService = require('@domain/services/analysis/AnalysisFileIndexService');
+            return new AnalysisFileIndexService({ analysisRepository });
+        }, { singleton: true, dependencies: ['analysisRepository'] });
+
+        // Quality Gate Service - evaluates project quality gates against the latest analyses
+        this.container.register('qualityGateService', (analysisRepository) => {
+            const QualityGateService = require('@domain/services/analysis/QualityGateService');
+            return new QualityGateService({ analysisRepository });
+        }, { singleton: true, dependencies: ['analysisRepository'] });
+
         // Task Analysis Service - FIXED: Remove redundant analysisOrchestrator dependency
         this.container.register('taskAnalysisService', (cursorIDEService, eventBus, logger, aiService, projectAnalyzer) => {
             const TaskAnalysisService = require('@domain/services/task/TaskAnalysisService');
@@ -277,14 +289,24 @@ class ServiceRegistry {
             return new LogicValidationService(logger);
         }, { singleton: true, dependencies: ['logger'] });
 
+        // Task Dependency Service
+        this.container.register('taskDependencyService', (taskRepository, eventBus) => {
+            const TaskDependencyService = require('@domain/services/task/TaskDependencyService');
+            return new TaskDependencyService({
+                taskRepository,
+                eventBus
+            });
+        }, { singleton: true, dependencies: ['taskRepository', 'eventBus'] });
+
         // Queue Monitoring Service
-        this.container.register('queueMonitoringService', (eventBus, logger) => {
+        this.container.register('queueMonitoringService', (eventBus, taskDependencyService, logger) => {
             const QueueMonitoringService = require('@domain/services/queue/QueueMonitoringService');
             return new QueueMonitoringService({
                 eventBus,
+                taskDependencyService,
                 logger
             });
-        }, { singleton: true, dependencies: ['eventBus', 'logger'] });
+        }, { singleton: true, dependencies: ['eventBus', 'taskDependencyService', 'logger'] });
 
         // Queue Task Execution Service
         this.container.register('queueTaskExecutionService', (queueMonitoringService, taskRepository, eventBus, logger) => {
@@ -411,10 +433,10 @@ class ServiceRegistry {
 
 
         // Manual Tasks Import Service
-        this.container.register('manualTasksImportService', (browserManager, taskService, taskRepository, fileSystemService) => {
+        this.container.register('manualTasksImportService', (browserManager, taskService, taskRepository, fileSystemService, taskDependencyService) => {
             const ManualTasksImportService = require('@domain/services/task/ManualTasksImportService');
-            return new ManualTasksImportService(browserManager, taskService, taskRepository, fileSystemService);
-        }, { singleton: true, dependencies: ['browserManager', 'taskService', 'taskRepository', 'fileSystemService'] });
+            return new ManualTasksImportService(browserManager, taskService, taskRepository, fileSystemService, null, null, null, taskDependencyService);
+        }, { singleton: true, dependencies: ['browserManager', 'taskService', 'taskRepository', 'fileSystemService', 'taskDependencyService'] });
 
         // Workflow services
         this.container.register('workflowOrchestrationService', (cursorIDEService, taskRepository, logger, eventBus) => {
@@ -452,6 +474,96 @@ class ServiceRegistry {
             });
         }, { singleton: true, dependencies: ['eventBus'] });
 
+        // Webhook Service - delivers lifecycle events to project webhooks
+        this.container.register('webhookService', (webhookRepository, eventBus, taskRepository, projectRepository) => {
+            const WebhookService = require('@domain/services/webhook/WebhookService');
+            return new WebhookService({
+                webhookRepository,
+                eventBus,
+                taskRepository,
+                projectRepository
+            });
+        }, {
+            singleton: true,
+            dependencies: ['webhookRepository', 'eventBus', 'taskRepository', 'projectRepository'],
+            lifecycle: { onStart: (service) => service.start(), onStop: (service) => service.stop() }
+        });
+
+        // Forge Service - opens pull/merge requests on GitHub, GitLab or Gitea
+        this.container.register('forgeService', (projectRepository, taskRepository, taskService, eventBus) => {
+            const ForgeService = require('@domain/services/git/ForgeService');
+            return new ForgeService({
+                projectRepository,
+                taskRepository,
+                taskService,
+                eventBus
+            });
+        }, { singleton: true, dependencies: ['projectRepository', 'taskRepository', 'taskService', 'eventBus'] });
+
+        // Branch Protection Service - local policy engine checked before merges, pushes and commits
+        this.container.register('branchProtectionService', (eventBus) => {
+            const BranchProtectionService = require('@domain/services/git/BranchProtectionService');
+            return new BranchProtectionService({ eventBus });
+        }, { singleton: true, dependencies: ['eventBus'] });
+
+        // Commit Message Service - conventional commit messages and merge strategy of task branches
+        this.container.register('commitMessageService', (gitService, stepRegistry, ideManager) => {
+            const CommitMessageService = require('@domain/services/git/CommitMessageService');
+            return new CommitMessageService({ gitService, stepRegistry, ideManager });
+        }, { singleton: true, dependencies: ['gitService', 'stepRegistry', 'ideManager'] });
+
+        // Merge Conflict Service - conflicted files and hunks of a merge in progress, review of their resolutions
+        this.container.register('mergeConflictService', (eventBus) => {
+            const MergeConflictService = require('@domain/services/git/MergeConflictService');
+            return new MergeConflictService({ eventBus });
+        }, { singleton: true, dependencies: ['eventBus'] });
+
+        // Worktree Service - isolated git worktrees that task workflows run in
+        this.container.register('worktreeService', (eventBus) => {
+            const WorktreeService = require('@domain/services/git/WorktreeService');
+            return new WorktreeService({ eventBus });
+        }, { singleton: true, dependencies: ['eventBus'] });
+
+        // Schedule Service - enqueues recurring cron schedules into the project queue
+        this.container.register('scheduleService', (scheduleRepository, queueMonitoringService, eventBus) => {
+            const ScheduleService = require('@domain/services/schedule/ScheduleService');
+            return new ScheduleService({
+                scheduleRepository,
+                queueMonitoringService,
+                eventBus
+            });
+        }, {
+            singleton: true,
+            dependencies: ['scheduleRepository', 'queueMonitoringService', 'eventBus'],
+            lifecycle: { onStart: (service) => service.start(), onStop: (service) => service.stop() }
+        });
+
+        // IDE Worker Pool Service - runs queue items in parallel, one per running IDE
+        this.container.register('ideWorkerPoolService', (queueMonitoringService, ideManager, eventBus, workflowGitService, workflowPersistenceService) => {
+            const IDEWorkerPoolService = require('@domain/services/queue/IDEWorkerPoolService');
+            return new IDEWorkerPoolService({
+                queueMonitoringService,
+                ideManager,
+                eventBus,
+                workflowGitService,
+                workflowPersistenceService
+            });
+        }, {
+            singleton: true,
+            dependencies: ['queueMonitoringService', 'ideManager', 'eventBus', 'workflowGitService', 'workflowPersistenceService'],
+            lifecycle: { onStart: (service) => service.start(), onStop: (service) => service.stop() }
+        });
+
+        // AI Usage Service - token and cost accounting of AI interactions, pauses the queue on exceeded budgets
+        this.container.register('aiUsageService', (aiUsageRepository, queueMonitoringService, eventBus) => {
+            const AIUsageService = require('@domain/services/usage/AIUsageService');
+            return new AIUsageService({
+                aiUsageRepository,
+                queueMonitoringService,
+                eventBus
+            });
+        }, { singleton: true, dependencies: ['aiUsageRepository', 'queueMonitoringService', 'eventBus'] });
+
         this.registeredServices.add('domain');
     }
 
@@ -461,15 +573,16 @@ class ServiceRegistry {
     registerApplicationServices() {
 
         // Analysis Application Service - coordinates analysis use cases
-        this.container.register('analysisApplicationService', (analysisOutputService, analysisRepository, projectRepository, logger) => {
+        this.container.register('analysisApplicationService', (analysisOutputService, analysisRepository, projectRepository, qualityGateService, logger) => {
             const AnalysisApplicationService = require('@application/services/AnalysisApplicationService');
             return new AnalysisApplicationService({
                 analysisOutputService,
                 analysisRepository,
                 projectRepository,
+                qualityGateService,
                 logger
             });
-        }, { singleton: true, dependencies: ['analysisOutputService', 'analysisRepository', 'projectRepository', 'logger'] });
+        }, { singleton: true, dependencies: ['analysisOutputService', 'analysisRepository', 'projectRepository', 'qualityGateService', 'logger'] });
 
         // Project Application Service - coordinates project management use cases
         this.container.register('projectApplicationService', (projectRepository, ideManager, workspacePathDetector, projectMappingService, logger) => {
@@ -636,15 +749,16 @@ class ServiceRegistry {
 
     // Individual Application Service Registration Methods
     registerAnalysisApplicationService() {
-        this.container.register('analysisApplicationService', (analysisOutputService, analysisRepository, projectRepository, logger) => {
+        this.container.register('analysisApplicationService', (analysisOutputService, analysisRepository, projectRepository, qualityGateService, logger) => {
             const AnalysisApplicationService = require('@application/services/AnalysisApplicationService');
             return new AnalysisApplicationService({
                 analysisOutputService,
                 analysisRepository,
                 projectRepository,
+                qualityGateService,
                 logger
             });
-        }, { singleton: true, dependencies: ['analysisOutputService', 'analysisRepository', 'projectRepository', 'logger'] });
+        }, { singleton: true, dependencies: ['analysisOutputService', 'analysisRepository', 'projectRepository', 'qualityGateService', 'logger'] });
     }
 
     registerProjectApplicationService() {
@@ -661,7 +775,7 @@ class ServiceRegistry {
     }
 
     registerTaskApplicationService() {
-        this.container.register('taskApplicationService', (taskService, taskRepository, aiService, projectAnalyzer, projectMappingService, ideManager, manualTasksImportService, logger) => {
+        this.container.register('taskApplicationService', (taskService, taskRepository, aiService, projectAnalyzer, projectMappingService, ideManager, manualTasksImportService, taskDependencyService, logger) => {
             const TaskApplicationService = require('@application/services/TaskApplicationService');
             return new TaskApplicationService({
                 taskService,
@@ -671,9 +785,10 @@ class ServiceRegistry {
                 projectMappingService,
                 ideManager,
                 manualTasksImportService,
+                taskDependencyService,
                 logger
             });
-        }, { singleton: true, dependencies: ['taskService', 'taskRepository', 'aiService', 'projectAnalyzer', 'projectMappingService', 'ideManager', 'manualTasksImportService', 'logger'] });
+        }, { singleton: true, dependencies: ['taskService', 'taskRepository', 'aiService', 'projectAnalyzer', 'projectMappingService', 'ideManager', 'manualTasksImportService', 'taskDependencyService', 'logger'] });
     }
 
     registerIDEApplicationService() {
@@ -809,10 +924,10 @@ class ServiceRegistry {
     registerExternalServices() {
 
         // AI service
-        this.container.register('aiService', () => {
+        this.container.register('aiService', (eventBus, aiUsageService) => {
             const AIService = require('../external/AIService');
-            return new AIService();
-        }, { singleton: true });
+            return new AIService({ eventBus, aiUsageService });
+        }, { singleton: true, dependencies: ['eventBus', 'aiUsageService'] });
 
         // Analysis Orchestrator (Phase 2: Step delegation)
         // AnalysisOrchestrator REMOVED - redundant with AnalysisApplicationService
@@ -829,16 +944,17 @@ class ServiceRegistry {
         }, { singleton: true, dependencies: ['stepRegistry', 'eventBus', 'logger'] });
 
         // Workflow Orchestration Service - ORCHESTRATES STEPS! (moved to external services)
-        this.container.register('workflowOrchestrationService', (taskRepository, eventBus, logger, stepRegistry) => {
+        this.container.register('workflowOrchestrationService', (taskRepository, eventBus, logger, stepRegistry, workflowGitService) => {
             const WorkflowOrchestrationService = require('@domain/services/workflow/WorkflowOrchestrationService');
             return new WorkflowOrchestrationService({
                 cursorIDEService: null, // Will be injected later
                 taskRepository,
                 eventBus,
                 logger,
-                stepRegistry
+                stepRegistry,
+                workflowGitService
             });
-        }, { singleton: true, dependencies: ['taskRepository', 'eventBus', 'logger', 'stepRegistry'] });
+        }, { singleton: true, dependencies: ['taskRepository', 'eventBus', 'logger', 'stepRegistry', 'workflowGitService'] });
 
         // Project analyzer - Stub for Phase 1 compatibility
         this.container.register('projectAnalyzer', () => {
@@ -896,10 +1012,10 @@ class ServiceRegistry {
         }, { singleton: true });
 
         // Git service (orchestrator using steps)
-        this.container.register('gitService', (logger, eventBus, stepRegistry) => {
+        this.container.register('gitService', (logger, eventBus, stepRegistry, branchProtectionService) => {
             const GitService = require('../external/GitService');
-            return new GitService({ logger, eventBus, stepRegistry });
-        }, { singleton: true, dependencies: ['logger', 'eventBus', 'stepRegistry'] });
+            return new GitService({ logger, eventBus, stepRegistry, branchProtectionService });
+        }, { singleton: true, dependencies: ['logger', 'eventBus', 'stepRegistry', 'branchProtectionService'] });
 
         // Docker service
         this.container.register('dockerService', (logger, eventBus) => {
@@ -908,13 +1024,20 @@ class ServiceRegistry {
         }, { singleton: true, dependencies: ['logger', 'eventBus'] });
 
         // Workflow Git Service (verwendet Steps statt gitService)
-        this.container.register('workflowGitService', (logger, eventBus) => {
+        this.container.register('workflowGitService', (logger, eventBus, gitService, stepRegistry, forgeService, branchProtectionService, commitMessageService, worktreeService, ideManager) => {
             const WorkflowGitService = require('@domain/services/workflow/WorkflowGitService');
             return new WorkflowGitService({
                 logger,
-                eventBus
+                eventBus,
+                gitService,
+                stepRegistry,
+                forgeService,
+                branchProtectionService,
+                commitMessageService,
+                worktreeService,
+                ideManager
             });
-        }, { singleton: true, dependencies: ['logger', 'eventBus'] });
+        }, { singleton: true, dependencies: ['logger', 'eventBus', 'gitService', 'stepRegistry', 'forgeService', 'branchProtectionService', 'commitMessageService', 'worktreeService', 'ideManager'] });
 
         // Test Orchestrator Tools
         this.container.register('testFixer', () => {
@@ -1058,6 +1181,21 @@ class ServiceRegistry {
             return databaseConnection.getRepository('QueueHistory');
         }, { singleton: true, dependencies: ['databaseConnection'] });
 
+        // Webhook repository
+        this.container.register('webhookRepository', (databaseConnection) => {
+            return databaseConnection.getRepository('Webhook');
+        }, { singleton: true, dependencies: ['databaseConnection'] });
+
+        // Schedule repository
+        this.container.register('scheduleRepository', (databaseConnection) => {
+            return databaseConnection.getRepository('Schedule');
+        }, { singleton: true, dependencies: ['databaseConnection'] });
+
+        // AI usage repository
+        this.container.register('aiUsageRepository', (databaseConnection) => {
+            return databaseConnection.getRepository('AIUsage');
+        }, { singleton: true, dependencies: ['databaseConnection'] });
+
         this.registeredServices.add('repositories');
     }
 
@@ -1084,10 +1222,12 @@ class ServiceRegistry {
                 }, { singleton: true });
                 break;
             case 'eventBus':
-                this.container.register('eventBus', () => {
+                this.container.register('eventBus', (databaseConnection) => {
                     const EventBus = require('../messaging/EventBus');
-                    return new EventBus();
-                }, { singleton: true });
+                    const centralizedConfig = require('@config/centralized-config');
+                    const eventLog = centralizedConfig.eventLogEnabled ? databaseConnection.getRepository('EventLog') : null;
+                    return new EventBus({ eventLog });
+                }, { singleton: true, dependencies: ['databaseConnection'] });
                 break;
             case 'commandBus':
                 this.container.register('commandBus', (eventBus) => {
@@ -1163,6 +1303,12 @@ class ServiceRegistry {
                     return new HandlerRegistry(this);
                 }, { singleton: true });
                 break;
+            case 'workflowPersistenceService':
+                this.container.register('workflowPersistenceService', (workflowCheckpointRepository, logger) => {
+                    const WorkflowPersistenceService = require('../workflow/WorkflowPersistenceService');
+                    return new WorkflowPersistenceService(null, logger, workflowCheckpointRepository);
+                }, { singleton: true, dependencies: ['workflowCheckpointRepository', 'logger'] });
+                break;
             default:
                 throw new Error(`Unknown infrastructure service: ${serviceName}`);
         }
@@ -1221,6 +1367,26 @@ class ServiceRegistry {
                     return databaseConnection.getRepository('QueueHistory');
                 }, { singleton: true, dependencies: ['databaseConnection'] });
                 break;
+            case 'workflowCheckpointRepository':
+                this.container.register('workflowCheckpointRepository', (databaseConnection) => {
+                    return databaseConnection.getRepository('TaskExecution');
+                }, { singleton: true, dependencies: ['databaseConnection'] });
+                break;
+            case 'webhookRepository':
+                this.container.register('webhookRepository', (databaseConnection) => {
+                    return databaseConnection.getRepository('Webhook');
+                }, { singleton: true, dependencies: ['databaseConnection'] });
+                break;
+            case 'scheduleRepository':
+                this.container.register('scheduleRepository', (databaseConnection) => {
+                    return databaseConnection.getRepository('Schedule');
+                }, { singleton: true, dependencies: ['databaseConnection'] });
+                break;
+            case 'aiUsageRepository':
+                this.container.register('aiUsageRepository', (databaseConnection) => {
+                    return databaseConnection.getRepository('AIUsage');
+                }, { singleton: true, dependencies: ['databaseConnection'] });
+                break;
             default:
                 throw new Error(`Unknown repository service: ${serviceName}`);
         }
@@ -1233,10 +1399,10 @@ class ServiceRegistry {
     registerExternalService(serviceName) {
         switch (serviceName) {
             case 'aiService':
-                this.container.register('aiService', () => {
+                this.container.register('aiService', (eventBus, aiUsageService) => {
                     const AIService = require('../external/AIService');
-                    return new AIService();
-                }, { singleton: true });
+                    return new AIService({ eventBus, aiUsageService });
+                }, { singleton: true, dependencies: ['eventBus', 'aiUsageService'] });
                 break;
                     case 'analysisOrchestrator':
             // AnalysisOrchestrator REMOVED - redundant with AnalysisApplicationService
@@ -1254,16 +1420,18 @@ class ServiceRegistry {
                 }, { singleton: true, dependencies: ['stepRegistry', 'eventBus', 'logger'] });
                 break;
             case 'workflowOrchestrationService':
-                this.container.register('workflowOrchestrationService', (taskRepository, eventBus, logger, stepRegistry, cursorIDEService) => {
+                this.container.register('workflowOrchestrationService', (taskRepository, eventBus, logger, stepRegistry, cursorIDEService, workflowPersistenceService, workflowGitService) => {
                     const WorkflowOrchestrationService = require('@domain/services/workflow/WorkflowOrchestrationService');
                     return new WorkflowOrchestrationService({
                         cursorIDEService,
                         taskRepository,
                         eventBus,
                         logger,
-                        stepRegistry
+                        stepRegistry,
+                        workflowPersistenceService,
+                        workflowGitService
                     });
-                }, { singleton: true, dependencies: ['taskRepository', 'eventBus', 'logger', 'stepRegistry', 'cursorIDEService'] });
+                }, { singleton: true, dependencies: ['taskRepository', 'eventBus', 'logger', 'stepRegistry', 'cursorIDEService', 'workflowPersistenceService', 'workflowGitService'] });
                 break;
             case 'projectAnalyzer':
                 this.container.register('projectAnalyzer', () => {
@@ -1276,10 +1444,26 @@ class ServiceRegistry {
                 }, { singleton: true });
                 break;
             case 'gitService':
-                this.container.register('gitService', (logger, eventBus, stepRegistry) => {
+                this.container.register('gitService', (logger, eventBus, stepRegistry, branchProtectionService) => {
                     const GitService = require('../external/GitService');
-                    return new GitService({ logger, eventBus, stepRegistry });
-                }, { singleton: true, dependencies: ['logger', 'eventBus', 'stepRegistry'] });
+                    return new GitService({ logger, eventBus, stepRegistry, branchProtectionService });
+                }, { singleton: true, dependencies: ['logger', 'eventBus', 'stepRegistry', 'branchProtectionService'] });
+                break;
+            case 'workflowGitService':
+                this.container.register('workflowGitService', (logger, eventBus, gitService, stepRegistry, forgeService, branchProtectionService, commitMessageService, worktreeService, ideManager) => {
+                    const WorkflowGitService = require('@domain/services/workflow/WorkflowGitService');
+                    return new WorkflowGitService({
+                        logger,
+                        eventBus,
+                        gitService,
+                        stepRegistry,
+                        forgeService,
+                        branchProtectionService,
+                        commitMessageService,
+                        worktreeService,
+                        ideManager
+                    });
+                }, { singleton: true, dependencies: ['logger', 'eventBus', 'gitService', 'stepRegistry', 'forgeService', 'branchProtectionService', 'commitMessageService', 'worktreeService', 'ideManager'] });
                 break;
             default:
                 throw new Error(`Unknown external service: ${serviceName}`);
@@ -1399,6 +1583,18 @@ class ServiceRegistry {
                     return new AnalysisOutputService({ analysisRepository, logger });
                 }, { singleton: true, dependencies: ['analysisRepository', 'logger'] });
                 break;
+            case 'analysisFileIndexService':
+                this.container.register('analysisFileIndexService', (analysisRepository) => {
+                    const AnalysisFileIndexService = require('@domain/services/analysis/AnalysisFileIndexService');
+                    return new AnalysisFileIndexService({ analysisRepository });
+                }, { singleton: true, dependencies: ['analysisRepository'] });
+                break;
+            case 'qualityGateService':
+                this.container.register('qualityGateService', (analysisRepository) => {
+                    const QualityGateService = require('@domain/services/analysis/QualityGateService');
+                    return new QualityGateService({ analysisRepository });
+                }, { singleton: true, dependencies: ['analysisRepository'] });
+                break;
             case 'taskAnalysisService':
                         this.container.register('taskAnalysisService', (cursorIDEService, eventBus, logger, aiService, projectAnalyzer) => {
             const TaskAnalysisService = require('@domain/services/task/TaskAnalysisService');
@@ -1447,14 +1643,24 @@ class ServiceRegistry {
                     return new LogicValidationService(logger);
                 }, { singleton: true, dependencies: ['logger'] });
                 break;
+            case 'taskDependencyService':
+                this.container.register('taskDependencyService', (taskRepository, eventBus) => {
+                    const TaskDependencyService = require('@domain/services/task/TaskDependencyService');
+                    return new TaskDependencyService({
+                        taskRepository,
+                        eventBus
+                    });
+                }, { singleton: true, dependencies: ['taskRepository', 'eventBus'] });
+                break;
             case 'queueMonitoringService':
-                this.container.register('queueMonitoringService', (eventBus, logger) => {
+                this.container.register('queueMonitoringService', (eventBus, taskDependencyService, logger) => {
                     const QueueMonitoringService = require('@domain/services/queue/QueueMonitoringService');
                     return new QueueMonitoringService({
                         eventBus,
+                        taskDependencyService,
                         logger
                     });
-                }, { singleton: true, dependencies: ['eventBus', 'logger'] });
+                }, { singleton: true, dependencies: ['eventBus', 'taskDependencyService', 'logger'] });
                 break;
             case 'queueTaskExecutionService':
                 this.container.register('queueTaskExecutionService', (queueMonitoringService, taskRepository, eventBus, logger) => {
@@ -1591,10 +1797,10 @@ class ServiceRegistry {
                 }, { singleton: true, dependencies: ['taskRepository', 'aiService', 'projectAnalyzer', 'cursorIDEService', 'queueTaskExecutionService'] });
                 break;
             case 'manualTasksImportService':
-                this.container.register('manualTasksImportService', (browserManager, taskService, taskRepository, fileSystemService) => {
+                this.container.register('manualTasksImportService', (browserManager, taskService, taskRepository, fileSystemService, taskDependencyService) => {
                     const ManualTasksImportService = require('@domain/services/task/ManualTasksImportService');
-                    return new ManualTasksImportService(browserManager, taskService, taskRepository, fileSystemService);
-                }, { singleton: true, dependencies: ['browserManager', 'taskService', 'taskRepository', 'fileSystemService'] });
+                    return new ManualTasksImportService(browserManager, taskService, taskRepository, fileSystemService, null, null, null, taskDependencyService);
+                }, { singleton: true, dependencies: ['browserManager', 'taskService', 'taskRepository', 'fileSystemService', 'taskDependencyService'] });
                 break;
             case 'workflowLoaderService':
                 this.container.register('workflowLoaderService', () => {
@@ -1621,6 +1827,96 @@ class ServiceRegistry {
                     });
                 }, { singleton: true, dependencies: ['eventBus'] });
                 break;
+            case 'webhookService':
+                this.container.register('webhookService', (webhookRepository, eventBus, taskRepository, projectRepository) => {
+                    const WebhookService = require('@domain/services/webhook/WebhookService');
+                    return new WebhookService({
+                        webhookRepository,
+                        eventBus,
+                        taskRepository,
+                        projectRepository
+                    });
+                }, {
+                    singleton: true,
+                    dependencies: ['webhookRepository', 'eventBus', 'taskRepository', 'projectRepository'],
+                    lifecycle: { onStart: (service) => service.start(), onStop: (service) => service.stop() }
+                });
+                break;
+            case 'forgeService':
+                this.container.register('forgeService', (projectRepository, taskRepository, taskService, eventBus) => {
+                    const ForgeService = require('@domain/services/git/ForgeService');
+                    return new ForgeService({
+                        projectRepository,
+                        taskRepository,
+                        taskService,
+                        eventBus
+                    });
+                }, { singleton: true, dependencies: ['projectRepository', 'taskRepository', 'taskService', 'eventBus'] });
+                break;
+            case 'branchProtectionService':
+                this.container.register('branchProtectionService', (eventBus) => {
+                    const BranchProtectionService = require('@domain/services/git/BranchProtectionService');
+                    return new BranchProtectionService({ eventBus });
+                }, { singleton: true, dependencies: ['eventBus'] });
+                break;
+            case 'commitMessageService':
+                this.container.register('commitMessageService', (gitService, stepRegistry, ideManager) => {
+                    const CommitMessageService = require('@domain/services/git/CommitMessageService');
+                    return new CommitMessageService({ gitService, stepRegistry, ideManager });
+                }, { singleton: true, dependencies: ['gitService', 'stepRegistry', 'ideManager'] });
+                break;
+            case 'mergeConflictService':
+                this.container.register('mergeConflictService', (eventBus) => {
+                    const MergeConflictService = require('@domain/services/git/MergeConflictService');
+                    return new MergeConflictService({ eventBus });
+                }, { singleton: true, dependencies: ['eventBus'] });
+                break;
+            case 'worktreeService':
+                this.container.register('worktreeService', (eventBus) => {
+                    const WorktreeService = require('@domain/services/git/WorktreeService');
+                    return new WorktreeService({ eventBus });
+                }, { singleton: true, dependencies: ['eventBus'] });
+                break;
+            case 'scheduleService':
+                this.container.register('scheduleService', (scheduleRepository, queueMonitoringService, eventBus) => {
+                    const ScheduleService = require('@domain/services/schedule/ScheduleService');
+                    return new ScheduleService({
+                        scheduleRepository,
+                        queueMonitoringService,
+                        eventBus
+                    });
+                }, {
+                    singleton: true,
+                    dependencies: ['scheduleRepository', 'queueMonitoringService', 'eventBus'],
+                    lifecycle: { onStart: (service) => service.start(), onStop: (service) => service.stop() }
+                });
+                break;
+            case 'ideWorkerPoolService':
+                this.container.register('ideWorkerPoolService', (queueMonitoringService, ideManager, eventBus, workflowGitService, workflowPersistenceService) => {
+                    const IDEWorkerPoolService = require('@domain/services/queue/IDEWorkerPoolService');
+                    return new IDEWorkerPoolService({
+                        queueMonitoringService,
+                        ideManager,
+                        eventBus,
+                        workflowGitService,
+                        workflowPersistenceService
+                    });
+                }, {
+                    singleton: true,
+                    dependencies: ['queueMonitoringService', 'ideManager', 'eventBus', 'workflowGitService', 'workflowPersistenceService'],
+                    lifecycle: { onStart: (service) => service.start(), onStop: (service) => service.stop() }
+                });
+                break;
+            case 'aiUsageService':
+                this.container.register('aiUsageService', (aiUsageRepository, queueMonitoringService, eventBus) => {
+                    const AIUsageService = require('@domain/services/usage/AIUsageService');
+                    return new AIUsageService({
+                        aiUsageRepository,
+                        queueMonitoringService,
+                        eventBus
+                    });
+                }, { singleton: true, dependencies: ['aiUsageRepository', 'queueMonitoringService', 'eventBus'] });
+                break;
             default:
                 throw new Error(`Unknown domain service: ${serviceName}`);
         }
@@ -1642,7 +1938,7 @@ class ServiceRegistry {
         
         // Infrastructure services
         this.addServiceDefinition('databaseConnection', [], 'infrastructure');
-        this.addServiceDefinition('eventBus', [], 'infrastructure');
+        this.addServiceDefinition('eventBus', ['databaseConnection'], 'infrastructure');
         this.addServiceDefinition('commandBus', ['eventBus'], 'infrastructure');
         this.addServiceDefinition('queryBus', ['eventBus'], 'infrastructure');
         this.addServiceDefinition('logger', [], 'infrastructure');
@@ -1654,6 +1950,7 @@ class ServiceRegistry {
         this.addServiceDefinition('stepRegistry', [], 'infrastructure');
         this.addServiceDefinition('chatCacheService', [], 'infrastructure');
         this.addServiceDefinition('handlerRegistry', [], 'infrastructure');
+        this.addServiceDefinition('workflowPersistenceService', ['workflowCheckpointRepository', 'logger'], 'infrastructure');
 
         // Repository services
         this.addServiceDefinition('chatRepository', [], 'repositories');
@@ -1666,14 +1963,19 @@ class ServiceRegistry {
         this.addServiceDefinition('projectRepository', ['databaseConnection'], 'repositories');
         this.addServiceDefinition('taskTemplateRepository', ['databaseConnection'], 'repositories');
         this.addServiceDefinition('queueHistoryRepository', ['databaseConnection'], 'repositories');
+        this.addServiceDefinition('workflowCheckpointRepository', ['databaseConnection'], 'repositories');
+        this.addServiceDefinition('webhookRepository', ['databaseConnection'], 'repositories');
+        this.addServiceDefinition('scheduleRepository', ['databaseConnection'], 'repositories');
+        this.addServiceDefinition('aiUsageRepository', ['databaseConnection'], 'repositories');
 
         // External services
-        this.addServiceDefinition('aiService', [], 'external');
+        this.addServiceDefinition('aiService', ['eventBus', 'aiUsageService'], 'external');
         // AnalysisOrchestrator service definition removed - redundant
         this.addServiceDefinition('testOrchestrator', ['stepRegistry', 'eventBus', 'logger'], 'external');
-        this.addServiceDefinition('workflowOrchestrationService', ['taskRepository', 'eventBus', 'logger', 'stepRegistry', 'cursorIDEService'], 'external');
+        this.addServiceDefinition('workflowOrchestrationService', ['taskRepository', 'eventBus', 'logger', 'stepRegistry', 'cursorIDEService', 'workflowPersistenceService', 'workflowGitService'], 'external');
         this.addServiceDefinition('projectAnalyzer', [], 'external');
-        this.addServiceDefinition('gitService', ['logger', 'eventBus', 'stepRegistry'], 'external');
+        this.addServiceDefinition('gitService', ['logger', 'eventBus', 'stepRegistry', 'branchProtectionService'], 'external');
+        this.addServiceDefinition('workflowGitService', ['logger', 'eventBus', 'gitService', 'stepRegistry', 'forgeService', 'branchProtectionService', 'commitMessageService', 'worktreeService', 'ideManager'], 'external');
 
         // Strategy services
         this.addServiceDefinition('monorepoStrategy', ['logger', 'eventBus', 'fileSystemService'], 'strategies');
@@ -1692,13 +1994,16 @@ class ServiceRegistry {
         this.addServiceDefinition('ideWorkspaceDetectionService', ['ideManager', 'projectRepository'], 'domain');
         this.addServiceDefinition('subprojectDetector', [], 'domain');
         this.addServiceDefinition('analysisOutputService', ['analysisRepository', 'logger'], 'domain');
+        this.addServiceDefinition('analysisFileIndexService', ['analysisRepository'], 'domain');
+        this.addServiceDefinition('qualityGateService', ['analysisRepository'], 'domain');
         this.addServiceDefinition('taskAnalysisService', ['cursorIDEService', 'eventBus', 'logger', 'aiService', 'projectAnalyzer'], 'domain');
         this.addServiceDefinition('taskValidationService', ['taskRepository', 'cursorIDEService', 'eventBus', 'fileSystemService'], 'domain');
         this.addServiceDefinition('taskGenerationService', ['taskRepository', 'taskTemplateRepository', 'analysisRepository', 'eventBus', 'logger'], 'domain');
         this.addServiceDefinition('advancedAnalysisService', ['layerValidationService', 'logicValidationService', 'taskAnalysisService', 'eventBus', 'logger'], 'domain');
         this.addServiceDefinition('layerValidationService', ['logger'], 'domain');
         this.addServiceDefinition('logicValidationService', ['logger'], 'domain');
-        this.addServiceDefinition('queueMonitoringService', ['eventBus', 'logger'], 'domain');
+        this.addServiceDefinition('taskDependencyService', ['taskRepository', 'eventBus'], 'domain');
+        this.addServiceDefinition('queueMonitoringService', ['eventBus', 'taskDependencyService', 'logger'], 'domain');
         this.addServiceDefinition('queueTaskExecutionService', ['queueMonitoringService', 'taskRepository', 'eventBus', 'logger'], 'domain');
         this.addServiceDefinition('stepProgressService', ['eventBus', 'logger'], 'domain');
         this.addServiceDefinition('executionQueue', ['logger'], 'domain');
@@ -1713,15 +2018,24 @@ class ServiceRegistry {
         this.addServiceDefinition('sessionActivityService', ['userSessionRepository', 'eventBus'], 'domain');
         this.addServiceDefinition('authService', ['userRepository', 'userSessionRepository', 'sessionActivityService'], 'domain');
                     this.addServiceDefinition('taskService', ['taskRepository', 'aiService', 'projectAnalyzer', 'cursorIDEService', 'queueTaskExecutionService'], 'domain');
-        this.addServiceDefinition('manualTasksImportService', ['browserManager', 'taskService', 'taskRepository'], 'domain');
+        this.addServiceDefinition('manualTasksImportService', ['browserManager', 'taskService', 'taskRepository', 'taskDependencyService'], 'domain');
         this.addServiceDefinition('workflowLoaderService', [], 'domain');
         this.addServiceDefinition('queueHistoryService', ['queueHistoryRepository', 'eventBus'], 'domain');
         this.addServiceDefinition('workflowTypeDetector', ['eventBus'], 'domain');
+        this.addServiceDefinition('webhookService', ['webhookRepository', 'eventBus', 'taskRepository', 'projectRepository'], 'domain');
+        this.addServiceDefinition('forgeService', ['projectRepository', 'taskRepository', 'taskService', 'eventBus'], 'domain');
+        this.addServiceDefinition('branchProtectionService', ['eventBus'], 'domain');
+        this.addServiceDefinition('commitMessageService', ['gitService', 'stepRegistry', 'ideManager'], 'domain');
+        this.addServiceDefinition('mergeConflictService', ['eventBus'], 'domain');
+        this.addServiceDefinition('worktreeService', ['eventBus'], 'domain');
+        this.addServiceDefinition('scheduleService', ['scheduleRepository', 'queueMonitoringService', 'eventBus'], 'domain');
+        this.addServiceDefinition('ideWorkerPoolService', ['queueMonitoringService', 'ideManager', 'eventBus', 'workflowGitService', 'workflowPersistenceService'], 'domain');
+        this.addServiceDefinition('aiUsageService', ['aiUsageRepository', 'queueMonitoringService', 'eventBus'], 'domain');
 
         // 🚨 NEW APPLICATION SERVICES - Layer Boundary Violation Fixes
-        this.addServiceDefinition('analysisApplicationService', ['analysisOutputService', 'analysisRepository', 'projectRepository', 'logger'], 'application');
+        this.addServiceDefinition('analysisApplicationService', ['analysisOutputService', 'analysisRepository', 'projectRepository', 'qualityGateService', 'logger'], 'application');
         this.addServiceDefinition('projectApplicationService', ['projectRepository', 'ideManager', 'workspacePathDetector', 'projectMappingService', 'logger'], 'application');
-        this.addServiceDefinition('taskApplicationService', ['taskService', 'taskRepository', 'aiService', 'projectAnalyzer', 'projectMappingService', 'ideManager', 'manualTasksImportService', 'logger'], 'application');
+        this.addServiceDefinition('taskApplicationService', ['taskService', 'taskRepository', 'aiService', 'projectAnalyzer', 'projectMappingService', 'ideManager', 'manualTasksImportService', 'taskDependencyService', 'logger'], 'application');
         this.addServiceDefinition('ideApplicationService', ['ideManager', 'eventBus', 'cursorIDEService', 'taskRepository', 'terminalLogCaptureService', 'terminalLogReader', 'browserManager', 'logger'], 'application');
         this.addServiceDefinition('webChatApplicationService', ['stepRegistry', 'cursorIDEService', 'authService', 'chatSessionService', 'eventBus', 'logger'], 'application');
         this.addServiceDefinition('workflowApplicationService', ['commandBus', 'queryBus', 'eventBus', 'ideManager', 'taskService', 'projectMappingService', 'logger'], 'application');
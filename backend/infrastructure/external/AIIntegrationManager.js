@@ -11,6 +11,7 @@ class AIIntegrationManager {
         this.cursorIDEService = dependencies.cursorIDEService;
         this.logger = dependencies.logger || console;
         this.eventBus = dependencies.eventBus;
+        this.aiUsageService = dependencies.aiUsageService || null;
         
         this.aiModels = {
             'gpt-4': {
@@ -270,6 +271,7 @@ class AIIntegrationManager {
             
             // Track cost
             this.trackCost(model, context.tokens || 0);
+            await this.recordUsage(response, model, context);
             
             // Process response based on quality
             const processedResponse = await this.processResponseByQuality(response, qualityAssessment);
@@ -292,6 +294,7 @@ class AIIntegrationManager {
             
             // Update performance tracking for failure
             this.updateModelPerformance(model, context.duration || 0, false);
+            await this.recordUsage(response, model, context, error);
             
             throw error;
         }
@@ -881,6 +884,34 @@ class AIIntegrationManager {
         this.costTracking.set(model, currentCosts);
     }
 
+    /**
+     * Record token usage of a processed response
+     * @param {Object} response - AI response
+     * @param {string} model - Model used
+     * @param {Object} context - Response context (projectId, taskId, workflowStep, query, duration, usage)
+     * @param {Error} error - Processing error
+     */
+    async recordUsage(response, model, context, error = null) {
+        if (!this.aiUsageService) {
+            return;
+        }
+
+        await this.aiUsageService.recordInteraction({
+            projectId: context.projectId,
+            taskId: context.taskId,
+            workflowStep: context.workflowStep || context.taskType,
+            source: 'ai_integration_manager',
+            model,
+            prompt: context.prompt || context.query,
+            response: response?.content,
+            promptTokens: context.usage?.promptTokens,
+            completionTokens: context.usage?.completionTokens,
+            durationMs: context.duration,
+            success: !error,
+            error: error?.message
+        });
+    }
+
     /**
      * Get model recommendations
      * @param {string} taskType - Task type
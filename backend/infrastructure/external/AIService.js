@@ -13,6 +13,7 @@ class AIService {
         this.logger = dependencies.logger || console;
         this.eventBus = dependencies.eventBus;
         this.config = dependencies.config || {};
+        this.aiUsageService = dependencies.aiUsageService || null;
         
         this.aiModels = {
             'gpt-4': { maxTokens: 8192, temperature: 0.7 },
@@ -206,7 +207,15 @@ Please analyze the project and execute improvements automatically. Provide detai
             });
 
             // Send to Cursor IDE via Playwright
-            const response = await this.sendToCursorIDE(aiRequest, options);
+            const startTime = Date.now();
+            let response;
+            try {
+                response = await this.sendToCursorIDE(aiRequest, options);
+            } catch (error) {
+                await this.recordUsage(promptType, aiRequest, null, Date.now() - startTime, options, error);
+                throw error;
+            }
+            await this.recordUsage(promptType, aiRequest, response, Date.now() - startTime, options);
 
             // Cache response
             if (response && !options.skipCache) {
@@ -244,6 +253,37 @@ Please analyze the project and execute improvements automatically. Provide detai
         }
     }
 
+    /**
+     * Record token usage of a prompt/response pair
+     * @param {string} promptType - Type of prompt template used
+     * @param {Object} aiRequest - AI request object
+     * @param {Object|null} response - Parsed AI response
+     * @param {number} durationMs - Request duration
+     * @param {Object} options - AI options (projectId, taskId, workflowStep)
+     * @param {Error} error - Request error
+     */
+    async recordUsage(promptType, aiRequest, response, durationMs, options, error = null) {
+        // Nothing is sent without an IDE, so there is nothing to account for
+        if (!this.aiUsageService || !this.cursorIDEService) {
+            return;
+        }
+
+        await this.aiUsageService.recordInteraction({
+            projectId: options.projectId,
+            taskId: options.taskId,
+            workflowStep: options.workflowStep || promptType,
+            source: 'ai_service',
+            model: response?.model || aiRequest.model,
+            prompt: aiRequest.messages.map(message => message.content).join('\n\n'),
+            response: response?.content,
+            promptTokens: response?.usage?.prompt_tokens ?? response?.usage?.promptTokens,
+            completionTokens: response?.usage?.completion_tokens ?? response?.usage?.completionTokens,
+            durationMs,
+            success: !error,
+            error: error?.message
+        });
+    }
+
     /**
      * Send request to Cursor IDE via Playwright
      * @param {Object} aiRequest - AI request object
@@ -21,6 +21,9 @@ class BrowserManager {
     this.page = null;
     this.isConnecting = false;
     
+    // Selectors healed by the selector health probe: ideType:version -> { baseVersion, selectors: { 'group.key': selector } }
+    this.healedSelectors = new Map();
+    
     // Performance tracking
     this.switchTimes = [];
     this.maxSwitchTimes = 100; // Keep last 100 switch times
@@ -972,7 +975,55 @@ class BrowserManager {
     }
     
     const IDESelectorManager = require('@services/ide/IDESelectorManager');
-    return IDESelectorManager.getSelectors(ideType, version);
+    const healing = this.healedSelectors.get(`${ideType}:${version}`) || null;
+
+    let selectors;
+    try {
+      selectors = IDESelectorManager.getSelectors(ideType, version);
+    } catch (error) {
+      // A version without selector file was probed against the selector file of baseVersion
+      if (!healing?.baseVersion || healing.baseVersion === version) {
+        throw error;
+      }
+      logger.info(`No selector file for ${ideType} ${version}, using ${healing.baseVersion} with healed selectors`);
+      selectors = IDESelectorManager.getSelectors(ideType, healing.baseVersion);
+    }
+
+    for (const [selectorPath, selector] of Object.entries(healing?.selectors || {})) {
+      const [group, key] = selectorPath.split('.');
+      if (selectors[group]) {
+        selectors[group][key] = selector;
+      }
+    }
+    return selectors;
+  }
+
+  /**
+   * Use healed selectors in place of the ones from the selector file
+   * @param {string} ideType - The IDE type
+   * @param {string} version - The IDE version
+   * @param {Object} healedSelectors - { 'group.key': selector } from the selector health probe
+   * @param {string|null} baseVersion - Version of the selector file the probe used (differs from
+   *   version when the IDE version has no selector file)
+   */
+  setHealedSelectors(ideType, version, healedSelectors = {}, baseVersion = null) {
+    this.healedSelectors.set(`${ideType}:${version}`, { baseVersion: baseVersion || version, selectors: { ...healedSelectors } });
+    if (Object.keys(healedSelectors).length > 0) {
+      logger.info(`Using ${Object.keys(healedSelectors).length} healed selectors for ${ideType} ${version} (base ${baseVersion || version})`);
+    }
+  }
+
+  /**
+   * Get the page of an IDE without changing the active port
+   * @param {number} port - IDE port
+   * @returns {Promise<Page>} Playwright page
+   */
+  async getPageForPort(port) {
+    const connection = await this.connectionPool.getConnection(port);
+    if (!connection || !connection.page) {
+      throw new Error(`No page available on port ${port}`);
+    }
+    return connection.page;
   }
 
   /**
@@ -5,6 +5,7 @@ const { execSync, spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs').promises;
 const Logger = require('@logging/Logger');
+const { MergeConflictError } = require('@domain/services/git/MergeConflictService');
 const logger = new Logger('Logger');
 
 class GitService {
@@ -12,6 +13,22 @@ class GitService {
         this.logger = dependencies.logger || console;
         this.eventBus = dependencies.eventBus;
         this.stepRegistry = dependencies.stepRegistry;
+        this.branchProtectionService = dependencies.branchProtectionService || null;
+    }
+
+    /**
+     * Check an operation against the branch protection rules
+     * @param {string} operation - merge, push or commit
+     * @param {string} repoPath - Repository path
+     * @param {Object} context - Branches, actor ('workflow' by default) and check results
+     * @returns {Promise<void>}
+     * @throws {BranchProtectionError} When a rule is violated
+     */
+    async checkBranchProtection(operation, repoPath, context = {}) {
+        if (!this.branchProtectionService) {
+            return;
+        }
+        await this.branchProtectionService.assertAllowed(operation, { projectPath: repoPath, ...context });
     }
 
     /**
@@ -439,7 +456,7 @@ class GitService {
      * @returns {Promise<Object>} Commit result
      */
     async commitChanges(repoPath, message, options = {}) {
-        const { author = null, allowEmpty = false } = options;
+        const { author = null, allowEmpty = false, actor = 'workflow' } = options;
 
         try {
             this.logger.info('GitService: Committing changes using step', { repoPath, message });
@@ -448,6 +465,8 @@ class GitService {
                 throw new Error('StepRegistry not available for Git operations');
             }
 
+            await this.checkBranchProtection('commit', repoPath, { actor });
+
             const stepContext = {
                 projectPath: repoPath,
                 message,
@@ -467,6 +486,9 @@ class GitService {
 
             return { success: result.success, output: result.result };
         } catch (error) {
+            if (error.name === 'BranchProtectionError') {
+                throw error;
+            }
             this.logger.error('GitService: Failed to commit changes', {
                 repoPath,
                 message,
@@ -487,7 +509,8 @@ class GitService {
             remote = 'origin', 
             branch = null, 
             setUpstream = false,
-            force = false 
+            force = false,
+            actor = 'workflow'
         } = options;
 
         try {
@@ -497,6 +520,8 @@ class GitService {
                 throw new Error('StepRegistry not available for Git operations');
             }
 
+            await this.checkBranchProtection('push', repoPath, { branch, force, actor });
+
             const stepContext = {
                 projectPath: repoPath,
                 branch,
@@ -516,6 +541,9 @@ class GitService {
 
             return { success: result.success, output: result.result };
         } catch (error) {
+            if (error.name === 'BranchProtectionError') {
+                throw error;
+            }
             this.logger.error('GitService: Failed to push changes', {
                 repoPath,
                 remote,
@@ -726,11 +754,13 @@ class GitService {
             };
 
             const result = await this.stepRegistry.executeStep('GitGetDiffStep', stepContext);
+            // The registry wraps the step result, which carries the diff text in its result
+            const output = result.result || {};
             
-            if (result.success) {
-                return result.diff;
+            if (result.success && output.success !== false) {
+                return typeof output.result === 'string' ? output.result : (result.diff || '');
             } else {
-                throw new Error(result.error || 'Failed to get diff');
+                throw new Error(output.error || result.error || 'Failed to get diff');
             }
         } catch (error) {
             this.logger.error('GitService: Failed to get diff', {
@@ -792,11 +822,15 @@ class GitService {
      * Merge branch using GIT_MERGE_BRANCH step
      * @param {string} repoPath - Repository path
      * @param {string} branchName - Branch to merge
-     * @param {Object} options - Merge options
+     * @param {Object} options - Merge options: strategy (merge, squash, rebase, fast-forward), noFF, message
+     *   (commitMessage), targetBranch (current branch by default), actor ('workflow' or 'user') and
+     *   checks ({ tests, qualityGates }) for branch protection
      * @returns {Promise<Object>} Merge result
+     * @throws {MergeConflictError} When the merge stopped with conflicts; the merge stays in progress
      */
     async mergeBranch(repoPath, branchName, options = {}) {
-        const { strategy = 'recursive', noFF = false } = options;
+        const { strategy = 'recursive', noFF = false, targetBranch = null, actor = 'workflow', checks = {} } = options;
+        const message = options.message || options.commitMessage || null;
 
         try {
             this.logger.info('GitService: Merging branch using step', { repoPath, branchName, strategy, noFF });
@@ -805,16 +839,28 @@ class GitService {
                 throw new Error('StepRegistry not available for Git operations');
             }
 
+            await this.checkBranchProtection('merge', repoPath, { sourceBranch: branchName, targetBranch, actor, checks });
+
             const stepContext = {
                 projectPath: repoPath,
                 branchName,
                 strategy,
-                noFF
+                noFF,
+                actor,
+                checks
             };
+            if (targetBranch) {
+                stepContext.targetBranch = targetBranch;
+            }
+            if (message) {
+                stepContext.message = message;
+            }
 
             const result = await this.stepRegistry.executeStep('GitMergeBranchStep', stepContext);
+            // A failed merge is reported in the wrapped step result
+            const output = result.result || {};
             
-            if (result.success) {
+            if (result.success && output.success !== false) {
                 if (this.eventBus) {
                     this.eventBus.publish('git.branch.merge', {
                         repoPath,
@@ -825,10 +871,26 @@ class GitService {
                     });
                 }
                 return { success: true, output: result.result };
+            } else if (output.conflicted) {
+                // The merge stays in progress so the conflicts can be resolved or aborted
+                if (this.eventBus) {
+                    this.eventBus.publish('git.merge.conflicts', {
+                        repoPath,
+                        branchName,
+                        targetBranch,
+                        workspacePath: output.workspacePath || repoPath,
+                        files: output.conflicts.files.map(entry => entry.file),
+                        timestamp: new Date()
+                    });
+                }
+                throw new MergeConflictError(`Merge of ${branchName} stopped with conflicts in ${output.conflicts.files.map(entry => entry.file).join(', ')}`, output.conflicts);
             } else {
-                throw new Error(result.error || 'Failed to merge branch');
+                throw new Error(output.error || result.error || 'Failed to merge branch');
             }
         } catch (error) {
+            if (error.name === 'BranchProtectionError' || error.name === 'MergeConflictError') {
+                throw error;
+            }
             this.logger.error('GitService: Failed to merge branch', {
                 repoPath,
                 branchName,
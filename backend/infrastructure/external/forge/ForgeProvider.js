@@ -0,0 +1,147 @@
+/**
+ * Forge Provider
+ * Base class of the forge API clients (GitHub, GitLab, Gitea)
+ * Handles authentication, JSON requests and API errors; subclasses map pull requests
+ * to the normalized shape { id, number, url, state, sourceBranch, targetBranch, title, labels, reviewers }
+ */
+
+class ForgeApiError extends Error {
+  constructor(message, status = null, body = null) {
+    super(message);
+    this.name = 'ForgeApiError';
+    this.code = 'ForgeApiError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_ERROR_BODY_LENGTH = 500;
+
+class ForgeProvider {
+  /**
+   * @param {Object} options - { baseUrl, token, repository ('owner/name'), httpClient, timeoutMs }
+   */
+  constructor(options = {}) {
+    if (!options.baseUrl) {
+      throw new Error(`${this.constructor.name} requires a base URL`);
+    }
+    if (!options.repository) {
+      throw new Error(`${this.constructor.name} requires a repository (owner/name)`);
+    }
+
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.token = options.token || null;
+    this.repository = options.repository.replace(/^\/+|\/+$/g, '').replace(/\.git$/, '');
+    this.httpClient = options.httpClient || ((url, requestOptions) => fetch(url, requestOptions));
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Open a pull request
+   * @param {Object} data - { title, description, sourceBranch, targetBranch }
+   * @returns {Promise<Object>} Normalized pull request
+   */
+  async createPullRequest(data) {
+    throw new Error(`${this.constructor.name} must implement createPullRequest`);
+  }
+
+  /**
+   * Get a pull request by number
+   * @param {number} number - Pull request number (GitLab: merge request iid)
+   * @returns {Promise<Object>} Normalized pull request
+   */
+  async getPullRequest(number) {
+    throw new Error(`${this.constructor.name} must implement getPullRequest`);
+  }
+
+  /**
+   * Find the open pull request of a branch pair
+   * @returns {Promise<Object|null>} Normalized pull request or null
+   */
+  async findOpenPullRequest(sourceBranch, targetBranch) {
+    throw new Error(`${this.constructor.name} must implement findOpenPullRequest`);
+  }
+
+  /**
+   * Add labels to a pull request
+   * @param {number} number - Pull request number
+   * @param {Array<string>} labels - Label names
+   */
+  async addLabels(number, labels) {
+    throw new Error(`${this.constructor.name} must implement addLabels`);
+  }
+
+  /**
+   * Request reviews on a pull request
+   * @param {number} number - Pull request number
+   * @param {Array<string>} reviewers - Usernames
+   */
+  async requestReviewers(number, reviewers) {
+    throw new Error(`${this.constructor.name} must implement requestReviewers`);
+  }
+
+  /**
+   * Authentication headers of the forge
+   * @returns {Object} Headers
+   */
+  getAuthHeaders() {
+    return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+  }
+
+  /**
+   * Send a JSON request to the forge API
+   * @param {string} method - HTTP method
+   * @param {string} apiPath - Path below the base URL
+   * @param {Object} body - JSON body
+   * @returns {Promise<*>} Parsed response body (null for empty responses)
+   */
+  async request(method, apiPath, body = undefined) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let response;
+    try {
+      response = await this.httpClient(`${this.baseUrl}${apiPath}`, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': 'application/json',
+          'User-Agent': 'PIDEA',
+          ...this.getAuthHeaders()
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `timed out after ${this.timeoutMs}ms` : error.message;
+      throw new ForgeApiError(`${method} ${apiPath} failed: ${reason}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const text = await response.text();
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        data = text;
+      }
+    }
+
+    if (!response.ok) {
+      const message = (data && (data.message || data.error)) || String(text).slice(0, MAX_ERROR_BODY_LENGTH);
+      throw new ForgeApiError(
+        `${method} ${apiPath} returned ${response.status}: ${typeof message === 'string' ? message : JSON.stringify(message)}`,
+        response.status,
+        data
+      );
+    }
+
+    return data;
+  }
+}
+
+module.exports = ForgeProvider;
+module.exports.ForgeApiError = ForgeApiError;
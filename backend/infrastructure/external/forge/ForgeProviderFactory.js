@@ -0,0 +1,132 @@
+/**
+ * Forge Provider Factory
+ * Creates forge API clients by type and derives provider, API base URL and repository
+ * from a git remote URL
+ */
+
+const GitHubForgeProvider = require('./GitHubForgeProvider');
+const GitLabForgeProvider = require('./GitLabForgeProvider');
+const GiteaForgeProvider = require('./GiteaForgeProvider');
+
+class ForgeProviderFactory {
+  constructor() {
+    this.providers = new Map();
+    this.initializeDefaultProviders();
+  }
+
+  /**
+   * Initialize default forge providers
+   */
+  initializeDefaultProviders() {
+    this.registerProvider('github', GitHubForgeProvider);
+    this.registerProvider('gitlab', GitLabForgeProvider);
+    this.registerProvider('gitea', GiteaForgeProvider);
+  }
+
+  /**
+   * Register a provider class
+   * @param {string} type - Provider type
+   * @param {Function} ProviderClass - ForgeProvider subclass
+   */
+  registerProvider(type, ProviderClass) {
+    if (typeof ProviderClass !== 'function' || typeof ProviderClass.prototype.createPullRequest !== 'function') {
+      throw new Error('Forge provider must implement createPullRequest');
+    }
+    this.providers.set(type.toLowerCase(), ProviderClass);
+  }
+
+  /**
+   * Create a provider
+   * @param {string} type - Provider type (github, gitlab, gitea)
+   * @param {Object} options - { baseUrl, token, repository, httpClient, timeoutMs }
+   * @returns {ForgeProvider} Provider instance
+   */
+  createProvider(type, options = {}) {
+    const ProviderClass = this.providers.get(String(type || '').toLowerCase());
+    if (!ProviderClass) {
+      throw new Error(`Unsupported forge provider: ${type} (expected ${this.getAvailableProviders().join(', ')})`);
+    }
+    return new ProviderClass(options);
+  }
+
+  /**
+   * Get list of available providers
+   * @returns {Array<string>} Provider types
+   */
+  getAvailableProviders() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Parse a git remote URL (https, ssh or scp-like)
+   * @param {string} remoteUrl - Remote URL
+   * @returns {Object|null} { protocol, host, repository } or null when the URL is not a forge remote
+   */
+  parseRemoteUrl(remoteUrl) {
+    const url = String(remoteUrl || '').trim();
+
+    // scp-like syntax: git@host:owner/repo.git
+    const scpMatch = url.match(/^(?:[^@/\s]+@)?([^:/\s]+):(?!\/)(.+?)(?:\.git)?\/?$/);
+    if (scpMatch && !/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+      return { protocol: 'https', host: scpMatch[1], repository: scpMatch[2] };
+    }
+
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:', 'ssh:', 'git:'].includes(parsed.protocol)) {
+        return null;
+      }
+      const repository = decodeURIComponent(parsed.pathname).replace(/^\/+|\/+$/g, '').replace(/\.git$/, '');
+      if (!repository.includes('/')) {
+        return null;
+      }
+      return {
+        protocol: parsed.protocol === 'http:' ? 'http' : 'https',
+        // ssh ports are not API ports
+        host: ['http:', 'https:'].includes(parsed.protocol) ? parsed.host : parsed.hostname,
+        repository
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Provider type of a forge host when it is recognizable by name
+   * @param {string} host - Host name
+   * @returns {string|null} Provider type
+   */
+  detectProvider(host) {
+    const name = String(host || '').toLowerCase();
+    if (name === 'github.com' || name.includes('github')) {
+      return 'github';
+    }
+    if (name.includes('gitlab')) {
+      return 'gitlab';
+    }
+    if (name.includes('gitea') || name.includes('forgejo') || name === 'codeberg.org') {
+      return 'gitea';
+    }
+    return null;
+  }
+
+  /**
+   * API base URL of a provider on a host
+   * @param {string} type - Provider type
+   * @param {Object} remote - Parsed remote ({ protocol, host })
+   * @returns {string} API base URL
+   */
+  getDefaultBaseUrl(type, remote) {
+    const origin = `${remote.protocol}://${remote.host}`;
+    switch (type) {
+      case 'github':
+        return remote.host === 'github.com' ? 'https://api.github.com' : `${origin}/api/v3`;
+      case 'gitlab':
+        return `${origin}/api/v4`;
+      default:
+        return `${origin}/api/v1`;
+    }
+  }
+}
+
+module.exports = ForgeProviderFactory;
@@ -0,0 +1,73 @@
+/**
+ * GitHub Forge Provider
+ * Pull requests through the GitHub REST API (github.com or GitHub Enterprise at <host>/api/v3)
+ */
+
+const ForgeProvider = require('./ForgeProvider');
+
+class GitHubForgeProvider extends ForgeProvider {
+  constructor(options = {}) {
+    super({ baseUrl: 'https://api.github.com', ...options });
+    this.type = 'github';
+  }
+
+  getAuthHeaders() {
+    return {
+      Accept: 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28',
+      ...super.getAuthHeaders()
+    };
+  }
+
+  async createPullRequest(data) {
+    const pullRequest = await this.request('POST', `/repos/${this.repository}/pulls`, {
+      title: data.title,
+      body: data.description || '',
+      head: data.sourceBranch,
+      base: data.targetBranch
+    });
+    return this.normalize(pullRequest);
+  }
+
+  async getPullRequest(number) {
+    return this.normalize(await this.request('GET', `/repos/${this.repository}/pulls/${number}`));
+  }
+
+  async findOpenPullRequest(sourceBranch, targetBranch) {
+    const owner = this.repository.split('/')[0];
+    const query = `state=open&head=${encodeURIComponent(`${owner}:${sourceBranch}`)}&base=${encodeURIComponent(targetBranch)}`;
+    const pullRequests = await this.request('GET', `/repos/${this.repository}/pulls?${query}`);
+    return Array.isArray(pullRequests) && pullRequests.length > 0 ? this.normalize(pullRequests[0]) : null;
+  }
+
+  async addLabels(number, labels) {
+    // Pull requests share the issue label API
+    await this.request('POST', `/repos/${this.repository}/issues/${number}/labels`, { labels });
+  }
+
+  async requestReviewers(number, reviewers) {
+    await this.request('POST', `/repos/${this.repository}/pulls/${number}/requested_reviewers`, { reviewers });
+  }
+
+  normalize(pullRequest) {
+    let state = pullRequest.state === 'open' ? 'open' : 'closed';
+    if (pullRequest.merged || pullRequest.merged_at) {
+      state = 'merged';
+    }
+
+    return {
+      id: pullRequest.id,
+      number: pullRequest.number,
+      url: pullRequest.html_url,
+      state,
+      draft: Boolean(pullRequest.draft),
+      title: pullRequest.title,
+      sourceBranch: pullRequest.head && pullRequest.head.ref,
+      targetBranch: pullRequest.base && pullRequest.base.ref,
+      labels: (pullRequest.labels || []).map(label => label.name),
+      reviewers: (pullRequest.requested_reviewers || []).map(user => user.login)
+    };
+  }
+}
+
+module.exports = GitHubForgeProvider;
@@ -0,0 +1,80 @@
+/**
+ * GitLab Forge Provider
+ * Merge requests through the GitLab REST API (gitlab.com or a self-hosted <host>/api/v4)
+ */
+
+const ForgeProvider = require('./ForgeProvider');
+
+const STATES = { opened: 'open', merged: 'merged', closed: 'closed', locked: 'open' };
+
+class GitLabForgeProvider extends ForgeProvider {
+  constructor(options = {}) {
+    super({ baseUrl: 'https://gitlab.com/api/v4', ...options });
+    this.type = 'gitlab';
+    this.projectPath = `/projects/${encodeURIComponent(this.repository)}`;
+  }
+
+  getAuthHeaders() {
+    return this.token ? { 'PRIVATE-TOKEN': this.token } : {};
+  }
+
+  async createPullRequest(data) {
+    const mergeRequest = await this.request('POST', `${this.projectPath}/merge_requests`, {
+      title: data.title,
+      description: data.description || '',
+      source_branch: data.sourceBranch,
+      target_branch: data.targetBranch,
+      remove_source_branch: false
+    });
+    return this.normalize(mergeRequest);
+  }
+
+  async getPullRequest(number) {
+    return this.normalize(await this.request('GET', `${this.projectPath}/merge_requests/${number}`));
+  }
+
+  async findOpenPullRequest(sourceBranch, targetBranch) {
+    const query = `state=opened&source_branch=${encodeURIComponent(sourceBranch)}&target_branch=${encodeURIComponent(targetBranch)}`;
+    const mergeRequests = await this.request('GET', `${this.projectPath}/merge_requests?${query}`);
+    return Array.isArray(mergeRequests) && mergeRequests.length > 0 ? this.normalize(mergeRequests[0]) : null;
+  }
+
+  async addLabels(number, labels) {
+    await this.request('PUT', `${this.projectPath}/merge_requests/${number}`, { add_labels: labels.join(',') });
+  }
+
+  async requestReviewers(number, reviewers) {
+    // GitLab assigns reviewers by user id
+    const reviewerIds = [];
+    for (const username of reviewers) {
+      const users = await this.request('GET', `/users?username=${encodeURIComponent(username)}`);
+      if (!Array.isArray(users) || users.length === 0) {
+        throw new ForgeProvider.ForgeApiError(`GitLab user ${username} not found`, 404);
+      }
+      reviewerIds.push(users[0].id);
+    }
+
+    const mergeRequest = await this.request('GET', `${this.projectPath}/merge_requests/${number}`);
+    const existingIds = (mergeRequest.reviewers || []).map(user => user.id);
+    await this.request('PUT', `${this.projectPath}/merge_requests/${number}`, {
+      reviewer_ids: [...new Set([...existingIds, ...reviewerIds])]
+    });
+  }
+
+  normalize(mergeRequest) {
+    return {
+      id: mergeRequest.id,
+      number: mergeRequest.iid,
+      url: mergeRequest.web_url,
+      state: STATES[mergeRequest.state] || mergeRequest.state,
+      draft: Boolean(mergeRequest.draft || mergeRequest.work_in_progress),
+      title: mergeRequest.title,
+      sourceBranch: mergeRequest.source_branch,
+      targetBranch: mergeRequest.target_branch,
+      labels: mergeRequest.labels || [],
+      reviewers: (mergeRequest.reviewers || []).map(user => user.username)
+    };
+  }
+}
+
+module.exports = GitLabForgeProvider;
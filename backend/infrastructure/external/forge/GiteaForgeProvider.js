@@ -0,0 +1,79 @@
+/**
+ * Gitea Forge Provider
+ * Pull requests through the Gitea REST API (<host>/api/v1); also works with Forgejo
+ */
+
+const ForgeProvider = require('./ForgeProvider');
+
+class GiteaForgeProvider extends ForgeProvider {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'gitea';
+  }
+
+  getAuthHeaders() {
+    return this.token ? { Authorization: `token ${this.token}` } : {};
+  }
+
+  async createPullRequest(data) {
+    const pullRequest = await this.request('POST', `/repos/${this.repository}/pulls`, {
+      title: data.title,
+      body: data.description || '',
+      head: data.sourceBranch,
+      base: data.targetBranch
+    });
+    return this.normalize(pullRequest);
+  }
+
+  async getPullRequest(number) {
+    return this.normalize(await this.request('GET', `/repos/${this.repository}/pulls/${number}`));
+  }
+
+  async findOpenPullRequest(sourceBranch, targetBranch) {
+    const pullRequests = await this.request('GET', `/repos/${this.repository}/pulls?state=open&limit=50`);
+    const match = (pullRequests || []).find(pullRequest =>
+      pullRequest.head && pullRequest.head.ref === sourceBranch &&
+      pullRequest.base && pullRequest.base.ref === targetBranch
+    );
+    return match ? this.normalize(match) : null;
+  }
+
+  async addLabels(number, labels) {
+    // Gitea attaches labels by id
+    const repositoryLabels = await this.request('GET', `/repos/${this.repository}/labels?limit=100`);
+    const ids = labels.map((name) => {
+      const label = (repositoryLabels || []).find(candidate => candidate.name === name);
+      if (!label) {
+        throw new ForgeProvider.ForgeApiError(`Gitea label ${name} does not exist in ${this.repository}`, 404);
+      }
+      return label.id;
+    });
+    await this.request('POST', `/repos/${this.repository}/issues/${number}/labels`, { labels: ids });
+  }
+
+  async requestReviewers(number, reviewers) {
+    await this.request('POST', `/repos/${this.repository}/pulls/${number}/requested_reviewers`, { reviewers });
+  }
+
+  normalize(pullRequest) {
+    let state = pullRequest.state === 'open' ? 'open' : 'closed';
+    if (pullRequest.merged) {
+      state = 'merged';
+    }
+
+    return {
+      id: pullRequest.id,
+      number: pullRequest.number,
+      url: pullRequest.html_url,
+      state,
+      draft: false,
+      title: pullRequest.title,
+      sourceBranch: pullRequest.head && pullRequest.head.ref,
+      targetBranch: pullRequest.base && pullRequest.base.ref,
+      labels: (pullRequest.labels || []).map(label => label.name),
+      reviewers: (pullRequest.requested_reviewers || []).map(user => user.login || user.username)
+    };
+  }
+}
+
+module.exports = GiteaForgeProvider;
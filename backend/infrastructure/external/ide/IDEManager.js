@@ -11,9 +11,12 @@ const IDEConfigManager = require('./IDEConfigManager');
 const IDEHealthMonitor = require('./IDEHealthMonitor');
 const IDEPortManager = require('@domain/services/ide/IDEPortManager');
 const path = require('path');
+const crypto = require('crypto');
 const CDPConnectionManager = require('../cdp/CDPConnectionManager');
 const CDPWorkspaceDetector = require('@services/workspace/CDPWorkspaceDetector');
 const SelectorVersionManager = require('@domain/services/ide/SelectorVersionManager');
+const SelectorCollectionBot = require('@domain/services/ide/SelectorCollectionBot');
+const SelectorCollector = require('./SelectorCollector');
 const VersionDetectionService = require('@domain/services/ide/VersionDetectionService');
 const VersionDetector = require('./VersionDetector');
 const ServiceLogger = require('@logging/ServiceLogger');
@@ -33,8 +36,12 @@ class IDEManager {
     // Initialize port manager
     this.portManager = new IDEPortManager(this, eventBus);
     
-    // Initialize version manager
-    this.versionManager = new SelectorVersionManager();
+    // Initialize version manager (proposes selector files for review when selectors drift)
+    this.versionManager = new SelectorVersionManager({
+      selectorCollectionBot: new SelectorCollectionBot({ selectorCollector: new SelectorCollector() })
+    });
+    this.selectorHealthReports = new Map(); // port -> last selector health report
+    this.selectorProposals = new Map(); // ideType:version -> { signature, proposal } of the last proposal
     
     // Initialize version detection service
     this.versionDetector = new VersionDetector({
@@ -87,6 +94,8 @@ class IDEManager {
     this.activePort = null;
     this.ideStatus = new Map(); // port -> status
     this.ideWorkspaces = new Map(); // port -> workspace path
+    this.workspaceOverrides = new Map(); // port -> { workspacePath, detectedWorkspacePath } set through setWorkspacePath
+    this.ideUserDataDirs = new Map(); // port -> user data directory of IDEs started here, addresses them on the CLI
     this.ideTypes = new Map(); // port -> ide type
     this.initialized = false;
     
@@ -425,6 +434,9 @@ class IDEManager {
     this.ideStatus.set(availablePort, 'starting');
     this.ideWorkspaces.set(availablePort, workspacePath);
     this.ideTypes.set(availablePort, ideType);
+    if (ideInfo.userDataDir) {
+      this.ideUserDataDirs.set(availablePort, ideInfo.userDataDir);
+    }
     
     // Register for health monitoring
     if (this.healthMonitor && typeof this.healthMonitor.registerIDE === 'function') {
@@ -518,6 +530,13 @@ class IDEManager {
       logger.info(`Browser manager already on port ${port}, no switching needed`);
     }
     
+    // Probe selector health in the background so a Cursor update is noticed right on connect
+    if (this.browserManager) {
+      this.checkSelectorHealth(port).catch(error => {
+        logger.warn(`Selector health probe failed for port ${port}:`, error.message);
+      });
+    }
+    
     logger.info(`Successfully switched to IDE on port ${port}`);
     
     // ✅ NEW: Automatically detect workspace for the switched IDE
@@ -562,6 +581,8 @@ class IDEManager {
     // Update status and remove tracking
     this.ideStatus.delete(port);
     this.ideWorkspaces.delete(port);
+    this.workspaceOverrides.delete(port);
+    this.ideUserDataDirs.delete(port);
     this.ideTypes.delete(port);
     
     // Unregister from health monitoring
@@ -607,6 +628,76 @@ class IDEManager {
     return activeIDE;
   }
 
+  /**
+   * Check the critical selectors of an IDE against its live DOM, apply healed selectors to the
+   * browser manager and propose a new selector file for review when selectors drifted
+   * @param {number} port - IDE port
+   * @returns {Promise<Object>} Selector health report
+   */
+  async checkSelectorHealth(port) {
+    if (!this.browserManager) {
+      throw new Error('BrowserManager not available for selector health probe');
+    }
+
+    const ideType = this.ideTypes.get(port) || await this.browserManager.detectIDEType(port);
+    const version = await this.browserManager.detectIDEVersion(port);
+    const page = await this.browserManager.getPageForPort(port);
+
+    const report = await this.versionManager.probeSelectorHealth(page, ideType, version, { port });
+    this.browserManager.setHealedSelectors(ideType, version, report.healedSelectors, report.baseVersion);
+
+    if (!report.healthy) {
+      // Reconnecting with the same drift reuses the proposal instead of collecting a new one
+      const key = `${ideType}:${version}`;
+      const signature = this.getSelectorDriftSignature(report);
+      const previous = this.selectorProposals.get(key);
+      if (previous && previous.signature === signature) {
+        report.proposal = previous.proposal;
+      } else {
+        try {
+          report.proposal = await this.versionManager.proposeSelectorUpdate(report);
+          this.selectorProposals.set(key, { signature, proposal: report.proposal });
+        } catch (error) {
+          logger.warn(`Could not propose selector file for ${ideType} ${version}:`, error.message);
+          report.proposal = null;
+        }
+      }
+    }
+
+    this.selectorHealthReports.set(port, report);
+    if (this.eventBus) {
+      this.eventBus.emit('ide:selectors:health', report);
+    }
+    return report;
+  }
+
+  /**
+   * Hash of the drifted selectors of a health report
+   * @param {Object} report - Selector health report
+   * @returns {string} Signature
+   */
+  getSelectorDriftSignature(report) {
+    const drift = (report.selectors || [])
+      .filter(result => result.status !== 'ok')
+      .map(result => [result.path, result.status, result.healedWith || null]);
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([report.baseVersion, drift]))
+      .digest('hex');
+  }
+
+  /**
+   * Get the last selector health report for an IDE, probing if there is none yet
+   * @param {number} port - IDE port
+   * @param {Object} options - { refresh: run a new probe }
+   * @returns {Promise<Object>} Selector health report
+   */
+  async getSelectorHealth(port, options = {}) {
+    if (!options.refresh && this.selectorHealthReports.has(port)) {
+      return this.selectorHealthReports.get(port);
+    }
+    return await this.checkSelectorHealth(port);
+  }
+
   /**
    * Get IDE type for port
    * @param {number} port - IDE port
@@ -643,6 +734,13 @@ class IDEManager {
    */
   async detectWorkspacePath(port) {
     try {
+      // A workspace set explicitly (e.g. a task worktree) wins over the folder the IDE reports
+      if (this.workspaceOverrides.has(port)) {
+        const { workspacePath } = this.workspaceOverrides.get(port);
+        this.ideWorkspaces.set(port, workspacePath);
+        return workspacePath;
+      }
+
       logger.info(`Starting workspace detection for port ${port}`);
       
       // Try modern CDP-based detection first
@@ -1057,6 +1155,82 @@ class IDEManager {
     return this.activePort;
   }
 
+  /**
+   * Set the workspace path of an IDE
+   * The IDE opens the folder in its window (through its CLI), and the path overrides workspace
+   * detection until it is cleared
+   * @param {number} port - IDE port
+   * @param {string|null} workspacePath - Workspace path, null reopens the detected workspace
+   * @returns {Promise<Object>} { port, workspacePath, previousWorkspacePath } where previousWorkspacePath
+   *   is the path set before (null when the workspace was detected)
+   * @throws {Error} When the IDE cannot open the folder, e.g. an IDE not started by PIDEA or one whose
+   *   CLI cannot address a running instance; the workspace is left unchanged then
+   */
+  async setWorkspacePath(port, workspacePath) {
+    const numericPort = parseInt(port, 10);
+    if (!numericPort) {
+      throw new Error(`Invalid IDE port: ${port}`);
+    }
+
+    const previous = this.workspaceOverrides.get(numericPort) || null;
+    const detectedWorkspacePath = previous
+      ? previous.detectedWorkspacePath
+      : this.ideWorkspaces.get(numericPort) || null;
+
+    const folder = workspacePath || detectedWorkspacePath;
+    if (folder && folder !== this.ideWorkspaces.get(numericPort)) {
+      await this.openWorkspace(numericPort, folder);
+    }
+
+    if (workspacePath) {
+      this.workspaceOverrides.set(numericPort, { workspacePath, detectedWorkspacePath });
+      this.ideWorkspaces.set(numericPort, workspacePath);
+    } else {
+      this.workspaceOverrides.delete(numericPort);
+      if (detectedWorkspacePath) {
+        this.ideWorkspaces.set(numericPort, detectedWorkspacePath);
+      } else {
+        this.ideWorkspaces.delete(numericPort);
+      }
+    }
+
+    // The cached IDE list carries the workspace paths
+    backendCache.delete('ide_available_list');
+
+    const currentWorkspacePath = this.ideWorkspaces.get(numericPort) || null;
+    logger.info(`Workspace of IDE on port ${numericPort} set to ${currentWorkspacePath || 'detection'}`);
+
+    if (this.eventBus) {
+      this.eventBus.emit('ideListUpdated', {
+        port: numericPort,
+        workspacePath: currentWorkspacePath,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return {
+      port: numericPort,
+      workspacePath: currentWorkspacePath,
+      previousWorkspacePath: previous ? previous.workspacePath : null
+    };
+  }
+
+  /**
+   * Open a folder in the window of a running IDE
+   * @param {number} port - IDE port
+   * @param {string} workspacePath - Folder to open
+   * @throws {Error} When the IDE was not started here or its type cannot open folders in a running instance
+   */
+  async openWorkspace(port, workspacePath) {
+    const ideType = this.ideTypes.get(port) || 'cursor';
+    const userDataDir = this.ideUserDataDirs.get(port);
+    if (!userDataDir) {
+      throw new Error(`IDE on port ${port} was not started by PIDEA, its workspace cannot be changed`);
+    }
+    await this.starterFactory.openWorkspace(ideType, port, workspacePath, { userDataDir });
+    logger.info(`IDE on port ${port} opened ${workspacePath}`);
+  }
+
   /**
    * Get workspace path for port
    * @param {number} port - IDE port
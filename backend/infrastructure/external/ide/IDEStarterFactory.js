@@ -108,6 +108,23 @@ class IDEStarterFactory {
     }
   }
 
+  /**
+   * Open a folder in the window of a running IDE
+   * @param {string} type - IDE type
+   * @param {number} port - IDE port
+   * @param {string} workspacePath - Folder to open
+   * @param {Object} options - userDataDir of the running instance
+   * @returns {Promise<Object>} Open result
+   * @throws {Error} When the IDE type cannot open folders in a running instance
+   */
+  async openWorkspace(type, port, workspacePath, options = {}) {
+    const starter = this.createStarter(type);
+    if (typeof starter.openWorkspace !== 'function') {
+      throw new Error(`${type} IDEs cannot open a workspace in a running instance`);
+    }
+    return await starter.openWorkspace(port, workspacePath, options);
+  }
+
   /**
    * Stop IDE on specific port
    * @param {number} port - Port of IDE to stop
@@ -4,8 +4,10 @@
  * Starts Cursor IDE instances and manages Cursor-specific startup logic
  */
 
-const { spawn } = require('child_process');
+const { spawn, execFile } = require('child_process');
 const path = require('path');
+const util = require('util');
+const execFileAsync = util.promisify(execFile);
 const ServiceLogger = require('@logging/ServiceLogger');
 const logger = new ServiceLogger('CursorStarter');
 
@@ -14,6 +16,7 @@ class CursorStarter {
     this.config = {
       name: 'Cursor',
       executable: '/home/fr4iser/Documents/Git/PIDEA/start_ide_example.sh', // Use your AppImage script
+      cli: 'cursor', // Command line tool, hands folders to running instances
       defaultArgs: [
         'cursor', // IDE type for your script
         'auto'    // Auto-find free port
@@ -54,10 +57,9 @@ class CursorStarter {
       args.push(workspacePath);
     }
 
-    // Add additional options
-    if (options.userDataDir) {
-      args.push(`--user-data-dir=${options.userDataDir}`);
-    }
+    // Every instance gets its own user data directory, the CLI addresses running instances by it
+    const userDataDir = options.userDataDir || path.join(process.cwd(), 'cursor-data-' + port);
+    args.push(`--user-data-dir=${userDataDir}`);
 
     if (options.extensionsDir) {
       args.push(`--extensions-dir=${options.extensionsDir}`);
@@ -107,7 +109,8 @@ class CursorStarter {
         status: 'starting',
         ideType: 'cursor',
         args: args,
-        workspacePath: workspacePath
+        workspacePath: workspacePath,
+        userDataDir: userDataDir
       };
 
     } catch (error) {
@@ -116,6 +119,26 @@ class CursorStarter {
     }
   }
 
+  /**
+   * Open a folder in the running instance started on a port
+   * The CLI hands the folder to the instance with the same user data directory, which replaces the
+   * folder of its window
+   * @param {number} port - Port the instance was started on
+   * @param {string} workspacePath - Folder to open
+   * @param {Object} options - userDataDir of the instance (the startIDE default otherwise)
+   * @returns {Promise<Object>} Open result
+   */
+  async openWorkspace(port, workspacePath, options = {}) {
+    const userDataDir = options.userDataDir || path.join(process.cwd(), 'cursor-data-' + port);
+    await execFileAsync(this.config.cli, [`--user-data-dir=${userDataDir}`, '--reuse-window', workspacePath], { timeout: 30000 });
+
+    return {
+      port,
+      workspacePath,
+      userDataDir
+    };
+  }
+
   /**
    * Stop Cursor IDE
    * @param {number} port - Port of IDE to stop
@@ -4,8 +4,10 @@
  * Starts VSCode IDE instances and manages VSCode-specific startup logic
  */
 
-const { spawn } = require('child_process');
+const { spawn, execFile } = require('child_process');
 const path = require('path');
+const util = require('util');
+const execFileAsync = util.promisify(execFile);
 
 class VSCodeStarter {
   constructor() {
@@ -179,6 +181,31 @@ class VSCodeStarter {
     }
   }
 
+  /**
+   * Open a folder in the running instance started on a port
+   * The CLI hands the folder to the instance with the same user data directory, which replaces the
+   * folder of its window
+   * @param {number} port - Port the instance was started on
+   * @param {string} workspacePath - Folder to open
+   * @param {Object} options - userDataDir of the instance (the startIDE default otherwise)
+   * @returns {Promise<Object>} Open result
+   */
+  async openWorkspace(port, workspacePath, options = {}) {
+    const executable = this.findVSCodeExecutable();
+    if (!executable) {
+      throw new Error('VSCode executable not found');
+    }
+
+    const userDataDir = options.userDataDir || path.join(process.cwd(), 'vscode-data-' + port);
+    await execFileAsync(executable, [`--user-data-dir=${userDataDir}`, '--reuse-window', workspacePath], { timeout: 30000 });
+
+    return {
+      port,
+      workspacePath,
+      userDataDir
+    };
+  }
+
   /**
    * Check if VSCode is installed
    * @returns {Promise<boolean>} True if VSCode is installed
@@ -1,9 +1,19 @@
 const ServiceLogger = require('@logging/ServiceLogger');
 
+/**
+ * EventBus - In-process publish/subscribe with an optional persistent event log
+ * With an eventLog (see PostgreSQLEventLogRepository) every published event gets a
+ * monotonically increasing offset and can be replayed or consumed with cursors.
+ */
 class EventBus {
-  constructor() {
+  constructor(options = {}) {
     this.handlers = new Map();
+    this.streamListeners = new Set();
     this.middleware = [];
+    this.eventLog = options.eventLog || null;
+    this.sequence = 0;
+    // Offsets are assigned one event at a time so stream listeners see them in order
+    this.recordQueue = Promise.resolve();
     this.logger = new ServiceLogger('EventBus');
   }
 
@@ -31,16 +41,29 @@ class EventBus {
     }
   }
 
+  // Subscribe to every published event ({ offset, eventName, data, timestamp }), returns an unsubscribe function
+  subscribeAll(listener) {
+    this.streamListeners.add(listener);
+    return () => this.unsubscribeAll(listener);
+  }
+
+  // Unsubscribe a listener registered with subscribeAll
+  unsubscribeAll(listener) {
+    this.streamListeners.delete(listener);
+  }
+
   // Publish events
   async publish(eventName, eventData) {
     this.logger.info(`Publishing event: ${eventName}`);
-    
+
     // Apply middleware
     let processedEventData = eventData;
     for (const middleware of this.middleware) {
       processedEventData = await middleware(eventName, processedEventData);
     }
 
+    const record = await this.recordAndStream(eventName, processedEventData);
+
     // Execute handlers
     if (this.handlers.has(eventName)) {
       const handlers = this.handlers.get(eventName);
@@ -48,13 +71,35 @@ class EventBus {
         try {
           return handler(processedEventData);
         } catch (error) {
-          logger.error(`Error in handler for ${eventName}:`, error);
+          this.logger.error(`Error in handler for ${eventName}:`, error);
           return Promise.resolve();
         }
       });
-      
+
       await Promise.allSettled(promises);
     }
+
+    return record;
+  }
+
+  // Record an event and notify stream listeners (SSE clients, external consumers) as soon as its
+  // offset is assigned; events are recorded one after another, so listeners get increasing offsets
+  // even when publishes overlap or their handlers take different times
+  recordAndStream(eventName, eventData) {
+    const recorded = this.recordQueue
+      .then(() => this.record(eventName, eventData))
+      .then((record) => {
+        for (const listener of this.streamListeners) {
+          try {
+            listener(record);
+          } catch (error) {
+            this.logger.error(`Error in stream listener for ${eventName}:`, error);
+          }
+        }
+        return record;
+      });
+    this.recordQueue = recorded.catch(() => {});
+    return recorded;
   }
 
   // Alias for publish (for compatibility with services that use emit)
@@ -62,6 +107,129 @@ class EventBus {
     return this.publish(eventName, eventData);
   }
 
+  // Assign an offset and persist the event when an event log is configured
+  async record(eventName, eventData) {
+    const timestamp = new Date().toISOString();
+
+    if (this.eventLog) {
+      try {
+        const stored = await this.eventLog.append(eventName, this.serialize(eventData));
+        this.sequence = stored.offset;
+        return { offset: stored.offset, eventName, data: eventData, timestamp: stored.createdAt || timestamp, persisted: true };
+      } catch (error) {
+        this.logger.warn(`Failed to persist event ${eventName}: ${error.message}`);
+      }
+    }
+
+    this.sequence++;
+    return { offset: this.sequence, eventName, data: eventData, timestamp, persisted: false };
+  }
+
+  // Serialize event data, dropping values that cannot be represented as JSON
+  serialize(eventData) {
+    const seen = new WeakSet();
+    return JSON.stringify(eventData === undefined ? null : eventData, (key, value) => {
+      if (typeof value === 'object' && value !== null) {
+        if (seen.has(value)) {
+          return '[Circular]';
+        }
+        seen.add(value);
+      }
+      return typeof value === 'function' ? undefined : value;
+    });
+  }
+
+  // Check whether events are written to a persistent log
+  isPersistent() {
+    return !!this.eventLog;
+  }
+
+  // Read persisted events after an offset ({ limit, eventNames })
+  async getEvents(fromOffset = 0, options = {}) {
+    this.requireEventLog();
+    const events = await this.eventLog.findAfterOffset(fromOffset, options);
+    return events.map(event => ({
+      offset: event.offset,
+      eventName: event.eventName,
+      data: this.deserialize(event.payload),
+      timestamp: event.createdAt,
+      persisted: true
+    }));
+  }
+
+  // Get the offset of the newest persisted event
+  async getLatestOffset() {
+    return this.eventLog ? this.eventLog.getLatestOffset() : this.sequence;
+  }
+
+  // Replay persisted events after an offset through a handler, returns the last replayed offset
+  async replay(fromOffset, handler, options = {}) {
+    const batchSize = options.batchSize || 100;
+    let offset = fromOffset;
+
+    for (;;) {
+      const events = await this.getEvents(offset, { limit: batchSize, eventNames: options.eventNames });
+      for (const event of events) {
+        await handler(event);
+        offset = event.offset;
+      }
+      if (events.length < batchSize) {
+        return offset;
+      }
+    }
+  }
+
+  // Get the last offset a consumer has processed
+  async getCursor(consumerId) {
+    this.requireEventLog();
+    return this.eventLog.getCursor(consumerId);
+  }
+
+  // Store the last offset a consumer has processed
+  async commitCursor(consumerId, offset) {
+    this.requireEventLog();
+    return this.eventLog.saveCursor(consumerId, offset);
+  }
+
+  // Deliver events after the consumer's cursor, committing after each handled event.
+  // A failing handler stops consumption so the event is delivered again next time.
+  async consume(consumerId, handler, options = {}) {
+    const startOffset = await this.getCursor(consumerId);
+    let offset = startOffset;
+    let processed = 0;
+
+    try {
+      offset = await this.replay(startOffset, async (event) => {
+        await handler(event);
+        await this.commitCursor(consumerId, event.offset);
+        offset = event.offset;
+        processed++;
+      }, options);
+    } catch (error) {
+      this.logger.warn(`Consumer ${consumerId} stopped at offset ${offset}: ${error.message}`);
+      return { consumerId, offset, processed, error: error.message };
+    }
+
+    return { consumerId, offset, processed, error: null };
+  }
+
+  requireEventLog() {
+    if (!this.eventLog) {
+      throw new Error('Persistent event log is not enabled');
+    }
+  }
+
+  deserialize(payload) {
+    if (payload === null || payload === undefined) {
+      return null;
+    }
+    try {
+      return JSON.parse(payload);
+    } catch (error) {
+      return payload;
+    }
+  }
+
   // Add middleware
   use(middleware) {
     this.middleware.push(middleware);
@@ -70,6 +238,7 @@ class EventBus {
   // Clear all handlers
   clear() {
     this.handlers.clear();
+    this.streamListeners.clear();
   }
 
   // Get handler count for an event
@@ -78,4 +247,4 @@ class EventBus {
   }
 }
 
-module.exports = EventBus; 
\ No newline at end of file
+module.exports = EventBus;
@@ -7,9 +7,10 @@ const Logger = require('@logging/Logger');
 const logger = new Logger('Logger');
 
 class WorkflowPersistenceService {
-  constructor(workflowRepository, logger = console) {
+  constructor(workflowRepository, logger = console, checkpointRepository = null) {
     this.workflowRepository = workflowRepository;
     this.logger = logger;
+    this.checkpointRepository = checkpointRepository;
   }
 
   /**
@@ -507,6 +508,72 @@ class WorkflowPersistenceService {
     }
   }
 
+  /**
+   * Save workflow step checkpoint
+   * @param {Object} checkpoint - Checkpoint JSON (see ExecutionCheckpoint#toJSON)
+   * @returns {Promise<Object>} Saved checkpoint
+   */
+  async saveCheckpoint(checkpoint) {
+    try {
+      if (!this.checkpointRepository) {
+        throw new Error('Checkpoint repository not configured');
+      }
+
+      this.logger.debug('WorkflowPersistenceService: Saving workflow checkpoint', {
+        executionId: checkpoint.executionId,
+        stepIndex: checkpoint.stepIndex,
+        status: checkpoint.status
+      });
+
+      return await this.checkpointRepository.saveCheckpoint(checkpoint);
+    } catch (error) {
+      this.logger.error('WorkflowPersistenceService: Failed to save workflow checkpoint', {
+        executionId: checkpoint.executionId,
+        stepIndex: checkpoint.stepIndex,
+        error: error.message
+      });
+      throw new Error(`Failed to save workflow checkpoint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get checkpoints of a workflow execution
+   * @param {string} executionId - Execution ID
+   * @returns {Promise<Array>} Checkpoints ordered by step
+   */
+  async getCheckpoints(executionId) {
+    try {
+      if (!this.checkpointRepository) {
+        throw new Error('Checkpoint repository not configured');
+      }
+
+      const checkpoints = await this.checkpointRepository.findCheckpointsByExecutionId(executionId);
+
+      this.logger.debug('WorkflowPersistenceService: Workflow checkpoints retrieved', {
+        executionId,
+        count: checkpoints.length
+      });
+
+      return checkpoints;
+    } catch (error) {
+      this.logger.error('WorkflowPersistenceService: Failed to get workflow checkpoints', {
+        executionId,
+        error: error.message
+      });
+      throw new Error(`Failed to get workflow checkpoints: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get latest checkpoint of a workflow execution
+   * @param {string} executionId - Execution ID
+   * @returns {Promise<Object|null>} Latest checkpoint or null
+   */
+  async getLatestCheckpoint(executionId) {
+    const checkpoints = await this.getCheckpoints(executionId);
+    return checkpoints.length > 0 ? checkpoints[checkpoints.length - 1] : null;
+  }
+
   /**
    * Set logger
    * @param {Object} logger - Logger instance
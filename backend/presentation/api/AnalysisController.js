@@ -270,7 +270,7 @@ class AnalysisController {
     try {
       this.markRequestActive(requestKey);
       const { projectId } = req.params;
-      const { type = 'code-quality' } = req.query;
+      const { type = 'code-quality', baseline, since } = req.query;
       
       this.logger.info(`🔍 Getting analysis issues for project: ${projectId}, type: ${type}`);
       
@@ -284,7 +284,7 @@ class AnalysisController {
       }
       
       // Use Application Service for issues
-      const issues = await this.analysisApplicationService.getAnalysisIssues(projectId, type);
+      const issues = await this.analysisApplicationService.getAnalysisIssues(projectId, type, { baseline, since });
       
       this.markRequestCompleted(requestKey);
       res.json({
@@ -340,6 +340,214 @@ class AnalysisController {
     }
   }
 
+  /**
+   * GET /api/projects/:projectId/analysis/coverage/history - Get coverage measurements over time
+   */
+  async getCoverageHistory(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { limit = '50', from, to } = req.query;
+      
+      this.logger.info(`📈 Getting coverage history for project: ${projectId}`);
+      
+      const history = await this.analysisApplicationService.getCoverageHistory(projectId, {
+        limit: parseInt(limit),
+        from,
+        to
+      });
+      
+      res.json({
+        success: true,
+        data: {
+          history,
+          latest: history.length > 0 ? history[history.length - 1] : null
+        },
+        projectId,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      this.logger.error('❌ Failed to get coverage history:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get coverage history',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/projects/:projectId/analysis/diff - Compare an analysis with a baseline (new, fixed, unchanged issues)
+   */
+  async getAnalysisDiff(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { type = 'code-quality', analysisId, baseline, since } = req.query;
+      
+      this.logger.info(`🔀 Getting ${type} analysis diff for project: ${projectId}`);
+      
+      const diff = await this.analysisApplicationService.getAnalysisDiff(projectId, { type, analysisId, baseline, since });
+      
+      res.json({
+        success: true,
+        data: diff,
+        projectId,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      this.logger.error('❌ Failed to get analysis diff:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get analysis diff',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/projects/:projectId/quality-gates/status - Evaluate the project's quality gates
+   */
+  async getQualityGateStatus(req, res) {
+    try {
+      const { projectId } = req.params;
+      
+      this.logger.info(`🚦 Evaluating quality gates for project: ${projectId}`);
+      
+      const status = await this.analysisApplicationService.getQualityGateStatus(projectId);
+      
+      res.json({
+        success: true,
+        data: status,
+        projectId,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      this.logger.error('❌ Failed to evaluate quality gates:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to evaluate quality gates',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/projects/:projectId/analysis/baseline - Get the saved baseline of a branch
+   */
+  async getAnalysisBaseline(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { type = 'code-quality', branch } = req.query;
+      
+      const baseline = await this.analysisApplicationService.getBaseline(projectId, { type, branch });
+      
+      res.json({
+        success: true,
+        data: baseline,
+        projectId,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      this.logger.error('❌ Failed to get analysis baseline:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get analysis baseline',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/projects/:projectId/analysis/baseline - Snapshot an analysis as the baseline of a branch
+   */
+  async createAnalysisBaseline(req, res) {
+    try {
+      const { projectId } = req.params;
+      const { type = 'code-quality', analysisId, branch } = req.body || {};
+      
+      this.logger.info(`📌 Saving ${type} analysis baseline for project: ${projectId}`);
+      
+      const baseline = await this.analysisApplicationService.createBaseline(projectId, { type, analysisId, branch });
+      
+      res.status(201).json({
+        success: true,
+        data: baseline,
+        projectId,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      this.logger.error('❌ Failed to save analysis baseline:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save analysis baseline',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/projects/:projectId/analysis/sarif - Download the latest analyses as a SARIF 2.1.0 log
+   */
+  async exportSarif(req, res) {
+    try {
+      const { projectId } = req.params;
+      const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : null;
+      
+      this.logger.info(`📤 Exporting SARIF for project: ${projectId}`);
+      
+      const report = await this.analysisApplicationService.exportSarif(projectId, { types });
+      
+      res.setHeader('Content-Type', 'application/sarif+json');
+      res.setHeader('Content-Disposition', `attachment; filename="${report.filename}"`);
+      res.send(JSON.stringify(report.sarif, null, 2));
+      
+    } catch (error) {
+      this.logger.error('❌ Failed to export SARIF:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export SARIF',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/projects/:projectId/analysis/sarif - Attach an external SARIF log to a project analysis
+   * Body: the SARIF log, or { sarif, type, analysisId }
+   */
+  async importSarif(req, res) {
+    try {
+      const { projectId } = req.params;
+      const body = req.body || {};
+      const sarif = body.sarif || body;
+      const type = req.query.type || body.type || 'security';
+      const analysisId = req.query.analysisId || body.analysisId || null;
+      
+      this.logger.info(`📥 Importing SARIF into ${type} analysis for project: ${projectId}`);
+      
+      const imported = await this.analysisApplicationService.importSarif(projectId, sarif, { type, analysisId });
+      
+      res.status(201).json({
+        success: true,
+        data: imported,
+        projectId,
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      this.logger.error('❌ Failed to import SARIF:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import SARIF',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * GET /api/projects/:projectId/analysis/metrics - Get analysis metrics
    */
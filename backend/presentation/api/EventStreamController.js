@@ -0,0 +1,187 @@
+/**
+ * EventStreamController - API endpoints for following EventBus events
+ * Streams events as Server-Sent Events and exposes the persistent event log and consumer cursors
+ */
+
+const Logger = require('@logging/Logger');
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const MAX_PAGE_SIZE = 1000;
+
+class EventStreamController {
+    constructor(dependencies = {}) {
+        this.logger = new Logger('EventStreamController');
+        this.eventBus = dependencies.eventBus;
+        this.heartbeatInterval = dependencies.heartbeatInterval || HEARTBEAT_INTERVAL_MS;
+    }
+
+    /**
+     * Stream events as Server-Sent Events
+     * GET /api/events/stream?since=<offset>&events=<name,name>
+     * Reconnecting clients resume from the Last-Event-ID header when the event log is persistent
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async stream(req, res) {
+        const eventNames = this.parseEventNames(req.query.events);
+        const requestedOffset = this.parseOffset(req.query.since);
+        const persistent = this.eventBus.isPersistent();
+
+        if (requestedOffset !== null && !persistent) {
+            return res.status(409).json({
+                success: false,
+                error: 'Replay requires the persistent event log (EVENT_LOG_ENABLED=true)'
+            });
+        }
+        const since = persistent ? requestedOffset ?? this.parseOffset(req.get('Last-Event-ID')) : null;
+
+        res.status(200);
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders?.();
+
+        let lastOffset = since || 0;
+        let buffered = since !== null ? [] : null;
+        const send = (event) => {
+            if (event.offset <= lastOffset || (eventNames && !eventNames.includes(event.eventName))) {
+                return;
+            }
+            lastOffset = event.offset;
+            res.write(`id: ${event.offset}\nevent: message\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+
+        // Events published while replaying are held back so ordering is preserved
+        const unsubscribe = this.eventBus.subscribeAll((event) => {
+            if (buffered) {
+                buffered.push(event);
+            } else {
+                send(event);
+            }
+        });
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), this.heartbeatInterval);
+        heartbeat.unref?.();
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+            this.logger.debug('Event stream closed', { lastOffset });
+        });
+
+        res.write(`: connected\nretry: 3000\n\n`);
+        this.logger.info('Event stream opened', { since, eventNames });
+
+        if (buffered) {
+            try {
+                await this.eventBus.replay(since, async (event) => send(event), { eventNames });
+            } catch (error) {
+                this.logger.error('Failed to replay events for stream', { since, error: error.message });
+                res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`);
+            }
+            const pending = buffered;
+            buffered = null;
+            pending.forEach(send);
+        }
+    }
+
+    /**
+     * Read a page of persisted events
+     * GET /api/events?after=<offset>&limit=<n>&events=<name,name>
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getEvents(req, res) {
+        try {
+            if (!this.eventBus.isPersistent()) {
+                return res.status(409).json({ success: false, error: 'Persistent event log is not enabled' });
+            }
+
+            const after = this.parseOffset(req.query.after) || 0;
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, MAX_PAGE_SIZE);
+            const events = await this.eventBus.getEvents(after, {
+                limit,
+                eventNames: this.parseEventNames(req.query.events)
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    events,
+                    nextOffset: events.length > 0 ? events[events.length - 1].offset : after,
+                    latestOffset: await this.eventBus.getLatestOffset()
+                }
+            });
+        } catch (error) {
+            this.logger.error('Failed to read events', { error: error.message });
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Get a consumer cursor
+     * GET /api/events/cursors/:consumerId
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getCursor(req, res) {
+        try {
+            if (!this.eventBus.isPersistent()) {
+                return res.status(409).json({ success: false, error: 'Persistent event log is not enabled' });
+            }
+
+            const { consumerId } = req.params;
+            const offset = await this.eventBus.getCursor(consumerId);
+            res.json({ success: true, data: { consumerId, offset } });
+        } catch (error) {
+            this.logger.error('Failed to read consumer cursor', { consumerId: req.params.consumerId, error: error.message });
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Commit a consumer cursor
+     * PUT /api/events/cursors/:consumerId
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async commitCursor(req, res) {
+        try {
+            if (!this.eventBus.isPersistent()) {
+                return res.status(409).json({ success: false, error: 'Persistent event log is not enabled' });
+            }
+
+            const { consumerId } = req.params;
+            const offset = this.parseOffset(req.body?.offset);
+            if (offset === null) {
+                return res.status(400).json({ success: false, error: 'offset must be a non-negative integer' });
+            }
+
+            await this.eventBus.commitCursor(consumerId, offset);
+            res.json({ success: true, data: { consumerId, offset } });
+        } catch (error) {
+            this.logger.error('Failed to commit consumer cursor', { consumerId: req.params.consumerId, error: error.message });
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+
+    parseOffset(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const offset = Number(value);
+        return Number.isInteger(offset) && offset >= 0 ? offset : null;
+    }
+
+    parseEventNames(value) {
+        if (!value) {
+            return null;
+        }
+        const names = String(value).split(',').map(name => name.trim()).filter(Boolean);
+        return names.length > 0 ? names : null;
+    }
+}
+
+module.exports = EventStreamController;
@@ -0,0 +1,105 @@
+/**
+ * ForgeController - API endpoints for the project's forge (GitHub, GitLab, Gitea)
+ * Manages the forge settings of a project and the pull requests of its tasks
+ */
+
+const Logger = require('@logging/Logger');
+
+class ForgeController {
+    constructor(dependencies = {}) {
+        this.logger = new Logger('ForgeController');
+        this.forgeService = dependencies.forgeService;
+    }
+
+    /**
+     * Get the forge settings of a project (without the token)
+     * GET /api/projects/:projectId/forge
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getSettings(req, res) {
+        try {
+            const { projectId } = req.params;
+            const settings = await this.forgeService.getSettings(projectId);
+            res.json({ success: true, data: settings });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to get forge settings', req.params);
+        }
+    }
+
+    /**
+     * Update the forge settings of a project
+     * PUT /api/projects/:projectId/forge
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async updateSettings(req, res) {
+        try {
+            const { projectId } = req.params;
+            const settings = await this.forgeService.updateSettings(projectId, req.body || {});
+            res.json({ success: true, data: settings });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to update forge settings', req.params);
+        }
+    }
+
+    /**
+     * Open the pull request of a task branch (task/<taskId> by default)
+     * POST /api/projects/:projectId/tasks/:taskId/pull-request
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async createPullRequest(req, res) {
+        try {
+            const { projectId, taskId } = req.params;
+            const { sourceBranch, targetBranch, title, description, labels, reviewers, push } = req.body || {};
+            const pullRequest = await this.forgeService.createPullRequest(projectId, {
+                taskId,
+                sourceBranch,
+                targetBranch,
+                title,
+                description,
+                labels,
+                reviewers,
+                push
+            });
+            res.status(pullRequest.created ? 201 : 200).json({ success: true, data: pullRequest });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to create pull request', req.params);
+        }
+    }
+
+    /**
+     * Refresh and return the pull request status of a task
+     * GET /api/projects/:projectId/tasks/:taskId/pull-request
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getPullRequest(req, res) {
+        try {
+            const { projectId, taskId } = req.params;
+            const pullRequest = await this.forgeService.refreshPullRequestStatus(projectId, taskId);
+            res.json({ success: true, data: pullRequest });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to get pull request', req.params);
+        }
+    }
+
+    handleError(res, error, message, params) {
+        if (error.name === 'ForgeValidationError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (error.name === 'ForgeNotFoundError') {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+        if (error.name === 'ForgeApiError') {
+            this.logger.warn(message, { ...params, status: error.status, error: error.message });
+            return res.status(502).json({ success: false, error: message, message: error.message });
+        }
+
+        this.logger.error(message, { ...params, error: error.message });
+        res.status(500).json({ success: false, error: message, message: error.message });
+    }
+}
+
+module.exports = ForgeController;
@@ -9,6 +9,8 @@ class GitController {
     constructor(dependencies = {}) {
         this.gitApplicationService = dependencies.gitApplicationService;
         this.gitService = dependencies.gitService;
+        this.mergeConflictService = dependencies.mergeConflictService || null;
+        this.worktreeService = dependencies.worktreeService || null;
         this.eventBus = dependencies.eventBus;
         this.logger = dependencies.logger || console;
         if (!this.gitApplicationService) {
@@ -539,7 +541,7 @@ class GitController {
             await this.gitService.pullChanges(projectPath, { branch: targetBranch });
 
             // Merge source branch
-            const result = await this.gitService.mergeBranch(projectPath, sourceBranch);
+            const result = await this.gitService.mergeBranch(projectPath, sourceBranch, { targetBranch, actor: 'user' });
 
             if (this.eventBus) {
                 this.eventBus.publish('git:merge:completed', {
@@ -571,6 +573,24 @@ class GitController {
                 userId: req.user?.id
             });
 
+            if (error.name === 'BranchProtectionError') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Merge blocked by branch protection',
+                    message: error.message,
+                    violations: error.violations
+                });
+            }
+
+            if (error.name === 'MergeConflictError') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Merge stopped with conflicts',
+                    message: error.message,
+                    conflicts: error.conflicts
+                });
+            }
+
             res.status(500).json({
                 success: false,
                 error: 'Failed to merge branches',
@@ -829,7 +849,7 @@ class GitController {
             await this.gitService.pullChanges(projectPath, { branch: 'pidea-agent' });
 
             // Merge source branch into pidea-agent
-            const result = await this.gitService.mergeBranch(projectPath, sourceBranch);
+            const result = await this.gitService.mergeBranch(projectPath, sourceBranch, { targetBranch: 'pidea-agent', actor: 'user' });
 
             if (this.eventBus) {
                 this.eventBus.publish('git:pidea-agent:merge:completed', {
@@ -859,6 +879,24 @@ class GitController {
                 userId: req.user?.id
             });
 
+            if (error.name === 'BranchProtectionError') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Merge blocked by branch protection',
+                    message: error.message,
+                    violations: error.violations
+                });
+            }
+
+            if (error.name === 'MergeConflictError') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Merge stopped with conflicts',
+                    message: error.message,
+                    conflicts: error.conflicts
+                });
+            }
+
             res.status(500).json({
                 success: false,
                 error: 'Failed to merge to pidea-agent branch',
@@ -1069,6 +1107,193 @@ class GitController {
             });
         }
     }
+
+    /**
+     * Get the conflicts of the merge in progress
+     * POST /api/projects/:projectId/git/conflicts
+     */
+    async getConflicts(req, res) {
+        await this.handleConflictRequest(req, res, 'get conflicts', async (projectPath) => {
+            const conflicts = await this.mergeConflictService.detectConflicts(projectPath);
+            return { data: conflicts };
+        });
+    }
+
+    /**
+     * Accept conflict resolutions (all resolved files when none are given)
+     * POST /api/projects/:projectId/git/conflicts/accept
+     */
+    async acceptConflictResolutions(req, res) {
+        await this.handleConflictRequest(req, res, 'accept conflict resolutions', async (projectPath) => {
+            const files = await this.mergeConflictService.acceptResolution(projectPath, req.body.files || []);
+            return {
+                data: { files, conflicts: await this.mergeConflictService.detectConflicts(projectPath) },
+                message: `Accepted resolutions of ${files.length} file(s)`
+            };
+        });
+    }
+
+    /**
+     * Reject conflict resolutions and restore the conflict markers
+     * POST /api/projects/:projectId/git/conflicts/reject
+     */
+    async rejectConflictResolutions(req, res) {
+        await this.handleConflictRequest(req, res, 'reject conflict resolutions', async (projectPath) => {
+            const files = await this.mergeConflictService.rejectResolution(projectPath, req.body.files || []);
+            return {
+                data: { files, conflicts: await this.mergeConflictService.detectConflicts(projectPath) },
+                message: `Rejected resolutions of ${files.length} file(s)`
+            };
+        });
+    }
+
+    /**
+     * Commit the merge once every resolution is accepted
+     * POST /api/projects/:projectId/git/conflicts/complete
+     */
+    async completeConflictedMerge(req, res) {
+        await this.handleConflictRequest(req, res, 'complete merge', async (projectPath) => {
+            const result = await this.mergeConflictService.completeMerge(projectPath, { message: req.body.message });
+            return { data: result, message: `Merge committed as ${result.commit}` };
+        });
+    }
+
+    /**
+     * Abort the merge in progress
+     * POST /api/projects/:projectId/git/conflicts/abort
+     */
+    async abortConflictedMerge(req, res) {
+        await this.handleConflictRequest(req, res, 'abort merge', async (projectPath) => {
+            await this.mergeConflictService.abortMerge(projectPath);
+            return { data: { aborted: true }, message: 'Merge aborted' };
+        });
+    }
+
+    /**
+     * List the task worktrees of a project
+     * POST /api/projects/:projectId/git/worktrees
+     */
+    async getWorktrees(req, res) {
+        try {
+            const projectId = req.params.projectId;
+            const { projectPath } = req.body;
+            const userId = req.user?.id;
+
+            if (!projectId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Project ID is required'
+                });
+            }
+
+            if (!projectPath) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Project path is required'
+                });
+            }
+
+            if (!this.worktreeService) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Worktree service not available'
+                });
+            }
+
+            this.logger.info('GitController: Getting worktrees', { projectId, projectPath, userId });
+
+            const [worktrees, settings, directory] = await Promise.all([
+                this.worktreeService.listWorktrees(projectPath),
+                this.worktreeService.loadSettings(projectPath),
+                this.worktreeService.getRootDirectory(projectPath)
+            ]);
+
+            res.json({
+                success: true,
+                data: {
+                    enabled: settings.enabled,
+                    directory,
+                    worktrees
+                }
+            });
+
+        } catch (error) {
+            this.logger.error('GitController: Failed to get worktrees', {
+                projectPath: req.body.projectPath,
+                error: error.message,
+                userId: req.user?.id
+            });
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get worktrees',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Validate a conflict request and run it; MergeConflictError (unresolved files) maps to 409
+     */
+    async handleConflictRequest(req, res, action, handler) {
+        try {
+            const projectId = req.params.projectId;
+            const { projectPath } = req.body;
+            const userId = req.user?.id;
+
+            if (!projectId) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Project ID is required'
+                });
+            }
+
+            if (!projectPath) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Project path is required'
+                });
+            }
+
+            if (!this.mergeConflictService) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Merge conflict service not available'
+                });
+            }
+
+            this.logger.info(`GitController: ${action}`, { projectId, projectPath, userId });
+
+            const result = await handler(projectPath);
+
+            res.json({
+                success: true,
+                ...result
+            });
+
+        } catch (error) {
+            this.logger.error(`GitController: Failed to ${action}`, {
+                projectPath: req.body.projectPath,
+                error: error.message,
+                userId: req.user?.id
+            });
+
+            if (error.name === 'MergeConflictError') {
+                return res.status(409).json({
+                    success: false,
+                    error: `Failed to ${action}`,
+                    message: error.message,
+                    conflicts: error.conflicts
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                error: `Failed to ${action}`,
+                message: error.message
+            });
+        }
+    }
 }
 
-module.exports = GitController; 
\ No newline at end of file
+module.exports = GitController;
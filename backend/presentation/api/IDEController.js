@@ -207,7 +207,8 @@ class IDEController {
       const { workspacePath } = req.body;
       const userId = req.user?.id;
       
-      if (!workspacePath) {
+      // null clears a workspace set before and restores the detected one
+      if (workspacePath === undefined || workspacePath === '') {
         return res.status(400).json({
           success: false,
           error: 'Workspace path is required'
@@ -460,6 +461,37 @@ class IDEController {
     }
   }
 
+  /**
+   * GET /api/ide/:port/selectors/health
+   * Check the critical chat selectors against the live DOM of the IDE (?refresh=true re-probes)
+   */
+  async getSelectorHealth(req, res) {
+    try {
+      const port = parseInt(req.params.port, 10);
+      if (!Number.isInteger(port) || port <= 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid port'
+        });
+      }
+
+      const userId = req.user?.id;
+      const refresh = req.query.refresh === 'true';
+      const result = await this.ideApplicationService.getSelectorHealth(port, userId, { refresh });
+
+      res.json({
+        success: result.success,
+        data: result.data
+      });
+    } catch (error) {
+      this.logger.error('Error checking selector health:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   // ===== TERMINAL LOG ENDPOINTS =====
 
   /**
@@ -19,6 +19,7 @@ class QueueController {
         this.workflowTypeDetector = dependencies.workflowTypeDetector || new WorkflowTypeDetector(dependencies);
         this.executionQueue = dependencies.executionQueue || new ExecutionQueue();
         this.eventBus = dependencies.eventBus;
+        this.ideWorkerPoolService = dependencies.ideWorkerPoolService || null;
     }
 
     /**
@@ -620,6 +621,89 @@ class QueueController {
             });
         }
     }
+
+    /**
+     * Pause a project queue (no further items are started)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async pauseQueue(req, res) {
+        try {
+            const { projectId } = req.params;
+            const reason = req.body?.reason || 'Paused by user';
+            const pause = this.queueMonitoringService.pauseProjectQueue(projectId, reason, req.user?.id || null);
+
+            res.json({
+                success: true,
+                data: { projectId, paused: pause },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            this.logger.error('Failed to pause queue', { projectId: req.params.projectId, error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to pause queue',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Resume a paused project queue
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async resumeQueue(req, res) {
+        try {
+            const { projectId } = req.params;
+            const resumed = this.queueMonitoringService.resumeProjectQueue(projectId, req.user?.id || null);
+
+            res.json({
+                success: true,
+                data: { projectId, resumed, paused: null },
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            this.logger.error('Failed to resume queue', { projectId: req.params.projectId, error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to resume queue',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Get the IDE worker pool (workers, their current items and sticky task assignments)
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getWorkerPoolStatus(req, res) {
+        try {
+            if (!this.ideWorkerPoolService) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'IDE worker pool is not available'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: this.ideWorkerPoolService.getStatus(),
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            this.logger.error('Failed to get worker pool status', { error: error.message });
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get worker pool status',
+                message: error.message
+            });
+        }
+    }
 }
 
-module.exports = QueueController; 
\ No newline at end of file
+module.exports = QueueController;
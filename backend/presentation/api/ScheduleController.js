@@ -0,0 +1,124 @@
+/**
+ * ScheduleController - API endpoints for recurring project schedules
+ * Manages cron schedules that enqueue workflows into the project queue
+ */
+
+const Logger = require('@logging/Logger');
+
+class ScheduleController {
+    constructor(dependencies = {}) {
+        this.logger = new Logger('ScheduleController');
+        this.scheduleService = dependencies.scheduleService;
+    }
+
+    /**
+     * List the schedules of a project
+     * GET /api/projects/:projectId/schedules
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async listSchedules(req, res) {
+        try {
+            const { projectId } = req.params;
+            const schedules = await this.scheduleService.listSchedules(projectId);
+            res.json({ success: true, data: schedules });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to list schedules', req.params);
+        }
+    }
+
+    /**
+     * Create a schedule
+     * POST /api/projects/:projectId/schedules
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async createSchedule(req, res) {
+        try {
+            const { projectId } = req.params;
+            const userId = req.user?.id;
+            const schedule = await this.scheduleService.createSchedule(projectId, userId, req.body || {});
+            res.status(201).json({ success: true, data: schedule });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to create schedule', req.params);
+        }
+    }
+
+    /**
+     * Get a schedule
+     * GET /api/projects/:projectId/schedules/:scheduleId
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getSchedule(req, res) {
+        try {
+            const { projectId, scheduleId } = req.params;
+            const schedule = await this.scheduleService.getSchedule(projectId, scheduleId);
+            res.json({ success: true, data: schedule });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to get schedule', req.params);
+        }
+    }
+
+    /**
+     * Update a schedule
+     * PUT /api/projects/:projectId/schedules/:scheduleId
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async updateSchedule(req, res) {
+        try {
+            const { projectId, scheduleId } = req.params;
+            const schedule = await this.scheduleService.updateSchedule(projectId, scheduleId, req.body || {});
+            res.json({ success: true, data: schedule });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to update schedule', req.params);
+        }
+    }
+
+    /**
+     * Delete a schedule
+     * DELETE /api/projects/:projectId/schedules/:scheduleId
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async deleteSchedule(req, res) {
+        try {
+            const { projectId, scheduleId } = req.params;
+            await this.scheduleService.deleteSchedule(projectId, scheduleId);
+            res.json({ success: true, data: { id: scheduleId, deleted: true } });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to delete schedule', req.params);
+        }
+    }
+
+    /**
+     * Enqueue a schedule immediately
+     * POST /api/projects/:projectId/schedules/:scheduleId/run
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async runSchedule(req, res) {
+        try {
+            const { projectId, scheduleId } = req.params;
+            const schedule = await this.scheduleService.runNow(projectId, scheduleId);
+            res.json({ success: true, data: schedule });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to run schedule', req.params);
+        }
+    }
+
+    handleError(res, error, message, params) {
+        if (error.name === 'ScheduleValidationError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (error.name === 'ScheduleNotFoundError') {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+
+        this.logger.error(message, { ...params, error: error.message });
+        res.status(500).json({ success: false, error: message, message: error.message });
+    }
+}
+
+module.exports = ScheduleController;
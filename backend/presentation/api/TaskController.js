@@ -119,7 +119,7 @@ class TaskController {
         try {
             const { projectId } = req.params;
             const userId = req.user.id;
-            const { title, description, priority, type, metadata } = req.body;
+            const { title, description, priority, type, category, metadata, dependencies } = req.body;
             
             this.logger.info(`Creating task for project: ${projectId}`);
             
@@ -129,7 +129,9 @@ class TaskController {
                 description,
                 priority,
                 type,
-                metadata
+                category,
+                metadata,
+                dependencies
             }, projectId, userId);
             
             res.status(201).json({
@@ -141,6 +143,9 @@ class TaskController {
             
         } catch (error) {
             this.logger.error('❌ Failed to create task:', error);
+            if (this.isDependencyError(error)) {
+                return this.sendDependencyError(res, error);
+            }
             res.status(500).json({
                 success: false,
                 error: 'Failed to create task',
@@ -172,7 +177,9 @@ class TaskController {
             
         } catch (error) {
             this.logger.error('❌ Failed to update task:', error);
-            if (error.message.includes('not found') || error.message.includes('does not belong')) {
+            if (this.isDependencyError(error)) {
+                this.sendDependencyError(res, error);
+            } else if (error.message.includes('not found') || error.message.includes('does not belong')) {
                 res.status(404).json({
                     success: false,
                     error: 'Task not found',
@@ -188,6 +195,44 @@ class TaskController {
         }
     }
 
+    /**
+     * GET /api/projects/:projectId/tasks/dependency-graph - Get task dependency DAG
+     */
+    async getDependencyGraph(req, res) {
+        try {
+            const { projectId } = req.params;
+
+            const graph = await this.taskApplicationService.getDependencyGraph(projectId);
+
+            res.json({
+                success: true,
+                data: graph,
+                projectId,
+                timestamp: new Date().toISOString()
+            });
+
+        } catch (error) {
+            this.logger.error('❌ Failed to get dependency graph:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get dependency graph',
+                message: error.message
+            });
+        }
+    }
+
+    isDependencyError(error) {
+        return error.name === 'TaskDependencyValidationError' || error.name === 'TaskDependencyCycleError';
+    }
+
+    sendDependencyError(res, error) {
+        res.status(400).json({
+            success: false,
+            error: error.message,
+            ...(error.cycle ? { cycle: error.cycle } : {})
+        });
+    }
+
     /**
      * DELETE /api/projects/:projectId/tasks/:id - Delete task
      */
@@ -0,0 +1,89 @@
+/**
+ * UsageController - API endpoints for token and cost accounting of AI interactions
+ * Serves per-project usage reports and manages the usage budgets that pause the project queue
+ */
+
+const Logger = require('@logging/Logger');
+
+class UsageController {
+    constructor(dependencies = {}) {
+        this.logger = new Logger('UsageController');
+        this.aiUsageService = dependencies.aiUsageService;
+    }
+
+    /**
+     * Get the usage report of a project
+     * GET /api/projects/:projectId/usage?from=&to=&taskId=
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getUsage(req, res) {
+        try {
+            const { projectId } = req.params;
+            const { from, to, taskId } = req.query;
+            const report = await this.aiUsageService.getUsageReport(projectId, { from, to, taskId });
+            res.json({ success: true, data: report });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to get usage report', req.params);
+        }
+    }
+
+    /**
+     * List the budgets of a project with their current usage
+     * GET /api/projects/:projectId/usage/budgets
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async listBudgets(req, res) {
+        try {
+            const { projectId } = req.params;
+            const budgets = await this.aiUsageService.getBudgetStatus(projectId);
+            res.json({ success: true, data: budgets });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to list usage budgets', req.params);
+        }
+    }
+
+    /**
+     * Create or replace the budget of a project for a period
+     * PUT /api/projects/:projectId/usage/budgets/:period
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async setBudget(req, res) {
+        try {
+            const { projectId, period } = req.params;
+            const budget = await this.aiUsageService.setBudget(projectId, period, req.body || {});
+            res.json({ success: true, data: budget });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to save usage budget', req.params);
+        }
+    }
+
+    /**
+     * Delete the budget of a project for a period
+     * DELETE /api/projects/:projectId/usage/budgets/:period
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async deleteBudget(req, res) {
+        try {
+            const { projectId, period } = req.params;
+            await this.aiUsageService.deleteBudget(projectId, period);
+            res.json({ success: true, data: { period, deleted: true } });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to delete usage budget', req.params);
+        }
+    }
+
+    handleError(res, error, message, params) {
+        if (error.name === 'AIUsageValidationError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
+        this.logger.error(message, { ...params, error: error.message });
+        res.status(500).json({ success: false, error: message, message: error.message });
+    }
+}
+
+module.exports = UsageController;
@@ -0,0 +1,150 @@
+/**
+ * WebhookController - API endpoints for project webhooks
+ * Manages webhook registrations, their delivery history and manual redelivery
+ */
+
+const Logger = require('@logging/Logger');
+
+const MAX_DELIVERY_PAGE_SIZE = 200;
+
+class WebhookController {
+    constructor(dependencies = {}) {
+        this.logger = new Logger('WebhookController');
+        this.webhookService = dependencies.webhookService;
+    }
+
+    /**
+     * List the webhooks of a project
+     * GET /api/projects/:projectId/webhooks
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async listWebhooks(req, res) {
+        try {
+            const { projectId } = req.params;
+            const webhooks = await this.webhookService.listWebhooks(projectId);
+            res.json({ success: true, data: webhooks.map(webhook => this.toResponse(webhook)) });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to list webhooks', req.params);
+        }
+    }
+
+    /**
+     * Register a webhook; the secret is only returned here
+     * POST /api/projects/:projectId/webhooks
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async createWebhook(req, res) {
+        try {
+            const { projectId } = req.params;
+            const webhook = await this.webhookService.createWebhook(projectId, req.body || {});
+            res.status(201).json({ success: true, data: { ...this.toResponse(webhook), secret: webhook.secret } });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to create webhook', req.params);
+        }
+    }
+
+    /**
+     * Get a webhook
+     * GET /api/projects/:projectId/webhooks/:webhookId
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getWebhook(req, res) {
+        try {
+            const { projectId, webhookId } = req.params;
+            const webhook = await this.webhookService.getWebhook(projectId, webhookId);
+            res.json({ success: true, data: this.toResponse(webhook) });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to get webhook', req.params);
+        }
+    }
+
+    /**
+     * Update a webhook
+     * PUT /api/projects/:projectId/webhooks/:webhookId
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async updateWebhook(req, res) {
+        try {
+            const { projectId, webhookId } = req.params;
+            const webhook = await this.webhookService.updateWebhook(projectId, webhookId, req.body || {});
+            res.json({ success: true, data: this.toResponse(webhook) });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to update webhook', req.params);
+        }
+    }
+
+    /**
+     * Delete a webhook and its delivery history
+     * DELETE /api/projects/:projectId/webhooks/:webhookId
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async deleteWebhook(req, res) {
+        try {
+            const { projectId, webhookId } = req.params;
+            await this.webhookService.deleteWebhook(projectId, webhookId);
+            res.json({ success: true, data: { id: webhookId } });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to delete webhook', req.params);
+        }
+    }
+
+    /**
+     * Get the delivery history of a webhook
+     * GET /api/projects/:projectId/webhooks/:webhookId/deliveries?status=<status>&limit=<n>
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getDeliveries(req, res) {
+        try {
+            const { projectId, webhookId } = req.params;
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_DELIVERY_PAGE_SIZE);
+            const deliveries = await this.webhookService.getDeliveries(projectId, webhookId, {
+                status: req.query.status,
+                limit
+            });
+            res.json({ success: true, data: deliveries });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to get webhook deliveries', req.params);
+        }
+    }
+
+    /**
+     * Send a previous delivery again
+     * POST /api/projects/:projectId/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async redeliver(req, res) {
+        try {
+            const { projectId, webhookId, deliveryId } = req.params;
+            const delivery = await this.webhookService.redeliver(projectId, webhookId, deliveryId);
+            res.json({ success: true, data: delivery });
+        } catch (error) {
+            this.handleError(res, error, 'Failed to redeliver webhook', req.params);
+        }
+    }
+
+    toResponse(webhook) {
+        const { secret, ...rest } = webhook;
+        return { ...rest, hasSecret: !!secret };
+    }
+
+    handleError(res, error, message, params) {
+        if (error.name === 'WebhookValidationError') {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (error.name === 'WebhookNotFoundError') {
+            return res.status(404).json({ success: false, error: error.message });
+        }
+
+        this.logger.error(message, { ...params, error: error.message });
+        res.status(500).json({ success: false, error: message, message: error.message });
+    }
+}
+
+module.exports = WebhookController;
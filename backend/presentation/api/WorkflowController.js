@@ -3,6 +3,7 @@
  */
 const { validationResult } = require('express-validator');
 const { getStepRegistry } = require('@steps');
+const { SequentialExecutionEngine } = require('@domain/workflows/execution');
 const Logger = require('@logging/Logger');
 
 class WorkflowController {
@@ -20,6 +21,10 @@ class WorkflowController {
         this.workflowLoaderService = dependencies.workflowLoaderService;
         this.stepProgressService = dependencies.stepProgressService;
         this.queueHistoryService = dependencies.queueHistoryService;
+        this.workflowPersistenceService = dependencies.workflowPersistenceService;
+        this.executionEngine = dependencies.executionEngine || new SequentialExecutionEngine({
+            checkpointStore: this.workflowPersistenceService
+        });
     }
 
     /**
@@ -1340,19 +1345,115 @@ class WorkflowController {
         }
     }
 
+    /**
+     * Resume a checkpointed workflow execution
+     * POST /api/projects/:projectId/workflow/:executionId/resume
+     * Body: { fromStep } - optional step index or name to retry from
+     */
+    async resumeWorkflow(req, res) {
+        const { projectId, executionId } = req.params;
+        const { fromStep } = req.body || {};
+        const userId = req.user?.id;
+
+        try {
+            if (!this.workflowPersistenceService) {
+                return res.status(503).json({
+                    success: false,
+                    error: 'Workflow checkpointing is not available'
+                });
+            }
+
+            let resumePoint;
+            try {
+                resumePoint = await this.executionEngine.getResumePoint(executionId, { fromStep });
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Cannot resume workflow',
+                    message: error.message
+                });
+            }
+
+            const { taskData, workspacePath, options } = resumePoint.context.data;
+            if (resumePoint.context.data.projectId !== projectId) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Workflow execution ${executionId} not found for project ${projectId}`
+                });
+            }
+
+            this.logger.info('WorkflowController: Resuming workflow execution', {
+                executionId,
+                projectId,
+                startIndex: resumePoint.startIndex,
+                workflowName: resumePoint.workflow.name,
+                userId
+            });
+
+            const result = await this.executeWorkflowSteps(
+                resumePoint.workflow,
+                taskData,
+                projectId,
+                userId,
+                workspacePath,
+                options,
+                resumePoint
+            );
+
+            res.json({
+                success: true,
+                data: result,
+                executionId,
+                resumedFromStep: resumePoint.startIndex
+            });
+
+        } catch (error) {
+            this.logger.error('WorkflowController: Failed to resume workflow', {
+                executionId,
+                error: error.message,
+                userId
+            });
+
+            res.status(500).json({
+                success: false,
+                error: 'Failed to resume workflow',
+                message: error.message
+            });
+        }
+    }
+
     /**
      * Execute workflow steps from JSON configuration
      */
-    async executeWorkflowSteps(workflow, taskData, projectId, userId, workspacePath, options) {
+    async executeWorkflowSteps(workflow, taskData, projectId, userId, workspacePath, options, resumePoint = null) {
+        const startIndex = resumePoint?.startIndex || 0;
         const results = {
             success: true,
-            steps: [],
+            steps: resumePoint
+                ? resumePoint.context.results.map(result => ({
+                    name: result.stepName,
+                    success: result.success,
+                    data: result.data,
+                    error: result.error,
+                    resumed: true
+                }))
+                : [],
             errors: [],
             duration: 0
         };
 
         const startTime = Date.now();
-        const workflowId = `workflow_${projectId}_${Date.now()}`;
+        const workflowId = resumePoint?.executionId || `workflow_${projectId}_${Date.now()}`;
+        results.executionId = workflowId;
+
+        // Outputs of earlier steps (e.g. testResults, qualityGates) are passed on to the later ones
+        const outputs = {};
+        for (const result of resumePoint?.context.results || []) {
+            const resumedStep = workflow.steps.find(step => step.name === result.stepName);
+            if (resumedStep?.output && result.data) {
+                outputs[resumedStep.output] = this.getStepOutput(result.data);
+            }
+        }
 
         // Get active IDE for workflow context
         let activeIDE = null;
@@ -1404,7 +1505,8 @@ class WorkflowController {
                     userId
                 };
 
-                const addedItem = await this.queueMonitoringService.addToQueue(projectId, userId, queueItem);
+                // The workflow runs inline below, the queue item only tracks it
+                const addedItem = await this.queueMonitoringService.addToQueue(projectId, userId, queueItem, {}, { external: true });
                 queueItemId = addedItem.id; // Speichere die Queue-Item-ID!
                 this.logger.info('WorkflowController: Added workflow to queue', { workflowId, queueItemId });
 
@@ -1413,6 +1515,14 @@ class WorkflowController {
                     await this.stepProgressService.initializeTaskStepProgress(projectId, queueItemId, workflow.steps);
                     this.logger.info('WorkflowController: Initialized step progress', { workflowId, queueItemId });
                 }
+
+                // Steps finished before a resume are already done
+                for (let i = 0; i < startIndex; i++) {
+                    await this.queueMonitoringService.updateStepProgress(projectId, queueItemId, `${workflowId}_step_${i}`, {
+                        status: 'completed',
+                        progress: 100
+                    });
+                }
             }
 
             // 🔄 AUTOMATIC STATUS TRANSITION: Move task to in-progress before workflow execution
@@ -1434,8 +1544,7 @@ class WorkflowController {
                 }
             }
 
-            for (let i = 0; i < workflow.steps.length; i++) {
-                const step = workflow.steps[i];
+            const runStep = async (step, i) => {
                 const stepStartTime = Date.now();
                 const stepId = `${workflowId}_step_${i}`;
                 
@@ -1455,7 +1564,10 @@ class WorkflowController {
                         });
                     }
 
-                    const stepResult = await this.executeStep(step, taskData, projectId, userId, workspacePath, options, activeIDE);
+                    const stepResult = await this.executeStep(step, taskData, projectId, userId, workspacePath, options, activeIDE, outputs);
+                    if (step.output && stepResult.data) {
+                        outputs[step.output] = this.getStepOutput(stepResult.data);
+                    }
                     
                     const stepDuration = Date.now() - stepStartTime;
                     const stepProgress = {
@@ -1487,12 +1599,10 @@ class WorkflowController {
 
                     if (!stepResult.success) {
                         results.errors.push(`Step ${step.name} failed: ${stepResult.error}`);
-                        if (step.strict !== false) {
-                            results.success = false;
-                            break;
-                        }
                     }
 
+                    return stepProgress;
+
                 } catch (error) {
                     this.logger.error('WorkflowController: Step execution failed', {
                         stepName: step.name,
@@ -1520,13 +1630,18 @@ class WorkflowController {
                     }
 
                     results.errors.push(`Step ${step.name} failed: ${error.message}`);
-                    
-                    if (step.strict !== false) {
-                        results.success = false;
-                        break;
-                    }
+                    return stepProgress;
                 }
-            }
+            };
+
+            // Steps run through the execution engine so every finished step is checkpointed
+            const executionResult = await this.executionEngine.executeSteps(workflow, runStep, {
+                executionId: workflowId,
+                startIndex,
+                context: resumePoint?.context,
+                data: { taskData, projectId, userId, workspacePath, options }
+            });
+            results.success = executionResult.isSuccess();
 
             // Update queue with workflow completion
             if (this.queueMonitoringService && queueItemId) {
@@ -1637,10 +1752,18 @@ class WorkflowController {
         return results;
     }
 
+    /**
+     * Output of a step for later steps: the step's own result without the StepRegistry wrapper
+     */
+    getStepOutput(data) {
+        return data?.result ?? data;
+    }
+
     /**
      * Execute individual workflow step using existing StepRegistry
+     * @param {Object} outputs - Outputs of the earlier steps by output name
      */
-    async executeStep(step, taskData, projectId, userId, workspacePath, options, activeIDE = null) {
+    async executeStep(step, taskData, projectId, userId, workspacePath, options, activeIDE = null, outputs = {}) {
         try {
             // Get StepRegistry
             const { getStepRegistry } = require('@steps');
@@ -1661,6 +1784,7 @@ class WorkflowController {
                 userId,
                 taskData,
                 activeIDE, // Add activeIDE to step context
+                ...outputs,
                 ...step.options,
                 ...options
             };
@@ -1831,10 +1955,13 @@ class WorkflowController {
                 }
             }
             
+            // Like the worker pool, failures a strict step reports in its result stop the workflow
+            // (e.g. quality gates, conflict resolutions waiting for review)
+            const reportedFailure = step.strict === true && result.result?.success === false;
             return {
-                success: result.success,
+                success: result.success && !reportedFailure,
                 data: result.data || result,
-                error: result.error
+                error: result.error || (reportedFailure ? result.result.error : undefined)
             };
             
         } catch (error) {
@@ -70,6 +70,26 @@ class AnalysisRoutes {
       this.analysisController.getAnalysisStatus(req, res));
     app.get('/api/projects/:projectId/analysis/database', (req, res) => 
       this.analysisController.getAnalysisFromDatabase(req, res));
+    app.get('/api/projects/:projectId/analysis/coverage/history', (req, res) => 
+      this.analysisController.getCoverageHistory(req, res));
+
+    // Baselines and diff against a baseline (?baseline=<analysisId> or ?since=<gitRef>)
+    app.get('/api/projects/:projectId/analysis/baseline', (req, res) => 
+      this.analysisController.getAnalysisBaseline(req, res));
+    app.post('/api/projects/:projectId/analysis/baseline', (req, res) => 
+      this.analysisController.createAnalysisBaseline(req, res));
+    app.get('/api/projects/:projectId/analysis/diff', (req, res) => 
+      this.analysisController.getAnalysisDiff(req, res));
+
+    // Quality gates from .pidea/quality-gates.* evaluated against the latest analyses
+    app.get('/api/projects/:projectId/quality-gates/status', this.authMiddleware.authenticate(), (req, res) => 
+      this.analysisController.getQualityGateStatus(req, res));
+
+    // SARIF 2.1.0 export of the latest analyses and import of external scanner output
+    app.get('/api/projects/:projectId/analysis/sarif', (req, res) => 
+      this.analysisController.exportSarif(req, res));
+    app.post('/api/projects/:projectId/analysis/sarif', (req, res) => 
+      this.analysisController.importSarif(req, res));
 
     // Analysis files
     app.get('/api/projects/:projectId/analysis/files/:filename', (req, res) => 
@@ -236,6 +256,17 @@ class AnalysisRoutes {
       // Add analysis type for tracking
       req.body.analysisType = routeName;
       
+      // Compare with a baseline: ?baseline=<analysisId> or ?since=<gitRef>
+      const { baseline, since } = req.query || {};
+      if (baseline || since) {
+        req.body.options = { ...req.body.options, ...(baseline && { baseline }), ...(since && { since }) };
+      }
+      
+      // Rescan every file instead of reusing results of unchanged files: ?incremental=false
+      if (req.query && req.query.incremental === 'false') {
+        req.body.options = { ...req.body.options, incremental: false };
+      }
+      
       this.workflowController.executeWorkflow(req, res);
     });
   }
@@ -0,0 +1,40 @@
+require('module-alias/register');
+const path = require('path');
+const MockIDE = require('../tests/e2e/mock-ide/MockIDE');
+
+/**
+ * Start the headless mock IDE for local end-to-end runs
+ * Usage: node scripts/mock-ide.js [--port 9222] [--replies path/to/replies.json] [--headed]
+ */
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+
+const mockIDE = new MockIDE({
+  port: parseInt(option('port'), 10) || 9222,
+  replies: option('replies') ? path.resolve(option('replies')) : undefined,
+  headless: !args.includes('--headed')
+});
+
+const shutdown = async () => {
+  console.log('🛑 Stopping mock IDE...');
+  await mockIDE.stop();
+  process.exit(0);
+};
+
+mockIDE.start()
+  .then(({ port, appUrl, version }) => {
+    console.log(`✅ Mock IDE (Cursor ${version}) running on debugging port ${port}`);
+    console.log(`   App: ${appUrl}`);
+    console.log('   Press Ctrl+C to stop');
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  })
+  .catch((error) => {
+    console.error('❌ Failed to start mock IDE:', error.message);
+    console.error('   Install the browser with: npx playwright install chromium');
+    process.exit(1);
+  });
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Dependency Advisory Update Script
+ * Merges npm advisories from the GitHub Advisory Database into the offline advisory file
+ * used by VulnerableDependencyStep. Advisories already in the file are updated by id.
+ *
+ * Usage: node scripts/update-dependency-advisories.js [--pages 5] [--output path]
+ * GITHUB_TOKEN raises the API rate limit.
+ */
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const outputPath = path.resolve(option('--output', process.env.DEPENDENCY_ADVISORY_DB || path.join(__dirname, '../config/dependency-advisories.json')));
+const maxPages = parseInt(option('--pages', '5'), 10);
+const SEVERITIES = ['low', 'moderate', 'high', 'critical'];
+
+// GitHub ranges look like ">= 1.0.0, < 1.2.6"; semver wants ">=1.0.0 <1.2.6"
+const toSemverRange = (range) => range.replace(/,/g, ' ').replace(/([<>=]+)\s+/g, '$1').replace(/\s+/g, ' ').trim();
+
+const toAdvisories = (githubAdvisory) => (githubAdvisory.vulnerabilities || [])
+  .filter(vulnerability => vulnerability.package && vulnerability.package.ecosystem === 'npm' && vulnerability.vulnerable_version_range)
+  .map(vulnerability => ({
+    id: githubAdvisory.ghsa_id,
+    aliases: githubAdvisory.cve_id ? [githubAdvisory.cve_id] : [],
+    package: vulnerability.package.name,
+    vulnerableVersions: toSemverRange(vulnerability.vulnerable_version_range),
+    patchedVersions: vulnerability.first_patched_version ? `>=${vulnerability.first_patched_version}` : null,
+    severity: SEVERITIES.includes(githubAdvisory.severity) ? githubAdvisory.severity : 'moderate',
+    title: githubAdvisory.summary,
+    url: githubAdvisory.html_url
+  }));
+
+async function fetchAdvisories() {
+  const advisories = [];
+  let url = 'https://api.github.com/advisories?ecosystem=npm&type=reviewed&per_page=100';
+
+  for (let page = 1; url && page <= maxPages; page++) {
+    const response = await fetch(url, {
+      headers: {
+        'Accept': 'application/vnd.github+json',
+        ...(process.env.GITHUB_TOKEN ? { 'Authorization': `Bearer ${process.env.GITHUB_TOKEN}` } : {})
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`GitHub API responded ${response.status} ${response.statusText}`);
+    }
+
+    const batch = await response.json();
+    batch.forEach(advisory => advisories.push(...toAdvisories(advisory)));
+    console.log(`📥 Page ${page}: ${batch.length} advisories`);
+
+    const next = (response.headers.get('link') || '').match(/<([^>]+)>;\s*rel="next"/);
+    url = next ? next[1] : null;
+  }
+
+  return advisories;
+}
+
+async function main() {
+  console.log(`🔄 Updating dependency advisories in ${outputPath}`);
+
+  const current = fs.existsSync(outputPath)
+    ? JSON.parse(fs.readFileSync(outputPath, 'utf8'))
+    : { version: 1, advisories: [] };
+  const merged = new Map(current.advisories.map(advisory => [`${advisory.id}:${advisory.package}`, advisory]));
+
+  const fetched = await fetchAdvisories();
+  fetched.forEach(advisory => merged.set(`${advisory.id}:${advisory.package}`, advisory));
+
+  const database = {
+    version: current.version || 1,
+    updatedAt: new Date().toISOString(),
+    source: 'GitHub Advisory Database',
+    advisories: [...merged.values()].sort((a, b) => a.package.localeCompare(b.package) || a.id.localeCompare(b.id))
+  };
+  fs.writeFileSync(outputPath, `${JSON.stringify(database, null, 2)}\n`);
+
+  console.log(`✅ ${database.advisories.length} advisories saved (${fetched.length} fetched)`);
+}
+
+main().catch(error => {
+  console.error('❌ Error updating dependency advisories:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+/**
+ * Mock IDE End-to-End Tests
+ * Drives the real BrowserManager, SendMessageHandler and ide_send_message_step against the
+ * headless mock IDE instead of a running Cursor instance
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MockIDE = require('@tests/e2e/mock-ide/MockIDE');
+const CursorDetector = require('@infrastructure/external/ide/detectors/CursorDetector');
+const BrowserManager = require('@infrastructure/external/BrowserManager');
+const EventBus = require('@infrastructure/messaging/EventBus');
+const SendMessageHandler = require('@application/handlers/categories/chat/SendMessageHandler');
+const AITextDetector = require('@domain/services/chat/AITextDetector');
+const ideSendMessageStep = require('@domain/steps/categories/chat/ide_send_message_step');
+
+// Last port of the Cursor range, so a locally running Cursor on 9222 is not disturbed
+const MOCK_PORT = 9231;
+const selectors = JSON.parse(fs.readFileSync(path.join(__dirname, '../../../selectors/cursor/1.5.7.json'), 'utf8'));
+
+const describeWithBrowser = MockIDE.isAvailable() ? describe : describe.skip;
+
+describeWithBrowser('Mock IDE E2E Tests', () => {
+  let mockIDE;
+  let browserManager;
+
+  beforeAll(async () => {
+    mockIDE = new MockIDE({ port: MOCK_PORT });
+    await mockIDE.start();
+    browserManager = new BrowserManager();
+  }, 60000);
+
+  afterAll(async () => {
+    if (browserManager) {
+      browserManager.connectionPool.destroy();
+    }
+    if (mockIDE) {
+      await mockIDE.stop();
+    }
+  });
+
+  it('should be detected as Cursor with the mocked version', async () => {
+    const detector = new CursorDetector();
+    const ide = await detector.checkPort(MOCK_PORT);
+
+    expect(ide).toBeTruthy();
+    expect(await browserManager.detectIDEType(MOCK_PORT)).toBe('cursor');
+    expect(await browserManager.detectIDEVersion(MOCK_PORT)).toBe('1.5.7');
+  });
+
+  it('should send a message and receive the scripted AI reply through ide_send_message_step', async () => {
+    const sendMessageHandler = new SendMessageHandler({
+      browserManager,
+      ideManager: {},
+      eventBus: new EventBus(),
+      logger: { info: jest.fn(), error: jest.fn() }
+    });
+    const services = { sendMessageHandler, browserManager };
+
+    const result = await ideSendMessageStep.execute({
+      projectId: 'mock-project',
+      message: 'Please write a test for the sum helper',
+      requestedBy: 'e2e',
+      waitForResponse: true,
+      timeout: 30000,
+      activeIDE: { port: MOCK_PORT },
+      getService: (name) => services[name]
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.aiResponse.success).toBe(true);
+    expect(result.aiResponse.response).toContain('I added a unit test for the sum helper');
+    expect(mockIDE.getReceivedMessages().map(entry => entry.message)).toContain('Please write a test for the sum helper');
+
+    const page = await browserManager.getPage();
+    const codeBlocks = await new AITextDetector(selectors).responseProcessor.extractCodeBlocks(page);
+    expect(codeBlocks).toHaveLength(1);
+    expect(codeBlocks[0].language).toBe('javascript');
+    expect(codeBlocks[0].content).toContain("expect(sum(1, 2)).toBe(3);");
+  }, 60000);
+
+  it('should implement the chat selector contract', async () => {
+    const page = await browserManager.getPage();
+    const contract = ['input', 'inputContainer', 'userMessages', 'aiMessages', 'messagesContainer', 'chatContainer',
+      'codeBlocks', 'codeBlockContent', 'codeBlockHeader', 'codeBlockFilename', 'codeBlockLanguage', 'codeBlockApplyButton'];
+
+    for (const key of contract) {
+      expect({ key, found: !!(await page.$(selectors.chatSelectors[key])) }).toEqual({ key, found: true });
+    }
+    expect(await page.$(selectors.newChatSelectors.newChatButton)).toBeTruthy();
+  });
+
+  it('should start a new chat via the New Chat button', async () => {
+    expect(await browserManager.clickNewChat()).toBe(true);
+
+    const page = await browserManager.getPage();
+    expect(await page.$$(selectors.chatSelectors.aiMessages)).toHaveLength(0);
+    expect(await page.$$(selectors.chatSelectors.userMessages)).toHaveLength(0);
+  });
+});
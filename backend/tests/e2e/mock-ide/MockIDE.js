@@ -0,0 +1,181 @@
+/**
+ * MockIDE - Headless fake Cursor instance for end-to-end tests
+ * Serves a small web app implementing the DOM contract of selectors/cursor/<version>.json to
+ * headless Chromium and exposes it on a remote debugging port, so IDEManager and BrowserManager
+ * attach to it exactly like to a real IDE. AI replies come from a reply script.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { chromium } = require('playwright');
+const Logger = require('@logging/Logger');
+
+const APP_DIR = path.join(__dirname, 'app');
+const DEFAULT_REPLIES = path.join(__dirname, 'replies', 'default.json');
+const STATIC_FILES = {
+  '/': { file: 'index.html', type: 'text/html; charset=utf-8' },
+  '/mock-ide.js': { file: 'mock-ide.js', type: 'application/javascript; charset=utf-8' }
+};
+
+class MockIDE {
+  /**
+   * @param {Object} options - Mock IDE options
+   * @param {number} options.port - Remote debugging port (9222-9231 is detected as Cursor)
+   * @param {string} options.version - Cursor version reported via /json/version
+   * @param {Object|string} options.replies - Reply script or path to a reply script JSON file
+   * @param {boolean} options.headless - Run Chromium headless (default true)
+   */
+  constructor(options = {}) {
+    this.logger = new Logger('MockIDE');
+    this.port = options.port || 9222;
+    this.version = options.version || '1.5.7';
+    this.headless = options.headless !== false;
+    this.host = '127.0.0.1';
+    this.server = null;
+    this.context = null;
+    this.page = null;
+    this.receivedMessages = [];
+    this.setReplies(options.replies || DEFAULT_REPLIES);
+  }
+
+  /**
+   * Check whether the Playwright Chromium build is installed
+   * @returns {boolean} True if the mock IDE can be launched
+   */
+  static isAvailable() {
+    try {
+      return fs.existsSync(chromium.executablePath());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Start the app server and the headless browser
+   * @returns {Promise<Object>} { port, appUrl, version }
+   */
+  async start() {
+    if (this.context) {
+      return this.getInfo();
+    }
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, this.host, resolve);
+    });
+    this.appUrl = `http://${this.host}:${this.server.address().port}/`;
+
+    try {
+      // An empty user data dir gives a temporary profile; its default context is what CDP clients see
+      this.context = await chromium.launchPersistentContext('', {
+        channel: 'chromium',
+        headless: this.headless,
+        args: [
+          `--remote-debugging-port=${this.port}`,
+          `--user-agent=Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Cursor/${this.version} Chrome/132.0.0.0 Electron/34.0.0 Safari/537.36`
+        ]
+      });
+      this.page = this.context.pages()[0] || await this.context.newPage();
+      await this.page.goto(this.appUrl);
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+
+    this.logger.info(`Mock IDE (Cursor ${this.version}) listening on debugging port ${this.port}`);
+    return this.getInfo();
+  }
+
+  /**
+   * Close the browser and the app server
+   */
+  async stop() {
+    if (this.context) {
+      await this.context.close().catch(() => {});
+      this.context = null;
+      this.page = null;
+    }
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+  }
+
+  getInfo() {
+    return { port: this.port, appUrl: this.appUrl, version: this.version };
+  }
+
+  /**
+   * Replace the reply script
+   * @param {Object|string} replies - { replies: [{ match, response, codeBlocks, chunks, chunkDelayMs, delayMs }] } or a JSON file path
+   */
+  setReplies(replies) {
+    const script = typeof replies === 'string' ? JSON.parse(fs.readFileSync(replies, 'utf8')) : replies;
+    if (!script || !Array.isArray(script.replies) || script.replies.length === 0) {
+      throw new Error('Reply script must contain a non-empty replies array');
+    }
+    this.replies = script.replies;
+  }
+
+  /**
+   * Pick the first reply whose match pattern (case-insensitive regex) matches the message;
+   * replies without a pattern match everything
+   * @param {string} message - Message typed into the chat input
+   * @returns {Object} Reply
+   */
+  findReply(message) {
+    return this.replies.find(reply => !reply.match || new RegExp(reply.match, 'i').test(message))
+      || { response: 'The mock IDE has no scripted reply for this message, please extend the reply script.' };
+  }
+
+  /**
+   * Messages that were sent through the chat input
+   * @returns {Array<Object>} [{ message, timestamp }]
+   */
+  getReceivedMessages() {
+    return [...this.receivedMessages];
+  }
+
+  async handleRequest(req, res) {
+    if (req.method === 'GET' && STATIC_FILES[req.url]) {
+      const { file, type } = STATIC_FILES[req.url];
+      res.writeHead(200, { 'Content-Type': type });
+      fs.createReadStream(path.join(APP_DIR, file)).pipe(res);
+      return;
+    }
+
+    if (req.method === 'POST' && req.url === '/api/reply') {
+      const body = await this.readBody(req);
+      const message = String(body.message || '');
+      this.receivedMessages.push({ message, timestamp: new Date().toISOString() });
+      return this.sendJSON(res, 200, this.findReply(message));
+    }
+
+    if (req.method === 'POST' && req.url === '/api/new-chat') {
+      return this.sendJSON(res, 200, { success: true });
+    }
+
+    this.sendJSON(res, 404, { error: 'Not found' });
+  }
+
+  async readBody(req) {
+    let data = '';
+    for await (const chunk of req) {
+      data += chunk;
+    }
+    try {
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+}
+
+module.exports = MockIDE;
@@ -0,0 +1,128 @@
+/**
+ * Mock IDE chat behaviour
+ * Sends every submitted message to the mock server and renders the scripted reply
+ * the way Cursor does (streamed markdown container followed by code blocks)
+ */
+(function () {
+  const input = document.getElementById('chat-input');
+  const messages = document.getElementById('messages');
+  const newChatButton = document.getElementById('new-chat');
+
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  function appendUserMessage(text) {
+    const message = document.createElement('div');
+    message.className = 'aislash-editor-input-readonly';
+    message.setAttribute('contenteditable', 'false');
+    message.setAttribute('data-lexical-editor', 'true');
+    message.textContent = text;
+    messages.appendChild(message);
+  }
+
+  function createCodeBlock(block) {
+    const container = document.createElement('div');
+    container.className = 'composer-code-block-container';
+
+    const header = document.createElement('div');
+    header.className = 'composer-code-block-header';
+    const filename = document.createElement('span');
+    filename.className = 'composer-code-block-filename';
+    filename.textContent = block.filename || '';
+    const fileInfo = document.createElement('span');
+    fileInfo.className = 'composer-code-block-file-info';
+    const icon = document.createElement('span');
+    icon.className = `${block.language || 'text'}-lang-file-icon`;
+    fileInfo.appendChild(icon);
+    header.appendChild(filename);
+    header.appendChild(fileInfo);
+
+    const content = document.createElement('div');
+    content.className = 'composer-code-block-content';
+    const editor = document.createElement('div');
+    editor.className = 'monaco-editor';
+    const lines = document.createElement('div');
+    lines.className = 'view-lines';
+    (block.content || '').split('\n').forEach(text => {
+      const line = document.createElement('div');
+      line.className = 'view-line';
+      const token = document.createElement('span');
+      token.className = 'mtk1';
+      token.textContent = text;
+      line.appendChild(token);
+      lines.appendChild(line);
+    });
+    editor.appendChild(lines);
+    content.appendChild(editor);
+
+    const applyButton = document.createElement('span');
+    applyButton.className = 'anysphere-text-button';
+    applyButton.textContent = 'Apply';
+
+    container.appendChild(header);
+    container.appendChild(content);
+    container.appendChild(applyButton);
+    return container;
+  }
+
+  async function renderReply(reply) {
+    const thinking = document.createElement('div');
+    thinking.className = 'thinking-indicator';
+    thinking.textContent = 'Generating...';
+    messages.appendChild(thinking);
+
+    const root = document.createElement('span');
+    root.className = 'anysphere-markdown-container-root';
+    const paragraph = document.createElement('p');
+    root.appendChild(paragraph);
+    messages.appendChild(root);
+
+    // Stream the text in chunks so response growth detection is exercised
+    const text = reply.response || '';
+    const chunks = Math.max(1, reply.chunks || 1);
+    const size = Math.ceil(text.length / chunks);
+    for (let offset = 0; offset < text.length; offset += size) {
+      await sleep(reply.chunkDelayMs || 0);
+      paragraph.textContent += text.slice(offset, offset + size);
+    }
+
+    (reply.codeBlocks || []).forEach(block => root.appendChild(createCodeBlock(block)));
+    thinking.remove();
+  }
+
+  async function send() {
+    const text = input.innerText.trim();
+    if (!text) {
+      return;
+    }
+    input.textContent = '';
+    appendUserMessage(text);
+
+    try {
+      const response = await fetch('/api/reply', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: text })
+      });
+      const reply = await response.json();
+      if (reply.delayMs) {
+        await sleep(reply.delayMs);
+      }
+      await renderReply(reply);
+    } catch (error) {
+      console.error('Mock IDE reply failed', error);
+    }
+  }
+
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      send();
+    }
+  });
+
+  newChatButton.addEventListener('click', () => {
+    messages.innerHTML = '';
+    input.textContent = '';
+    fetch('/api/new-chat', { method: 'POST' }).catch(() => {});
+  });
+})();
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for AIUsageService (token estimation, cost, reports, budgets)
+ */
+const AIUsageService = require('@domain/services/usage/AIUsageService');
+const { AIUsageValidationError } = AIUsageService;
+
+const createRepository = () => {
+  const records = [];
+  const budgets = new Map();
+  return {
+    records,
+    create: jest.fn(async (data) => {
+      const record = { id: `record-${records.length + 1}`, createdAt: new Date().toISOString(), ...data };
+      records.push(record);
+      return record;
+    }),
+    findByProjectId: jest.fn(async (projectId, filters = {}) => records.filter(record =>
+      record.projectId === projectId &&
+      (!filters.from || record.createdAt >= filters.from) &&
+      (!filters.to || record.createdAt < filters.to) &&
+      (!filters.taskId || record.taskId === filters.taskId))),
+    sumByProjectId: jest.fn(async (projectId, filters = {}) => {
+      const matching = records.filter(record => record.projectId === projectId && (!filters.from || record.createdAt >= filters.from));
+      return {
+        requests: matching.length,
+        totalTokens: matching.reduce((sum, record) => sum + record.totalTokens, 0),
+        estimatedCost: matching.reduce((sum, record) => sum + record.estimatedCost, 0)
+      };
+    }),
+    findBudgetsByProjectId: jest.fn(async (projectId) => [...budgets.values()].filter(budget => budget.projectId === projectId)),
+    saveBudget: jest.fn(async (projectId, period, data) => {
+      const budget = { projectId, period, maxTokens: null, maxCost: null, enabled: true, lastExceededAt: null, ...budgets.get(`${projectId}:${period}`), ...data };
+      budgets.set(`${projectId}:${period}`, budget);
+      return budget;
+    }),
+    deleteBudget: jest.fn(async (projectId, period) => budgets.delete(`${projectId}:${period}`))
+  };
+};
+
+describe('AIUsageService', () => {
+  let repository;
+  let queueMonitoringService;
+  let eventBus;
+  let service;
+
+  beforeEach(() => {
+    repository = createRepository();
+    const paused = new Map();
+    queueMonitoringService = {
+      isProjectQueuePaused: jest.fn(projectId => paused.has(projectId)),
+      pauseProjectQueue: jest.fn((projectId, reason) => paused.set(projectId, { reason })),
+      getProjectQueuePause: jest.fn(projectId => paused.get(projectId) || null)
+    };
+    eventBus = { emit: jest.fn() };
+    service = new AIUsageService({ aiUsageRepository: repository, queueMonitoringService, eventBus });
+  });
+
+  it('requires a repository', () => {
+    expect(() => new AIUsageService({})).toThrow('AIUsageRepository is required');
+  });
+
+  describe('recordInteraction', () => {
+    it('estimates tokens from the texts and prices them by model', async () => {
+      const record = await service.recordInteraction({
+        projectId: 'project-1',
+        taskId: 'task-1',
+        workflowStep: 'implement',
+        source: 'ide_send_message_step',
+        model: 'claude-3-sonnet-20240229',
+        prompt: 'a'.repeat(4000),
+        response: 'b'.repeat(2000),
+        durationMs: 1234.4
+      });
+
+      expect(record).toMatchObject({
+        promptTokens: 1000,
+        completionTokens: 500,
+        totalTokens: 1500,
+        estimatedTokens: true,
+        estimatedCost: 0.0105,
+        durationMs: 1234,
+        success: true
+      });
+      expect(eventBus.emit).toHaveBeenCalledWith('ai:usage:recorded', expect.objectContaining({ projectId: 'project-1', totalTokens: 1500 }));
+    });
+
+    it('uses token counts reported by the provider', async () => {
+      const record = await service.recordInteraction({
+        projectId: 'project-1', model: 'gpt-4', prompt: 'hello', response: 'world', promptTokens: 10, completionTokens: 20
+      });
+
+      expect(record).toMatchObject({ promptTokens: 10, completionTokens: 20, estimatedTokens: false, estimatedCost: 0.0015 });
+    });
+
+    it('never throws', async () => {
+      repository.create.mockRejectedValue(new Error('database unavailable'));
+
+      await expect(service.recordInteraction({ projectId: 'project-1', prompt: 'hello' })).resolves.toBeNull();
+      await expect(service.recordInteraction({ prompt: 'no project' })).resolves.toBeNull();
+    });
+  });
+
+  describe('getUsageReport', () => {
+    it('aggregates usage per task, model, step and day', async () => {
+      await service.recordInteraction({ projectId: 'project-1', taskId: 'task-1', workflowStep: 'implement', model: 'gpt-4', promptTokens: 100, completionTokens: 100 });
+      await service.recordInteraction({ projectId: 'project-1', taskId: 'task-1', workflowStep: 'test', model: 'gpt-4', promptTokens: 50, completionTokens: 50 });
+      await service.recordInteraction({ projectId: 'project-1', taskId: 'task-2', workflowStep: 'implement', model: 'default', promptTokens: 10, completionTokens: 10, success: false });
+      await service.recordInteraction({ projectId: 'project-2', model: 'gpt-4', promptTokens: 999, completionTokens: 999 });
+
+      const report = await service.getUsageReport('project-1');
+
+      expect(report.totals).toMatchObject({ requests: 3, failedRequests: 1, totalTokens: 320 });
+      expect(report.byTask.map(group => [group.taskId, group.totalTokens])).toEqual([['task-1', 300], ['task-2', 20]]);
+      expect(report.byStep.map(group => [group.workflowStep, group.requests])).toEqual([['implement', 2], ['test', 1]]);
+      expect(report.byModel.map(group => group.model)).toEqual(['gpt-4', 'default']);
+      expect(report.byDay).toEqual([expect.objectContaining({ date: new Date().toISOString().slice(0, 10), requests: 3 })]);
+    });
+
+    it('rejects invalid ranges', async () => {
+      await expect(service.getUsageReport('project-1', { from: 'yesterday' })).rejects.toBeInstanceOf(AIUsageValidationError);
+      await expect(service.getUsageReport('project-1', { from: '2026-10-02', to: '2026-10-01' })).rejects.toThrow('"from" must be before "to"');
+    });
+  });
+
+  describe('budgets', () => {
+    it('validates budgets', async () => {
+      await expect(service.setBudget('project-1', 'weekly', { maxTokens: 10 })).rejects.toThrow('Budget period must be one of');
+      await expect(service.setBudget('project-1', 'daily', {})).rejects.toThrow('A budget needs maxTokens, maxCost or both');
+      await expect(service.setBudget('project-1', 'daily', { maxTokens: 1.5 })).rejects.toThrow('maxTokens must be a positive integer');
+    });
+
+    it('pauses the project queue once a budget is exceeded and announces it once per period', async () => {
+      await service.setBudget('project-1', 'daily', { maxTokens: 1000 });
+
+      await service.recordInteraction({ projectId: 'project-1', promptTokens: 400, completionTokens: 400 });
+      expect(queueMonitoringService.pauseProjectQueue).not.toHaveBeenCalled();
+
+      await service.recordInteraction({ projectId: 'project-1', promptTokens: 100, completionTokens: 100 });
+      await service.recordInteraction({ projectId: 'project-1', promptTokens: 100, completionTokens: 100 });
+
+      expect(queueMonitoringService.pauseProjectQueue).toHaveBeenCalledTimes(1);
+      expect(queueMonitoringService.pauseProjectQueue).toHaveBeenCalledWith('project-1', 'AI usage budget exceeded (daily)', 'AIUsageService');
+      expect(eventBus.emit.mock.calls.filter(([eventName]) => eventName === 'ai:budget:exceeded')).toHaveLength(1);
+
+      const [budget] = await service.getBudgetStatus('project-1');
+      expect(budget).toMatchObject({ period: 'daily', usedTokens: 1200, exceeded: true });
+      // Budget checks sum in the repository instead of loading the records
+      expect(repository.findByProjectId).not.toHaveBeenCalled();
+      expect(repository.sumByProjectId).toHaveBeenLastCalledWith('project-1', { from: budget.periodStart });
+
+      const report = await service.getUsageReport('project-1');
+      expect(report.queuePaused).toEqual({ reason: 'AI usage budget exceeded (daily)' });
+    });
+
+    it('ignores disabled budgets', async () => {
+      await service.setBudget('project-1', 'total', { maxCost: 0.0001, enabled: false });
+      await service.recordInteraction({ projectId: 'project-1', model: 'gpt-4', promptTokens: 1000, completionTokens: 1000 });
+
+      expect(queueMonitoringService.pauseProjectQueue).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for finding fingerprints, baseline diffs and baseline-aware task generation
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const AnalysisBaselineService = require('@domain/services/analysis/AnalysisBaselineService');
+const AnalysisTaskService = require('@domain/services/analysis/AnalysisTaskService');
+const AnalysisApplicationService = require('@application/services/AnalysisApplicationService');
+
+const writeFile = (root, relativePath, content) => {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+};
+
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+describe('AnalysisBaselineService', () => {
+  const service = new AnalysisBaselineService();
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'baseline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('keeps fingerprints stable when the flagged code moves and separates repeated findings', async () => {
+    writeFile(projectPath, 'src/app.js', 'eval(input);\nrun();\neval(input);\n');
+    const before = await service.fingerprintIssues([
+      { rule: 'eval-usage', file: 'src/app.js', line: 1, message: 'eval at line 1' },
+      { rule: 'eval-usage', file: 'src/app.js', line: 3, message: 'eval at line 3' }
+    ], projectPath);
+
+    writeFile(projectPath, 'src/app.js', '// header\n\neval(input);\nrun();\n  eval( input);\n');
+    const after = await service.fingerprintIssues([
+      { rule: 'eval-usage', file: `${projectPath}/src/app.js`, line: 3, message: 'eval at line 3' },
+      { rule: 'eval-usage', file: './src/app.js', line: 5, message: 'eval at line 5' }
+    ], projectPath);
+
+    expect(before[1].fingerprint).toBe(`${before[0].fingerprint}:1`);
+    // Moved down, reindented and referenced by absolute or ./ paths
+    expect(after.map(issue => issue.fingerprint)).toEqual(before.map(issue => issue.fingerprint));
+
+    // Without a source line the message is used with numbers masked
+    const [fromMessage] = await service.fingerprintIssues([{ type: 'large-file', file: 'src/big.js', message: 'File has 900 lines' }], projectPath);
+    const [grown] = await service.fingerprintIssues([{ type: 'large-file', file: 'src/big.js', message: 'File has 950 lines' }], projectPath);
+    expect(grown.fingerprint).toBe(fromMessage.fingerprint);
+  });
+
+  it('splits the current issues into new, fixed and unchanged', async () => {
+    const baseline = await service.fingerprintIssues([
+      { rule: 'weak-hash', file: 'a.js', snippet: "createHash('md5')" },
+      { rule: 'debugger-statement', file: 'b.js', snippet: 'debugger;' }
+    ]);
+    const current = await service.fingerprintIssues([
+      { rule: 'weak-hash', file: 'a.js', snippet: "createHash( 'md5' )" },
+      { rule: 'eval-usage', file: 'c.js', snippet: 'eval(x)' }
+    ]);
+
+    const diff = service.diff(current, baseline);
+
+    expect(diff.summary).toEqual({ new: 1, fixed: 1, unchanged: 1, total: 2 });
+    expect(diff.new[0].rule).toBe('eval-usage');
+    expect(diff.fixed[0].rule).toBe('debugger-statement');
+  });
+
+  it('only creates tasks for findings that are not in the baseline', async () => {
+    const taskService = new AnalysisTaskService(null, logger);
+    const known = { rule: 'weak-hash', file: 'a.js', snippet: "createHash('md5')", severity: 'high', message: 'Weak hash' };
+    const added = { rule: 'eval-usage', file: 'c.js', snippet: 'eval(x)', severity: 'critical', message: 'eval' };
+    const baseline = { analysisId: 'base', issues: await service.fingerprintIssues([known]) };
+
+    const unchanged = await taskService.createTasksFromAnalysis(
+      { issues: [known], recommendations: [{ title: 'Use sha256' }] },
+      { projectId: 'p1', baseline },
+      'SecurityAnalysisOrchestrator'
+    );
+    expect(unchanged).toEqual([]);
+
+    const tasks = await taskService.createTasksFromAnalysis(
+      { issues: [known, added], recommendations: [{ title: 'Use sha256' }] },
+      { projectId: 'p1', baseline },
+      'SecurityAnalysisOrchestrator'
+    );
+    expect(tasks[0].metadata).toMatchObject({ issuesCount: 1, recommendationsCount: 0 });
+    expect(tasks.filter(task => task.parentTaskId).map(task => task.metadata.issues)).toEqual([[expect.objectContaining({ rule: 'eval-usage' })]]);
+  });
+
+  it('compares with the newest analysis before the merge base of ?since', async () => {
+    git(projectPath, 'init', '-q', '-b', 'main');
+    git(projectPath, 'config', 'user.email', 'dev@example.com');
+    git(projectPath, 'config', 'user.name', 'dev');
+    writeFile(projectPath, 'src/app.js', "crypto.createHash('md5');\n");
+    git(projectPath, 'add', '-A');
+    git(projectPath, 'commit', '-q', '-m', 'initial');
+    const mainCommit = git(projectPath, 'rev-parse', 'HEAD');
+    git(projectPath, 'checkout', '-q', '-b', 'feature');
+    writeFile(projectPath, 'src/app.js', "// feature\ncrypto.createHash('md5');\neval(code);\n");
+    git(projectPath, 'commit', '-q', '-am', 'feature');
+
+    const analyses = {
+      old: { id: 'old', projectId: 'p1', analysisType: 'security', result: { git: { commit: mainCommit }, issues: [
+        { rule: 'weak-hash', file: 'src/app.js', line: 1, snippet: "crypto.createHash('md5');" },
+        { rule: 'debugger-statement', file: 'src/app.js', line: 2, snippet: 'debugger;' }
+      ] } },
+      latest: { id: 'latest', projectId: 'p1', analysisType: 'security', result: { issues: [
+        { rule: 'weak-hash', file: 'src/app.js', line: 2 },
+        { rule: 'eval-usage', file: 'src/app.js', line: 3 }
+      ] } }
+    };
+    const analysisRepository = {
+      findById: jest.fn(async (id) => analyses[id] || null),
+      getLatestAnalysis: jest.fn(async () => analyses.latest),
+      getAnalysisHistory: jest.fn(async () => [analyses.latest, analyses.old]),
+      getBaseline: jest.fn(async () => null)
+    };
+    const projectRepository = { findById: jest.fn(async () => ({ workspacePath: projectPath })) };
+    const applicationService = new AnalysisApplicationService({ analysisRepository, projectRepository, logger });
+
+    const diff = await applicationService.getAnalysisDiff('p1', { type: 'security', since: 'main' });
+
+    expect(diff.baseline).toMatchObject({ analysisId: 'old', source: 'since', ref: 'main', commit: mainCommit });
+    expect(diff.summary).toEqual({ new: 1, fixed: 1, unchanged: 1, total: 2 });
+    expect(diff.new.map(issue => issue.rule)).toEqual(['eval-usage']);
+
+    await expect(applicationService.getAnalysisDiff('p1', { type: 'security', since: 'no-such-branch' }))
+      .rejects.toThrow('Cannot resolve git ref "no-such-branch"');
+    await expect(applicationService.getAnalysisDiff('p1', { type: 'security' }))
+      .rejects.toThrow('No baseline for security analysis');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the content hash file index used by incremental analysis steps
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnalysisFileIndexService = require('@domain/services/analysis/AnalysisFileIndexService');
+const SemgrepSecurityStep = require('@domain/steps/categories/analysis/security/SemgrepSecurityStep');
+
+const writeFile = (root, relativePath, content) => {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+describe('AnalysisFileIndexService', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'file-index-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('only re-analyzes changed files and drops deleted ones', async () => {
+    const service = new AnalysisFileIndexService();
+    const files = ['a.js', 'b.js', 'c.js'].map(name => writeFile(projectPath, name, `// ${name}\n`));
+    const analyze = jest.fn(async (content, file) => ({ file: path.basename(file), lines: content.split('\n').length }));
+    const options = { projectId: 'p1', analyzer: 'TestStep', version: '1' };
+
+    const first = await service.analyzeFiles(files, analyze, options);
+    expect(first.stats).toEqual({ total: 3, analyzed: 3, reused: 0, removed: 0, failed: 0 });
+
+    writeFile(projectPath, 'b.js', '// b.js\nchanged();\n');
+    analyze.mockClear();
+    const second = await service.analyzeFiles(files, analyze, options);
+    expect(analyze.mock.calls.map(([, file]) => path.basename(file))).toEqual(['b.js']);
+    expect(second.stats).toMatchObject({ analyzed: 1, reused: 2 });
+    expect(second.results.map(({ result }) => result)).toEqual([
+      { file: 'a.js', lines: 2 },
+      { file: 'b.js', lines: 3 },
+      { file: 'c.js', lines: 2 }
+    ]);
+
+    fs.unlinkSync(files[2]);
+    const third = await service.analyzeFiles(files.slice(0, 2), analyze, options);
+    expect(third.stats).toMatchObject({ analyzed: 0, reused: 2, removed: 1 });
+
+    // A new analyzer version, a full rescan or another project analyze everything again
+    expect((await service.analyzeFiles(files.slice(0, 2), analyze, { ...options, version: '2' })).stats.analyzed).toBe(2);
+    expect((await service.analyzeFiles(files.slice(0, 2), analyze, { ...options, version: '2', incremental: false })).stats.analyzed).toBe(2);
+    expect((await service.analyzeFiles(files.slice(0, 2), analyze, { ...options, projectId: 'p2', version: '2' })).stats.analyzed).toBe(2);
+  });
+
+  it('stores changed and deleted entries through the analysis repository', async () => {
+    const stored = new Map();
+    const analysisRepository = {
+      getFileIndex: jest.fn(async () => [...stored.values()]),
+      saveFileIndexEntries: jest.fn(async (projectId, analyzer, entries) => entries.forEach(entry => stored.set(entry.filePath, entry))),
+      deleteFileIndexEntries: jest.fn(async (projectId, analyzer, filePaths) => filePaths.forEach(filePath => stored.delete(filePath))),
+      clearFileIndex: jest.fn(async () => stored.clear())
+    };
+    const service = new AnalysisFileIndexService({ analysisRepository });
+    const a = writeFile(projectPath, 'a.js', 'a();\n');
+    const b = writeFile(projectPath, 'b.js', 'b();\n');
+    const analyze = async content => ({ calls: [content.trim()] });
+
+    await service.analyzeFiles([a, b], analyze, { projectId: 'p1', analyzer: 'TestStep' });
+    writeFile(projectPath, 'a.js', 'a2();\n');
+    const { stats } = await service.analyzeFiles([a], analyze, { projectId: 'p1', analyzer: 'TestStep' });
+
+    expect(stats).toMatchObject({ analyzed: 1, reused: 0, removed: 1 });
+    expect(analysisRepository.saveFileIndexEntries).toHaveBeenLastCalledWith('p1', 'TestStep', [
+      expect.objectContaining({ filePath: a, version: '1', result: { calls: ['a2();'] } })
+    ]);
+    expect(analysisRepository.deleteFileIndexEntries).toHaveBeenLastCalledWith('p1', 'TestStep', [b]);
+    expect([...stored.keys()]).toEqual([a]);
+  });
+
+  it('reuses security findings of unchanged files until the rule file changes', async () => {
+    const service = new AnalysisFileIndexService();
+    writeFile(projectPath, 'src/run.js', "const { exec } = require('child_process');\nexec(req.query.cmd);\n");
+    writeFile(projectPath, 'src/safe.js', 'module.exports = () => 1;\n');
+    const analyze = async () => (await SemgrepSecurityStep.execute({
+      projectPath,
+      projectId: 'p1',
+      generateTasks: false,
+      includeDocumentation: false,
+      getService: () => service
+    })).result;
+
+    const first = await analyze();
+    const second = await analyze();
+
+    expect(first.metrics).toMatchObject({ totalFiles: 2, filesReanalyzed: 2, filesFromIndex: 0 });
+    expect(second.metrics).toMatchObject({ filesReanalyzed: 0, filesFromIndex: 2 });
+    expect(second.vulnerabilities).toEqual(first.vulnerabilities);
+    expect(second.vulnerabilities.length).toBeGreaterThan(0);
+
+    writeFile(projectPath, '.pidea/security-rules.json', JSON.stringify({ overrides: { [first.vulnerabilities[0].rule]: { severity: 'low' } } }));
+    const third = await analyze();
+    expect(third.metrics).toMatchObject({ filesReanalyzed: 2, filesFromIndex: 0 });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit tests for BranchProtectionService and the protection checks in GitService, WorkflowGitService
+ * and WorkflowOrchestrationService
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const BranchProtectionService = require('@domain/services/git/BranchProtectionService');
+const WorkflowGitService = require('@domain/services/workflow/WorkflowGitService');
+const WorkflowOrchestrationService = require('@domain/services/workflow/WorkflowOrchestrationService');
+const TaskType = require('@domain/value-objects/TaskType');
+const GitMergeBranchStep = require('@domain/steps/categories/git/git_merge_branch');
+const GitService = require('@external/GitService');
+
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=PIDEA', '-c', 'user.email=pidea@example.com', ...args], { cwd, encoding: 'utf8' });
+
+const passed = { tests: { success: true }, qualityGates: { passed: true } };
+
+describe('BranchProtectionService', () => {
+  let root;
+  let eventBus;
+  let service;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'protection-'));
+    git(root, 'init', '-q', '-b', 'main');
+    fs.writeFileSync(path.join(root, 'index.js'), 'module.exports = 1;\n');
+    git(root, 'add', '.');
+    git(root, 'commit', '-q', '-m', 'init');
+    git(root, 'branch', 'pidea-agent');
+    git(root, 'checkout', '-q', '-b', 'task/t1');
+    fs.writeFileSync(path.join(root, 'feature.js'), Array.from({ length: 30 }, (_, index) => `const line${index} = ${index};`).join('\n') + '\n');
+    git(root, 'add', '.');
+    git(root, 'commit', '-q', '-m', 'feature');
+
+    eventBus = { publish: jest.fn() };
+    service = new BranchProtectionService({ eventBus });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('blocks workflow merges into protected branches until tests and quality gates pass', async () => {
+    const merge = { projectPath: root, sourceBranch: 'task/t1', targetBranch: 'main' };
+
+    await expect(service.assertAllowed('merge', merge)).rejects.toMatchObject({
+      name: 'BranchProtectionError',
+      message: 'Branch protection blocked merge into main (critical): tests have not been run; quality gates have not been run',
+      violations: [{ rule: 'tests' }, { rule: 'quality-gates' }]
+    });
+    expect(eventBus.publish).toHaveBeenCalledWith('git.protection.violation', expect.objectContaining({ branch: 'main', sourceBranch: 'task/t1' }));
+
+    const failedTests = await service.evaluate('merge', { ...merge, checks: { tests: { success: false }, qualityGates: { passed: true } } });
+    expect(failedTests.violations).toEqual([{ rule: 'tests', message: 'tests have not passed' }]);
+
+    expect(await service.evaluate('merge', { ...merge, checks: passed })).toMatchObject({ allowed: true, branch: 'main' });
+    // pidea-agent (high) only requires tests, users are not asked for check results
+    expect((await service.evaluate('merge', { ...merge, targetBranch: 'pidea-agent', checks: { tests: true } })).allowed).toBe(true);
+    expect((await service.evaluate('merge', { ...merge, actor: 'user' })).allowed).toBe(true);
+    expect((await service.evaluate('merge', { ...merge, targetBranch: 'feature/x' })).rule).toBeNull();
+  });
+
+  it('applies force-push, direct commit and diff size rules from the policy file', async () => {
+    fs.mkdirSync(path.join(root, '.pidea'));
+    fs.writeFileSync(path.join(root, '.pidea', 'branch-protection.yml'), [
+      'branches:',
+      '  main:',
+      '    protection: critical',
+      '    maxDiffLines: 10',
+      '  "release/*":',
+      '    protection: medium'
+    ].join('\n'));
+
+    const diff = await service.evaluate('merge', { projectPath: root, sourceBranch: 'task/t1', targetBranch: 'main', checks: passed });
+    expect(diff.violations).toEqual([{ rule: 'max-diff-lines', message: 'diff of 30 lines exceeds the limit of 10' }]);
+
+    expect((await service.evaluate('push', { projectPath: root, branch: 'release/1.0', force: true })).violations)
+      .toEqual([{ rule: 'force-push', message: 'force-push is not allowed' }]);
+    expect((await service.evaluate('push', { projectPath: root, branch: 'release/1.0' })).allowed).toBe(true);
+
+    git(root, 'checkout', '-q', 'main');
+    await expect(service.assertAllowed('commit', { projectPath: root })).rejects.toThrow('Branch protection blocked commit on main (critical): workflows may not commit directly, use a task branch');
+    expect((await service.evaluate('commit', { projectPath: root, actor: 'user' })).allowed).toBe(true);
+
+    // Runtime protections apply below the policy file
+    service.protectBranch(root, 'task/*', 'high');
+    expect(await service.getRule(root, 'task/t1')).toMatchObject({ branch: 'task/*', protection: 'high', maxDiffLines: 5000 });
+    service.protectBranch(root, 'main', 'low');
+    expect((await service.getRule(root, 'main')).maxDiffLines).toBe(10);
+  });
+
+  it('rejects protected operations in GitService and auto-merges only after checks pass', async () => {
+    const stepRegistry = { executeStep: jest.fn(async () => ({ success: true, result: {} })) };
+    const gitService = new GitService({ stepRegistry, branchProtectionService: service, logger: { info: jest.fn(), error: jest.fn() } });
+
+    await expect(gitService.mergeBranch(root, 'task/t1', { targetBranch: 'main' })).rejects.toMatchObject({ name: 'BranchProtectionError' });
+    await expect(gitService.pushChanges(root, { branch: 'pidea-agent', force: true })).rejects.toThrow('force-push is not allowed');
+    expect(stepRegistry.executeStep).not.toHaveBeenCalled();
+
+    await gitService.mergeBranch(root, 'task/t1', { targetBranch: 'main', actor: 'user' });
+    expect(stepRegistry.executeStep).toHaveBeenCalledWith('GitMergeBranchStep', expect.objectContaining({ branchName: 'task/t1', targetBranch: 'main' }));
+
+    gitService.checkoutBranch = jest.fn(async () => ({ success: true }));
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const workflowGitService = new WorkflowGitService({ gitService, branchProtectionService: service, logger });
+    await workflowGitService.setupAutoMerge(root, 'task/t1', 'pidea-agent');
+    stepRegistry.executeStep.mockClear();
+
+    const kept = await workflowGitService.autoMergeBranch(root, 'task/t1', null, { tests: { success: true } });
+    expect(kept).toMatchObject({ action: 'kept_branch', targetBranch: 'pidea-agent', reasons: ['no quality check results'] });
+    expect(stepRegistry.executeStep).not.toHaveBeenCalled();
+
+    const merged = await workflowGitService.autoMergeBranch(root, 'task/t1', null, passed);
+    expect(merged).toMatchObject({ action: 'merged', targetBranch: 'pidea-agent' });
+    // The merge step finds the target's checkout itself, the task's checkout is left alone
+    expect(stepRegistry.executeStep).toHaveBeenCalledWith('GitMergeBranchStep', expect.objectContaining({ branchName: 'task/t1', targetBranch: 'pidea-agent' }));
+    expect(gitService.checkoutBranch).not.toHaveBeenCalled();
+  });
+
+  it('protects new workflow branches and merges them once the task checks pass', async () => {
+    let currentBranch = 'main';
+    const gitService = {
+      getCurrentBranch: jest.fn(async () => currentBranch),
+      createBranch: jest.fn(async (projectPath, branchName) => { currentBranch = branchName; }),
+      addFiles: jest.fn(async () => ({ success: true })),
+      commitChanges: jest.fn(async () => ({ success: true })),
+      mergeBranch: jest.fn(async () => ({ success: true, output: 'Merge made' }))
+    };
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const workflowGitService = new WorkflowGitService({ gitService, branchProtectionService: service, logger });
+    const checkResults = { ProjectTestStep: { success: true }, QualityGateStep: { success: false, passed: false } };
+    const stepRegistry = { executeStep: jest.fn(async (name) => ({ success: true, result: checkResults[name] })) };
+    const orchestration = new WorkflowOrchestrationService({ workflowGitService, stepRegistry, logger });
+    orchestration.executeWorkflowByType = jest.fn(async () => ({ success: true }));
+    const task = { id: 't2', projectId: 'p1', title: 'Cover the parser', type: new TaskType(TaskType.TESTING), metadata: { projectPath: root } };
+
+    const kept = await orchestration.executeWorkflowLegacy(task);
+    const branchName = kept.branch.branchName;
+    expect(service.getAutoMergeTarget(root, branchName)).toBe('pidea-agent');
+    expect(stepRegistry.executeStep).toHaveBeenCalledWith('ProjectTestStep', expect.objectContaining({ projectId: 'p1', workspacePath: root }));
+    expect(kept.completion.mergeResult).toMatchObject({ action: 'kept_branch', reasons: ['quality checks failed'] });
+    expect(gitService.mergeBranch).not.toHaveBeenCalled();
+
+    checkResults.QualityGateStep = { success: true, passed: true };
+    currentBranch = 'main';
+    const merged = await orchestration.executeWorkflowLegacy(task);
+    expect(merged.completion.mergeResult).toMatchObject({ action: 'merged', targetBranch: 'pidea-agent' });
+    expect(gitService.mergeBranch).toHaveBeenCalledWith(root, merged.branch.branchName, expect.objectContaining({
+      targetBranch: 'pidea-agent',
+      checks: { tests: { success: true }, qualityGates: { success: true, passed: true } }
+    }));
+
+    // Bug fix branches are protected, but still take the workflow's own commits
+    const fix = await workflowGitService.createWorkflowBranchLegacy(root, { ...task, id: 't3', type: new TaskType(TaskType.BUG) });
+    expect(await service.getRule(root, fix.branchName)).toMatchObject({ protection: 'high', allowForcePush: false, allowDirectCommits: true });
+    expect((await service.evaluate('commit', { projectPath: root, branch: fix.branchName })).allowed).toBe(true);
+  });
+
+  it('auto-merges task branches in the workflow step only when the quality gates passed', async () => {
+    const gitService = { mergeBranch: jest.fn(async () => ({ success: true, output: 'Merge made' })) };
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const workflowGitService = new WorkflowGitService({ gitService, branchProtectionService: service, logger });
+    const context = {
+      projectPath: root,
+      branchName: 'task/${task.id}',
+      targetBranch: 'pidea-agent',
+      autoMerge: true,
+      taskData: { id: 't1' },
+      workflowGitService,
+      testResults: { success: true },
+      qualityGates: { success: false, result: { status: 'failed', reasons: ['coverage 60 < 80'] } }
+    };
+
+    const kept = await GitMergeBranchStep.execute(context);
+    expect(kept).toMatchObject({ success: true, action: 'kept_branch', merged: false, reasons: ['quality checks failed'] });
+    expect(gitService.mergeBranch).not.toHaveBeenCalled();
+
+    const merged = await GitMergeBranchStep.execute({ ...context, qualityGates: { success: true, result: { status: 'passed' } } });
+    expect(merged).toMatchObject({ success: true, action: 'merged', merged: true, targetBranch: 'pidea-agent' });
+    expect(gitService.mergeBranch).toHaveBeenCalledWith(root, 'task/t1', expect.objectContaining({
+      targetBranch: 'pidea-agent',
+      checks: { tests: { success: true }, qualityGates: { success: true, result: { status: 'passed' } } }
+    }));
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for CommitMessageService, the merge strategies of GitMergeHandler and
+ * version bumps from Conventional Commits
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const CommitMessageService = require('@domain/services/git/CommitMessageService');
+const SemanticVersioningService = require('@domain/services/version/SemanticVersioningService');
+const GitMergeCommand = require('@application/commands/categories/git/GitMergeCommand');
+const GitMergeHandler = require('@application/handlers/categories/git/GitMergeHandler');
+
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=PIDEA', '-c', 'user.email=pidea@example.com', ...args], { cwd, encoding: 'utf8' });
+
+const write = (root, file, content) => {
+  fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+  fs.writeFileSync(path.join(root, file), content);
+};
+
+describe('CommitMessageService', () => {
+  let root;
+  let gitService;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'commit-message-'));
+    git(root, 'init', '-q', '-b', 'main');
+    git(root, 'config', 'user.name', 'PIDEA');
+    git(root, 'config', 'user.email', 'pidea@example.com');
+    write(root, 'backend/app.js', 'module.exports = 1;\n');
+    git(root, 'add', '.');
+    git(root, 'commit', '-q', '-m', 'init');
+
+    // Same diff options as GitService.getDiff
+    gitService = {
+      getDiff: jest.fn(async (projectPath, options) => {
+        const args = ['diff'];
+        if (options.staged) args.push('--staged');
+        if (options.commit1) args.push(options.commit1);
+        return git(projectPath, ...args);
+      })
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('builds a Conventional Commit from the staged diff and the task, with the task trailer', async () => {
+    write(root, 'backend/login.js', 'const a = 1;\nconst b = 2;\n');
+    write(root, 'backend/app.js', 'module.exports = 2;\n');
+    git(root, 'add', '.');
+    write(root, '.pidea/git.json', JSON.stringify({ commitMessages: { conventional: true } }));
+
+    const service = new CommitMessageService({ gitService });
+    const result = await service.generateCommitMessage(root, { id: 'task-7', title: 'Add login form.', type: { value: 'feature' } });
+
+    expect(result).toMatchObject({ type: 'feat', scope: 'backend', breaking: false, source: 'template' });
+    expect(result.message).toBe([
+      'feat(backend): add login form',
+      '',
+      '- backend/app.js (+1 -1)',
+      '- backend/login.js (+2 -0)',
+      '',
+      'Task-ID: task-7'
+    ].join('\n'));
+    expect(gitService.getDiff).toHaveBeenCalledWith(root, { staged: true });
+
+    // Breaking tasks, unknown task types and existing trailers
+    const breaking = await service.generateCommitMessage(root, { id: 'task-8', title: 'API v2', metadata: { breaking: true, breakingChange: 'drops v1 routes' } }, { diff: '' });
+    expect(breaking.message).toBe('chore!: API v2\n\nBREAKING CHANGE: drops v1 routes\nTask-ID: task-8');
+    expect(breaking.breaking).toBe(true);
+    expect(service.addTrailers(breaking.message, { id: 'task-8' })).toBe(breaking.message);
+    expect(service.inferType({}, [{ file: 'docs/guide.md' }, { file: 'README.md' }])).toBe('docs');
+  });
+
+  it('keeps the merge strategy and messages as they are unless the project opts in', async () => {
+    const service = new CommitMessageService({ gitService });
+    expect(await service.loadSettings(root)).toEqual({ mergeStrategy: 'merge', conventional: false, ai: false, trailers: false });
+    expect(await service.getMergeStrategy(root)).toBe('merge');
+
+    const result = await service.generateCommitMessage(root, { id: 'task-7', title: 'Add login form', type: 'feature' }, { diff: '' });
+    expect(result.message).toBe('feat: add login form');
+
+    write(root, '.pidea/git.yml', 'commitMessages:\n  trailers: true\n');
+    expect(await service.loadSettings(root)).toMatchObject({ conventional: false, trailers: true });
+  });
+
+  it('reads the project settings and lets the AI in the IDE write messages when enabled', async () => {
+    write(root, '.pidea/git.yml', 'mergeStrategy: rebase\ncommitMessages:\n  ai: true\n  trailers: false\n');
+    // StepRegistry wraps what IDESendMessageStep returns after waiting for the AI
+    const answer = response => ({ success: true, result: { success: true, aiResponse: { success: true, response } } });
+    const stepRegistry = {
+      executeStep: jest.fn()
+        .mockResolvedValueOnce(answer('```\nfix(backend): handle empty sessions\n\nSessions without a user no longer crash.\n```'))
+        .mockResolvedValueOnce(answer('I changed the session handling.'))
+        .mockResolvedValueOnce({ success: true, result: { success: false, error: 'No chat input found' } })
+    };
+    const ideManager = { getActivePort: jest.fn(() => 9222) };
+    const service = new CommitMessageService({ gitService, stepRegistry, ideManager });
+
+    expect(await service.loadSettings(root)).toEqual({ mergeStrategy: 'rebase', conventional: false, ai: true, trailers: false });
+    expect(await service.getMergeStrategy(root)).toBe('rebase');
+    expect(await service.getMergeStrategy(root, 'merge')).toBe('merge');
+    await expect(service.getMergeStrategy(root, 'octopus')).rejects.toThrow('Unknown merge strategy: octopus');
+
+    const task = { id: 'task-9', projectId: 'project-1', title: 'Fix session crash', type: 'bug' };
+    const ai = await service.generateCommitMessage(root, task, { diff: 'diff --git a/backend/session.js b/backend/session.js\n+if (!user) return;\n' });
+    expect(ai).toMatchObject({ source: 'ai', type: 'fix', message: 'fix(backend): handle empty sessions\n\nSessions without a user no longer crash.' });
+    expect(stepRegistry.executeStep).toHaveBeenCalledWith('IDESendMessageStep', expect.objectContaining({
+      projectId: 'project-1',
+      taskId: 'task-9',
+      workflowStep: 'commit-message',
+      waitForResponse: true,
+      activeIDE: { port: 9222 },
+      message: expect.stringContaining('Suggested header: fix(backend): fix session crash\n\nChanged files:\n- backend/session.js (+1 -0)')
+    }));
+
+    // Answers that are not Conventional Commits, and prompts the IDE did not take, fall back to the template
+    expect(await service.generateCommitMessage(root, task, { diff: '' })).toMatchObject({ source: 'template', message: 'fix: fix session crash' });
+    expect(await service.generateCommitMessage(root, task, { diff: '', port: 9232 })).toMatchObject({ source: 'template' });
+    expect(stepRegistry.executeStep).toHaveBeenLastCalledWith('IDESendMessageStep', expect.objectContaining({ activeIDE: { port: 9232 } }));
+
+    // Without an IDE the AI is not asked
+    ideManager.getActivePort.mockReturnValueOnce(null);
+    expect(await service.generateCommitMessage(root, task, { diff: '' })).toMatchObject({ source: 'template' });
+    expect(stepRegistry.executeStep).toHaveBeenCalledTimes(3);
+  });
+
+  it('squashes or rebases task branches and derives version bumps from their commits', async () => {
+    const handler = new GitMergeHandler({ logger: { info: jest.fn(), error: jest.fn() } });
+    const versioning = new SemanticVersioningService();
+
+    git(root, 'checkout', '-q', '-b', 'task/t1');
+    write(root, 'backend/a.js', 'a\n');
+    git(root, 'add', '.');
+    git(root, 'commit', '-q', '-m', 'wip 1');
+    write(root, 'backend/b.js', 'b\n');
+    git(root, 'add', '.');
+    git(root, 'commit', '-q', '-m', 'wip 2');
+
+    const squashMessage = 'feat(backend): add a and b\n\nTask-ID: t1';
+    const squashed = await handler.handle(new GitMergeCommand({ projectPath: root, branchName: 'task/t1', targetBranch: 'main', strategy: 'squash', message: squashMessage }));
+    expect(squashed).toMatchObject({ success: true, strategy: 'squash' });
+    expect(git(root, 'log', '--format=%B', '-n', '1').trim()).toBe(squashMessage);
+    expect(git(root, 'rev-list', '--count', 'main').trim()).toBe('2');
+
+    git(root, 'checkout', '-q', '-b', 'task/t2', 'main');
+    write(root, 'backend/c.js', 'c\n');
+    git(root, 'add', '.');
+    git(root, 'commit', '-q', '-m', 'fix(backend): repair c\n\nTask-ID: t2');
+    git(root, 'checkout', '-q', 'main');
+    write(root, 'README.md', 'docs\n');
+    git(root, 'add', '.');
+    git(root, 'commit', '-q', '-m', 'docs: readme');
+
+    const rebased = await handler.handle(new GitMergeCommand({ projectPath: root, branchName: 'task/t2', strategy: 'rebase' }));
+    expect(rebased).toMatchObject({ success: true, strategy: 'rebase' });
+    // Linear history: the task commit sits on top of main
+    expect(git(root, 'log', '--format=%s', '-n', '3').trim().split('\n')).toEqual(['fix(backend): repair c', 'docs: readme', 'feat(backend): add a and b']);
+    expect(git(root, 'rev-parse', '--abbrev-ref', 'HEAD').trim()).toBe('main');
+
+    expect(() => new GitMergeCommand({ projectPath: root, branchName: 'x', strategy: 'octopus' }).validate()).toThrow('Unknown merge strategy');
+
+    const messages = git(root, 'log', '--format=%B%x00', 'main').split('\0').map(message => message.trim()).filter(Boolean);
+    expect(versioning.determineBumpTypeFromCommits(messages)).toBe('minor');
+    expect(versioning.determineBumpTypeFromCommits(['fix: a', 'refactor!: drop old API'])).toBe('major');
+    expect(versioning.determineBumpTypeFromCommits(['init'])).toBeNull();
+    expect(versioning.parseConventionalCommit('feat(ui)!: new layout\n\nBody\n\nTask-ID: t3')).toEqual({
+      type: 'feat',
+      scope: 'ui',
+      breaking: true,
+      description: 'new layout',
+      body: 'Body',
+      footers: { 'Task-ID': 't3' }
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit tests for ComplexityAnalyzer and the complexity code quality step
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ComplexityAnalyzer = require('@domain/services/analysis/ComplexityAnalyzer');
+const ComplexityCodeQualityStep = require('@steps/categories/analysis/code-quality/ComplexityCodeQualityStep');
+
+const writeFile = (root, relativePath, content) => {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+};
+
+describe('ComplexityAnalyzer', () => {
+  let analyzer;
+
+  beforeEach(() => {
+    analyzer = new ComplexityAnalyzer();
+  });
+
+  const measure = (source, fileName = 'src/file.js') => {
+    const result = analyzer.analyzeSource(source, fileName);
+    expect(result.parseError).toBeUndefined();
+    return Object.fromEntries(result.functions.map(fn => [fn.name, fn]));
+  };
+
+  it('measures straight-line functions as complexity 1', () => {
+    const { simple } = measure('function simple(a) {\n  return a + 1;\n}\n');
+
+    expect(simple).toMatchObject({ cyclomatic: 1, cognitive: 0, nestingDepth: 0, length: 3, line: 1, params: 1 });
+  });
+
+  it('counts branches, loops and logical operators with nesting increments', () => {
+    const { nested } = measure([
+      'function nested(items, flag) {',
+      '  for (const item of items) {',
+      '    if (item && flag) {',
+      '      continue;',
+      '    } else if (item) {',
+      '      return item;',
+      '    } else {',
+      '      break;',
+      '    }',
+      '  }',
+      '  return null;',
+      '}'
+    ].join('\n'));
+
+    expect(nested).toMatchObject({ cyclomatic: 5, cognitive: 6, nestingDepth: 2, length: 12 });
+  });
+
+  it('handles switch, nullish coalescing, catch and ternaries', () => {
+    const functions = measure([
+      'const pick = (kind) => {',
+      '  switch (kind) {',
+      "    case 'a': return 1;",
+      "    case 'b': return 2;",
+      '    default: return kind ?? 0;',
+      '  }',
+      '};',
+      'class Service {',
+      '  run(x) { try { return x(); } catch (e) { return x ? 1 : 2; } }',
+      '}'
+    ].join('\n'));
+
+    expect(functions.pick).toMatchObject({ cyclomatic: 4, cognitive: 2 });
+    expect(functions['Service.run']).toMatchObject({ cyclomatic: 3, cognitive: 3 });
+  });
+
+  it('adds one cognitive point per sequence of like operators', () => {
+    const { mixed, same } = measure('function mixed(a, b, c) { return a && b || c; }\nfunction same(a, b, c) { return a && b && c; }');
+
+    expect(mixed).toMatchObject({ cyclomatic: 3, cognitive: 2 });
+    expect(same).toMatchObject({ cyclomatic: 3, cognitive: 1 });
+  });
+
+  it('measures nested functions separately and names callbacks', () => {
+    const functions = measure([
+      'module.exports.outer = function (list) {',
+      '  return list.map(item => {',
+      '    if (item) return 1;',
+      '    return 0;',
+      '  });',
+      '};'
+    ].join('\n'));
+
+    expect(functions['module.exports.outer']).toMatchObject({ cyclomatic: 1, cognitive: 0 });
+    expect(functions['<anonymous>']).toMatchObject({ cyclomatic: 2, cognitive: 1 });
+  });
+
+  it('parses TypeScript and JSX', () => {
+    const ts = measure('function typed(x: number): number { return x > 0 ? x : -x; }', 'src/typed.ts');
+    const jsx = measure('const View = ({ items }) => <ul>{items.length > 0 && items.map(i => <li key={i}>{i}</li>)}</ul>;', 'src/View.jsx');
+
+    expect(ts.typed.cyclomatic).toBe(2);
+    expect(jsx.View).toMatchObject({ cyclomatic: 2, cognitive: 1 });
+  });
+
+  describe('analyzeProject', () => {
+    let projectPath;
+
+    beforeEach(() => {
+      projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'complexity-'));
+      writeFile(projectPath, 'src/index.js', 'function main(a) { if (a) { return 1; } return 0; }');
+      writeFile(projectPath, 'src/types.d.ts', 'declare function typed(x: number): number;');
+      writeFile(projectPath, 'src/broken.js', 'function (');
+      writeFile(projectPath, 'node_modules/lib/index.js', 'function vendored() {}');
+      writeFile(projectPath, 'dist/bundle.js', 'function bundled() {}');
+      writeFile(projectPath, 'generated/api.js', 'function generated() {}');
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectPath, { recursive: true, force: true });
+    });
+
+    it('honours the configured excludes and reports parse errors', async () => {
+      const result = await analyzer.analyzeProject(projectPath, { additionalExcludes: ['generated'] });
+
+      expect(result.files.map(file => file.file)).toEqual(['src/index.js']);
+      expect(result.functions).toEqual([expect.objectContaining({ name: 'main', file: 'src/index.js', cyclomatic: 2 })]);
+      expect(result.parseErrors).toEqual([expect.objectContaining({ file: 'src/broken.js' })]);
+    });
+
+    it('matches glob and path patterns', () => {
+      expect(analyzer.isExcluded('logs/app.log', ['*.log'])).toBe(true);
+      expect(analyzer.isExcluded('public/build/app.js', ['public/build'])).toBe(true);
+      expect(analyzer.isExcluded('src/builder.js', ['build'])).toBe(false);
+    });
+  });
+});
+
+describe('ComplexityCodeQualityStep', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'complexity-step-'));
+    const branches = Array.from({ length: 12 }, (_, index) => `  if (value === ${index}) return ${index};`);
+    writeFile(projectPath, 'src/router.js', ['function route(value) {', ...branches, '  return -1;', '}', 'function ok() { return true; }'].join('\n'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('reports measured findings and turns them into refactoring tasks', async () => {
+    const result = await ComplexityCodeQualityStep.execute({ projectPath });
+
+    expect(result.success).toBe(true);
+    expect(result.complexityIssues).toEqual([
+      expect.objectContaining({ type: 'cyclomatic', file: 'src/router.js', line: 1, function: 'route', complexity: 13, threshold: 10, severity: 'low' })
+    ]);
+    expect(result.metrics).toMatchObject({ totalFunctions: 2, complexFunctions: 1, maxCyclomaticComplexity: 13, maxCognitiveComplexity: 12, totalFiles: 1 });
+    expect(result.tasks).toEqual([
+      expect.objectContaining({ function: 'route', file: 'src/router.js', description: 'Refactor route to reduce complexity (cyclomatic 13/10)' })
+    ]);
+  });
+
+  it('fails without a project path', async () => {
+    const result = await ComplexityCodeQualityStep.execute({});
+
+    expect(result).toMatchObject({ success: false, complexityIssues: [] });
+  });
+});
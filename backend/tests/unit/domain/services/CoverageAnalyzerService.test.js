@@ -0,0 +1,218 @@
+/**
+ * Unit tests for coverage report ingestion, the coverage step and coverage-driven test generation
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CoverageReportParser = require('@domain/services/analysis/CoverageReportParser');
+const CoverageAnalyzerService = require('@domain/services/analysis/CoverageAnalyzerService');
+const CoverageCodeQualityStep = require('@steps/categories/analysis/code-quality/CoverageCodeQualityStep');
+const GenerateTestsHandler = require('@application/handlers/categories/generation/GenerateTestsHandler');
+
+const writeFile = (root, relativePath, content) => {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+};
+
+const rules = (result) => result.issues.map(issue => `${issue.rule}@${issue.file}:${issue.line}`).sort();
+
+const LCOV = [
+  'TN:',
+  'SF:src/math.js',
+  'FN:1,add',
+  'FN:5,divide',
+  'FNDA:3,add',
+  'FNDA:0,divide',
+  'DA:1,3',
+  'DA:2,3',
+  'DA:5,0',
+  'DA:6,0',
+  'DA:7,0',
+  'BRDA:6,0,0,0',
+  'BRDA:6,0,1,-',
+  'end_of_record'
+].join('\n');
+
+describe('CoverageReportParser', () => {
+  const parser = new CoverageReportParser();
+
+  it('reads lcov line, function and branch records', () => {
+    const [file] = parser.parse(LCOV, 'lcov').files;
+
+    expect(file).toMatchObject({
+      path: 'src/math.js',
+      lines: { total: 5, covered: 2, pct: 40 },
+      functions: { total: 2, covered: 1, pct: 50 },
+      branches: { total: 2, covered: 0, pct: 0 },
+      uncoveredLines: [5, 6, 7],
+      uncoveredFunctions: [{ name: 'divide', line: 5 }],
+      uncoveredBranches: [{ line: 6, covered: 0, total: 2 }]
+    });
+  });
+
+  it('reads Istanbul coverage-final.json and summary reports', () => {
+    const [file] = parser.parse(JSON.stringify({
+      '/work/app/src/user.js': {
+        path: '/work/app/src/user.js',
+        statementMap: {
+          0: { start: { line: 1, column: 0 }, end: { line: 1, column: 20 } },
+          1: { start: { line: 3, column: 2 }, end: { line: 3, column: 10 } },
+          2: { start: { line: 3, column: 12 }, end: { line: 3, column: 30 } },
+          3: { start: { line: 4, column: 2 }, end: { line: 4, column: 10 } }
+        },
+        s: { 0: 1, 1: 1, 2: 0, 3: 0 },
+        fnMap: { 0: { name: 'load', decl: { start: { line: 2 } }, loc: { start: { line: 2 } } } },
+        f: { 0: 1 },
+        branchMap: { 0: { loc: { start: { line: 3 } }, type: 'if', locations: [{ start: { line: 3 } }, {}] } },
+        b: { 0: [1, 0] }
+      }
+    }), 'istanbul').files;
+
+    expect(file).toMatchObject({
+      path: '/work/app/src/user.js',
+      lines: { total: 3, covered: 2 },
+      statements: { total: 4, covered: 2, pct: 50 },
+      branches: { total: 2, covered: 1 },
+      uncoveredLines: [4],
+      uncoveredBranches: [{ line: 3, covered: 1, total: 2 }]
+    });
+
+    const summary = parser.parse(JSON.stringify({
+      total: { lines: { total: 10, covered: 5, pct: 50 } },
+      'src/a.js': { lines: { total: 10, covered: 5 }, branches: { total: 4, covered: 1 }, functions: { total: 2, covered: 2 }, statements: { total: 12, covered: 6 } }
+    }), 'istanbul-summary').files;
+    expect(summary).toEqual([expect.objectContaining({ path: 'src/a.js', branches: { total: 4, covered: 1, pct: 25 }, detailed: false })]);
+  });
+
+  it('reads Cobertura XML with source roots, methods and condition coverage', () => {
+    const { files, sources } = parser.parse(`<?xml version="1.0" ?>
+<coverage line-rate="0.5" branch-rate="0.5" version="7.4">
+  <sources><source>/ci/build/api</source></sources>
+  <packages><package name="app"><classes>
+    <class name="views.py" filename="app/views.py" line-rate="0.5">
+      <methods><method name="index" hits="0"><lines><line number="3" hits="0"/></lines></method></methods>
+      <lines>
+        <line number="1" hits="1"/>
+        <line number="2" hits="1" branch="true" condition-coverage="50% (1/2)"/>
+        <line number="3" hits="0"/>
+        <line number="4" hits="0"/>
+      </lines>
+    </class>
+  </classes></package></packages>
+</coverage>`, 'cobertura');
+
+    expect(sources).toEqual(['/ci/build/api']);
+    expect(files[0]).toMatchObject({
+      path: 'app/views.py',
+      lines: { total: 4, covered: 2, pct: 50 },
+      branches: { total: 2, covered: 1 },
+      functions: { total: 1, covered: 0 },
+      uncoveredLines: [3, 4],
+      uncoveredFunctions: [{ name: 'index', line: 3 }]
+    });
+  });
+});
+
+describe('CoverageAnalyzerService', () => {
+  let projectPath;
+  const service = new CoverageAnalyzerService();
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('reads one report per subproject and maps CI paths to project files', async () => {
+    writeFile(projectPath, 'package.json', { name: 'root', workspaces: ['web'] });
+    writeFile(projectPath, 'web/package.json', { name: 'web' });
+    writeFile(projectPath, 'web/src/math.js', 'module.exports = {};\n');
+    writeFile(projectPath, 'web/coverage/lcov.info', LCOV);
+    // Summary of the same run: the lcov report is more detailed and wins
+    writeFile(projectPath, 'web/coverage/coverage-summary.json', { total: {} });
+    writeFile(projectPath, 'api/pyproject.toml', '[project]\nname = "api"\n');
+    writeFile(projectPath, 'api/app/views.py', 'def index():\n    pass\n');
+    writeFile(projectPath, 'api/coverage.xml', [
+      '<coverage><sources><source>/home/runner/work/repo/repo/api</source></sources><packages><package><classes>',
+      '<class name="views.py" filename="/home/runner/work/repo/repo/api/app/views.py">',
+      '<lines><line number="1" hits="1"/><line number="2" hits="1"/></lines></class>',
+      '</classes></package></packages></coverage>'
+    ].join('\n'));
+
+    const coverage = await service.analyzeProject(projectPath);
+
+    expect(coverage.reports.map(report => `${report.file}:${report.format}:${report.subproject}:${!!report.used}`)).toEqual([
+      'api/coverage.xml:cobertura:api:true',
+      'web/coverage/coverage-summary.json:istanbul-summary:web:false',
+      'web/coverage/lcov.info:lcov:web:true'
+    ]);
+    expect(coverage.files.map(file => file.file)).toEqual(['api/app/views.py', 'web/src/math.js']);
+    expect(coverage.subprojects.map(subproject => [subproject.path, subproject.totals.lines.pct])).toEqual([['api', 100], ['web', 40]]);
+    expect(coverage.totals.lines).toEqual({ total: 7, covered: 4, pct: 57.14 });
+    expect(coverage.hotSpots).toEqual([expect.objectContaining({
+      file: 'web/src/math.js',
+      uncoveredLines: 3,
+      ranges: [{ start: 5, end: 7 }],
+      uncoveredFunctions: [{ name: 'divide', line: 5 }]
+    })]);
+  });
+
+  it('reports thresholds, uncovered files and test tasks in the coverage step', async () => {
+    writeFile(projectPath, 'package.json', { name: 'app' });
+    writeFile(projectPath, 'coverage/lcov.info', [
+      LCOV,
+      'SF:src/unused.js',
+      'DA:1,0',
+      'DA:2,0',
+      'end_of_record'
+    ].join('\n'));
+
+    const result = await CoverageCodeQualityStep.execute({ projectPath });
+
+    expect(result.metrics).toMatchObject({ lineCoverage: 28.57, branchCoverage: 0, reports: 1, uncoveredFiles: 1, lowCoverageFiles: 2 });
+    expect(rules(result)).toEqual([
+      'low-branch-coverage@coverage/lcov.info:null',
+      'low-file-coverage@src/math.js:5',
+      'low-function-coverage@coverage/lcov.info:null',
+      'low-line-coverage@coverage/lcov.info:null',
+      'uncovered-file@src/unused.js:1'
+    ]);
+    expect(result.tasks.map(task => task.description)).toEqual([
+      'Add tests for src/math.js (40% covered, uncovered lines 5-7)',
+      'Add tests for src/unused.js (0% covered, uncovered lines 1-2)'
+    ]);
+
+    const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-empty-'));
+    try {
+      const missing = await CoverageCodeQualityStep.execute({ projectPath: empty });
+      expect(rules(missing)).toEqual(['no-coverage-report@null:null']);
+      expect(missing.metrics.lineCoverage).toBeNull();
+    } finally {
+      fs.rmSync(empty, { recursive: true, force: true });
+    }
+  });
+
+  it('orders test generation by coverage, least covered first', async () => {
+    writeFile(projectPath, 'package.json', { name: 'app' });
+    const source = 'function run() {\n  return 1;\n}\nmodule.exports = { run };\n';
+    writeFile(projectPath, 'src/covered.js', source);
+    writeFile(projectPath, 'src/partial.js', source);
+    writeFile(projectPath, 'src/untested.js', source);
+    writeFile(projectPath, 'coverage/lcov.info', [
+      'SF:src/covered.js', 'DA:1,1', 'DA:2,1', 'end_of_record',
+      'SF:src/partial.js', 'DA:1,1', 'DA:2,0', 'end_of_record'
+    ].join('\n'));
+
+    const handler = new GenerateTestsHandler({ eventBus: {}, analysisRepository: {}, logger: { info: jest.fn(), warn: jest.fn() } });
+    const structure = await handler.analyzeProjectStructure(projectPath);
+    const components = await handler.identifyTestableComponents(projectPath, structure, await handler.loadCoverage(projectPath));
+
+    expect(components.queue.map(component => [component.path, component.coverage])).toEqual([
+      ['src/untested.js', 0],
+      ['src/partial.js', 50]
+    ]);
+  });
+});
@@ -0,0 +1,366 @@
+/**
+ * Unit tests for lockfile-based dependency analysis
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DependencyGraphService = require('@domain/services/analysis/DependencyGraphService');
+const LockfileParser = require('@domain/services/analysis/LockfileParser');
+const DependencyUsageScanner = require('@domain/services/analysis/DependencyUsageScanner');
+const LicenseClassifier = require('@domain/services/analysis/LicenseClassifier');
+const AdvisoryDatabase = require('@domain/services/analysis/AdvisoryDatabase');
+const UnusedDependencyStep = require('@steps/categories/analysis/dependencies/UnusedDependencyStep');
+const OutdatedDependencyStep = require('@steps/categories/analysis/dependencies/OutdatedDependencyStep');
+const LicenseDependencyStep = require('@steps/categories/analysis/dependencies/LicenseDependencyStep');
+
+const writeFile = (root, relativePath, content) => {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+};
+
+const byName = (packages) => Object.fromEntries(packages.map(pkg => [`${pkg.name}@${pkg.version}`, pkg]));
+
+describe('DependencyGraphService', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'dependency-graph-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('resolves direct and transitive packages of npm workspaces from package-lock v3', async () => {
+    writeFile(projectPath, 'package.json', {
+      name: 'root',
+      workspaces: ['packages/*'],
+      devDependencies: { jest: '^29.0.0' }
+    });
+    writeFile(projectPath, 'packages/api/package.json', {
+      name: 'api',
+      dependencies: { express: '^4.18.0', shared: '*' }
+    });
+    writeFile(projectPath, 'packages/shared/package.json', { name: 'shared', version: '1.0.0' });
+    writeFile(projectPath, 'package-lock.json', {
+      name: 'root',
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'root', workspaces: ['packages/*'], devDependencies: { jest: '^29.0.0' } },
+        'packages/api': { name: 'api', dependencies: { express: '^4.18.0', shared: '*' } },
+        'packages/shared': { name: 'shared', version: '1.0.0' },
+        'node_modules/api': { resolved: 'packages/api', link: true },
+        'node_modules/shared': { resolved: 'packages/shared', link: true },
+        'node_modules/express': { version: '4.18.2', license: 'MIT', dependencies: { qs: '6.11.0' } },
+        'node_modules/qs': { version: '6.11.0', license: 'BSD-3-Clause' },
+        'node_modules/jest': { version: '29.7.0', dev: true, license: 'MIT' }
+      }
+    });
+
+    const graph = await new DependencyGraphService().analyze(projectPath);
+    const packages = byName(graph.packages);
+
+    expect(graph.lockfiles).toEqual([expect.objectContaining({ file: 'package-lock.json', type: 'npm', lockfileVersion: 3 })]);
+    expect(graph.workspaces.map(workspace => workspace.relativePath).sort()).toEqual(['', 'packages/api', 'packages/shared']);
+    expect(packages['express@4.18.2']).toMatchObject({ direct: true, dev: false, license: 'MIT', workspaces: ['api'] });
+    expect(packages['qs@6.11.0']).toMatchObject({ direct: false, via: ['express', 'qs'] });
+    expect(packages['jest@29.7.0']).toMatchObject({ direct: true, dev: true });
+    expect(graph.packages.find(pkg => pkg.name === 'shared')).toBeUndefined();
+
+    const api = graph.workspaces.find(workspace => workspace.name === 'api');
+    expect(api.dependencies.find(dependency => dependency.name === 'shared')).toMatchObject({ workspace: true });
+    expect(graph.unresolved).toEqual([]);
+  });
+
+  it('reads yarn classic lockfiles', async () => {
+    writeFile(projectPath, 'package.json', { name: 'app', dependencies: { lodash: '^4.17.0', chalk: '^4.0.0' } });
+    writeFile(projectPath, 'yarn.lock', [
+      '# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.',
+      '# yarn lockfile v1',
+      '',
+      '',
+      'chalk@^4.0.0:',
+      '  version "4.1.2"',
+      '  resolved "https://registry.yarnpkg.com/chalk/-/chalk-4.1.2.tgz"',
+      '  dependencies:',
+      '    supports-color "^7.1.0"',
+      '',
+      'lodash@^4.17.0, lodash@^4.17.20:',
+      '  version "4.17.20"',
+      '',
+      'supports-color@^7.1.0:',
+      '  version "7.2.0"',
+      ''
+    ].join('\n'));
+
+    const graph = await new DependencyGraphService().analyze(projectPath);
+    const packages = byName(graph.packages);
+
+    expect(graph.lockfiles[0].type).toBe('yarn');
+    expect(Object.keys(packages).sort()).toEqual(['chalk@4.1.2', 'lodash@4.17.20', 'supports-color@7.2.0']);
+    expect(packages['supports-color@7.2.0'].via).toEqual(['chalk', 'supports-color']);
+  });
+
+  it.each([
+    ['v6', [
+      "lockfileVersion: '6.0'",
+      'importers:',
+      '  .:',
+      '    dependencies:',
+      '      debug:',
+      '        specifier: ^4.3.0',
+      '        version: 4.3.4',
+      'packages:',
+      '  /debug@4.3.4:',
+      '    resolution: {integrity: sha512-x}',
+      '    dependencies:',
+      '      ms: 2.1.2',
+      '  /ms@2.1.2:',
+      '    resolution: {integrity: sha512-y}',
+      ''
+    ]],
+    ['v9', [
+      "lockfileVersion: '9.0'",
+      'importers:',
+      '  .:',
+      '    dependencies:',
+      '      debug:',
+      '        specifier: ^4.3.0',
+      '        version: 4.3.4',
+      'packages:',
+      '  debug@4.3.4:',
+      '    resolution: {integrity: sha512-x}',
+      '  ms@2.1.2:',
+      '    resolution: {integrity: sha512-y}',
+      'snapshots:',
+      '  debug@4.3.4:',
+      '    dependencies:',
+      '      ms: 2.1.2',
+      '  ms@2.1.2: {}',
+      ''
+    ]]
+  ])('reads pnpm %s lockfiles', async (_version, lines) => {
+    writeFile(projectPath, 'package.json', { name: 'app', dependencies: { debug: '^4.3.0' } });
+    writeFile(projectPath, 'pnpm-lock.yaml', lines.join('\n'));
+
+    const graph = await new DependencyGraphService().analyze(projectPath);
+    const packages = byName(graph.packages);
+
+    expect(graph.lockfiles[0].type).toBe('pnpm');
+    expect(packages['debug@4.3.4']).toMatchObject({ direct: true });
+    expect(packages['ms@2.1.2']).toMatchObject({ direct: false, via: ['debug', 'ms'] });
+  });
+
+  it('reports declared dependencies missing from the lockfile as unresolved', async () => {
+    writeFile(projectPath, 'package.json', { name: 'app', dependencies: { missing: '^1.0.0' } });
+    writeFile(projectPath, 'package-lock.json', { lockfileVersion: 3, packages: { '': { name: 'app' } } });
+
+    const graph = await new DependencyGraphService().analyze(projectPath);
+
+    expect(graph.unresolved).toEqual([expect.objectContaining({ name: 'missing' })]);
+  });
+});
+
+describe('LockfileParser', () => {
+  it('finds the preferred lockfile of a directory', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lockfile-'));
+    try {
+      writeFile(directory, 'yarn.lock', '');
+      writeFile(directory, 'package-lock.json', '{}');
+
+      const found = await new LockfileParser().findLockfile(directory);
+
+      expect(found).toMatchObject({ type: 'npm', file: path.join(directory, 'package-lock.json') });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('DependencyUsageScanner', () => {
+  const scanner = new DependencyUsageScanner();
+
+  it('extracts package names from requires, imports and mocks', () => {
+    const names = scanner.extractPackageNames([
+      "const express = require('express');",
+      "import { merge } from 'lodash/merge';",
+      "import '@scope/pkg/styles.css';",
+      "const lazy = await import('chart.js');",
+      "jest.mock('axios');",
+      "const fs = require('fs');",
+      "const local = require('./local');",
+      "import alias from '@/components/Button';",
+      "import path from 'node:path';"
+    ].join('\n'));
+
+    expect([...names].sort()).toEqual(['@scope/pkg', 'axios', 'chart.js', 'express', 'lodash']);
+  });
+
+  it('explains why a dependency counts as used', () => {
+    const scan = {
+      imports: new Map([['react', ['src/App.jsx']]]),
+      hasTypeScript: true,
+      scripts: 'jest --coverage && eslint src',
+      configText: '{"plugins": ["react-hooks"], "presets": ["@babel/preset-env"]}'
+    };
+
+    expect(scanner.getUsage('react', scan)).toBe('imported in src/App.jsx');
+    expect(scanner.getUsage('@types/react', scan)).toBe('types for react');
+    expect(scanner.getUsage('typescript', scan)).toBe('TypeScript sources');
+    expect(scanner.getUsage('jest', scan)).toBe('binary "jest" used in scripts');
+    expect(scanner.getUsage('eslint-plugin-react-hooks', scan)).toMatch(/referenced in tool configuration/);
+    expect(scanner.getUsage('@babel/preset-env', scan)).toMatch(/referenced in tool configuration/);
+    expect(scanner.getUsage('left-pad', scan)).toBeNull();
+  });
+});
+
+describe('LicenseClassifier', () => {
+  const classifier = new LicenseClassifier({ deniedLicenses: ['WTFPL'] });
+
+  it.each([
+    ['MIT', 'permissive'],
+    ['(MIT OR GPL-3.0)', 'permissive'],
+    ['MIT AND GPL-2.0-only', 'strong-copyleft'],
+    ['GPL-2.0 WITH Classpath-exception-2.0', 'weak-copyleft'],
+    ['LGPL-2.1-or-later', 'weak-copyleft'],
+    ['AGPL-3.0', 'network-copyleft'],
+    ['CC-BY-NC-4.0', 'non-commercial'],
+    ['UNLICENSED', 'proprietary'],
+    ['SEE LICENSE IN LICENSE.md', 'proprietary'],
+    ['Apache License 2.0', 'permissive'],
+    ['Some Custom License', 'unknown'],
+    [null, 'unknown']
+  ])('classifies %s as %s', (expression, category) => {
+    expect(classifier.classify(expression).category).toBe(category);
+  });
+
+  it('flags denied licenses', () => {
+    expect(classifier.classify('WTFPL')).toMatchObject({ category: 'permissive', denied: true });
+    expect(classifier.classify('(WTFPL OR MIT)').denied).toBe(false);
+  });
+});
+
+describe('AdvisoryDatabase', () => {
+  let directory;
+  let database;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'advisories-'));
+    writeFile(directory, 'advisories.json', {
+      version: 1,
+      updatedAt: '2026-01-01T00:00:00.000Z',
+      advisories: [
+        {
+          id: 'GHSA-test-0001',
+          aliases: ['CVE-2020-0001'],
+          package: 'vulnerable-lib',
+          vulnerableVersions: '<1.2.3 || >=2.0.0 <2.0.5',
+          patchedVersions: '>=1.2.3 <2.0.0 || >=2.0.5',
+          severity: 'high',
+          title: 'Prototype pollution'
+        },
+        { id: 'GHSA-broken', package: 'other', vulnerableVersions: 'not a range', severity: 'high' }
+      ]
+    });
+    database = new AdvisoryDatabase({ databasePath: path.join(directory, 'advisories.json') });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('matches affected versions and finds the first fixed version', async () => {
+    expect(await database.findAdvisories('vulnerable-lib', '1.0.0')).toEqual([
+      expect.objectContaining({ id: 'GHSA-test-0001', fixedIn: '1.2.3' })
+    ]);
+    expect(await database.findAdvisories('vulnerable-lib', '2.0.1')).toEqual([
+      expect.objectContaining({ fixedIn: '2.0.5' })
+    ]);
+    expect(await database.findAdvisories('vulnerable-lib', '1.5.0')).toEqual([]);
+  });
+
+  it('ignores invalid advisories', async () => {
+    const loaded = await database.load();
+
+    expect(loaded.advisories.map(advisory => advisory.id)).toEqual(['GHSA-test-0001']);
+  });
+});
+
+describe('dependency analysis steps', () => {
+  let projectPath;
+  let advisoryPath;
+  const originalAdvisoryDb = process.env.DEPENDENCY_ADVISORY_DB;
+
+  beforeAll(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'dependency-steps-'));
+    writeFile(projectPath, 'package.json', {
+      name: 'app',
+      dependencies: { 'vulnerable-lib': '^1.0.0', 'copyleft-lib': '^2.0.0', 'unused-lib': '^1.0.0' }
+    });
+    writeFile(projectPath, 'package-lock.json', {
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'app', dependencies: { 'vulnerable-lib': '^1.0.0', 'copyleft-lib': '^2.0.0', 'unused-lib': '^1.0.0' } },
+        'node_modules/vulnerable-lib': { version: '1.0.0', license: 'MIT' },
+        'node_modules/copyleft-lib': { version: '1.9.0', license: 'GPL-3.0' },
+        'node_modules/unused-lib': { version: '1.0.0', license: 'MIT' }
+      }
+    });
+    writeFile(projectPath, 'src/index.js', "const lib = require('vulnerable-lib');\nconst gpl = require('copyleft-lib');\n");
+
+    advisoryPath = path.join(projectPath, 'advisories.json');
+    writeFile(projectPath, 'advisories.json', {
+      version: 1,
+      advisories: [
+        { id: 'GHSA-test-0002', package: 'vulnerable-lib', vulnerableVersions: '<1.0.1', patchedVersions: '>=1.0.1', severity: 'critical', title: 'RCE' }
+      ]
+    });
+    process.env.DEPENDENCY_ADVISORY_DB = advisoryPath;
+  });
+
+  afterAll(() => {
+    if (originalAdvisoryDb === undefined) {
+      delete process.env.DEPENDENCY_ADVISORY_DB;
+    } else {
+      process.env.DEPENDENCY_ADVISORY_DB = originalAdvisoryDb;
+    }
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('reports vulnerable packages from the advisory database', async () => {
+    // The step reads DEPENDENCY_ADVISORY_DB when it is loaded
+    let VulnerableDependencyStep;
+    jest.isolateModules(() => {
+      VulnerableDependencyStep = require('@steps/categories/analysis/dependencies/VulnerableDependencyStep');
+    });
+    const result = await VulnerableDependencyStep.execute({ projectPath });
+
+    expect(result.success).toBe(true);
+    expect(result.vulnerableDependencies).toEqual([
+      expect.objectContaining({ name: 'vulnerable-lib', version: '1.0.0', severity: 'critical', fixedIn: '1.0.1' })
+    ]);
+  });
+
+  it('reports declared but unused dependencies', async () => {
+    const result = await UnusedDependencyStep.execute({ projectPath });
+
+    expect(result.unusedDependencies.map(dependency => dependency.name)).toEqual(['unused-lib']);
+  });
+
+  it('reports lockfile versions that no longer satisfy the manifest without registry access', async () => {
+    const result = await OutdatedDependencyStep.execute({ projectPath, registryLookup: false });
+
+    expect(result.outdatedDependencies).toEqual([
+      expect.objectContaining({ name: 'copyleft-lib', reason: 'lockfile-out-of-sync' })
+    ]);
+  });
+
+  it('reports copyleft licenses', async () => {
+    const result = await LicenseDependencyStep.execute({ projectPath });
+
+    expect(result.licenseIssues).toEqual([
+      expect.objectContaining({ name: 'copyleft-lib', category: 'strong-copyleft', severity: 'high' })
+    ]);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Unit tests for ForgeService and the forge providers (Gitea stand-in server, GitHub, GitLab)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFileSync } = require('child_process');
+const ForgeService = require('@domain/services/git/ForgeService');
+const ForgeProviderFactory = require('@infrastructure/external/forge/ForgeProviderFactory');
+
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=PIDEA', '-c', 'user.email=pidea@example.com', ...args], { cwd, encoding: 'utf8' });
+
+// Minimal Gitea API: pulls, labels and review requests of one repository
+const startGiteaStandIn = async () => {
+  const state = { pulls: [], requests: [], labels: [{ id: 7, name: 'pidea' }] };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const json = body ? JSON.parse(body) : null;
+      const url = new URL(req.url, 'http://localhost');
+      state.requests.push({ method: req.method, path: url.pathname, authorization: req.headers.authorization, body: json });
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      const base = '/api/v1/repos/pidea/app';
+      const pullMatch = url.pathname.match(/\/(?:pulls|issues)\/(\d+)/);
+      const pull = pullMatch ? state.pulls.find(candidate => candidate.number === Number(pullMatch[1])) : null;
+
+      if (req.method === 'GET' && url.pathname === `${base}/pulls`) {
+        return send(200, state.pulls.filter(candidate => candidate.state === 'open'));
+      }
+      if (req.method === 'POST' && url.pathname === `${base}/pulls`) {
+        const created = {
+          id: 100 + state.pulls.length,
+          number: state.pulls.length + 1,
+          html_url: `http://gitea.local/pidea/app/pulls/${state.pulls.length + 1}`,
+          state: 'open',
+          merged: false,
+          title: json.title,
+          body: json.body,
+          head: { ref: json.head },
+          base: { ref: json.base },
+          labels: [],
+          requested_reviewers: []
+        };
+        state.pulls.push(created);
+        return send(201, created);
+      }
+      if (req.method === 'GET' && url.pathname === `${base}/labels`) {
+        return send(200, state.labels);
+      }
+      if (req.method === 'POST' && pull && url.pathname.endsWith('/labels')) {
+        pull.labels = json.labels.map(id => state.labels.find(label => label.id === id));
+        return send(200, pull.labels);
+      }
+      if (req.method === 'POST' && pull && url.pathname.endsWith('/requested_reviewers')) {
+        pull.requested_reviewers = json.reviewers.map(login => ({ login }));
+        return send(201, []);
+      }
+      if (req.method === 'GET' && pull) {
+        return send(200, pull);
+      }
+      send(404, { message: 'not found' });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, state, baseUrl: `http://127.0.0.1:${server.address().port}/api/v1` };
+};
+
+const createRepositories = () => {
+  const taskRepository = {
+    tasks: new Map(),
+    findById: jest.fn(async id => taskRepository.tasks.get(id) || null),
+    update: jest.fn(async (id, updates) => Object.assign(taskRepository.tasks.get(id), updates))
+  };
+  const projectRepository = {
+    projects: new Map(),
+    findById: jest.fn(async id => projectRepository.projects.get(id) || null),
+    updateConfiguration: jest.fn(async (id, config) => Object.assign(projectRepository.projects.get(id), { config }))
+  };
+  return { taskRepository, projectRepository };
+};
+
+const jsonResponse = (status, data) => ({ ok: status < 400, status, text: async () => JSON.stringify(data) });
+
+describe('ForgeService', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'forge-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('pushes the task branch, opens a pull request on Gitea and records it on the task', async () => {
+    const gitea = await startGiteaStandIn();
+    try {
+      const remote = path.join(root, 'remote.git');
+      const workspacePath = path.join(root, 'app');
+      git(root, 'init', '--bare', '-q', remote);
+      git(root, 'init', '-q', '-b', 'main', workspacePath);
+      fs.writeFileSync(path.join(workspacePath, 'index.js'), 'module.exports = 1;\n');
+      git(workspacePath, 'add', '.');
+      git(workspacePath, 'commit', '-q', '-m', 'init');
+      git(workspacePath, 'remote', 'add', 'origin', remote);
+      git(workspacePath, 'checkout', '-q', '-b', 'task/t1');
+
+      const { taskRepository, projectRepository } = createRepositories();
+      projectRepository.projects.set('p1', { id: 'p1', workspacePath, config: {} });
+      taskRepository.tasks.set('t1', { id: 't1', title: 'Add login', description: 'Adds the login form', metadata: { priority: 'high' } });
+      const taskService = { buildMergeRequestDescription: jest.fn(task => `## Task: ${task.title}`) };
+      const service = new ForgeService({ projectRepository, taskRepository, taskService });
+
+      const settings = await service.updateSettings('p1', {
+        provider: 'gitea',
+        baseUrl: gitea.baseUrl,
+        repository: 'pidea/app',
+        token: 'gitea-secret',
+        labels: ['pidea'],
+        reviewers: ['alice']
+      });
+      expect(settings).toMatchObject({ provider: 'gitea', hasToken: true });
+      expect(settings.token).toBeUndefined();
+
+      const pullRequest = await service.createPullRequest('p1', { taskId: 't1' });
+
+      expect(pullRequest).toMatchObject({
+        provider: 'gitea',
+        number: 1,
+        url: 'http://gitea.local/pidea/app/pulls/1',
+        state: 'open',
+        sourceBranch: 'task/t1',
+        targetBranch: 'main',
+        labels: ['pidea'],
+        reviewers: ['alice'],
+        created: true,
+        warnings: []
+      });
+      expect(gitea.state.pulls[0]).toMatchObject({ title: 'Add login', body: '## Task: Add login' });
+      expect(gitea.state.requests.every(request => request.authorization === 'token gitea-secret')).toBe(true);
+      expect(git(remote, 'branch', '--list', 'task/t1').trim()).toBe('task/t1');
+      expect(taskRepository.tasks.get('t1').metadata).toMatchObject({
+        priority: 'high',
+        pullRequest: { provider: 'gitea', number: 1, url: 'http://gitea.local/pidea/app/pulls/1', status: 'open' }
+      });
+
+      // The open pull request of the branch is reused
+      expect(await service.createPullRequest('p1', { taskId: 't1', push: false })).toMatchObject({ number: 1, created: false });
+      expect(gitea.state.pulls).toHaveLength(1);
+
+      gitea.state.pulls[0].state = 'closed';
+      gitea.state.pulls[0].merged = true;
+      expect(await service.refreshPullRequestStatus('p1', 't1')).toMatchObject({ number: 1, status: 'merged' });
+      expect(taskRepository.tasks.get('t1').metadata.pullRequest.status).toBe('merged');
+    } finally {
+      await new Promise(resolve => gitea.server.close(resolve));
+    }
+  });
+
+  it('derives GitHub and GitLab from the remote and maps their APIs', async () => {
+    const { taskRepository, projectRepository } = createRepositories();
+    taskRepository.tasks.set('t2', { id: 't2', title: 'Fix crash', metadata: {} });
+    projectRepository.projects.set('p1', { id: 'p1', workspacePath: root, config: { forge: { push: false, reviewers: ['bob'] } } });
+
+    const httpClient = jest.fn(async (url, request) => {
+      if (request.method === 'GET' && url.includes('/users?username=bob')) return jsonResponse(200, [{ id: 42, username: 'bob' }]);
+      if (request.method === 'GET' && /\/pulls\?|\/merge_requests\?/.test(url)) return jsonResponse(200, []);
+      if (url.endsWith('/repos/acme/app/pulls')) {
+        return jsonResponse(201, { id: 9, number: 5, html_url: 'https://github.com/acme/app/pull/5', state: 'open', head: { ref: 'task/t2' }, base: { ref: 'main' } });
+      }
+      if (url.endsWith('/merge_requests')) {
+        return jsonResponse(201, { id: 11, iid: 3, web_url: 'https://gitlab.example.com/group/app/-/merge_requests/3', state: 'opened', source_branch: 'task/t2', target_branch: 'main', labels: [] });
+      }
+      if (url.endsWith('/merge_requests/3') && request.method === 'GET') return jsonResponse(200, { iid: 3, reviewers: [] });
+      return jsonResponse(200, {});
+    });
+
+    let remoteUrl = 'git@github.com:acme/app.git';
+    const service = new ForgeService({
+      projectRepository,
+      taskRepository,
+      httpClient,
+      env: { GITHUB_TOKEN: 'gh-token', GITLAB_TOKEN: 'gl-token' },
+      runGit: async () => ({ stdout: `${remoteUrl}\n` })
+    });
+
+    const github = await service.createPullRequest('p1', { taskId: 't2' });
+    expect(github).toMatchObject({ provider: 'github', repository: 'acme/app', number: 5, url: 'https://github.com/acme/app/pull/5', reviewers: ['bob'] });
+    const [createUrl, createRequest] = httpClient.mock.calls.find(([url, request]) => request.method === 'POST' && url.endsWith('/pulls'));
+    expect(createUrl).toBe('https://api.github.com/repos/acme/app/pulls');
+    expect(createRequest.headers.Authorization).toBe('Bearer gh-token');
+    expect(JSON.parse(createRequest.body)).toMatchObject({ head: 'task/t2', base: 'main', title: 'Fix crash' });
+
+    httpClient.mockClear();
+    remoteUrl = 'https://gitlab.example.com/group/app.git';
+    const gitlab = await service.createPullRequest('p1', { taskId: 't2', targetBranch: 'main' });
+    expect(gitlab).toMatchObject({ provider: 'gitlab', number: 3, state: 'open', reviewers: ['bob'] });
+    expect(httpClient.mock.calls.map(([url, request]) => `${request.method} ${url}`)).toEqual(expect.arrayContaining([
+      'POST https://gitlab.example.com/api/v4/projects/group%2Fapp/merge_requests',
+      'PUT https://gitlab.example.com/api/v4/projects/group%2Fapp/merge_requests/3'
+    ]));
+    const reviewerUpdate = httpClient.mock.calls.find(([, request]) => request.method === 'PUT');
+    expect(reviewerUpdate[1].headers['PRIVATE-TOKEN']).toBe('gl-token');
+    expect(JSON.parse(reviewerUpdate[1].body)).toEqual({ reviewer_ids: [42] });
+  });
+
+  it('parses remotes and rejects incomplete forge settings', async () => {
+    const factory = new ForgeProviderFactory();
+    expect(factory.parseRemoteUrl('git@github.com:acme/app.git')).toEqual({ protocol: 'https', host: 'github.com', repository: 'acme/app' });
+    expect(factory.parseRemoteUrl('ssh://git@gitea.example.com:2222/team/app.git')).toEqual({ protocol: 'https', host: 'gitea.example.com', repository: 'team/app' });
+    expect(factory.parseRemoteUrl('http://localhost:3000/team/app')).toEqual({ protocol: 'http', host: 'localhost:3000', repository: 'team/app' });
+    expect(factory.parseRemoteUrl('/srv/git/app.git')).toBeNull();
+
+    const { taskRepository, projectRepository } = createRepositories();
+    projectRepository.projects.set('p1', { id: 'p1', workspacePath: root, config: {} });
+    taskRepository.tasks.set('t3', { id: 't3', title: 'Task', metadata: {} });
+    const service = new ForgeService({ projectRepository, taskRepository, env: {}, runGit: async () => ({ stdout: 'https://git.example.com/team/app.git' }) });
+
+    await expect(service.updateSettings('p1', { provider: 'bitbucket' })).rejects.toThrow('Unsupported forge provider');
+    await expect(service.createPullRequest('p1', { taskId: 't3', push: false })).rejects.toThrow('Unknown forge host git.example.com');
+
+    await service.updateSettings('p1', { provider: 'gitea' });
+    await expect(service.createPullRequest('p1', { taskId: 't3', push: false })).rejects.toThrow('No gitea token configured');
+    await expect(service.refreshPullRequestStatus('p1', 't3')).rejects.toMatchObject({ name: 'ForgeNotFoundError' });
+  });
+});
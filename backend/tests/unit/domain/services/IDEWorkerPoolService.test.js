@@ -0,0 +1,241 @@
+/**
+ * Unit tests for IDEWorkerPoolService (parallel dispatch, sticky assignment, failover)
+ */
+const { EventEmitter } = require('events');
+const QueueMonitoringService = require('@domain/services/queue/QueueMonitoringService');
+const IDEWorkerPoolService = require('@domain/services/queue/IDEWorkerPoolService');
+
+const workflow = { type: 'task', steps: [{ name: 'send', step: 'IDESendMessageStep', options: { message: 'Do it' } }] };
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('IDEWorkerPoolService', () => {
+  let ides;
+  let healthMonitor;
+  let queue;
+  let pending;
+  let stepRegistry;
+  let eventBus;
+  let pool;
+
+  const enqueue = (context = {}, options = {}, projectId = 'project-1') => queue.addToProjectQueue(projectId, 'user-1', workflow, context, options);
+
+  beforeEach(() => {
+    ides = [
+      { port: 9222, ideType: 'cursor', workspacePath: '/projects/one' },
+      { port: 9232, ideType: 'vscode', workspacePath: '/projects/one' }
+    ];
+    healthMonitor = new EventEmitter();
+    eventBus = { emit: jest.fn(), subscribe: jest.fn(), unsubscribe: jest.fn() };
+    queue = new QueueMonitoringService({ eventBus });
+
+    // Every step call stays open until the test resolves it
+    pending = [];
+    stepRegistry = {
+      executeStep: jest.fn((name, context) => new Promise((resolve, reject) => {
+        pending.push({ port: context.activeIDE.port, resolve, reject });
+      }))
+    };
+
+    pool = new IDEWorkerPoolService({
+      queueMonitoringService: queue,
+      ideManager: { healthMonitor, getAvailableIDEs: jest.fn(async () => ides) },
+      eventBus,
+      stepRegistry
+    });
+    pool.attachHealthMonitor();
+  });
+
+  it('runs one item per IDE in parallel', async () => {
+    const first = await enqueue();
+    const second = await enqueue({}, {}, 'project-2');
+    const third = await enqueue();
+
+    const started = await pool.dispatch();
+    await flush();
+
+    expect(started).toEqual([{ port: 9222, itemId: first.id }, { port: 9232, itemId: second.id }]);
+    expect(first).toMatchObject({ status: 'running', assignedPort: 9222 });
+    expect(second).toMatchObject({ status: 'running', assignedPort: 9232 });
+    expect(third.status).toBe('queued');
+    expect(stepRegistry.executeStep).toHaveBeenCalledWith('IDESendMessageStep',
+      expect.objectContaining({ activeIDE: { port: 9222, type: 'cursor' }, message: 'Do it' }), { message: 'Do it' });
+
+    pending[0].resolve({ success: true });
+    await flush();
+
+    expect(first.status).toBe('completed');
+    expect(third).toMatchObject({ status: 'running', assignedPort: 9222 });
+  });
+
+  it('only hands items to compatible IDEs', async () => {
+    const vscodeOnly = await enqueue({}, { ideType: 'vscode' });
+    const otherProject = await enqueue({ projectPath: '/projects/two' });
+
+    await pool.dispatch();
+
+    expect(vscodeOnly.assignedPort).toBe(9232);
+    expect(otherProject.status).toBe('queued');
+  });
+
+  it('runs one item per project working copy unless the running item has its own worktree', async () => {
+    const first = await enqueue();
+    const second = await enqueue();
+
+    await pool.dispatch();
+    expect(first.status).toBe('running');
+    expect(second.status).toBe('queued');
+
+    // Once the running item moved to a worktree the next one may use the working copy
+    pool.workers.get(9222).worktree = { path: '/worktrees/project-1/task-1' };
+    await pool.dispatch();
+    expect(second).toMatchObject({ status: 'running', assignedPort: 9232 });
+  });
+
+  it('runs items through the execution engine and skips steps whose condition fails', async () => {
+    const conditional = {
+      type: 'task',
+      steps: [
+        { name: 'send', step: 'IDESendMessageStep', options: { message: 'Do it' }, output: 'ideResponse' },
+        { name: 'review', step: 'IDESendMessageStep', options: { message: 'Review it' }, condition: 'outputs.ideResponse.success && outputs.ideResponse.data.result.aiResponse' },
+        { name: 'check', step: 'GitStatusStep', options: {} }
+      ]
+    };
+    const item = await queue.addToProjectQueue('project-1', 'user-1', conditional, {}, {});
+    await pool.dispatch();
+    await flush();
+
+    pending[0].resolve({ success: true, result: { success: true, aiResponse: null } });
+    await flush();
+    expect(stepRegistry.executeStep).toHaveBeenLastCalledWith('GitStatusStep', expect.any(Object), {});
+
+    pending[1].resolve({ success: true, result: { success: true } });
+    await flush();
+    expect(item.status).toBe('completed');
+    expect(item.result.steps).toEqual([
+      { name: 'send', success: true },
+      { name: 'review', success: true, skipped: true },
+      { name: 'check', success: true }
+    ]);
+  });
+
+  it('never takes items that only track a workflow running elsewhere', async () => {
+    const external = await enqueue({}, { external: true });
+    const item = await enqueue();
+
+    expect(external.status).toBe('running');
+    expect(await pool.dispatch()).toEqual([{ port: 9222, itemId: item.id }]);
+
+    // Even a requeued external item stays with its runner
+    external.status = 'queued';
+    expect(await pool.dispatch()).toEqual([]);
+    expect(external.assignedPort).toBeUndefined();
+  });
+
+  it('keeps a task on the IDE that ran it first', async () => {
+    const first = await enqueue({}, { taskId: 'task-1' });
+    await pool.dispatch();
+    expect(first.assignedPort).toBe(9222);
+
+    pending[0].resolve({ success: true });
+    await flush();
+
+    // Port 9222 is busy with another item when the follow-up arrives
+    const other = await enqueue();
+    await pool.dispatch();
+    const followUp = await enqueue({}, { taskId: 'task-1' });
+    await pool.dispatch();
+
+    expect(other.assignedPort).toBe(9222);
+    expect(followUp.status).toBe('queued');
+    expect(pool.getStatus().stickyAssignments).toEqual({ 'task-1': 9222 });
+  });
+
+  it('fails items over to another IDE when the health monitor reports a dead IDE', async () => {
+    const item = await enqueue({}, { taskId: 'task-1' });
+    await pool.dispatch();
+    expect(item.assignedPort).toBe(9222);
+
+    ides = [ides[1]];
+    healthMonitor.emit('healthUpdate', { port: 9222, healthInfo: { status: 'unhealthy', error: 'Connection refused' } });
+    await flush();
+
+    expect(item).toMatchObject({ status: 'running', assignedPort: 9232, failoverCount: 1, failedOverFrom: [9222] });
+    expect(eventBus.emit).toHaveBeenCalledWith('queue:item:failover', expect.objectContaining({ itemId: item.id, fromPort: 9222, requeued: true }));
+    expect(pool.getStatus().stickyAssignments).toEqual({ 'task-1': 9232 });
+
+    // The late result of the dead IDE is ignored
+    pending[0].resolve({ success: true });
+    await flush();
+    expect(item.status).toBe('running');
+
+    pending[1].resolve({ success: true });
+    await flush();
+    expect(item.status).toBe('completed');
+  });
+
+  it('leaves the worktree to the new attempt when a failed-over attempt returns', async () => {
+    pool.workflowGitService = {
+      prepareTaskWorkspace: jest.fn(async () => ({ workspacePath: '/worktrees/one/task-1', worktree: { path: '/worktrees/one/task-1' } })),
+      releaseTaskWorkspace: jest.fn(async () => ({ removed: true }))
+    };
+    const item = await enqueue({ projectPath: '/projects/one' }, { taskId: 'task-1' });
+    await pool.dispatch();
+    await flush();
+
+    ides = [ides[1]];
+    healthMonitor.emit('healthUpdate', { port: 9222, healthInfo: { status: 'unhealthy', error: 'Connection refused' } });
+    await flush();
+    expect(item).toMatchObject({ status: 'running', assignedPort: 9232 });
+
+    pending[0].resolve({ success: true });
+    await flush();
+    expect(pool.workflowGitService.releaseTaskWorkspace).not.toHaveBeenCalled();
+
+    pending[1].resolve({ success: true });
+    await flush();
+    expect(item.status).toBe('completed');
+    expect(pool.workflowGitService.releaseTaskWorkspace).toHaveBeenCalledTimes(1);
+    expect(pool.workflowGitService.releaseTaskWorkspace).toHaveBeenCalledWith('/projects/one', { id: 'task-1' }, { reason: 'completed' });
+  });
+
+  it('logs a failover that cannot update the queue instead of rejecting', async () => {
+    const item = await enqueue();
+    await pool.dispatch();
+    jest.spyOn(queue, 'updateQueueItem').mockRejectedValueOnce(new Error('Queue unavailable'));
+    const logError = jest.spyOn(pool.logger, 'error');
+
+    await expect(pool.markWorkerDead(9222, 'Connection refused')).resolves.toBeUndefined();
+    expect(logError).toHaveBeenCalledWith(expect.stringContaining(`Failover of queue item ${item.id} from port 9222 failed`));
+  });
+
+  it('marks items as failed when a strict step fails', async () => {
+    const item = await enqueue();
+    await pool.dispatch();
+
+    pending[0].resolve({ success: false, error: 'No chat input found' });
+    await flush();
+
+    expect(item).toMatchObject({ status: 'failed', error: 'Step "send" failed: No chat input found' });
+    expect(pool.getStatus().workers.find(worker => worker.port === 9222)).toMatchObject({ status: 'idle', failed: 1 });
+  });
+
+  it('stops at a strict step whose result reports a failed check', async () => {
+    const gated = {
+      type: 'task',
+      steps: [
+        { name: 'merge', step: 'GitMergeBranchStep', options: {}, strict: true },
+        { name: 'send', step: 'IDESendMessageStep', options: { message: 'Done' } }
+      ]
+    };
+    const item = await queue.addToProjectQueue('project-1', 'user-1', gated, {}, {});
+    await pool.dispatch();
+
+    // StepRegistry wraps the returned value of a step that did not throw
+    pending[0].resolve({ success: true, result: { success: false, error: 'Branch protection blocked merge into main' } });
+    await flush();
+
+    expect(item).toMatchObject({ status: 'failed', error: 'Step "merge" failed: Branch protection blocked merge into main' });
+    expect(stepRegistry.executeStep).toHaveBeenCalledTimes(1);
+  });
+});
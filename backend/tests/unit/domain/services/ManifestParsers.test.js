@@ -0,0 +1,269 @@
+/**
+ * Unit tests for the Dockerfile, CI config and dotenv parsers and the manifest steps using them
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const DockerfileParser = require('@domain/services/analysis/DockerfileParser');
+const CIConfigParser = require('@domain/services/analysis/CIConfigParser');
+const EnvFileParser = require('@domain/services/analysis/EnvFileParser');
+const DockerfileManifestStep = require('@steps/categories/analysis/manifest/DockerfileManifestStep');
+const CIConfigManifestStep = require('@steps/categories/analysis/manifest/CIConfigManifestStep');
+const EnvironmentManifestStep = require('@steps/categories/analysis/manifest/EnvironmentManifestStep');
+const PackageJsonManifestStep = require('@steps/categories/analysis/manifest/PackageJsonManifestStep');
+
+const writeFile = (root, relativePath, content) => {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+};
+
+const rules = (result) => result.issues.map(issue => `${issue.rule}@${issue.file}:${issue.line}`).sort();
+
+describe('DockerfileParser', () => {
+  const parser = new DockerfileParser();
+
+  it('parses instructions with continuations, comments and stages', () => {
+    const { instructions, stages, directives } = parser.parse([
+      '# syntax=docker/dockerfile:1',
+      'ARG NODE_VERSION=20',
+      'FROM node:${NODE_VERSION}-alpine AS build',
+      'RUN apk add --no-cache \\',
+      '    # build tools',
+      '    python3 \\',
+      '    make',
+      '',
+      'FROM --platform=linux/amd64 nginx@sha256:abc',
+      'COPY --from=build /app /usr/share/nginx/html'
+    ].join('\n'));
+
+    expect(directives).toEqual({ syntax: 'docker/dockerfile:1' });
+    expect(instructions.map(instruction => [instruction.instruction, instruction.line])).toEqual([
+      ['ARG', 2], ['FROM', 3], ['RUN', 4], ['FROM', 9], ['COPY', 10]
+    ]);
+    expect(instructions[2].args).toBe('apk add --no-cache python3 make');
+    expect(stages).toEqual([
+      expect.objectContaining({ name: 'build', image: 'node:20-alpine', line: 3 }),
+      expect.objectContaining({ name: null, image: 'nginx@sha256:abc', platform: 'linux/amd64', line: 9 })
+    ]);
+  });
+
+  it('splits image references and ENV assignments', () => {
+    expect(parser.parseImage('registry:5000/team/app:1.2')).toEqual({ repository: 'registry:5000/team/app', tag: '1.2', digest: null });
+    expect(parser.parseImage('ubuntu')).toEqual({ repository: 'ubuntu', tag: null, digest: null });
+    expect(parser.parseAssignments({ instruction: 'ENV', args: 'A=1 B="two words"' })).toEqual([
+      { key: 'A', value: '1' }, { key: 'B', value: 'two words' }
+    ]);
+    expect(parser.parseAssignments({ instruction: 'ENV', args: 'LEGACY some value' })).toEqual([{ key: 'LEGACY', value: 'some value' }]);
+  });
+});
+
+describe('CIConfigParser', () => {
+  const parser = new CIConfigParser();
+
+  it('normalizes GitHub Actions workflows with step lines', () => {
+    const pipeline = parser.parse([
+      'name: CI',
+      'on: push',
+      'jobs:',
+      '  test:',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '      - uses: actions/checkout@v4',
+      '      - name: Install',
+      '        run: npm ci',
+      '      - run: npm test'
+    ].join('\n'), '.github/workflows/ci.yml');
+
+    expect(pipeline.provider).toBe('github-actions');
+    expect(pipeline.jobs).toEqual([expect.objectContaining({ id: 'test', line: 4 })]);
+    expect(pipeline.jobs[0].steps.map(step => [step.uses || step.run, step.line])).toEqual([
+      ['actions/checkout@v4', 7], ['npm ci', 8], ['npm test', 10]
+    ]);
+  });
+
+  it('normalizes GitLab CI jobs and skips templates and reserved keys', () => {
+    const pipeline = parser.parse([
+      'stages: [lint, test]',
+      '.node: &node',
+      '  image: node:20',
+      'lint:',
+      '  <<: *node',
+      '  script:',
+      '    - npm run lint',
+      'unit:',
+      '  script: npm test'
+    ].join('\n'), '.gitlab-ci.yml');
+
+    expect(pipeline.jobs.map(job => [job.id, job.line, job.steps.map(step => step.run)])).toEqual([
+      ['lint', 4, ['npm run lint']],
+      ['unit', 8, ['npm test']]
+    ]);
+  });
+
+  it('reports YAML errors with their line', () => {
+    const pipeline = parser.parse('jobs:\n  test:\n    steps: [\n', '.github/workflows/broken.yml');
+
+    expect(pipeline.error).toEqual(expect.objectContaining({ line: expect.any(Number) }));
+  });
+});
+
+describe('EnvFileParser', () => {
+  const parser = new EnvFileParser();
+
+  it('parses quoted, exported and commented values', () => {
+    const { entries, errors } = parser.parse([
+      '# comment',
+      'export A=1',
+      'B="multi',
+      'line"',
+      "C='single' ",
+      'D=value # trailing comment',
+      'not a variable'
+    ].join('\n'));
+
+    expect(entries).toEqual([
+      { key: 'A', value: '1', line: 2 },
+      { key: 'B', value: 'multi\nline', line: 3 },
+      { key: 'C', value: 'single', line: 5 },
+      { key: 'D', value: 'value', line: 6 }
+    ]);
+    expect(errors).toEqual([expect.objectContaining({ line: 7 })]);
+  });
+
+  it('tells placeholders from real secrets', () => {
+    expect(parser.isTemplate('config/.env.example')).toBe(true);
+    expect(parser.isTemplate('.env.local')).toBe(false);
+    expect(parser.isSecretName('STRIPE_API_KEY')).toBe(true);
+    expect(parser.isPlaceholder('your_secure_password_here')).toBe(true);
+    expect(parser.isPlaceholder('postgresql://${DB_USER}:${DB_PASSWORD}@${DB_HOST}/${DB_NAME}')).toBe(true);
+    expect(parser.isPlaceholder('sk_live_51Hx7qKfA9')).toBe(false);
+  });
+});
+
+describe('manifest steps', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-steps-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('reports Dockerfile rules with locations', async () => {
+    writeFile(projectPath, 'Dockerfile', [
+      'FROM node',
+      'ENV API_TOKEN=abc123',
+      'COPY .env ./',
+      'RUN npm ci',
+      'CMD ["node", "server.js"]'
+    ].join('\n'));
+    writeFile(projectPath, 'api/Dockerfile', [
+      'FROM node:20-alpine AS build',
+      'RUN npm ci && npm run build',
+      'FROM node:20-alpine',
+      'COPY --from=build /app /app',
+      'USER node',
+      'HEALTHCHECK CMD wget -q localhost:3000/health || exit 1'
+    ].join('\n'));
+
+    const result = await DockerfileManifestStep.execute({ projectPath });
+
+    expect(rules(result)).toEqual([
+      'no-healthcheck@Dockerfile:1',
+      'no-multi-stage@Dockerfile:1',
+      'root-user@Dockerfile:1',
+      'secret-file-copied@Dockerfile:3',
+      'secret-in-env@Dockerfile:2',
+      'unpinned-base-image@Dockerfile:1'
+    ]);
+    expect(result.metrics).toMatchObject({ hasDockerfile: true, usesMultiStage: true, runsAsRoot: true, exposedSecrets: 2 });
+  });
+
+  it('reports missing CI checks and unpinned actions', async () => {
+    writeFile(projectPath, '.github/workflows/build.yml', [
+      'name: Build',
+      'on: push',
+      'permissions:',
+      '  contents: read',
+      'jobs:',
+      '  build:',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '      - uses: actions/checkout@v4',
+      '      - uses: some-org/setup-tool@main',
+      '      - uses: other-org/deploy-action',
+      '      - run: npm run lint'
+    ].join('\n'));
+
+    const result = await CIConfigManifestStep.execute({ projectPath });
+
+    expect(rules(result)).toEqual([
+      'no-security@.github/workflows/build.yml:1',
+      'no-tests@.github/workflows/build.yml:1',
+      'unpinned-action@.github/workflows/build.yml:10',
+      'unpinned-action@.github/workflows/build.yml:11'
+    ]);
+    expect(result.metrics).toMatchObject({ hasCIConfig: true, hasTests: false, hasLinting: true, unpinnedActions: 2 });
+  });
+
+  it('reports a missing CI configuration', async () => {
+    const result = await CIConfigManifestStep.execute({ projectPath });
+
+    expect(result.issues.map(issue => issue.rule)).toEqual(['no-ci-config']);
+  });
+
+  it('detects drift between .env and .env.example', async () => {
+    execFileSync('git', ['init', '-q'], { cwd: projectPath });
+    writeFile(projectPath, '.gitignore', 'node_modules\n');
+    writeFile(projectPath, '.env', 'PORT=3000\nDB_PASSWORD=local\nNEW_FLAG=1\n');
+    writeFile(projectPath, '.env.example', 'PORT=3000\nDB_PASSWORD=change_me\nSTRIPE_SECRET=sk_live_51Hx7qKfA9\nOLD_FLAG=\n');
+    writeFile(projectPath, 'src/index.js', 'const key = process.env.UNDOCUMENTED_KEY;\nconst port = process.env.PORT;\n');
+
+    const result = await EnvironmentManifestStep.execute({ projectPath });
+
+    expect(rules(result)).toEqual([
+      'env-not-ignored@.env:null',
+      'missing-in-env@.env.example:3',
+      'missing-in-env@.env.example:4',
+      'missing-in-example@.env:3',
+      'secret-in-example@.env.example:3',
+      'undocumented-variable@src/index.js:1'
+    ]);
+    expect(result.issues.find(issue => issue.rule === 'undocumented-variable').locations).toEqual([
+      { name: 'UNDOCUMENTED_KEY', file: 'src/index.js', line: 1 }
+    ]);
+  });
+
+  it('checks package.json fields and dependency ranges', async () => {
+    writeFile(projectPath, 'package.json', [
+      '{',
+      '  "name": "app",',
+      '  "version": "1.0.0",',
+      '  "private": true,',
+      '  "description": "App",',
+      '  "engines": { "node": ">=20" },',
+      '  "scripts": { "test": "echo \\"Error: no test specified\\" && exit 1" },',
+      '  "dependencies": {',
+      '    "left-pad": "*",',
+      '    "tool": "github:org/tool"',
+      '  },',
+      '  "devDependencies": {',
+      '    "left-pad": "^1.3.0"',
+      '  }',
+      '}'
+    ].join('\n'));
+
+    const result = await PackageJsonManifestStep.execute({ projectPath });
+
+    expect(rules(result)).toEqual([
+      'duplicate-dependency@package.json:13',
+      'floating-version@package.json:9',
+      'no-test-script@package.json:7',
+      'unpinned-git-dependency@package.json:10'
+    ]);
+  });
+});
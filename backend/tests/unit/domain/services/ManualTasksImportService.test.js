@@ -0,0 +1,77 @@
+/**
+ * Unit tests for ManualTasksImportService dependency parsing and resolution
+ */
+const Task = require('@entities/Task');
+const ManualTasksImportService = require('@domain/services/task/ManualTasksImportService');
+
+const createTask = (id, title, metadata = {}) => new Task(id, 'project-1', title, `Description of ${title}`, 'pending', 'medium', 'manual', null, metadata);
+
+describe('ManualTasksImportService dependencies', () => {
+  let service;
+  let taskRepository;
+  let taskDependencyService;
+
+  beforeEach(() => {
+    taskRepository = { findByProjectId: jest.fn(), update: jest.fn() };
+    taskDependencyService = { setDependencies: jest.fn() };
+    service = new ManualTasksImportService(null, null, taskRepository, null, {}, {}, null, taskDependencyService);
+  });
+
+  describe('parseDependencyReferences', () => {
+    it('drops none, phase references and remarks', () => {
+      expect(service.parseDependencyReferences('None')).toEqual([]);
+      expect(service.parseDependencyReferences('None (can start immediately)')).toEqual([]);
+      expect(service.parseDependencyReferences('Phase 1 & 2 completion')).toEqual([]);
+      expect(service.parseDependencyReferences('Phase 1, 2, 3 completion')).toEqual([]);
+      expect(service.parseDependencyReferences('Selector Versioning System (must be completed first)')).toEqual(['Selector Versioning System']);
+    });
+
+    it('splits lists of references', () => {
+      expect(service.parseDependencyReferences('Git workflow system, task execution system; Backend Analysis Fix (completed)'))
+        .toEqual(['Git workflow system', 'task execution system', 'Backend Analysis Fix']);
+    });
+  });
+
+  it('collects references from the overview line and the dependencies section', () => {
+    const content = [
+      '# Automatic IDE Version Detection - Master Index',
+      '',
+      '## 📋 Task Overview',
+      '- **Dependencies**: Selector Versioning System (must be completed first)',
+      '',
+      '## Dependencies',
+      '- Requires: Cache System Fix',
+      '- Blocks: Release Pipeline'
+    ].join('\n');
+
+    const details = service.extractTaskDetailsFromMarkdown(content, 'automatic-ide-version-detection-index.md');
+
+    expect(details.metadata.dependencyReferences).toEqual(['Selector Versioning System', 'Cache System Fix']);
+  });
+
+  it('links references to project tasks and keeps unresolved ones in the metadata', async () => {
+    const selectorSystem = createTask('task-selectors', 'Selector Versioning System', { taskDirectoryName: 'selector-versioning-system' });
+    const cacheFix = createTask('task-cache', 'Cache Fix', { taskDirectoryName: 'cache-system-fix' });
+    const imported = createTask('task-detection', 'Automatic IDE Version Detection', {
+      dependencyReferences: ['selector versioning system', 'Cache System Fix', 'Git workflow system']
+    });
+    taskRepository.findByProjectId.mockResolvedValue([selectorSystem, cacheFix, imported]);
+
+    const result = await service.resolveImportedDependencies('project-1', [imported]);
+
+    expect(taskDependencyService.setDependencies).toHaveBeenCalledWith('project-1', 'task-detection', ['task-selectors', 'task-cache']);
+    expect(imported.metadata.unresolvedDependencies).toEqual(['Git workflow system']);
+    expect(result).toEqual({ linked: 2, unresolved: 1, rejected: [] });
+  });
+
+  it('reports rejected dependencies without failing the import', async () => {
+    const first = createTask('task-a', 'Feature A', { dependencyReferences: ['Feature B'] });
+    const second = createTask('task-b', 'Feature B');
+    taskRepository.findByProjectId.mockResolvedValue([first, second]);
+    taskDependencyService.setDependencies.mockRejectedValue(new Error('Dependency cycle detected: task-a -> task-b -> task-a'));
+
+    const result = await service.resolveImportedDependencies('project-1', [first]);
+
+    expect(result.rejected).toEqual([{ taskId: 'task-a', dependencies: ['task-b'], reason: 'Dependency cycle detected: task-a -> task-b -> task-a' }]);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for MergeConflictService, GitResolveConflictsStep and conflicted merges in GitService
+ * and WorkflowGitService
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const MergeConflictService = require('@domain/services/git/MergeConflictService');
+const { MergeConflictError } = MergeConflictService;
+const BranchProtectionService = require('@domain/services/git/BranchProtectionService');
+const GitMergeBranchStep = require('@domain/steps/categories/git/git_merge_branch');
+const GitResolveConflictsStep = require('@domain/steps/categories/git/git_resolve_conflicts');
+const GitService = require('@external/GitService');
+const WorkflowGitService = require('@domain/services/workflow/WorkflowGitService');
+const TaskType = require('@domain/value-objects/TaskType');
+
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=PIDEA', '-c', 'user.email=pidea@example.com', ...args], { cwd, encoding: 'utf8' });
+
+const write = (root, file, content) => fs.writeFileSync(path.join(root, file), content);
+
+describe('MergeConflictService', () => {
+  let root;
+  let eventBus;
+  let service;
+
+  // Merging task/t1 into pidea-agent conflicts in config.js and keeps notes.md clean
+  const startConflictedMerge = () => {
+    try {
+      git(root, 'merge', '--no-ff', 'task/t1');
+    } catch (error) {
+      // git exits with 1 on conflicts
+    }
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'merge-conflict-'));
+    git(root, 'init', '-q', '-b', 'main');
+    git(root, 'config', 'user.name', 'PIDEA');
+    git(root, 'config', 'user.email', 'pidea@example.com');
+    write(root, 'config.js', 'const port = 3000;\nconst host = "localhost";\nmodule.exports = { port, host };\n');
+    write(root, 'notes.md', 'notes\n');
+    git(root, 'add', '.');
+    git(root, 'commit', '-q', '-m', 'init');
+
+    git(root, 'checkout', '-q', '-b', 'task/t1');
+    write(root, 'config.js', 'const port = 8080;\nconst host = "localhost";\nmodule.exports = { port, host };\n');
+    write(root, 'notes.md', 'notes\ntask\n');
+    git(root, 'commit', '-q', '-am', 'use port 8080');
+
+    git(root, 'checkout', '-q', '-b', 'pidea-agent', 'main');
+    write(root, 'config.js', 'const port = 4000;\nconst host = "localhost";\nmodule.exports = { port, host };\n');
+    git(root, 'commit', '-q', '-am', 'use port 4000');
+
+    eventBus = { publish: jest.fn() };
+    service = new MergeConflictService({ eventBus });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('lists conflicted files with their hunks and builds the resolution prompt', async () => {
+    expect(await service.detectConflicts(root)).toMatchObject({ inProgress: false, files: [] });
+
+    startConflictedMerge();
+    const conflicts = await service.detectConflicts(root);
+
+    expect(conflicts).toMatchObject({ inProgress: true, sourceBranch: 'task/t1', targetBranch: 'pidea-agent', conflicted: 1, resolved: 0 });
+    expect(conflicts.files).toEqual([{
+      file: 'config.js',
+      status: 'conflicted',
+      hunks: [{
+        index: 0,
+        startLine: 1,
+        endLine: 5,
+        oursLabel: 'HEAD',
+        theirsLabel: 'task/t1',
+        ours: 'const port = 4000;',
+        base: null,
+        theirs: 'const port = 8080;'
+      }]
+    }]);
+
+    // diff3 style markers carry the common ancestor
+    expect(service.parseHunks('a\n<<<<<<< ours\nx\n||||||| base\nb\n=======\ny\n>>>>>>> theirs\n')[0])
+      .toMatchObject({ startLine: 2, endLine: 8, ours: 'x', base: 'b', theirs: 'y' });
+
+    const prompt = service.buildResolutionPrompt(conflicts, { task: { id: 't1', title: 'Use port 8080' } });
+    expect(prompt).toContain('Merging `task/t1` into `pidea-agent` stopped with conflicts in 1 file(s).');
+    expect(prompt).toContain('The source branch implements task t1 "Use port 8080".');
+    expect(prompt).toContain('## config.js\n\n### Hunk 1 (lines 1-5)\nCurrent (HEAD):\n```\nconst port = 4000;\n```\nIncoming (task/t1):\n```\nconst port = 8080;\n```');
+  });
+
+  it('reviews resolutions and completes or aborts the merge', async () => {
+    startConflictedMerge();
+    await expect(service.acceptResolution(root, ['config.js'])).rejects.toThrow('Files still contain conflict markers: config.js');
+
+    write(root, 'config.js', 'const port = 8080;\nconst host = "localhost";\nmodule.exports = { port, host };\n');
+    const recheck = await service.recheck(root);
+    expect(recheck).toMatchObject({ resolved: true, remaining: [], awaitingReview: ['config.js'] });
+    expect(recheck.conflicts.files[0].diff).toContain('+const port = 8080;');
+
+    // Rejecting restores the conflict markers
+    expect(await service.rejectResolution(root)).toEqual(['config.js']);
+    expect(fs.readFileSync(path.join(root, 'config.js'), 'utf8')).toContain('<<<<<<< ours');
+    expect((await service.recheck(root)).remaining).toEqual(['config.js']);
+
+    write(root, 'config.js', 'const port = 8080;\nconst host = "localhost";\nmodule.exports = { port, host };\n');
+    await expect(service.completeMerge(root)).rejects.toMatchObject({ name: 'MergeConflictError' });
+    expect(await service.acceptResolution(root)).toEqual(['config.js']);
+    expect((await service.detectConflicts(root)).files).toEqual([{ file: 'config.js', status: 'accepted', hunks: [] }]);
+
+    const merge = await service.completeMerge(root);
+    expect(merge.files).toEqual(['config.js']);
+    expect(git(root, 'log', '-1', '--format=%s').trim()).toBe("Merge branch 'task/t1' into pidea-agent");
+    expect(git(root, 'show', 'HEAD:config.js')).toContain('const port = 8080;');
+    expect(eventBus.publish).toHaveBeenCalledWith('git.merge.conflicts.resolved', expect.objectContaining({ sourceBranch: 'task/t1', commit: merge.commit }));
+
+    // Aborting restores the target branch
+    git(root, 'reset', '-q', '--hard', 'HEAD~1');
+    startConflictedMerge();
+    await service.abortMerge(root);
+    expect(await service.detectConflicts(root)).toMatchObject({ inProgress: false, files: [] });
+    expect(fs.readFileSync(path.join(root, 'config.js'), 'utf8')).toContain('const port = 4000;');
+  });
+
+  it('resolves conflicts through the IDE chat and reports conflicted merges from GitService', async () => {
+    const branchProtectionService = new BranchProtectionService({ eventBus });
+    const blocked = await GitMergeBranchStep.execute({ projectPath: root, branchName: 'task/t1', noFF: true, mergeConflictService: service, branchProtectionService });
+    expect(blocked).toMatchObject({ success: false, violations: [{ rule: 'tests' }] });
+
+    const mergeResult = await GitMergeBranchStep.execute({ projectPath: root, branchName: 'task/t1', noFF: true, allowConflicts: true, mergeConflictService: service, branchProtectionService, testResults: { success: true } });
+    expect(mergeResult).toMatchObject({ success: true, conflicted: true, conflicts: { conflicted: 1, files: [{ file: 'config.js' }] } });
+
+    // The IDE answers the first prompt without fixing the file and the second by resolving it
+    const stepRegistry = {
+      executeStep: jest.fn()
+        .mockResolvedValueOnce({ success: true, result: { success: true } })
+        .mockImplementationOnce(async () => {
+          write(root, 'config.js', 'const port = 8080;\nconst host = "localhost";\nmodule.exports = { port, host };\n');
+          return { success: true, result: { success: true } };
+        })
+    };
+    const context = { projectPath: root, projectId: 'p1', mergeConflictService: service, stepRegistry, taskData: { id: 't1', title: 'Use port 8080' } };
+
+    const review = await GitResolveConflictsStep.execute({ ...context, maxAttempts: 2 });
+    expect(review).toMatchObject({ success: false, paused: true, status: 'awaiting_review', attempts: 2, awaitingReview: ['config.js'] });
+    expect(review.error).toBe('Merge conflict resolutions in config.js wait for review');
+    expect((await service.detectConflicts(root)).inProgress).toBe(true);
+    expect(stepRegistry.executeStep).toHaveBeenCalledWith('ide_send_message_step', expect.objectContaining({
+      message: expect.stringContaining('# Resolve merge conflicts'),
+      waitForResponse: true
+    }));
+
+    const merged = await GitResolveConflictsStep.execute({ ...context, autoAccept: true });
+    expect(merged).toMatchObject({ success: true, status: 'merged', attempts: 0, accepted: ['config.js'] });
+    expect(await GitResolveConflictsStep.execute(context)).toMatchObject({ success: true, status: 'no_conflicts' });
+
+    // Unresolved conflicts fail the step and abort the merge unless abortOnFailure is turned off
+    git(root, 'reset', '-q', '--hard', 'HEAD~1');
+    startConflictedMerge();
+    stepRegistry.executeStep.mockResolvedValue({ success: true, result: { success: true } });
+    const kept = await GitResolveConflictsStep.execute({ ...context, maxAttempts: 1, abortOnFailure: false });
+    expect(kept).toMatchObject({ success: false, status: 'unresolved', remaining: ['config.js'] });
+    const failed = await GitResolveConflictsStep.execute({ ...context, maxAttempts: 1 });
+    expect(failed).toMatchObject({ success: false, status: 'aborted', remaining: ['config.js'], error: 'Merge conflicts remain in config.js' });
+
+    const conflicts = await service.detectConflicts(root);
+    const gitService = new GitService({
+      stepRegistry: { executeStep: jest.fn(async () => ({ success: true, result: { success: false, conflicted: true, conflicts: { ...conflicts, files: [{ file: 'config.js' }] } } })) },
+      eventBus,
+      logger: { info: jest.fn(), error: jest.fn() }
+    });
+    await expect(gitService.mergeBranch(root, 'task/t1', { targetBranch: 'pidea-agent' })).rejects.toMatchObject({
+      name: 'MergeConflictError',
+      message: 'Merge of task/t1 stopped with conflicts in config.js'
+    });
+    expect(eventBus.publish).toHaveBeenCalledWith('git.merge.conflicts', expect.objectContaining({ branchName: 'task/t1', files: ['config.js'] }));
+  });
+
+  it('hands the conflicts of a task auto-merge to the IDE chat when the workflow completes', async () => {
+    // The task ran in a worktree of its own, the merge stopped where pidea-agent is checked out
+    const worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'merge-conflict-task-'));
+    startConflictedMerge();
+    const conflicts = { ...await service.detectConflicts(root), workspacePath: root };
+    const gitService = {
+      getCurrentBranch: jest.fn(async () => 'pidea-agent'),
+      mergeBranch: jest.fn(async () => { throw new MergeConflictError('Merge of task/t1 stopped with conflicts in config.js', conflicts); })
+    };
+    const ideRegistry = {
+      executeStep: jest.fn(async () => {
+        write(root, 'config.js', 'const port = 8080;\nconst host = "localhost";\nmodule.exports = { port, host };\n');
+        return { success: true, result: { success: true } };
+      })
+    };
+    const stepRegistry = {
+      executeStep: jest.fn(async (name, context) => ({
+        success: true,
+        result: await GitResolveConflictsStep.execute({ ...context, mergeConflictService: service, stepRegistry: ideRegistry })
+      }))
+    };
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const workflowGitService = new WorkflowGitService({ gitService, stepRegistry, branchProtectionService: new BranchProtectionService({ eventBus }), logger });
+    const task = { id: 't1', projectId: 'p1', title: 'Use port 8080', type: new TaskType(TaskType.TESTING), metadata: {} };
+
+    try {
+      const result = await workflowGitService.completeWorkflowLegacy(worktree, 'task/t1', task, {
+        checks: { tests: { success: true }, qualityGates: { success: true } },
+        autoAcceptResolutions: true
+      });
+
+      expect(stepRegistry.executeStep).toHaveBeenCalledWith('GitResolveConflictsStep', expect.objectContaining({ projectPath: root, autoAccept: true, taskData: task }));
+      expect(result.mergeResult).toMatchObject({ success: true, action: 'merged', targetBranch: 'pidea-agent', resolution: { status: 'merged', accepted: ['config.js'] } });
+      expect(git(root, 'show', 'HEAD:config.js')).toContain('const port = 8080;');
+
+      // In a workflow the step resolves where the merge step before it stopped
+      expect(await GitResolveConflictsStep.execute({ projectPath: worktree, mergeResult: { workspacePath: root }, mergeConflictService: service }))
+        .toMatchObject({ success: true, status: 'no_conflicts' });
+    } finally {
+      fs.rmSync(worktree, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for project quality gates and the workflow gate step
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QualityGateService = require('@domain/services/analysis/QualityGateService');
+const QualityGateStep = require('@domain/steps/categories/analysis/QualityGateStep');
+
+const GATES_YAML = `
+gates:
+  - { metric: new-findings, severity: high, max: 0 }
+  - { metric: coverage, min: 80 }
+  - { metric: complexity, max: 20 }
+  - { metric: layer-violations, max: 0 }
+`;
+
+const analysis = (id, result) => ({ id, result });
+
+describe('QualityGateService', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'quality-gates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const writeGates = (content, file = 'quality-gates.yml') => {
+    fs.mkdirSync(path.join(projectPath, '.pidea'), { recursive: true });
+    fs.writeFileSync(path.join(projectPath, '.pidea', file), content);
+  };
+
+  it('evaluates the project gates against the latest analyses with reasons', async () => {
+    writeGates(GATES_YAML);
+    const latest = {
+      security: analysis('s1', {
+        issues: [
+          { severity: 'critical', type: 'command-injection', file: 'a.js', baselineStatus: 'unchanged' },
+          { severity: 'high', type: 'xss', file: 'b.js', baselineStatus: 'new' },
+          { severity: 'low', type: 'info-leak', file: 'c.js', baselineStatus: 'new' }
+        ],
+        baselineDiff: { new: 2, fixed: 0, unchanged: 1 }
+      }),
+      'code-quality': analysis('q1', {
+        coverage: { lineCoverage: 72.5 },
+        complexity: { maxComplexity: 12 }
+      }),
+      architecture: analysis('a1', { issues: [{ type: 'layer-violation', file: 'd.js' }] })
+    };
+    const analysisRepository = { getLatestAnalysis: jest.fn(async (projectId, [type]) => latest[type]) };
+    const service = new QualityGateService({ analysisRepository });
+
+    const status = await service.evaluateProject('p1', projectPath);
+
+    expect(status).toMatchObject({ projectId: 'p1', status: 'failed', passed: false, file: '.pidea/quality-gates.yml' });
+    expect(status.gates.map(gate => [gate.id, gate.status, gate.actual])).toEqual([
+      ['new-findings-1', 'failed', 1],
+      ['coverage-2', 'failed', 72.5],
+      ['complexity-3', 'passed', 12],
+      ['layer-violations-4', 'failed', 1]
+    ]);
+    expect(status.reasons).toEqual([
+      'new-findings-1: 1 new security finding(s) with severity high or higher (max 0)',
+      'coverage-2: line coverage 72.5% is below 80%',
+      'layer-violations-4: 1 layer violation(s) (max 0)'
+    ]);
+    expect(analysisRepository.getLatestAnalysis).toHaveBeenCalledWith('p1', ['security']);
+  });
+
+  it('passes without a gate file and fails on invalid gates or missing analyses', async () => {
+    const service = new QualityGateService();
+
+    expect(await service.evaluateProject('p1', projectPath)).toMatchObject({ status: 'not-configured', passed: true, gates: [] });
+
+    writeGates(JSON.stringify({ gates: [{ metric: 'coverage', max: 80 }, { metric: 'complexity', max: 20 }] }), 'quality-gates.json');
+    const status = await service.evaluateProject('p1', projectPath);
+    expect(status.passed).toBe(false);
+    expect(status.reasons).toEqual([
+      'Invalid quality gate coverage-1: Metric "coverage" needs a numeric "min"',
+      'complexity-2: No code-quality analysis results'
+    ]);
+
+    const config = service.createConfig({ missingAnalysis: 'skip', gates: [{ metric: 'complexity', max: 20 }] }, 'gates.json');
+    expect(service.evaluate(config, {})).toMatchObject({ status: 'passed', gates: [{ status: 'skipped' }] });
+  });
+
+  it('fails the workflow step when a gate fails', async () => {
+    writeGates(JSON.stringify({ gates: [{ metric: 'findings', severity: 'medium', max: 0 }] }), 'quality-gates.json');
+    const analysisRepository = {
+      getLatestAnalysis: jest.fn(async () => analysis('s1', { issues: [{ severity: 'medium', type: 'xss' }] }))
+    };
+    const service = new QualityGateService({ analysisRepository });
+    const context = { projectId: 'p1', projectPath, getService: name => (name === 'qualityGateService' ? service : null) };
+
+    const failed = await QualityGateStep.execute(context);
+    expect(failed.success).toBe(false);
+    expect(failed.error).toBe('Quality gates failed: findings-1: 1 security finding(s) with severity medium or higher (max 0)');
+
+    analysisRepository.getLatestAnalysis.mockResolvedValue(analysis('s2', { issues: [] }));
+    const passed = await QualityGateStep.execute(context);
+    expect(passed).toMatchObject({ success: true, error: null, result: { status: 'passed' } });
+  });
+});
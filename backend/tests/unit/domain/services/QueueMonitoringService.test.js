@@ -0,0 +1,80 @@
+/**
+ * Unit tests for QueueMonitoringService dependency blocking
+ */
+const QueueMonitoringService = require('@domain/services/queue/QueueMonitoringService');
+
+const createEventBus = () => {
+  const handlers = new Map();
+  return {
+    emit: jest.fn(),
+    subscribe: jest.fn((eventName, handler) => handlers.set(eventName, handler)),
+    trigger: (eventName, data) => handlers.get(eventName)(data)
+  };
+};
+
+describe('QueueMonitoringService dependency blocking', () => {
+  let eventBus;
+  let unmet;
+  let taskDependencyService;
+  let service;
+
+  const workflow = { type: 'task' };
+
+  beforeEach(() => {
+    eventBus = createEventBus();
+    unmet = { 'task-tests': ['task-impl'] };
+    taskDependencyService = {
+      getUnmetDependencies: jest.fn(async (taskId) => unmet[taskId] || [])
+    };
+    service = new QueueMonitoringService({ eventBus, taskDependencyService });
+  });
+
+  it('adds items of tasks with open prerequisites as blocked', async () => {
+    const item = await service.addToProjectQueue('project-1', 'user-1', workflow, { taskId: 'task-tests' }, {});
+
+    expect(item.status).toBe('blocked');
+    expect(item.blockedBy).toEqual(['task-impl']);
+    expect(eventBus.emit).toHaveBeenCalledWith('queue:item:blocked', {
+      projectId: 'project-1',
+      itemId: item.id,
+      taskId: 'task-tests',
+      blockedBy: ['task-impl']
+    });
+
+    const status = await service.getProjectQueueStatus('project-1', 'user-1');
+    expect(status.queue.blocked).toBe(1);
+    expect(status.queue.queued).toBe(0);
+  });
+
+  it('queues items without a task or without open prerequisites', async () => {
+    const plain = await service.addToProjectQueue('project-1', 'user-1', workflow, {}, {});
+    const ready = await service.addToProjectQueue('project-1', 'user-1', workflow, {}, { taskId: 'task-impl' });
+
+    expect(plain.status).toBe('queued');
+    expect(ready.status).toBe('queued');
+    expect(taskDependencyService.getUnmetDependencies).toHaveBeenCalledTimes(1);
+  });
+
+  it('releases blocked items once their prerequisites are completed', async () => {
+    const item = await service.addToProjectQueue('project-1', 'user-1', workflow, { taskId: 'task-tests' }, {});
+
+    await expect(service.releaseBlockedItems('project-1')).resolves.toEqual([]);
+    expect(item.status).toBe('blocked');
+
+    unmet['task-tests'] = [];
+    eventBus.trigger('task:status:transition', { taskId: 'task-impl', toStatus: 'completed' });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(item.status).toBe('queued');
+    expect(item.blockedBy).toEqual([]);
+    expect(eventBus.emit).toHaveBeenCalledWith('queue:item:unblocked', expect.objectContaining({ itemId: item.id, taskId: 'task-tests' }));
+  });
+
+  it('does not block items when the dependency check fails', async () => {
+    taskDependencyService.getUnmetDependencies.mockRejectedValue(new Error('database unavailable'));
+
+    const item = await service.addToProjectQueue('project-1', 'user-1', workflow, { taskId: 'task-tests' }, {});
+
+    expect(item.status).toBe('queued');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for SARIF export and import of analysis results
+ */
+const SarifConverter = require('@domain/services/analysis-output/sarif-converter');
+const AnalysisOutputService = require('@domain/services/analysis/AnalysisOutputService');
+const AnalysisApplicationService = require('@application/services/AnalysisApplicationService');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+const EXTERNAL_LOG = {
+  version: '2.1.0',
+  runs: [{
+    tool: {
+      driver: {
+        name: 'CodeQL',
+        semanticVersion: '2.15.0',
+        rules: [{
+          id: 'js/sql-injection',
+          shortDescription: { text: 'Database query built from user-controlled sources' },
+          help: { text: 'Use parameterized queries' },
+          helpUri: 'https://codeql.github.com/codeql-query-help/javascript/js-sql-injection/',
+          messageStrings: { default: { text: 'This query depends on {0}.' } },
+          properties: { tags: ['security', 'external/cwe/cwe-089'], 'security-severity': '8.8' }
+        }, {
+          id: 'js/unused-local-variable',
+          defaultConfiguration: { level: 'note' }
+        }]
+      }
+    },
+    originalUriBaseIds: { SRC: { uri: 'file:///ci/work/app/' } },
+    results: [{
+      ruleIndex: 0,
+      message: { id: 'default', arguments: ['a user-provided value'] },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'src/db.js', uriBaseId: 'SRC' }, region: { startLine: 12, startColumn: 5, endColumn: 40 } } }],
+      partialFingerprints: { primaryLocationLineHash: 'abc:1' }
+    }, {
+      ruleId: 'js/unused-local-variable',
+      message: { text: 'Unused variable tmp.' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'file:///home/dev/app/src/util.js' }, region: { startLine: 3 } } }]
+    }, {
+      ruleId: 'js/unused-local-variable',
+      message: { text: 'Unused variable old.' },
+      suppressions: [{ kind: 'inSource' }]
+    }]
+  }, {
+    tool: {}
+  }]
+};
+
+describe('SarifConverter', () => {
+  const converter = new SarifConverter();
+
+  it('exports one run per analysis with rules, levels, locations and fingerprints', () => {
+    const sarif = converter.toSarif([{
+      id: 'sec-1',
+      analysisType: 'security',
+      completedAt: '2026-01-01T10:00:00.000Z',
+      result: {
+        git: { branch: 'main', commit: 'abc123' },
+        issues: [{
+          rule: 'command-injection', title: 'Command injection', severity: 'critical', cwe: 'CWE-78',
+          message: 'User input reaches exec', file: '/work/app/src/routes.js', line: 8, column: 9, endLine: 8, endColumn: 21,
+          snippet: 'await run(command);', fingerprint: 'f1', baselineStatus: 'new', suggestion: 'Use execFile'
+        }, {
+          type: 'external', rule: 'js/sql-injection', severity: 'high', message: 'Imported finding', file: 'src/db.js', line: 12,
+          scanner: 'CodeQL', source: 'sarif'
+        }],
+        imports: [{ tool: 'CodeQL', version: '2.15.0' }]
+      }
+    }, {
+      id: 'dep-1',
+      analysisType: 'dependencies',
+      result: {
+        success: true,
+        result: {
+          summary: { dependencyGraph: { lockfiles: ['package-lock.json (npm)'] } },
+          issues: [{ type: 'vulnerability', vulnerability: 'GHSA-xxxx', severity: 'medium', message: 'lodash@4.17.20 has vulnerability: GHSA-xxxx', package: 'lodash', version: '4.17.20' }]
+        }
+      }
+    }, {
+      id: 'arch-1',
+      analysisType: 'architecture',
+      result: { issues: [{ type: 'low-layer-score', title: 'Low Layer Organization Score', severity: 'medium', location: 'layer-organization' }] }
+    }], { projectPath: '/work/app' });
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs.map(run => run.tool.driver.name)).toEqual(['PIDEA Security', 'CodeQL', 'PIDEA Dependencies', 'PIDEA Architecture']);
+
+    const [security, imported, dependencies, architecture] = sarif.runs;
+    expect(security.originalUriBaseIds).toEqual({ '%SRCROOT%': { uri: 'file:///work/app/' } });
+    expect(security.automationDetails).toEqual({ id: 'security/sec-1' });
+    expect(security.tool.driver.rules[0]).toMatchObject({
+      id: 'command-injection',
+      help: { text: 'Use execFile' },
+      defaultConfiguration: { level: 'error' },
+      properties: { tags: ['security', 'external/cwe/cwe-78'], 'security-severity': '9.5' }
+    });
+    expect(security.results).toEqual([expect.objectContaining({
+      ruleId: 'command-injection',
+      ruleIndex: 0,
+      level: 'error',
+      baselineState: 'new',
+      partialFingerprints: { 'pidea/v1': 'f1' },
+      locations: [{ physicalLocation: {
+        artifactLocation: { uri: 'src/routes.js', uriBaseId: '%SRCROOT%' },
+        region: { startLine: 8, startColumn: 9, endLine: 8, endColumn: 21, snippet: { text: 'await run(command);' } }
+      } }]
+    })]);
+    expect(imported.tool.driver.version).toBe('2.15.0');
+    expect(dependencies.results[0]).toMatchObject({
+      ruleId: 'GHSA-xxxx',
+      level: 'warning',
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'package-lock.json' } } }],
+      properties: { package: 'lodash', version: '4.17.20' }
+    });
+    expect(architecture.results[0].locations).toEqual([{ logicalLocations: [{ name: 'layer-organization' }] }]);
+    expect(architecture.tool.driver.rules[0].properties['security-severity']).toBeUndefined();
+  });
+
+  it('aggregates legacy monorepo security results over their packages', () => {
+    const sarif = converter.toSarif([{
+      id: 'sec-2',
+      analysisType: 'security',
+      result: {
+        isMonorepo: true,
+        packageSecurityAnalyses: {
+          api: { securityAnalysis: { vulnerabilities: [{ type: 'xss', severity: 'high', file: 'api/a.js', line: 1 }] } },
+          web: { securityAnalysis: { codeIssues: [{ type: 'eval', severity: 'low', file: 'web/b.js', line: 2 }] } }
+        }
+      }
+    }]);
+
+    expect(sarif.runs[0].results.map(result => `${result.ruleId}:${result.level}`)).toEqual(['xss:error', 'eval:note']);
+  });
+
+  it('imports external results with rule metadata, severity and project-relative paths', () => {
+    const { runs, errors } = converter.fromSarif(EXTERNAL_LOG, { projectPath: '/home/dev/app' });
+
+    expect(errors).toEqual([{ run: 1, message: 'Run has no tool.driver.name' }]);
+    expect(runs[0]).toMatchObject({ tool: 'CodeQL', version: '2.15.0', suppressed: 1 });
+    expect(runs[0].issues).toEqual([
+      expect.objectContaining({
+        rule: 'js/sql-injection',
+        title: 'Database query built from user-controlled sources',
+        message: 'This query depends on a user-provided value.',
+        severity: 'high',
+        cwe: 'CWE-89',
+        file: 'src/db.js',
+        location: 'src/db.js:12:5',
+        suggestion: 'Use parameterized queries',
+        scanner: 'CodeQL',
+        source: 'sarif',
+        externalFingerprints: { primaryLocationLineHash: 'abc:1' }
+      }),
+      expect.objectContaining({ rule: 'js/unused-local-variable', severity: 'low', file: 'src/util.js', line: 3 })
+    ]);
+
+    expect(() => converter.fromSarif({ version: '2.0.0', runs: [] })).toThrow('Unsupported SARIF version "2.0.0"');
+  });
+});
+
+describe('AnalysisApplicationService SARIF import', () => {
+  it('attaches imported findings to the latest analysis and replaces earlier imports of the same tool', async () => {
+    const analysis = {
+      id: 'sec-1',
+      projectId: 'p1',
+      analysisType: 'security',
+      result: {
+        issues: [
+          { rule: 'eval-usage', file: 'src/a.js', snippet: 'eval(x)', severity: 'high' },
+          { rule: 'old-rule', file: 'src/b.js', snippet: 'x', scanner: 'CodeQL', source: 'sarif' }
+        ],
+        imports: [{ tool: 'CodeQL', version: '2.14.0', issues: 1 }, { tool: 'Trivy', issues: 0 }]
+      }
+    };
+    const analysisRepository = {
+      findById: jest.fn(),
+      getLatestAnalysis: jest.fn(async () => analysis),
+      update: jest.fn(async (updated) => updated)
+    };
+    const service = new AnalysisApplicationService({
+      analysisOutputService: new AnalysisOutputService({ logger }),
+      analysisRepository,
+      projectRepository: { findById: jest.fn(async () => ({ workspacePath: '/home/dev/app' })) },
+      logger
+    });
+
+    const imported = await service.importSarif('p1', EXTERNAL_LOG);
+
+    expect(imported).toMatchObject({
+      analysisId: 'sec-1',
+      analysisType: 'security',
+      imported: [{ tool: 'CodeQL', version: '2.15.0', issues: 2, suppressed: 1 }],
+      errors: [{ run: 1 }]
+    });
+    const [saved] = analysisRepository.update.mock.calls[0];
+    expect(saved.result.issues.map(issue => `${issue.rule}:${issue.scanner || 'pidea'}`)).toEqual([
+      'eval-usage:pidea',
+      'js/sql-injection:CodeQL',
+      'js/unused-local-variable:CodeQL'
+    ]);
+    expect(saved.result.issues.every(issue => issue.fingerprint)).toBe(true);
+    expect(saved.result.imports.map(entry => entry.tool)).toEqual(['Trivy', 'CodeQL']);
+  });
+});
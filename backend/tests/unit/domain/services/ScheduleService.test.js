@@ -0,0 +1,136 @@
+/**
+ * Unit tests for ScheduleService (validation, due runs, missed-run policies, run now)
+ */
+const ScheduleService = require('@domain/services/schedule/ScheduleService');
+
+const createRepository = () => {
+  const schedules = new Map();
+  let nextId = 1;
+  return {
+    schedules,
+    create: async (data) => {
+      const schedule = { id: `schedule-${nextId++}`, runCount: 0, ...data };
+      schedules.set(schedule.id, schedule);
+      return { ...schedule };
+    },
+    update: async (id, updates) => ({ ...Object.assign(schedules.get(id), updates) }),
+    delete: async (id) => schedules.delete(id),
+    findById: async (id) => (schedules.has(id) ? { ...schedules.get(id) } : null),
+    findByProjectId: async (projectId) => [...schedules.values()].filter(schedule => schedule.projectId === projectId),
+    findDue: async (now) => [...schedules.values()]
+      .filter(schedule => schedule.enabled && schedule.nextRunAt && schedule.nextRunAt <= now)
+      .map(schedule => ({ ...schedule }))
+  };
+};
+
+describe('ScheduleService', () => {
+  let repository;
+  let queueMonitoringService;
+  let eventBus;
+  let service;
+
+  const nightly = {
+    name: 'Nightly security analysis',
+    cronExpression: '0 2 * * *',
+    timezone: 'UTC',
+    workflow: { type: 'analysis', analysisType: 'security' }
+  };
+
+  beforeEach(() => {
+    repository = createRepository();
+    let itemId = 1;
+    queueMonitoringService = {
+      addToProjectQueue: jest.fn(async (projectId, userId, workflow, context) => ({ id: `queue-${itemId++}`, projectId, workflow, context }))
+    };
+    eventBus = { emit: jest.fn() };
+    service = new ScheduleService({ scheduleRepository: repository, queueMonitoringService, eventBus });
+  });
+
+  it('should create a schedule with its next and upcoming runs', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+    try {
+      const schedule = await service.createSchedule('project-1', 'user-1', nightly);
+
+      expect(schedule.nextRunAt).toBe('2026-10-20T02:00:00.000Z');
+      expect(schedule.upcomingRuns).toHaveLength(5);
+      expect(schedule.upcomingRuns[1]).toBe('2026-10-21T02:00:00.000Z');
+      expect(schedule.missedRunPolicy).toBe('run_once');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it.each([
+    [{ ...nightly, cronExpression: '0 25 * * *' }, /hour value 25/],
+    [{ ...nightly, timezone: 'Nowhere/City' }, /Unknown timezone/],
+    [{ ...nightly, missedRunPolicy: 'sometimes' }, /missedRunPolicy/],
+    [{ ...nightly, workflow: {} }, /workflow/],
+    [{ ...nightly, name: '' }, /name/]
+  ])('should reject invalid schedule data %#', async (data, message) => {
+    await expect(service.createSchedule('project-1', 'user-1', data)).rejects.toMatchObject({
+      name: 'ScheduleValidationError',
+      message: expect.stringMatching(message)
+    });
+  });
+
+  it('should enqueue due schedules into the project queue and advance them', async () => {
+    const created = await service.createSchedule('project-1', 'user-1', nightly);
+    repository.schedules.get(created.id).nextRunAt = '2026-10-20T02:00:00.000Z';
+
+    await service.tick(new Date('2026-10-20T02:00:20Z'));
+
+    expect(queueMonitoringService.addToProjectQueue).toHaveBeenCalledWith(
+      'project-1',
+      'user-1',
+      nightly.workflow,
+      expect.objectContaining({ scheduleId: created.id, scheduledFor: '2026-10-20T02:00:00.000Z', trigger: 'schedule' }),
+      {}
+    );
+    const schedule = repository.schedules.get(created.id);
+    expect(schedule).toMatchObject({ lastRunStatus: 'queued', lastQueueItemId: 'queue-1', runCount: 1, nextRunAt: '2026-10-21T02:00:00.000Z' });
+    expect(eventBus.emit).toHaveBeenCalledWith('schedule:triggered', expect.objectContaining({ scheduleId: created.id }));
+  });
+
+  it.each([
+    ['skip', 0, 'skipped'],
+    ['run_once', 1, 'queued'],
+    ['run_all', 3, 'queued']
+  ])('should apply the %s missed-run policy', async (missedRunPolicy, enqueued, lastRunStatus) => {
+    const created = await service.createSchedule('project-1', 'user-1', { ...nightly, missedRunPolicy });
+    repository.schedules.get(created.id).nextRunAt = '2026-10-20T02:00:00.000Z';
+
+    // Down for three nights
+    await service.tick(new Date('2026-10-22T09:00:00Z'));
+
+    expect(queueMonitoringService.addToProjectQueue).toHaveBeenCalledTimes(enqueued);
+    expect(repository.schedules.get(created.id)).toMatchObject({ lastRunStatus, nextRunAt: '2026-10-23T02:00:00.000Z' });
+    expect(eventBus.emit).toHaveBeenCalledWith('schedule:missed', expect.objectContaining({
+      missedRuns: ['2026-10-20T02:00:00.000Z', '2026-10-21T02:00:00.000Z', '2026-10-22T02:00:00.000Z'],
+      enqueued
+    }));
+  });
+
+  it('should record queue failures on the schedule', async () => {
+    queueMonitoringService.addToProjectQueue.mockRejectedValue(new Error('Queue is full'));
+    const created = await service.createSchedule('project-1', 'user-1', nightly);
+
+    const schedule = await service.runNow('project-1', created.id);
+
+    expect(schedule).toMatchObject({ lastRunStatus: 'failed', lastError: 'Queue is full', nextRunAt: created.nextRunAt });
+  });
+
+  it('should not run disabled schedules and recompute the next run when re-enabled', async () => {
+    const created = await service.createSchedule('project-1', 'user-1', { ...nightly, enabled: false });
+    expect(created.nextRunAt).toBeNull();
+    expect(created.upcomingRuns).toEqual([]);
+
+    const enabled = await service.updateSchedule('project-1', created.id, { enabled: true, cronExpression: '0 3 * * *' });
+    expect(new Date(enabled.nextRunAt).getUTCHours()).toBe(3);
+  });
+
+  it('should hide schedules of other projects', async () => {
+    const created = await service.createSchedule('project-1', 'user-1', nightly);
+
+    await expect(service.getSchedule('project-2', created.id)).rejects.toMatchObject({ name: 'ScheduleNotFoundError' });
+  });
+});
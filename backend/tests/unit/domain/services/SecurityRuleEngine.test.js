@@ -0,0 +1,178 @@
+/**
+ * Unit tests for the AST security rule engine and the Semgrep security step
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecurityRuleEngine = require('@domain/services/analysis/SecurityRuleEngine');
+const SemgrepSecurityStep = require('@steps/categories/analysis/security/SemgrepSecurityStep');
+
+const writeFile = (root, relativePath, content) => {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+};
+
+const at = (findings) => findings.map(finding => `${finding.ruleId}@${finding.line}`);
+
+const HANDLER = `const { exec } = require('node:child_process');
+const util = require('util');
+const run = util.promisify(exec);
+
+router.get('/build', async (req, res) => {
+  const { branch } = req.query;
+  const command = 'git checkout ' + branch;
+  await run(command);
+  exec(
+    \`git log \${req.body.ref}\`
+  );
+  await db.query('SELECT * FROM builds WHERE id = ' + parseInt(req.params.id, 10));
+  await db.query(\`SELECT * FROM builds WHERE branch = '\${branch}'\`);
+  await db.query('SELECT * FROM builds WHERE branch = $1', [branch]);
+  res.send(escapeHtml(branch));
+  res.send('<p>' + branch + '</p>');
+});
+`;
+
+describe('SecurityRuleEngine', () => {
+  const engine = new SecurityRuleEngine();
+
+  it('follows request input through variables, destructuring and promisify into sinks', () => {
+    const { findings } = engine.analyzeSource(HANDLER, 'src/routes.js');
+
+    expect(at(findings)).toEqual([
+      'command-injection@8',
+      'command-injection@9',
+      'sql-injection@13',
+      'reflected-xss@16'
+    ]);
+    expect(findings[1]).toMatchObject({
+      cwe: 'CWE-78',
+      severity: 'critical',
+      file: 'src/routes.js',
+      range: { start: { line: 9, column: 3 }, end: { line: 11, column: 4 } },
+      dataFlow: { source: 'req.body.ref', sourceLine: 10 }
+    });
+    expect(findings[2].message).toBe('User input is concatenated into a SQL statement (req.query from line 6)');
+  });
+
+  it('matches call, assignment, property and JSX patterns without flagging constants', () => {
+    const { findings } = engine.analyzeSource([
+      "import crypto from 'crypto';",
+      "crypto.createHash('md5');",
+      "crypto.createHash('sha256');",
+      "const config = { password: 'hunter2secret', label: { password: 'Password is required' }, rejectUnauthorized: false };",
+      'el.innerHTML = location.hash;',
+      'el.innerHTML = html;',
+      "el.innerHTML = '<b>static</b>';",
+      'const View = () => <div dangerouslySetInnerHTML={{ __html: marked(text) }} />;',
+      'debugger;'
+    ].join('\n'), 'src/view.jsx');
+
+    expect(at(findings)).toEqual([
+      'weak-hash@2',
+      'hardcoded-credential@4',
+      'tls-verification-disabled@4',
+      // dom-xss supersedes the generic inner-html finding at the same place
+      'dom-xss@5',
+      'inner-html@6',
+      'dangerously-set-inner-html@8',
+      'debugger-statement@9'
+    ]);
+  });
+
+  it('honours inline suppressions on the same line, the line above and the whole file', () => {
+    const source = [
+      'app.get("/", (req, res) => {',
+      '  res.send(req.query.a); // pidea-ignore reflected-xss -- rendered as text by the client',
+      '  // pidea-ignore sql-injection',
+      '  res.send(req.query.b);',
+      '  // pidea-ignore',
+      '  res.send(req.query.c);',
+      '});'
+    ].join('\n');
+
+    const { findings, suppressed } = engine.analyzeSource(source, 'src/app.js');
+    expect(at(findings)).toEqual(['reflected-xss@4']);
+    expect(at(suppressed)).toEqual(['reflected-xss@2', 'reflected-xss@6']);
+
+    const fileWide = engine.analyzeSource(`// pidea-ignore-file reflected-xss\n${source}`, 'src/app.js');
+    expect(fileWide.findings).toEqual([]);
+  });
+
+  it('applies project rules, overrides and disabled rules and reports invalid rules', async () => {
+    const projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'security-rules-'));
+    try {
+      writeFile(projectPath, '.pidea/security-rules.yml', [
+        'disable: [debugger-statement]',
+        'overrides:',
+        '  weak-hash: { severity: low }',
+        'rules:',
+        '  - id: legacy-crypto',
+        '    kind: call',
+        '    callee: [legacy.encrypt]',
+        '    message: Use the crypto service',
+        '    cwe: CWE-327',
+        '  - id: queue-injection',
+        '    kind: taint',
+        '    sources: ["@http-request"]',
+        '    sinks: [{ callee: "*.publish", argument: 1 }]',
+        '    message: Request data is published unchecked',
+        '  - id: broken',
+        '    kind: regex'
+      ].join('\n'));
+
+      const ruleSet = await engine.loadRuleSet(projectPath);
+      expect(ruleSet.errors.map(error => `${error.rule}: ${error.message}`)).toEqual([
+        'broken: Unknown rule kind "regex" (expected taint, call, assignment, property, jsx-attribute, statement)',
+        'broken: Rule needs a message'
+      ]);
+
+      const { findings } = engine.analyzeSource([
+        "const legacy = require('legacy');",
+        "require('crypto').createHash('sha1');",
+        'legacy.encrypt(data);',
+        'handler = (req) => bus.publish("jobs", req.body);',
+        'debugger;'
+      ].join('\n'), 'src/jobs.js', ruleSet);
+
+      expect(findings.map(finding => `${finding.ruleId}:${finding.severity}@${finding.line}`)).toEqual([
+        'weak-hash:low@2',
+        'legacy-crypto:medium@3',
+        'queue-injection:medium@4'
+      ]);
+    } finally {
+      fs.rmSync(projectPath, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('SemgrepSecurityStep', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'semgrep-step-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('reports one issue per finding with rule id, CWE and location', async () => {
+    writeFile(projectPath, 'package.json', '{"name":"app"}');
+    writeFile(projectPath, 'src/routes.js', HANDLER);
+    writeFile(projectPath, 'tests/routes.test.js', "const user = { password: 'hunter2secret' };\n");
+    writeFile(projectPath, 'node_modules/lib/index.js', 'eval(req.body.code);\n');
+
+    const { result } = await SemgrepSecurityStep.execute({ projectPath, includeDocumentation: false, generateTasks: false });
+
+    expect(result.metrics).toMatchObject({ totalFiles: 2, vulnerabilitiesFound: 4, suppressedFindings: 0 });
+    expect(result.issues.map(issue => `${issue.rule}:${issue.cwe}@${issue.location}`)).toEqual([
+      'command-injection:CWE-78@src/routes.js:8:9',
+      'command-injection:CWE-78@src/routes.js:9:3',
+      'sql-injection:CWE-89@src/routes.js:13:9',
+      'reflected-xss:CWE-79@src/routes.js:16:3'
+    ]);
+    expect(result.vulnerabilities[0]).toMatchObject({ title: 'Command injection', endLine: 8, endColumn: 21, scanner: 'SemgrepSecurityStep' });
+  });
+});
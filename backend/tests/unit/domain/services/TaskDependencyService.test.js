@@ -0,0 +1,154 @@
+/**
+ * Unit tests for TaskDependencyService (validation, cycle detection, topological order, DAG)
+ */
+const Task = require('@entities/Task');
+const TaskDependencyService = require('@domain/services/task/TaskDependencyService');
+const { TaskDependencyValidationError, TaskDependencyCycleError } = TaskDependencyService;
+
+const createTask = (id, { status = 'pending', priority = 'medium', projectId = 'project-1', dependencies = [] } = {}) => {
+  const task = new Task(id, projectId, `Task ${id}`, `Description of ${id}`, status, priority, 'feature');
+  dependencies.forEach(dependency => task.addDependency(dependency));
+  return task;
+};
+
+const createRepository = (tasks) => {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  return {
+    findById: jest.fn(async (id) => byId.get(id) || null),
+    findByProjectId: jest.fn(async (projectId) => [...byId.values()].filter(task => task.projectId === projectId)),
+    update: jest.fn(async (id) => byId.get(id))
+  };
+};
+
+describe('TaskDependencyService', () => {
+  let repository;
+  let eventBus;
+  let service;
+
+  const setup = (tasks) => {
+    repository = createRepository(tasks);
+    eventBus = { emit: jest.fn() };
+    service = new TaskDependencyService({ taskRepository: repository, eventBus });
+  };
+
+  it('requires a task repository', () => {
+    expect(() => new TaskDependencyService({})).toThrow('TaskRepository is required');
+  });
+
+  describe('validateDependencies', () => {
+    beforeEach(() => {
+      setup([
+        createTask('a'),
+        createTask('b', { dependencies: ['a'] }),
+        createTask('c', { dependencies: ['b'] }),
+        createTask('other', { projectId: 'project-2' })
+      ]);
+    });
+
+    it('accepts existing tasks of the project and removes duplicates', async () => {
+      await expect(service.validateDependencies('project-1', null, ['a', 'b', 'a'])).resolves.toEqual(['a', 'b']);
+    });
+
+    it('rejects unknown tasks and tasks of other projects', async () => {
+      await expect(service.validateDependencies('project-1', null, ['missing', 'other']))
+        .rejects.toThrow('Unknown dependencies for project project-1: missing, other');
+    });
+
+    it('rejects self dependencies', async () => {
+      await expect(service.validateDependencies('project-1', 'a', ['a'])).rejects.toBeInstanceOf(TaskDependencyValidationError);
+    });
+
+    it('rejects dependencies that close a cycle and reports the cycle', async () => {
+      const error = await service.validateDependencies('project-1', 'a', ['c']).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(TaskDependencyCycleError);
+      expect(error).toBeInstanceOf(TaskDependencyValidationError);
+      expect(error.cycle).toEqual(['a', 'c', 'b', 'a']);
+    });
+
+    it('rejects non-array input', async () => {
+      await expect(service.validateDependencies('project-1', null, 'a')).rejects.toThrow('Dependencies must be an array of task IDs');
+    });
+  });
+
+  describe('setDependencies', () => {
+    it('persists the dependencies and publishes an event', async () => {
+      setup([createTask('a'), createTask('b')]);
+
+      const task = await service.setDependencies('project-1', 'b', ['a']);
+
+      expect(task.dependencies).toEqual(['a']);
+      expect(repository.update).toHaveBeenCalledWith('b', { dependencies: ['a'] });
+      expect(eventBus.emit).toHaveBeenCalledWith('task:dependencies:updated', { projectId: 'project-1', taskId: 'b', dependencies: ['a'] });
+    });
+
+    it('leaves the task unchanged when the new dependencies form a cycle', async () => {
+      setup([createTask('a', { dependencies: ['b'] }), createTask('b')]);
+
+      await expect(service.setDependencies('project-1', 'b', ['a'])).rejects.toBeInstanceOf(TaskDependencyCycleError);
+      expect(repository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUnmetDependencies', () => {
+    it('returns prerequisites that are not completed and ignores deleted ones', async () => {
+      setup([
+        createTask('done', { status: 'completed' }),
+        createTask('open'),
+        createTask('task', { dependencies: ['done', 'open', 'deleted'] })
+      ]);
+
+      await expect(service.getUnmetDependencies('task')).resolves.toEqual(['open']);
+      await expect(service.getUnmetDependencies('done')).resolves.toEqual([]);
+    });
+  });
+
+  describe('topologicalSort', () => {
+    it('orders prerequisites first and sorts each level by priority', () => {
+      const tasks = [
+        createTask('tests', { dependencies: ['impl'] }),
+        createTask('docs', { priority: 'low' }),
+        createTask('impl', { priority: 'critical' }),
+        createTask('release', { dependencies: ['tests', 'docs'] })
+      ];
+
+      const { order, levels } = new TaskDependencyService({ taskRepository: createRepository([]) }).topologicalSort(tasks);
+
+      expect(levels).toEqual([['impl', 'docs'], ['tests'], ['release']]);
+      expect(order).toEqual(['impl', 'docs', 'tests', 'release']);
+    });
+  });
+
+  describe('getDependencyGraph', () => {
+    it('returns nodes, edges and topological order of the project', async () => {
+      setup([
+        createTask('impl', { status: 'completed' }),
+        createTask('tests', { dependencies: ['impl'] }),
+        createTask('release', { dependencies: ['tests'] })
+      ]);
+
+      const graph = await service.getDependencyGraph('project-1');
+
+      expect(graph.edges).toEqual([{ from: 'impl', to: 'tests' }, { from: 'tests', to: 'release' }]);
+      expect(graph.order).toEqual(['impl', 'tests', 'release']);
+      expect(graph.cycle).toBeNull();
+      expect(graph.nodes.find(node => node.id === 'impl')).toMatchObject({ dependents: ['tests'], blocked: false, level: 0 });
+      expect(graph.nodes.find(node => node.id === 'tests')).toMatchObject({ unmetDependencies: [], blocked: false, level: 1 });
+      expect(graph.nodes.find(node => node.id === 'release')).toMatchObject({ unmetDependencies: ['tests'], blocked: true, level: 2 });
+    });
+
+    it('reports stored cycles and leaves their tasks out of the order', async () => {
+      setup([
+        createTask('a', { dependencies: ['b'] }),
+        createTask('b', { dependencies: ['a'] }),
+        createTask('c')
+      ]);
+
+      const graph = await service.getDependencyGraph('project-1');
+
+      expect(graph.cycle).toEqual(['a', 'b', 'a']);
+      expect(graph.order).toEqual(['c']);
+      expect(graph.nodes.find(node => node.id === 'a').level).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for evidence-based tech stack detection and the tech stack steps
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TechStackDetector = require('@domain/services/analysis/TechStackDetector');
+const FrameworkTechStackStep = require('@steps/categories/analysis/tech-stack/FrameworkTechStackStep');
+const LibraryTechStackStep = require('@steps/categories/analysis/tech-stack/LibraryTechStackStep');
+const ToolTechStackStep = require('@steps/categories/analysis/tech-stack/ToolTechStackStep');
+const VersionTechStackStep = require('@steps/categories/analysis/tech-stack/VersionTechStackStep');
+
+const writeFile = (root, relativePath, content) => {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+};
+
+const byId = (techStack) => Object.fromEntries(techStack.technologies.map(technology => [technology.id, technology]));
+const rules = (result) => result.issues.map(issue => `${issue.rule}@${issue.file}:${issue.line}`).sort();
+
+describe('TechStackDetector', () => {
+  let projectPath;
+  const detector = new TechStackDetector();
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tech-stack-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('combines dependency, config and import evidence into a confidence', async () => {
+    writeFile(projectPath, 'package.json', {
+      name: 'web',
+      engines: { node: '>=20' },
+      dependencies: { react: '^18.2.0', vue: '^3.4.0' },
+      devDependencies: { vite: '^5.0.0', eslint: '^9.0.0' }
+    });
+    writeFile(projectPath, 'vite.config.js', "import { defineConfig } from 'vite';\nexport default defineConfig({});\n");
+    writeFile(projectPath, 'src/App.jsx', "import React from 'react';\nexport default () => null;\n");
+    writeFile(projectPath, 'src/main.jsx', "import React from 'react';\nimport { createRoot } from 'react-dom/client';\n");
+    writeFile(projectPath, 'scripts/fetch.js', "const axios = require('axios');\n");
+    writeFile(projectPath, '.nvmrc', '20.11.0\n');
+
+    const techStack = await detector.detect(projectPath);
+    const technologies = byId(techStack);
+
+    expect(technologies.react).toMatchObject({ category: 'framework', confidence: 'high', score: 72, workspaces: ['.'] });
+    expect(technologies.react.evidence).toEqual([
+      expect.objectContaining({ type: 'dependency', file: 'package.json', line: 7 }),
+      expect.objectContaining({ type: 'import', file: 'src/App.jsx', count: 2, files: ['src/App.jsx', 'src/main.jsx'] })
+    ]);
+    // Declared, but never imported or configured
+    expect(technologies.vue).toMatchObject({ confidence: 'medium', score: 40 });
+    expect(technologies.vite).toMatchObject({ category: 'tool', confidence: 'high', evidenceFiles: ['package.json', 'vite.config.js'] });
+    // Imported without being declared
+    expect(technologies.axios).toMatchObject({ confidence: 'low', score: 30, version: null });
+    expect(technologies.nodejs).toMatchObject({ category: 'runtime', version: '20.11.0', confidence: 'high' });
+    expect(technologies.nodejs.declarations.map(declaration => declaration.source)).toEqual(['.nvmrc', 'engines']);
+    expect(techStack.projectType).toBe('react');
+    expect(techStack.languages[0]).toMatchObject({ name: 'JavaScript', files: 4 });
+  });
+
+  it('detects Python, Go and Rust projects from their manifests', async () => {
+    writeFile(projectPath, 'api/pyproject.toml', [
+      '[project]',
+      'name = "api"',
+      'requires-python = ">=3.11"',
+      'dependencies = [',
+      '  "Django>=5.0,<6",',
+      '  "psycopg2-binary==2.9.9",',
+      ']',
+      '',
+      '[tool.ruff]',
+      'line-length = 100'
+    ].join('\n'));
+    writeFile(projectPath, 'api/app/views.py', 'from django.http import JsonResponse\nimport psycopg2\n');
+    writeFile(projectPath, 'svc/go.mod', [
+      'module example.com/svc',
+      '',
+      'go 1.22',
+      '',
+      'require (',
+      '\tgithub.com/gin-gonic/gin v1.9.1',
+      ')'
+    ].join('\n'));
+    writeFile(projectPath, 'svc/main.go', 'package main\n\nimport (\n\t"github.com/gin-gonic/gin"\n)\n\nfunc main() { gin.Default() }\n');
+    writeFile(projectPath, 'cli/Cargo.toml', [
+      '[package]',
+      'name = "cli"',
+      'rust-version = "1.75"',
+      '',
+      '[dependencies]',
+      'tokio = { version = "1.36", features = ["full"] }',
+      '',
+      '[dependencies.axum]',
+      'version = "0.7"'
+    ].join('\n'));
+    writeFile(projectPath, 'cli/src/main.rs', 'use axum::Router;\n#[tokio::main]\nasync fn main() {}\n');
+
+    const technologies = byId(await detector.detect(projectPath));
+
+    expect(technologies.django).toMatchObject({ version: '5.0', confidence: 'high', ecosystem: 'pypi' });
+    expect(technologies.django.evidence[0]).toMatchObject({ type: 'manifest', file: 'api/pyproject.toml', line: 4 });
+    expect(technologies.psycopg).toMatchObject({ version: '2.9.9', confidence: 'high' });
+    expect(technologies.ruff.evidence).toEqual([expect.objectContaining({ type: 'config', file: 'api/pyproject.toml', line: 9 })]);
+    expect(technologies.python).toMatchObject({ version: '>=3.11' });
+    expect(technologies.gin).toMatchObject({ version: '1.9.1', confidence: 'high' });
+    expect(technologies.go).toMatchObject({ version: '1.22', confidence: 'high' });
+    expect(technologies.tokio).toMatchObject({ version: '1.36', confidence: 'high' });
+    expect(technologies.axum).toMatchObject({ version: '0.7', confidence: 'high' });
+    expect(technologies.axum.evidence[0]).toMatchObject({ file: 'cli/Cargo.toml', line: 8 });
+    expect(technologies.rust).toMatchObject({ version: '1.75' });
+  });
+});
+
+describe('tech stack steps', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tech-stack-steps-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  it('reports framework, library, tool and version findings with locations', async () => {
+    writeFile(projectPath, 'package.json', {
+      name: 'root',
+      private: true,
+      workspaces: ['packages/*'],
+      devDependencies: { 'eslint': '^9.0.0' }
+    });
+    writeFile(projectPath, 'packages/web/package.json', {
+      name: 'web',
+      dependencies: { react: '^18.2.0', vue: '^3.4.0', moment: '^2.29.0', dayjs: '^1.11.0' },
+      devDependencies: { eslint: '^8.57.0', jest: '^29.0.0' }
+    });
+    writeFile(projectPath, 'packages/web/src/index.jsx', "import React from 'react';\nimport { createApp } from 'vue';\n");
+    writeFile(projectPath, '.nvmrc', '16\n');
+    writeFile(projectPath, 'Dockerfile', 'FROM node:22-alpine\nCMD ["node", "index.js"]\n');
+
+    const techStack = await new TechStackDetector().detect(projectPath);
+    const context = { projectPath, techStack };
+
+    const frameworks = await FrameworkTechStackStep.execute(context);
+    expect(frameworks.frameworks.map(framework => framework.name).sort()).toEqual(['React', 'Vue']);
+    expect(rules(frameworks)).toEqual(['multiple-frontend-frameworks@packages/web/package.json:5']);
+
+    const libraries = await LibraryTechStackStep.execute(context);
+    expect(rules(libraries)).toEqual([
+      'deprecated-library@packages/web/package.json:6',
+      'overlapping-libraries@packages/web/package.json:6'
+    ]);
+
+    const tools = await ToolTechStackStep.execute(context);
+    expect(tools.metrics).toMatchObject({ testingTools: 1, lintingTools: 1 });
+    expect(tools.issues).toEqual([]);
+
+    const versions = await VersionTechStackStep.execute(context);
+    expect(rules(versions)).toEqual([
+      'runtime-eol@.nvmrc:1',
+      'runtime-version-mismatch@Dockerfile:1',
+      'version-drift@packages/web/package.json:10'
+    ]);
+    expect(versions.versions.find(version => version.name === 'Node.js')).toMatchObject({ currentVersion: '16', status: 'eol' });
+  });
+
+  it('reports missing test runner, linter and runtime version', async () => {
+    writeFile(projectPath, 'package.json', { name: 'bare', dependencies: { express: '^4.18.0' } });
+    writeFile(projectPath, 'server.js', "const express = require('express');\n");
+
+    const context = { projectPath, techStack: await new TechStackDetector().detect(projectPath) };
+
+    expect(rules(await ToolTechStackStep.execute(context))).toEqual([
+      'no-linter@package.json:null',
+      'no-test-framework@package.json:null'
+    ]);
+    expect(rules(await VersionTechStackStep.execute(context))).toEqual(['runtime-version-unpinned@package.json:null']);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for WebhookService (event mapping, signing, retries, redelivery)
+ */
+const crypto = require('crypto');
+const EventBus = require('@infrastructure/messaging/EventBus');
+const WebhookService = require('@domain/services/webhook/WebhookService');
+
+const createRepository = () => {
+  const webhooks = new Map();
+  const deliveries = new Map();
+  let nextId = 1;
+  return {
+    deliveries,
+    create: async (data) => {
+      const webhook = { id: `hook-${nextId++}`, ...data, active: data.active !== false };
+      webhooks.set(webhook.id, webhook);
+      return webhook;
+    },
+    update: async (id, updates) => Object.assign(webhooks.get(id), updates),
+    delete: async (id) => webhooks.delete(id),
+    findById: async (id) => webhooks.get(id) || null,
+    findByProjectId: async (projectId, options = {}) => [...webhooks.values()]
+      .filter(hook => hook.projectId === projectId && (!options.activeOnly || hook.active)),
+    createDelivery: async (data) => {
+      const delivery = { id: `delivery-${nextId++}`, status: 'pending', attempts: 0, redeliveryOf: null, ...data };
+      deliveries.set(delivery.id, delivery);
+      return { ...delivery };
+    },
+    updateDelivery: async (id, result) => Object.assign(deliveries.get(id), result),
+    findDeliveryById: async (id) => deliveries.get(id) || null,
+    findDeliveriesByWebhookId: async (webhookId) => [...deliveries.values()].filter(d => d.webhookId === webhookId),
+    findPendingRetries: async () => []
+  };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('WebhookService', () => {
+  let eventBus;
+  let repository;
+  let httpClient;
+  let service;
+
+  beforeEach(async () => {
+    eventBus = new EventBus();
+    repository = createRepository();
+    httpClient = jest.fn(async () => ({ ok: true, status: 200, text: async () => 'ok' }));
+    service = new WebhookService({
+      webhookRepository: repository,
+      eventBus,
+      taskRepository: { findById: async (id) => ({ id, projectId: 'project-1' }) },
+      httpClient,
+      retryPolicy: { maxAttempts: 3, baseDelayMs: 1000 }
+    });
+    await service.start();
+  });
+
+  afterEach(async () => {
+    await service.stop();
+    jest.useRealTimers();
+  });
+
+  test('delivers signed payloads for subscribed events only once per lifecycle change', async () => {
+    const webhook = await service.createWebhook('project-1', { url: 'https://hooks.example.com/pidea', events: ['task:completed'] });
+    await service.createWebhook('project-1', { url: 'https://hooks.example.com/queue', events: ['queue:item:failed'] });
+
+    await eventBus.publish('task:status:transition', { taskId: 'task-1', fromStatus: 'in_progress', toStatus: 'completed' });
+    await eventBus.publish('task:status:change', { taskId: 'task-1', fromStatus: 'in_progress', toStatus: 'completed' });
+    await eventBus.publish('task:status:transition', { taskId: 'task-2', fromStatus: 'pending', toStatus: 'in_progress' });
+    await flush();
+
+    expect(httpClient).toHaveBeenCalledTimes(1);
+    const [url, request] = httpClient.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/pidea');
+    expect(request.headers['X-PIDEA-Event']).toBe('task:completed');
+
+    const expected = crypto.createHmac('sha256', webhook.secret)
+      .update(`${request.headers['X-PIDEA-Timestamp']}.${request.body}`)
+      .digest('hex');
+    expect(request.headers['X-PIDEA-Signature']).toBe(`sha256=${expected}`);
+    expect(JSON.parse(request.body)).toMatchObject({ event: 'task:completed', projectId: 'project-1', data: { taskId: 'task-1' } });
+
+    const [delivery] = await service.getDeliveries('project-1', webhook.id);
+    expect(delivery).toMatchObject({ status: 'succeeded', attempts: 1, responseStatus: 200 });
+  });
+
+  test('maps queue, workflow step and analysis events', async () => {
+    await service.createWebhook('project-1', { url: 'https://hooks.example.com/all', events: ['*'] });
+
+    await eventBus.publish('queue:item:updated', { projectId: 'project-1', itemId: 'item-1', item: { status: 'running' } });
+    await eventBus.publish('queue:item:updated', { projectId: 'project-1', itemId: 'item-1', item: { status: 'failed' } });
+    await eventBus.publish('workflow:step:progress', { projectId: 'project-1', workflowId: 'wf-1', stepId: 's1', progress: { status: 'failed' } });
+    await eventBus.publish('security:analysis:completed', { projectPath: '/work/p1', projectId: 'project-1', analysis: {} });
+    await flush();
+
+    const events = httpClient.mock.calls.map(([, request]) => request.headers['X-PIDEA-Event']);
+    expect(events).toEqual(['queue:item:failed', 'workflow:step:failed', 'analysis:completed']);
+  });
+
+  test('retries failed deliveries with exponential backoff and marks them failed', async () => {
+    jest.useFakeTimers();
+    httpClient.mockResolvedValue({ ok: false, status: 503, text: async () => 'unavailable' });
+    const webhook = await service.createWebhook('project-1', { url: 'https://hooks.example.com/down', events: ['queue:item:failed'] });
+
+    const [delivery] = await service.dispatch('project-1', 'queue:item:failed', { itemId: 'item-1' });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(repository.deliveries.get(delivery.id)).toMatchObject({ status: 'retrying', attempts: 1, responseStatus: 503 });
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(repository.deliveries.get(delivery.id)).toMatchObject({ status: 'retrying', attempts: 2 });
+
+    await jest.advanceTimersByTimeAsync(1999);
+    expect(httpClient).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(repository.deliveries.get(delivery.id)).toMatchObject({ status: 'failed', attempts: 3, nextAttemptAt: null });
+    expect(webhook.id).toBe(delivery.webhookId);
+  });
+
+  test('redelivers a previous payload as a new delivery', async () => {
+    const webhook = await service.createWebhook('project-1', { url: 'https://hooks.example.com/pidea', events: ['task:completed'] });
+    const [original] = await service.dispatch('project-1', 'task:completed', { taskId: 'task-1' });
+    await flush();
+
+    const redelivery = await service.redeliver('project-1', webhook.id, original.id);
+
+    expect(redelivery).toMatchObject({ redeliveryOf: original.id, status: 'succeeded', attempts: 1 });
+    expect(redelivery.payload).toBe(original.payload);
+    await expect(service.redeliver('project-2', webhook.id, original.id)).rejects.toThrow(WebhookService.WebhookNotFoundError);
+  });
+
+  test('validates webhook registrations', async () => {
+    await expect(service.createWebhook('project-1', { url: 'ftp://example.com', events: ['task:completed'] }))
+      .rejects.toThrow('url must use http or https');
+    await expect(service.createWebhook('project-1', { url: 'https://example.com', events: ['task:started'] }))
+      .rejects.toThrow('Unknown webhook events: task:started');
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Unit tests for WorktreeService and task execution in worktrees (WorkflowGitService, IDEWorkerPoolService)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const WorktreeService = require('@domain/services/git/WorktreeService');
+const WorkflowGitService = require('@domain/services/workflow/WorkflowGitService');
+const IDEWorkerPoolService = require('@domain/services/queue/IDEWorkerPoolService');
+const GitMergeCommand = require('@application/commands/categories/git/GitMergeCommand');
+const GitMergeHandler = require('@application/handlers/categories/git/GitMergeHandler');
+
+const git = (cwd, ...args) => execFileSync('git', ['-c', 'user.name=PIDEA', '-c', 'user.email=pidea@example.com', ...args], { cwd, encoding: 'utf8' });
+
+const write = (root, file, content) => fs.writeFileSync(path.join(root, file), content);
+
+const logger = { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('WorktreeService', () => {
+  let base;
+  let root;
+  let worktreeRoot;
+  let eventBus;
+  let service;
+
+  beforeEach(() => {
+    // The default worktree directory is a sibling of the project
+    base = fs.mkdtempSync(path.join(os.tmpdir(), 'worktrees-'));
+    root = path.join(base, 'project');
+    worktreeRoot = path.join(base, '.pidea-worktrees', 'project');
+    fs.mkdirSync(root);
+    git(root, 'init', '-q', '-b', 'main');
+    git(root, 'config', 'user.name', 'PIDEA');
+    git(root, 'config', 'user.email', 'pidea@example.com');
+    write(root, 'app.js', 'module.exports = 1;\n');
+    git(root, 'add', '.');
+    git(root, 'commit', '-q', '-m', 'init');
+    git(root, 'branch', 'pidea-agent');
+
+    eventBus = { publish: jest.fn() };
+    service = new WorktreeService({ eventBus });
+  });
+
+  afterEach(() => {
+    fs.rmSync(base, { recursive: true, force: true });
+  });
+
+  it('creates, lists and removes task worktrees without touching the working copy', async () => {
+    expect(await service.isEnabled(root)).toBe(false);
+    expect(await service.isEnabled(root, true)).toBe(true);
+
+    const worktree = await service.createWorktree(root, 't1');
+    expect(worktree).toMatchObject({ taskId: 't1', path: path.join(worktreeRoot, 't1'), branch: 'task/t1', projectPath: root, port: null });
+    expect(git(worktree.path, 'rev-parse', 'HEAD')).toBe(git(root, 'rev-parse', 'pidea-agent'));
+    expect(git(root, 'branch', '--show-current').trim()).toBe('main');
+    expect(eventBus.publish).toHaveBeenCalledWith('git.worktree.created', expect.objectContaining({ taskId: 't1', branch: 'task/t1' }));
+
+    // Retries reuse the worktree, existing branches are checked out as they are
+    expect((await service.createWorktree(root, 't1')).path).toBe(worktree.path);
+    git(root, 'branch', 'task/t2', 'main');
+    await service.createWorktree(root, 't2', { startPoint: 'missing-branch' });
+    expect((await service.listWorktrees(root)).map(entry => entry.branch)).toEqual(['task/t1', 'task/t2']);
+
+    write(worktree.path, 'app.js', 'module.exports = 2;\n');
+    await expect(service.removeWorktree(root, 't1')).rejects.toMatchObject({ name: 'WorktreeError', code: 'WORKTREE_DIRTY' });
+
+    expect((await service.removeWorktree(root, 't1', { force: true })).path).toBe(worktree.path);
+    expect(fs.existsSync(worktree.path)).toBe(false);
+    expect(await service.getWorktree(root, 't1')).toBeNull();
+    expect(git(root, 'branch', '--list', 'task/t1').trim()).toBe('task/t1');
+    expect(eventBus.publish).toHaveBeenCalledWith('git.worktree.removed', expect.objectContaining({ taskId: 't1', path: worktree.path }));
+  });
+
+  it('points the IDE at the task worktree and restores it on release', async () => {
+    const ideManager = { setWorkspacePath: jest.fn(async () => ({ previousWorkspacePath: null })) };
+    const workflowGitService = new WorkflowGitService({ worktreeService: service, ideManager, eventBus, logger });
+
+    expect(await workflowGitService.prepareTaskWorkspace(root, { id: 't1' })).toEqual({ workspacePath: root, worktree: null });
+
+    fs.mkdirSync(path.join(root, '.pidea'));
+    write(root, '.pidea/git.json', JSON.stringify({ worktrees: { enabled: true } }));
+    const workspace = await workflowGitService.prepareTaskWorkspace(root, { id: 't1' }, { port: 9222 });
+    expect(workspace).toMatchObject({ workspacePath: path.join(worktreeRoot, 't1'), worktree: { branch: 'task/t1', port: 9222 } });
+    expect(ideManager.setWorkspacePath).toHaveBeenCalledWith(9222, workspace.workspacePath);
+    expect((await service.listWorktrees(root))[0].port).toBe(9222);
+
+    // Failed tasks keep the worktree for inspection
+    expect(await workflowGitService.releaseTaskWorkspace(root, { id: 't1' }, { reason: 'failed' })).toMatchObject({ removed: false, reason: 'failed' });
+    expect(ideManager.setWorkspacePath).toHaveBeenLastCalledWith(9222, null);
+    expect(fs.existsSync(workspace.workspacePath)).toBe(true);
+
+    // Completed tasks keep worktrees with uncommitted changes and remove clean ones
+    write(workspace.workspacePath, 'app.js', 'module.exports = 2;\n');
+    expect((await workflowGitService.releaseTaskWorkspace(root, { id: 't1' })).removed).toBe(false);
+    git(workspace.workspacePath, 'commit', '-q', '-am', 'task t1');
+    expect((await workflowGitService.releaseTaskWorkspace(root, { id: 't1' })).removed).toBe(true);
+    expect(git(root, 'log', '-1', '--format=%s', 'task/t1').trim()).toBe('task t1');
+    expect(eventBus.publish).toHaveBeenCalledWith('workflow.worktree.released', expect.objectContaining({ taskId: 't1', reason: 'completed', removed: true }));
+  });
+
+  it('runs the task in the project when its IDE cannot open the worktree', async () => {
+    const ideManager = {
+      getActivePort: jest.fn(() => null),
+      setWorkspacePath: jest.fn(async () => { throw new Error('IDE on port 9222 was not started by PIDEA, its workspace cannot be changed'); })
+    };
+    const workflowGitService = new WorkflowGitService({ worktreeService: service, ideManager, eventBus, logger });
+
+    const workspace = await workflowGitService.prepareTaskWorkspace(root, { id: 't1' }, { worktree: true, port: 9222 });
+    expect(workspace).toMatchObject({ workspacePath: root, worktree: null });
+    expect(workspace.warning).toContain('IDE 9222 cannot open the worktree');
+    expect(await service.listWorktrees(root)).toEqual([]);
+    expect(eventBus.publish).toHaveBeenCalledWith('workflow.worktree.skipped', expect.objectContaining({ taskId: 't1' }));
+
+    // Without an IDE running the task there is nothing to point at the worktree
+    expect(await workflowGitService.prepareTaskWorkspace(root, { id: 't2' }, { worktree: true })).toMatchObject({ workspacePath: root, worktree: null });
+    expect(ideManager.setWorkspacePath).toHaveBeenCalledTimes(1);
+  });
+
+  it('merges task branches where the target is checked out, never inside the task worktree', async () => {
+    const worktree = await service.createWorktree(root, 't1');
+    const handler = new GitMergeHandler({ logger });
+    const merge = (message) => handler.handle(new GitMergeCommand({ projectPath: worktree.path, branchName: 'task/t1', targetBranch: 'pidea-agent', noFF: true, message }));
+
+    // pidea-agent is not checked out anywhere: the merge runs in a short-lived worktree
+    write(worktree.path, 'app.js', 'module.exports = 2;\n');
+    git(worktree.path, 'commit', '-q', '-am', 'task t1');
+    const merged = await merge('Merge t1');
+    expect(merged).toMatchObject({ success: true });
+    expect(merged.workspacePath).not.toBe(worktree.path);
+    expect(fs.existsSync(merged.workspacePath)).toBe(false);
+    expect(git(worktree.path, 'branch', '--show-current').trim()).toBe('task/t1');
+    expect(git(root, 'log', '-1', '--format=%s', 'pidea-agent').trim()).toBe('Merge t1');
+    expect(git(root, 'worktree', 'list', '--porcelain').match(/^worktree /gm)).toHaveLength(2);
+
+    // pidea-agent checked out in the project: the merge runs there
+    git(root, 'checkout', '-q', 'pidea-agent');
+    write(worktree.path, 'app.js', 'module.exports = 3;\n');
+    git(worktree.path, 'commit', '-q', '-am', 'task t1 again');
+    expect(await merge('Merge t1 again')).toMatchObject({ success: true, workspacePath: root });
+    expect(git(root, 'log', '-1', '--format=%s').trim()).toBe('Merge t1 again');
+    expect(git(worktree.path, 'branch', '--show-current').trim()).toBe('task/t1');
+  });
+
+  it('runs queue items in their worktree and removes it when the item is cancelled', async () => {
+    const ideManager = { setWorkspacePath: jest.fn(async () => ({ previousWorkspacePath: null })) };
+    const workflowGitService = new WorkflowGitService({ worktreeService: service, ideManager, logger });
+    const seen = [];
+    const stepRegistry = {
+      executeStep: jest.fn(async (name, context) => {
+        seen.push({ name, projectPath: context.projectPath, mainProjectPath: context.mainProjectPath });
+        return { success: true, result: { success: true } };
+      })
+    };
+    const pool = new IDEWorkerPoolService({ queueMonitoringService: {}, ideManager, stepRegistry, workflowGitService });
+    const worker = { port: 9222, ideType: 'cursor', workspacePath: root };
+    // Items are handed to the worker as the pool does, as the current item of their first attempt
+    const item = (id, taskId) => (worker.currentItem = {
+      id,
+      projectId: 'p1',
+      status: 'running',
+      attempt: 1,
+      options: { taskId, worktree: true },
+      context: { projectPath: root },
+      workflow: { steps: [{ name: 'one', step: 'StepOne' }, { name: 'two', step: 'StepTwo' }] }
+    });
+
+    expect((await pool.executeItem(item('q1', 't1'), worker)).steps).toEqual([{ name: 'one', success: true }, { name: 'two', success: true }]);
+    expect(seen[0]).toEqual({ name: 'StepOne', projectPath: path.join(worktreeRoot, 't1'), mainProjectPath: root });
+    expect(await service.listWorktrees(root)).toEqual([]);
+    expect(ideManager.setWorkspacePath.mock.calls).toEqual([[9222, path.join(worktreeRoot, 't1')], [9222, null]]);
+
+    // The item is cancelled while its first step changes files
+    const cancelled = item('q2', 't2');
+    stepRegistry.executeStep.mockImplementationOnce(async (name, context) => {
+      write(context.projectPath, 'app.js', 'module.exports = 3;\n');
+      cancelled.status = 'cancelled';
+      return { success: true, result: { success: true } };
+    });
+    await expect(pool.executeItem(cancelled, worker)).rejects.toThrow('Queue item q2 was cancelled');
+    expect(stepRegistry.executeStep).toHaveBeenCalledTimes(3);
+    expect(await service.listWorktrees(root)).toEqual([]);
+    expect(git(root, 'status', '--porcelain')).toBe('');
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for CronExpression (parsing, next occurrences, timezones)
+ */
+const CronExpression = require('@domain/value-objects/CronExpression');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('CronExpression', () => {
+  it('should compute the next occurrences of lists, ranges and steps', () => {
+    const cron = new CronExpression('*/15 9-17 * * MON-FRI');
+
+    // Saturday noon -> Monday 09:00
+    expect(iso(cron.nextOccurrences(3, new Date('2026-10-17T12:00:00Z')))).toEqual([
+      '2026-10-19T09:00:00.000Z',
+      '2026-10-19T09:15:00.000Z',
+      '2026-10-19T09:30:00.000Z'
+    ]);
+  });
+
+  it('should evaluate expressions in the given timezone', () => {
+    const cron = new CronExpression('0 9 * * 1', 'America/New_York');
+
+    expect(cron.next(new Date('2026-10-19T12:00:00Z')).toISOString()).toBe('2026-10-19T13:00:00.000Z');
+  });
+
+  it('should keep the local time across daylight saving changes', () => {
+    const cron = new CronExpression('30 0 * * *', 'Europe/Berlin');
+
+    expect(iso(cron.nextOccurrences(2, new Date('2026-03-28T12:00:00Z')))).toEqual([
+      '2026-03-28T23:30:00.000Z',
+      '2026-03-29T22:30:00.000Z'
+    ]);
+  });
+
+  it('should match either day field when both are restricted', () => {
+    const cron = new CronExpression('0 0 13 * FRI');
+
+    // Friday Oct 23rd comes before Nov 13th
+    expect(cron.next(new Date('2026-10-19T00:00:00Z')).toISOString()).toBe('2026-10-23T00:00:00.000Z');
+  });
+
+  it('should support macros and Sunday as 7', () => {
+    expect(new CronExpression('@weekly').next(new Date('2026-10-19T12:00:00Z')).toISOString()).toBe('2026-10-25T00:00:00.000Z');
+    expect(new CronExpression('0 0 * * 7').next(new Date('2026-10-19T12:00:00Z')).toISOString()).toBe('2026-10-25T00:00:00.000Z');
+  });
+
+  it('should find leap days and give up on impossible dates', () => {
+    expect(new CronExpression('0 0 29 2 *').next(new Date('2026-01-01T00:00:00Z')).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+    expect(new CronExpression('0 0 30 2 *').next(new Date('2026-01-01T00:00:00Z'))).toBeNull();
+  });
+
+  it('should list the occurrences in a window', () => {
+    const cron = new CronExpression('0 * * * *');
+
+    expect(iso(cron.occurrencesBetween(new Date('2026-10-19T10:00:00Z'), new Date('2026-10-19T12:30:00Z')))).toEqual([
+      '2026-10-19T10:00:00.000Z',
+      '2026-10-19T11:00:00.000Z',
+      '2026-10-19T12:00:00.000Z'
+    ]);
+  });
+
+  it.each([
+    ['* * * *'],
+    ['60 * * * *'],
+    ['5-1 * * * *'],
+    ['*/0 * * * *'],
+    ['x * * * *']
+  ])('should reject "%s"', (expression) => {
+    expect(CronExpression.isValid(expression)).toBe(false);
+  });
+
+  it('should reject unknown timezones', () => {
+    expect(() => new CronExpression('* * * * *', 'Mars/Olympus')).toThrow('Invalid timezone: Mars/Olympus');
+  });
+});
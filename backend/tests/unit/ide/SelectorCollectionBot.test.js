@@ -391,5 +391,88 @@ describe('SelectorCollectionBot', () => {
       expect(mockLogger.error).toHaveBeenCalled();
     });
   });
-});
 
+  describe('proposeSelectorFile', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const JSONSelectorManager = require('@domain/services/ide/JSONSelectorManager');
+    let selectorsPath;
+
+    const report = (overrides = {}) => ({
+      ideType: 'cursor',
+      version: '1.6.0',
+      baseVersion: '1.5.7',
+      port: 9222,
+      summary: { total: 2, ok: 0, healed: 1, failed: 1, unverified: 0 },
+      selectors: [
+        { path: 'chatSelectors.aiMessages', group: 'chatSelectors', key: 'aiMessages', collectedKey: 'aiMessages', selector: '.old-ai', status: 'healed', healedWith: '.ai-message' },
+        { path: 'chatSelectors.input', group: 'chatSelectors', key: 'input', collectedKey: 'chatInput', selector: '.old-input', status: 'failed' }
+      ],
+      ...overrides
+    });
+
+    beforeEach(() => {
+      selectorsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'selectors-'));
+      fs.mkdirSync(path.join(selectorsPath, 'cursor'));
+      fs.writeFileSync(path.join(selectorsPath, 'cursor', '1.5.7.json'), JSON.stringify({
+        chatSelectors: { input: '.old-input', aiMessages: '.old-ai' }
+      }));
+      bot.jsonSelectorManager = new JSONSelectorManager({ selectorsPath, logger: mockLogger });
+    });
+
+    afterEach(() => {
+      fs.rmSync(selectorsPath, { recursive: true, force: true });
+    });
+
+    it('should write a proposal with healed and collected selectors for review', async () => {
+      mockSelectorCollector.collectSelectors.mockResolvedValue({ chatInput: '[data-testid="chat-input"]' });
+
+      const result = await bot.proposeSelectorFile(report());
+
+      expect(result.path).toBe(path.join(selectorsPath, 'cursor', 'proposals', '1.6.0.json'));
+      expect(result.changes.map(change => change.source)).toEqual(['fallback', 'collected']);
+      expect(result.unresolved).toEqual([]);
+
+      const proposal = JSON.parse(fs.readFileSync(result.path, 'utf8'));
+      expect(proposal.chatSelectors).toEqual({ input: '[data-testid="chat-input"]', aiMessages: '.ai-message' });
+      expect(proposal.metadata.status).toBe('pending_review');
+      expect(proposal.metadata.basedOn).toBe('1.5.7');
+      expect(await bot.jsonSelectorManager.getAvailableVersions('cursor')).toEqual(['1.5.7']);
+    });
+
+    it('should not rewrite an unchanged proposal', async () => {
+      mockSelectorCollector.collectSelectors.mockResolvedValue({ chatInput: '[data-testid="chat-input"]' });
+
+      const first = await bot.proposeSelectorFile(report());
+      const written = fs.readFileSync(first.path, 'utf8');
+      const saveProposal = jest.spyOn(bot.jsonSelectorManager, 'saveProposal');
+
+      await bot.proposeSelectorFile(report());
+      expect(await saveProposal.mock.results[0].value).toMatchObject({ unchanged: true });
+      expect(fs.readFileSync(first.path, 'utf8')).toBe(written);
+
+      mockSelectorCollector.collectSelectors.mockResolvedValue({ chatInput: '[data-testid="new-chat-input"]' });
+      await bot.proposeSelectorFile(report());
+      expect(JSON.parse(fs.readFileSync(first.path, 'utf8')).chatSelectors.input).toBe('[data-testid="new-chat-input"]');
+    });
+
+    it('should list selectors that could not be resolved', async () => {
+      mockSelectorCollector.collectSelectors.mockRejectedValue(new Error('CDP unavailable'));
+
+      const result = await bot.proposeSelectorFile(report());
+
+      expect(result.unresolved).toEqual(['chatSelectors.input']);
+    });
+
+    it('should not propose anything when a known version needs no changes', async () => {
+      const result = await bot.proposeSelectorFile(report({
+        version: '1.5.7',
+        selectors: [{ path: 'chatSelectors.input', group: 'chatSelectors', key: 'input', selector: '.old-input', status: 'ok' }]
+      }));
+
+      expect(result).toBeNull();
+      expect(fs.existsSync(path.join(selectorsPath, 'cursor', 'proposals'))).toBe(false);
+    });
+  });
+});
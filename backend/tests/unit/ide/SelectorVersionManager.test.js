@@ -262,4 +262,112 @@ describe('SelectorVersionManager', () => {
       });
     });
   });
+
+  describe('probeSelectorHealth', () => {
+    const selectorFile = {
+      chatSelectors: {
+        input: '.aislash-editor-input',
+        inputContainer: '.aislash-editor-container',
+        chatContainer: '.aislash-container',
+        messagesContainer: '#messages',
+        userMessages: '.user-bubble',
+        aiMessages: 'span.anysphere-markdown-container-root'
+      },
+      newChatSelectors: {
+        newChatButton: '[data-command-id="composer.createNewComposerTab"]',
+        newChatAria: '[aria-label*="New Chat"]'
+      }
+    };
+    let jsonSelectorManager;
+
+    const createPage = (matching) => ({
+      $$: jest.fn(async (selector) => (matching[selector] ? new Array(matching[selector]).fill({}) : []))
+    });
+
+    beforeEach(() => {
+      jsonSelectorManager = {
+        getAvailableVersions: jest.fn().mockResolvedValue(['1.5.7']),
+        getSelectorFile: jest.fn().mockResolvedValue(selectorFile)
+      };
+      versionManager = new SelectorVersionManager({
+        ideTypes: mockIDETypes,
+        jsonSelectorManager,
+        logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() }
+      });
+    });
+
+    it('should report a healthy IDE when all critical selectors match', async () => {
+      const page = createPage({
+        '.aislash-editor-input': 1,
+        '.aislash-editor-container': 1,
+        '.aislash-container': 1,
+        '#messages': 1,
+        '.user-bubble': 2,
+        'span.anysphere-markdown-container-root': 2,
+        '[data-command-id="composer.createNewComposerTab"]': 1
+      });
+
+      const report = await versionManager.probeSelectorHealth(page, 'cursor', '1.5.7', { port: 9222 });
+
+      expect(report.healthy).toBe(true);
+      expect(report.summary).toEqual({ total: 7, ok: 7, healed: 0, failed: 0, unverified: 0 });
+      expect(report.port).toBe(9222);
+    });
+
+    it('should heal drifted selectors with fallback alternatives and report the rest', async () => {
+      const page = createPage({
+        '.aislash-editor-input': 1,
+        '.aislash-editor-container': 1,
+        '.aislash-container': 1,
+        '.user-bubble': 1,
+        '.ai-message, .assistant-message, .response-message': 1,
+        '[aria-label*="New Chat"]': 1
+      });
+
+      const report = await versionManager.probeSelectorHealth(page, 'cursor', '1.5.7');
+      const byPath = Object.fromEntries(report.selectors.map(result => [result.path, result]));
+
+      expect(report.healthy).toBe(false);
+      expect(byPath['chatSelectors.aiMessages'].status).toBe('healed');
+      expect(byPath['chatSelectors.aiMessages'].healedWith).toBe('.ai-message, .assistant-message, .response-message');
+      expect(byPath['newChatSelectors.newChatButton'].healedWith).toBe('[aria-label*="New Chat"]');
+      expect(byPath['chatSelectors.messagesContainer'].status).toBe('failed');
+      expect(versionManager.getHealedSelectors('cursor', '1.5.7')).toEqual({
+        'chatSelectors.aiMessages': '.ai-message, .assistant-message, .response-message',
+        'newChatSelectors.newChatButton': '[aria-label*="New Chat"]'
+      });
+    });
+
+    it('should mark message selectors as unverified in an empty chat', async () => {
+      const page = createPage({
+        '.aislash-editor-input': 1,
+        '.aislash-editor-container': 1,
+        '.aislash-container': 1,
+        '#messages': 1,
+        '[data-command-id="composer.createNewComposerTab"]': 1
+      });
+
+      const report = await versionManager.probeSelectorHealth(page, 'cursor', '1.5.7');
+
+      expect(report.healthy).toBe(true);
+      expect(report.summary.unverified).toBe(2);
+    });
+
+    it('should probe an unknown version with the newest selector file', async () => {
+      const page = createPage({ '.aislash-editor-input': 1 });
+
+      const report = await versionManager.probeSelectorHealth(page, 'cursor', '1.6.0');
+
+      expect(jsonSelectorManager.getSelectorFile).toHaveBeenCalledWith('cursor', '1.5.7');
+      expect(report.baseVersion).toBe('1.5.7');
+      expect(report.versionKnown).toBe(false);
+      expect(report.healthy).toBe(false);
+    });
+
+    it('should count invalid selectors as not matching', async () => {
+      const page = { $$: jest.fn().mockRejectedValue(new Error('Unexpected token')) };
+
+      expect(await versionManager.countMatches(page, '!!')).toBe(0);
+    });
+  });
 });
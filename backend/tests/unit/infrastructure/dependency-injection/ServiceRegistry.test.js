@@ -0,0 +1,68 @@
+/**
+ * Unit tests for service registrations of ServiceRegistry
+ */
+const { ServiceRegistry } = require('@infrastructure/dependency-injection/ServiceRegistry');
+
+describe('ServiceRegistry', () => {
+  let registry;
+  let stepRegistry;
+
+  beforeEach(() => {
+    registry = new ServiceRegistry();
+    registry.container.clear();
+    stepRegistry = { executeStep: jest.fn() };
+    const dependencies = {
+      logger: { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      eventBus: { publish: jest.fn(), emit: jest.fn() },
+      stepRegistry,
+      forgeService: {},
+      branchProtectionService: {},
+      commitMessageService: {},
+      worktreeService: {},
+      ideManager: {}
+    };
+    for (const [name, instance] of Object.entries(dependencies)) {
+      registry.container.registerSingleton(name, instance);
+    }
+  });
+
+  afterEach(() => {
+    registry.container.clear();
+  });
+
+  const expectGitServices = () => {
+    const workflowGitService = registry.container.resolve('workflowGitService');
+    const gitService = registry.container.resolve('gitService');
+    expect(gitService.constructor.name).toBe('GitService');
+    expect(gitService.stepRegistry).toBe(stepRegistry);
+    expect(workflowGitService.gitService).toBe(gitService);
+  };
+
+  it('injects the shared git service into workflowGitService', () => {
+    registry.registerExternalServices();
+    expectGitServices();
+  });
+
+  it('injects the shared git service when workflowGitService is registered on its own', () => {
+    registry.registerExternalService('gitService');
+    registry.registerExternalService('workflowGitService');
+    expectGitServices();
+  });
+
+  it('lets commitMessageService ask the AI through the IDE send-message step', () => {
+    // Replaces the stand-in of the workflowGitService tests
+    registry.container.singletons.delete('commitMessageService');
+    registry.registerExternalService('gitService');
+    registry.registerDomainService('commitMessageService');
+
+    const commitMessageService = registry.container.resolve('commitMessageService');
+    expect(commitMessageService.stepRegistry).toBe(stepRegistry);
+    expect(commitMessageService.ideManager).toBe(registry.container.resolve('ideManager'));
+  });
+
+  it('declares the git service dependencies of workflowGitService', () => {
+    registry.collectServiceDefinitions();
+    expect([...registry.serviceOrderResolver.dependencyGraph.getDependencies('workflowGitService')])
+      .toEqual(expect.arrayContaining(['gitService', 'stepRegistry']));
+  });
+});
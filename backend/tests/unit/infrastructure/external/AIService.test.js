@@ -0,0 +1,52 @@
+/**
+ * Unit tests for AIService usage recording
+ */
+const AIService = require('@infrastructure/external/AIService');
+
+describe('AIService', () => {
+  let cursorIDEService;
+  let aiUsageService;
+  let service;
+
+  beforeEach(() => {
+    cursorIDEService = { postToCursor: jest.fn(async () => ({ content: 'feat: add login', model: 'gpt-4', usage: { prompt_tokens: 120, completion_tokens: 8 } })) };
+    aiUsageService = { recordInteraction: jest.fn(async () => ({})) };
+    service = new AIService({
+      cursorIDEService,
+      aiUsageService,
+      eventBus: { emit: jest.fn() },
+      logger: { info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() }
+    });
+  });
+
+  it('records the usage of a prompt sent to the IDE', async () => {
+    const response = await service.sendPrompt('code-optimization', { code: 'login()' }, { skipCache: true, projectId: 'project-1', taskId: 'task-1' });
+
+    expect(response.content).toBe('feat: add login');
+    expect(aiUsageService.recordInteraction).toHaveBeenCalledWith(expect.objectContaining({
+      projectId: 'project-1',
+      taskId: 'task-1',
+      workflowStep: 'code-optimization',
+      source: 'ai_service',
+      model: 'gpt-4',
+      response: 'feat: add login',
+      promptTokens: 120,
+      completionTokens: 8,
+      success: true
+    }));
+  });
+
+  it('records failed prompts', async () => {
+    cursorIDEService.postToCursor.mockRejectedValueOnce(new Error('No chat input found'));
+
+    await expect(service.sendPrompt('code-optimization', {}, { skipCache: true, projectId: 'project-1' })).rejects.toThrow('No chat input found');
+    expect(aiUsageService.recordInteraction).toHaveBeenCalledWith(expect.objectContaining({ source: 'ai_service', success: false, error: 'No chat input found' }));
+  });
+
+  it('records nothing without an IDE to send the prompt to', async () => {
+    service.cursorIDEService = null;
+
+    await service.sendPrompt('code-optimization', {}, { skipCache: true, projectId: 'project-1' });
+    expect(aiUsageService.recordInteraction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Unit tests for healed selectors of BrowserManager
+ */
+const BrowserManager = require('@infrastructure/external/BrowserManager');
+
+describe('BrowserManager healed selectors', () => {
+  let browserManager;
+
+  beforeEach(() => {
+    browserManager = new BrowserManager();
+  });
+
+  it('applies healed selectors on top of the selector file', async () => {
+    browserManager.setHealedSelectors('cursor', '1.5.7', { 'chatSelectors.input': '.healed-input' });
+
+    const selectors = await browserManager.getIDESelectors('cursor', '1.5.7');
+    expect(selectors.chatSelectors.input).toBe('.healed-input');
+    expect(selectors.chatSelectors.inputContainer).toBe('.aislash-editor-container');
+  });
+
+  it('falls back to the base version of the health probe for a version without selector file', async () => {
+    await expect(browserManager.getIDESelectors('cursor', '9.9.9')).rejects.toThrow('Version 9.9.9 not found');
+
+    browserManager.setHealedSelectors('cursor', '9.9.9', { 'chatSelectors.input': '.healed-input' }, '1.5.7');
+
+    const selectors = await browserManager.getIDESelectors('cursor', '9.9.9');
+    expect(selectors.chatSelectors.input).toBe('.healed-input');
+    expect(selectors.chatSelectors.inputContainer).toBe('.aislash-editor-container');
+  });
+});
@@ -430,6 +430,69 @@ describe('IDEManager', () => {
     });
   });
 
+  describe('setWorkspacePath', () => {
+    beforeEach(() => {
+      mockStarterFactory.openWorkspace = jest.fn().mockResolvedValue({});
+      manager.ideTypes.set(9232, 'vscode');
+      manager.ideWorkspaces.set(9232, '/projects/app');
+    });
+
+    it('should open the folder in the IDE and reopen the detected workspace when cleared', async () => {
+      manager.ideUserDataDirs.set(9232, '/data/vscode-data-9232');
+
+      const result = await manager.setWorkspacePath(9232, '/worktrees/app/t1');
+      expect(result).toEqual({ port: 9232, workspacePath: '/worktrees/app/t1', previousWorkspacePath: null });
+      expect(mockStarterFactory.openWorkspace).toHaveBeenCalledWith('vscode', 9232, '/worktrees/app/t1', { userDataDir: '/data/vscode-data-9232' });
+
+      expect((await manager.setWorkspacePath(9232, null)).workspacePath).toBe('/projects/app');
+      expect(mockStarterFactory.openWorkspace).toHaveBeenLastCalledWith('vscode', 9232, '/projects/app', { userDataDir: '/data/vscode-data-9232' });
+    });
+
+    it('should leave the workspace unchanged when the IDE cannot open the folder', async () => {
+      await expect(manager.setWorkspacePath(9232, '/worktrees/app/t1')).rejects.toThrow('IDE on port 9232 was not started by PIDEA');
+      expect(manager.getWorkspacePath(9232)).toBe('/projects/app');
+      expect(manager.workspaceOverrides.has(9232)).toBe(false);
+      expect(mockStarterFactory.openWorkspace).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkSelectorHealth', () => {
+    const report = (healedWith) => ({
+      ideType: 'cursor',
+      version: '9.9.9',
+      baseVersion: '1.5.7',
+      healthy: false,
+      selectors: [{ path: 'chatSelectors.input', status: 'healed', healedWith }],
+      healedSelectors: { 'chatSelectors.input': healedWith }
+    });
+
+    beforeEach(() => {
+      manager.ideTypes.set(9222, 'cursor');
+      manager.browserManager = {
+        detectIDEVersion: jest.fn().mockResolvedValue('9.9.9'),
+        getPageForPort: jest.fn().mockResolvedValue({}),
+        setHealedSelectors: jest.fn()
+      };
+      manager.versionManager = {
+        probeSelectorHealth: jest.fn().mockResolvedValue(report('.healed-input')),
+        proposeSelectorUpdate: jest.fn().mockResolvedValue({ path: 'proposals/9.9.9.json' })
+      };
+    });
+
+    it('should heal selectors on top of the base version and propose a drift only once', async () => {
+      await manager.checkSelectorHealth(9222);
+      const second = await manager.checkSelectorHealth(9222);
+
+      expect(manager.browserManager.setHealedSelectors).toHaveBeenCalledWith('cursor', '9.9.9', { 'chatSelectors.input': '.healed-input' }, '1.5.7');
+      expect(manager.versionManager.proposeSelectorUpdate).toHaveBeenCalledTimes(1);
+      expect(second.proposal).toEqual({ path: 'proposals/9.9.9.json' });
+
+      manager.versionManager.probeSelectorHealth.mockResolvedValue(report('.other-input'));
+      await manager.checkSelectorHealth(9222);
+      expect(manager.versionManager.proposeSelectorUpdate).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe('cleanup', () => {
     it('should perform cleanup operations', async () => {
       await manager.cleanup();
@@ -1,3 +1,6 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const IDEStarterFactory = require('@external/ide/IDEStarterFactory');
 const CursorStarter = require('@external/ide/starters/CursorStarter');
 const VSCodeStarter = require('@external/ide/starters/VSCodeStarter');
@@ -263,6 +266,43 @@ describe('IDEStarterFactory', () => {
     });
   });
 
+  describe('openWorkspace', () => {
+    let dir;
+    let cli;
+
+    // Stands in for the IDE command line tool and records its arguments
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pidea-starter-'));
+      cli = path.join(dir, 'ide-cli');
+      fs.writeFileSync(cli, `#!/bin/sh\nprintf '%s\\n' "$@" > "${path.join(dir, 'args')}"\n`, { mode: 0o755 });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const recordedArgs = () => fs.readFileSync(path.join(dir, 'args'), 'utf8').trim().split('\n');
+
+    it.each([
+      ['cursor', 9222, starter => { starter.config.cli = cli; }],
+      ['vscode', 9232, starter => { starter.findVSCodeExecutable = () => cli; }],
+      ['windsurf', 9242, starter => { starter.findWindsurfExecutable = () => cli; }]
+    ])('should open the folder in the running %s instance of the user data directory', async (type, port, useCli) => {
+      useCli(factory.createStarter(type));
+
+      const result = await factory.openWorkspace(type, port, '/worktrees/app/t1', { userDataDir: `/data/${type}-data-${port}` });
+
+      expect(result).toEqual({ port, workspacePath: '/worktrees/app/t1', userDataDir: `/data/${type}-data-${port}` });
+      expect(recordedArgs()).toEqual([`--user-data-dir=/data/${type}-data-${port}`, '--reuse-window', '/worktrees/app/t1']);
+    });
+
+    it('should reject IDE types that cannot open folders in a running instance', async () => {
+      factory.starters.set('cursor', { startIDE: jest.fn(), stopIDE: jest.fn() });
+
+      await expect(factory.openWorkspace('cursor', 9222, '/worktrees/app/t1')).rejects.toThrow('cursor IDEs cannot open a workspace in a running instance');
+    });
+  });
+
   describe('stopAllIDEs', () => {
     it('should stop all running IDEs', async () => {
       const mockProcess1 = { pid: 12345 };
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for EventBus persistent event log, replay and consumer cursors
+ */
+const EventBus = require('@infrastructure/messaging/EventBus');
+
+const createEventLog = () => {
+  const events = [];
+  const cursors = new Map();
+  return {
+    events,
+    append: jest.fn(async (eventName, payload) => {
+      const event = { offset: events.length + 1, eventName, payload, createdAt: new Date().toISOString() };
+      events.push(event);
+      return event;
+    }),
+    findAfterOffset: jest.fn(async (offset, options = {}) => events
+      .filter(event => event.offset > offset)
+      .filter(event => !options.eventNames || options.eventNames.includes(event.eventName))
+      .slice(0, options.limit || 100)),
+    getLatestOffset: jest.fn(async () => events.length),
+    getCursor: jest.fn(async (consumerId) => cursors.get(consumerId) || 0),
+    saveCursor: jest.fn(async (consumerId, offset) => cursors.set(consumerId, offset))
+  };
+};
+
+describe('EventBus', () => {
+  it('keeps working in-process without an event log', async () => {
+    const eventBus = new EventBus();
+    const handler = jest.fn();
+    const listener = jest.fn();
+    eventBus.subscribe('task:status:change', handler);
+    eventBus.subscribeAll(listener);
+
+    const first = await eventBus.publish('task:status:change', { taskId: 't1' });
+    const second = await eventBus.emit('queue:item:added', { id: 'q1' });
+
+    expect(handler).toHaveBeenCalledWith({ taskId: 't1' });
+    expect(listener.mock.calls.map(call => call[0].eventName)).toEqual(['task:status:change', 'queue:item:added']);
+    expect([first.offset, second.offset]).toEqual([1, 2]);
+    expect(first.persisted).toBe(false);
+    expect(eventBus.isPersistent()).toBe(false);
+    await expect(eventBus.getEvents(0)).rejects.toThrow('not enabled');
+  });
+
+  it('persists events with increasing offsets and replays them', async () => {
+    const eventLog = createEventLog();
+    const eventBus = new EventBus({ eventLog });
+
+    await eventBus.publish('task:status:change', { taskId: 't1', toStatus: 'completed' });
+    await eventBus.publish('queue:item:added', { id: 'q1' });
+    await eventBus.publish('task:status:change', { taskId: 't2', toStatus: 'failed' });
+
+    const replayed = [];
+    const lastOffset = await eventBus.replay(1, async (event) => replayed.push(event), { batchSize: 1 });
+
+    expect(replayed.map(event => event.offset)).toEqual([2, 3]);
+    expect(replayed[1].data).toEqual({ taskId: 't2', toStatus: 'failed' });
+    expect(lastOffset).toBe(3);
+    expect((await eventBus.getEvents(0, { eventNames: ['queue:item:added'] })).map(e => e.offset)).toEqual([2]);
+    expect(await eventBus.getLatestOffset()).toBe(3);
+  });
+
+  it('serializes circular data and falls back to in-memory offsets when persisting fails', async () => {
+    const eventLog = createEventLog();
+    const eventBus = new EventBus({ eventLog });
+    const data = { name: 'loop', run: () => {} };
+    data.self = data;
+
+    await eventBus.publish('workflow:step:failed', data);
+    expect(JSON.parse(eventLog.events[0].payload)).toEqual({ name: 'loop', self: '[Circular]' });
+
+    eventLog.append.mockRejectedValueOnce(new Error('database down'));
+    const handler = jest.fn();
+    eventBus.subscribe('workflow:step:failed', handler);
+    const record = await eventBus.publish('workflow:step:failed', { step: 'test-run' });
+
+    expect(handler).toHaveBeenCalled();
+    expect(record).toMatchObject({ offset: 2, persisted: false });
+  });
+
+  it('streams overlapping publishes in offset order before their handlers finish', async () => {
+    const eventLog = createEventLog();
+    const eventBus = new EventBus({ eventLog });
+    // The first append is slower than the second one
+    const append = eventLog.append.getMockImplementation();
+    eventLog.append.mockImplementationOnce(async (...args) => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return append(...args);
+    });
+    let releaseHandler;
+    eventBus.subscribe('task:status:change', () => new Promise(resolve => { releaseHandler = resolve; }));
+    const streamed = [];
+    eventBus.subscribeAll(event => streamed.push(event.offset));
+
+    const first = eventBus.publish('task:status:change', { taskId: 't1' });
+    const second = eventBus.publish('queue:item:added', { id: 'q1' });
+    await second;
+
+    expect(streamed).toEqual([1, 2]);
+    releaseHandler();
+    expect((await first).offset).toBe(1);
+  });
+
+  it('consumes events from a cursor and stops at failing handlers', async () => {
+    const eventLog = createEventLog();
+    const eventBus = new EventBus({ eventLog });
+    for (let i = 1; i <= 4; i++) {
+      await eventBus.publish('analysis:completed', { run: i });
+    }
+
+    const seen = [];
+    const failing = await eventBus.consume('webhooks', async (event) => {
+      if (event.data.run === 3) throw new Error('endpoint unavailable');
+      seen.push(event.data.run);
+    });
+
+    expect(failing).toMatchObject({ offset: 2, processed: 2, error: 'endpoint unavailable' });
+    expect(await eventBus.getCursor('webhooks')).toBe(2);
+
+    const retry = await eventBus.consume('webhooks', async (event) => seen.push(event.data.run));
+
+    expect(retry).toMatchObject({ offset: 4, processed: 2, error: null });
+    expect(seen).toEqual([1, 2, 3, 4]);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for EventStreamController (SSE stream, event pages, cursors)
+ */
+const EventEmitter = require('events');
+const EventBus = require('@infrastructure/messaging/EventBus');
+const EventStreamController = require('@presentation/api/EventStreamController');
+
+const createEventLog = () => {
+  const events = [];
+  const cursors = new Map();
+  return {
+    append: async (eventName, payload) => {
+      const event = { offset: events.length + 1, eventName, payload, createdAt: '2026-10-19T12:00:00.000Z' };
+      events.push(event);
+      return event;
+    },
+    findAfterOffset: async (offset, options = {}) => events
+      .filter(event => event.offset > offset)
+      .filter(event => !options.eventNames || options.eventNames.includes(event.eventName))
+      .slice(0, options.limit || 100),
+    getLatestOffset: async () => events.length,
+    getCursor: async (consumerId) => cursors.get(consumerId) || 0,
+    saveCursor: async (consumerId, offset) => cursors.set(consumerId, offset)
+  };
+};
+
+const createRequest = ({ query = {}, headers = {}, params = {}, body = {} } = {}) => {
+  const req = new EventEmitter();
+  Object.assign(req, { query, params, body, get: (name) => headers[name] });
+  return req;
+};
+
+const createResponse = () => {
+  const res = {
+    chunks: [],
+    status: jest.fn(() => res),
+    set: jest.fn(() => res),
+    json: jest.fn(() => res),
+    write: jest.fn((chunk) => res.chunks.push(chunk))
+  };
+  return res;
+};
+
+const streamedOffsets = (res) => res.chunks
+  .filter(chunk => chunk.startsWith('id: '))
+  .map(chunk => JSON.parse(chunk.split('data: ')[1]).offset);
+
+describe('EventStreamController', () => {
+  let eventBus;
+  let controller;
+
+  beforeEach(() => {
+    eventBus = new EventBus({ eventLog: createEventLog() });
+    controller = new EventStreamController({ eventBus });
+  });
+
+  it('replays from an offset and then streams live events', async () => {
+    await eventBus.publish('task:status:change', { taskId: 't1' });
+    await eventBus.publish('queue:item:added', { id: 'q1' });
+    await eventBus.publish('task:status:change', { taskId: 't2' });
+    const req = createRequest({ query: { since: '1', events: 'task:status:change' } });
+    const res = createResponse();
+
+    await controller.stream(req, res);
+    await eventBus.publish('task:status:change', { taskId: 't3' });
+    await eventBus.publish('queue:item:added', { id: 'q2' });
+    req.emit('close');
+    await eventBus.publish('task:status:change', { taskId: 't4' });
+
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+    expect(streamedOffsets(res)).toEqual([3, 4]);
+    expect(eventBus.streamListeners.size).toBe(0);
+  });
+
+  it('resumes from Last-Event-ID', async () => {
+    await eventBus.publish('a', {});
+    await eventBus.publish('b', {});
+    const res = createResponse();
+
+    const req = createRequest({ headers: { 'Last-Event-ID': '1' } });
+
+    await controller.stream(req, res);
+    req.emit('close');
+
+    expect(streamedOffsets(res)).toEqual([2]);
+  });
+
+  it('rejects replay when the event log is not persistent', async () => {
+    controller = new EventStreamController({ eventBus: new EventBus() });
+    const res = createResponse();
+
+    await controller.stream(createRequest({ query: { since: '0' } }), res);
+    await controller.getEvents(createRequest(), res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  it('pages events and stores consumer cursors', async () => {
+    await eventBus.publish('a', { n: 1 });
+    await eventBus.publish('b', { n: 2 });
+    const res = createResponse();
+
+    await controller.getEvents(createRequest({ query: { after: '0', limit: '1' } }), res);
+    expect(res.json.mock.calls[0][0].data).toMatchObject({ nextOffset: 1, latestOffset: 2 });
+
+    await controller.commitCursor(createRequest({ params: { consumerId: 'dash' }, body: { offset: 1 } }), res);
+    await controller.getCursor(createRequest({ params: { consumerId: 'dash' } }), res);
+    expect(res.json.mock.calls[2][0].data).toEqual({ consumerId: 'dash', offset: 1 });
+
+    await controller.commitCursor(createRequest({ params: { consumerId: 'dash' }, body: { offset: -1 } }), res);
+    expect(res.status).toHaveBeenLastCalledWith(400);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Unit tests for control-flow nodes (if, retry-until, parallel, named outputs)
+ * in SequentialExecutionEngine.executeSteps
+ */
+const SequentialExecutionEngine = require('@workflows/execution/SequentialExecutionEngine');
+
+describe('SequentialExecutionEngine control flow', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new SequentialExecutionEngine();
+  });
+
+  const names = (runStep) => runStep.mock.calls.map(call => call[0].name);
+
+  it('skips steps whose condition is false and evaluates against previousStep', async () => {
+    const runStep = jest.fn(async (step) => ({ success: true, data: { aiResponse: step.name === 'send' ? null : 'ok' } }));
+    const workflow = {
+      name: 'Conditions',
+      steps: [
+        { name: 'send', step: 'SendStep' },
+        { name: 'confirm', step: 'ConfirmStep', condition: 'previousStep.success && previousStep.data.aiResponse' },
+        { name: 'report', step: 'ReportStep', condition: true }
+      ]
+    };
+
+    const result = await engine.executeSteps(workflow, runStep);
+
+    expect(result.isSuccess()).toBe(true);
+    expect(names(runStep)).toEqual(['send', 'report']);
+    expect(result.stepResults.map(r => r.skipped)).toEqual([false, true, false]);
+  });
+
+  it('runs the matching if/else branch using named outputs', async () => {
+    const runStep = jest.fn(async (step) => (
+      step.name === 'validate' ? { success: true, data: { successRate: 60 } } : { success: true }
+    ));
+    const workflow = {
+      name: 'Branching',
+      steps: [
+        { name: 'validate', step: 'TestValidationStep', output: 'validation' },
+        { name: 'noop', step: 'NoopStep' },
+        {
+          name: 'apply',
+          control: 'if',
+          condition: 'outputs.validation.data.successRate >= 80',
+          then: [{ name: 'commit', step: 'GitCommitStep' }],
+          else: [{ name: 'discard', step: 'GitDiscardStep' }]
+        }
+      ]
+    };
+
+    const result = await engine.executeSteps(workflow, runStep);
+
+    expect(result.isSuccess()).toBe(true);
+    expect(names(runStep)).toEqual(['validate', 'noop', 'discard']);
+    expect(result.stepResults[2].data).toEqual({
+      branch: 'else',
+      steps: [{ name: 'discard', success: true, skipped: false, error: null }]
+    });
+  });
+
+  it('repeats a retry-until body until the expression holds', async () => {
+    let runs = 0;
+    const runStep = jest.fn(async (step) => {
+      if (step.name === 'run-tests') {
+        runs++;
+        return { success: runs >= 2, data: { passed: runs >= 2 } };
+      }
+      return { success: true };
+    });
+    const workflow = {
+      name: 'Loop',
+      steps: [{
+        name: 'fix-until-green',
+        control: 'retry-until',
+        until: 'outputs.tests.data.passed',
+        maxAttempts: 3,
+        steps: [
+          { name: 'prompt-ide', step: 'IDESendMessageStep', condition: 'attempt === 1 || !outputs.tests.success' },
+          { name: 'run-tests', step: 'ProjectTestStep', strict: false, output: 'tests' }
+        ]
+      }]
+    };
+
+    const result = await engine.executeSteps(workflow, runStep);
+
+    expect(result.isSuccess()).toBe(true);
+    expect(names(runStep)).toEqual(['prompt-ide', 'run-tests', 'prompt-ide', 'run-tests']);
+    expect(result.stepResults[0].data.attempts).toBe(2);
+  });
+
+  it('fails a retry-until node after maxAttempts', async () => {
+    const runStep = jest.fn(async () => ({ success: false, error: 'tests failed' }));
+    const workflow = {
+      name: 'Loop',
+      steps: [
+        { name: 'loop', control: 'retry-until', until: 'previousStep.success', maxAttempts: 2, steps: [{ name: 'run-tests', step: 'ProjectTestStep' }] },
+        { name: 'after', step: 'NeverStep' }
+      ]
+    };
+
+    const result = await engine.executeSteps(workflow, runStep);
+
+    expect(result.isSuccess()).toBe(false);
+    expect(result.error).toBe('Condition "previousStep.success" not met after 2 attempts');
+    expect(names(runStep)).toEqual(['run-tests', 'run-tests']);
+  });
+
+  it('runs parallel groups concurrently and fails only on strict children', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const runStep = jest.fn(async (step) => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setImmediate(resolve));
+      active--;
+      return { success: step.name !== 'lint', error: step.name === 'lint' ? 'lint errors' : undefined };
+    });
+    const workflow = {
+      name: 'Parallel',
+      steps: [
+        {
+          name: 'checks',
+          control: 'parallel',
+          output: 'checks',
+          steps: [
+            { name: 'security', step: 'SecurityStep' },
+            { name: 'lint', step: 'LintStep', strict: false },
+            { name: 'tests', step: 'ProjectTestStep' }
+          ]
+        },
+        { name: 'strict-group', control: 'parallel', steps: [{ name: 'lint', step: 'LintStep' }] }
+      ]
+    };
+
+    const result = await engine.executeSteps(workflow, runStep);
+
+    expect(maxActive).toBe(3);
+    expect(result.stepResults[0].success).toBe(true);
+    expect(result.stepResults[1]).toMatchObject({ success: false, error: 'Parallel steps failed: lint' });
+    expect(result.data.context.metadata.outputs.checks.data.steps.map(s => s.success)).toEqual([true, false, true]);
+  });
+
+  it('fails the node when a condition cannot be evaluated', async () => {
+    const runStep = jest.fn(async () => ({ success: true }));
+    const workflow = { name: 'Broken', steps: [{ name: 'bad', step: 'Step', condition: 'previousStep.success &&' }] };
+
+    const result = await engine.executeSteps(workflow, runStep);
+
+    expect(result.isSuccess()).toBe(false);
+    expect(result.error).toContain('Unexpected end of expression');
+    expect(runStep).not.toHaveBeenCalled();
+  });
+
+  it('restores named outputs when resuming from a checkpoint', async () => {
+    const saved = [];
+    const checkpointStore = {
+      saveCheckpoint: jest.fn(async (checkpoint) => saved.push(JSON.parse(JSON.stringify(checkpoint)))),
+      getCheckpoints: jest.fn(async () => saved)
+    };
+    engine = new SequentialExecutionEngine({ checkpointStore });
+    let failDeploy = true;
+    const runStep = jest.fn(async (step) => {
+      if (step.name === 'deploy' && failDeploy) return { success: false, error: 'deploy failed' };
+      return { success: true, data: { version: '1.2.0' } };
+    });
+    const workflow = {
+      name: 'Resume',
+      steps: [
+        { name: 'build', step: 'BuildStep', output: 'build' },
+        { name: 'deploy', step: 'DeployStep', condition: "outputs.build.data.version === '1.2.0'" }
+      ]
+    };
+
+    await engine.executeSteps(workflow, runStep, { executionId: 'exec-cf' });
+    failDeploy = false;
+    runStep.mockClear();
+    const result = await engine.resume('exec-cf', runStep);
+
+    expect(result.isSuccess()).toBe(true);
+    expect(names(runStep)).toEqual(['deploy']);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for SequentialExecutionEngine checkpointing and resume
+ */
+const SequentialExecutionEngine = require('@workflows/execution/SequentialExecutionEngine');
+const ExecutionCheckpoint = require('@workflows/execution/ExecutionCheckpoint');
+
+describe('SequentialExecutionEngine checkpointing', () => {
+  let checkpointStore;
+  let engine;
+  let workflow;
+
+  beforeEach(() => {
+    const saved = [];
+    checkpointStore = {
+      saved,
+      saveCheckpoint: jest.fn(async (checkpoint) => {
+        saved.push(checkpoint);
+        return checkpoint;
+      }),
+      getCheckpoints: jest.fn(async (executionId) => saved.filter(c => c.executionId === executionId))
+    };
+    engine = new SequentialExecutionEngine({ checkpointStore });
+    workflow = {
+      name: 'Test Workflow',
+      steps: [
+        { name: 'create-branch', strict: false },
+        { name: 'send-to-ide', strict: true },
+        { name: 'test-run', strict: true },
+        { name: 'update-status' }
+      ]
+    };
+  });
+
+  it('checkpoints every finished step', async () => {
+    const runStep = jest.fn(async (step) => ({ success: true, data: { step: step.name } }));
+
+    const result = await engine.executeSteps(workflow, runStep, {
+      executionId: 'exec-1',
+      data: { projectId: 'p1' }
+    });
+
+    expect(result.isSuccess()).toBe(true);
+    expect(runStep).toHaveBeenCalledTimes(4);
+    expect(checkpointStore.saved.map(c => c.stepIndex)).toEqual([0, 1, 2, 3]);
+    expect(checkpointStore.saved[3].context.metadata.workflow.steps).toHaveLength(4);
+    expect(checkpointStore.saved[3].context.data).toEqual({ projectId: 'p1' });
+  });
+
+  it('stops on strict failures and continues on non-strict ones', async () => {
+    const runStep = jest.fn(async (step) => {
+      if (step.name === 'create-branch') return { success: false, error: 'branch exists' };
+      if (step.name === 'test-run') throw new Error('tests failed');
+      return { success: true };
+    });
+
+    const result = await engine.executeSteps(workflow, runStep, { executionId: 'exec-2' });
+
+    expect(result.isSuccess()).toBe(false);
+    expect(result.error).toBe('tests failed');
+    expect(runStep).toHaveBeenCalledTimes(3);
+    expect(checkpointStore.saved.map(c => c.status)).toEqual(['failed', 'completed', 'failed']);
+  });
+
+  it('resumes from the failed step with the restored context', async () => {
+    let failTests = true;
+    const runStep = jest.fn(async (step) => {
+      if (step.name === 'test-run' && failTests) return { success: false, error: 'tests failed' };
+      return { success: true, data: { step: step.name } };
+    });
+
+    await engine.executeSteps(workflow, runStep, { executionId: 'exec-3', data: { projectId: 'p1' } });
+    failTests = false;
+    runStep.mockClear();
+
+    const resumePoint = await engine.getResumePoint('exec-3');
+    expect(resumePoint.startIndex).toBe(2);
+    expect(resumePoint.context.data).toEqual({ projectId: 'p1' });
+    expect(resumePoint.context.results.map(r => r.stepName)).toEqual(['create-branch', 'send-to-ide']);
+
+    const result = await engine.resume('exec-3', runStep);
+
+    expect(result.isSuccess()).toBe(true);
+    expect(runStep.mock.calls.map(call => call[0].name)).toEqual(['test-run', 'update-status']);
+    expect(result.stepResults.map(r => r.stepName)).toEqual(['test-run', 'update-status']);
+  });
+
+  it('retries from a chosen step by name or index', async () => {
+    const runStep = jest.fn(async () => ({ success: true }));
+    await engine.executeSteps(workflow, runStep, { executionId: 'exec-4' });
+
+    expect((await engine.getResumePoint('exec-4', { fromStep: 'send-to-ide' })).startIndex).toBe(1);
+    expect((await engine.getResumePoint('exec-4', { fromStep: '0' })).startIndex).toBe(0);
+    await expect(engine.getResumePoint('exec-4')).rejects.toThrow('already completed');
+    await expect(engine.getResumePoint('exec-4', { fromStep: 'unknown' })).rejects.toThrow('Unknown step');
+  });
+
+  it('does not allow skipping steps that never ran', async () => {
+    const runStep = jest.fn(async (step) => ({ success: step.name !== 'send-to-ide' }));
+    await engine.executeSteps(workflow, runStep, { executionId: 'exec-5' });
+
+    await expect(engine.getResumePoint('exec-5', { fromStep: 'update-status' }))
+      .rejects.toThrow('previous steps have not completed');
+  });
+
+  it('keeps executing when a checkpoint cannot be saved', async () => {
+    checkpointStore.saveCheckpoint.mockRejectedValue(new Error('database down'));
+    const runStep = jest.fn(async () => ({ success: true }));
+
+    const result = await engine.executeSteps(workflow, runStep, { executionId: 'exec-6' });
+
+    expect(result.isSuccess()).toBe(true);
+    expect(runStep).toHaveBeenCalledTimes(4);
+  });
+
+  it('round-trips checkpoints through JSON', () => {
+    const checkpoint = new ExecutionCheckpoint({
+      executionId: 'exec-7',
+      stepIndex: 1,
+      stepName: 'send-to-ide',
+      result: { success: true, data: { aiResponse: 'done' } },
+      context: { data: { projectId: 'p1' }, metadata: {} }
+    });
+
+    const restored = ExecutionCheckpoint.fromJSON(JSON.parse(JSON.stringify(checkpoint.toJSON())));
+
+    expect(restored.executionId).toBe('exec-7');
+    expect(restored.isCompleted()).toBe(true);
+    expect(restored.result.data).toEqual({ aiResponse: 'done' });
+    expect(restored.context.data).toEqual({ projectId: 'p1' });
+  });
+});
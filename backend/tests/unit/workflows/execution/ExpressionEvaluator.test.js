@@ -0,0 +1,59 @@
+/**
+ * Unit tests for the workflow ExpressionEvaluator
+ */
+const ExpressionEvaluator = require('@workflows/execution/ExpressionEvaluator');
+
+describe('ExpressionEvaluator', () => {
+  let evaluator;
+  const scope = {
+    previousStep: { success: true, data: { aiResponse: 'done', tasks: [1, 2] } },
+    outputs: { tests: { success: false, data: { result: { successRate: 75 } } } },
+    attempt: 2
+  };
+
+  beforeEach(() => {
+    evaluator = new ExpressionEvaluator();
+  });
+
+  it('evaluates property access and logical operators', () => {
+    expect(evaluator.evaluateCondition('previousStep.success && previousStep.data.aiResponse', scope)).toBe(true);
+    expect(evaluator.evaluate('previousStep.data.tasks.length > 0', scope)).toBe(true);
+    expect(evaluator.evaluate('outputs.tests.success || attempt >= 3', scope)).toBe(false);
+    expect(evaluator.evaluate('!outputs.tests.success', scope)).toBe(true);
+  });
+
+  it('supports comparison, arithmetic, literals and grouping', () => {
+    expect(evaluator.evaluate('outputs.tests.data.result.successRate >= 80', scope)).toBe(false);
+    expect(evaluator.evaluate('(attempt + 1) * 2 % 5', scope)).toBe(1);
+    expect(evaluator.evaluate("outputs['tests'].success == false", scope)).toBe(true);
+    expect(evaluator.evaluate('"a\\"b" !== null', scope)).toBe(true);
+    expect(evaluator.evaluate('-attempt', scope)).toBe(-2);
+  });
+
+  it('resolves missing properties to undefined instead of throwing', () => {
+    expect(evaluator.evaluate('previousStep.data.missing.deeper.length', scope)).toBeUndefined();
+    expect(evaluator.evaluateCondition('unknown.value > 0', scope)).toBe(false);
+    expect(evaluator.evaluate('previousStep?.data?.aiResponse', scope)).toBe('done');
+  });
+
+  it('never exposes prototypes or functions', () => {
+    expect(() => evaluator.evaluate('previousStep.constructor', scope)).toThrow('not allowed');
+    expect(() => evaluator.evaluate("outputs['__proto__']", scope)).toThrow('not allowed');
+    expect(evaluator.evaluate('previousStep.hasOwnProperty', scope)).toBeUndefined();
+    expect(evaluator.evaluate('fn', { fn: () => 'called' })).toBeUndefined();
+    expect(() => evaluator.evaluate('previousStep.toString()', scope)).toThrow('Unexpected token "("');
+  });
+
+  it('rejects operators on objects and malformed expressions', () => {
+    expect(() => evaluator.evaluate('previousStep > 1', scope)).toThrow('cannot be applied to an object');
+    expect(evaluator.validate('previousStep.success &&').valid).toBe(false);
+    expect(evaluator.validate('a = 1').error).toContain('Unexpected character "="');
+    expect(evaluator.validate("'unterminated").error).toContain('Unterminated string');
+    expect(evaluator.validate('').valid).toBe(false);
+  });
+
+  it('collects static variable references', () => {
+    expect(evaluator.getReferences("outputs.tests.success && !previousStep.error || outputs[name]"))
+      .toEqual([['outputs', 'tests', 'success'], ['previousStep', 'error'], ['outputs'], ['name']]);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for WorkflowValidator JSON workflow definition validation
+ */
+const WorkflowValidator = require('@domain/workflows/validation/WorkflowValidator');
+
+describe('WorkflowValidator.validateWorkflowDefinition', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new WorkflowValidator();
+  });
+
+  const codes = () => validator.getErrors().map(error => `${error.field}:${error.code}`);
+
+  it('accepts control-flow nodes with valid expressions and outputs', () => {
+    const valid = validator.validateWorkflowDefinition({
+      name: 'Valid',
+      steps: [
+        { name: 'send', step: 'ide_send_message_step', output: 'ideResponse' },
+        {
+          name: 'loop',
+          control: 'retry-until',
+          until: 'outputs.tests.success',
+          maxAttempts: 3,
+          steps: [{ name: 'tests', step: 'ProjectTestStep', output: 'tests', condition: 'attempt > 1 || outputs.ideResponse.success' }]
+        },
+        {
+          name: 'branch',
+          control: 'if',
+          condition: 'outputs.tests.success',
+          then: [{ name: 'commit', step: 'GitCommitStep' }],
+          else: [{ name: 'discard', step: 'GitDiscardStep' }]
+        },
+        { name: 'checks', control: 'parallel', steps: [{ name: 'lint', type: 'lint' }, { name: 'audit', type: 'audit' }] }
+      ]
+    });
+
+    expect(valid).toBe(true);
+    expect(validator.getWarnings()).toEqual([]);
+  });
+
+  it('reports malformed nodes', () => {
+    validator.validateWorkflowDefinition({
+      name: 'Invalid',
+      steps: [
+        { name: 'plain' },
+        { name: 'branch', control: 'if', then: [] },
+        { name: 'loop', control: 'retry-until', steps: [{ name: 'x', step: 'X' }], maxAttempts: 0 },
+        { name: 'fan-out', control: 'parallel' },
+        { name: 'other', control: 'switch' },
+        { name: 'named', step: 'X', output: 'not valid' }
+      ]
+    });
+
+    expect(codes()).toEqual([
+      'steps[0].step:FIELD_REQUIRED',
+      'steps[1].condition:FIELD_REQUIRED',
+      'steps[1].then:FIELD_REQUIRED',
+      'steps[2].until:FIELD_REQUIRED',
+      'steps[2].maxAttempts:RANGE_VIOLATION',
+      'steps[3].steps:FIELD_REQUIRED',
+      'steps[4].control:ENUM_VIOLATION',
+      'steps[5].output:PATTERN_MISMATCH'
+    ]);
+  });
+
+  it('checks expressions and output references', () => {
+    validator.validateWorkflowDefinition({
+      name: 'References',
+      steps: [
+        { name: 'early', step: 'X', condition: 'outputs.later.success' },
+        { name: 'bad-syntax', step: 'X', condition: 'previousStep.success &&' },
+        { name: 'later', step: 'X', output: 'later' },
+        {
+          name: 'fan-out',
+          control: 'parallel',
+          steps: [
+            { name: 'a', step: 'X', output: 'a' },
+            { name: 'b', step: 'X', condition: 'outputs.a.success' }
+          ]
+        },
+        { name: 'after', step: 'X', condition: 'outputs.a.success && attempt > 1 && task.id' }
+      ]
+    });
+
+    expect(codes()).toEqual([
+      'steps[0].condition:UNKNOWN_OUTPUT',
+      'steps[1].condition:INVALID_EXPRESSION',
+      'steps[3].steps[1].condition:UNKNOWN_OUTPUT'
+    ]);
+    expect(validator.getWarnings().map(warning => warning.message)).toEqual([
+      "'attempt' is only defined inside retry-until steps",
+      "Expression references unknown variable 'task'"
+    ]);
+  });
+
+  it('allows workflows that extend another workflow without steps', () => {
+    expect(validator.validateWorkflowDefinition({ name: 'Quick', extends: 'auto-test-fix-workflow' })).toBe(true);
+    expect(validator.validateWorkflowDefinition({ steps: 'nope' })).toBe(false);
+  });
+});
@@ -0,0 +1,18 @@
+-- Migration: 004_add_workflow_checkpoints
+-- Description: Adds workflow_checkpoints table for resumable workflow executions
+-- Created: 2026-10-19T09:00:00.000Z
+-- Status: Pending
+
+-- Workflow Checkpoints Table (one row per finished workflow step)
+CREATE TABLE IF NOT EXISTS workflow_checkpoints (
+  id TEXT PRIMARY KEY,
+  execution_id TEXT NOT NULL,
+  step_index INTEGER NOT NULL,
+  step_name TEXT,
+  status TEXT NOT NULL, -- 'completed' or 'failed'
+  result JSONB, -- JSON for the serialized ExecutionResult
+  context JSONB, -- JSON for the serialized ExecutionContext
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_workflow_checkpoints_execution_id ON workflow_checkpoints (execution_id);
@@ -0,0 +1,22 @@
+-- Migration: 005_add_event_log
+-- Description: Adds event_log and event_consumer_cursors tables for the persistent EventBus
+-- Created: 2026-10-19T12:00:00.000Z
+-- Status: Pending
+
+-- Event Log Table (append-only, offsets increase monotonically)
+CREATE TABLE IF NOT EXISTS event_log (
+  event_offset BIGSERIAL PRIMARY KEY,
+  event_name TEXT NOT NULL,
+  payload TEXT, -- JSON for the event data
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_log_event_name ON event_log (event_name);
+CREATE INDEX IF NOT EXISTS idx_event_log_created_at ON event_log (created_at);
+
+-- Consumer Cursors Table (last processed offset per consumer)
+CREATE TABLE IF NOT EXISTS event_consumer_cursors (
+  consumer_id TEXT PRIMARY KEY,
+  event_offset INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
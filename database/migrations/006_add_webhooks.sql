@@ -0,0 +1,42 @@
+-- Migration: 006_add_webhooks
+-- Description: Adds webhooks and webhook_deliveries tables for outgoing project webhooks
+-- Created: 2026-10-19T12:00:00.000Z
+-- Status: Pending
+
+-- Webhooks Table (endpoints registered per project)
+CREATE TABLE IF NOT EXISTS webhooks (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  secret TEXT NOT NULL, -- HMAC-SHA256 signing secret
+  events TEXT NOT NULL, -- JSON array of subscribed event names ('*' for all)
+  description TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhooks_project_id ON webhooks (project_id);
+
+-- Webhook Deliveries Table (one row per delivery, updated on every attempt)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id TEXT PRIMARY KEY,
+  webhook_id TEXT NOT NULL,
+  project_id TEXT NOT NULL,
+  event_name TEXT NOT NULL,
+  payload TEXT NOT NULL, -- JSON body as sent
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, retrying, succeeded, failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  response_body TEXT,
+  error_message TEXT,
+  duration_ms INTEGER,
+  next_attempt_at TIMESTAMP,
+  redelivery_of TEXT, -- delivery this one was resent from
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries (status);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created_at ON webhook_deliveries (created_at);
@@ -0,0 +1,30 @@
+-- Migration: 007_add_schedules
+-- Description: Adds schedules table for recurring cron schedules that enqueue workflows into the project queue
+-- Created: 2026-10-19T12:00:00.000Z
+-- Status: Pending
+
+-- Schedules Table (recurring project schedules)
+CREATE TABLE IF NOT EXISTS schedules (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  cron_expression TEXT NOT NULL, -- five-field cron expression or macro (@daily, @weekly, ...)
+  timezone TEXT NOT NULL DEFAULT 'UTC', -- IANA timezone the expression is evaluated in
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  missed_run_policy TEXT NOT NULL DEFAULT 'run_once', -- 'skip', 'run_once' or 'run_all'
+  workflow TEXT NOT NULL, -- JSON workflow enqueued into the project queue
+  context TEXT, -- JSON queue item context
+  options TEXT, -- JSON queue item options
+  created_by TEXT,
+  next_run_at TIMESTAMP,
+  last_run_at TIMESTAMP,
+  last_run_status TEXT, -- 'queued', 'failed' or 'skipped'
+  last_queue_item_id TEXT,
+  last_error TEXT,
+  run_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedules_project_id ON schedules (project_id);
+CREATE INDEX IF NOT EXISTS idx_schedules_next_run_at ON schedules (enabled, next_run_at);
@@ -0,0 +1,44 @@
+-- Migration: 008_add_ai_usage
+-- Description: Adds ai_usage_records and ai_usage_budgets tables for token and cost accounting of AI interactions
+-- Created: 2026-10-19T12:00:00.000Z
+-- Status: Pending
+
+-- AI Usage Records Table (one row per prompt/response pair)
+CREATE TABLE IF NOT EXISTS ai_usage_records (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  task_id TEXT,
+  workflow_step TEXT, -- step that sent the prompt (e.g. 'ide_send_message_step')
+  source TEXT NOT NULL, -- 'ai_service', 'ai_integration_manager' or the name of the IDE step
+  model TEXT NOT NULL,
+  ide_type TEXT,
+  prompt TEXT,
+  response TEXT,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  total_tokens INTEGER NOT NULL DEFAULT 0,
+  estimated_tokens BOOLEAN NOT NULL DEFAULT TRUE, -- false when the provider reported the token counts
+  estimated_cost REAL NOT NULL DEFAULT 0, -- USD
+  duration_ms INTEGER,
+  success BOOLEAN NOT NULL DEFAULT TRUE,
+  error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_records_project_created ON ai_usage_records (project_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_records_task_id ON ai_usage_records (task_id);
+
+-- AI Usage Budgets Table (one budget per project and period)
+CREATE TABLE IF NOT EXISTS ai_usage_budgets (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  period TEXT NOT NULL, -- 'daily', 'monthly' or 'total'
+  max_tokens INTEGER,
+  max_cost REAL, -- USD
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  last_exceeded_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_usage_budgets_project_period ON ai_usage_budgets (project_id, period);
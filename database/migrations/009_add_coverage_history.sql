@@ -0,0 +1,26 @@
+-- Migration: 009_add_coverage_history
+-- Description: Adds the coverage_history table with one coverage measurement per code quality analysis
+-- Created: 2026-10-19T13:00:00.000Z
+-- Status: Pending
+
+-- Coverage History Table (one row per analysis that read a coverage report)
+CREATE TABLE IF NOT EXISTS coverage_history (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  analysis_id TEXT,
+  line_coverage REAL, -- percent
+  branch_coverage REAL,
+  function_coverage REAL,
+  statement_coverage REAL,
+  lines_total INTEGER NOT NULL DEFAULT 0,
+  lines_covered INTEGER NOT NULL DEFAULT 0,
+  branches_total INTEGER NOT NULL DEFAULT 0,
+  branches_covered INTEGER NOT NULL DEFAULT 0,
+  functions_total INTEGER NOT NULL DEFAULT 0,
+  functions_covered INTEGER NOT NULL DEFAULT 0,
+  files_count INTEGER NOT NULL DEFAULT 0,
+  subprojects TEXT, -- JSON array with the coverage of every subproject report
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_coverage_history_project_created ON coverage_history (project_id, created_at);
@@ -0,0 +1,18 @@
+-- Migration: 010_add_analysis_baselines
+-- Description: Adds the analysis_baselines table with the baseline analysis of each project branch and analysis type
+-- Created: 2026-10-19T14:00:00.000Z
+-- Status: Pending
+
+-- Analysis Baselines Table (findings of the baseline analysis count as known, only newer ones are reported as new)
+CREATE TABLE IF NOT EXISTS analysis_baselines (
+  id TEXT PRIMARY KEY,
+  project_id TEXT NOT NULL,
+  branch TEXT NOT NULL,
+  analysis_type TEXT NOT NULL,
+  analysis_id TEXT NOT NULL,
+  commit_sha TEXT,
+  issues_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (project_id, branch, analysis_type)
+);
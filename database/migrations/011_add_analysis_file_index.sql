@@ -0,0 +1,16 @@
+-- Migration: 011_add_analysis_file_index
+-- Description: Adds the analysis_file_index table with the content hash and cached result of every analyzed file per analyzer
+-- Created: 2026-10-19T15:00:00.000Z
+-- Status: Pending
+
+-- Analysis File Index Table (files whose content hash is unchanged reuse their cached result)
+CREATE TABLE IF NOT EXISTS analysis_file_index (
+  project_id TEXT NOT NULL,
+  analyzer TEXT NOT NULL,
+  file_path TEXT NOT NULL,
+  content_hash TEXT NOT NULL,
+  analyzer_version TEXT NOT NULL,
+  result TEXT,
+  analyzed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (project_id, analyzer, file_path)
+);
@@ -94,6 +94,7 @@ const API_CONFIG = {
       projectDelete: (projectId, id) => `/api/projects/${projectId}/tasks/${id}`,
       projectExecute: (projectId, taskId) => `/api/projects/${projectId}/tasks/${taskId}/execute`,
       projectStatus: (projectId, id) => `/api/projects/${projectId}/tasks/${id}/execution`,
+      dependencyGraph: (projectId) => `/api/projects/${projectId}/tasks/dependency-graph`,
       analysis: {
         project: (projectId) => `/api/projects/${projectId}/analysis`,
         ai: (projectId) => `/api/projects/${projectId}/analysis/ai`
@@ -139,7 +140,13 @@ const API_CONFIG = {
       pullPideaAgent: (projectId) => `/api/projects/${projectId}/git/pull-pidea-agent`,
       mergeToPideaAgent: (projectId) => `/api/projects/${projectId}/git/merge-to-pidea-agent`,
       pideaAgentStatus: (projectId) => `/api/projects/${projectId}/git/pidea-agent-status`,
-      comparePideaAgent: (projectId) => `/api/projects/${projectId}/git/compare-pidea-agent`
+      comparePideaAgent: (projectId) => `/api/projects/${projectId}/git/compare-pidea-agent`,
+      // Merge conflict endpoints
+      conflicts: (projectId) => `/api/projects/${projectId}/git/conflicts`,
+      acceptConflicts: (projectId) => `/api/projects/${projectId}/git/conflicts/accept`,
+      rejectConflicts: (projectId) => `/api/projects/${projectId}/git/conflicts/reject`,
+      completeMerge: (projectId) => `/api/projects/${projectId}/git/conflicts/complete`,
+      abortMerge: (projectId) => `/api/projects/${projectId}/git/conflicts/abort`
     },
     settings: '/api/settings',
     health: '/api/health',
@@ -1055,6 +1062,26 @@ export default class APIChatRepository extends ChatRepository {
     return apiCall(`/api/projects/${currentProjectId}/analysis/issues?type=${type}`, {}, currentProjectId);
   }
 
+  /**
+   * Export the latest analyses as a SARIF 2.1.0 log
+   */
+  async exportAnalysisSarif(projectId = null, types = null) {
+    const currentProjectId = projectId || await this.getCurrentProjectId();
+    const query = types && types.length > 0 ? `?types=${encodeURIComponent(types.join(','))}` : '';
+    return apiCall(`/api/projects/${currentProjectId}/analysis/sarif${query}`, {}, currentProjectId);
+  }
+
+  /**
+   * Attach an external SARIF log to the latest analysis of a type
+   */
+  async importAnalysisSarif(projectId = null, sarif, type = 'security') {
+    const currentProjectId = projectId || await this.getCurrentProjectId();
+    return apiCall(`/api/projects/${currentProjectId}/analysis/sarif`, {
+      method: 'POST',
+      body: JSON.stringify({ sarif, type })
+    }, currentProjectId);
+  }
+
   /**
    * Get analysis tech stack directly (fast, no workflow)
    */
@@ -1171,6 +1198,11 @@ export default class APIChatRepository extends ChatRepository {
     return await apiCall(`/api/projects/${currentProjectId}/tasks/${taskId}`, {}, currentProjectId);
   }
 
+  async getTaskDependencyGraph(projectId = null) {
+    const currentProjectId = projectId || await this.getCurrentProjectId();
+    return await apiCall(API_CONFIG.endpoints.tasks.dependencyGraph(currentProjectId), {}, currentProjectId);
+  }
+
   async syncManualTasks() {
     const projectId = await this.getCurrentProjectId();
     return await apiCall(`/api/projects/${projectId}/tasks/sync-manual`, {
@@ -1412,6 +1444,52 @@ export default class APIChatRepository extends ChatRepository {
     });
   }
 
+  // Merge Conflict Methods
+  async getMergeConflicts(projectId = null, projectPath = null) {
+    const actualProjectId = projectId || await this.getCurrentProjectId();
+    
+    return apiCall(API_CONFIG.endpoints.git.conflicts(actualProjectId), {
+      method: 'POST',
+      body: JSON.stringify({ projectPath })
+    });
+  }
+
+  async acceptConflictResolutions(projectId = null, projectPath = null, files = []) {
+    const actualProjectId = projectId || await this.getCurrentProjectId();
+    
+    return apiCall(API_CONFIG.endpoints.git.acceptConflicts(actualProjectId), {
+      method: 'POST',
+      body: JSON.stringify({ projectPath, files })
+    });
+  }
+
+  async rejectConflictResolutions(projectId = null, projectPath = null, files = []) {
+    const actualProjectId = projectId || await this.getCurrentProjectId();
+    
+    return apiCall(API_CONFIG.endpoints.git.rejectConflicts(actualProjectId), {
+      method: 'POST',
+      body: JSON.stringify({ projectPath, files })
+    });
+  }
+
+  async completeConflictedMerge(projectId = null, projectPath = null, message = null) {
+    const actualProjectId = projectId || await this.getCurrentProjectId();
+    
+    return apiCall(API_CONFIG.endpoints.git.completeMerge(actualProjectId), {
+      method: 'POST',
+      body: JSON.stringify({ projectPath, message })
+    });
+  }
+
+  async abortConflictedMerge(projectId = null, projectPath = null) {
+    const actualProjectId = projectId || await this.getCurrentProjectId();
+    
+    return apiCall(API_CONFIG.endpoints.git.abortMerge(actualProjectId), {
+      method: 'POST',
+      body: JSON.stringify({ projectPath })
+    });
+  }
+
   // Pidea-Agent Utility Methods
   async isPideaAgentBranchAvailable(projectId = null, projectPath = null) {
     try {
@@ -356,6 +356,36 @@ class QueueRepository {
         }
     }
 
+    /**
+     * Resume a paused project queue (e.g. after a usage budget paused it)
+     * @param {string} projectId - Project identifier
+     * @returns {Promise<Object>} Resume result
+     */
+    async resumeQueue(projectId) {
+        try {
+            this.logger.info('Resuming queue', { projectId });
+
+            const response = await fetch(`${this.baseURL}/projects/${projectId}/queue/resume`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.getAuthToken()}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to resume queue: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            return data.data;
+
+        } catch (error) {
+            this.logger.error('Failed to resume queue', { projectId, error: error.message });
+            throw error;
+        }
+    }
+
     /**
      * Get authentication token
      * @returns {string} Auth token
@@ -0,0 +1,121 @@
+/**
+ * UsageRepository - Frontend repository for AI usage (token and cost accounting) API communication
+ * Loads per-project usage reports and manages usage budgets
+ */
+
+import { logger } from '@/infrastructure/logging/Logger';
+import useAuthStore from '@/infrastructure/stores/AuthStore.jsx';
+
+class UsageRepository {
+    constructor() {
+        this.baseURL = '/api';
+        this.logger = logger;
+    }
+
+    /**
+     * Get the usage report of a project
+     * @param {string} projectId - Project identifier
+     * @param {Object} filters - Filters ({ from, to, taskId })
+     * @returns {Promise<Object>} Usage report
+     */
+    async getUsage(projectId, filters = {}) {
+        try {
+            const params = new URLSearchParams();
+            Object.entries(filters).forEach(([key, value]) => {
+                if (value) {
+                    params.append(key, value);
+                }
+            });
+            const query = params.toString() ? `?${params.toString()}` : '';
+
+            const response = await fetch(`${this.baseURL}/projects/${projectId}/usage${query}`, {
+                method: 'GET',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.getAuthToken()}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to get usage: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            return data.data;
+
+        } catch (error) {
+            this.logger.error('Failed to get usage', { projectId, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Create or replace a usage budget
+     * @param {string} projectId - Project identifier
+     * @param {string} period - 'daily', 'monthly' or 'total'
+     * @param {Object} budget - Budget ({ maxTokens, maxCost, enabled })
+     * @returns {Promise<Object>} Saved budget
+     */
+    async setBudget(projectId, period, budget) {
+        try {
+            const response = await fetch(`${this.baseURL}/projects/${projectId}/usage/budgets/${period}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.getAuthToken()}`
+                },
+                body: JSON.stringify(budget)
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `Failed to save budget: ${response.statusText}`);
+            }
+            return data.data;
+
+        } catch (error) {
+            this.logger.error('Failed to save usage budget', { projectId, period, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a usage budget
+     * @param {string} projectId - Project identifier
+     * @param {string} period - Budget period
+     * @returns {Promise<Object>} Deletion result
+     */
+    async deleteBudget(projectId, period) {
+        try {
+            const response = await fetch(`${this.baseURL}/projects/${projectId}/usage/budgets/${period}`, {
+                method: 'DELETE',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.getAuthToken()}`
+                }
+            });
+
+            if (!response.ok) {
+                throw new Error(`Failed to delete budget: ${response.statusText}`);
+            }
+
+            const data = await response.json();
+            return data.data;
+
+        } catch (error) {
+            this.logger.error('Failed to delete usage budget', { projectId, period, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Get authentication token
+     * @returns {string} Authentication token
+     */
+    getAuthToken() {
+        const { token } = useAuthStore.getState();
+        return token;
+    }
+}
+
+export default UsageRepository;
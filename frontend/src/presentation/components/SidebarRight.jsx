@@ -6,6 +6,7 @@
  * - Auto features (VibeCoder, analysis, refactoring)
  * - Content library (frameworks, prompts, templates)
  * - Analysis results and settings
+ * - AI usage (tokens, costs, budgets)
  * - Event-driven communication with other components
  * 
  * @class SidebarRight
@@ -18,6 +19,7 @@ import PromptsPanelComponent from './chat/sidebar-right/PromptsPanelComponent.js
 import TemplatesPanelComponent from './chat/sidebar-right/TemplatesPanelComponent.jsx';
 import TasksPanelComponent from './chat/sidebar-right/TasksPanelComponent.jsx';
 import QueueManagementPanel from './queue/QueueManagementPanel.jsx';
+import UsagePanel from './usage/UsagePanel.jsx';
 import '@/css/global/sidebar-right.css';
 
 function SidebarRight({ eventBus, attachedPrompts, setAttachedPrompts, activePort }) {
@@ -37,6 +39,7 @@ function SidebarRight({ eventBus, attachedPrompts, setAttachedPrompts, activePor
           <button className={`tab-btn${currentTab === 'prompts' ? ' active' : ''}`} onClick={() => setCurrentTab('prompts')}>💬 Prompts</button>
           <button className={`tab-btn${currentTab === 'templates' ? ' active' : ''}`} onClick={() => setCurrentTab('templates')}>📋 Templates</button>
           <button className={`tab-btn${currentTab === 'analysis' ? ' active' : ''}`} onClick={() => setCurrentTab('analysis')}>📊 Analysis</button>
+          <button className={`tab-btn${currentTab === 'usage' ? ' active' : ''}`} onClick={() => setCurrentTab('usage')}>💰 Usage</button>
           <button className={`tab-btn${currentTab === 'settings' ? ' active' : ''}`} onClick={() => setCurrentTab('settings')}>⚙️ Settings</button>
         </div>
         <button id="toggleSidebarRightBtn" className="btn-icon" title="Panel ein-/ausblenden" onClick={() => setIsVisible(v => !v)}>◀</button>
@@ -49,6 +52,7 @@ function SidebarRight({ eventBus, attachedPrompts, setAttachedPrompts, activePor
         {currentTab === 'prompts' && <PromptsPanelComponent attachedPrompts={attachedPrompts} setAttachedPrompts={setAttachedPrompts} />}
         {currentTab === 'templates' && <TemplatesPanelComponent />}
         {currentTab === 'analysis' && <AnalysisPanelComponent />}
+        {currentTab === 'usage' && <UsagePanel />}
         {currentTab === 'settings' && <div className="settings-tab">Settings Panel (TODO)</div>}
       </div>
     </div>
@@ -273,6 +273,23 @@ const AnalysisIssues = ({ issues, loading, error, category = null }) => {
           </select>
         </div>
 
+        {scanners.length > 1 && (
+          <div className="filter-group">
+            <select
+              value={filterScanner}
+              onChange={(e) => setFilterScanner(e.target.value)}
+              className="filter-select"
+            >
+              <option value="all">All Scanners</option>
+              {scanners.map(scanner => (
+                <option key={scanner} value={scanner}>
+                  {scanner}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         <div className="filter-group">
           <select
             value={sortBy}
@@ -319,6 +336,9 @@ const AnalysisIssues = ({ issues, loading, error, category = null }) => {
                 {issue.category && (
                   <span className="issue-category">{issue.category}</span>
                 )}
+                {issue.source === 'sarif' && (
+                  <span className="issue-source">📥 {issue.scanner}</span>
+                )}
                 {issue.file && (
                   <span className="issue-file">📁 {issue.file}</span>
                 )}
@@ -346,7 +366,9 @@ const AnalysisIssues = ({ issues, loading, error, category = null }) => {
                   
                   {issue.rule && (
                     <div className="issue-rule">
-                      <strong>Rule:</strong> {issue.rule}
+                      <strong>Rule:</strong> {issue.helpUri
+                        ? <a href={issue.helpUri} target="_blank" rel="noopener noreferrer">{issue.rule}</a>
+                        : issue.rule}
                     </div>
                   )}
                   
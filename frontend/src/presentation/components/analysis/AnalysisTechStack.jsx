@@ -206,6 +206,18 @@ const AnalysisTechStack = ({ techStack, loading, error }) => {
     }
   };
 
+  const getEvidenceLabel = (type) => {
+    switch (type) {
+      case 'dependency': return '📦 Dependency';
+      case 'manifest': return '📦 Manifest';
+      case 'config': return '⚙️ Config';
+      case 'import': return '📥 Imports';
+      case 'runtime-version': return '📌 Version file';
+      case 'container-image': return '🐳 Image';
+      default: return type;
+    }
+  };
+
   const getUpdateStatusIcon = (isOutdated) => {
     return isOutdated ? '⚠️' : '✅';
   };
@@ -460,7 +472,10 @@ const AnalysisTechStack = ({ techStack, loading, error }) => {
                   <div className="technology-info">
                     <div className="technology-header">
                       <span className="technology-name">{tech.name}</span>
-                      <span className={`confidence-badge ${getConfidenceColor(tech.confidence)}`}>
+                      <span
+                        className={`confidence-badge ${getConfidenceColor(tech.confidence)}`}
+                        title={tech.score !== null ? `Evidence score ${tech.score}/100` : undefined}
+                      >
                         {getConfidenceIcon(tech.confidence)} {tech.confidence}
                       </span>
                     </div>
@@ -474,10 +489,27 @@ const AnalysisTechStack = ({ techStack, loading, error }) => {
                           ⚠️ Outdated {tech.latestVersion && `(v${tech.latestVersion} available)`}
                         </span>
                       )}
+                      {tech.deprecated && (
+                        <span className="outdated-badge" title={tech.deprecated}>⚠️ Deprecated</span>
+                      )}
                     </div>
                     {tech.description && (
                       <p className="technology-description">{tech.description}</p>
                     )}
+                    {tech.evidence.length > 0 && (
+                      <ul className="technology-evidence">
+                        {tech.evidence.slice(0, 5).map((item, evidenceIndex) => (
+                          <li key={evidenceIndex} className="evidence-item">
+                            <span className="evidence-type">{getEvidenceLabel(item.type)}</span>
+                            <span className="evidence-file">{item.file}{item.line ? `:${item.line}` : ''}</span>
+                            {item.detail && <span className="evidence-detail">{item.detail}</span>}
+                          </li>
+                        ))}
+                        {tech.evidence.length > 5 && (
+                          <li className="evidence-more">+{tech.evidence.length - 5} more</li>
+                        )}
+                      </ul>
+                    )}
                   </div>
                   <div className="technology-actions">
                     {tech.homepage && (
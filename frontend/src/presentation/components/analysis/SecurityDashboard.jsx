@@ -1,6 +1,6 @@
 /**
  * Security Dashboard Component
- * Displays security analysis results from 6 scanners with overview and detailed views
+ * Displays security analysis results from 6 scanners and imported SARIF tools with overview and detailed views
  * 
  * Created: 2025-07-30T19:53:33.000Z
  * Last Updated: 2025-07-30T19:53:33.000Z
@@ -188,6 +188,18 @@ const SecurityOverview = ({ data }) => {
             {data.totalBestPractices}
           </div>
         </div>
+
+        {data.importedScanners > 0 && (
+          <div className="overview-card">
+            <div className="card-header">
+              <span className="card-icon">📥</span>
+              <span className="card-title">Imported (SARIF)</span>
+            </div>
+            <div className="card-value">
+              {data.importedScanners}
+            </div>
+          </div>
+        )}
       </div>
 
       <div className="security-score-chart">
@@ -243,12 +255,15 @@ const SecurityVulnerabilities = ({ data }) => {
                   <span className={`severity-badge ${vuln.severity?.toLowerCase() || 'low'}`}>
                     {vuln.severity?.toUpperCase() || 'LOW'}
                   </span>
-                  <span className="scanner-name">{scannerName}</span>
+                  <span className="scanner-name">{scannerName}{scanner.imported ? ' (SARIF)' : ''}</span>
                 </div>
                 <div className="vulnerability-title">{vuln.title || vuln.name || 'Unknown Vulnerability'}</div>
                 {vuln.description && (
                   <div className="vulnerability-description">{vuln.description}</div>
                 )}
+                {vuln.location && (
+                  <div className="vulnerability-location">📁 {vuln.location}</div>
+                )}
               </div>
             ));
           })}
@@ -0,0 +1,247 @@
+import { logger } from "@/infrastructure/logging/Logger";
+import React, { useState, useEffect, useCallback } from 'react';
+import { APIChatRepository } from '@/infrastructure/repositories/APIChatRepository.jsx';
+import '@/css/main/git-conflicts.css';
+
+// Initialize API repository
+const apiRepository = new APIChatRepository();
+
+// Utility function to convert workspace path to project ID
+const getProjectIdFromWorkspace = (workspacePath) => {
+  if (!workspacePath) return 'default';
+
+  // Extract project name from path
+  const pathParts = workspacePath.split('/');
+  const projectName = pathParts[pathParts.length - 1];
+
+  // Keep original case - Backend now supports it
+  return projectName.replace(/[^a-zA-Z0-9]/g, '_');
+};
+
+const STATUS_LABELS = {
+  conflicted: { icon: '⚠️', text: 'Conflicted' },
+  resolved: { icon: '📝', text: 'Resolved, awaiting review' },
+  accepted: { icon: '✅', text: 'Accepted' }
+};
+
+const MergeConflictsComponent = ({ workspacePath, onMergeCompleted }) => {
+  const [conflicts, setConflicts] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [operationResult, setOperationResult] = useState(null);
+  const [expandedFile, setExpandedFile] = useState(null);
+
+  const projectId = getProjectIdFromWorkspace(workspacePath);
+
+  const loadConflicts = useCallback(async () => {
+    if (!workspacePath) return;
+    try {
+      setIsLoading(true);
+      const result = await apiRepository.getMergeConflicts(projectId, workspacePath);
+      setConflicts(result.data);
+    } catch (error) {
+      logger.error('Failed to load merge conflicts:', error);
+      setOperationResult({ type: 'error', message: error.message });
+    } finally {
+      setIsLoading(false);
+    }
+  }, [projectId, workspacePath]);
+
+  useEffect(() => {
+    loadConflicts();
+  }, [loadConflicts]);
+
+  const runOperation = async (operation, confirmMessage = null) => {
+    if (confirmMessage && !window.confirm(confirmMessage)) {
+      return;
+    }
+    try {
+      setIsLoading(true);
+      setOperationResult(null);
+      const result = await operation();
+      setOperationResult({ type: 'success', message: result.message });
+      if (result.data?.conflicts) {
+        setConflicts(result.data.conflicts);
+      } else {
+        await loadConflicts();
+      }
+      return result;
+    } catch (error) {
+      logger.error('Merge conflict operation failed:', error);
+      setOperationResult({ type: 'error', message: error.message });
+      return null;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleAccept = (files = []) => runOperation(
+    () => apiRepository.acceptConflictResolutions(projectId, workspacePath, files)
+  );
+
+  const handleReject = (files = []) => runOperation(
+    () => apiRepository.rejectConflictResolutions(projectId, workspacePath, files),
+    files.length === 1
+      ? `Reject the resolution of ${files[0]} and restore its conflict markers?`
+      : 'Reject all resolutions and restore their conflict markers?'
+  );
+
+  const handleComplete = async () => {
+    const result = await runOperation(() => apiRepository.completeConflictedMerge(projectId, workspacePath));
+    if (result && onMergeCompleted) {
+      onMergeCompleted(result.data);
+    }
+  };
+
+  const handleAbort = () => runOperation(
+    () => apiRepository.abortConflictedMerge(projectId, workspacePath),
+    'Abort the merge? All resolutions will be discarded.'
+  );
+
+  const files = conflicts?.files || [];
+  const canComplete = files.length > 0 && files.every(entry => entry.status === 'accepted');
+
+  return (
+    <div className="merge-conflicts">
+      {/* Merge Header */}
+      <div className="merge-conflicts-header">
+        <div className="merge-conflicts-info">
+          {conflicts?.inProgress ? (
+            <>
+              <span className="merge-conflicts-title">
+                Merging {conflicts.sourceBranch || 'branch'} into {conflicts.targetBranch || 'current branch'}
+              </span>
+              <span className="merge-conflicts-counts">
+                {conflicts.conflicted} conflicted · {conflicts.resolved} to review · {conflicts.accepted} accepted
+              </span>
+            </>
+          ) : (
+            <span className="merge-conflicts-title">No merge in progress</span>
+          )}
+        </div>
+        <div className="merge-conflicts-actions">
+          <button
+            onClick={loadConflicts}
+            className="merge-conflicts-btn refresh-btn"
+            disabled={isLoading}
+            title="Refresh merge conflicts"
+          >
+            🔄
+          </button>
+        </div>
+      </div>
+
+      {/* Conflicted Files */}
+      {files.length > 0 && (
+        <ul className="merge-conflicts-files">
+          {files.map(entry => (
+            <li key={entry.file} className={`merge-conflict-file ${entry.status}`}>
+              <div className="merge-conflict-file-header">
+                <button
+                  className="merge-conflict-file-name"
+                  onClick={() => setExpandedFile(expandedFile === entry.file ? null : entry.file)}
+                >
+                  {STATUS_LABELS[entry.status]?.icon} {entry.file}
+                </button>
+                <span className="merge-conflict-file-status">
+                  {STATUS_LABELS[entry.status]?.text}
+                  {entry.status === 'conflicted' && ` (${entry.hunks.length} hunk${entry.hunks.length === 1 ? '' : 's'})`}
+                </span>
+                {entry.status === 'resolved' && (
+                  <div className="merge-conflict-file-actions">
+                    <button
+                      className="merge-conflicts-btn accept-btn"
+                      onClick={() => handleAccept([entry.file])}
+                      disabled={isLoading}
+                    >
+                      Accept
+                    </button>
+                    <button
+                      className="merge-conflicts-btn reject-btn"
+                      onClick={() => handleReject([entry.file])}
+                      disabled={isLoading}
+                    >
+                      Reject
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {expandedFile === entry.file && entry.status === 'conflicted' && (
+                <div className="merge-conflict-hunks">
+                  {entry.hunks.map(hunk => (
+                    <div key={hunk.index} className="merge-conflict-hunk">
+                      <div className="merge-conflict-hunk-header">
+                        Hunk {hunk.index + 1} · lines {hunk.startLine}-{hunk.endLine}
+                      </div>
+                      <div className="merge-conflict-hunk-sides">
+                        <div className="merge-conflict-side ours">
+                          <span className="merge-conflict-side-label">Current ({hunk.oursLabel || conflicts.targetBranch})</span>
+                          <pre>{hunk.ours}</pre>
+                        </div>
+                        <div className="merge-conflict-side theirs">
+                          <span className="merge-conflict-side-label">Incoming ({hunk.theirsLabel || conflicts.sourceBranch})</span>
+                          <pre>{hunk.theirs}</pre>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {expandedFile === entry.file && entry.status === 'resolved' && (
+                <pre className="merge-conflict-diff">{entry.diff || 'No changes against the current branch'}</pre>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Merge Controls */}
+      {conflicts?.inProgress && (
+        <div className="merge-conflicts-controls">
+          <button
+            className="merge-conflicts-btn accept-btn"
+            onClick={() => handleAccept()}
+            disabled={isLoading || conflicts.resolved === 0}
+            title="Accept all resolved files"
+          >
+            Accept all
+          </button>
+          <button
+            className="merge-conflicts-btn reject-btn"
+            onClick={() => handleReject()}
+            disabled={isLoading || conflicts.resolved === 0}
+            title="Reject all resolved files"
+          >
+            Reject all
+          </button>
+          <button
+            className="merge-conflicts-btn complete-btn"
+            onClick={handleComplete}
+            disabled={isLoading || !canComplete}
+            title="Commit the merge once every file is accepted"
+          >
+            Complete merge
+          </button>
+          <button
+            className="merge-conflicts-btn abort-btn"
+            onClick={handleAbort}
+            disabled={isLoading}
+            title="Abort the merge and restore the target branch"
+          >
+            Abort merge
+          </button>
+        </div>
+      )}
+
+      {/* Operation Result */}
+      {operationResult && (
+        <div className={`merge-conflicts-result ${operationResult.type}`}>
+          {operationResult.type === 'success' ? '✅' : '❌'} {operationResult.message}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MergeConflictsComponent;
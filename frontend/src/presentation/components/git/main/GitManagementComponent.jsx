@@ -3,6 +3,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import '@/css/main/git.css';
 import { apiCall, APIChatRepository } from '@/infrastructure/repositories/APIChatRepository.jsx';
 import PideaAgentBranchComponent from '../pidea-agent/PideaAgentBranchComponent.jsx';
+import MergeConflictsComponent from '../conflicts/MergeConflictsComponent.jsx';
 import { useGitStatus, useGitBranches, useActiveIDE, useProjectDataActions } from '@/infrastructure/stores/selectors/ProjectSelectors.jsx';
 import { useRefreshService } from '@/hooks/useRefreshService';
 
@@ -52,6 +53,7 @@ const GitManagementComponent = ({ activePort, onGitOperation, onGitStatusChange,
   const [showDiff, setShowDiff] = useState(false);
   const [diffContent, setDiffContent] = useState('');
   const [showPideaAgent, setShowPideaAgent] = useState(false);
+  const [showConflicts, setShowConflicts] = useState(false);
 
   // ✅ FIXED: No more manual data loading - global state handles it automatically
   useEffect(() => {
@@ -329,6 +331,16 @@ const GitManagementComponent = ({ activePort, onGitOperation, onGitStatusChange,
             <span className="btn-icon">🤖</span>
             <span className="btn-text">Pidea-Agent</span>
           </button>
+
+          <button
+            onClick={() => setShowConflicts(!showConflicts)}
+            className="git-btn conflicts-toggle-btn"
+            disabled={isLoading}
+            title="Review merge conflicts and their resolutions"
+          >
+            <span className="btn-icon">⚔️</span>
+            <span className="btn-text">Conflicts</span>
+          </button>
         </div>
       </div>
 
@@ -436,6 +448,28 @@ const GitManagementComponent = ({ activePort, onGitOperation, onGitStatusChange,
         </div>
       )}
 
+      {/* Merge Conflict Review */}
+      {showConflicts && (
+        <div className="merge-conflicts-section">
+          <div className="pidea-agent-header">
+            <h3>⚔️ Merge Conflicts</h3>
+            <button 
+              className="close-btn"
+              onClick={() => setShowConflicts(false)}
+            >
+              ✕
+            </button>
+          </div>
+          <MergeConflictsComponent
+            workspacePath={workspacePath}
+            onMergeCompleted={(result) => {
+              logger.info('Conflicted merge completed:', result);
+              refreshGitStatus();
+            }}
+          />
+        </div>
+      )}
+
       {/* Loading Overlay */}
       {isLoading && (
         <div className="loading-overlay">
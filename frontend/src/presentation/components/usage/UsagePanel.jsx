@@ -0,0 +1,217 @@
+/**
+ * UsagePanel - Token and cost accounting of AI interactions
+ * Shows usage totals per day, task, model and workflow step, and manages the budgets that pause the queue
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { logger } from '@/infrastructure/logging/Logger';
+import UsageRepository from '@/infrastructure/repositories/UsageRepository.jsx';
+import QueueRepository from '@/infrastructure/repositories/QueueRepository.jsx';
+import { useActiveIDE } from '@/infrastructure/stores/selectors/ProjectSelectors.jsx';
+import '@/css/panel/usage-panel.css';
+
+const usageRepository = new UsageRepository();
+const queueRepository = new QueueRepository();
+
+const RANGES = [
+    { label: 'Today', days: 1 },
+    { label: '7 days', days: 7 },
+    { label: '30 days', days: 30 }
+];
+const BUDGET_PERIODS = ['daily', 'monthly', 'total'];
+
+const formatTokens = (tokens) => (tokens || 0).toLocaleString();
+const formatCost = (cost) => `$${(cost || 0).toFixed(4)}`;
+
+const UsageTable = ({ title, rows, keyName, emptyLabel }) => (
+    <div className="usage-section">
+        <h4>{title}</h4>
+        {rows.length === 0 ? (
+            <div className="empty-state"><p>No usage</p></div>
+        ) : (
+            <table className="usage-table">
+                <thead>
+                    <tr>
+                        <th>{keyName}</th>
+                        <th>Requests</th>
+                        <th>Tokens</th>
+                        <th>Cost</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map((row) => (
+                        <tr key={row[keyName] || emptyLabel}>
+                            <td className="usage-key" title={row[keyName] || emptyLabel}>{row[keyName] || emptyLabel}</td>
+                            <td>{row.requests}</td>
+                            <td>{formatTokens(row.totalTokens)}</td>
+                            <td>{formatCost(row.estimatedCost)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        )}
+    </div>
+);
+
+const UsagePanel = () => {
+    const { projectId } = useActiveIDE();
+    const [report, setReport] = useState(null);
+    const [rangeDays, setRangeDays] = useState(7);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [budgetForm, setBudgetForm] = useState({ period: 'daily', maxTokens: '', maxCost: '' });
+
+    const loadUsage = useCallback(async () => {
+        if (!projectId) return;
+        try {
+            setLoading(true);
+            setError(null);
+            const from = new Date(Date.now() - rangeDays * 24 * 60 * 60 * 1000).toISOString();
+            setReport(await usageRepository.getUsage(projectId, { from }));
+        } catch (loadError) {
+            logger.error('Failed to load usage', { projectId, error: loadError.message });
+            setError(loadError.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [projectId, rangeDays]);
+
+    useEffect(() => {
+        loadUsage();
+    }, [loadUsage]);
+
+    const handleSaveBudget = async (event) => {
+        event.preventDefault();
+        try {
+            setError(null);
+            await usageRepository.setBudget(projectId, budgetForm.period, {
+                maxTokens: budgetForm.maxTokens ? Number(budgetForm.maxTokens) : null,
+                maxCost: budgetForm.maxCost ? Number(budgetForm.maxCost) : null
+            });
+            setBudgetForm({ ...budgetForm, maxTokens: '', maxCost: '' });
+            await loadUsage();
+        } catch (saveError) {
+            setError(saveError.message);
+        }
+    };
+
+    const handleDeleteBudget = async (period) => {
+        try {
+            await usageRepository.deleteBudget(projectId, period);
+            await loadUsage();
+        } catch (deleteError) {
+            setError(deleteError.message);
+        }
+    };
+
+    const handleResumeQueue = async () => {
+        try {
+            await queueRepository.resumeQueue(projectId);
+            await loadUsage();
+        } catch (resumeError) {
+            setError(resumeError.message);
+        }
+    };
+
+    if (!projectId) {
+        return <div className="usage-panel"><div className="empty-state"><p>No active project</p></div></div>;
+    }
+
+    const totals = report?.totals || {};
+    const budgets = report?.budgets || [];
+
+    return (
+        <div className="usage-panel">
+            <div className="usage-panel-header">
+                <h3>💰 AI Usage</h3>
+                <div className="usage-ranges">
+                    {RANGES.map((range) => (
+                        <button
+                            key={range.days}
+                            className={`usage-range-btn${rangeDays === range.days ? ' active' : ''}`}
+                            onClick={() => setRangeDays(range.days)}
+                        >
+                            {range.label}
+                        </button>
+                    ))}
+                    <button className="btn-refresh" onClick={loadUsage} title="Refresh usage">🔄</button>
+                </div>
+            </div>
+
+            {error && <div className="error-message"><p>❌ {error}</p></div>}
+            {loading && !report && <div className="loading-spinner">Loading usage...</div>}
+
+            {report?.queuePaused && (
+                <div className="usage-queue-paused">
+                    <span>⏸️ Queue paused: {report.queuePaused.reason}</span>
+                    <button onClick={handleResumeQueue}>Resume</button>
+                </div>
+            )}
+
+            {report && (
+                <>
+                    <div className="usage-totals">
+                        <div className="usage-total">
+                            <span className="usage-total-label">Requests</span>
+                            <span className="usage-total-value">{totals.requests || 0}</span>
+                        </div>
+                        <div className="usage-total">
+                            <span className="usage-total-label">Tokens</span>
+                            <span className="usage-total-value">{formatTokens(totals.totalTokens)}</span>
+                        </div>
+                        <div className="usage-total">
+                            <span className="usage-total-label">Est. cost</span>
+                            <span className="usage-total-value">{formatCost(totals.estimatedCost)}</span>
+                        </div>
+                    </div>
+
+                    <UsageTable title="📅 Per day" rows={report.byDay} keyName="date" emptyLabel="-" />
+                    <UsageTable title="🗂️ Per task" rows={report.byTask} keyName="taskId" emptyLabel="(no task)" />
+                    <UsageTable title="🧠 Per model" rows={report.byModel} keyName="model" emptyLabel="default" />
+                    <UsageTable title="🔧 Per step" rows={report.byStep} keyName="workflowStep" emptyLabel="-" />
+
+                    <div className="usage-section">
+                        <h4>🎯 Budgets</h4>
+                        {budgets.map((budget) => (
+                            <div key={budget.period} className={`usage-budget${budget.exceeded ? ' exceeded' : ''}`}>
+                                <span className="usage-budget-period">{budget.period}</span>
+                                <span>
+                                    {budget.maxTokens !== null && `${formatTokens(budget.usedTokens)} / ${formatTokens(budget.maxTokens)} tokens`}
+                                    {budget.maxTokens !== null && budget.maxCost !== null && ' · '}
+                                    {budget.maxCost !== null && `${formatCost(budget.usedCost)} / ${formatCost(budget.maxCost)}`}
+                                </span>
+                                <button onClick={() => handleDeleteBudget(budget.period)} title="Delete budget">🗑️</button>
+                            </div>
+                        ))}
+                        <form className="usage-budget-form" onSubmit={handleSaveBudget}>
+                            <select
+                                value={budgetForm.period}
+                                onChange={(event) => setBudgetForm({ ...budgetForm, period: event.target.value })}
+                            >
+                                {BUDGET_PERIODS.map((period) => <option key={period} value={period}>{period}</option>)}
+                            </select>
+                            <input
+                                type="number"
+                                min="1"
+                                placeholder="Max tokens"
+                                value={budgetForm.maxTokens}
+                                onChange={(event) => setBudgetForm({ ...budgetForm, maxTokens: event.target.value })}
+                            />
+                            <input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                placeholder="Max $"
+                                value={budgetForm.maxCost}
+                                onChange={(event) => setBudgetForm({ ...budgetForm, maxCost: event.target.value })}
+                            />
+                            <button type="submit">Save</button>
+                        </form>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default UsagePanel;
@@ -94,6 +94,39 @@ export const processSecurityData = (securityData) => {
       processed.trends = calculateSecurityTrends(securityData);
     }
 
+    // Findings imported from external scanners (SARIF) are listed as additional scanners
+    if (Array.isArray(securityData.imports) && securityData.imports.length > 0) {
+      const issues = securityData.issues || [];
+      let importedVulnerabilities = 0;
+
+      securityData.imports.forEach(entry => {
+        const vulnerabilities = issues.filter(issue => issue.source === 'sarif' && issue.scanner === entry.tool);
+        processed.scanners[entry.tool] = {
+          status: 'completed',
+          imported: true,
+          vulnerabilities: vulnerabilities.length,
+          bestPractices: 0,
+          severity: calculateSeverity(vulnerabilities),
+          details: { success: true, result: { vulnerabilities } },
+          lastUpdated: entry.importedAt
+        };
+        processed.vulnerabilities.push(...vulnerabilities.map(v => ({
+          ...v,
+          scanner: entry.tool,
+          scannerFullName: entry.tool
+        })));
+        importedVulnerabilities += vulnerabilities.length;
+      });
+
+      processed.importedScanners = securityData.imports.length;
+      processed.totalVulnerabilities = (processed.totalVulnerabilities || 0) + importedVulnerabilities;
+      processed.totalBestPractices = processed.totalBestPractices || 0;
+      processed.completedScanners = (processed.completedScanners || 0) + securityData.imports.length;
+      processed.totalScanners = Object.keys(processed.scanners).length;
+      processed.overallStatus = determineOverallStatus(processed.scanners);
+      processed.trends = processed.trends || calculateSecurityTrends(securityData);
+    }
+
     return processed;
   } catch (error) {
     logger.error('Error processing security data:', error);
@@ -165,9 +198,11 @@ export const processTechStackData = (techStackData) => {
 
   try {
     const processed = {
+      projectType: techStackData.results?.projectType || techStackData.projectType || 'unknown',
+      languages: techStackData.results?.languages || [],
       technologies: [],
       dependencies: techStackData.dependencies || {},
-      structure: techStackData.structure || {},
+      structure: techStackData.results?.structure || techStackData.structure || {},
       categories: {
         framework: [],
         library: [],
@@ -186,6 +221,10 @@ export const processTechStackData = (techStackData) => {
         category: tech.category || 'other',
         type: tech.type || 'technology',
         confidence: tech.confidence || 'medium',
+        score: tech.score ?? null,
+        evidence: tech.evidence || [],
+        evidenceFiles: tech.evidenceFiles || [],
+        deprecated: tech.deprecated || null,
         description: tech.description || '',
         homepage: tech.homepage || '',
         repository: tech.repository || '',